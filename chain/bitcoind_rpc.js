@@ -0,0 +1,81 @@
+const http = require('http');
+const https = require('https');
+
+const defaultTimeoutMs = 1000 * 30;
+const httpsProtocol = 'https:';
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Make a JSON-RPC call to a bitcoind chain backend
+
+  {
+    backend: {
+      [password]: <RPC Password String>
+      url: <RPC URL String>
+      [username]: <RPC Username String>
+    }
+    method: <RPC Method String>
+    params: [<RPC Parameter Object>]
+    [timeout]: <Timeout Milliseconds Number>
+  }
+
+  @returns via cbk
+  <RPC Result Object>
+*/
+module.exports = ({backend, method, params, timeout}, cbk) => {
+  if (!backend || !backend.url) {
+    return cbk([400, 'ExpectedBitcoindRpcUrlToMakeRpcCall']);
+  }
+
+  if (!method) {
+    return cbk([400, 'ExpectedMethodToMakeBitcoindRpcCall']);
+  }
+
+  const url = new URL(backend.url);
+
+  const auth = `${backend.username || ''}:${backend.password || ''}`;
+  const body = stringify({method, params, id: method, jsonrpc: '1.0'});
+  const transport = url.protocol === httpsProtocol ? https : http;
+
+  const req = transport.request({
+    hostname: url.hostname,
+    headers: {
+      'authorization': `Basic ${Buffer.from(auth).toString('base64')}`,
+      'content-length': Buffer.byteLength(body),
+      'content-type': 'application/json',
+    },
+    method: 'POST',
+    path: url.pathname,
+    port: url.port,
+    timeout: timeout || defaultTimeoutMs,
+  },
+  res => {
+    const data = [];
+
+    // Collect response chunks
+    res.on('data', chunk => data.push(chunk));
+
+    // Response is finished
+    res.on('end', () => {
+      try {
+        const response = parse(Buffer.concat(data).toString());
+
+        if (!!response.error) {
+          return cbk([503, 'BitcoindRpcError', {err: response.error}]);
+        }
+
+        return cbk(null, response.result);
+      } catch (err) {
+        return cbk([503, 'ExpectedJsonResponseFromBitcoindRpc', {err}]);
+      }
+    });
+  });
+
+  req.on('error', err => cbk([503, 'FailedToConnectToBitcoindRpc', {err}]));
+
+  req.on('timeout', () => req.destroy(new Error('BitcoindRpcTimedOut')));
+
+  req.end(body);
+
+  return;
+};
@@ -0,0 +1,124 @@
+const {X509Certificate} = require('crypto');
+const net = require('net');
+const tls = require('tls');
+
+const defaultTimeoutMs = 1000 * 30;
+const lineBreak = '\n';
+const {parse} = JSON;
+const {stringify} = JSON;
+
+// Get the SHA-256 fingerprint of a base64 encoded PEM certificate
+const pinnedFingerprint = cert => {
+  return new X509Certificate(Buffer.from(cert, 'base64')).fingerprint256;
+};
+
+/** Make a JSON-RPC call to an Electrum server chain backend
+
+  TLS server certificates are checked against the system certificate
+  authorities unless a certificate to trust is pinned. A pinned certificate
+  is matched by its fingerprint instead of by the server host name.
+
+  {
+    backend: {
+      [cert]: <Pinned Base64 PEM TLS Certificate String>
+      host: <Electrum Server Host String>
+      [is_tls]: <Electrum Server Uses TLS Bool>
+      port: <Electrum Server Port Number>
+    }
+    method: <RPC Method String>
+    params: [<RPC Parameter Object>]
+    [timeout]: <Timeout Milliseconds Number>
+  }
+
+  @returns via cbk
+  <RPC Result Object>
+*/
+module.exports = ({backend, method, params, timeout}, cbk) => {
+  if (!backend || !backend.host || !backend.port) {
+    return cbk([400, 'ExpectedElectrumHostAndPortToMakeRpcCall']);
+  }
+
+  if (!method) {
+    return cbk([400, 'ExpectedMethodToMakeElectrumRpcCall']);
+  }
+
+  let buffer = '';
+  let isFinished = false;
+  let pinned;
+
+  try {
+    pinned = !!backend.cert ? pinnedFingerprint(backend.cert) : undefined;
+  } catch (err) {
+    return cbk([400, 'ExpectedValidPinnedElectrumServerCertificate', {err}]);
+  }
+
+  const finished = (err, res) => {
+    // Exit early when already finished
+    if (!!isFinished) {
+      return;
+    }
+
+    isFinished = true;
+
+    socket.destroy();
+
+    return cbk(err, res);
+  };
+
+  const connect = !!backend.is_tls ? tls.connect : net.connect;
+
+  const socket = connect({
+    ca: !!backend.cert ? Buffer.from(backend.cert, 'base64') : undefined,
+    checkServerIdentity: !pinned ? tls.checkServerIdentity : (host, cert) => {
+      // Exit early when the server presents the pinned certificate
+      if (cert.fingerprint256 === pinned) {
+        return;
+      }
+
+      return new Error('ElectrumServerCertificateDoesNotMatchPinned');
+    },
+    host: backend.host,
+    port: backend.port,
+  },
+  () => socket.write(stringify({method, params, id: 0}) + lineBreak));
+
+  socket.setTimeout(timeout || defaultTimeoutMs);
+
+  socket.on('data', data => {
+    buffer += data.toString();
+
+    // Exit early when the response line is not complete yet
+    if (!buffer.includes(lineBreak)) {
+      return;
+    }
+
+    const [line] = buffer.split(lineBreak);
+
+    try {
+      const response = parse(line);
+
+      if (!!response.error) {
+        return finished([503, 'ElectrumRpcError', {err: response.error}]);
+      }
+
+      return finished(null, response.result);
+    } catch (err) {
+      return finished([503, 'ExpectedJsonResponseFromElectrumRpc', {err}]);
+    }
+  });
+
+  socket.on('error', err => {
+    return finished([503, 'FailedToConnectToElectrumServer', {err}]);
+  });
+
+  socket.on('timeout', () => finished([503, 'ElectrumRpcTimedOut']));
+
+  // The server hung up without sending back a response line
+  ['close', 'end'].forEach(event => {
+    return socket.on(event, () => {
+      return finished([503, 'ElectrumServerClosedConnectionBeforeResponse']);
+    });
+  });
+
+  return;
+};
@@ -0,0 +1,32 @@
+const {endpoints} = require('./blockstream');
+
+const trailingSlash = '/';
+
+/** Get the Esplora API URL to request chain data from
+
+  A configured Esplora backend URL takes the place of the public API
+
+  {
+    [backend]: {
+      [url]: <Esplora API URL String>
+    }
+    network: <Network Name String>
+  }
+
+  @returns
+  {
+    [url]: <Esplora API URL With Trailing Slash String>
+  }
+*/
+module.exports = ({backend, network}) => {
+  // Exit early when there is no configured Esplora URL
+  if (!backend || !backend.url) {
+    return {url: endpoints[network]};
+  }
+
+  if (backend.url.endsWith(trailingSlash)) {
+    return {url: backend.url};
+  }
+
+  return {url: `${backend.url}${trailingSlash}`};
+};
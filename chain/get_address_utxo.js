@@ -2,18 +2,20 @@ const asyncAuto = require('async/auto');
 const asyncRetry = require('async/retry');
 const {returnResult} = require('asyncjs-util');
 
-const {endpoints} = require('./blockstream');
+const chainBackends = require('./chain_backends');
+const esploraApi = require('./esplora_api');
+const getBackendAddressUtxos = require('./get_backend_address_utxos');
 const getRawTransaction = require('./get_raw_transaction');
 
 const defaultInterval = n => 50 * Math.pow(2, n);
-const {isArray} = Array;
 const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
-const isHex = n => !!n && !(n.length % 2) && /^[0-9A-F]*$/i.test(n);
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
 
 /** Get raw transaction hex
 
   {
     address: <Address String>
+    [backend]: <Chain Backend Object>
     [interval]: <Retry Interval Milliseconds Number>
     network: <Network Name String>
     request: <Request Function>
@@ -39,7 +41,11 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedNetworkNameToGetUtxoForAddress']);
         }
 
-        if (!endpoints[args.network]) {
+        const {backend, network} = args;
+
+        const isEsplora = typeOf(backend) === chainBackends.esplora;
+
+        if (isEsplora && !esploraApi({backend, network}).url) {
           return cbk([400, 'UnsupportedNetworkToGetUtxoForAddress']);
         }
 
@@ -56,36 +62,39 @@ module.exports = (args, cbk) => {
 
       // Get the UTXO transaction id
       getTransactionId: ['validate', ({}, cbk) => {
+        // Exit early when external chain lookups are disabled
+        if (typeOf(args.backend) === chainBackends.none) {
+          return cbk([503, 'ExternalChainLookupsAreDisabled']);
+        }
+
         return asyncRetry({
           interval: args.interval || defaultInterval,
           times: args.retries,
         },
         cbk => {
-          return args.request({
-            json: true,
-            url: `${endpoints[args.network]}address/${args.address}/utxo`,
+          return getBackendAddressUtxos({
+            address: args.address,
+            backend: args.backend,
+            network: args.network,
+            request: args.request,
           },
-          (err, r, utxos) => {
+          (err, res) => {
             if (!!err) {
               return cbk([503, 'FailedToGetAddressUtxos', {err}]);
             }
 
-            if (!isArray(utxos)) {
-              return cbk([503, 'ExpectedArrayOfUtxosInAddressUtxosResponse']);
-            }
-
-            const [utxo] = utxos.filter(n => n.value === args.tokens);
+            const [utxo] = res.utxos.filter(n => n.tokens === args.tokens);
 
             // Exit early when there is no UTXO for the address
             if (!utxo) {
               return cbk();
             }
 
-            if (!isHash(utxo.txid)) {
+            if (!isHash(utxo.transaction_id)) {
               return cbk([503, 'ExpectedTransactionIdInUtxoForAddress']);
             }
 
-            return cbk(null, utxo.txid);
+            return cbk(null, utxo.transaction_id);
           });
         },
         cbk);
@@ -99,6 +108,7 @@ module.exports = (args, cbk) => {
         }
 
         return getRawTransaction({
+          backend: args.backend,
           id: getTransactionId,
           interval: args.interval,
           network: args.network,
@@ -0,0 +1,114 @@
+const {createHash} = require('crypto');
+
+const bitcoindRpc = require('./bitcoind_rpc');
+const chainBackends = require('./chain_backends');
+const electrumRpc = require('./electrum_rpc');
+const esploraApi = require('./esplora_api');
+const outputScriptForAddress = require('./output_script_for_address');
+
+const btcAsTokens = btc => Math.round(btc * 1e8);
+const {isArray} = Array;
+const sha256 = hex => createHash('sha256').update(hex, 'hex').digest();
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
+
+/** Get the unspent outputs paying to an address from the chain backend
+
+  {
+    address: <Address String>
+    [backend]: <Chain Backend Object>
+    network: <Network Name String>
+    request: <Request Function>
+  }
+
+  @returns via cbk
+  {
+    utxos: [{
+      [transaction_id]: <Transaction Id Hex String>
+      [tokens]: <Output Tokens Number>
+    }]
+  }
+*/
+module.exports = ({address, backend, network, request}, cbk) => {
+  // Electrum indexes outputs by the reversed hash of the output script
+  if (typeOf(backend) === chainBackends.electrum) {
+    try {
+      outputScriptForAddress({address, network});
+    } catch (err) {
+      return cbk([400, 'ExpectedValidAddressToGetAddressUtxos', {err}]);
+    }
+
+    const {script} = outputScriptForAddress({address, network});
+
+    return electrumRpc({
+      backend,
+      method: 'blockchain.scripthash.listunspent',
+      params: [sha256(script).reverse().toString('hex')],
+    },
+    (err, res) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      if (!isArray(res)) {
+        return cbk([503, 'ExpectedArrayOfUnspentsInListUnspentResult']);
+      }
+
+      return cbk(null, {
+        utxos: res.map(utxo => ({
+          tokens: utxo.value,
+          transaction_id: utxo.tx_hash,
+        })),
+      });
+    });
+  }
+
+  switch (typeOf(backend)) {
+  case chainBackends.bitcoind:
+    return bitcoindRpc({
+      backend,
+      method: 'scantxoutset',
+      params: ['start', [`addr(${address})`]],
+    },
+    (err, res) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      if (!res || !isArray(res.unspents)) {
+        return cbk([503, 'ExpectedArrayOfUnspentsInScanResult']);
+      }
+
+      return cbk(null, {
+        utxos: res.unspents.map(utxo => ({
+          tokens: btcAsTokens(utxo.amount),
+          transaction_id: utxo.txid,
+        })),
+      });
+    });
+
+  case chainBackends.none:
+    return cbk([503, 'ExternalChainLookupsAreDisabled']);
+
+  default:
+    return request({
+      json: true,
+      url: `${esploraApi({backend, network}).url}address/${address}/utxo`,
+    },
+    (err, r, utxos) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      if (!isArray(utxos)) {
+        return cbk([503, 'ExpectedArrayOfUtxosInAddressUtxosResponse']);
+      }
+
+      return cbk(null, {
+        utxos: utxos.map(utxo => ({
+          tokens: utxo.value,
+          transaction_id: utxo.txid,
+        })),
+      });
+    });
+  }
+};
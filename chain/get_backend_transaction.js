@@ -0,0 +1,73 @@
+const bitcoindRpc = require('./bitcoind_rpc');
+const chainBackends = require('./chain_backends');
+const electrumRpc = require('./electrum_rpc');
+const esploraApi = require('./esplora_api');
+
+const notFoundCode = 404;
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
+
+/** Get a raw transaction from the chain backend
+
+  {
+    [backend]: <Chain Backend Object>
+    id: <Transaction Id Hex String>
+    network: <Network Name String>
+    request: <Request Function>
+  }
+
+  @returns via cbk
+  {
+    [is_not_found]: <Transaction Was Not Found Bool>
+    [transaction]: <Transaction Hex String>
+  }
+*/
+module.exports = ({backend, id, network, request}, cbk) => {
+  switch (typeOf(backend)) {
+  case chainBackends.bitcoind:
+    return bitcoindRpc({
+      backend,
+      method: 'getrawtransaction',
+      params: [id],
+    },
+    (err, transaction) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      return cbk(null, {transaction});
+    });
+
+  case chainBackends.electrum:
+    return electrumRpc({
+      backend,
+      method: 'blockchain.transaction.get',
+      params: [id],
+    },
+    (err, transaction) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      return cbk(null, {transaction});
+    });
+
+  case chainBackends.none:
+    return cbk([503, 'ExternalChainLookupsAreDisabled']);
+
+  default:
+    return request({
+      url: `${esploraApi({backend, network}).url}tx/${id}/hex`,
+    },
+    (err, r, transaction) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      if (!!r && r.statusCode === notFoundCode) {
+        return cbk(null, {is_not_found: true});
+      }
+
+      return cbk(null, {transaction});
+    });
+  }
+};
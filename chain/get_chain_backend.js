@@ -0,0 +1,142 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const chainBackends = require('./chain_backends');
+const {homePath} = require('./../storage');
+
+const config = 'config.json';
+const defaultBackend = {type: chainBackends.esplora};
+const isUrl = n => !!n && /^https?:\/\//.test(n);
+const {isArray} = Array;
+const isObject = n => !!n && typeof n === 'object' && !isArray(n);
+const {keys} = Object;
+const missingFileCode = 'ENOENT';
+const {parse} = JSON;
+
+/** Get the chain data backend to use for a node
+
+  Backends are set in the config.json file in the .bos directory, either as
+  `chain_backend` for all nodes or in `chain_backends` by saved node name
+
+  When no backend is configured, the public Esplora API is used. A config file
+  that cannot be read or parsed is an error so that lookups meant for a private
+  backend are not sent to the public API instead.
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [node]: <Saved Node Name String>
+  }
+
+  @returns via cbk or Promise
+  {
+    backend: {
+      [cert]: <Pinned Electrum Server Base64 PEM TLS Certificate String>
+      [host]: <Electrum Server Host String>
+      [is_tls]: <Electrum Server Uses TLS Bool>
+      [password]: <Bitcoind RPC Password String>
+      [port]: <Electrum Server Port Number>
+      type: <Chain Backend Type String>
+      [url]: <Esplora API or Bitcoind RPC URL String>
+      [username]: <Bitcoind RPC Username String>
+    }
+  }
+*/
+module.exports = ({fs, node}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetChainBackend']);
+        }
+
+        return cbk();
+      },
+
+      // Get the configured backend
+      getConfigured: ['validate', ({}, cbk) => {
+        const {path} = homePath({file: config});
+
+        return fs.getFile(path, (err, res) => {
+          // Exit early when there is no config file
+          if (!!err && err.code === missingFileCode) {
+            return cbk();
+          }
+
+          if (!!err) {
+            return cbk([503, 'FailedToReadConfigFileForChainBackend', {err}]);
+          }
+
+          // Exit early when the config file is empty
+          if (!res) {
+            return cbk();
+          }
+
+          try {
+            parse(res.toString());
+          } catch (err) {
+            return cbk([400, 'ConfigurationFileIsInvalidFormat', {err}]);
+          }
+
+          const config = parse(res.toString());
+
+          if (!isObject(config)) {
+            return cbk([400, 'ConfigurationFileIsInvalidFormat']);
+          }
+
+          const byNode = config.chain_backends || {};
+
+          // Exit early when there is a backend for the specific node
+          if (!!node && !!byNode[node]) {
+            return cbk(null, byNode[node]);
+          }
+
+          return cbk(null, config.chain_backend);
+        });
+      }],
+
+      // Check the backend
+      backend: ['getConfigured', ({getConfigured}, cbk) => {
+        // Exit early when no backend is configured
+        if (!getConfigured) {
+          return cbk(null, {backend: defaultBackend});
+        }
+
+        const backend = getConfigured;
+        const types = keys(chainBackends);
+
+        if (!types.includes(backend.type)) {
+          return cbk([400, 'ExpectedKnownChainBackendType', {types}]);
+        }
+
+        switch (backend.type) {
+        case chainBackends.bitcoind:
+          if (!isUrl(backend.url)) {
+            return cbk([400, 'ExpectedBitcoindRpcUrlForChainBackend']);
+          }
+          break;
+
+        case chainBackends.electrum:
+          if (!backend.host || !backend.port) {
+            return cbk([400, 'ExpectedElectrumHostAndPortForChainBackend']);
+          }
+          break;
+
+        case chainBackends.esplora:
+          if (!!backend.url && !isUrl(backend.url)) {
+            return cbk([400, 'ExpectedHttpEsploraApiUrlForChainBackend']);
+          }
+          break;
+
+        default:
+          break;
+        }
+
+        return cbk(null, {backend});
+      }],
+    },
+    returnResult({reject, resolve, of: 'backend'}, cbk));
+  });
+};
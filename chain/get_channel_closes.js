@@ -16,6 +16,7 @@ const defaultLimit = 20;
 /** Get the last channel close outcomes
 
   {
+    [backend]: <Chain Backend Object>
     [limit]: <Limit Number>
     lnd: <Authenticated LND API Object>
     request: <Request Function>
@@ -43,7 +44,7 @@ const defaultLimit = 20;
     [closing_fee_paid]: <Closing Fees Paid Related To Channel Tokens Number>
   }
 */
-module.exports = ({limit, lnd, request}, cbk) => {
+module.exports = ({backend, limit, lnd, request}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -88,6 +89,7 @@ module.exports = ({limit, lnd, request}, cbk) => {
 
         return await asyncMapSeries(channels, async channel => {
           const {resolutions} = await getChannelResolution({
+            backend,
             request,
             close_transaction_id: channel.close_transaction_id,
             is_cooperative_close: channel.is_cooperative_close,
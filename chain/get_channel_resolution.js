@@ -4,15 +4,24 @@ const {resolutionType} = require('bolt03');
 const {returnResult} = require('asyncjs-util');
 const {Transaction} = require('bitcoinjs-lib');
 
-const {endpoints} = require('./blockstream');
+const chainBackends = require('./chain_backends');
+const esploraApi = require('./esplora_api');
+const getBackendTransaction = require('./get_backend_transaction');
 
 const closeSpendsDelayMs = 1000;
 const flatten = arr => [].concat(...arr);
 const getTxDelayMs = 2000;
+const isHex = n => !!n && !(n.length % 2) && /^[0-9A-F]*$/i.test(n);
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
 
 /** Get channel resolution
 
+  Transactions are looked up with the chain backend, but output spends can
+  only be looked up with an Esplora backend. With other backends, resolutions
+  are only derived from output spends in the local transactions
+
   {
+    [backend]: <Chain Backend Object>
     close_transaction_id: <Close Transaction Id String>
     [is_cooperative_close]: <Channel Is Cooperatively Closed Bool>
     network: <Network Name String>
@@ -52,6 +61,19 @@ module.exports = (args, cbk) => {
         return cbk();
       },
 
+      // Esplora API URL for looking up output spends
+      api: ['validate', ({}, cbk) => {
+        // Exit early when the backend cannot look up output spends
+        if (typeOf(args.backend) !== chainBackends.esplora) {
+          return cbk(null, {});
+        }
+
+        return cbk(null, esploraApi({
+          backend: args.backend,
+          network: args.network,
+        }));
+      }],
+
       // Get commitment transaction
       getCommitmentTransaction: ['validate', ({}, cbk) => {
         if (!!args.is_cooperative_close) {
@@ -67,23 +89,27 @@ module.exports = (args, cbk) => {
           return cbk(null, found.transaction);
         }
 
-        return args.request({
-          url: `${endpoints[args.network]}tx/${id}/hex`
+        // Exit early when the transaction cannot be looked up
+        if (typeOf(args.backend) === chainBackends.none) {
+          return cbk();
+        }
+
+        return getBackendTransaction({
+          id,
+          backend: args.backend,
+          network: args.network,
+          request: args.request,
         },
-        (err, r, txHex) => {
+        (err, res) => {
           if (!!err) {
-            return cbk([503, 'UnexpectedErrorGettingCommitTxInfo', err]);
-          }
-
-          if (!r || r.statusCode !== 200) {
-            return cbk([503, 'UnexpectedResponseCodeWhenGettingCommitTx']);
+            return cbk([503, 'UnexpectedErrorGettingCommitTxInfo', {err}]);
           }
 
-          if (!txHex) {
+          if (!isHex(res.transaction)) {
             return cbk([503, 'ExpectedTransactionForCommitTxId']);
           }
 
-          return cbk(null, txHex);
+          return cbk(null, res.transaction);
         });
       }],
 
@@ -103,7 +129,7 @@ module.exports = (args, cbk) => {
       }],
 
       // Get close tx output spends
-      getCloseSpends: ['spends', ({spends}, cbk) => {
+      getCloseSpends: ['api', 'spends', ({api, spends}, cbk) => {
         if (!!args.is_cooperative_close) {
           return cbk(null, []);
         }
@@ -121,9 +147,14 @@ module.exports = (args, cbk) => {
           }));
         }
 
+        // Exit early when the output spends cannot be looked up
+        if (!api.url) {
+          return cbk();
+        }
+
         return args.request({
           json: true,
-          url: `${endpoints[args.network]}tx/${closeTxId}/outspends`,
+          url: `${api.url}tx/${closeTxId}/outspends`,
         },
         (err, r, outspends) => {
           if (!!err) {
@@ -164,7 +195,7 @@ module.exports = (args, cbk) => {
       getTransactions: ['getCloseSpends', ({getCloseSpends}, cbk) => {
         const txs = {};
 
-        return asyncMapSeries(getCloseSpends, ({txid, vin}, cbk) => {
+        return asyncMapSeries(getCloseSpends || [], ({txid, vin}, cbk) => {
           if (!txid) {
             return cbk(null, {});
           }
@@ -180,26 +211,30 @@ module.exports = (args, cbk) => {
             return cbk(null, {id: txid, transaction: found.transaction});
           }
 
-          return args.request({
-            url: `${endpoints[args.network]}tx/${txid}/hex`
+          // Exit early when the transaction cannot be looked up
+          if (typeOf(args.backend) === chainBackends.none) {
+            return cbk(null, {});
+          }
+
+          return getBackendTransaction({
+            backend: args.backend,
+            id: txid,
+            network: args.network,
+            request: args.request,
           },
-          (err, r, txHex) => {
+          (err, res) => {
             if (!!err) {
-              return cbk([503, 'UnexpectedErrorGettingSpentTxInfo', err]);
-            }
-
-            if (!r || r.statusCode !== 200) {
-              return cbk([503, 'UnexpectedResponseCodeWhenGettingTx']);
+              return cbk([503, 'UnexpectedErrorGettingSpentTxInfo', {err}]);
             }
 
-            if (!txHex) {
+            if (!isHex(res.transaction)) {
               return cbk([503, 'ExpectedTransactionForSpendTxId']);
             }
 
-            txs[txid] = txHex;
+            txs[txid] = res.transaction;
 
             return setTimeout(() => {
-              return cbk(null, {id: txid, transaction: txHex});
+              return cbk(null, {id: txid, transaction: res.transaction});
             },
             getTxDelayMs);
           });
@@ -219,6 +254,11 @@ module.exports = (args, cbk) => {
           return cbk(null, {});
         }
 
+        // Exit early when the close details could not be looked up
+        if (!getCommitmentTransaction || !getCloseSpends) {
+          return cbk(null, {});
+        }
+
         const tx = Transaction.fromHex(getCommitmentTransaction);
 
         const resolutions = getCloseSpends.map(({txid, vin}, i) => {
@@ -2,12 +2,21 @@ const asyncAuto = require('async/auto');
 const asyncRetry = require('async/retry');
 const {returnResult} = require('asyncjs-util');
 
+const bitcoindRpc = require('./bitcoind_rpc');
+const chainBackends = require('./chain_backends');
+const electrumRpc = require('./electrum_rpc');
+const esploraApi = require('./esplora_api');
+
 const interval = n => 50 * Math.pow(2, n);
+const {isArray} = Array;
 const isNumber = n => !isNaN(n);
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
 
 /** Get mempool size
 
   {
+    [backend]: <Chain Backend Object>
     network: <Network Name String>
     request: <Request Function>
     [retries]: <Retries Count Number>
@@ -18,7 +27,7 @@ const isNumber = n => !isNaN(n);
     [vbytes]: <Size of Mempool Virtual Bytes Number>
   }
 */
-module.exports = ({network, request, retries}, cbk) => {
+module.exports = ({backend, network, request, retries}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -34,30 +43,84 @@ module.exports = ({network, request, retries}, cbk) => {
         return cbk();
       },
 
-      // API for network
-      api: ['validate', ({}, cbk) => {
-        switch (network) {
-        case 'btc':
-          return cbk(null, 'https://blockstream.info');
+      // Get mempool size from a bitcoind backend
+      getBitcoindMempool: ['validate', ({}, cbk) => {
+        // Exit early when the backend is not bitcoind
+        if (typeOf(backend) !== chainBackends.bitcoind) {
+          return cbk();
+        }
+
+        return bitcoindRpc({
+          backend,
+          method: 'getmempoolinfo',
+          params: [],
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk([503, 'FailedToGetMempoolSizeInfo', {err}]);
+          }
+
+          if (!res || !isNumber(res.bytes)) {
+            return cbk([503, 'ExpectedMempoolVirtualByteSize']);
+          }
 
-        case 'btctestnet':
-          return cbk(null, 'https://blockstream.info/testnet');
+          return cbk(null, {vbytes: res.bytes});
+        });
+      }],
 
-        default:
+      // Get mempool size from an Electrum backend
+      getElectrumMempool: ['validate', ({}, cbk) => {
+        // Exit early when the backend is not Electrum
+        if (typeOf(backend) !== chainBackends.electrum) {
           return cbk();
         }
+
+        return electrumRpc({
+          backend,
+          method: 'mempool.get_fee_histogram',
+          params: [],
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk([503, 'FailedToGetMempoolSizeInfo', {err}]);
+          }
+
+          if (!isArray(res)) {
+            return cbk([503, 'ExpectedMempoolFeeHistogram']);
+          }
+
+          // The histogram is a list of fee rate and virtual bytes pairs
+          return cbk(null, {vbytes: sumOf(res.map(([, vbytes]) => vbytes))});
+        });
       }],
 
       // Get mempool size
-      getMempool: ['api', ({api}, cbk) => {
-        if (!api) {
+      getMempool: [
+        'getBitcoindMempool',
+        'getElectrumMempool',
+        ({getBitcoindMempool, getElectrumMempool}, cbk) =>
+      {
+        // Exit early when the mempool size came from a bitcoind backend
+        if (!!getBitcoindMempool) {
+          return cbk(null, getBitcoindMempool);
+        }
+
+        // Exit early when the mempool size came from an Electrum backend
+        if (!!getElectrumMempool) {
+          return cbk(null, getElectrumMempool);
+        }
+
+        const {url} = esploraApi({backend, network});
+
+        // Exit early when there is no mempool info to look up
+        if (typeOf(backend) !== chainBackends.esplora || !url) {
           return cbk(null, {});
         }
 
         return asyncRetry({interval, times: retries}, cbk => {
           return request({
             json: true,
-            url: `${api}/api/mempool`,
+            url: `${url}mempool`,
           },
           (err, r, mempool) => {
             if (!!err) {
@@ -3,15 +3,19 @@ const asyncRetry = require('async/retry');
 const {returnResult} = require('asyncjs-util');
 const {Transaction} = require('bitcoinjs-lib');
 
-const {endpoints} = require('./blockstream');
+const chainBackends = require('./chain_backends');
+const esploraApi = require('./esplora_api');
+const getBackendTransaction = require('./get_backend_transaction');
 
 const defaultInterval = n => 50 * Math.pow(2, n);
 const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
 const isHex = n => !!n && !(n.length % 2) && /^[0-9A-F]*$/i.test(n);
+const typeOf = backend => !!backend ? backend.type : chainBackends.esplora;
 
 /** Get raw transaction hex
 
   {
+    [backend]: <Chain Backend Object>
     id: <Transaction Id Hex String>
     [interval]: <Retry Interval Milliseconds Number>
     network: <Network Name String>
@@ -24,7 +28,9 @@ const isHex = n => !!n && !(n.length % 2) && /^[0-9A-F]*$/i.test(n);
     transaction: <Transaction Hex String>
   }
 */
-module.exports = ({id, interval, network, request, retries}, cbk) => {
+module.exports = (args, cbk) => {
+  const {backend, id, interval, network, request, retries} = args;
+
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -37,7 +43,9 @@ module.exports = ({id, interval, network, request, retries}, cbk) => {
           return cbk([400, 'ExpectedNetworkNameToGetRawTransaction']);
         }
 
-        if (!endpoints[network]) {
+        const isEsplora = typeOf(backend) === chainBackends.esplora;
+
+        if (isEsplora && !esploraApi({backend, network}).url) {
           return cbk([400, 'UnsupportedNetworkToGetRawTransaction']);
         }
 
@@ -50,23 +58,33 @@ module.exports = ({id, interval, network, request, retries}, cbk) => {
 
       // Get the raw transaction
       getTransaction: ['validate', ({}, cbk) => {
+        // Exit early when external chain lookups are disabled
+        if (typeOf(backend) === chainBackends.none) {
+          return cbk([503, 'ExternalChainLookupsAreDisabled']);
+        }
+
         return asyncRetry({
           interval: interval || defaultInterval,
           times: retries,
         },
         cbk => {
-          return request({
-            url: `${endpoints[network]}tx/${id}/hex`,
+          return getBackendTransaction({
+            backend,
+            id,
+            network,
+            request,
           },
-          (err, r, transaction) => {
+          (err, res) => {
             if (!!err) {
               return cbk([503, 'FailedToGetRawTransaction', {err}]);
             }
 
-            if (!!r && r.statusCode === 404) {
+            if (!!res.is_not_found) {
               return cbk([404, 'TransactionNotFound']);
             }
 
+            const {transaction} = res;
+
             if (!isHex(transaction)) {
               return cbk([503, 'ExpectedTransactionInResponse']);
             }
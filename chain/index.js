@@ -1,5 +1,6 @@
 const fundTransaction = require('./fund_transaction');
 const getAddressUtxo = require('./get_address_utxo');
+const getChainBackend = require('./get_chain_backend');
 const getChainFees = require('./get_chain_fees');
 const getChannelCloses = require('./get_channel_closes');
 const getDepositAddress = require('./get_deposit_address');
@@ -13,6 +14,7 @@ const splitUtxos = require('./split_utxos');
 module.exports = {
   fundTransaction,
   getAddressUtxo,
+  getChainBackend,
   getChainFees,
   getChannelCloses,
   getDepositAddress,
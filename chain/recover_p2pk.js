@@ -39,6 +39,7 @@ const {Transaction} = bitcoinjsLib;
 /** Recover funds sent to a P2PK using the node identity key
 
   {
+    [backend]: <Chain Backend Object>
     id: <Transaction Id Hex String>
     lnd: <Authenticated LND API Object>
     request: <Request Function>
@@ -52,7 +53,7 @@ const {Transaction} = bitcoinjsLib;
     transaction_id: <Recovery Transaction Id Hex String>
   }
 */
-module.exports = ({id, lnd, request, vout}, cbk) => {
+module.exports = ({backend, id, lnd, request, vout}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -88,6 +89,7 @@ module.exports = ({id, lnd, request, vout}, cbk) => {
       // Get the raw transaction
       getTx: ['getNetwork', ({getNetwork}, cbk) => {
         return getRawTransaction({
+          backend,
           id,
           request,
           network: getNetwork.network,
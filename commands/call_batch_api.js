@@ -0,0 +1,186 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {returnResult} = require('asyncjs-util');
+const yaml = require('yaml');
+
+const {calls} = require('./api');
+const runBatchCalls = require('./run_batch_calls');
+
+const fromStdin = '-';
+const {isArray} = Array;
+const isYamlFile = path => /\.ya?ml$/i.test(path);
+const {keys} = Object;
+const lower = n => n.toLowerCase();
+const methodDetails = n => calls.find(call => lower(call.method) === lower(n));
+const {parse} = JSON;
+const stdinDescriptor = 0;
+
+/** Call the raw API non-interactively with a batch of calls from a file
+
+  The file is a JSON array of calls, or YAML when the file ends in .yaml or
+  .yml or is read from stdin:
+
+  [{
+    method: <Method to Call String>
+    [name]: <Name For Referencing Call Result String> // Defaults to method
+    [params]: <Method Parameters Object>
+  }]
+
+  Parameters can reference results of earlier calls, like
+  `$.getChannels.channels[0].id`
+
+  Calls stop on a node after the first call that fails
+
+  Subscription methods are not supported in a batch
+
+  {
+    file: <Batch File Path String> // `-` to read from stdin
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    lnds: [<Authenticated LND API Object>]
+    [nodes]: [<Saved Node Name String>]
+  }
+
+  @returns via cbk or Promise
+  {
+    nodes: [{
+      calls: [{
+        [error]: [<Error Code Number>, <Error Message String>]
+        method: <Called Method String>
+        name: <Call Name String>
+        [result]: <Call Result Object>
+      }]
+      [node]: <Saved Node Name String>
+    }]
+  }
+*/
+module.exports = ({file, fs, lnds, nodes}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!file) {
+          return cbk([400, 'ExpectedBatchFilePathToCallApi']);
+        }
+
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToCallBatchApi']);
+        }
+
+        if (!isArray(lnds) || !lnds.length) {
+          return cbk([400, 'ExpectedAuthenticatedLndsToCallBatchApi']);
+        }
+
+        return cbk();
+      },
+
+      // Get the batch of calls
+      getBatch: ['validate', ({}, cbk) => {
+        const path = file === fromStdin ? stdinDescriptor : file;
+
+        return fs.getFile(path, (err, res) => {
+          if (!!err || !res) {
+            return cbk([400, 'FailedToReadBatchCallsFile', {err}]);
+          }
+
+          // YAML is a superset of JSON so stdin can be either
+          if (file === fromStdin || isYamlFile(file)) {
+            try {
+              return cbk(null, yaml.parse(res.toString()));
+            } catch (err) {
+              return cbk([400, 'ExpectedValidYamlBatchCallsFile', {err}]);
+            }
+          }
+
+          try {
+            return cbk(null, parse(res.toString()));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonBatchCallsFile', {err}]);
+          }
+        });
+      }],
+
+      // Check the batch of calls
+      batch: ['getBatch', ({getBatch}, cbk) => {
+        if (!isArray(getBatch) || !getBatch.length) {
+          return cbk([400, 'ExpectedArrayOfCallsInBatchCallsFile']);
+        }
+
+        const isUnknown = getBatch.find(call => {
+          return !call || typeof call.method !== 'string' ||
+            !methodDetails(call.method);
+        });
+
+        if (!!isUnknown) {
+          return cbk([400, 'ExpectedKnownMethodForEachBatchCall']);
+        }
+
+        const batch = getBatch.map(call => ({
+          method: methodDetails(call.method).method,
+          name: call.name || methodDetails(call.method).method,
+          params: call.params || {},
+        }));
+
+        const names = batch.map(n => n.name);
+
+        if (names.length !== new Set(names).size) {
+          return cbk([400, 'ExpectedUniqueNameForEachBatchCall']);
+        }
+
+        if (!!batch.find(n => !!methodDetails(n.method).events)) {
+          return cbk([400, 'SubscriptionMethodsAreNotSupportedInBatchCalls']);
+        }
+
+        // Parameters must all match method parameters
+        const unknown = batch.find(({method, params}) => {
+          const args = methodDetails(method).arguments || [];
+
+          return !!keys(params).find(key => !args.find(n => n.named === key));
+        });
+
+        if (!!unknown) {
+          return cbk([400, 'UnknownParameterProvided', {call: unknown.name}]);
+        }
+
+        // Required parameters must all be present
+        const missing = batch.find(({method, params}) => {
+          const args = methodDetails(method).arguments || [];
+
+          // Booleans are false when not specified
+          const required = args
+            .filter(n => !n.optional && n.type !== 'boolean')
+            .map(n => n.named);
+
+          return !!required.find(named => params[named] === undefined);
+        });
+
+        if (!!missing) {
+          return cbk([400, 'MissingRequiredParameter', {call: missing.name}]);
+        }
+
+        return cbk(null, batch);
+      }],
+
+      // Run the batch of calls against each node
+      call: ['batch', ({batch}, cbk) => {
+        return asyncMapSeries(lnds, (lnd, cbk) => {
+          const node = !!nodes ? nodes[lnds.indexOf(lnd)] : undefined;
+
+          return runBatchCalls({batch, lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, calls: res.calls});
+          });
+        },
+        cbk);
+      }],
+
+      // Final results
+      results: ['call', ({call}, cbk) => cbk(null, {nodes: call})],
+    },
+    returnResult({reject, resolve, of: 'results'}, cbk));
+  });
+};
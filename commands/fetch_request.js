@@ -34,6 +34,7 @@ module.exports = ({fetch}, cbk) => {
         // Make the request
         const response = await fetch(url, {
           body: options.body || undefined,
+          headers: options.headers || undefined,
           method: options.method || undefined,
           signal: controller.signal,
         });
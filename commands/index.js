@@ -1,10 +1,12 @@
 const {accountingCategories} = require('./constants');
 const autocomplete = require('./autocomplete');
+const callBatchApi = require('./call_batch_api');
 const callRawApi = require('./call_raw_api');
 const clean = require('./clean');
 const fetchRequest = require('./fetch_request');
 const interrogate = require('./interrogate');
 const {marketPairs} = require('./constants');
+const outputOption = require('./output_option');
 const {peerSortOptions} = require('./constants');
 const {rateProviders} = require('./constants');
 const simpleRequest = require('./simple_request');
@@ -13,11 +15,13 @@ const {swapTypes} = require('./constants');
 module.exports = {
   accountingCategories,
   autocomplete,
+  callBatchApi,
   callRawApi,
   clean,
   fetchRequest,
   interrogate,
   marketPairs,
+  outputOption,
   peerSortOptions,
   rateProviders,
   simpleRequest,
@@ -0,0 +1,48 @@
+const flag = '--output';
+const flagWithValue = `${flag}=`;
+const scriptArgsCount = 2;
+
+/** Take the global output format option out of command line arguments
+
+  The option is accepted by every command as --output <format> or
+  --output=<format> and the command name is the first script argument
+
+  {
+    argv: [<Command Line Argument String>]
+  }
+
+  @returns
+  {
+    argv: [<Command Line Argument Without Output Option String>]
+    [output]: {
+      command: <Command Name String>
+      format: <Output Format String>
+    }
+  }
+*/
+module.exports = ({argv}) => {
+  const index = argv.findIndex(arg => {
+    return arg === flag || arg.startsWith(flagWithValue);
+  });
+
+  // Exit early when there is no output option
+  if (index < scriptArgsCount) {
+    return {argv};
+  }
+
+  const arg = argv[index];
+
+  const isSeparateValue = arg === flag;
+
+  const value = arg.slice(flagWithValue.length);
+
+  const format = isSeparateValue ? argv[index + 1] : value;
+
+  const remaining = argv.filter((n, i) => {
+    return i !== index && (!isSeparateValue || i !== index + 1);
+  });
+
+  const [command] = remaining.slice(scriptArgsCount);
+
+  return {argv: remaining, output: {command, format: format || String()}};
+};
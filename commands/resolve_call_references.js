@@ -0,0 +1,72 @@
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const {isArray} = Array;
+const {keys} = Object;
+const pathSegments = /[^.[\]]+/g;
+const referencePrefix = '$.';
+
+/** Resolve references to earlier call results in batch call parameters
+
+  A reference is a string like `$.getChannels.channels[0].id` that starts with
+  the name of an earlier call and then walks into the result of that call
+
+  {
+    params: <Call Parameters Object>
+    results: {
+      <Call Name String>: <Call Result Object>
+    }
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    params: <Call Parameters With References Resolved Object>
+  }
+*/
+module.exports = ({params, results}) => {
+  const resolve = value => {
+    if (isArray(value)) {
+      return value.map(resolve);
+    }
+
+    if (!!value && typeof value === 'object') {
+      return keys(value).reduce((sum, key) => {
+        sum[key] = resolve(value[key]);
+
+        return sum;
+      },
+      {});
+    }
+
+    // Exit early when the value is not a reference
+    if (typeof value !== 'string' || !value.startsWith(referencePrefix)) {
+      return value;
+    }
+
+    const path = value.slice(referencePrefix.length).match(pathSegments) || [];
+
+    const [name] = path;
+
+    if (!name || !hasOwn(results, name)) {
+      throw new Error('ExpectedEarlierCallNameForBatchCallReference');
+    }
+
+    const resolved = path.reduce((sum, segment) => {
+      if (sum === undefined || sum === null || !hasOwn(sum, segment)) {
+        return undefined;
+      }
+
+      return sum[segment];
+    },
+    results);
+
+    if (resolved === undefined) {
+      throw new Error('FailedToResolveBatchCallReference');
+    }
+
+    return resolved;
+  };
+
+  return {params: resolve(params || {})};
+};
@@ -0,0 +1,107 @@
+const asyncAuto = require('async/auto');
+const asyncReduce = require('async/reduce');
+const lnService = require('ln-service');
+const lnSync = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const {calls} = require('./api');
+const resolveCallReferences = require('./resolve_call_references');
+
+const errorDetails = err => isArray(err) ? err.slice(0, 2) : [503, String(err)];
+const fromLnSync = 'ln-sync';
+const {isArray} = Array;
+const methodDetails = method => calls.find(n => n.method === method);
+
+/** Run a batch of raw API calls against a node, in order
+
+  Calls stop after the first call that fails
+
+  {
+    batch: [{
+      method: <Method to Call String>
+      name: <Name For Referencing Call Result String>
+      params: <Method Parameters Object>
+    }]
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    calls: [{
+      [error]: [<Error Code Number>, <Error Message String>]
+      method: <Called Method String>
+      name: <Call Name String>
+      [result]: <Call Result Object>
+    }]
+  }
+*/
+module.exports = ({batch, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(batch)) {
+          return cbk([400, 'ExpectedArrayOfCallsToRunBatchCalls']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToRunBatchCalls']);
+        }
+
+        return cbk();
+      },
+
+      // Run the calls in order, passing along results for references
+      run: ['validate', ({}, cbk) => {
+        const start = {calls: [], results: {}};
+
+        return asyncReduce(batch, start, (sum, call, cbk) => {
+          const {method, name, params} = call;
+          const {results} = sum;
+
+          // Exit early when an earlier call failed
+          if (!!sum.calls.find(n => !!n.error)) {
+            return cbk(null, sum);
+          }
+
+          const failed = error => cbk(null, {
+            results,
+            calls: sum.calls.concat({error, method, name}),
+          });
+
+          let resolved;
+
+          try {
+            resolved = resolveCallReferences({params, results});
+          } catch (err) {
+            return failed([400, err.message]);
+          }
+
+          const {from} = methodDetails(method);
+
+          resolved.params.lnd = lnd;
+
+          const api = from === fromLnSync ? lnSync : lnService;
+
+          return api[method](resolved.params, (err, result) => {
+            if (!!err) {
+              return failed(errorDetails(err));
+            }
+
+            results[name] = result;
+
+            return cbk(null, {
+              results,
+              calls: sum.calls.concat({method, name, result}),
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Final calls
+      calls: ['run', ({run}, cbk) => cbk(null, {calls: run.calls})],
+    },
+    returnResult({reject, resolve, of: 'calls'}, cbk));
+  });
+};
@@ -1,6 +1,8 @@
+const http = require('http');
 const https = require('https');
 
 const asQueryString = qs => !!qs ? `?${qs}` : '';
+const httpProtocol = 'http:';
 const httpsProtocol = 'https:';
 const {keys} = Object;
 const {parse} = JSON;
@@ -9,9 +11,9 @@ const {parse} = JSON;
 
   {
     [json]: <Interpret Result as JSON Bool>
-    [method]: <HTTPS Method String>
+    [method]: <HTTP Method String>
     [timeout]: <Timeout MS Number>
-    url: <HTTPS URL String>
+    url: <HTTP or HTTPS URL String>
   }
 
   @returns
@@ -25,10 +27,12 @@ module.exports = (args, cbk) => {
 
   const url = new URL(args.url);
 
-  if (url.protocol !== httpsProtocol) {
-    return cbk([400, 'ExpectedHttpsProtocolToExecuteSimpleRequest']);
+  if (![httpProtocol, httpsProtocol].includes(url.protocol)) {
+    return cbk([400, 'ExpectedHttpProtocolToExecuteSimpleRequest']);
   }
 
+  const transport = url.protocol === httpProtocol ? http : https;
+
   let error;
   const qs = url.searchParams;
 
@@ -37,7 +41,7 @@ module.exports = (args, cbk) => {
     keys(args.qs).forEach(key => qs.set(key, args.qs[key]));
   }
 
-  const req = https.request({
+  const req = transport.request({
     hostname: url.hostname,
     method: args.method,
     path: url.pathname + asQueryString(qs.toString()),
@@ -6,6 +6,7 @@ const describeRoutingFailure = require('./describe_routing_failure');
 const formatFeeRate = require('./format_fee_rate');
 const getIcons = require('./get_icons');
 const isMatchingFilters = require('./is_matching_filters');
+const peerFilterVariables = require('./peer_filter_variables');
 const segmentMeasure = require('./segment_measure');
 const sumsForSegment = require('./sums_for_segment');
 
@@ -18,6 +19,7 @@ module.exports = {
   formatFeeRate,
   getIcons,
   isMatchingFilters,
+  peerFilterVariables,
   segmentMeasure,
   sumsForSegment,
 };
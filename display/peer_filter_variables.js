@@ -0,0 +1,76 @@
+const {decodeChanId} = require('bolt07');
+
+const estimateDiskFootprint = n => Math.round(n * 55 / 1e6 * 10) / 10;
+const {max} = Math;
+const {min} = Math;
+const mtokensAsTokens = mtokens => Number(mtokens / BigInt(1000));
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const sumMtokens = arr => arr.reduce((sum, n) => sum + BigInt(n), BigInt(0));
+
+/** Derive the variables that a peer filter formula is evaluated with
+
+  Channel ages are relative to all channels with the peer, including closed
+  channels, and liquidity includes the pending opening channels
+
+  {
+    channels: [{
+      capacity: <Channel Capacity Tokens Number>
+      local_balance: <Local Balance Tokens Number>
+      past_states: <Total Count of Past Channel States Number>
+      remote_balance: <Remote Balance Tokens Number>
+    }]
+    fee_rates: [<Inbound Fee Rate Parts Per Million Number>]
+    forwards: [{
+      fee_mtokens: <Forward Fee Millitokens Earned String>
+      incoming_channel: <Standard Format Incoming Channel Id String>
+      outgoing_channel: <Standard Format Outgoing Channel Id String>
+    }]
+    height: <Current Block Height Number>
+    ids: [<Standard Format Channel Id With Peer String>]
+    pending: [{
+      local_balance: <Opening Channel Local Balance Tokens Number>
+      remote_balance: <Opening Channel Remote Balance Tokens Number>
+    }]
+  }
+
+  @returns
+  {
+    variables: {
+      age: <Blocks Since Oldest Channel Number>
+      blocks_since_last_channel: <Blocks Since Newest Channel Number>
+      capacity: <Total Active Channels Capacity Tokens Number>
+      disk_usage_mb: <Estimated Channels Disk Usage Megabytes Number>
+      fee_earnings: <Forward Fee Earnings Tokens Number>
+      [inbound_fee_rate]: <Highest Inbound Fee Rate Number>
+      inbound_liquidity: <Inbound Liquidity Tokens Number>
+      outbound_liquidity: <Outbound Liquidity Tokens Number>
+    }
+  }
+*/
+module.exports = args => {
+  const channels = [].concat(args.channels).concat(args.pending);
+
+  const earned = args.forwards.filter(forward => {
+    return [forward.incoming_channel, forward.outgoing_channel]
+      .find(id => args.ids.includes(id));
+  });
+
+  const heights = args.ids.map(id => decodeChanId({channel: id}).block_height);
+
+  const feeMtokens = sumMtokens(earned.map(n => n.fee_mtokens));
+  const feeRate = !args.fee_rates.length ? undefined : max(...args.fee_rates);
+  const pastStates = sumOf(args.channels.map(n => n.past_states));
+
+  return {
+    variables: {
+      age: args.height - min(...heights),
+      blocks_since_last_channel: args.height - max(...heights),
+      capacity: sumOf(args.channels.map(n => n.capacity)),
+      disk_usage_mb: estimateDiskFootprint(pastStates),
+      fee_earnings: mtokensAsTokens(feeMtokens),
+      inbound_fee_rate: feeRate,
+      inbound_liquidity: sumOf(channels.map(n => n.remote_balance)),
+      outbound_liquidity: sumOf(channels.map(n => n.local_balance)),
+    },
+  };
+};
@@ -0,0 +1,80 @@
+const asyncAuto = require('async/auto');
+const {decodeFirst} = require('cbor');
+const {returnResult} = require('asyncjs-util');
+
+const decryptWithSecret = require('./decrypt_with_secret');
+
+const hexAsUtf8 = n => Buffer.from(n, 'hex').toString('utf8');
+const utf8AsHex = n => Buffer.from(n, 'utf8').toString('hex');
+
+/** Decrypt a string that was encrypted with a passphrase
+
+  {
+    cipher: <CBOR Encoded Encrypted Hex String>
+    passphrase: <Passphrase String>
+  }
+
+  @returns via cbk or Promise
+  {
+    clear: <Clear Text String>
+  }
+*/
+module.exports = ({cipher, passphrase}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!cipher) {
+          return cbk([400, 'ExpectedCiphertextToDecryptWithPassphrase']);
+        }
+
+        if (!passphrase) {
+          return cbk([400, 'ExpectedPassphraseToDecryptWithPassphrase']);
+        }
+
+        return cbk();
+      },
+
+      // Decode encrypted CBOR
+      decode: ['validate', ({}, cbk) => {
+        return decodeFirst(cipher, (err, details) => {
+          if (!!err) {
+            return cbk([400, 'ExpectedCborEncodedPassphraseEncryptedData']);
+          }
+
+          if (!details || !details.settings) {
+            return cbk([400, 'ExpectedEncryptionSettingsToDecryptPassphrase']);
+          }
+
+          return cbk(null, details);
+        });
+      }],
+
+      // Decrypt the data
+      decrypt: ['decode', ({decode}, cbk) => {
+        return decryptWithSecret({
+          encrypted: decode.encrypted,
+          iv: decode.iv,
+          salt: decode.salt,
+          secret: utf8AsHex(passphrase),
+          settings: {
+            algorithm: decode.settings.algorithm,
+            derivation: decode.settings.derivation,
+            digest: decode.settings.digest,
+            key_length: decode.settings.key_length,
+          },
+          tag: decode.tag,
+        },
+        (err, res) => {
+          // Exit early when the passphrase does not decrypt the data
+          if (!!err) {
+            return cbk([401, 'FailedToDecryptWithPassphrase']);
+          }
+
+          return cbk(null, {clear: hexAsUtf8(res.plain)});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'decrypt'}, cbk));
+  });
+};
@@ -0,0 +1,49 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const encryptToSecret = require('./encrypt_to_secret');
+
+const utf8AsHex = n => Buffer.from(n, 'utf8').toString('hex');
+
+/** Encrypt a string with a passphrase
+
+  The key is derived from the passphrase with scrypt and used with AES-GCM
+
+  {
+    passphrase: <Passphrase String>
+    plain: <Plain Clear Text String>
+  }
+
+  @returns via cbk or Promise
+  {
+    cipher: <CBOR Encoded Encrypted Hex String>
+  }
+*/
+module.exports = ({passphrase, plain}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!passphrase) {
+          return cbk([400, 'ExpectedPassphraseToEncryptWithPassphrase']);
+        }
+
+        if (!plain) {
+          return cbk([400, 'ExpectedPlainTextToEncryptWithPassphrase']);
+        }
+
+        return cbk();
+      },
+
+      // Encrypt the plain text
+      encrypt: ['validate', ({}, cbk) => {
+        return encryptToSecret({
+          plain: utf8AsHex(plain),
+          secret: utf8AsHex(passphrase),
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve, of: 'encrypt'}, cbk));
+  });
+};
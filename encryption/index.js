@@ -2,9 +2,11 @@ const certExpiration = require('./cert_expiration');
 const decryptCiphertext = require('./decrypt_ciphertext');
 const decryptPayload = require('./decrypt_payload');
 const decryptWithNode = require('./decrypt_with_node');
+const decryptWithPassphrase = require('./decrypt_with_passphrase');
 const derAsPem = require('./der_as_pem');
 const encryptToNode = require('./encrypt_to_node');
 const encryptToPublicKeys = require('./encrypt_to_public_keys');
+const encryptWithPassphrase = require('./encrypt_with_passphrase');
 const pemAsDer = require('./pem_as_der');
 
 module.exports = {
@@ -12,8 +14,10 @@ module.exports = {
   decryptCiphertext,
   decryptPayload,
   decryptWithNode,
+  decryptWithPassphrase,
   derAsPem,
   encryptToNode,
   encryptToPublicKeys,
+  encryptWithPassphrase,
   pemAsDer,
 };
@@ -1,7 +1,11 @@
 const {noSpendPerms} = require('./constants');
+const {permissionActions} = require('./constants');
 const {permissionEntities} = require('./constants');
+const {permissionProfiles} = require('./constants');
 
 const readPerms = permissionEntities.map(entity => `${entity}:read`);
+const separator = ':';
+const uniq = arr => Array.from(new Set(arr));
 
 /** Derive restrictions for macaroon
 
@@ -9,8 +13,13 @@ const readPerms = permissionEntities.map(entity => `${entity}:read`);
     [is_nospend]: <Restrict Credentials To Non-Spending Permissions Bool>
     [is_readonly]: <Restrict Credentials To Read-Only Permissions Bool>
     [methods]: [<Allow Specific Method String>]
+    [permissions]: [<Allow Specific Entity:Action Permission String>]
+    [profile]: <Allow Named Permission Profile String>
   }
 
+  @throws
+  <Error>
+
   @returns
   {
     [allow]: {
@@ -21,9 +30,28 @@ const readPerms = permissionEntities.map(entity => `${entity}:read`);
 */
 module.exports = args => {
   const methods = args.methods || [];
+  const specific = args.permissions || [];
+
+  specific.forEach(permission => {
+    const [entity, action, extra] = permission.split(separator);
+
+    if (!permissionEntities.includes(entity) || !!extra) {
+      throw new Error('ExpectedKnownPermissionEntityForCredentials');
+    }
+
+    if (!permissionActions.includes(action)) {
+      throw new Error('ExpectedKnownPermissionActionForCredentials');
+    }
+  });
+
+  if (!!args.profile && !permissionProfiles[args.profile]) {
+    throw new Error('ExpectedKnownPermissionProfileForCredentials');
+  }
+
+  const isRestricted = !!args.is_readonly || !!args.is_nospend;
 
   // Exit early when specific credentials are not requested
-  if (!args.is_readonly && !args.is_nospend && !methods.length) {
+  if (!isRestricted && !methods.length && !specific.length && !args.profile) {
     return {};
   }
 
@@ -37,5 +65,11 @@ module.exports = args => {
     noSpendPerms.forEach(n => permissions.push(n));
   }
 
-  return {allow: {methods, permissions}};
-};
\ No newline at end of file
+  if (!!args.profile) {
+    permissionProfiles[args.profile].forEach(n => permissions.push(n));
+  }
+
+  specific.forEach(n => permissions.push(n));
+
+  return {allow: {methods, permissions: uniq(permissions)}};
+};
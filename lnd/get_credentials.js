@@ -1,23 +1,44 @@
 const asyncAuto = require('async/auto');
 const {encode} = require('cbor');
-const {grantAccess} = require('ln-service');
+const {getAccessIds} = require('ln-service');
 const moment = require('moment');
+const {randomBytes} = require('crypto');
 const {returnResult} = require('asyncjs-util');
 
+const authenticatedLnd = require('./authenticated_lnd');
+const credentialRestrictions = require('./credential_restrictions');
 const lndCredentials = require('./lnd_credentials');
+const {maxAccessId} = require('./constants');
 const {pemAsDer} = require('./../encryption');
+const recordIssuedCredentials = require('./record_issued_credentials');
+
+const drawId = used => {
+  const id = String(makeId());
+
+  return used.includes(id) ? drawId(used) : id;
+};
+const idBytes = 4;
+const makeId = () => randomBytes(idBytes).readUInt32BE() % maxAccessId + 1;
 
 /** Get exported credentials
 
   {
     ask: <Inquirer Function> ({message, name, type}, cbk) => {}
     [expire_days]: <Expire Access in Days Number>
+    [fs]: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [ip]: <Restrict Credentials To IP Address String>
     is_cleartext: <Export Clear Credential Components Bool>
     is_nospend: <Restrict Credentials To Non-Spending Permissions Bool>
     is_readonly: <Restrict Credentials To Read-Only Permissions Bool>
     logger: <Winston Logger Object> ({info}) => ()
     [methods]: [<Allow Specific Method String>]
     [node]: <Node Name String>
+    [permissions]: [<Allow Specific Entity:Action Permission String>]
+    [profile]: <Allow Named Permission Profile String>
   }
 
   @returns via cbk or Promise
@@ -70,8 +91,54 @@ module.exports = (args, cbk) => {
         return args.ask(enterTransferKey, ({key}) => cbk(null, key));
       }],
 
+      // Get the access ids in use so that a new macaroon gets its own root key
+      getIds: ['validate', ({}, cbk) => {
+        let restrictions;
+
+        try {
+          restrictions = credentialRestrictions({
+            is_nospend: args.is_nospend,
+            is_readonly: args.is_readonly,
+            methods: args.methods,
+            permissions: args.permissions,
+            profile: args.profile,
+          });
+        } catch (err) {
+          // Exit early, invalid restrictions are returned with the credentials
+          return cbk(null, []);
+        }
+
+        // Exit early when there is no restricted macaroon to bake
+        if (!restrictions.allow) {
+          return cbk(null, []);
+        }
+
+        return authenticatedLnd({
+          logger: args.logger,
+          node: args.node,
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return getAccessIds({lnd: res.lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, res.ids.map(String));
+          });
+        });
+      }],
+
       // Get credentials encrypted to transfer key
-      getCredentials: ['expiry', 'key', ({expiry, key}, cbk) => {
+      getCredentials: [
+        'expiry',
+        'getIds',
+        'key',
+        ({expiry, getIds, key}, cbk) =>
+      {
         if (!args.is_cleartext && !key) {
           return cbk([400, 'ExpectedCredentialsTransferKeyFromNodesAdd']);
         }
@@ -79,17 +146,53 @@ module.exports = (args, cbk) => {
         return lndCredentials({
           expiry,
           key,
+          access_id: drawId(getIds),
+          ip: args.ip,
           is_nospend: args.is_nospend,
           is_readonly: args.is_readonly,
           logger: args.logger,
           methods: args.methods,
           node: args.node,
+          permissions: args.permissions,
+          profile: args.profile,
+        },
+        cbk);
+      }],
+
+      // Record the access id so that the credentials can be revoked later
+      record: [
+        'expiry',
+        'getCredentials',
+        ({expiry, getCredentials}, cbk) =>
+      {
+        // Exit early when there is no access id to record
+        if (!args.fs || !getCredentials.access_id) {
+          return cbk();
+        }
+
+        const {allow} = credentialRestrictions({
+          is_nospend: args.is_nospend,
+          is_readonly: args.is_readonly,
+          methods: args.methods,
+          permissions: args.permissions,
+          profile: args.profile,
+        });
+
+        return recordIssuedCredentials({
+          expires_at: expiry,
+          fs: args.fs,
+          id: getCredentials.access_id,
+          ip: args.ip,
+          methods: allow.methods,
+          node: args.node,
+          permissions: allow.permissions,
+          profile: args.profile,
         },
         cbk);
       }],
 
       // Packaged credentials
-      credentials: ['getCredentials', ({getCredentials}, cbk) => {
+      credentials: ['getCredentials', 'record', ({getCredentials}, cbk) => {
         if (!!args.is_cleartext) {
           return cbk(null, {
             cleartext: {
@@ -0,0 +1,123 @@
+const asyncAuto = require('async/auto');
+const {getAccessIds} = require('ln-service');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+const {revokeAccess} = require('ln-service');
+
+const {homePath} = require('./../storage');
+const {issuedCredentialsFile} = require('./constants');
+
+const fromNow = date => !date ? '' : moment(date).fromNow();
+const header = ['Id', 'Issued', 'Expires', 'IP', 'Permissions', 'Status'];
+const isAccessId = n => /^[1-9]\d*$/.test(n);
+const {isArray} = Array;
+const isExpired = date => !!date && moment(date).isBefore(moment());
+const {parse} = JSON;
+
+/** List or revoke credentials issued by bos credentials
+
+  Revoking an access id invalidates every macaroon baked with that root key
+
+  Only access ids recorded as issued to the node can be revoked
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+    [node]: <Saved Node Name String>
+    [revoke]: <Revoke Access Id Numeric String>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Table Cell String>]]
+  }
+*/
+module.exports = ({fs, lnd, node, revoke}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToListIssuedCredentials']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToListIssuedCredentials']);
+        }
+
+        if (revoke !== undefined && !isAccessId(revoke)) {
+          return cbk([400, 'ExpectedNumericAccessIdToRevokeCredentials']);
+        }
+
+        return cbk();
+      },
+
+      // Get the record of issued credentials for the node
+      getIssued: ['validate', ({}, cbk) => {
+        const {path} = homePath({file: issuedCredentialsFile});
+
+        return fs.getFile(path, (err, res) => {
+          // Exit early when no credentials have been issued
+          if (!!err || !res) {
+            return cbk(null, []);
+          }
+
+          try {
+            const {credentials} = parse(res.toString());
+
+            if (!isArray(credentials)) {
+              return cbk([400, 'ExpectedArrayOfIssuedCredentialsInFile']);
+            }
+
+            return cbk(null, credentials.filter(n => n.node === node));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonIssuedCredentialsFile', {err}]);
+          }
+        });
+      }],
+
+      // Revoke an access id
+      revokeAccess: ['getIssued', ({getIssued}, cbk) => {
+        // Exit early when not revoking access
+        if (revoke === undefined) {
+          return cbk();
+        }
+
+        // Access ids that were not issued by bos credentials are left alone
+        if (!getIssued.find(credential => credential.id === revoke)) {
+          return cbk([400, 'ExpectedIssuedAccessIdToRevokeCredentials']);
+        }
+
+        return revokeAccess({lnd, id: revoke}, cbk);
+      }],
+
+      // Get the access ids that are still valid
+      getIds: ['revokeAccess', ({}, cbk) => getAccessIds({lnd}, cbk)],
+
+      // Final table rows
+      rows: ['getIds', 'getIssued', ({getIds, getIssued}, cbk) => {
+        const active = getIds.ids.map(String);
+
+        const rows = getIssued.map(credential => {
+          const isActive = active.includes(credential.id);
+
+          const expired = isExpired(credential.expires_at) ? 'expired' : null;
+
+          return [
+            credential.id,
+            fromNow(credential.issued_at),
+            fromNow(credential.expires_at),
+            credential.ip || '',
+            credential.profile || credential.permissions.join(', '),
+            !isActive ? 'revoked' : (expired || 'active'),
+          ];
+        });
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'rows'}, cbk));
+  });
+};
@@ -13,19 +13,23 @@ const {returnResult} = require('asyncjs-util');
 
 const credentialRestrictions = require('./credential_restrictions');
 const {decryptCiphertext} = require('./../encryption');
+const {decryptWithPassphrase} = require('./../encryption');
 const {derAsPem} = require('./../encryption');
 const getCert = require('./get_cert');
 const getMacaroon = require('./get_macaroon');
+const {getPassphrase} = require('./../nodes');
 const getPath = require('./get_path');
 const {getSavedCredentials} = require('./../nodes');
 const getSocket = require('./get_socket');
 const {homePath} = require('../storage');
+const {interrogate} = require('./../commands');
 const {noSpendPerms} = require('./constants');
 const {permissionEntities} = require('./constants');
 
 const config = 'config.json';
 const defaultLndDirPath = process.env.BOS_DEFAULT_LND_PATH;
 const defaultNodeName = process.env.BOS_DEFAULT_SAVED_NODE;
+const encryptedWithPassphrase = 'passphrase';
 const fs = {getFile: readFile};
 const os = {homedir, platform, userInfo};
 const {parse} = JSON;
@@ -35,17 +39,22 @@ const socket = 'localhost:10009';
 /** LND credentials
 
   {
+    [access_id]: <Root Key Id For Restricted Macaroon Numeric String>
     [expiry]: <Credential Expiration Date ISO 8601 Date String>
+    [ip]: <Restrict Credentials To IP Address String>
     [is_nospend]: <Restrict Credentials To Non-Spending Permissions Bool>
     [is_readonly]: <Restrict Credentials To Read-Only Permissions Bool>
     [key]: <Encrypt to Public Key DER Hex String>
     [logger]: <Winston Logger Object>
     [methods]: [<Allow Specific Method String>]
     [node]: <Node Name String> // Defaults to default local mainnet node creds
+    [permissions]: [<Allow Specific Entity:Action Permission String>]
+    [profile]: <Allow Named Permission Profile String>
   }
 
   @returns via cbk or Promise
   {
+    [access_id]: <Restricted Macaroon Root Key Id Numeric String>
     cert: <Cert String>
     [encrypted_macaroon]: <Encrypted Macaroon Base64 String>
     [external_socket]: <External RPC Socket String>
@@ -130,11 +139,32 @@ module.exports = (args, cbk) => {
         return getSocket({fs, os, node: forNode, path: getPath.path}, cbk);
       }],
 
+      // Get the passphrase for passphrase encrypted credentials
+      getPassphrase: ['getNodeCredentials', ({getNodeCredentials}, cbk) => {
+        const {credentials} = getNodeCredentials || {};
+
+        // Exit early when the credentials are not encrypted with a passphrase
+        if (!credentials || !credentials.encrypted_macaroon) {
+          return cbk(null, {});
+        }
+
+        if (credentials.encrypted_with !== encryptedWithPassphrase) {
+          return cbk(null, {});
+        }
+
+        const failed = err => {
+          return cbk([503, 'FailedToGetPassphraseInterrogation', {err}]);
+        };
+
+        return interrogate({}).then(ask => getPassphrase({ask}, cbk), failed);
+      }],
+
       // Node credentials
       nodeCredentials: [
         'forNode',
         'getNodeCredentials',
-        ({forNode, getNodeCredentials}, cbk) =>
+        'getPassphrase',
+        ({forNode, getNodeCredentials, getPassphrase}, cbk) =>
       {
         if (!forNode) {
           return cbk();
@@ -160,6 +190,25 @@ module.exports = (args, cbk) => {
           args.logger.info({decrypt_credentials_for: forNode});
         }
 
+        // Exit early when the macaroon is encrypted with a passphrase
+        if (credentials.encrypted_with === encryptedWithPassphrase) {
+          return decryptWithPassphrase({
+            cipher,
+            passphrase: getPassphrase.passphrase,
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {
+              cert: credentials.cert,
+              macaroon: res.clear,
+              socket: credentials.socket,
+            });
+          });
+        }
+
         return decryptCiphertext({cipher, spawn}, (err, res) => {
           if (!!err) {
             return cbk(err);
@@ -198,73 +247,95 @@ module.exports = (args, cbk) => {
         });
       }],
 
-      // Macaroon with restriction
-      macaroon: ['credentials', ({credentials}, cbk) => {
-        if (!args.expiry) {
-          return cbk(null, credentials.macaroon);
+      // Derive the permissions to restrict the macaroon to
+      restrictions: cbk => {
+        try {
+          return cbk(null, credentialRestrictions({
+            is_nospend: args.is_nospend,
+            is_readonly: args.is_readonly,
+            methods: args.methods,
+            permissions: args.permissions,
+            profile: args.profile,
+          }));
+        } catch (err) {
+          return cbk([400, err.message]);
         }
+      },
 
-        const {macaroon} = restrictMacaroon({
-          expires_at: args.expiry,
-          macaroon: credentials.macaroon,
-        });
-
-        return cbk(null, macaroon);
-      }],
-
-      // Get read-only macaroon if necessary
-      restrictMacaroon: [
+      // Get a macaroon with limited permissions if necessary
+      grant: [
         'credentials',
-        'macaroon',
-        ({credentials, macaroon}, cbk) =>
+        'restrictions',
+        ({credentials, restrictions}, cbk) =>
       {
-        const {allow} = credentialRestrictions({
-          is_nospend: args.is_nospend,
-          is_readonly: args.is_readonly,
-          methods: args.methods,
-        });
+        const {allow} = restrictions;
 
-        // Exit early when readonly credentials are not requested
+        // Exit early when limited credentials are not requested
         if (!allow) {
-          return cbk(null, {macaroon});
+          return cbk(null, {macaroon: credentials.macaroon});
         }
 
         const {lnd} = authenticatedLndGrpc({
-          macaroon,
           cert: credentials.cert,
+          macaroon: credentials.macaroon,
           socket: credentials.socket,
         });
 
         return grantAccess({
           lnd,
+          id: args.access_id,
           methods: allow.methods,
           permissions: allow.permissions,
         },
-        cbk);
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {access_id: args.access_id, macaroon: res.macaroon});
+        });
+      }],
+
+      // Macaroon with expiry and IP address caveats
+      macaroon: ['grant', ({grant}, cbk) => {
+        // Exit early when there are no caveats to add
+        if (!args.expiry && !args.ip) {
+          return cbk(null, grant.macaroon);
+        }
+
+        const {macaroon} = restrictMacaroon({
+          expires_at: args.expiry,
+          ip: args.ip,
+          macaroon: grant.macaroon,
+        });
+
+        return cbk(null, macaroon);
       }],
 
       // Final credentials with encryption applied
       finalCredentials: [
         'credentials',
         'getSocket',
-        'restrictMacaroon',
-        ({credentials, getSocket, restrictMacaroon}, cbk) =>
+        'grant',
+        'macaroon',
+        ({credentials, getSocket, grant, macaroon}, cbk) =>
       {
         // Exit early when the credentials are not encrypted
         if (!args.key) {
           return cbk(null, {
-            macaroon: restrictMacaroon.macaroon,
+            macaroon,
+            access_id: grant.access_id,
             cert: credentials.cert,
             socket: credentials.socket.trim(),
           });
         }
 
-        const macaroonData = Buffer.from(restrictMacaroon.macaroon, 'base64');
         const {pem} = derAsPem({key: args.key});
 
-        const encrypted = publicEncrypt(pem, macaroonData);
+        const encrypted = publicEncrypt(pem, Buffer.from(macaroon, 'base64'));
 
         return cbk(null, {
+          access_id: grant.access_id,
           cert: credentials.cert,
           encrypted_macaroon: encrypted.toString('base64'),
           external_socket: getSocket.socket,
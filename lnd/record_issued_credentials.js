@@ -0,0 +1,108 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+const {issuedCredentialsFile} = require('./constants');
+
+const {isArray} = Array;
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Add issued credentials to the record of credentials issued by bos
+
+  {
+    [expires_at]: <Credentials Expire At ISO 8601 Date String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    id: <Macaroon Root Key Id Numeric String>
+    [ip]: <Credentials Locked To IP Address String>
+    [methods]: [<Allowed Method String>]
+    [node]: <Saved Node Name String>
+    permissions: [<Allowed Entity:Action Permission String>]
+    [profile]: <Permission Profile Name String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordCredentials']);
+        }
+
+        if (!args.id) {
+          return cbk([400, 'ExpectedAccessIdToRecordIssuedCredentials']);
+        }
+
+        if (!isArray(args.permissions)) {
+          return cbk([400, 'ExpectedPermissionsToRecordIssuedCredentials']);
+        }
+
+        return cbk();
+      },
+
+      // Path to the issued credentials file
+      path: ['validate', ({}, cbk) => {
+        return cbk(null, homePath({file: issuedCredentialsFile}).path);
+      }],
+
+      // Get the existing record of issued credentials
+      getIssued: ['path', ({path}, cbk) => {
+        return args.fs.getFile(path, (err, res) => {
+          // Exit early when there are no issued credentials yet
+          if (!!err || !res) {
+            return cbk(null, []);
+          }
+
+          try {
+            const {credentials} = parse(res.toString());
+
+            if (!isArray(credentials)) {
+              return cbk([400, 'ExpectedArrayOfIssuedCredentialsInFile']);
+            }
+
+            return cbk(null, credentials);
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonIssuedCredentialsFile', {err}]);
+          }
+        });
+      }],
+
+      // Make sure the home directory is there
+      makeDir: ['getIssued', ({}, cbk) => {
+        return args.fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Write the updated record
+      record: ['getIssued', 'makeDir', 'path', ({getIssued, path}, cbk) => {
+        const credentials = getIssued.concat({
+          expires_at: args.expires_at,
+          id: args.id,
+          ip: args.ip,
+          issued_at: new Date().toISOString(),
+          methods: args.methods,
+          node: args.node,
+          permissions: args.permissions,
+          profile: args.profile,
+        });
+
+        const file = stringify({credentials}, null, 2);
+
+        return args.fs.writeFile(path, file, err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingIssuedCredentials', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,206 @@
+const asyncAuto = require('async/auto');
+const {getChainFeeRate} = require('ln-service');
+const {getInvoice} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+const {subscribeToInvoice} = require('ln-service');
+
+const openSoldChannel = require('./open_sold_channel');
+const {orderStateFailed} = require('./lsps1_protocol');
+const {paymentStateHeldPayment} = require('./lsps1_protocol');
+const recordLsps1Order = require('./record_lsps1_order');
+
+const {max} = Math;
+const {now} = Date;
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Complete an LSPS1 order by waiting for payment and then opening a channel
+
+  When the order payment is not held before the payment expiry, it fails
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    invoice_id: <Order Invoice Payment Hash Hex String>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    order_id: <Order Id String>
+    orders: <Orders Map Object>
+    secret: <Order Invoice Preimage Hex String>
+    to_peer: <Client Public Key Identity Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToCompleteLsps1Order']);
+        }
+
+        if (!args.invoice_id) {
+          return cbk([400, 'ExpectedInvoiceIdToCompleteLsps1Order']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToCompleteLsps1Order']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToCompleteLsps1Order']);
+        }
+
+        if (!args.order_id) {
+          return cbk([400, 'ExpectedOrderIdToCompleteLsps1Order']);
+        }
+
+        if (!args.orders || !args.orders.get(args.order_id)) {
+          return cbk([400, 'ExpectedKnownOrderToCompleteLsps1Order']);
+        }
+
+        if (!args.secret) {
+          return cbk([400, 'ExpectedInvoiceSecretToCompleteLsps1Order']);
+        }
+
+        if (!args.to_peer) {
+          return cbk([400, 'ExpectedClientPublicKeyToCompleteLsps1Order']);
+        }
+
+        return cbk();
+      },
+
+      // Get the order
+      order: ['validate', ({}, cbk) => {
+        return cbk(null, parse(args.orders.get(args.order_id)));
+      }],
+
+      // Get the invoice to see if the payment is already held
+      getInvoice: ['validate', ({}, cbk) => {
+        return getInvoice({id: args.invoice_id, lnd: args.lnd}, cbk);
+      }],
+
+      // Wait for the invoice to be paid
+      waitForPayment: [
+        'getInvoice',
+        'order',
+        ({getInvoice, order}, cbk) =>
+      {
+        // Exit early when the payment is already being held
+        if (!!getInvoice.is_held) {
+          return cbk(null, {is_held: true});
+        }
+
+        // Exit early when the payment can no longer be received
+        if (!!getInvoice.is_canceled || !!getInvoice.is_confirmed) {
+          return cbk(null, {});
+        }
+
+        const expiresAt = Date.parse(order.result.payment.bolt11.expires_at);
+
+        const sub = subscribeToInvoice({id: args.invoice_id, lnd: args.lnd});
+
+        // Stop listening to the invoice after it expires
+        const timeout = setTimeout(() => {
+          sub.removeAllListeners();
+
+          return cbk(null, {});
+        },
+        max(0, expiresAt - now()));
+
+        // Wait for the payment to come in
+        sub.on('invoice_updated', invoice => {
+          // Only consider updates where the payment is being held
+          if (!invoice.is_held) {
+            return;
+          }
+
+          clearTimeout(timeout);
+
+          sub.removeAllListeners();
+
+          return cbk(null, {is_held: true});
+        });
+
+        // Exit with error when there is a subscription failure
+        sub.on('error', err => {
+          clearTimeout(timeout);
+
+          sub.removeAllListeners();
+
+          return cbk([503, 'SubscriptionToOpenChannelInvoiceFails', {err}]);
+        });
+      }],
+
+      // Record the outcome of waiting for the payment
+      recordPayment: [
+        'order',
+        'waitForPayment',
+        ({order, waitForPayment}, cbk) =>
+      {
+        const isHeld = !!waitForPayment.is_held;
+
+        // An order that was never paid has failed
+        if (!isHeld) {
+          order.result.order_state = orderStateFailed;
+
+          args.orders.set(args.order_id, stringify(order));
+        }
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: isHeld ? paymentStateHeldPayment : orderStateFailed,
+        },
+        cbk);
+      }],
+
+      // Exit with error when the payment never came in
+      checkPayment: [
+        'recordPayment',
+        'waitForPayment',
+        ({waitForPayment}, cbk) =>
+      {
+        if (!waitForPayment.is_held) {
+          return cbk([408, 'TimedOutWaitingForOpenChannelLightningPayment']);
+        }
+
+        return cbk();
+      }],
+
+      // Calculate open chain fees
+      getOpenFeeRate: ['checkPayment', 'order', ({order}, cbk) => {
+        const blocks = order.result.funding_confirms_within_blocks;
+
+        return getChainFeeRate({
+          confirmation_target: Number(blocks),
+          lnd: args.lnd,
+        },
+        cbk);
+      }],
+
+      // Open the channel
+      open: ['getOpenFeeRate', ({getOpenFeeRate}, cbk) => {
+        return openSoldChannel({
+          chain_fee: getOpenFeeRate.tokens_per_vbyte,
+          fs: args.fs,
+          invoice_id: args.invoice_id,
+          lnd: args.lnd,
+          logger: args.logger,
+          open_to: args.to_peer,
+          order_id: args.order_id,
+          orders: args.orders,
+          secret: args.secret,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,188 @@
+const asyncAuto = require('async/auto');
+const {getChainFeeRate} = require('ln-service');
+const {getInvoice} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+const {settleHodlInvoice} = require('ln-service');
+
+const openSoldChannel = require('./open_sold_channel');
+const {orderStateCompleted} = require('./lsps1_protocol');
+const {paymentStatePaid} = require('./lsps1_protocol');
+const recordLsps1Order = require('./record_lsps1_order');
+
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Fulfil an LSPS1 order where the payment is being held
+
+  When the channel was already opened the held payment is settled, otherwise
+  the channel is opened and then the payment is settled
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    invoice_id: <Order Invoice Payment Hash Hex String>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    order_id: <Order Id String>
+    orders: <Orders Map Object>
+    secret: <Order Invoice Preimage Hex String>
+    to_peer: <Client Public Key Identity Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToFulfilLsps1Order']);
+        }
+
+        if (!args.invoice_id) {
+          return cbk([400, 'ExpectedInvoiceIdToFulfilLsps1Order']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToFulfilLsps1Order']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToFulfilLsps1Order']);
+        }
+
+        if (!args.order_id) {
+          return cbk([400, 'ExpectedOrderIdToFulfilLsps1Order']);
+        }
+
+        if (!args.orders || !args.orders.get(args.order_id)) {
+          return cbk([400, 'ExpectedKnownOrderToFulfilLsps1Order']);
+        }
+
+        if (!args.secret) {
+          return cbk([400, 'ExpectedInvoiceSecretToFulfilLsps1Order']);
+        }
+
+        if (!args.to_peer) {
+          return cbk([400, 'ExpectedClientPublicKeyToFulfilLsps1Order']);
+        }
+
+        return cbk();
+      },
+
+      // Get the order
+      order: ['validate', ({}, cbk) => {
+        return cbk(null, parse(args.orders.get(args.order_id)));
+      }],
+
+      // Make sure that the payment is being held
+      getInvoice: ['validate', ({}, cbk) => {
+        return getInvoice({id: args.invoice_id, lnd: args.lnd}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          if (!res.is_held) {
+            return cbk([400, 'ExpectedHeldPaymentToFulfilLsps1Order']);
+          }
+
+          return cbk();
+        });
+      }],
+
+      // Calculate open chain fees
+      getOpenFeeRate: ['getInvoice', 'order', ({order}, cbk) => {
+        // Exit early when the channel was already opened
+        if (!!order.result.channel) {
+          return cbk();
+        }
+
+        const blocks = order.result.funding_confirms_within_blocks;
+
+        return getChainFeeRate({
+          confirmation_target: Number(blocks),
+          lnd: args.lnd,
+        },
+        cbk);
+      }],
+
+      // Open the channel and settle the payment
+      open: ['getOpenFeeRate', ({getOpenFeeRate}, cbk) => {
+        // Exit early when the channel was already opened
+        if (!getOpenFeeRate) {
+          return cbk();
+        }
+
+        return openSoldChannel({
+          chain_fee: getOpenFeeRate.tokens_per_vbyte,
+          fs: args.fs,
+          invoice_id: args.invoice_id,
+          lnd: args.lnd,
+          logger: args.logger,
+          open_to: args.to_peer,
+          order_id: args.order_id,
+          orders: args.orders,
+          secret: args.secret,
+        },
+        cbk);
+      }],
+
+      // Settle the payment when the channel was already opened
+      settle: ['getInvoice', 'order', ({order}, cbk) => {
+        // Exit early when the channel still needs to be opened
+        if (!order.result.channel) {
+          return cbk();
+        }
+
+        return settleHodlInvoice({lnd: args.lnd, secret: args.secret}, cbk);
+      }],
+
+      // Record that the payment was received
+      recordPaid: ['order', 'settle', ({order}, cbk) => {
+        // Exit early when the channel still needs to be opened
+        if (!order.result.channel) {
+          return cbk();
+        }
+
+        order.result.payment.state = paymentStatePaid;
+
+        args.orders.set(args.order_id, stringify(order));
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: paymentStatePaid,
+        },
+        cbk);
+      }],
+
+      // Record that the order is complete
+      recordCompleted: ['order', 'recordPaid', ({order}, cbk) => {
+        // Exit early when the channel still needs to be opened
+        if (!order.result.channel) {
+          return cbk();
+        }
+
+        order.result.order_state = orderStateCompleted;
+
+        args.orders.set(args.order_id, stringify(order));
+
+        args.logger.info({order_complete: args.order_id});
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: orderStateCompleted,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,94 @@
+const {join} = require('path');
+
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+
+const isOrderFile = n => /^[0-9a-f]+\.json$/.test(n);
+const ordersDirectory = 'lsps1_orders';
+const {parse} = JSON;
+
+/** Get the recorded LSPS1 orders
+
+  {
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    records: [{
+      created_at: <Order Created At ISO 8601 Date String>
+      id: <Order Id String>
+      invoice_id: <Order Invoice Payment Hash Hex String>
+      order: <Order JSON RPC Response Object>
+      secret: <Order Invoice Preimage Hex String>
+      state: <Order State String>
+      to_peer: <Client Public Key Identity Hex String>
+      transitions: [{
+        at: <State Changed At ISO 8601 Date String>
+        state: <Order State String>
+      }]
+    }]
+  }
+*/
+module.exports = ({fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs || !fs.getDirectoryFiles || !fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetLsps1Orders']);
+        }
+
+        return cbk();
+      },
+
+      // Get the order files
+      getFiles: ['validate', ({}, cbk) => {
+        const dir = homePath({file: ordersDirectory}).path;
+
+        return fs.getDirectoryFiles(dir, (err, files) => {
+          // Exit early when there are no orders yet
+          if (!!err || !files) {
+            return cbk(null, []);
+          }
+
+          return cbk(null, files.filter(isOrderFile).map(n => join(dir, n)));
+        });
+      }],
+
+      // Read the orders
+      getRecords: ['getFiles', ({getFiles}, cbk) => {
+        return asyncMap(getFiles, (path, cbk) => {
+          return fs.getFile(path, (err, res) => {
+            if (!!err) {
+              return cbk([503, 'UnexpectedErrorReadingLsps1OrderFile', {err}]);
+            }
+
+            try {
+              return cbk(null, parse(res.toString()));
+            } catch (err) {
+              return cbk([400, 'ExpectedValidJsonLsps1OrderFile', {path}]);
+            }
+          });
+        },
+        cbk);
+      }],
+
+      // Sort the orders by creation date
+      records: ['getRecords', ({getRecords}, cbk) => {
+        const records = getRecords.sort((a, b) => {
+          return a.created_at.localeCompare(b.created_at);
+        });
+
+        return cbk(null, {records});
+      }],
+    },
+    returnResult({reject, resolve, of: 'records'}, cbk));
+  });
+};
@@ -0,0 +1,180 @@
+const asyncAuto = require('async/auto');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const {defaultChannelActiveConfs} = require('./constants');
+const {defaultLifetimeDays} = require('./constants');
+const makeRequest = require('./make_request');
+const {methodCreateOrder} = require('./lsps1_protocol');
+const {methodGetInfo} = require('./lsps1_protocol');
+
+const blocksAsHours = blocks => blocks / 6;
+const daysAsBlocks = days => days * 144;
+const hoursAsBlocks = hours => hours * 6;
+const isAnnounced = type => type === 'public';
+
+/** Get the limits of an LSPS1 service and a quote for an inbound channel
+
+  {
+    capacity: <Inbound Channel Capacity Tokens Number>
+    [lifetime]: <Expected Minimum Channel Lifetime Existence Days Number>
+    lnd: <Authenticated LND API Object>
+    max_wait_hours: <Requested Maximum Channel Open Wait Hours Count Number>
+    service: <Provider Service Node Identity Public Key Hex String>
+    [timeout]: <Service Response Timeout Milliseconds Number>
+    type: <Inbound Channel Type String>
+  }
+
+  @returns via cbk or Promise
+  {
+    limits: {
+      max_capacity: <Maximum Channel Capacity Tokens Number>
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+      [website]: <Service Website String>
+    }
+    quote: {
+      expires_at: <Quote Expires At ISO 8601 Date String>
+      [fee]: <Order Total Tokens Number>
+      id: <Order Id String>
+      max_wait_hours: <Maximum Hours Until Channel Funding Confirms Number>
+      request: <BOLT 11 Payment Request String>
+    }
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.capacity) {
+          return cbk([400, 'ExpectedChannelCapacityToGetLsps1Quote']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetLsps1Quote']);
+        }
+
+        if (!args.max_wait_hours) {
+          return cbk([400, 'ExpectedMaxOpenWaitHoursToGetLsps1Quote']);
+        }
+
+        if (!args.service) {
+          return cbk([400, 'ExpectedServiceNodeToGetLsps1Quote']);
+        }
+
+        if (!args.type) {
+          return cbk([400, 'ExpectedOpenChannelTypeToGetLsps1Quote']);
+        }
+
+        return cbk();
+      },
+
+      // Get the limits of the channel open service
+      getLimits: ['validate', ({}, cbk) => {
+        return makeRequest({
+          lnd: args.lnd,
+          method: methodGetInfo,
+          service: args.service,
+          timeout: args.timeout,
+        },
+        cbk);
+      }],
+
+      // Validate and format the limits
+      limits: ['getLimits', ({getLimits}, cbk) => {
+        if (!getLimits.response || !getLimits.response.options) {
+          return cbk([503, 'ExpectedLimitsInLsps1ServiceResponse']);
+        }
+
+        const {options} = getLimits.response;
+
+        if (!!Number(options.min_initial_client_balance_sat)) {
+          return cbk([501, 'Lsps1PushBalanceNotSupported']);
+        }
+
+        const maxCapacity = Number(options.max_channel_balance_sat);
+        const minimumCapacity = Number(options.min_channel_balance_sat);
+
+        // Make sure the requested capacity is at least the minimum
+        if (args.capacity < minimumCapacity) {
+          return cbk([400, 'RequestedCapacityTooLow', {min: minimumCapacity}]);
+        }
+
+        // Make sure the requested capacity isn't more than the maximum
+        if (args.capacity > maxCapacity) {
+          return cbk([400, 'RequestedCapacityTooHigh', {max: maxCapacity}]);
+        }
+
+        return cbk(null, {
+          max_capacity: maxCapacity,
+          min_capacity: minimumCapacity,
+          website: getLimits.response.website || undefined,
+        });
+      }],
+
+      // Get a price quote
+      getQuote: ['limits', ({}, cbk) => {
+        const lifetime = daysAsBlocks(args.lifetime || defaultLifetimeDays);
+
+        return makeRequest({
+          lnd: args.lnd,
+          method: methodCreateOrder,
+          params: {
+            announce_channel: isAnnounced(args.type),
+            channel_expiry_blocks: lifetime,
+            client_balance_sat: Number().toString(),
+            funding_confirms_within_blocks: hoursAsBlocks(args.max_wait_hours),
+            lsp_balance_sat: args.capacity.toString(),
+            required_channel_confirmations: defaultChannelActiveConfs,
+            token: String(),
+          },
+          service: args.service,
+          timeout: args.timeout,
+        },
+        cbk);
+      }],
+
+      // Check the price quote
+      quote: ['getQuote', 'limits', ({getQuote, limits}, cbk) => {
+        if (!getQuote.response || !getQuote.response.payment) {
+          return cbk([503, 'UnexpectedMissingQuoteInLsps1OpenQuoteResponse']);
+        }
+
+        if (!getQuote.response.payment.bolt11) {
+          return cbk([503, 'UnexpectedMissingBolt11InLsps1OpenQuoteResponse']);
+        }
+
+        if (!getQuote.response.order_id) {
+          return cbk([503, 'UnexpectedAbsentOrderIdInLsps1OpenQuoteResponse']);
+        }
+
+        const request = getQuote.response.payment.bolt11.invoice;
+
+        if (!request) {
+          return cbk([503, 'UnexpectedMissingPaymentRequestInQuoteResponse']);
+        }
+
+        try {
+          parsePaymentRequest({request});
+        } catch (err) {
+          return cbk([503, 'UnexpectedInvalidPayReqInQuoteResponse', {err}]);
+        }
+
+        const confsWithin = getQuote.response.funding_confirms_within_blocks;
+        const parsed = parsePaymentRequest({request});
+
+        return cbk(null, {
+          limits,
+          quote: {
+            request,
+            expires_at: parsed.expires_at,
+            fee: parsed.tokens || undefined,
+            id: getQuote.response.order_id,
+            max_wait_hours: blocksAsHours(Number(confsWithin)),
+          },
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'quote'}, cbk));
+  });
+};
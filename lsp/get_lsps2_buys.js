@@ -0,0 +1,81 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {buysFile} = require('./constants');
+const {homePath} = require('./../storage');
+
+const isExpired = (buy, now) => Date.parse(buy.valid_until) < now;
+const missingFileCode = 'ENOENT';
+const {parse} = JSON;
+
+/** Get the sold LSPS2 just-in-time channels that have not expired yet
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    now: <Current Epoch Time Milliseconds Number>
+  }
+
+  @returns via cbk or Promise
+  {
+    buys: [{
+      opening_fee_params: <Opening Fee Params Object>
+      [payment_size_msat]: <Payment Size Millitokens String>
+      scid: <Intercept Standard Format Channel Id String>
+      to_peer: <Buyer Public Key Identity Hex String>
+    }]
+  }
+*/
+module.exports = ({fs, now}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs || !fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetLsps2Buys']);
+        }
+
+        if (!now) {
+          return cbk([400, 'ExpectedCurrentTimeToGetLsps2Buys']);
+        }
+
+        return cbk();
+      },
+
+      // Get the buys file
+      getFile: ['validate', ({}, cbk) => {
+        return fs.getFile(homePath({file: buysFile}).path, (err, res) => {
+          // Exit early when no channels have been sold yet
+          if (!!err && err.code === missingFileCode) {
+            return cbk(null, {buys: []});
+          }
+
+          if (!!err) {
+            return cbk([503, 'FailedToReadLsps2BuysFile', {err}]);
+          }
+
+          // Exit early when the buys file is empty
+          if (!res || !res.toString()) {
+            return cbk(null, {buys: []});
+          }
+
+          try {
+            const {buys} = parse(res.toString());
+
+            if (!Array.isArray(buys)) {
+              return cbk([400, 'ExpectedArrayOfBuysInLsps2BuysFile']);
+            }
+
+            return cbk(null, {
+              buys: buys.filter(n => !isExpired(n.opening_fee_params, now)),
+            });
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonLsps2BuysFile', {err}]);
+          }
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'getFile'}, cbk));
+  });
+};
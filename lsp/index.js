@@ -1,4 +1,13 @@
 const lsps1Client = require('./lsps1_client');
+const lsps1Orders = require('./lsps1_orders');
 const lsps1Server = require('./lsps1_server');
+const lsps2Client = require('./lsps2_client');
+const lsps2Server = require('./lsps2_server');
 
-module.exports = {lsps1Client, lsps1Server};
+module.exports = {
+  lsps1Client,
+  lsps1Orders,
+  lsps1Server,
+  lsps2Client,
+  lsps2Server,
+};
@@ -0,0 +1,88 @@
+const jitOpeningFee = require('./jit_opening_fee');
+
+const bigTokens = mtokens => BigInt(mtokens) / BigInt(1e3);
+const {max} = Math;
+const {min} = Math;
+
+/** Decide how to handle a forward to a sold just-in-time channel
+
+  The forward must fit the bought opening fee params, and the channel that
+  would be opened for it must fit within the maximum channel capacity
+
+  {
+    buy: {
+      opening_fee_params: {
+        max_payment_size_msat: <Maximum Payment Size Millitokens String>
+        min_fee_msat: <Minimum Opening Fee Millitokens String>
+        min_payment_size_msat: <Minimum Payment Size Millitokens String>
+        proportional: <Proportional Fee Parts Per Million Number>
+        valid_until: <Params Valid Until ISO 8601 Date String>
+      }
+      [payment_size_msat]: <Bought Payment Size Millitokens String>
+    }
+    fee_mtokens: <Forward Routing Fee Millitokens String>
+    max_capacity: <Maximum Channel Capacity Tokens Number>
+    min_capacity: <Minimum Channel Capacity Tokens Number>
+    mtokens: <Forward Millitokens String>
+    now: <Current Epoch Time Milliseconds Number>
+  }
+
+  @returns
+  {
+    [capacity]: <Channel Capacity Tokens Number>
+    [fee_mtokens]: <Opening Fee Millitokens String>
+    [is_fee_paid]: <Opening Fee Paid As Routing Fee Bool>
+    [reject_reason]: <Forward Rejection Reason String>
+  }
+*/
+module.exports = args => {
+  const params = args.buy.opening_fee_params;
+  const size = BigInt(args.mtokens);
+
+  // Exit early when the bought opening fee params have expired
+  if (Date.parse(params.valid_until) < args.now) {
+    return {reject_reason: 'ExpiredOpeningFeeParams'};
+  }
+
+  // Exit early when the payment is below the minimum payment size
+  if (size < BigInt(params.min_payment_size_msat)) {
+    return {reject_reason: 'PaymentSizeBelowMinimum'};
+  }
+
+  // Exit early when the payment is above the maximum payment size
+  if (size > BigInt(params.max_payment_size_msat)) {
+    return {reject_reason: 'PaymentSizeAboveMaximum'};
+  }
+
+  const bought = args.buy.payment_size_msat;
+
+  // Exit early when the payment is not the bought payment size
+  if (bought !== undefined && size !== BigInt(bought)) {
+    return {reject_reason: 'PaymentSizeDoesNotMatchBoughtSize'};
+  }
+
+  const {fee_mtokens} = jitOpeningFee({
+    min_fee_msat: params.min_fee_msat,
+    payment_size_msat: args.mtokens,
+    proportional: params.proportional,
+  });
+
+  // The payer can pay the opening fee as a route hint routing fee
+  const isFeePaid = BigInt(args.fee_mtokens) >= BigInt(fee_mtokens);
+
+  // Exit early when the payment cannot pay for the opening fee
+  if (!isFeePaid && size <= BigInt(fee_mtokens)) {
+    return {reject_reason: 'PaymentSizeBelowOpeningFee'};
+  }
+
+  const tokens = Number(bigTokens(args.mtokens));
+
+  const capacity = min(args.max_capacity, max(args.min_capacity, tokens * 2));
+
+  // Exit early when the payment would not fit in the capped channel
+  if (capacity <= tokens) {
+    return {reject_reason: 'PaymentSizeAboveMaximumCapacity'};
+  }
+
+  return {capacity, fee_mtokens, is_fee_paid: isFeePaid};
+};
@@ -0,0 +1,44 @@
+const millionth = BigInt(1e6);
+const roundUp = BigInt(1e6 - 1);
+
+/** Calculate the opening fee for a just-in-time channel
+
+  The proportional fee is rounded up and the fee is at least the minimum fee
+
+  {
+    min_fee_msat: <Minimum Opening Fee Millitokens String>
+    payment_size_msat: <Payment Size Millitokens String>
+    proportional: <Proportional Fee Parts Per Million Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    fee_mtokens: <Opening Fee Millitokens String>
+  }
+*/
+module.exports = args => {
+  if (args.min_fee_msat === undefined) {
+    throw new Error('ExpectedMinimumFeeToCalculateJitOpeningFee');
+  }
+
+  if (args.payment_size_msat === undefined) {
+    throw new Error('ExpectedPaymentSizeToCalculateJitOpeningFee');
+  }
+
+  if (args.proportional === undefined) {
+    throw new Error('ExpectedProportionalFeeToCalculateJitOpeningFee');
+  }
+
+  const size = BigInt(args.payment_size_msat);
+
+  const proportional = (size * BigInt(args.proportional) + roundUp) / millionth;
+
+  const minFee = BigInt(args.min_fee_msat);
+
+  const fee = proportional > minFee ? proportional : minFee;
+
+  return {fee_mtokens: fee.toString()};
+};
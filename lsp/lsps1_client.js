@@ -1,30 +1,30 @@
 const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const asyncReflect = require('async/reflect');
 const {connectPeer} = require('ln-sync');
 const {formatTokens} = require('ln-sync');
 const {getIdentity} = require('ln-service');
 const {getNetworkGraph} = require('ln-service');
 const {getNodeAlias} = require('ln-sync');
-const {parsePaymentRequest} = require('ln-service');
 const {returnResult} = require('asyncjs-util');
 
-const {defaultChannelActiveConfs} = require('./constants');
-const {defaultLifetimeDays} = require('./constants');
+const getLsps1Quote = require('./get_lsps1_quote');
 const makeRequest = require('./make_request');
-const {methodCreateOrder} = require('./lsps1_protocol');
-const {methodGetInfo} = require('./lsps1_protocol');
 const {methodGetOrder} = require('./lsps1_protocol');
+const {methodListProtocols} = require('./lsps0_protocol');
 const {probeDestination} = require('./../network');
-const {versionJsonRpc} = require('./lsps1_protocol');
+const rankLsps1Quotes = require('./rank_lsps1_quotes');
 
-const daysAsBlocks = days => days * 144;
+const compareTimeoutMs = 1000 * 60;
 const displayTokens = tokens => formatTokens({tokens}).display;
-const hoursAsBlocks = hours => hours * 6;
-const isAnnounced = type => type === 'public';
+const hasFee = n => n.fee !== undefined;
+const {isArray} = Array;
 const isNumber = n => !!n && !isNaN(n);
 const isOutpoint = n => !!n && /^[0-9A-F]{64}:[0-9]{1,6}$/i.test(n);
 const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
 const isService = features => !!features.find(feature => feature.bit === 729);
 const knownTypes = ['private', 'public'];
+const lsps1Protocol = 1;
 const maxAllowedWaitHours = 40;
 const niceAlias = n => `${(n.alias || n.id).trim()} ${n.id.substring(0, 8)}`;
 const split = n => n.split(':');
@@ -33,12 +33,16 @@ const split = n => n.split(':');
 
   LSPS1: https://github.com/BitcoinAndLightningLayerSpecs/lsp/tree/main/LSPS1
 
+  When comparing, every discoverable provider is asked for a quote and the
+  quotes are ranked by cost, then wait time, then graph centrality
+
   {
     ask: <Ask Function>
     capacity: <Inbound Channel Capacity Tokens Number>
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
     }
+    [is_comparing]: <Compare Quotes From All Providers Bool>
     [is_dry_run]: <Get Channel Price Quote Only Bool>
     [lifetime]: <Expected Minimum Channel Lifetime Existence Days Number>
     lnd: <Authenticated LND API Object>
@@ -68,6 +72,14 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedFileSystemObjectForLsp1Client']);
         }
 
+        if (!!args.is_comparing && !!args.recovery) {
+          return cbk([400, 'ComparisonNotSupportedWithRecoveryMode']);
+        }
+
+        if (!!args.is_comparing && !!args.service_node) {
+          return cbk([400, 'ExpectedEitherServiceNodeOrProviderComparison']);
+        }
+
         if (!!args.is_dry_run && !!args.recovery) {
           return cbk([400, 'DryRunNotSupportedWithRecoveryMode']);
         }
@@ -125,13 +137,146 @@ module.exports = (args, cbk) => {
       // Get the self node identity
       getId: ['validate', ({}, cbk) => getIdentity({lnd: args.lnd}, cbk)],
 
+      // Get quotes from all the providers to compare them
+      getQuotes: ['getGraph', 'getId', ({getGraph, getId}, cbk) => {
+        // Exit early when not comparing providers
+        if (!args.is_comparing) {
+          return cbk();
+        }
+
+        const providers = getGraph.nodes
+          .filter(n => isService(n.features))
+          .filter(n => n.public_key !== getId.public_key);
+
+        args.logger.info({requesting_quotes_from_providers: providers.length});
+
+        return asyncMap(providers, asyncReflect((node, cbk) => {
+          return asyncAuto({
+            // Connect to the provider
+            connect: cbk => {
+              return connectPeer({id: node.public_key, lnd: args.lnd}, cbk);
+            },
+
+            // Make sure the provider supports LSPS1
+            getProtocols: ['connect', ({}, cbk) => {
+              return makeRequest({
+                lnd: args.lnd,
+                method: methodListProtocols,
+                service: node.public_key,
+                timeout: compareTimeoutMs,
+              },
+              (err, res) => {
+                if (!!err) {
+                  return cbk(err);
+                }
+
+                const {protocols} = res.response;
+
+                if (!isArray(protocols) || !protocols.includes(lsps1Protocol)) {
+                  return cbk([501, 'ProviderDoesNotSupportLsps1']);
+                }
+
+                return cbk();
+              });
+            }],
+
+            // Get a quote from the provider
+            getQuote: ['getProtocols', ({}, cbk) => {
+              return getLsps1Quote({
+                capacity: args.capacity,
+                lifetime: args.lifetime,
+                lnd: args.lnd,
+                max_wait_hours: args.max_wait_hours,
+                service: node.public_key,
+                timeout: compareTimeoutMs,
+                type: args.type,
+              },
+              cbk);
+            }],
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {
+              alias: node.alias,
+              expires_at: res.getQuote.quote.expires_at,
+              fee: res.getQuote.quote.fee,
+              id: res.getQuote.quote.id,
+              max_wait_hours: res.getQuote.quote.max_wait_hours,
+              public_key: node.public_key,
+              request: res.getQuote.quote.request,
+            });
+          });
+        }),
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          const quotes = res.filter(n => !!n.value).map(n => n.value);
+
+          if (!quotes.length) {
+            return cbk([404, 'NoProvidersReturnedChannelQuotes']);
+          }
+
+          return cbk(null, quotes);
+        });
+      }],
+
       // Determine what service node will be used
-      service: ['getGraph', 'getId', ({getGraph, getId}, cbk) => {
+      service: [
+        'getGraph',
+        'getId',
+        'getQuotes',
+        ({getGraph, getId, getQuotes}, cbk) =>
+      {
         // Exit early when there was a service pre-selected
         if (!!args.service_node) {
           return cbk(null, args.service_node);
         }
 
+        // Exit early when choosing between compared providers
+        if (!!getQuotes) {
+          const {ranked} = rankLsps1Quotes({
+            channels: getGraph.channels,
+            now: Date.now(),
+            quotes: getQuotes,
+          });
+
+          // Exit early when all of the quotes have expired
+          if (!ranked.length) {
+            return cbk([503, 'ProvidersReturnedOnlyExpiredChannelQuotes']);
+          }
+
+          const choices = ranked.map(rank => {
+            const quote = getQuotes.find(n => n.public_key === rank.public_key);
+
+            const fee = hasFee(rank) ? displayTokens(rank.fee) : 'unknown';
+
+            const details = [
+              `${fee} fee`,
+              `${rank.max_wait_hours}h max wait`,
+              `${rank.centrality.toFixed(2)} centrality`,
+            ];
+
+            return {
+              name: `${quote.alias} ${rank.public_key}: ${details.join(', ')}`,
+              value: rank.public_key,
+            };
+          });
+
+          return args.ask({
+            choices,
+            loop: false,
+            message: 'Buy from provider?',
+            name: 'service',
+            type: 'list',
+          },
+          ({service}) => cbk(null, service));
+        }
+
         const {sortBy} = require('./../arrays');
 
         const {sorted} = sortBy({
@@ -176,92 +321,54 @@ module.exports = (args, cbk) => {
         return connectPeer({id: getAlias.id, lnd: args.lnd}, cbk);
       }],
 
-      // Get the limits of the channel open service
-      getLimits: ['connect', 'getAlias', ({getAlias}, cbk) => {
+      // Get a price quote
+      getQuote: [
+        'connect',
+        'getAlias',
+        'getQuotes',
+        ({getAlias, getQuotes}, cbk) =>
+      {
         // Exit early when recovering
         if (!!args.recovery) {
           return cbk();
         }
 
+        // Exit early when the quote was already received in the comparison
+        if (!!getQuotes) {
+          const quote = getQuotes.find(n => n.public_key === getAlias.id);
+
+          return cbk(null, {quote});
+        }
+
         args.logger.info({
           requesting_inbound_channel_capacity: displayTokens(args.capacity),
         });
 
-        return makeRequest({
+        return getLsps1Quote({
+          capacity: args.capacity,
+          lifetime: args.lifetime,
           lnd: args.lnd,
-          method: methodGetInfo,
+          max_wait_hours: args.max_wait_hours,
           service: getAlias.id,
+          type: args.type,
         },
-        cbk);
-      }],
-
-      // Validate and format the limits
-      limits: ['getLimits', ({getLimits}, cbk) => {
-        // Exit early when recovering
-        if (!!args.recovery) {
-          return cbk();
-        }
-
-        if (!getLimits.response || !getLimits.response.options) {
-          return cbk([503, 'ExpectedLimitsInLsps1ServiceResponse']);
-        }
-
-        const {options} = getLimits.response;
-
-        if (!!Number(options.min_initial_client_balance_sat)) {
-          return cbk([501, 'Lsps1PushBalanceNotSupported']);
-        }
-
-        const maxCapacity = Number(options.max_channel_balance_sat);
-        const minimumCapacity = Number(options.min_channel_balance_sat);
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
 
-        // Make sure the requested capacity is at least the minimum
-        if (args.capacity < minimumCapacity) {
-          return cbk([400, 'RequestedCapacityTooLow', {min: minimumCapacity}]);
-        }
+          args.logger.info({
+            service_limits: {
+              minimum_capacity: displayTokens(res.limits.min_capacity),
+              maximum_capacity: displayTokens(res.limits.max_capacity),
+            },
+            website: res.limits.website,
+          });
 
-        // Make sure the requested capacity isn't more than the maximum
-        if (args.capacity > maxCapacity) {
-          return cbk([400, 'RequestedCapacityTooHigh', {max: maxCapacity}]);
-        }
+          args.logger.info({estimating_routing_fee_to: niceAlias(getAlias)});
 
-        args.logger.info({
-          service_limits: {
-            minimum_capacity: displayTokens(minimumCapacity),
-            maximum_capacity: displayTokens(maxCapacity),
-          },
-          website: getLimits.response.website || undefined,
+          return cbk(null, res);
         });
-
-        return cbk();
-      }],
-
-      // Get a price quote
-      getQuote: ['getAlias', 'limits', ({getAlias}, cbk) => {
-        // Exit early when recovering
-        if (!!args.recovery) {
-          return cbk();
-        }
-
-        args.logger.info({estimating_routing_fee_to: niceAlias(getAlias)});
-
-        const lifetime = daysAsBlocks(args.lifetime || defaultLifetimeDays);
-
-        return makeRequest({
-          lnd: args.lnd,
-          method: methodCreateOrder,
-          params: {
-            announce_channel: isAnnounced(args.type),
-            channel_expiry_blocks: lifetime,
-            client_balance_sat: Number().toString(),
-            funding_confirms_within_blocks: hoursAsBlocks(args.max_wait_hours),
-            lsp_balance_sat: args.capacity.toString(),
-            required_channel_confirmations: defaultChannelActiveConfs,
-            token: String(),
-          },
-          service: getAlias.id,
-        },
-        cbk);
       }],
 
       // Check the price quote
@@ -271,33 +378,9 @@ module.exports = (args, cbk) => {
           return cbk(null, {id: args.recovery});
         }
 
-        if (!getQuote.response || !getQuote.response.payment) {
-          return cbk([503, 'UnexpectedMissingQuoteInLsps1OpenQuoteResponse']);
-        }
-
-        if (!getQuote.response.payment.bolt11) {
-          return cbk([503, 'UnexpectedMissingBolt11InLsps1OpenQuoteResponse']);
-        }
-
-        if (!getQuote.response.order_id) {
-          return cbk([503, 'UnexpectedAbsentOrderIdInLsps1OpenQuoteResponse']);
-        }
-
-        const request = getQuote.response.payment.bolt11.invoice;
-
-        if (!request) {
-          return cbk([503, 'UnexpectedMissingPaymentRequestInQuoteResponse']);
-        }
-
-        try {
-          parsePaymentRequest({request});
-        } catch (err) {
-          return cbk([503, 'UnexpectedInvalidPayReqInQuoteResponse', {err}]);
-        }
-
         return cbk(null, {
-          request,
-          id: getQuote.response.order_id,
+          id: getQuote.quote.id,
+          request: getQuote.quote.request,
         });
       }],
 
@@ -0,0 +1,203 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {formatTokens} = require('ln-sync');
+const {getNodeAlias} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const fulfilLsps1Order = require('./fulfil_lsps1_order');
+const getLsps1OrderRecords = require('./get_lsps1_order_records');
+const refundLsps1Order = require('./refund_lsps1_order');
+
+const header = ['Order', 'Peer', 'Capacity', 'Fee', 'State', 'Updated'];
+const {stringify} = JSON;
+const tokens = n => formatTokens({tokens: Number(n)}).display;
+const uniq = arr => Array.from(new Set(arr));
+
+/** List, inspect, fulfil or refund recorded LSPS1 channel open orders
+
+  {
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [id]: <Order Id String>
+    [is_fulfilling]: <Fulfil Order With Held Payment Bool>
+    [is_refunding]: <Refund Order Payment Bool>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    [order]: {
+      created_at: <Order Created At ISO 8601 Date String>
+      id: <Order Id String>
+      invoice_id: <Order Invoice Payment Hash Hex String>
+      result: <Order Result Object>
+      state: <Order State String>
+      to_peer: <Client Public Key Identity Hex String>
+      transitions: [{
+        at: <State Changed At ISO 8601 Date String>
+        state: <Order State String>
+      }]
+    }
+    [rows]: [[<Table Cell String>]]
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToManageLsps1Orders']);
+        }
+
+        if (!!args.is_fulfilling && !!args.is_refunding) {
+          return cbk([400, 'ExpectedEitherFulfilOrRefundOfLsps1Order']);
+        }
+
+        if (!args.id && (!!args.is_fulfilling || !!args.is_refunding)) {
+          return cbk([400, 'ExpectedOrderIdToResolveLsps1Order']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToManageLsps1Orders']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToManageLsps1Orders']);
+        }
+
+        return cbk();
+      },
+
+      // Get the recorded orders
+      getRecords: ['validate', ({}, cbk) => {
+        return getLsps1OrderRecords({fs: args.fs}, cbk);
+      }],
+
+      // Find the specified order
+      record: ['getRecords', ({getRecords}, cbk) => {
+        // Exit early when no order is specified
+        if (!args.id) {
+          return cbk();
+        }
+
+        const record = getRecords.records.find(n => n.id === args.id);
+
+        if (!record) {
+          return cbk([404, 'FailedToFindRecordedLsps1Order']);
+        }
+
+        return cbk(null, record);
+      }],
+
+      // Fulfil or refund the order
+      resolveOrder: ['record', ({record}, cbk) => {
+        // Exit early when not resolving an order
+        if (!args.is_fulfilling && !args.is_refunding) {
+          return cbk();
+        }
+
+        const orders = new Map([[record.id, stringify(record.order)]]);
+
+        const details = {
+          orders,
+          fs: args.fs,
+          invoice_id: record.invoice_id,
+          lnd: args.lnd,
+          logger: args.logger,
+          order_id: record.id,
+          secret: record.secret,
+          to_peer: record.to_peer,
+        };
+
+        if (!!args.is_refunding) {
+          return refundLsps1Order(details, cbk);
+        }
+
+        return fulfilLsps1Order(details, cbk);
+      }],
+
+      // Get the updated order after it was resolved
+      getUpdated: ['resolveOrder', ({}, cbk) => {
+        // Exit early when not resolving an order
+        if (!args.is_fulfilling && !args.is_refunding) {
+          return cbk();
+        }
+
+        return getLsps1OrderRecords({fs: args.fs}, cbk);
+      }],
+
+      // Get aliases for the order peers
+      getAliases: ['getRecords', ({getRecords}, cbk) => {
+        // Exit early when looking at a specific order
+        if (!!args.id) {
+          return cbk(null, []);
+        }
+
+        const ids = uniq(getRecords.records.map(n => n.to_peer));
+
+        return asyncMap(ids, (id, cbk) => {
+          return getNodeAlias({id, lnd: args.lnd}, cbk);
+        },
+        cbk);
+      }],
+
+      // Final orders
+      orders: [
+        'getAliases',
+        'getRecords',
+        'getUpdated',
+        'record',
+        ({getAliases, getRecords, getUpdated, record}, cbk) =>
+      {
+        // Exit early when showing a specific order
+        if (!!record) {
+          const records = (getUpdated || getRecords).records;
+
+          const order = records.find(n => n.id === record.id);
+
+          return cbk(null, {
+            order: {
+              created_at: order.created_at,
+              id: order.id,
+              invoice_id: order.invoice_id,
+              result: order.order.result,
+              state: order.state,
+              to_peer: order.to_peer,
+              transitions: order.transitions,
+            },
+          });
+        }
+
+        const alias = id => {
+          const node = getAliases.find(n => n.id === id);
+
+          return !!node && !!node.alias ? node.alias : id;
+        };
+
+        const rows = getRecords.records.map(record => {
+          const [last] = record.transitions.slice().reverse();
+          const {result} = record.order;
+
+          return [
+            record.id,
+            alias(record.to_peer),
+            tokens(result.lsp_balance_sat),
+            tokens(result.payment.bolt11.fee_total_sat),
+            record.state,
+            moment(last.at).fromNow(),
+          ];
+        });
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'orders'}, cbk));
+  });
+};
@@ -1,5 +1,6 @@
 const {addAdvertisedFeature} = require('ln-service');
 const asyncAuto = require('async/auto');
+const asyncEach = require('async/each');
 const {getIdentity} = require('ln-service');
 const {returnResult} = require('asyncjs-util');
 const {getWalletInfo} = require('ln-service');
@@ -7,10 +8,17 @@ const {subscribeToGraph} = require('ln-service');
 const {subscribeInvoices} = require('ln-service');
 const {subscribeToPeerMessages} = require('ln-service');
 
+const completeLsps1Order = require('./complete_lsps1_order');
+const fulfilLsps1Order = require('./fulfil_lsps1_order');
+const getLsps1OrderRecords = require('./get_lsps1_order_records');
 const {methodCreateOrder} = require('./lsps1_protocol');
 const {methodGetInfo} = require('./lsps1_protocol');
 const {methodGetOrder} = require('./lsps1_protocol');
+const {methodListProtocols} = require('./lsps0_protocol');
+const {orderStateCreated} = require('./lsps1_protocol');
+const {paymentStateHeldPayment} = require('./lsps1_protocol');
 const processOrder = require('./process_order');
+const sendProtocols = require('./send_protocols');
 const sendOrder = require('./send_order');
 const sendInfo = require('./send_info');
 const {featureBit} = require('./lsps1_protocol');
@@ -23,12 +31,23 @@ const defaultConnectivityTimeoutMs = 1000 * 60 * 15;
 const isMap = n => n instanceof Map;
 const isNumber = n => !isNaN(n);
 const {now} = Date;
+const protocols = [1];
+const {stringify} = JSON;
 
 /** Run the LSPS1 Service
 
+  Recorded orders are loaded on startup and outstanding orders are resumed in
+  the background while the service runs
+
   {
     base_fee: <Base Fee Tokens Number>
     fee_rate: <Proportional Capacity Fee in Parts Per Million Tokens Number>
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
     lnd: <Authenticated LND API Object>
     logger: <Winston Logger Object>
     max_capacity: <Maximum Capacity Tokens Number>
@@ -52,6 +71,10 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedFeeRateToRunLsp1Server']);
         }
 
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRunLsp1Server']);
+        }
+
         if (!args.lnd) {
           return cbk([400, 'ExpectedAuthenticatedLndToRunLsp1Server']);
         }
@@ -97,8 +120,72 @@ module.exports = (args, cbk) => {
         return addAdvertisedFeature({feature: featureBit, lnd: args.lnd}, cbk);
       }],
 
+      // Get the recorded orders
+      getRecords: ['validate', ({}, cbk) => {
+        return getLsps1OrderRecords({fs: args.fs}, cbk);
+      }],
+
+      // Load the recorded orders so they can be looked up by peers
+      loadOrders: ['getRecords', ({getRecords}, cbk) => {
+        getRecords.records.forEach(record => {
+          args.orders.set(record.id, stringify(record.order));
+        });
+
+        return cbk();
+      }],
+
+      // Resume outstanding orders in the background without blocking serving
+      resume: ['getRecords', 'loadOrders', ({getRecords}, cbk) => {
+        asyncEach(getRecords.records, (record, cbk) => {
+          const details = {
+            fs: args.fs,
+            invoice_id: record.invoice_id,
+            lnd: args.lnd,
+            logger: args.logger,
+            order_id: record.id,
+            orders: args.orders,
+            secret: record.secret,
+            to_peer: record.to_peer,
+          };
+
+          // A failure to resume one order should not stop other orders
+          const resumed = err => {
+            if (!!err) {
+              args.logger.error({err, order: record.id});
+            }
+
+            return cbk();
+          };
+
+          switch (record.state) {
+          case orderStateCreated:
+            args.logger.info({resuming_order: record.id});
+
+            return completeLsps1Order(details, resumed);
+
+          case paymentStateHeldPayment:
+            // A channel open might have been attempted without being recorded
+            if (!record.order.result.channel) {
+              args.logger.info({held_order_needs_fulfil_or_refund: record.id});
+
+              return cbk();
+            }
+
+            args.logger.info({settling_order: record.id});
+
+            return fulfilLsps1Order(details, resumed);
+
+          default:
+            return cbk();
+          }
+        },
+        () => args.logger.info({resumed_orders: getRecords.records.length}));
+
+        return cbk();
+      }],
+
       // Serve LSPS1 open requests
-      run: ['broadcastFeature', 'getId', ({getId}, cbk) => {
+      run: ['broadcastFeature', 'getId', 'loadOrders', ({getId}, cbk) => {
         const subGraph = subscribeToGraph({lnd: args.lnd});
         const subMessages = subscribeToPeerMessages({lnd: args.lnd});
         let timeout;
@@ -148,6 +235,7 @@ module.exports = (args, cbk) => {
               return await processOrder({
                 base_fee: args.base_fee,
                 fee_rate: args.fee_rate,
+                fs: args.fs,
                 lnd: args.lnd,
                 logger: args.logger,
                 max_capacity: args.max_capacity,
@@ -187,6 +275,18 @@ module.exports = (args, cbk) => {
               return args.logger.error({err});
             }
 
+          case methodListProtocols:
+            try {
+              return await sendProtocols({
+                protocols,
+                lnd: args.lnd,
+                message: received.message,
+                to_peer: received.public_key,
+              });
+            } catch (err) {
+              return args.logger.error({err});
+            }
+
           default:
             break;
           }
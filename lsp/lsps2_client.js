@@ -0,0 +1,191 @@
+const asyncAuto = require('async/auto');
+const {connectPeer} = require('ln-sync');
+const {createInvoice} = require('ln-service');
+const {formatTokens} = require('ln-sync');
+const {getIdentity} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const jitOpeningFee = require('./jit_opening_fee');
+const makeRequest = require('./make_request');
+const {methodBuy} = require('./lsps2_protocol');
+const {methodGetInfo} = require('./lsps2_protocol');
+
+const {isArray} = Array;
+const isChannel = n => !!n && /^\d+x\d+x\d+$/.test(n);
+const isNumber = n => !!n && !isNaN(n);
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const mtokensAsTokens = n => Number(BigInt(n) / BigInt(1e3));
+const requestTimeoutMs = 1000 * 60;
+const tokensAsMtokens = tokens => (BigInt(tokens) * BigInt(1e3)).toString();
+
+/** LSPS2 Client: Buy a just-in-time channel and make an invoice to receive
+
+  LSPS2: https://github.com/BitcoinAndLightningLayerSpecs/lsp/tree/main/LSPS2
+
+  The opening fee is added to the route hint so that the payer pays the fee
+  and the full invoice amount is received over the new channel
+
+  {
+    amount: <Invoice Amount Tokens Number>
+    [description]: <Invoice Description String>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    service_node: <Provider Service Node Identity Public Key Hex String>
+  }
+
+  @returns via cbk or Promise
+  {
+    jit_channel: <Intercept Standard Format Channel Id String>
+    opening_fee: <Opening Fee Paid By Payer Tokens Number>
+    request: <BOLT 11 Payment Request String>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isNumber(args.amount)) {
+          return cbk([400, 'ExpectedInvoiceAmountForLsps2Client']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndForLsps2Client']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedWinstonLoggerForLsps2Client']);
+        }
+
+        if (!isPublicKey(args.service_node)) {
+          return cbk([400, 'ExpectedServiceNodeHexPubkeyForLsps2Client']);
+        }
+
+        return cbk();
+      },
+
+      // Get the self node identity to make the route hint to
+      getId: ['validate', ({}, cbk) => getIdentity({lnd: args.lnd}, cbk)],
+
+      // Get the alias of the service node
+      getAlias: ['validate', ({}, cbk) => {
+        return getNodeAlias({id: args.service_node, lnd: args.lnd}, cbk);
+      }],
+
+      // Connect to the service node
+      connect: ['getAlias', ({getAlias}, cbk) => {
+        args.logger.info({connecting_to: `${getAlias.id} ${getAlias.alias}`});
+
+        return connectPeer({id: getAlias.id, lnd: args.lnd}, cbk);
+      }],
+
+      // Get the opening fee menu
+      getMenu: ['connect', ({}, cbk) => {
+        return makeRequest({
+          lnd: args.lnd,
+          method: methodGetInfo,
+          service: args.service_node,
+          timeout: requestTimeoutMs,
+        },
+        cbk);
+      }],
+
+      // Select the cheapest opening fee params for the amount
+      params: ['getMenu', ({getMenu}, cbk) => {
+        const menu = getMenu.response.opening_fee_params_menu;
+
+        if (!isArray(menu)) {
+          return cbk([503, 'ExpectedOpeningFeeParamsMenuInLsps2Response']);
+        }
+
+        const size = tokensAsMtokens(args.amount);
+
+        const options = menu
+          .filter(params => {
+            const min = BigInt(params.min_payment_size_msat);
+            const max = BigInt(params.max_payment_size_msat);
+
+            return BigInt(size) >= min && BigInt(size) <= max;
+          })
+          .map(params => ({
+            params,
+            fee: jitOpeningFee({
+              min_fee_msat: params.min_fee_msat,
+              payment_size_msat: size,
+              proportional: params.proportional,
+            }).fee_mtokens,
+          }))
+          .sort((a, b) => Number(BigInt(a.fee) - BigInt(b.fee)));
+
+        const [cheapest] = options;
+
+        if (!cheapest) {
+          return cbk([400, 'NoJitChannelOfferForInvoiceAmount']);
+        }
+
+        return cbk(null, cheapest);
+      }],
+
+      // Buy the channel
+      buy: ['params', ({params}, cbk) => {
+        const fee = mtokensAsTokens(params.fee);
+
+        args.logger.info({opening_fee: formatTokens({tokens: fee}).display});
+
+        return makeRequest({
+          lnd: args.lnd,
+          method: methodBuy,
+          params: {
+            opening_fee_params: params.params,
+            payment_size_msat: tokensAsMtokens(args.amount),
+          },
+          service: args.service_node,
+          timeout: requestTimeoutMs,
+        },
+        cbk);
+      }],
+
+      // Make the invoice with a route hint over the channel to be opened
+      invoice: ['buy', 'getId', 'params', ({buy, getId, params}, cbk) => {
+        const {response} = buy;
+
+        if (!isChannel(response.jit_channel_scid)) {
+          return cbk([503, 'ExpectedJitChannelIdInLsps2BuyResponse']);
+        }
+
+        if (!isNumber(response.lsp_cltv_expiry_delta)) {
+          return cbk([503, 'ExpectedCltvExpiryDeltaInLsps2BuyResponse']);
+        }
+
+        return createInvoice({
+          description: args.description,
+          lnd: args.lnd,
+          routes: [[
+            {public_key: args.service_node},
+            {
+              base_fee_mtokens: params.fee,
+              channel: response.jit_channel_scid,
+              cltv_delta: response.lsp_cltv_expiry_delta,
+              fee_rate: Number(),
+              public_key: getId.public_key,
+            },
+          ]],
+          tokens: args.amount,
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {
+            jit_channel: response.jit_channel_scid,
+            opening_fee: mtokensAsTokens(params.fee),
+            request: res.request,
+          });
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'invoice'}, cbk));
+  });
+};
@@ -0,0 +1,187 @@
+const {codeInvalidOpeningFeeParams} = require('./lsps2_protocol');
+const {codeInvalidParameters} = require('./lsps2_protocol');
+const {codePaymentSizeTooLarge} = require('./lsps2_protocol');
+const {codePaymentSizeTooSmall} = require('./lsps2_protocol');
+const {errMessageInvalidOpeningFeeParams} = require('./lsps2_protocol');
+const {errMessageInvalidParams} = require('./lsps2_protocol');
+const {errMessagePaymentSizeTooLarge} = require('./lsps2_protocol');
+const {errMessagePaymentSizeTooSmall} = require('./lsps2_protocol');
+const jitOpeningFee = require('./jit_opening_fee');
+const makeErrorMessage = require('./make_error_message');
+const {methodBuy} = require('./lsps2_protocol');
+const {methodGetInfo} = require('./lsps2_protocol');
+const openingFeeParamsPromise = require('./opening_fee_params_promise');
+const {versionJsonRpc} = require('./lsps1_protocol');
+
+const {assign} = Object;
+const isNumeric = n => /^\d+$/.test(n);
+const mtokensAsBigInt = n => BigInt(n);
+const paramsValidityMs = 1000 * 60 * 60;
+const tokensAsMtokens = tokens => (BigInt(tokens) * BigInt(1e3)).toString();
+
+/** Make a response to an LSPS2 request
+
+  {
+    message: {
+      id: <Request Id String>
+      method: <Request Method String>
+      [params]: <Request Params Object>
+    }
+    now: <Current Epoch Time Milliseconds Number>
+    scid: <Intercept Standard Format Channel Id String>
+    secret: <Server Secret Hex String>
+    settings: {
+      base_fee: <Minimum Opening Fee Tokens Number>
+      cltv_delta: <Intercept Route Hint CLTV Delta Number>
+      fee_rate: <Proportional Opening Fee Parts Per Million Number>
+      lifetime: <Minimum Channel Lifetime Blocks Number>
+      max_client_to_self_delay: <Maximum Client To Self Delay Blocks Number>
+      max_payment: <Maximum Payment Tokens Number>
+      min_payment: <Minimum Payment Tokens Number>
+    }
+  }
+
+  @returns
+  {
+    [buy]: {
+      opening_fee_params: <Opening Fee Params Object>
+      [payment_size_msat]: <Payment Size Millitokens String>
+      scid: <Intercept Standard Format Channel Id String>
+    }
+    [response]: <JSON RPC Response Object>
+  }
+*/
+module.exports = ({message, now, scid, secret, settings}) => {
+  const invalidParams = property => makeErrorMessage({
+    code: codeInvalidParameters,
+    data: {property, message: 'MissingOrInvalidParameter'},
+    id: message.id,
+    message: errMessageInvalidParams,
+  });
+
+  switch (message.method) {
+  case methodGetInfo:
+    const params = {
+      min_fee_msat: tokensAsMtokens(settings.base_fee),
+      proportional: settings.fee_rate,
+      valid_until: new Date(now + paramsValidityMs).toISOString(),
+      min_lifetime: settings.lifetime,
+      max_client_to_self_delay: settings.max_client_to_self_delay,
+      min_payment_size_msat: tokensAsMtokens(settings.min_payment),
+      max_payment_size_msat: tokensAsMtokens(settings.max_payment),
+    };
+
+    const {promise} = openingFeeParamsPromise({params, secret});
+
+    return {
+      response: {
+        id: message.id,
+        jsonrpc: versionJsonRpc,
+        result: {opening_fee_params_menu: [assign({promise}, params)]},
+      },
+    };
+
+  case methodBuy:
+    // Opening fee params are required to buy a channel
+    if (!message.params || !message.params.opening_fee_params) {
+      return {response: invalidParams('opening_fee_params')};
+    }
+
+    const feeParams = message.params.opening_fee_params;
+    const size = message.params.payment_size_msat;
+
+    const expected = openingFeeParamsPromise({params: feeParams, secret});
+
+    // The params must be unmodified from what the server offered
+    if (feeParams.promise !== expected.promise) {
+      return {
+        response: makeErrorMessage({
+          code: codeInvalidOpeningFeeParams,
+          data: {message: 'UnrecognizedOpeningFeeParams'},
+          id: message.id,
+          message: errMessageInvalidOpeningFeeParams,
+        }),
+      };
+    }
+
+    // The params must not have expired
+    if (Date.parse(feeParams.valid_until) < now) {
+      return {
+        response: makeErrorMessage({
+          code: codeInvalidOpeningFeeParams,
+          data: {message: 'ExpiredOpeningFeeParams'},
+          id: message.id,
+          message: errMessageInvalidOpeningFeeParams,
+        }),
+      };
+    }
+
+    // Exit early when there is a payment size that is not a number
+    if (size !== undefined && !isNumeric(size)) {
+      return {response: invalidParams('payment_size_msat')};
+    }
+
+    const min = mtokensAsBigInt(feeParams.min_payment_size_msat);
+    const max = mtokensAsBigInt(feeParams.max_payment_size_msat);
+
+    const fee = size === undefined ? null : jitOpeningFee({
+      min_fee_msat: feeParams.min_fee_msat,
+      payment_size_msat: size,
+      proportional: feeParams.proportional,
+    });
+
+    // The payment has to be large enough to pay for the opening fee
+    if (!!fee && mtokensAsBigInt(size) <= mtokensAsBigInt(fee.fee_mtokens)) {
+      return {
+        response: makeErrorMessage({
+          code: codePaymentSizeTooSmall,
+          data: {message: 'PaymentSizeBelowOpeningFee'},
+          id: message.id,
+          message: errMessagePaymentSizeTooSmall,
+        }),
+      };
+    }
+
+    if (size !== undefined && mtokensAsBigInt(size) < min) {
+      return {
+        response: makeErrorMessage({
+          code: codePaymentSizeTooSmall,
+          data: {message: 'PaymentSizeBelowMinimum'},
+          id: message.id,
+          message: errMessagePaymentSizeTooSmall,
+        }),
+      };
+    }
+
+    if (size !== undefined && mtokensAsBigInt(size) > max) {
+      return {
+        response: makeErrorMessage({
+          code: codePaymentSizeTooLarge,
+          data: {message: 'PaymentSizeAboveMaximum'},
+          id: message.id,
+          message: errMessagePaymentSizeTooLarge,
+        }),
+      };
+    }
+
+    return {
+      buy: {
+        scid,
+        opening_fee_params: feeParams,
+        payment_size_msat: size,
+      },
+      response: {
+        id: message.id,
+        jsonrpc: versionJsonRpc,
+        result: {
+          client_trusts_lsp: false,
+          jit_channel_scid: scid,
+          lsp_cltv_expiry_delta: settings.cltv_delta,
+        },
+      },
+    };
+
+  default:
+    return {};
+  }
+};
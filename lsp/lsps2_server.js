@@ -0,0 +1,326 @@
+const {randomBytes} = require('crypto');
+const {randomInt} = require('crypto');
+
+const {addAdvertisedFeature} = require('ln-service');
+const asyncAuto = require('async/auto');
+const asyncQueue = require('async/queue');
+const {getIdentity} = require('ln-service');
+const {getWalletInfo} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+const {sendMessageToPeer} = require('ln-service');
+const {subscribeToPeerMessages} = require('ln-service');
+
+const {defaultLifetimeBlocks} = require('./constants');
+const {featureBit} = require('./lsps1_protocol');
+const getLsps2Buys = require('./get_lsps2_buys');
+const jitForwardDecision = require('./jit_forward_decision');
+const lsps2Response = require('./lsps2_response');
+const {methodListProtocols} = require('./lsps0_protocol');
+const openJitChannel = require('./open_jit_channel');
+const saveLsps2Buys = require('./save_lsps2_buys');
+const sendProtocols = require('./send_protocols');
+const subscribeToJitForwards = require('./subscribe_to_jit_forwards');
+const {typeForMessaging} = require('./lsps1_protocol');
+const {versionJsonRpc} = require('./lsps1_protocol');
+
+const {assign} = Object;
+const bigTokens = mtokens => BigInt(mtokens) / BigInt(1e3);
+const decodeMessage = n => JSON.parse(Buffer.from(n, 'hex').toString());
+const defaultCltvDelta = 144;
+const encodeMessage = n => Buffer.from(JSON.stringify(n)).toString('hex');
+const isExpired = (buy, now) => Date.parse(buy.valid_until) < now;
+const isNumber = n => !isNaN(n);
+const makeSecret = () => randomBytes(32).toString('hex');
+const makeScid = () => `${randomInt(16e6, 16.25e6)}x${randomInt(1e6)}x0`;
+const maxClientToSelfDelay = 2016;
+const protocols = [2];
+const saveConcurrency = 1;
+
+/** Run the LSPS2 Service to sell just-in-time channels
+
+  LSPS2: https://github.com/BitcoinAndLightningLayerSpecs/lsp/tree/main/LSPS2
+
+  Forward requests are intercepted, so this cannot run with limit-forwarding
+
+  Multi-part payments to a just-in-time channel are not supported
+
+  Sold channels are saved to the buys file until their fee params expire
+
+  {
+    base_fee: <Minimum Opening Fee Tokens Number>
+    fee_rate: <Proportional Opening Fee in Parts Per Million Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    max_capacity: <Maximum Channel Capacity Tokens Number>
+    max_payment: <Maximum Payment Tokens Number>
+    min_capacity: <Minimum Channel Capacity Tokens Number>
+    min_payment: <Minimum Payment Tokens Number>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (args.base_fee === undefined || !isNumber(args.base_fee)) {
+          return cbk([400, 'ExpectedBaseFeeToRunLsps2Server']);
+        }
+
+        if (args.fee_rate === undefined || !isNumber(args.fee_rate)) {
+          return cbk([400, 'ExpectedFeeRateToRunLsps2Server']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRunLsps2Server']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToRunLsps2Server']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToRunLsps2Server']);
+        }
+
+        if (!args.max_capacity || !isNumber(args.max_capacity)) {
+          return cbk([400, 'ExpectedMaxCapacityToRunLsps2Server']);
+        }
+
+        if (args.max_capacity < args.min_capacity) {
+          return cbk([400, 'ExpectedMaxCapacityNotBelowMinCapacityForLsps2']);
+        }
+
+        if (!args.max_payment || !isNumber(args.max_payment)) {
+          return cbk([400, 'ExpectedMaxPaymentToRunLsps2Server']);
+        }
+
+        if (!args.min_capacity || !isNumber(args.min_capacity)) {
+          return cbk([400, 'ExpectedMinCapacityToRunLsps2Server']);
+        }
+
+        if (!args.min_payment || !isNumber(args.min_payment)) {
+          return cbk([400, 'ExpectedMinPaymentToRunLsps2Server']);
+        }
+
+        return cbk();
+      },
+
+      // Get the channels that were sold and have not expired yet
+      getBuys: ['validate', ({}, cbk) => {
+        return getLsps2Buys({fs: args.fs, now: Date.now()}, cbk);
+      }],
+
+      // Get the node identity to show what server is selling channels
+      getId: ['validate', ({}, cbk) => getIdentity({lnd: args.lnd}, cbk)],
+
+      // Get wallet info to see if the LSP feature is already advertised
+      getInfo: ['validate', ({}, cbk) => getWalletInfo({lnd: args.lnd}, cbk)],
+
+      // Broadcast LSP service feature bit
+      broadcastFeature: ['getInfo', ({getInfo}, cbk) => {
+        const lspFeature = getInfo.features.find(n => n.bit === featureBit);
+
+        // Exit early when the feature bit is already set
+        if (!!lspFeature) {
+          return cbk();
+        }
+
+        return addAdvertisedFeature({feature: featureBit, lnd: args.lnd}, cbk);
+      }],
+
+      // Serve LSPS2 requests and open channels for intercepted forwards
+      run: ['broadcastFeature', 'getBuys', 'getId', ({getBuys, getId}, cbk) => {
+        const buys = new Map(getBuys.buys.map(buy => [buy.scid, buy]));
+        const secret = makeSecret();
+        const subForwards = subscribeToJitForwards({lnd: args.lnd});
+        const subMessages = subscribeToPeerMessages({lnd: args.lnd});
+
+        const settings = {
+          base_fee: args.base_fee,
+          cltv_delta: defaultCltvDelta,
+          fee_rate: args.fee_rate,
+          lifetime: defaultLifetimeBlocks,
+          max_client_to_self_delay: maxClientToSelfDelay,
+          max_payment: args.max_payment,
+          min_payment: args.min_payment,
+        };
+
+        // Buys are saved one at a time so that the latest buys are saved last
+        const saves = asyncQueue(({}, cbk) => {
+          const now = Date.now();
+
+          // Expired buys can no longer be used to open a channel
+          Array.from(buys.values())
+            .filter(buy => isExpired(buy.opening_fee_params, now))
+            .forEach(buy => buys.delete(buy.scid));
+
+          return saveLsps2Buys({
+            buys: Array.from(buys.values()),
+            fs: args.fs,
+          },
+          err => {
+            if (!!err) {
+              args.logger.error({err});
+            }
+
+            return cbk();
+          });
+        },
+        saveConcurrency);
+
+        const stop = err => {
+          subForwards.removeAllListeners();
+          subMessages.removeAllListeners();
+
+          return cbk(err);
+        };
+
+        args.logger.info({lsps2_server_running: getId.public_key});
+
+        subMessages.on('message_received', async received => {
+          // Exit early when a peer message is not for the LSPS type
+          if (received.type !== typeForMessaging) {
+            return;
+          }
+
+          // Exit early when a peer message is not JSON
+          try {
+            decodeMessage(received.message);
+          } catch (err) {
+            return;
+          }
+
+          const message = decodeMessage(received.message);
+
+          // Exit early when the JSON is not specified as JSON RPC
+          if (message.jsonrpc !== versionJsonRpc || !message.id) {
+            return;
+          }
+
+          // Respond to protocol discovery requests
+          if (message.method === methodListProtocols) {
+            try {
+              return await sendProtocols({
+                protocols,
+                lnd: args.lnd,
+                message: received.message,
+                to_peer: received.public_key,
+              });
+            } catch (err) {
+              return args.logger.error({err});
+            }
+          }
+
+          const {buy, response} = lsps2Response({
+            message,
+            secret,
+            settings,
+            now: Date.now(),
+            scid: makeScid(),
+          });
+
+          // Exit early when the message is not an LSPS2 request
+          if (!response) {
+            return;
+          }
+
+          if (!!buy) {
+            buys.set(buy.scid, assign({to_peer: received.public_key}, buy));
+
+            args.logger.info({sold_jit_channel: buy.scid});
+
+            saves.push({});
+          }
+
+          try {
+            return await sendMessageToPeer({
+              lnd: args.lnd,
+              message: encodeMessage(response),
+              public_key: received.public_key,
+              type: typeForMessaging,
+            });
+          } catch (err) {
+            return args.logger.error({err});
+          }
+        });
+
+        subForwards.on('forward_request', async request => {
+          const buy = buys.get(request.out_channel);
+
+          // Exit early when the forward is not for a just-in-time channel
+          if (!buy) {
+            return request.accept();
+          }
+
+          // Only the first payment can open the channel
+          buys.delete(request.out_channel);
+
+          saves.push({});
+
+          const decision = jitForwardDecision({
+            buy,
+            fee_mtokens: request.fee_mtokens,
+            max_capacity: args.max_capacity,
+            min_capacity: args.min_capacity,
+            mtokens: request.mtokens,
+            now: Date.now(),
+          });
+
+          // Exit early when the payment does not fit the sold channel
+          if (!!decision.reject_reason) {
+            args.logger.info({
+              rejected_jit_payment: buy.scid,
+              reason: decision.reject_reason,
+            });
+
+            return request.reject();
+          }
+
+          const {fee_mtokens} = decision;
+
+          try {
+            const {id} = await openJitChannel({
+              capacity: decision.capacity,
+              lnd: args.lnd,
+              logger: args.logger,
+              partner_public_key: buy.to_peer,
+              scid: buy.scid,
+            });
+
+            args.logger.info({
+              jit_channel_opened: id,
+              opening_fee: Number(bigTokens(fee_mtokens)),
+            });
+
+            // Exit early when the fee was paid over the route hint
+            if (!!decision.is_fee_paid) {
+              return await request.accept();
+            }
+
+            return await request.forward({fee_mtokens});
+          } catch (err) {
+            args.logger.error({err, jit_channel: buy.scid});
+
+            return request.reject();
+          }
+        });
+
+        subForwards.on('error', err => {
+          return stop([503, 'UnexpectedErrInJitForwardsSubscription', {err}]);
+        });
+
+        subMessages.on('error', err => {
+          return stop([503, 'UnexpectedErrInLsps2MessagesSubscription', {err}]);
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
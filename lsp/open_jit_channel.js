@@ -0,0 +1,126 @@
+const asyncAuto = require('async/auto');
+const asyncRetry = require('async/retry');
+const {chanNumber} = require('bolt07');
+const {getChannels} = require('ln-service');
+const {openChannel} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const activeCheckTimes = 60 * 5;
+const interval = 1000;
+const scidAsNumber = channel => chanNumber({channel}).number;
+
+/** Open a zero-conf channel and route an intercept channel id through it
+
+  Requires `--protocol.option-scid-alias` and `--protocol.zero-conf` on both
+  the server and the client nodes
+
+  {
+    capacity: <Channel Capacity Tokens Number>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    partner_public_key: <Client Public Key Identity Hex String>
+    scid: <Intercept Standard Format Channel Id String>
+  }
+
+  @returns via cbk or Promise
+  {
+    id: <Opened Channel Standard Format Channel Id String>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.capacity) {
+          return cbk([400, 'ExpectedCapacityToOpenJitChannel']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToOpenJitChannel']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToOpenJitChannel']);
+        }
+
+        if (!args.partner_public_key) {
+          return cbk([400, 'ExpectedClientPublicKeyToOpenJitChannel']);
+        }
+
+        if (!args.scid) {
+          return cbk([400, 'ExpectedInterceptChannelIdToOpenJitChannel']);
+        }
+
+        return cbk();
+      },
+
+      // Open the channel
+      open: ['validate', ({}, cbk) => {
+        args.logger.info({
+          opening_jit_channel: args.capacity,
+          to: args.partner_public_key,
+        });
+
+        return openChannel({
+          description: `Just-in-time channel for ${args.scid}`,
+          is_private: true,
+          is_trusted_funding: true,
+          lnd: args.lnd,
+          local_tokens: args.capacity,
+          partner_public_key: args.partner_public_key,
+        },
+        cbk);
+      }],
+
+      // Wait for the channel to be active
+      waitForActive: ['open', ({open}, cbk) => {
+        return asyncRetry({interval, times: activeCheckTimes}, cbk => {
+          return getChannels({
+            is_active: true,
+            lnd: args.lnd,
+            partner_public_key: args.partner_public_key,
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            const channel = res.channels.find(channel => {
+              if (channel.transaction_id !== open.transaction_id) {
+                return false;
+              }
+
+              return channel.transaction_vout === open.transaction_vout;
+            });
+
+            if (!channel) {
+              return cbk([503, 'FailedToFindActiveJitChannel']);
+            }
+
+            return cbk(null, {id: channel.id});
+          });
+        },
+        cbk);
+      }],
+
+      // Add the intercept channel id as an alias of the new channel
+      addAlias: ['waitForActive', ({waitForActive}, cbk) => {
+        return args.lnd.router.xAddLocalChanAliases({
+          alias_maps: [{
+            aliases: [scidAsNumber(args.scid)],
+            base_scid: scidAsNumber(waitForActive.id),
+          }],
+        },
+        err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorAddingJitChannelAlias', {err}]);
+          }
+
+          return cbk(null, {id: waitForActive.id});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'addAlias'}, cbk));
+  });
+};
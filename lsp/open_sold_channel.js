@@ -12,6 +12,7 @@ const {orderStateCompleted} = require('./lsps1_protocol');
 const {paymentStateHeldPayment} = require('./lsps1_protocol');
 const {paymentStatePaid} = require('./lsps1_protocol');
 const {paymentStateRefunded} = require('./lsps1_protocol');
+const recordLsps1Order = require('./record_lsps1_order');
 
 const asOutpoint = utxo => `${utxo.transaction_id}:${utxo.transaction_vout}`;
 const channelExpiryMs = 1000 * 60 * 60 * 24 * 90;
@@ -23,6 +24,11 @@ const updateOrder = (orders, o, id) => orders.set(id, JSON.stringify(o));
 
   {
     chain_fee: <Chain Fee Rate Per VByte For Channel Open Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
     invoice_id: <Channel Open Invoice Payment Hash Id Hex String>
     lnd: <Authenticated LND API Object>
     logger: <Winston Logger Object>
@@ -43,6 +49,10 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedChainFeesToOpenSoldChannel']);
         }
 
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToOpenSoldChannel']);
+        }
+
         if (!args.invoice_id) {
           return cbk([400, 'ExpectedInvoiceIdToOpenSoldChannel']);
         }
@@ -145,7 +155,14 @@ module.exports = (args, cbk) => {
           reveal_preimage: args.secret,
         });
 
-        return cbk();
+        // Record the channel so a restart will not attempt to open it again
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: paymentStateHeldPayment,
+        },
+        cbk);
       }],
 
       // Prevent the invoice from being paid
@@ -180,7 +197,13 @@ module.exports = (args, cbk) => {
 
         args.logger.info({order_failed: args.order_id});
 
-        return cbk();
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: paymentStateRefunded,
+        },
+        cbk);
       }],
 
       // Now that the delivery of the channel has been made, take the funds
@@ -193,8 +216,8 @@ module.exports = (args, cbk) => {
         return settleHodlInvoice({lnd: args.lnd, secret: args.secret}, cbk);
       }],
 
-      // Finalize the payment state in the order records
-      updateAsPaid: [
+      // Update the payment state now that the payment is received
+      updatePaid: [
         'openChannel',
         'order',
         'settle',
@@ -205,12 +228,42 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
-        order.result.order_state = orderStateCompleted;
         order.result.payment.state = paymentStatePaid;
 
         updateOrder(args.orders, order, args.order_id);
 
-        return cbk();
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: paymentStatePaid,
+        },
+        cbk);
+      }],
+
+      // Finalize the order state in the order records
+      updateAsPaid: [
+        'openChannel',
+        'order',
+        'updatePaid',
+        ({openChannel, order}, cbk) =>
+      {
+        // Exit early when the open attempt was not successful
+        if (!!openChannel.error) {
+          return cbk();
+        }
+
+        order.result.order_state = orderStateCompleted;
+
+        updateOrder(args.orders, order, args.order_id);
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: orderStateCompleted,
+        },
+        cbk);
       }],
 
       // Get the updated invoice to see how much was received
@@ -0,0 +1,42 @@
+const {createHmac} = require('crypto');
+
+const algorithm = 'sha256';
+const fields = [
+  'min_fee_msat',
+  'proportional',
+  'valid_until',
+  'min_lifetime',
+  'max_client_to_self_delay',
+  'min_payment_size_msat',
+  'max_payment_size_msat',
+];
+
+/** Derive the promise that commits to a set of opening fee params
+
+  The promise lets the server check that params came from the server itself
+
+  {
+    params: {
+      max_client_to_self_delay: <Maximum Client To Self Delay Blocks Number>
+      max_payment_size_msat: <Maximum Payment Size Millitokens String>
+      min_fee_msat: <Minimum Opening Fee Millitokens String>
+      min_lifetime: <Minimum Channel Lifetime Blocks Number>
+      min_payment_size_msat: <Minimum Payment Size Millitokens String>
+      proportional: <Proportional Fee Parts Per Million Number>
+      valid_until: <Params Valid Until ISO 8601 Date String>
+    }
+    secret: <Server Secret Hex String>
+  }
+
+  @returns
+  {
+    promise: <Promise Hex String>
+  }
+*/
+module.exports = ({params, secret}) => {
+  const committed = fields.map(field => String(params[field])).join('|');
+
+  const hmac = createHmac(algorithm, Buffer.from(secret, 'hex'));
+
+  return {promise: hmac.update(committed).digest('hex')};
+};
@@ -6,18 +6,18 @@ const {getChainFeeRate} = require('ln-service');
 const {getNodeAlias} = require('ln-sync');
 const {returnResult} = require('asyncjs-util');
 const {sendMessageToPeer} = require('ln-service');
-const {subscribeToInvoice} = require('ln-service');
 
 const {assumedOpenTransactionVbytes} = require('./constants');
 const {codeInvalidParameters} = require('./lsps1_protocol');
 const {codeOptionMismatch} = require('./lsps1_protocol');
+const completeLsps1Order = require('./complete_lsps1_order');
 const {defaultLifetimeBlocks} = require('./constants');
 const {errMessageInvalidParams} = require('./lsps1_protocol');
 const {errMessageOptionMismatch} = require('./lsps1_protocol');
 const makeErrorMessage = require('./make_error_message');
-const openSoldChannel = require('./open_sold_channel');
 const {orderStateCreated} = require('./lsps1_protocol');
 const {paymentStateExpectedPayment} = require('./lsps1_protocol');
+const recordLsps1Order = require('./record_lsps1_order');
 const {typeForMessaging} = require('./lsps1_protocol');
 const {versionJsonRpc} = require('./lsps1_protocol');
 
@@ -44,6 +44,11 @@ const tokensAsBigUnit = tokens => (tokens / 1e8).toFixed(8);
 
   {
     fee_rate: <Capacity Fee Rate Per Year Parts Per Million Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
     max_capacity: <Maximum Capacity Tokens Number>
     message: <Received Message String>
     min_capacity: <Minimum Capacity Tokens Number>
@@ -64,6 +69,10 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedCapacityRateToProcessOpenChannelOrder']);
         }
 
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToProcessChannelOrder']);
+        }
+
         if (!args.lnd) {
           return cbk([400, 'ExpectedAuthenticatedLndToProcessOpenChannel']);
         }
@@ -390,60 +399,11 @@ module.exports = (args, cbk) => {
         cbk);
       }],
 
-      // Wait for the invoice to be paid
-      waitForPayment: [
-        'makeInvoice',
-        'message',
-        ({makeInvoice, message}, cbk) =>
-      {
-        // Exit early when there was an error
-        if (!makeInvoice) {
-          return cbk();
-        }
-
-        const sub = subscribeToInvoice({id: makeInvoice.id, lnd: args.lnd});
-
-        // Stop listening to the invoice after it expires
-        const timeout = setTimeout(() => {
-          sub.removeAllListeners();
-
-          return cbk([408, 'TimedOutWaitingForOpenChannelLightningPayment']);
-        },
-        orderExpiryMs);
-
-        // Wait for the payment to come in
-        sub.on('invoice_updated', invoice => {
-          // Only consider updates where the payment is being held
-          if (!invoice.is_held) {
-            return;
-          }
-
-          clearTimeout(timeout);
-
-          sub.removeAllListeners();
-
-          return cbk(null, {
-            id: invoice.id,
-            order: message.order,
-            secret: makeInvoice.secret,
-          });
-        });
-
-        // Exit with error when there is a subscription failure
-        sub.on('error', err => {
-          clearTimeout(timeout);
-
-          sub.removeAllListeners();
-
-          return cbk([503, 'SubscriptionToOpenChannelInvoiceFails', {err}]);
-        });
-      }],
-
-      // Send order message
+      // Make the order
       makeOrder: ['makeInvoice', 'message', ({makeInvoice, message}, cbk) => {
         // Exit early when there was an error
         if (!makeInvoice) {
-          return;
+          return cbk();
         }
 
         const confTarget = message.params.funding_confirms_within_blocks;
@@ -479,52 +439,70 @@ module.exports = (args, cbk) => {
         // Store the order
         args.orders.set(message.order, response);
 
-        // Tell the client about the order
-        return sendMessageToPeer({
-          lnd: args.lnd,
-          message: encodeMessage(response),
-          public_key: args.to_peer,
-          type: typeForMessaging,
+        return cbk(null, response);
+      }],
+
+      // Record the order so that it can be resumed after a restart
+      recordOrder: [
+        'makeInvoice',
+        'makeOrder',
+        'message',
+        ({makeInvoice, makeOrder, message}, cbk) =>
+      {
+        // Exit early when there was an error
+        if (!makeOrder) {
+          return cbk();
+        }
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: message.order,
+          invoice_id: makeInvoice.id,
+          orders: args.orders,
+          secret: makeInvoice.secret,
+          state: orderStateCreated,
+          to_peer: args.to_peer,
         },
         cbk);
       }],
 
-      // Calculate open chain fees
-      getOpenFeeRate: ['getMessage', 'waitForPayment', ({getMessage}, cbk) => {
-        // Exit early when there are no message params to process
-        if (!getMessage.params) {
+      // Tell the client about the order
+      sendOrder: ['makeOrder', 'recordOrder', ({makeOrder}, cbk) => {
+        // Exit early when there was an error
+        if (!makeOrder) {
           return cbk();
         }
 
-        const blocks = getMessage.params.funding_confirms_within_blocks;
-
-        return getChainFeeRate({
-          confirmation_target: Number(blocks),
+        return sendMessageToPeer({
           lnd: args.lnd,
+          message: encodeMessage(makeOrder),
+          public_key: args.to_peer,
+          type: typeForMessaging,
         },
         cbk);
       }],
 
-      // Open the channel
-      open: [
-        'getOpenFeeRate',
-        'waitForPayment',
-        ({getOpenFeeRate, waitForPayment}, cbk) =>
+      // Wait for payment and then open the channel
+      complete: [
+        'makeInvoice',
+        'message',
+        'sendOrder',
+        ({makeInvoice, message}, cbk) =>
       {
         // Exit early when there was an error
-        if (!waitForPayment || !waitForPayment.order) {
+        if (!makeInvoice) {
           return cbk();
         }
 
-        return openSoldChannel({
-          chain_fee: getOpenFeeRate.tokens_per_vbyte,
-          invoice_id: waitForPayment.id,
+        return completeLsps1Order({
+          fs: args.fs,
+          invoice_id: makeInvoice.id,
           lnd: args.lnd,
           logger: args.logger,
-          open_to: args.to_peer,
-          order_id: waitForPayment.order,
+          order_id: message.order,
           orders: args.orders,
-          secret: waitForPayment.secret,
+          secret: makeInvoice.secret,
+          to_peer: args.to_peer,
         },
         cbk);
       }],
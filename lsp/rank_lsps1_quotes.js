@@ -0,0 +1,73 @@
+const hasFee = n => n.fee !== undefined;
+const isExpired = (n, now) => !!n.expires_at && Date.parse(n.expires_at) < now;
+const {max} = Math;
+
+/** Rank LSPS1 quotes by total cost, then wait time, then graph centrality
+
+  Centrality is the degree of a node relative to the most connected node
+
+  Quotes without a fee are ranked last and expired quotes are left out
+
+  {
+    channels: [{
+      policies: [{
+        public_key: <Public Key Hex String>
+      }]
+    }]
+    now: <Current Epoch Time Milliseconds Number>
+    quotes: [{
+      [expires_at]: <Quote Expires At ISO 8601 Date String>
+      [fee]: <Order Total Tokens Number>
+      max_wait_hours: <Maximum Hours Until Channel Funding Confirms Number>
+      public_key: <Provider Public Key Hex String>
+    }]
+  }
+
+  @returns
+  {
+    ranked: [{
+      centrality: <Degree Centrality Score Number>
+      [fee]: <Order Total Tokens Number>
+      max_wait_hours: <Maximum Hours Until Channel Funding Confirms Number>
+      public_key: <Provider Public Key Hex String>
+    }]
+  }
+*/
+module.exports = ({channels, now, quotes}) => {
+  const degrees = channels.reduce((sum, channel) => {
+    channel.policies.forEach(({public_key}) => {
+      return sum.set(public_key, (sum.get(public_key) || 0) + 1);
+    });
+
+    return sum;
+  },
+  new Map());
+
+  const maxDegree = max(1, ...degrees.values());
+
+  const ranked = quotes
+    .filter(quote => !isExpired(quote, now))
+    .map(quote => ({
+      centrality: (degrees.get(quote.public_key) || 0) / maxDegree,
+      fee: quote.fee,
+      max_wait_hours: quote.max_wait_hours,
+      public_key: quote.public_key,
+    }))
+    .sort((a, b) => {
+      if (hasFee(a) !== hasFee(b)) {
+        return hasFee(a) ? -1 : 1;
+      }
+
+      if (a.fee !== b.fee) {
+        return a.fee - b.fee;
+      }
+
+      if (a.max_wait_hours !== b.max_wait_hours) {
+        return a.max_wait_hours - b.max_wait_hours;
+      }
+
+      return b.centrality - a.centrality;
+    });
+
+  return {ranked};
+};
@@ -0,0 +1,121 @@
+const {join} = require('path');
+
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+
+const ordersDirectory = 'lsps1_orders';
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Record the state of an LSPS1 order in the orders directory
+
+  Each order is kept in its own file so that orders record independently
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    id: <Order Id String>
+    [invoice_id]: <Order Invoice Payment Hash Hex String>
+    orders: <Orders Map Object>
+    [secret]: <Order Invoice Preimage Hex String>
+    state: <Order State String>
+    [to_peer]: <Client Public Key Identity Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordLsps1Order']);
+        }
+
+        if (!args.id) {
+          return cbk([400, 'ExpectedOrderIdToRecordLsps1Order']);
+        }
+
+        if (!args.orders || !args.orders.get(args.id)) {
+          return cbk([400, 'ExpectedKnownOrderToRecordLsps1Order']);
+        }
+
+        if (!args.state) {
+          return cbk([400, 'ExpectedOrderStateToRecordLsps1Order']);
+        }
+
+        return cbk();
+      },
+
+      // Path to the order file
+      path: ['validate', ({}, cbk) => {
+        const dir = homePath({file: ordersDirectory}).path;
+
+        return cbk(null, {dir, file: join(dir, `${args.id}.json`)});
+      }],
+
+      // Get the existing record of the order
+      getRecord: ['path', ({path}, cbk) => {
+        return args.fs.getFile(path.file, (err, res) => {
+          // Exit early when the order has not been recorded yet
+          if (!!err || !res) {
+            return cbk(null, {transitions: []});
+          }
+
+          try {
+            return cbk(null, parse(res.toString()));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonLsps1OrderFile', {err}]);
+          }
+        });
+      }],
+
+      // Make sure the home directory is there
+      makeHomeDir: ['getRecord', ({}, cbk) => {
+        return args.fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Make sure the orders directory is there
+      makeDir: ['makeHomeDir', 'path', ({path}, cbk) => {
+        return args.fs.makeDirectory(path.dir, () => cbk());
+      }],
+
+      // Write the updated record
+      record: ['getRecord', 'makeDir', 'path', ({getRecord, path}, cbk) => {
+        const at = new Date().toISOString();
+        const [last] = getRecord.transitions.slice().reverse();
+
+        const isChanged = !last || last.state !== args.state;
+
+        const record = {
+          created_at: getRecord.created_at || at,
+          id: args.id,
+          invoice_id: args.invoice_id || getRecord.invoice_id,
+          order: parse(args.orders.get(args.id)),
+          secret: args.secret || getRecord.secret,
+          state: args.state,
+          to_peer: args.to_peer || getRecord.to_peer,
+          transitions: getRecord.transitions.concat(isChanged ? [{
+            at,
+            state: args.state,
+          }] : []),
+        };
+
+        return args.fs.writeFile(path.file, stringify(record, null, 2), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingLsps1OrderFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
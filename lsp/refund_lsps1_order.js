@@ -0,0 +1,88 @@
+const asyncAuto = require('async/auto');
+const {cancelHodlInvoice} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const {orderStateFailed} = require('./lsps1_protocol');
+const {paymentStateRefunded} = require('./lsps1_protocol');
+const recordLsps1Order = require('./record_lsps1_order');
+
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Refund an LSPS1 order by canceling back the order payment
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    invoice_id: <Order Invoice Payment Hash Hex String>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    order_id: <Order Id String>
+    orders: <Orders Map Object>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRefundLsps1Order']);
+        }
+
+        if (!args.invoice_id) {
+          return cbk([400, 'ExpectedInvoiceIdToRefundLsps1Order']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToRefundLsps1Order']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToRefundLsps1Order']);
+        }
+
+        if (!args.order_id) {
+          return cbk([400, 'ExpectedOrderIdToRefundLsps1Order']);
+        }
+
+        if (!args.orders || !args.orders.get(args.order_id)) {
+          return cbk([400, 'ExpectedKnownOrderToRefundLsps1Order']);
+        }
+
+        return cbk();
+      },
+
+      // Cancel back the payment
+      cancel: ['validate', ({}, cbk) => {
+        return cancelHodlInvoice({id: args.invoice_id, lnd: args.lnd}, cbk);
+      }],
+
+      // Record the refund
+      record: ['cancel', ({}, cbk) => {
+        const order = parse(args.orders.get(args.order_id));
+
+        order.result.order_state = orderStateFailed;
+        order.result.payment.state = paymentStateRefunded;
+
+        args.orders.set(args.order_id, stringify(order));
+
+        args.logger.info({order_refunded: args.order_id});
+
+        return recordLsps1Order({
+          fs: args.fs,
+          id: args.order_id,
+          orders: args.orders,
+          state: paymentStateRefunded,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,64 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {buysFile} = require('./constants');
+const {homePath} = require('./../storage');
+
+const {stringify} = JSON;
+
+/** Save the sold LSPS2 just-in-time channels to the buys file
+
+  Buys are saved so that channels sold before a restart can still be opened
+
+  {
+    buys: [{
+      opening_fee_params: <Opening Fee Params Object>
+      [payment_size_msat]: <Payment Size Millitokens String>
+      scid: <Intercept Standard Format Channel Id String>
+      to_peer: <Buyer Public Key Identity Hex String>
+    }]
+    fs: {
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({buys, fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!Array.isArray(buys)) {
+          return cbk([400, 'ExpectedArrayOfBuysToSaveLsps2Buys']);
+        }
+
+        if (!fs || !fs.makeDirectory || !fs.writeFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToSaveLsps2Buys']);
+        }
+
+        return cbk();
+      },
+
+      // Make sure the home directory is there
+      makeDir: ['validate', ({}, cbk) => {
+        return fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Write the buys file
+      write: ['makeDir', ({}, cbk) => {
+        const path = homePath({file: buysFile}).path;
+
+        return fs.writeFile(path, stringify({buys}, null, 2), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingLsps2BuysFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
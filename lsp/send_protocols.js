@@ -0,0 +1,79 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+const {sendMessageToPeer} = require('ln-service');
+
+const {typeForMessaging} = require('./lsps1_protocol');
+const {versionJsonRpc} = require('./lsps1_protocol');
+
+const decodeMessage = hex => JSON.parse(Buffer.from(hex, 'hex').toString());
+const encodeMessage = obj => Buffer.from(JSON.stringify(obj)).toString('hex');
+const {isArray} = Array;
+
+/** Send the list of supported LSP protocols
+
+  LSPS0: https://github.com/BitcoinAndLightningLayerSpecs/lsp/tree/main/LSPS0
+
+  {
+    lnd: <Authenticated LND API Object>
+    message: <Received Message Hex String>
+    protocols: [<Supported LSP Protocol Number>]
+    to_peer: <Peer Public Key Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToSendLspProtocols']);
+        }
+
+        if (!args.message) {
+          return cbk([400, 'ExpectedMessageToSendLspProtocols']);
+        }
+
+        try {
+          decodeMessage(args.message);
+        } catch (e) {
+          return cbk([400, 'ExpectedValidMessageToSendLspProtocols']);
+        }
+
+        if (!isArray(args.protocols)) {
+          return cbk([400, 'ExpectedArrayOfProtocolsToSendLspProtocols']);
+        }
+
+        if (!args.to_peer) {
+          return cbk([400, 'ExpectedIdentityPubKeyToSendLspProtocols']);
+        }
+
+        return cbk();
+      },
+
+      // Send the protocols response via p2p messaging
+      send: ['validate', ({}, cbk) => {
+        const {id} = decodeMessage(args.message);
+
+        // A response cannot be returned when there is no request id
+        if (!id) {
+          return cbk([400, 'ExpectedMessageIdToSendLspProtocols']);
+        }
+
+        return sendMessageToPeer({
+          lnd: args.lnd,
+          message: encodeMessage({
+            id,
+            jsonrpc: versionJsonRpc,
+            result: {protocols: args.protocols},
+          }),
+          public_key: args.to_peer,
+          type: typeForMessaging,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,114 @@
+const EventEmitter = require('events');
+
+const {chanFormat} = require('bolt07');
+
+const {extraFeeRecordType} = require('./lsps2_protocol');
+
+const actionForward = 'RESUME';
+const actionForwardModified = 'RESUME_MODIFIED';
+const actionReject = 'FAIL';
+const asChannel = number => chanFormat({number: String(number)}).channel;
+const event = 'forward_request';
+const feeRecordBytes = 8;
+
+/** Subscribe to requests to forward payments with support for taking a fee
+
+  Forwards can be resumed with a lower outgoing amount so that a just-in-time
+  channel opening fee is deducted, signaling the fee in an extra fee record
+
+  Requires LND 0.18.0 or above to forward with a deducted fee
+
+  {
+    lnd: <Authenticated LND API Object>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  <EventEmitter Object>
+
+  @event 'forward_request'
+  {
+    accept: () => {}
+    fee_mtokens: <Routing Fee Paid Millitokens String>
+    forward: ({fee_mtokens: <Deduct Fee Millitokens String>}) => {}
+    hash: <Payment Hash Hex String>
+    in_channel: <Inbound Standard Format Channel Id String>
+    mtokens: <Millitokens to Forward To Next Peer String>
+    out_channel: <Requested Outbound Channel Standard Format Id String>
+    reject: <Reject Forward Function> () => {}
+  }
+*/
+module.exports = ({lnd}) => {
+  if (!lnd || !lnd.router || !lnd.router.htlcInterceptor) {
+    throw new Error('ExpectedAuthenticatedLndToSubscribeToJitForwards');
+  }
+
+  const emitter = new EventEmitter();
+  const sub = lnd.router.htlcInterceptor({});
+
+  const emitErr = err => {
+    if (!emitter.listenerCount('error')) {
+      return;
+    }
+
+    return emitter.emit('error', err);
+  };
+
+  // Cancel the subscription when all listeners are removed
+  emitter.on('removeListener', () => {
+    // Exit early when there are still listeners
+    if (!!emitter.listenerCount(event)) {
+      return;
+    }
+
+    sub.cancel();
+
+    return;
+  });
+
+  sub.on('data', data => {
+    try {
+      const inAmount = BigInt(data.incoming_amount_msat);
+      const key = data.incoming_circuit_key;
+
+      return emitter.emit(event, {
+        accept: async () => await sub.write({
+          action: actionForward,
+          incoming_circuit_key: key,
+        }),
+        forward: async args => {
+          const fee = BigInt(args.fee_mtokens);
+          const record = Buffer.alloc(feeRecordBytes);
+
+          record.writeBigUInt64BE(fee);
+
+          const outAmount = BigInt(data.outgoing_amount_msat) - fee;
+
+          return await sub.write({
+            action: actionForwardModified,
+            incoming_circuit_key: key,
+            out_amount_msat: outAmount.toString(),
+            out_wire_custom_records: {[extraFeeRecordType]: record},
+          });
+        },
+        fee_mtokens: (inAmount - BigInt(data.outgoing_amount_msat)).toString(),
+        hash: Buffer.from(data.payment_hash).toString('hex'),
+        in_channel: asChannel(key.chan_id),
+        mtokens: String(data.outgoing_amount_msat),
+        out_channel: asChannel(data.outgoing_requested_chan_id),
+        reject: async () => await sub.write({
+          action: actionReject,
+          incoming_circuit_key: key,
+        }),
+      });
+    } catch (err) {
+      return emitErr([503, err.message]);
+    }
+  });
+
+  sub.on('error', err => emitErr(err));
+
+  return emitter;
+};
@@ -3,7 +3,6 @@ const asyncMap = require('async/map');
 const asyncReflect = require('async/reflect');
 const asyncUntil = require('async/until');
 const {bold} = require('colorette');
-const {decodeChanId} = require('bolt07');
 const {formatTokens} = require('ln-sync');
 const {getChannel} = require('ln-service');
 const {getChannels} = require('ln-service');
@@ -25,12 +24,12 @@ const {formatFeeRate} = require('./../display');
 const {getIcons} = require('./../display');
 const {getPastForwards} = require('./../routing');
 const {isMatchingFilters} = require('./../display');
+const {peerFilterVariables} = require('./../display');
 const {sortBy} = require('./../arrays');
 
 const closedSorts = ['fee_earnings', 'first_connected'];
 const defaultInvoicesLimit = 200;
 const defaultSort = 'first_connected';
-const estimateDiskFootprint = n => Math.round(n * 55 / 1e6 * 10) / 10;
 const fromNow = epoch => !epoch ? undefined : moment(epoch * 1e3).fromNow();
 const hasDiskFilter = filter => /disk_usage_mb/gim.test(filter);
 const {isArray} = Array;
@@ -40,7 +39,6 @@ const notNull = array => array.filter(n => n !== null);
 const notFoundIndex = -1;
 const {round} = Math;
 const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
-const sumMtokens = arr => arr.reduce((sum, n) => sum + BigInt(n), BigInt(0));
 const uniq = arr => Array.from(new Set(arr));
 const wideSizeCols = 150;
 
@@ -342,6 +340,7 @@ module.exports = (args, cbk) => {
         'allChannels',
         'forwards',
         'getChannels',
+        'getForwards',
         'getInvoices',
         'getNetwork',
         'getPayments',
@@ -352,6 +351,7 @@ module.exports = (args, cbk) => {
           allChannels,
           forwards,
           getChannels,
+          getForwards,
           getInvoices,
           getNetwork,
           getPayments,
@@ -417,10 +417,6 @@ module.exports = (args, cbk) => {
         const peerKeys = getChannels.channels.map(n => n.partner_public_key);
         const wallet = await getHeight({lnd: args.lnd});
 
-        const heights = allChannels.map(({id, key}) => {
-          return {key, height: decodeChanId({channel: id}).block_height};
-        });
-
         const mpb = minutesPerBlock(network);
 
         const peers = (await asyncMap(uniq(peerKeys), async publicKey => {
@@ -429,22 +425,6 @@ module.exports = (args, cbk) => {
           const peer = getPeers.peers.find(n => n.public_key === publicKey);
           const lastPaidThrough = lastPaidOut[publicKey];
 
-          const feeEarnings = forwards.filter(fwd => {
-            return fwd.inbound === publicKey || fwd.outbound === publicKey;
-          });
-
-          const channelHeights = sortBy({
-            array: heights.filter(({key}) => key === publicKey),
-            attribute: 'height',
-          });
-
-          const feeMtokens = sumMtokens(feeEarnings.map(n => n.fee_mtokens));
-          const [newest] = channelHeights.sorted.slice().reverse();
-          const [oldest] = channelHeights.sorted;
-
-          const blocks = wallet.current_block_height - oldest.height;
-          const newBlocks = wallet.current_block_height - newest.height;
-
           const active = getChannels.channels.filter(channel => {
             return channel.partner_public_key === publicKey;
           });
@@ -472,8 +452,6 @@ module.exports = (args, cbk) => {
             return !!chan.is_opening && chan.partner_public_key === publicKey;
           });
 
-          const channels = [].concat(active).concat(pendingChannels);
-
           const policies = getPolicies
             .filter(n => !!n)
             .map(n => n.policies.find(n => n.public_key === publicKey))
@@ -484,11 +462,20 @@ module.exports = (args, cbk) => {
             .filter(n => n !== undefined);
 
           const disabled = policies.map(n => !!n.is_disabled).filter(n => !!n);
-          const feeRate = !feeRates.length ? undefined : max(...feeRates);
           const maxHtlcSizes = policies.map(n => n.max_htlc_mtokens);
-          const pastStates = sumOf(active.map(n => n.past_states));
 
-          const totalCapacity = sumOf(active.map(n => n.capacity));
+          const {variables} = peerFilterVariables({
+            channels: active,
+            fee_rates: feeRates,
+            forwards: getForwards.forwards,
+            height: wallet.current_block_height,
+            ids: allChannels.filter(n => n.key === publicKey).map(n => n.id),
+            pending: pendingChannels,
+          });
+
+          const blocks = variables.age;
+          const newBlocks = variables.blocks_since_last_channel;
+          const totalCapacity = variables.capacity;
 
           const totalMaxHtlc = mtokensAsTokens(sumOfBig(maxHtlcSizes));
 
@@ -500,17 +487,8 @@ module.exports = (args, cbk) => {
 
           // Check if the peer matches filters
           const matching = isMatchingFilters({
+            variables,
             filters: args.filters || [],
-            variables: {
-              age: blocks,
-              capacity: totalCapacity,
-              blocks_since_last_channel: newBlocks,
-              disk_usage_mb: estimateDiskFootprint(pastStates),
-              fee_earnings: mtokensAsTokens(feeMtokens),
-              inbound_fee_rate: feeRate,
-              inbound_liquidity: sumOf(channels.map(n => n.remote_balance)),
-              outbound_liquidity: sumOf(channels.map(n => n.local_balance)),
-            },
           });
 
           // Exit early when there is a filter error
@@ -542,11 +520,11 @@ module.exports = (args, cbk) => {
           return {
             alias: node.alias,
             downtime_percentage: round(100 * (downtime / (downtime + uptime))),
-            est_disk_usage_mb: estimateDiskFootprint(pastStates),
-            fee_earnings: mtokensAsTokens(feeMtokens),
+            est_disk_usage_mb: variables.disk_usage_mb,
+            fee_earnings: variables.fee_earnings,
             first_connected: moment().subtract(blocks * mpb, 'minutes').unix(),
-            inbound_fee_rate: feeRate,
-            inbound_liquidity: sumOf(channels.map(n => n.remote_balance)),
+            inbound_fee_rate: variables.inbound_fee_rate,
+            inbound_liquidity: variables.inbound_liquidity,
             is_forwarding: hasHtlcChannel || undefined,
             is_inbound_disabled: !!disabled.length || undefined,
             is_offline: !peer || undefined,
@@ -555,7 +533,7 @@ module.exports = (args, cbk) => {
             is_small_max_htlc: isSmallMaxHtlc || undefined,
             is_thawing: hasThawChannel || undefined,
             last_activity: args.idle_days !== undefined ? lastActivity : null,
-            outbound_liquidity: sumOf(channels.map(n => n.local_balance)),
+            outbound_liquidity: variables.outbound_liquidity,
             public_key: publicKey,
           };
         })).filter(n => !!n);
@@ -8,6 +8,7 @@ const multiPathProbe = require('./multi_path_probe');
 const networks = require('./networks');
 const openChannel = require('./open_channel');
 const pay = require('./pay');
+const payBatch = require('./pay_batch');
 const {peerSortOptions} = require('./constants');
 const probe = require('./probe');
 const probeDestination = require('./probe_destination');
@@ -29,6 +30,7 @@ module.exports = {
   networks,
   openChannel,
   pay,
+  payBatch,
   peerSortOptions,
   probe,
   probeDestination,
@@ -40,6 +40,7 @@ const slowConf = 144;
 /** Open up a new channel
 
   {
+    [backend]: <Chain Backend Object>
     [chain_fee_rate]: <Chain Fee Tokens Per VByte to Pay Number>
     [is_dry_run]: <Avoid Actually Opening a New Channel Bool>
     [is_private]: <Mark Channel as Private Booll>
@@ -138,6 +139,7 @@ module.exports = (args, cbk) => {
       // Get mempool size
       getMempool: ['getNetwork', ({getNetwork}, cbk) => {
         return getMempoolSize({
+          backend: args.backend,
           network: getNetwork.network,
           request: args.request,
           retries: getMempoolRetries,
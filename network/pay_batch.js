@@ -0,0 +1,602 @@
+const {createHash} = require('crypto');
+const {randomBytes} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const asyncMapLimit = require('async/mapLimit');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {getPayment} = require('ln-service');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const formatRecords = require('./../responses/format_records');
+const {getIgnores} = require('./../routing');
+const {getTags} = require('./../tags');
+const payoutsSummary = require('./payouts_summary');
+const previousPayouts = require('./previous_payouts');
+const probeDestination = require('./probe_destination');
+const readPayouts = require('./read_payouts');
+const resolvePayout = require('./resolve_payout');
+
+const attemptingStatus = 'attempting';
+const csvFormat = 'csv';
+const defaultConcurrency = 1;
+const defaultResultsSuffix = '.results.csv';
+const display = tokens => formatTokens({tokens}).display;
+const ellipsis = '...';
+const errorOf = err => isArray(err) ? err[1] : String(err);
+const header = ['Id', 'Destination', 'Amount', 'Fee', 'Status'];
+const {isArray} = Array;
+const {isInteger} = Number;
+const isLong = n => n.length > maxDestinationLength;
+const maxDestinationLength = 24;
+const missingFileCode = 'ENOENT';
+const newLine = '\n';
+const notFoundCode = 404;
+const paidStatus = 'paid';
+const preimageByteLength = 32;
+const probedStatus = 'probed';
+const resultFields = [
+  'id',
+  'destination',
+  'amount',
+  'fee',
+  'status',
+  'payment_id',
+  'error',
+  'at',
+];
+const resultsHeader = resultFields.join(',');
+const sha256 = n => createHash('sha256').update(n).digest().toString('hex');
+const shortLength = maxDestinationLength - ellipsis.length;
+const short = n => isLong(n) ? `${n.slice(0, shortLength)}${ellipsis}` : n;
+
+/** Pay a batch of payouts from a CSV or JSON file
+
+  Payouts are probed first and a cost preview is shown before paying
+
+  Outcomes are appended to a results CSV file. Payouts that are marked as paid
+  in the results file are skipped when the batch is run again.
+
+  An attempting row with the payment hash is appended before paying. When the
+  batch is run again, attempted payments are looked up to avoid paying twice.
+
+  {
+    ask: <Inquirer Ask Function>
+    avoid: [<Avoid Forwarding Through String>]
+    [concurrency]: <Maximum Simultaneous Payments Number>
+    file: <Payouts CSV or JSON File Path String>
+    fs: {
+      appendFile: <Append to File Function> (path, contents, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [is_dry_run]: <Only Probe and Preview Payouts Bool>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    max_fee: <Default Maximum Fee Tokens Per Payout Number>
+    request: <Request Function>
+    [results]: <Results CSV File Path String>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Table Cell String>]]
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.ask) {
+          return cbk([400, 'ExpectedAskFunctionToPayBatch']);
+        }
+
+        if (!isArray(args.avoid)) {
+          return cbk([400, 'ExpectedArrayOfAvoidDirectivesToPayBatch']);
+        }
+
+        if (args.concurrency !== undefined && !isInteger(args.concurrency)) {
+          return cbk([400, 'ExpectedWholeNumberConcurrencyToPayBatch']);
+        }
+
+        if (args.concurrency !== undefined && args.concurrency < 1) {
+          return cbk([400, 'ExpectedPositiveConcurrencyToPayBatch']);
+        }
+
+        if (!args.file) {
+          return cbk([400, 'ExpectedPayoutsFilePathToPayBatch']);
+        }
+
+        if (!args.fs || !args.fs.appendFile || !args.fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToPayBatch']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToPayBatch']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToPayBatch']);
+        }
+
+        if (args.max_fee === undefined) {
+          return cbk([400, 'ExpectedMaxFeeTokensToPayBatch']);
+        }
+
+        if (!args.request) {
+          return cbk([400, 'ExpectedRequestFunctionToPayBatch']);
+        }
+
+        return cbk();
+      },
+
+      // Number of payouts to work on at the same time
+      limit: ['validate', ({}, cbk) => {
+        return cbk(null, args.concurrency || defaultConcurrency);
+      }],
+
+      // Path of the results file
+      path: ['validate', ({}, cbk) => {
+        return cbk(null, args.results || `${args.file}${defaultResultsSuffix}`);
+      }],
+
+      // Get the CSV parse function
+      getParse: ['validate', async () => (await import('csv-parse')).parse],
+
+      // Get channels for avoid directives
+      getChannels: ['validate', ({}, cbk) => {
+        return getChannels({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the node identity public key
+      getIdentity: ['validate', ({}, cbk) => {
+        return getIdentity({lnd: args.lnd}, cbk);
+      }],
+
+      // Read the payouts
+      getPayouts: ['validate', ({}, cbk) => {
+        return readPayouts({file: args.file, fs: args.fs}, cbk);
+      }],
+
+      // Get tags for figuring out avoid flags
+      getTags: ['validate', ({}, cbk) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
+      }],
+
+      // Get the results of previous runs of the batch
+      getResults: ['getParse', 'path', ({getParse, path}, cbk) => {
+        return args.fs.getFile(path, (err, res) => {
+          // Exit early when there is no previous results file
+          if (!!err && err.code === missingFileCode) {
+            return cbk(null, {attempts: [], is_new: true, paid: []});
+          }
+
+          // Previous results that cannot be read could lead to paying twice
+          if (!!err) {
+            return cbk([503, 'FailedToReadPayoutResultsFile', {err}]);
+          }
+
+          // Exit early when there are no previous results
+          if (!res) {
+            return cbk(null, {attempts: [], is_new: true, paid: []});
+          }
+
+          const options = {columns: true, skip_empty_lines: true, trim: true};
+
+          return getParse(res.toString(), options, (err, rows) => {
+            if (!!err) {
+              return cbk([400, 'FailedToParsePayoutResultsCsv', {err}]);
+            }
+
+            const {attempts, paid} = previousPayouts({rows});
+
+            return cbk(null, {attempts, paid, is_new: !rows.length});
+          });
+        });
+      }],
+
+      // Get ignores
+      getIgnores: [
+        'getChannels',
+        'getIdentity',
+        'getTags',
+        ({getChannels, getIdentity, getTags}, cbk) =>
+      {
+        return getIgnores({
+          avoid: args.avoid,
+          channels: getChannels.channels,
+          lnd: args.lnd,
+          logger: args.logger,
+          public_key: getIdentity.public_key,
+          tags: getTags.tags,
+        },
+        cbk);
+      }],
+
+      // Resolve the payouts into payment details
+      resolvePayouts: [
+        'getPayouts',
+        'getResults',
+        'limit',
+        ({getPayouts, getResults, limit}, cbk) =>
+      {
+        return asyncMapLimit(getPayouts.payouts, limit, (payout, cbk) => {
+          const maxFee = payout.max_fee;
+
+          const row = {
+            amount: payout.amount,
+            destination: payout.destination,
+            id: payout.id,
+            max_fee: maxFee === undefined ? args.max_fee : maxFee,
+          };
+
+          // Exit early when the payout was paid in a previous run
+          if (getResults.paid.includes(payout.id)) {
+            row.status = 'already_paid';
+
+            return cbk(null, row);
+          }
+
+          const attempt = getResults.attempts.find(n => n.id === payout.id);
+
+          return asyncAuto({
+            // Look up the payments attempted in previous runs
+            getAttempts: cbk => {
+              const payments = !attempt ? [] : attempt.payments;
+
+              return asyncMap(payments, (id, cbk) => {
+                return getPayment({id, lnd: args.lnd}, (err, res) => {
+                  // An unknown payment means the attempt never went out
+                  if (!!err && err.slice().shift() === notFoundCode) {
+                    return cbk(null, {});
+                  }
+
+                  if (!!err) {
+                    return cbk(err);
+                  }
+
+                  return cbk(null, res);
+                });
+              },
+              cbk);
+            },
+
+            // Resolve the payout into payment details
+            resolve: ['getAttempts', ({getAttempts}, cbk) => {
+              // Exit early when a previous attempt was paid
+              if (!!getAttempts.find(n => !!n.is_confirmed)) {
+                row.status = 'already_paid';
+
+                return cbk();
+              }
+
+              // Exit early when a previous attempt is still in flight
+              if (!!getAttempts.find(n => !!n.is_pending)) {
+                row.status = 'pending';
+
+                return cbk();
+              }
+
+              return resolvePayout({
+                payout,
+                lnd: args.lnd,
+                request: args.request,
+              },
+              (err, res) => {
+                if (!!err) {
+                  return cbk(err);
+                }
+
+                row.amount = res.tokens;
+
+                if (!!res.is_paid) {
+                  row.status = 'already_paid';
+                }
+
+                // In-flight payments are left alone to avoid paying twice
+                if (!!res.is_pending) {
+                  row.status = 'pending';
+                }
+
+                row.send = res;
+
+                return cbk();
+              });
+            }],
+          },
+          err => {
+            if (!!err) {
+              row.error = errorOf(err);
+              row.status = 'invalid';
+            }
+
+            return cbk(null, row);
+          });
+        },
+        cbk);
+      }],
+
+      // Probe the payouts
+      probePayouts: [
+        'getIgnores',
+        'limit',
+        'resolvePayouts',
+        ({getIgnores, limit, resolvePayouts}, cbk) =>
+      {
+        return asyncMapLimit(resolvePayouts, limit, (row, cbk) => {
+          // Exit early when the payout is not going to be paid
+          if (!!row.status) {
+            return cbk(null, row);
+          }
+
+          return probeDestination({
+            destination: row.send.destination,
+            fs: args.fs,
+            ignore: getIgnores.ignore,
+            is_push: row.send.is_push,
+            lnd: args.lnd,
+            logger: args.logger,
+            request: row.send.request,
+            tokens: row.send.tokens,
+          },
+          (err, res) => {
+            if (!!err) {
+              row.error = errorOf(err);
+              row.status = 'invalid';
+
+              return cbk(null, row);
+            }
+
+            // Exit early when there is no route to the destination
+            if (!!res.is_failed) {
+              row.status = 'unroutable';
+
+              return cbk(null, row);
+            }
+
+            row.fee = res.fee;
+            row.status = res.fee > row.max_fee ? 'fee_too_high' : probedStatus;
+
+            return cbk(null, row);
+          });
+        },
+        cbk);
+      }],
+
+      // Show the cost of paying the batch and confirm paying
+      confirm: ['probePayouts', ({probePayouts}, cbk) => {
+        const summary = payoutsSummary({payouts: probePayouts});
+
+        args.logger.info({
+          payouts: summary.payable,
+          total_amount: display(summary.total_amount),
+          estimated_fees: display(summary.estimated_fees),
+          total_cost: display(summary.total_cost),
+          already_paid: summary.already_paid || undefined,
+          invalid: summary.invalid || undefined,
+          unpayable: summary.unpayable || undefined,
+        });
+
+        // Exit early when only previewing or when there is nothing to pay
+        if (!!args.is_dry_run || !summary.payable) {
+          return cbk(null, false);
+        }
+
+        return args.ask({
+          message: `Pay ${summary.payable} payouts?`,
+          name: 'ok',
+          type: 'confirm',
+        },
+        ({ok}) => {
+          if (!ok) {
+            return cbk([400, 'CanceledPayingBatch']);
+          }
+
+          return cbk(null, true);
+        });
+      }],
+
+      // Start the results file when it is new
+      writeHeader: [
+        'confirm',
+        'getResults',
+        'path',
+        ({confirm, getResults, path}, cbk) =>
+      {
+        // Exit early when results are not going to be written
+        if (!confirm || !getResults.is_new) {
+          return cbk();
+        }
+
+        const line = `${resultsHeader}${newLine}`;
+
+        return args.fs.appendFile(path, line, err => {
+          if (!!err) {
+            return cbk([503, 'FailedToWritePayoutResultsHeader', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+
+      // Pay the payouts
+      pay: [
+        'confirm',
+        'getIgnores',
+        'limit',
+        'path',
+        'probePayouts',
+        'writeHeader',
+        ({confirm, getIgnores, limit, path, probePayouts}, cbk) =>
+      {
+        // Exit early when not paying
+        if (!confirm) {
+          return cbk(null, probePayouts);
+        }
+
+        // Append a payout row to the results file
+        const appendResult = (row, cbk) => {
+          const {output} = formatRecords({
+            fields: resultFields,
+            format: csvFormat,
+            records: [{
+              amount: row.amount,
+              at: new Date().toISOString(),
+              destination: row.destination,
+              error: row.error,
+              fee: row.fee,
+              id: row.id,
+              payment_id: row.payment_id,
+              status: row.status,
+            }],
+          });
+
+          // Quoted cells can have line breaks so only the header is removed
+          const line = output.slice(`${resultsHeader}${newLine}`.length);
+
+          return args.fs.appendFile(path, `${line}${newLine}`, cbk);
+        };
+
+        return asyncMapLimit(probePayouts, limit, (row, cbk) => {
+          // Exit early when the payout is previously paid or in-flight
+          if (row.status === 'already_paid' || row.status === 'pending') {
+            return cbk(null, row);
+          }
+
+          return asyncAuto({
+            // Determine the payment hash before paying
+            attempt: cbk => {
+              // Exit early when the payout could not be paid
+              if (row.status !== probedStatus) {
+                return cbk(null, {});
+              }
+
+              // Exit early when paying a payment request
+              if (!row.send.is_push) {
+                const {id} = parsePaymentRequest({request: row.send.request});
+
+                return cbk(null, {id});
+              }
+
+              const preimage = randomBytes(preimageByteLength);
+
+              return cbk(null, {
+                id: sha256(preimage),
+                preimage: preimage.toString('hex'),
+              });
+            },
+
+            // Record the attempt so a rerun looks up the payment
+            recordAttempt: ['attempt', ({attempt}, cbk) => {
+              // Exit early when there is no payment to attempt
+              if (!attempt.id) {
+                return cbk();
+              }
+
+              row.payment_id = attempt.id;
+
+              const attempting = {
+                amount: row.amount,
+                destination: row.destination,
+                id: row.id,
+                payment_id: attempt.id,
+                status: attemptingStatus,
+              };
+
+              return appendResult(attempting, err => {
+                if (!!err) {
+                  return cbk([503, 'FailedToWritePayoutAttempt', {err}]);
+                }
+
+                return cbk();
+              });
+            }],
+
+            // Pay the payout
+            payout: ['attempt', 'recordAttempt', ({attempt}, cbk) => {
+              // Exit early when the payout could not be paid
+              if (row.status !== probedStatus) {
+                return cbk();
+              }
+
+              return probeDestination({
+                destination: row.send.destination,
+                fs: args.fs,
+                ignore: getIgnores.ignore,
+                is_push: row.send.is_push,
+                is_real_payment: true,
+                is_strict_max_fee: true,
+                lnd: args.lnd,
+                logger: args.logger,
+                max_fee: row.max_fee,
+                preimage: attempt.preimage,
+                request: row.send.request,
+                tokens: row.send.tokens,
+              },
+              (err, res) => {
+                if (!!err) {
+                  row.error = errorOf(err);
+                  row.status = 'failed';
+
+                  return cbk();
+                }
+
+                // Exit early when there is no route to the destination
+                if (!!res.is_failed) {
+                  row.status = 'unroutable';
+
+                  return cbk();
+                }
+
+                // Exit early when the payment did not go through
+                if (!res.preimage) {
+                  row.status = 'failed';
+
+                  return cbk();
+                }
+
+                row.fee = res.fee;
+                row.payment_id = res.id;
+                row.status = paidStatus;
+
+                return cbk();
+              });
+            }],
+
+            // Record the outcome in the results file
+            record: ['payout', ({}, cbk) => {
+              return appendResult(row, err => {
+                if (!!err) {
+                  return cbk([503, 'FailedToWritePayoutResult', {err}]);
+                }
+
+                return cbk();
+              });
+            }],
+          },
+          err => cbk(err, row));
+        },
+        cbk);
+      }],
+
+      // Final table of payout outcomes
+      rows: ['pay', ({pay}, cbk) => {
+        const rows = pay.map(row => {
+          return [
+            row.id,
+            short(row.destination),
+            row.amount === undefined ? String() : display(row.amount),
+            row.fee === undefined ? String() : display(row.fee),
+            row.status,
+          ];
+        });
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'rows'}, cbk));
+  });
+};
@@ -0,0 +1,40 @@
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+
+/** Summarize the probed state of a batch of payouts
+
+  {
+    payouts: [{
+      [amount]: <Amount Tokens Number>
+      [fee]: <Estimated Fee Tokens Number>
+      status: <Payout Status String>
+    }]
+  }
+
+  @returns
+  {
+    already_paid: <Already Paid Payouts Count Number>
+    estimated_fees: <Estimated Fees Total Tokens Number>
+    invalid: <Invalid Payouts Count Number>
+    payable: <Payable Payouts Count Number>
+    total_amount: <Total Payable Amount Tokens Number>
+    total_cost: <Total Payable Amount With Fees Tokens Number>
+    unpayable: <Unroutable or Too Expensive Payouts Count Number>
+  }
+*/
+module.exports = ({payouts}) => {
+  const count = status => payouts.filter(n => n.status === status).length;
+  const payable = payouts.filter(n => n.status === 'probed');
+
+  const fees = sumOf(payable.map(n => n.fee || Number()));
+  const total = sumOf(payable.map(n => n.amount));
+
+  return {
+    already_paid: count('already_paid'),
+    estimated_fees: fees,
+    invalid: count('invalid'),
+    payable: payable.length,
+    total_amount: total,
+    total_cost: total + fees,
+    unpayable: count('fee_too_high') + count('unroutable'),
+  };
+};
@@ -0,0 +1,43 @@
+const attemptingStatus = 'attempting';
+const paidStatus = 'paid';
+const uniq = arr => Array.from(new Set(arr));
+
+/** Derive the state of payouts from the results of previous batch runs
+
+  An attempted payout is not known to be unpaid until its attempted payments
+  are looked up, since the payments can still be in flight or have succeeded
+
+  {
+    rows: [{
+      id: <Payout Id String>
+      [payment_id]: <Payment Hash Hex String>
+      status: <Payout Status String>
+    }]
+  }
+
+  @returns
+  {
+    attempts: [{
+      id: <Payout Id String>
+      payments: [<Attempted Payment Hash Hex String>]
+    }]
+    paid: [<Paid Payout Id String>]
+  }
+*/
+module.exports = ({rows}) => {
+  const paid = uniq(rows.filter(n => n.status === paidStatus).map(n => n.id));
+
+  const attempted = rows.filter(row => {
+    return row.status === attemptingStatus && !!row.payment_id;
+  });
+
+  const attempts = uniq(attempted.map(n => n.id))
+    .filter(id => !paid.includes(id))
+    .map(id => {
+      const payments = attempted.filter(n => n.id === id);
+
+      return {id, payments: uniq(payments.map(n => n.payment_id))};
+    });
+
+  return {attempts, paid};
+};
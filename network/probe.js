@@ -157,7 +157,7 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
-        return getTags({fs: args.fs}, cbk);
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
       }],
 
       // Determine if this wallet is a legacy
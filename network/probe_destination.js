@@ -72,6 +72,7 @@ const tokAsMtok = tokens => (BigInt(tokens || 0) * BigInt(1e3)).toString();
       value: <Message To Final Destination Raw Value Hex Encoded String>
     }]
     [out_through]: <Out Through Peer With Public Key Hex String>
+    [preimage]: <Push Payment Preimage Hex String>
     [request]: <Payment Request String>
     [timeout_minutes]: <Stop Searching For Route After N Minutes Number>
     [tokens]: <Tokens Number>
@@ -133,7 +134,9 @@ module.exports = (args, cbk) => {
       to: ['validate', ({}, cbk) => {
         // Exit early when sending a push payment
         if (!!args.is_push) {
-          const secret = randomBytes(preimageByteLength);
+          const random = randomBytes(preimageByteLength);
+
+          const secret = !!args.preimage ? bufFromHex(args.preimage) : random;
 
           return cbk(null, {
             secret,
@@ -151,7 +151,9 @@ module.exports = (args, cbk) => {
       }],
 
       // Get tags for figuring out avoid flags
-      getTags: ['validate', ({}, cbk) => getTags({fs: args.fs}, cbk)],
+      getTags: ['validate', ({}, cbk) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
+      }],
 
       // Payment details
       payment: ['validate', ({}, cbk) => {
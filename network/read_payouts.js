@@ -0,0 +1,167 @@
+const {createHash} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const idLength = 16;
+const isEmpty = n => n === undefined || n === null || n === '';
+const {isArray} = Array;
+const {isInteger} = Number;
+const isJson = n => /^\s*[\[{]/.test(n);
+const isString = n => typeof n === 'string' && !!n.trim();
+const makeId = n => createHash('sha256').update(n).digest('hex');
+const numberOf = n => isEmpty(n) ? undefined : Number(n);
+const {parse} = JSON;
+const rowNumber = index => index + 1;
+
+/** Read a list of payouts from a CSV or JSON file
+
+  CSV files have a header row. JSON files are an array of payouts or an
+  object with a payouts array.
+
+  When a payout has no id, the id is derived from the destination and amount
+
+  {
+    file: <Payouts File Path String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    payouts: [{
+      [amount]: <Amount Tokens Number>
+      destination: <Payment Request, Public Key or Lightning Address String>
+      id: <Payout Id String>
+      [max_fee]: <Maximum Fee Tokens Number>
+    }]
+  }
+*/
+module.exports = ({file, fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!file) {
+          return cbk([400, 'ExpectedPathToPayoutsFileToReadPayouts']);
+        }
+
+        if (!fs || !fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToReadPayouts']);
+        }
+
+        return cbk();
+      },
+
+      // Get the CSV parse function
+      getParse: ['validate', async () => (await import('csv-parse')).parse],
+
+      // Read the payouts file
+      getFile: ['validate', ({}, cbk) => {
+        return fs.getFile(file, (err, res) => {
+          if (!!err || !res) {
+            return cbk([400, 'FailedToReadPayoutsFile', {err}]);
+          }
+
+          return cbk(null, res.toString());
+        });
+      }],
+
+      // Parse the rows of the payouts file
+      rows: ['getFile', 'getParse', ({getFile, getParse}, cbk) => {
+        // Exit early when the file is a CSV file
+        if (!isJson(getFile)) {
+          const options = {columns: true, skip_empty_lines: true, trim: true};
+
+          return getParse(getFile, options, (err, rows) => {
+            if (!!err) {
+              return cbk([400, 'FailedToParsePayoutsCsv', {err}]);
+            }
+
+            return cbk(null, rows);
+          });
+        }
+
+        try {
+          const json = parse(getFile);
+
+          const rows = isArray(json) ? json : json.payouts;
+
+          if (!isArray(rows)) {
+            return cbk([400, 'ExpectedArrayOfPayoutsInPayoutsFile']);
+          }
+
+          return cbk(null, rows);
+        } catch (err) {
+          return cbk([400, 'FailedToParsePayoutsJson', {err}]);
+        }
+      }],
+
+      // Check and normalize the payouts
+      payouts: ['rows', ({rows}, cbk) => {
+        if (!rows.length) {
+          return cbk([400, 'ExpectedPayoutsInPayoutsFile']);
+        }
+
+        const ids = {};
+        const payouts = [];
+
+        const failure = rows.map((payout, i) => {
+          const row = rowNumber(i);
+
+          if (!payout || !isString(payout.destination)) {
+            return [400, 'ExpectedDestinationForPayout', {row}];
+          }
+
+          const amount = numberOf(payout.amount);
+
+          if (amount !== undefined && (!isInteger(amount) || amount < 1)) {
+            return [400, 'ExpectedWholeTokensAmountForPayout', {row}];
+          }
+
+          const maxFee = numberOf(payout.max_fee);
+
+          if (maxFee !== undefined && (!isInteger(maxFee) || maxFee < 0)) {
+            return [400, 'ExpectedWholeTokensMaxFeeForPayout', {row}];
+          }
+
+          const destination = payout.destination.trim();
+
+          const derived = makeId(`${destination}:${amount || String()}`);
+
+          const given = isEmpty(payout.id) ? undefined : String(payout.id);
+
+          const baseId = given || derived.slice(0, idLength);
+
+          ids[baseId] = (ids[baseId] || Number()) + 1;
+
+          // Explicit ids are expected to identify a single payout
+          if (!!given && ids[baseId] > 1) {
+            return [400, 'ExpectedUniquePayoutIds', {id: given}];
+          }
+
+          const id = ids[baseId] > 1 ? `${baseId}-${ids[baseId]}` : baseId;
+
+          payouts.push({
+            amount,
+            destination,
+            id,
+            max_fee: maxFee,
+          });
+
+          return null;
+        });
+
+        const [err] = failure.filter(n => !!n);
+
+        if (!!err) {
+          return cbk(err);
+        }
+
+        return cbk(null, {payouts});
+      }],
+    },
+    returnResult({reject, resolve, of: 'payouts'}, cbk));
+  });
+};
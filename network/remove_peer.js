@@ -40,6 +40,7 @@ const tokensAsBigUnit = tokens => (tokens / 1e8).toFixed(8);
   {
     addresses: [<Close Out Funds to On-Chain Address String>]
     ask: <Ask Function>
+    [backend]: <Chain Backend Object>
     [chain_fee_rate]: <Chain Fee Per VByte Number>
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
@@ -321,6 +322,7 @@ module.exports = (args, cbk) => {
         }
 
         return getMempoolSize({
+          backend: args.backend,
           network: getNetwork.network,
           request: args.request,
           retries: getMempoolRetries,
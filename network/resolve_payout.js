@@ -0,0 +1,162 @@
+const asyncAuto = require('async/auto');
+const {getPayment} = require('ln-service');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const getLnurlRequest = require('./../lnurl/get_lnurl_request');
+const parseUrl = require('./../lnurl/parse_url');
+
+const isPublicKey = n => /^[0-9A-F]{66}$/i.test(n);
+const notFoundCode = 404;
+
+/** Resolve a payout destination into payment details
+
+  Lightning addresses and LNURLs are resolved into a payment request
+
+  {
+    lnd: <Authenticated LND API Object>
+    payout: {
+      [amount]: <Amount Tokens Number>
+      destination: <Payment Request, Public Key or Lightning Address String>
+    }
+    request: <Request Function>
+  }
+
+  @returns via cbk or Promise
+  {
+    destination: <Destination Public Key Hex String>
+    [is_paid]: <Payment Request Was Already Paid Bool>
+    [is_pending]: <Payment Request Payment Is In Flight Bool>
+    [is_push]: <Pay Using KeySend Bool>
+    [request]: <BOLT 11 Payment Request String>
+    tokens: <Tokens to Pay Number>
+  }
+*/
+module.exports = ({lnd, payout, request}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToResolvePayout']);
+        }
+
+        if (!payout || !payout.destination) {
+          return cbk([400, 'ExpectedPayoutDestinationToResolvePayout']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedRequestFunctionToResolvePayout']);
+        }
+
+        return cbk();
+      },
+
+      // Determine the kind of destination
+      payment: ['validate', ({}, cbk) => {
+        const {amount} = payout;
+
+        try {
+          parseUrl({url: payout.destination});
+
+          if (!amount) {
+            return cbk([400, 'ExpectedAmountToPayLightningAddress']);
+          }
+
+          return cbk(null, {lnurl: payout.destination, tokens: amount});
+        } catch (err) {
+          // Ignore errors, destination isn't a LNURL
+        }
+
+        try {
+          const details = parsePaymentRequest({request: payout.destination});
+
+          if (!!details.tokens && !!amount && details.tokens !== amount) {
+            return cbk([400, 'PayoutAmountDoesNotMatchPaymentRequest']);
+          }
+
+          if (!details.tokens && !amount) {
+            return cbk([400, 'ExpectedAmountToPayZeroAmountPaymentRequest']);
+          }
+
+          return cbk(null, {
+            destination: details.destination,
+            id: details.id,
+            request: payout.destination,
+            tokens: details.tokens || amount,
+          });
+        } catch (err) {
+          // Ignore errors, destination isn't BOLT 11
+        }
+
+        if (!isPublicKey(payout.destination)) {
+          return cbk([400, 'ExpectedPayRequestPublicKeyOrAddressForPayout']);
+        }
+
+        if (!amount) {
+          return cbk([400, 'ExpectedAmountToPayPublicKey']);
+        }
+
+        return cbk(null, {
+          destination: payout.destination,
+          is_push: true,
+          tokens: amount,
+        });
+      }],
+
+      // Get the payment request for a lightning address
+      getLnurlRequest: ['payment', ({payment}, cbk) => {
+        // Exit early when there is no LNURL to resolve
+        if (!payment.lnurl) {
+          return cbk(null, {});
+        }
+
+        return getLnurlRequest({
+          request,
+          lnurl: payment.lnurl,
+          tokens: payment.tokens,
+        },
+        cbk);
+      }],
+
+      // Check if a payment request was already paid
+      getPayment: ['payment', ({payment}, cbk) => {
+        // Exit early when there is no payment request to look for
+        if (!payment.id) {
+          return cbk(null, {});
+        }
+
+        return getPayment({lnd, id: payment.id}, (err, res) => {
+          // An unknown payment means the request was not paid yet
+          if (!!err && err.slice().shift() === notFoundCode) {
+            return cbk(null, {});
+          }
+
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, res);
+        });
+      }],
+
+      // Final payment details
+      resolved: [
+        'getLnurlRequest',
+        'getPayment',
+        'payment',
+        ({getLnurlRequest, getPayment, payment}, cbk) =>
+      {
+        return cbk(null, {
+          destination: getLnurlRequest.destination || payment.destination,
+          is_paid: !!getPayment.is_confirmed || undefined,
+          is_pending: !!getPayment.is_pending || undefined,
+          is_push: payment.is_push,
+          request: getLnurlRequest.request || payment.request,
+          tokens: payment.tokens,
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'resolved'}, cbk));
+  });
+};
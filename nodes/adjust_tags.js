@@ -4,8 +4,19 @@ const asyncAuto = require('async/auto');
 const {returnResult} = require('asyncjs-util');
 
 const {homePath} = require('../storage');
+const {isMatchingFilters} = require('./../display');
 
 const defaultTagsFile = {tags: []};
+const formulaVariables = [
+  'age',
+  'blocks_since_last_channel',
+  'capacity',
+  'disk_usage_mb',
+  'fee_earnings',
+  'inbound_fee_rate',
+  'inbound_liquidity',
+  'outbound_liquidity',
+];
 const {isArray} = Array;
 const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
 const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
@@ -26,6 +37,7 @@ const uniq = arr => Array.from(new Set(arr));
       makeDirectory: <Make Directory Function> (path, cbk) => {}
       writeFile: <Write File Contents Function> (path, contents, cbk) => {}
     }
+    [formula]: <Peer Filter Formula to Define Tag Nodes String>
     [id]: <Id to Use for New Tag Hex String>
     [icon]: <Tag Icon String>
     [is_avoided]: <Set Avoid Flag on Tag Bool>
@@ -36,6 +48,7 @@ const uniq = arr => Array.from(new Set(arr));
   @returns via cbk or Promise
   {
     [tags]: [{
+      [formula]: <Peer Filter Formula String>
       icon: <Tag Icon String>
       id: <Tag Id Hex String>
       name: <Tag Name String>
@@ -63,6 +76,23 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedFileSystemMethodsToAdjustTags']);
         }
 
+        // Check that the formula can be evaluated with the peer variables
+        if (!!args.formula) {
+          const {failure} = isMatchingFilters({
+            filters: [args.formula],
+            variables: formulaVariables.reduce((sum, n) => {
+              sum[n] = Number();
+
+              return sum;
+            },
+            {}),
+          });
+
+          if (!!failure) {
+            return cbk([400, 'ExpectedValidFormulaForTag', {failure}]);
+          }
+        }
+
         if (!!args.id && !isHash(args.id)) {
           return cbk([400, 'ExpectedHashFormatForTagId']);
         }
@@ -155,10 +185,13 @@ module.exports = (args, cbk) => {
         }
 
         const setAvoid = args.is_avoided !== undefined;
+        const setFormula = args.formula !== undefined;
         const setIcon = args.icon !== undefined;
 
+        const isEditing = !!args.add.length || !!args.remove.length;
+
         // Exit early when not editing the tag
-        if (!args.add.length && !setAvoid && !setIcon && !args.remove.length) {
+        if (!isEditing && !setAvoid && !setFormula && !setIcon) {
           return cbk(null, tagMatch);
         }
 
@@ -171,6 +204,11 @@ module.exports = (args, cbk) => {
 
         const nodes = uniq((tagToAdjust.nodes || []).concat(args.add));
 
+        // Set the formula defining tag nodes or unset it when empty
+        if (args.formula !== undefined) {
+          tagToAdjust.formula = args.formula || undefined;
+        }
+
         // Set the icon on the tag or unset it when empty
         if (args.icon !== undefined) {
           tagToAdjust.icon = args.icon || undefined;
@@ -199,9 +237,11 @@ module.exports = (args, cbk) => {
           return cbk(null, {tag: adjustTag});
         }
 
-        return cbk(null, {
-          tags: parse(getTags).tags.filter(n => !!n.nodes && !!n.nodes.length),
-        });
+        const {tags} = parse(getTags);
+
+        const hasNodes = tag => !!tag.nodes && !!tag.nodes.length;
+
+        return cbk(null, {tags: tags.filter(n => !!n.formula || hasNodes(n))});
       }],
     },
     returnResult({reject, resolve, of: 'result'}, cbk));
@@ -4,14 +4,21 @@ const asyncMapSeries = require('async/mapSeries');
 const {returnResult} = require('asyncjs-util');
 
 const {decryptCiphertext} = require('./../encryption');
+const {decryptWithPassphrase} = require('./../encryption');
+const getPassphrase = require('./get_passphrase');
 const getSavedCredentials = require('./get_saved_credentials');
 const putSavedCredentials = require('./put_saved_credentials');
 
+const encryptedWithPassphrase = 'passphrase';
 const {isArray} = Array;
 
 /** Decrypt saved macaroons and save as cleartext
 
+  Macaroons encrypted with a passphrase are decrypted with the passphrase,
+  other encrypted macaroons are decrypted with GPG
+
   {
+    [ask]: <Inquirer Function> ({message, name, type}, cbk) => {}
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
       writeFile: <Write File Contents Function> (path, contents, cbk) => {}
@@ -23,7 +30,7 @@ const {isArray} = Array;
 
   @returns via cbk or Promise
 */
-module.exports = ({fs, logger, nodes, spawn}, cbk) => {
+module.exports = ({ask, fs, logger, nodes, spawn}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -55,8 +62,26 @@ module.exports = ({fs, logger, nodes, spawn}, cbk) => {
         cbk);
       }],
 
+      // Get the passphrase when there are passphrase encrypted macaroons
+      getPassphrase: ['getCredentials', ({getCredentials}, cbk) => {
+        const withPassphrase = getCredentials.filter(({credentials}) => {
+          return credentials.encrypted_with === encryptedWithPassphrase;
+        });
+
+        // Exit early when no macaroons are encrypted with a passphrase
+        if (!withPassphrase.length) {
+          return cbk(null, {});
+        }
+
+        return getPassphrase({ask}, cbk);
+      }],
+
       // Decrypt the encrypted macaroons
-      decrypt: ['getCredentials', ({getCredentials}, cbk) => {
+      decrypt: [
+        'getCredentials',
+        'getPassphrase',
+        ({getCredentials, getPassphrase}, cbk) =>
+      {
         const encrypted = getCredentials
           .filter(n => !!n.credentials.encrypted_macaroon);
 
@@ -65,6 +90,21 @@ module.exports = ({fs, logger, nodes, spawn}, cbk) => {
 
           logger.info({decrypt_credentials_for: node});
 
+          // Exit early when the macaroon is encrypted with a passphrase
+          if (credentials.encrypted_with === encryptedWithPassphrase) {
+            return decryptWithPassphrase({
+              cipher,
+              passphrase: getPassphrase.passphrase,
+            },
+            (err, res) => {
+              if (!!err) {
+                return cbk(err);
+              }
+
+              return cbk(null, {credentials, macaroon: res.clear, node});
+            });
+          }
+
           return decryptCiphertext({cipher, spawn}, (err, res) => {
             if (!!err) {
               return cbk([503, 'UnexpectedErrorDecryptingMacaroon', {err}]);
@@ -95,6 +135,6 @@ module.exports = ({fs, logger, nodes, spawn}, cbk) => {
         cbk);
       }],
     },
-    returnResult({reject, resolve}));
+    returnResult({reject, resolve}, cbk));
   });
 };
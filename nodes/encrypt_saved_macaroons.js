@@ -3,47 +3,71 @@ const asyncMap = require('async/map');
 const asyncMapSeries = require('async/mapSeries');
 const {returnResult} = require('asyncjs-util');
 
-const decryptSavedMacaroons = require('./decrypt_saved_macaroons');
+const {decryptCiphertext} = require('./../encryption');
+const {decryptWithPassphrase} = require('./../encryption');
 const {encryptToPublicKeys} = require('./../encryption');
+const {encryptWithPassphrase} = require('./../encryption');
+const getPassphrase = require('./get_passphrase');
 const getSavedCredentials = require('./get_saved_credentials');
 const putSavedCredentials = require('./put_saved_credentials');
 
+const encryptedWithPassphrase = 'passphrase';
 const ids = n => n.slice().sort().join(',');
 const {isArray} = Array;
 const notFoundIndex = -1;
 
-/** Encrypt saved macaroons to GPG keys
+/** Encrypt saved macaroons to GPG keys or with a passphrase
+
+  Macaroons that are encrypted the other way are decrypted in memory and then
+  encrypted again, migrating them between GPG and passphrase encryption
+
+  The passphrase is confirmed before anything is decrypted, and credentials
+  are only written once they are encrypted
 
   {
+    [ask]: <Inquirer Function> ({message, name, type}, cbk) => {}
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
       writeFile: <Write File Contents Function> (path, contents, cbk) => {}
     }
+    [is_passphrase]: <Encrypt With Passphrase Instead of GPG Keys Bool>
     logger: <Winston Logger Object>
     nodes: [<Node Name String>]
     spawn: <Spawn Function>
-    to: [<Encrypt to GPG Key Id String>]
+    [to]: [<Encrypt to GPG Key Id String>]
   }
 
   @returns via cbk or Promise
 */
-module.exports = ({fs, logger, nodes, spawn, to}, cbk) => {
+module.exports = (args, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
       validate: cbk => {
+        const {fs, nodes, to} = args;
+
         if (!fs || !fs.getFile || !fs.writeFile) {
           return cbk([400, 'ExpectedFilesystemMethodsToSaveEncrypted']);
         }
 
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToEncryptSavedMacaroons']);
+        }
+
         if (!isArray(nodes) || !nodes.length) {
           return cbk([400, 'ExpectedNodesToEncryptSavedMacaroonsFor']);
         }
 
-        if (!spawn) {
+        if (!args.spawn) {
           return cbk([400, 'ExpectedSpawnFunctionToEncryptSavedMacaroons']);
         }
 
+        // Exit early when encrypting with a passphrase
+        if (!!args.is_passphrase) {
+          return cbk();
+        }
+
         if (!isArray(to) || !to.length) {
           return cbk([400, 'ExpectedGpgKeyIdsToEncryptSavedMacaroonsTo']);
         }
@@ -57,43 +81,163 @@ module.exports = ({fs, logger, nodes, spawn, to}, cbk) => {
 
       // Get the credentials including encrypted credentials
       getAllCredentials: ['validate', ({}, cbk) => {
-        return asyncMap(nodes, (node, cbk) => {
-          return getSavedCredentials({fs, node}, cbk);
+        return asyncMap(args.nodes, (node, cbk) => {
+          return getSavedCredentials({node, fs: args.fs}, cbk);
         },
         cbk);
       }],
 
-      // Decrypt macaroons for nodes that have the wrong keys
-      decryptEncrypted: ['getAllCredentials', ({getAllCredentials}, cbk) => {
-        const nodes = getAllCredentials
+      // Credentials that are encrypted a different way
+      getMigrating: ['getAllCredentials', ({getAllCredentials}, cbk) => {
+        const migrating = getAllCredentials
           .filter(n => !!n.credentials && !!n.credentials.encrypted_macaroon)
-          .filter(n => ids(n.credentials.encrypted_to) !== ids(to))
-          .map(n => n.node);
+          .filter(({credentials}) => {
+            const isPassphrase = !!args.is_passphrase;
 
-        if (!nodes.length) {
-          return cbk();
+            // Passphrase encryption is migrated when moving to GPG keys
+            if (credentials.encrypted_with === encryptedWithPassphrase) {
+              return !isPassphrase;
+            }
+
+            // GPG encryption is migrated when moving to a passphrase
+            if (!!isPassphrase) {
+              return true;
+            }
+
+            return ids(credentials.encrypted_to) !== ids(args.to);
+          });
+
+        return cbk(null, migrating);
+      }],
+
+      // Get the passphrase to encrypt with
+      getPassphrase: [
+        'getAllCredentials',
+        'getMigrating',
+        ({getAllCredentials, getMigrating}, cbk) =>
+      {
+        const plainCredentials = getAllCredentials
+          .filter(n => !!n.credentials && !!n.credentials.macaroon);
+
+        const count = plainCredentials.length + getMigrating.length;
+
+        // Exit early when there is nothing to encrypt with a passphrase
+        if (!args.is_passphrase || !count) {
+          return cbk(null, {});
+        }
+
+        return getPassphrase({ask: args.ask, is_confirming: true}, cbk);
+      }],
+
+      // Get the passphrase to decrypt passphrase encrypted macaroons with
+      getPreviousPassphrase: [
+        'getMigrating',
+        'getPassphrase',
+        ({getMigrating}, cbk) =>
+      {
+        const withPassphrase = getMigrating.filter(({credentials}) => {
+          return credentials.encrypted_with === encryptedWithPassphrase;
+        });
+
+        // Exit early when no macaroons are encrypted with a passphrase
+        if (!withPassphrase.length) {
+          return cbk(null, {});
         }
 
-        return decryptSavedMacaroons({fs, logger, nodes, spawn}, cbk);
+        return getPassphrase({ask: args.ask}, cbk);
       }],
 
-      // Get the credentials
-      getCredentials: ['decryptEncrypted', ({}, cbk) => {
-        return asyncMap(nodes, (node, cbk) => {
-          return getSavedCredentials({fs, node}, cbk);
+      // Decrypt macaroons that are encrypted a different way in memory
+      decryptEncrypted: [
+        'getMigrating',
+        'getPreviousPassphrase',
+        ({getMigrating, getPreviousPassphrase}, cbk) =>
+      {
+        return asyncMapSeries(getMigrating, ({credentials, node}, cbk) => {
+          const cipher = credentials.encrypted_macaroon;
+
+          args.logger.info({decrypt_credentials_for: node});
+
+          // Exit early when the macaroon is encrypted with a passphrase
+          if (credentials.encrypted_with === encryptedWithPassphrase) {
+            return decryptWithPassphrase({
+              cipher,
+              passphrase: getPreviousPassphrase.passphrase,
+            },
+            (err, res) => {
+              if (!!err) {
+                return cbk(err);
+              }
+
+              return cbk(null, {
+                node,
+                credentials: {
+                  cert: credentials.cert,
+                  macaroon: res.clear,
+                  socket: credentials.socket,
+                },
+              });
+            });
+          }
+
+          return decryptCiphertext({cipher, spawn: args.spawn}, (err, res) => {
+            if (!!err) {
+              return cbk([503, 'UnexpectedErrorDecryptingMacaroon', {err}]);
+            }
+
+            return cbk(null, {
+              node,
+              credentials: {
+                cert: credentials.cert,
+                macaroon: res.clear,
+                socket: credentials.socket,
+              },
+            });
+          });
         },
         cbk);
       }],
 
-      // Encrypt unencrypted macaroons
-      encrypt: ['getCredentials', ({getCredentials}, cbk) => {
-        const plainCredentials = getCredentials
+      // Get the credentials with cleartext macaroons
+      getCredentials: [
+        'decryptEncrypted',
+        'getAllCredentials',
+        ({decryptEncrypted, getAllCredentials}, cbk) =>
+      {
+        const plainCredentials = getAllCredentials
           .filter(n => !!n.credentials && !!n.credentials.macaroon);
 
-        return asyncMapSeries(plainCredentials, ({credentials, node}, cbk) => {
+        return cbk(null, plainCredentials.concat(decryptEncrypted));
+      }],
+
+      // Encrypt unencrypted macaroons
+      encrypt: [
+        'getCredentials',
+        'getPassphrase',
+        ({getCredentials, getPassphrase}, cbk) =>
+      {
+        return asyncMapSeries(getCredentials, ({credentials, node}, cbk) => {
           const plain = credentials.macaroon;
 
-          return encryptToPublicKeys({plain, spawn, to}, (err, res) => {
+          // Exit early when encrypting with a passphrase
+          if (!!args.is_passphrase) {
+            const {passphrase} = getPassphrase;
+
+            return encryptWithPassphrase({passphrase, plain}, (err, res) => {
+              if (!!err) {
+                return cbk(err);
+              }
+
+              return cbk(null, {credentials, node, cipher: res.cipher});
+            });
+          }
+
+          return encryptToPublicKeys({
+            plain,
+            spawn: args.spawn,
+            to: args.to,
+          },
+          (err, res) => {
             if (!!err) {
               return cbk([503, 'UnexpectedErrorEncryptingMacaroon', {err}]);
             }
@@ -110,13 +254,16 @@ module.exports = ({fs, logger, nodes, spawn, to}, cbk) => {
           return cbk();
         }
 
+        const isPassphrase = !!args.is_passphrase;
+
         return asyncMap(encrypt, ({credentials, node, cipher}, cbk) => {
           return putSavedCredentials({
-            fs,
             node,
             cert: credentials.cert,
             encrypted_macaroon: cipher,
-            encrypted_to: to,
+            encrypted_to: !isPassphrase ? args.to : undefined,
+            encrypted_with: isPassphrase ? encryptedWithPassphrase : undefined,
+            fs: args.fs,
             socket: credentials.socket,
           },
           cbk);
@@ -0,0 +1,105 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const cache = {};
+const envPassphrase = process.env.BOS_PASSPHRASE;
+
+/** Get the passphrase used to encrypt saved node credentials
+
+  The BOS_PASSPHRASE environment variable is used when it is set
+
+  The passphrase is only asked for once in a process, concurrent requests for
+  the passphrase share the same prompt
+
+  {
+    [ask]: <Inquirer Function> ({message, name, type}, cbk) => {}
+    [is_confirming]: <Ask Again To Confirm The Passphrase Bool>
+  }
+
+  @returns via cbk or Promise
+  {
+    passphrase: <Passphrase String>
+  }
+*/
+module.exports = ({ask, is_confirming}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!ask && !envPassphrase) {
+          return cbk([400, 'ExpectedBosPassphraseEnvironmentVariableSet']);
+        }
+
+        return cbk();
+      },
+
+      // Ask for the passphrase
+      askForPassphrase: ['validate', ({}, cbk) => {
+        // Exit early when the passphrase is set in the environment
+        if (!!envPassphrase) {
+          return cbk(null, envPassphrase);
+        }
+
+        // Reuse the passphrase request when it was already asked for
+        if (!is_confirming && !!cache.request) {
+          return cache.request.then(passphrase => cbk(null, passphrase), cbk);
+        }
+
+        const request = new Promise((resolve, reject) => {
+          return ask({
+            mask: '*',
+            message: 'Passphrase for saved node credentials?',
+            name: 'passphrase',
+            type: 'password',
+          },
+          ({passphrase}) => {
+            if (!passphrase) {
+              return reject([400, 'ExpectedPassphraseForSavedNodeCredentials']);
+            }
+
+            return resolve(passphrase);
+          });
+        });
+
+        // A passphrase that is not being confirmed can be shared right away
+        if (!is_confirming) {
+          cache.request = request;
+        }
+
+        return request.then(passphrase => cbk(null, passphrase), err => {
+          // Forget a failed request so that the passphrase is asked again
+          if (cache.request === request) {
+            delete cache.request;
+          }
+
+          return cbk(err);
+        });
+      }],
+
+      // Ask for the passphrase again to confirm it
+      confirm: ['askForPassphrase', ({askForPassphrase}, cbk) => {
+        // Exit early when not confirming or using the environment passphrase
+        if (!is_confirming || !!envPassphrase) {
+          return cbk(null, {passphrase: askForPassphrase});
+        }
+
+        return ask({
+          mask: '*',
+          message: 'Confirm passphrase',
+          name: 'confirm',
+          type: 'password',
+        },
+        ({confirm}) => {
+          if (confirm !== askForPassphrase) {
+            return cbk([400, 'ExpectedMatchingPassphraseConfirmation']);
+          }
+
+          cache.request = Promise.resolve(askForPassphrase);
+
+          return cbk(null, {passphrase: askForPassphrase});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'confirm'}, cbk));
+  });
+};
@@ -6,6 +6,7 @@ const {returnResult} = require('asyncjs-util');
 const {homePath} = require('../storage');
 
 const credentials = 'credentials.json';
+const encryptedWithPassphrase = 'passphrase';
 const {isArray} = Array;
 const {parse} = JSON;
 
@@ -24,6 +25,7 @@ const {parse} = JSON;
       [cert]: <Base64 or Hex Serialized LND TLS Cert>
       [encrypted_macaroon]: <Encrypted Macaroon String>
       [encrypted_to]: [<Encrypted to GPG Recipient String>]
+      [encrypted_with]: <Encrypted With Passphrase Type String>
       [macaroon]: <Base64 or Hex Serialized Macaroon String>
       socket: <Host:Port Network Address String>
     }
@@ -113,7 +115,10 @@ module.exports = ({fs, node}, cbk) => {
           return cbk([400, 'SavedNodeMissingMacaroonData']);
         }
 
-        if (!!getFile.encrypted_macaroon && !getFile.encrypted_to) {
+        const isPassphrase = getFile.encrypted_with === encryptedWithPassphrase;
+        const isToKeys = !!getFile.encrypted_to;
+
+        if (!!getFile.encrypted_macaroon && !isToKeys && !isPassphrase) {
           return cbk([400, 'MissingEncryptToRecipientsInSavedCredentials']);
         }
 
@@ -127,6 +132,7 @@ module.exports = ({fs, node}, cbk) => {
             cert: getCert || undefined,
             encrypted_macaroon: getFile.encrypted_macaroon,
             encrypted_to: getFile.encrypted_to,
+            encrypted_with: getFile.encrypted_with,
             macaroon: getMacaroon,
             socket: getFile.socket,
           },
@@ -1,10 +1,12 @@
 const adjustTags = require('./adjust_tags');
+const getPassphrase = require('./get_passphrase');
 const getSavedCredentials = require('./get_saved_credentials');
 const getSavedNodes = require('./get_saved_nodes');
 const manageSavedNodes = require('./manage_saved_nodes');
 
 module.exports = {
   adjustTags,
+  getPassphrase,
   getSavedCredentials,
   getSavedNodes,
   manageSavedNodes,
@@ -27,6 +27,7 @@ const {isArray} = Array;
       writeFile: <Write File Contents Function> (path, contents, cbk) => {}
     }
     [is_including_lnd_api]: <Include Node LND API Object Bool>
+    [is_locking_with_passphrase]: <Encrypt Macaroon With Passphrase Bool>
     [is_registering]: <Add Node Credentials Bool>
     [is_removing]: <Remove Node Credentials Bool>
     [is_unlocking]: <Change Credentials To Decrypted Copy Bool>
@@ -80,6 +81,16 @@ module.exports = (args, cbk) => {
           return cbk([400, 'CannotBothUnlockAndLockNodeCredentials']);
         }
 
+        if (!!args.is_unlocking && !!args.is_locking_with_passphrase) {
+          return cbk([400, 'CannotBothUnlockAndLockNodeCredentials']);
+        }
+
+        if (!!args.is_locking_with_passphrase) {
+          if (!!args.lock_credentials_to.length) {
+            return cbk([400, 'CannotLockToBothGpgKeysAndPassphrase']);
+          }
+        }
+
         if (!args.logger) {
           return cbk([400, 'ExpectedLoggerFunctionForSavedNodes']);
         }
@@ -155,15 +166,19 @@ module.exports = (args, cbk) => {
 
       // Encrypt macaroons
       lock: ['getNodes', ({getNodes}, cbk) => {
+        const isPassphrase = !!args.is_locking_with_passphrase;
+
         // Exit early when not locking credentials
-        if (!args.lock_credentials_to.length) {
+        if (!args.lock_credentials_to.length && !isPassphrase) {
           return cbk();
         }
 
         const {nodes} = getNodes;
 
         return encryptSavedMacaroons({
+          ask: args.ask,
           fs: args.fs,
+          is_passphrase: isPassphrase || undefined,
           logger: args.logger,
           nodes: !args.node ? nodes.map(n => n.node_name) : [args.node],
           spawn: args.spawn,
@@ -182,6 +197,7 @@ module.exports = (args, cbk) => {
         const {nodes} = getNodes;
 
         return decryptSavedMacaroons({
+          ask: args.ask,
           fs: args.fs,
           logger: args.logger,
           nodes: !args.node ? nodes.map(n => n.node_name) : [args.node],
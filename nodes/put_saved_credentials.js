@@ -6,6 +6,7 @@ const {returnResult} = require('asyncjs-util');
 const {homePath} = require('../storage');
 
 const credentials = 'credentials.json';
+const encryptedWithPassphrase = 'passphrase';
 const {isArray} = Array;
 const stringify = obj => JSON.stringify(obj, null, 2);
 
@@ -15,6 +16,7 @@ const stringify = obj => JSON.stringify(obj, null, 2);
     [cert]: <Base64 Encoded Node TLS Certificate String>
     [encrypted_macaroon]: <Encrypted Macaroon String>
     [encrypted_to]: [<Macaroon Encrypted To Recipient Id String>]
+    [encrypted_with]: <Macaroon Encrypted With Passphrase Type String>
     fs: {
       makeDirectory: <Make Directory Function>
       writeFile: <Write File Contents Function> (path, contents, cbk) => {}
@@ -31,8 +33,16 @@ module.exports = (args, cbk) => {
     return asyncAuto({
       // Check arguments
       validate: cbk => {
-        if (!!args.encrypted_macaroon && !isArray(args.encrypted_to)) {
-          return cbk([400, 'ExpectedRecipientIdsForEncryptedMacaroon']);
+        const isPassphrase = args.encrypted_with === encryptedWithPassphrase;
+
+        if (!!args.encrypted_with && !isPassphrase) {
+          return cbk([400, 'ExpectedKnownEncryptionTypeForSavedCredentials']);
+        }
+
+        if (!!args.encrypted_macaroon && !isPassphrase) {
+          if (!isArray(args.encrypted_to)) {
+            return cbk([400, 'ExpectedRecipientIdsForEncryptedMacaroon']);
+          }
         }
 
         if (!!args.encrypted_macaroon && !!args.macaroon) {
@@ -72,6 +82,7 @@ module.exports = (args, cbk) => {
           cert: args.cert || undefined,
           encrypted_macaroon: args.encrypted_macaroon || undefined,
           encrypted_to: args.encrypted_to || undefined,
+          encrypted_with: args.encrypted_with || undefined,
           macaroon: args.macaroon || undefined,
           socket: args.socket,
         });
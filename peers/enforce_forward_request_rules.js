@@ -0,0 +1,411 @@
+const EventEmitter = require('events');
+
+const asyncMap = require('async/map');
+const {decodeChanId} = require('bolt07');
+const {getChannel} = require('ln-service');
+const {getChannels} = require('ln-service');
+const {getHeight} = require('ln-service');
+const {getWalletInfo} = require('ln-service');
+const {subscribeToBlocks} = require('ln-service');
+const {subscribeToChannels} = require('ln-service');
+const {subscribeToForwardRequests} = require('ln-service');
+const {subscribeToForwards} = require('ln-service');
+
+const forwardRequestViolation = require('./forward_request_violation');
+
+const channelEvents = ['channel_closed', 'channel_opened'];
+const events = ['accepted', 'rejected'];
+const htlcId = n => [n.in_channel, n.in_payment, n.out_channel, n.out_payment];
+const {isArray} = Array;
+const {keys} = Object;
+const max = arr => Math.max(...arr);
+const noHtlcsAllowed = 0;
+const secondsAgoDate = n => new Date(Date.now() - (1000 * n)).toISOString();
+const secondsPerHour = 60 * 60;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, 0);
+
+/** Enforce forward request rules
+
+  Every forward request is resolved with an accepted or a rejected event
+
+  Formula rules must evaluate as truthy for a forward to be accepted. LND only
+  allows a single forward interceptor so the other limits are checked in the
+  same interceptor, before the formula rules
+
+  {
+    lnd: <Authenticated LND API Object>
+    [max_new_pending_per_hour]: <Max Per Hour New Pending Forwards Number>
+    [max_seconds_since_last_block]: <Max Seconds Since Last New Block Number>
+    [min_activation_age]: <Minimum Confirmed Blocks For Routing Channel Number>
+    [only_allow]: [{
+      inbound_peer: <Only Allow Inbound Peer Public Key Hex String>
+      outbound_peer: <Only Allow Outbound Peer Public Key Hex String>
+    }]
+    [only_disallow]: [{
+      inbound_peer: <Only Disallow Inbound Peer Public Key Hex String>
+      outbound_peer: <Only Disallow Outbound Peer Public Key Hex String>
+    }]
+    [rules]: [<Forward Request Formula Rule String>]
+    [stop_channels]: [<Channel Id to Stop Traffic On String>]
+  }
+
+  @throws
+  <Error>
+
+  @event 'accepted'
+  {
+    fee: <Forward Fee Tokens Number>
+    in_channel: <Inbound Standard Format Channel Id String>
+    out_channel: <Requested Outbound Channel Standard Format Id String>
+    tokens: <Forward Amount Tokens Number>
+  }
+
+  @event 'rejected'
+  {
+    [fee]: <Forward Fee Tokens Number>
+    in_channel: <Inbound Standard Format Channel Id String>
+    out_channel: <Requested Outbound Channel Standard Format Id String>
+    reject_reason: <Rejection Reason String>
+    [rule]: <Violated Formula Rule String>
+    [tokens]: <Forward Amount Tokens Number>
+  }
+
+  @returns
+  <Forward Request Enforcement EventEmitter Object>
+*/
+module.exports = args => {
+  if (!args.lnd) {
+    throw new Error('ExpectedLndToEnforceForwardRequestRules');
+  }
+
+  const chain = {};
+  const channelKeys = {};
+  const emitter = new EventEmitter();
+  const htlcs = {};
+  const subs = [];
+  let cachedChannels;
+
+  // Stop everything if there is an error
+  const emitError = err => {
+    subs.forEach(n => n.removeAllListeners());
+
+    return emitter.emit('error', err);
+  };
+
+  // Get the channels, using the cached channels when they are still current
+  const getCachedChannels = () => {
+    // Exit early when there are cached channels
+    if (!!cachedChannels) {
+      return cachedChannels;
+    }
+
+    cachedChannels = getChannels({lnd: args.lnd}).catch(err => {
+      cachedChannels = null;
+
+      throw err;
+    });
+
+    return cachedChannels;
+  };
+
+  // Make sure the current height is known to calculate channel ages
+  const getCurrentHeight = async () => {
+    // Exit early when the current height is already known
+    if (chain.current_block_height !== undefined) {
+      return;
+    }
+
+    const {current_block_height} = await getHeight({lnd: args.lnd});
+
+    chain.current_block_height = current_block_height;
+
+    return;
+  };
+
+  // Get the public keys of a channel, caching them for later forwards
+  const getChannelKeys = async id => {
+    // Exit early when the channel keys are cached
+    if (!!channelKeys[id]) {
+      return channelKeys[id];
+    }
+
+    const {policies} = await getChannel({id, lnd: args.lnd});
+
+    channelKeys[id] = policies.map(n => n.public_key);
+
+    return channelKeys[id];
+  };
+
+  // Find the limit violated by a forward request
+  const findLimitViolation = async request => {
+    // When enforcing a block freshness limit make sure chain info is present
+    if (!!args.max_seconds_since_last_block && !chain.latest_block_at) {
+      try {
+        const walletInfo = await getWalletInfo({lnd: args.lnd});
+
+        chain.current_block_height = walletInfo.current_block_height;
+        chain.latest_block_at = walletInfo.latest_block_at;
+      } catch (err) {
+        return {reason: 'FailedToGetWalletInfoForChainConstraints'};
+      }
+    }
+
+    // Make sure no stop channel list violations
+    if (!!isArray(args.stop_channels)) {
+      // Exit early when the inbound channel is on the stop channels list
+      if (args.stop_channels.includes(request.in_channel)) {
+        return {reason: 'InboundChannelDeniedDueToStopList'};
+      }
+
+      try {
+        const outKeys = await getChannelKeys(request.out_channel);
+
+        const stopPairs = await asyncMap(args.stop_channels, getChannelKeys);
+
+        // Since outbound is non-strict, reject any identical outbound key pair
+        if (stopPairs.map(n => n.join()).includes(outKeys.join())) {
+          return {reason: 'OutboundChannelDeniedDueToStopList'};
+        }
+      } catch (err) {
+        return {reason: 'FailedToFindChannelDetailsForReferencedStopChannel'};
+      }
+    }
+
+    // Make sure that only explicitly specified edges allow routing
+    if (!!isArray(args.only_allow) || !!isArray(args.only_disallow)) {
+      const edges = [request.in_channel, request.out_channel];
+      const list = args.only_allow || args.only_disallow;
+
+      try {
+        const [inKeys, outKeys] = await asyncMap(edges, getChannelKeys);
+
+        const [inKey1, inKey2] = inKeys;
+        const [outKey1, outKey2] = outKeys;
+
+        const inKey = !outKeys.includes(inKey1) ? inKey1 : inKey2;
+        const outKey = inKeys.includes(outKey1) ? outKey2 : outKey1;
+
+        // Look for this pairing in the allow/disallow list
+        const isListed = !!list.find(rule => {
+          return rule.inbound_peer === inKey && rule.outbound_peer === outKey;
+        });
+
+        if (!!args.only_allow && !isListed) {
+          return {reason: 'RoutingPairNotDeclaredInOnlyAllowList'};
+        }
+
+        if (!!args.only_disallow && !!isListed) {
+          return {reason: 'RoutingPairSpecifiedInDenyForwardsList'};
+        }
+      } catch (err) {
+        return {reason: 'FailedToFindChannelDetailsForReferencedChannel'};
+      }
+    }
+
+    // Enforce a rule that there must be a recent block
+    if (!!args.max_seconds_since_last_block) {
+      const oldest = secondsAgoDate(args.max_seconds_since_last_block);
+
+      if (chain.latest_block_at < oldest) {
+        return {reason: 'LastBlockReceivedTooLongAgo'};
+      }
+    }
+
+    // Block all HTLCs when no pending forwards are allowed
+    if (args.max_new_pending_per_hour === noHtlcsAllowed) {
+      return {reason: 'NoNewHtlcsAccepted'};
+    }
+
+    // Enforce maximum new pending forwards per hour rule
+    if (!!args.max_new_pending_per_hour) {
+      const after = secondsAgoDate(secondsPerHour);
+
+      // Look for HTLCs that were last updated in the time frame
+      const pendingCount = keys(htlcs).filter(n => htlcs[n] > after).length;
+
+      if (pendingCount >= args.max_new_pending_per_hour) {
+        return {reason: 'TooManyNewPendingHtlcsInThePastHour'};
+      }
+    }
+
+    // Enforce minimum activation blocks constraint
+    if (!!args.min_activation_age) {
+      await getCurrentHeight();
+
+      // Forwards must be confirmed before at least this block to be accepted
+      const maxHeight = chain.current_block_height - args.min_activation_age;
+
+      // Convert the channel ids into funding outpoint confirmation heights
+      const heights = [request.in_channel, request.out_channel].map(id => {
+        return decodeChanId({channel: id}).block_height;
+      });
+
+      // Reject HTLCs when a channel involved is too new
+      if (max(heights) > maxHeight) {
+        return {reason: 'WaitingForChannelConfirmationActivation'};
+      }
+    }
+
+    return {};
+  };
+
+  // Find the limit or formula rule violated by a forward request
+  const findViolation = async request => {
+    const limit = await findLimitViolation(request);
+
+    // Exit early when a limit is violated or there are no formula rules
+    if (!!limit.reason || !args.rules || !args.rules.length) {
+      return limit;
+    }
+
+    await getCurrentHeight();
+
+    const {channels} = await getCachedChannels();
+
+    const inChannel = channels.find(n => n.id === request.in_channel);
+    const outChannel = channels.find(n => n.id === request.out_channel);
+
+    // Exit early when the channels are not known
+    if (!inChannel || !outChannel) {
+      return {reason: 'FailedToFindChannelsToEvaluateForwardingRules'};
+    }
+
+    const inPeer = inChannel.partner_public_key;
+
+    const opened = decodeChanId({channel: request.in_channel});
+
+    const {rule} = forwardRequestViolation({
+      amount: request.tokens,
+      cltv_delta: request.cltv_delta,
+      fee: request.fee,
+      in_channel_age: chain.current_block_height - opened.block_height,
+      in_peer_liquidity: sumOf(channels
+        .filter(n => n.partner_public_key === inPeer)
+        .map(n => n.remote_balance)),
+      out_capacity: outChannel.capacity,
+      out_local_balance: outChannel.local_balance,
+      out_pending_htlcs: outChannel.pending_payments.length,
+      rules: args.rules,
+    });
+
+    // Exit early when no rule is violated
+    if (!rule) {
+      return {};
+    }
+
+    return {rule, reason: 'ForwardingRuleViolation'};
+  };
+
+  const blocksSub = subscribeToBlocks({lnd: args.lnd});
+  const channelsSub = subscribeToChannels({lnd: args.lnd});
+  const forwardsSub = subscribeToForwards({lnd: args.lnd});
+  const requestsSub = subscribeToForwardRequests({lnd: args.lnd});
+
+  subs.push(blocksSub);
+  subs.push(channelsSub);
+  subs.push(forwardsSub);
+  subs.push(requestsSub);
+
+  blocksSub.on('block', ({height}) => {
+    chain.current_block_height = height;
+
+    // The first block time is taken from the wallet, later blocks are new
+    if (!!chain.latest_block_at) {
+      chain.latest_block_at = new Date().toISOString();
+    }
+
+    return;
+  });
+
+  // Channel balances change when channels open or close or forwards settle
+  channelEvents.forEach(event => {
+    return channelsSub.on(event, () => cachedChannels = null);
+  });
+
+  forwardsSub.on('forward', htlc => {
+    cachedChannels = null;
+
+    // Ignore HTLCs that are not forwards between channels
+    if (!htlc.in_channel || !htlc.in_payment) {
+      return;
+    }
+
+    if (!htlc.out_channel || !htlc.out_payment) {
+      return;
+    }
+
+    // Forwarding HTLCs are identified by their channels and HTLC indexes
+    const id = htlcId(htlc).join();
+
+    // Exit early and remove the pending HTLC when resolved
+    if (!!htlc.is_confirmed || !!htlc.is_failed) {
+      return delete htlcs[id];
+    }
+
+    // Record the time of this HTLC
+    return htlcs[id] = htlc.at;
+  });
+
+  // Each forward request is resolved with its own amounts and channels
+  requestsSub.on('forward_request', async request => {
+    const violation = await (async () => {
+      try {
+        return await findViolation(request);
+      } catch (err) {
+        return {reason: 'FailedToEvaluateForwardingRules'};
+      }
+    })();
+
+    // Reject forwards that violate a limit or a formula rule
+    if (!!violation.reason) {
+      emitter.emit('rejected', {
+        fee: request.fee,
+        in_channel: request.in_channel,
+        out_channel: request.out_channel,
+        reject_reason: violation.reason,
+        rule: violation.rule,
+        tokens: request.tokens,
+      });
+
+      return request.reject();
+    }
+
+    emitter.emit('accepted', {
+      fee: request.fee,
+      in_channel: request.in_channel,
+      out_channel: request.out_channel,
+      tokens: request.tokens,
+    });
+
+    return request.accept();
+  });
+
+  blocksSub.on('error', err => {
+    return emitError([503, 'UnexpectedErrorInBlocksSubscription', {err}]);
+  });
+
+  channelsSub.on('error', err => {
+    return emitError([503, 'UnexpectedErrorInChannelsSubscription', {err}]);
+  });
+
+  forwardsSub.on('error', err => {
+    return emitError([503, 'UnexpectedErrorInForwardsSubscription', {err}]);
+  });
+
+  requestsSub.on('error', err => {
+    return emitError([503, 'UnexpectedErrorInForwardInterceptor', {err}]);
+  });
+
+  // When nothing is listening to the events, stop listening to forward reqs
+  emitter.on('removeListener', () => {
+    // Exit early when there are still listeners
+    if (!!events.find(event => !!emitter.listenerCount(event))) {
+      return;
+    }
+
+    // Remove all attached subscriptions
+    return subs.forEach(n => n.removeAllListeners());
+  });
+
+  return emitter;
+};
@@ -0,0 +1,82 @@
+const byRejectedDesc = (a, b) => b.rejected - a.rejected;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, 0);
+const uniq = arr => Array.from(new Set(arr));
+
+/** Summarize forward decisions per rule and per peer pair
+
+  Rejections without a formula rule are grouped by their rejection reason
+
+  {
+    channels: [{
+      id: <Standard Format Channel Id String>
+      partner_public_key: <Peer Public Key Hex String>
+    }]
+    decisions: [{
+      in_channel: <Inbound Standard Format Channel Id String>
+      is_accepted: <Forward Was Accepted Bool>
+      out_channel: <Outbound Standard Format Channel Id String>
+      [reason]: <Rejection Reason String>
+      [rule]: <Violated Formula Rule String>
+      tokens: <Forward Amount Tokens Number>
+    }]
+  }
+
+  @returns
+  {
+    accepted: <Accepted Forwards Count Number>
+    pairs: [{
+      in_peer: <Inbound Peer Public Key Hex or Channel Id String>
+      out_peer: <Outbound Peer Public Key Hex or Channel Id String>
+      rejected: <Rejected Forwards Count Number>
+    }]
+    rules: [{
+      rejected: <Rejected Forwards Count Number>
+      rule: <Rule or Rejection Reason String>
+      tokens: <Rejected Forwards Tokens Number>
+    }]
+  }
+*/
+module.exports = ({channels, decisions}) => {
+  const peerFor = id => {
+    const channel = channels.find(n => n.id === id);
+
+    return !!channel ? channel.partner_public_key : id;
+  };
+
+  const rejections = decisions
+    .filter(n => !n.is_accepted)
+    .map(n => ({
+      in_peer: peerFor(n.in_channel),
+      out_peer: peerFor(n.out_channel),
+      rule: n.rule || n.reason,
+      tokens: n.tokens || Number(),
+    }));
+
+  const rules = uniq(rejections.map(n => n.rule)).map(rule => {
+    const rejected = rejections.filter(n => n.rule === rule);
+
+    return {
+      rule,
+      rejected: rejected.length,
+      tokens: sumOf(rejected.map(n => n.tokens)),
+    };
+  });
+
+  const pairIds = uniq(rejections.map(n => [n.in_peer, n.out_peer].join()));
+
+  const pairs = pairIds.map(id => {
+    const [inPeer, outPeer] = id.split(',');
+
+    const rejected = rejections.filter(n => {
+      return n.in_peer === inPeer && n.out_peer === outPeer;
+    });
+
+    return {in_peer: inPeer, out_peer: outPeer, rejected: rejected.length};
+  });
+
+  return {
+    accepted: decisions.filter(n => !!n.is_accepted).length,
+    pairs: pairs.sort(byRejectedDesc),
+    rules: rules.sort(byRejectedDesc),
+  };
+};
@@ -0,0 +1,117 @@
+const {Parser} = require('hot-formula-parser');
+
+const {isArray} = Array;
+const {keys} = Object;
+
+/** Find a forward request violation
+
+  {
+    amount: <Forward Amount Tokens Number>
+    cltv_delta: <Forward CLTV Delta Number>
+    fee: <Forward Fee Tokens Number>
+    in_channel_age: <Inbound Channel Blocks Since Open Number>
+    in_peer_liquidity: <Inbound Peer Side Balance Tokens Number>
+    out_capacity: <Outbound Channel Capacity Tokens Number>
+    out_local_balance: <Outbound Channel Local Balance Tokens Number>
+    out_pending_htlcs: <Outbound Channel Pending HTLCs Count Number>
+    rules: [<Forward Request Rule String>]
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    [rule]: <Rule String>
+  }
+*/
+module.exports = args => {
+  if (args.amount === undefined) {
+    throw new Error('ExpectedAmountToCheckForForwardRequestViolation');
+  }
+
+  if (args.cltv_delta === undefined) {
+    throw new Error('ExpectedCltvDeltaToCheckForForwardRequestViolation');
+  }
+
+  if (args.fee === undefined) {
+    throw new Error('ExpectedFeeToCheckForForwardRequestViolation');
+  }
+
+  if (args.in_channel_age === undefined) {
+    throw new Error('ExpectedInChannelAgeToCheckForwardRequestRules');
+  }
+
+  if (args.in_peer_liquidity === undefined) {
+    throw new Error('ExpectedInPeerLiquidityToCheckForwardRequestRules');
+  }
+
+  if (args.out_capacity === undefined) {
+    throw new Error('ExpectedOutCapacityToCheckForwardRequestRules');
+  }
+
+  if (args.out_local_balance === undefined) {
+    throw new Error('ExpectedOutLocalBalanceToCheckForwardRequestRules');
+  }
+
+  if (args.out_pending_htlcs === undefined) {
+    throw new Error('ExpectedOutPendingHtlcsToCheckForwardRequestRules');
+  }
+
+  if (!isArray(args.rules)) {
+    throw new Error('ExpectedArrayOfRulesToCheckForForwardRequestViolation');
+  }
+
+  const variables = {
+    amount: args.amount,
+    btc: 1e8,
+    cltv_delta: args.cltv_delta,
+    fee: args.fee,
+    fee_rate: !args.amount ? Number() : args.fee * 1e6 / args.amount,
+    in_channel_age: args.in_channel_age,
+    in_peer_liquidity: args.in_peer_liquidity,
+    k: 1e3,
+    m: 1e6,
+    out_capacity: args.out_capacity,
+    out_local_balance: args.out_local_balance,
+    out_pending_htlcs: args.out_pending_htlcs,
+  };
+
+  const parser = new Parser();
+
+  // Add the variables to the parser
+  keys(variables).forEach(key => {
+    parser.setVariable(key.toLowerCase(), variables[key]);
+    parser.setVariable(key.toUpperCase(), variables[key]);
+
+    return;
+  });
+
+  const violation = args.rules.find(rule => {
+    const parsed = parser.parse(rule);
+
+    switch (parsed.error) {
+    case '#DIV/0!':
+      throw new Error('CannotDivideByZeroInForwardRequestRule');
+
+    case '#ERROR!':
+      throw new Error('FailedToParseSpecifiedForwardRequestRule');
+
+    case '#N/A':
+    case '#NAME?':
+      throw new Error('UnrecognizedVariableOrFunctionInForwardRequestRule');
+
+    case '#NUM':
+      throw new Error('InvalidNumberFoundInForwardRequestRule');
+
+    case '#VALUE!':
+      throw new Error('UnexpectedValueTypeInForwardRequestRule');
+
+    default:
+      // Rules must evaluate as truthy
+      return !parsed.result;
+    }
+  });
+
+  return {rule: violation};
+};
@@ -0,0 +1,151 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getClosedChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const forwardDecisionStats = require('./forward_decision_stats');
+const {homePath} = require('./../storage');
+
+const defaultDays = 1;
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const logFile = 'forward_decisions.jsonl';
+const {parse} = JSON;
+const rotatedSuffix = '.1';
+const uniq = arr => Array.from(new Set(arr));
+
+/** Get statistics on forward decisions from the forward decisions log
+
+  {
+    [days]: <Past Days of Decisions Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Rule Table Cell String>]]
+    rows_summary: [[<Peer Pair Table Cell String>]]
+  }
+*/
+module.exports = ({days, fs, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetForwardStats']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetForwardStats']);
+        }
+
+        return cbk();
+      },
+
+      // Read the current and rotated decision logs
+      getDecisions: ['validate', ({}, cbk) => {
+        const {path} = homePath({file: logFile});
+
+        const after = moment().subtract(days || defaultDays, 'days');
+
+        return asyncMap([`${path}${rotatedSuffix}`, path], (path, cbk) => {
+          return fs.getFile(path, (err, res) => {
+            // Exit early when there is no log
+            if (!!err || !res) {
+              return cbk(null, []);
+            }
+
+            const decisions = res.toString().split('\n').map(line => {
+              try {
+                return parse(line);
+              } catch (err) {
+                // Ignore lines that are not complete entries
+                return;
+              }
+            });
+
+            return cbk(null, decisions.filter(n => !!n && !!n.at));
+          });
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          const decisions = [].concat(...res);
+
+          return cbk(null, decisions.filter(n => n.at > after.toISOString()));
+        });
+      }],
+
+      // Get the channels to map channels to peers
+      getChannels: ['validate', ({}, cbk) => getChannels({lnd}, cbk)],
+
+      // Get the closed channels to map closed channels to peers
+      getClosed: ['validate', ({}, cbk) => getClosedChannels({lnd}, cbk)],
+
+      // Summarize the decisions
+      stats: [
+        'getChannels',
+        'getClosed',
+        'getDecisions',
+        ({getChannels, getClosed, getDecisions}, cbk) =>
+      {
+        return cbk(null, forwardDecisionStats({
+          channels: []
+            .concat(getChannels.channels)
+            .concat(getClosed.channels.filter(n => !!n.id)),
+          decisions: getDecisions,
+        }));
+      }],
+
+      // Get the aliases of the peers
+      getAliases: ['stats', ({stats}, cbk) => {
+        const keys = stats.pairs.map(n => [n.in_peer, n.out_peer]);
+
+        const ids = uniq([].concat(...keys)).filter(n => isPublicKey(n));
+
+        return asyncMap(ids, (id, cbk) => getNodeAlias({id, lnd}, cbk), cbk);
+      }],
+
+      // Final tables
+      tables: ['getAliases', 'stats', ({getAliases, stats}, cbk) => {
+        const alias = id => {
+          const node = getAliases.find(n => n.id === id);
+
+          return !!node && !!node.alias ? node.alias : id;
+        };
+
+        const rules = stats.rules.map(n => [
+          n.rule,
+          String(n.rejected),
+          formatTokens({tokens: n.tokens}).display,
+        ]);
+
+        const pairs = stats.pairs.map(n => [
+          alias(n.in_peer),
+          alias(n.out_peer),
+          String(n.rejected),
+        ]);
+
+        return cbk(null, {
+          rows: []
+            .concat([['Rule', 'Rejected', 'Amount']])
+            .concat(rules)
+            .concat([['Accepted', String(stats.accepted), ' ']]),
+          rows_summary: []
+            .concat([['Inbound Peer', 'Outbound Peer', 'Rejected']])
+            .concat(pairs),
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'tables'}, cbk));
+  });
+};
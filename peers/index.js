@@ -1,5 +1,6 @@
 const connectToPeer = require('./connect_to_peer');
 const findTagMatch = require('./find_tag_match');
+const getForwardDecisionStats = require('./get_forward_decision_stats');
 const interceptInboundChannels = require('./intercept_inbound_channels');
 const limitForwarding = require('./limit_forwarding');
 const openChannels = require('./open_channels');
@@ -7,6 +8,7 @@ const openChannels = require('./open_channels');
 module.exports = {
   connectToPeer,
   findTagMatch,
+  getForwardDecisionStats,
   interceptInboundChannels,
   limitForwarding,
   openChannels,
@@ -1,16 +1,30 @@
 const asyncAuto = require('async/auto');
-const {enforceForwardRequestRules} = require('ln-sync');
+const asyncQueue = require('async/queue');
 const {returnResult} = require('asyncjs-util');
 
+const enforceForwardRequestRules = require('./enforce_forward_request_rules');
+const forwardRequestViolation = require('./forward_request_violation');
+const logForwardDecision = require('./log_forward_decision');
+
+const {assign} = Object;
 const disableAllForwards = 0;
 const hoursAsSeconds = hours => hours * 60 * 60;
 const {isArray} = Array;
 const isEdge = n => !!n && /^[0-9A-F]{66}\/[0-9A-F]{66}$/i.test(n);
+const logConcurrency = 1;
 const splitEdge = n => n.split('/');
 
 /** Limit forwarding requests
 
+  Accept and reject decisions are recorded in the forward decisions log
+
   {
+    fs: {
+      appendFile: <Append To File Function> (path, contents, cbk) => {}
+      getFileStatus: <Get File Status Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      renameFile: <Rename File Function> (from, to, cbk) => {}
+    }
     lnd: (await lndForNode(logger, options.node)).lnd,
     logger: <Winston Logger Object>
     [is_disabling_all_forwards]: <All Forwards Are Disabled Bool>
@@ -19,6 +33,7 @@ const splitEdge = n => n.split('/');
     [min_channel_confirmations]: <Minimum Required Channel Confs Number>
     only_allow: [<In Public Key / Out Public Key String>]
     only_disallow: [<In Public Key / Out Public Key String>]
+    rules: [<Forward Request Formula Rule String>]
     stop_channels: [<Channel Id to Stop Traffic On String>]
   }
 
@@ -29,6 +44,10 @@ module.exports = (args, cbk) => {
     return asyncAuto({
       // Check arguments
       validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToLimitForwarding']);
+        }
+
         if (!isArray(args.only_allow)) {
           return cbk([400, 'ExpectedOnlyAllowArrayToLimitForwarding']);
         }
@@ -57,10 +76,33 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedAuthenticatedLndToLimitForwarding']);
         }
 
+        if (!isArray(args.rules)) {
+          return cbk([400, 'ExpectedArrayOfRulesToLimitForwarding']);
+        }
+
         if (!isArray(args.stop_channels)) {
           return cbk([400, 'ExpectedStopChannelsArrayToLimitForwarding']);
         }
 
+        if (!!args.rules.length) {
+          // Check if a test forward would cause any rules parsing errors
+          try {
+            forwardRequestViolation({
+              amount: 1,
+              cltv_delta: 2,
+              fee: 3,
+              in_channel_age: 4,
+              in_peer_liquidity: 5,
+              out_capacity: 6,
+              out_local_balance: 7,
+              out_pending_htlcs: 8,
+              rules: args.rules,
+            });
+          } catch (err) {
+            return cbk([400, 'InvalidForwardRequestRule', {err}]);
+          }
+        }
+
         return cbk();
       },
 
@@ -129,7 +171,10 @@ module.exports = (args, cbk) => {
         },
         cbk) =>
       {
-        args.logger.info({limiting_forwards: true});
+        args.logger.info({
+          enforcing_forward_rules: args.rules.length ? args.rules : undefined,
+          limiting_forwards: true,
+        });
 
         const sub = enforceForwardRequestRules({
           lnd: args.lnd,
@@ -138,6 +183,7 @@ module.exports = (args, cbk) => {
           min_activation_age: args.min_channel_confirmations || undefined,
           only_allow: onlyAllow,
           only_disallow: onlyDisallow,
+          rules: args.rules,
           stop_channels: args.stop_channels.length ? args.stop_channels : null,
         });
 
@@ -145,12 +191,49 @@ module.exports = (args, cbk) => {
           return cbk([503, 'UnexpectedErrorLimitingForwarding', {err}]);
         });
 
+        // Decisions are logged one at a time so the log rotates only once
+        const decisions = asyncQueue((decision, cbk) => {
+          return logForwardDecision(assign(decision, {fs: args.fs}), cbk);
+        },
+        logConcurrency);
+
+        // Record a decision, logging failures without stopping enforcement
+        const record = decision => {
+          return decisions.push(decision, err => {
+            if (!!err) {
+              args.logger.error({err});
+            }
+
+            return;
+          });
+        };
+
+        sub.on('accepted', accepted => {
+          return record({
+            fee: accepted.fee,
+            in_channel: accepted.in_channel,
+            is_accepted: true,
+            out_channel: accepted.out_channel,
+            tokens: accepted.tokens,
+          });
+        });
+
         sub.on('rejected', async rejected => {
           const forward = `${rejected.in_channel} → ${rejected.out_channel}`;
 
           const rejection = `${rejected.reject_reason} ${forward}`;
 
-          return args.logger.info({rejection});
+          record({
+            fee: rejected.fee,
+            in_channel: rejected.in_channel,
+            is_accepted: false,
+            out_channel: rejected.out_channel,
+            reason: rejected.reject_reason,
+            rule: rejected.rule,
+            tokens: rejected.tokens,
+          });
+
+          return args.logger.info({rejection, rule: rejected.rule});
         });
       }],
     },
@@ -0,0 +1,87 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {appendLogEntry} = require('./../storage');
+
+const logFile = 'forward_decisions.jsonl';
+const maxLogBytes = 1024 * 1024 * 10;
+
+/** Record a forward accept or reject decision in the forward decisions log
+
+  When the log grows past the maximum size it is rotated to a ".1" file
+
+  Decisions should be logged one at a time so that concurrent writes do not
+  rotate the log twice
+
+  {
+    [at]: <Decided At ISO 8601 Date String>
+    fee: <Forward Fee Tokens Number>
+    fs: {
+      appendFile: <Append To File Function> (path, contents, cbk) => {}
+      getFileStatus: <Get File Status Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      renameFile: <Rename File Function> (from, to, cbk) => {}
+    }
+    in_channel: <Inbound Standard Format Channel Id String>
+    is_accepted: <Forward Was Accepted Bool>
+    out_channel: <Outbound Standard Format Channel Id String>
+    [reason]: <Rejection Reason String>
+    [rule]: <Violated Formula Rule String>
+    tokens: <Forward Amount Tokens Number>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        const {fs} = args;
+
+        if (!fs || !fs.appendFile || !fs.getFileStatus || !fs.renameFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToLogForwardDecision']);
+        }
+
+        if (!fs.makeDirectory) {
+          return cbk([400, 'ExpectedFileSystemMethodsToLogForwardDecision']);
+        }
+
+        if (!args.in_channel) {
+          return cbk([400, 'ExpectedInboundChannelToLogForwardDecision']);
+        }
+
+        if (args.is_accepted === undefined) {
+          return cbk([400, 'ExpectedAcceptedStatusToLogForwardDecision']);
+        }
+
+        if (!args.out_channel) {
+          return cbk([400, 'ExpectedOutboundChannelToLogForwardDecision']);
+        }
+
+        return cbk();
+      },
+
+      // Append the decision to the log
+      append: ['validate', ({}, cbk) => {
+        return appendLogEntry({
+          entry: {
+            at: args.at || new Date().toISOString(),
+            fee: args.fee,
+            in_channel: args.in_channel,
+            is_accepted: args.is_accepted,
+            out_channel: args.out_channel,
+            reason: args.reason,
+            rule: args.rule,
+            tokens: args.tokens,
+          },
+          file: logFile,
+          fs: args.fs,
+          max_bytes: maxLogBytes,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
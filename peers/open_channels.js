@@ -69,6 +69,7 @@ const utxoPollingTimes = 20;
 
   {
     ask: <Ask For Input Function>
+    [backend]: <Chain Backend Object>
     capacities: [<New Channel Capacity Tokens String>]
     commitments: [<Channel Commitment Types String>]
     cooperative_close_addresses: [<Cooperative Close Address>]
@@ -666,6 +667,7 @@ module.exports = (args, cbk) => {
           return getAddressUtxo({
             address,
             tokens,
+            backend: args.backend,
             network: getNetwork.network,
             request: args.request,
           },
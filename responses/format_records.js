@@ -0,0 +1,53 @@
+const {stringify} = JSON;
+
+const csvSeparator = ',';
+const isQuoted = n => /[",\r\n]/.test(n);
+const newLine = '\n';
+const quote = n => `"${n.replace(/"/g, '""')}"`;
+const spacer = '  ';
+
+/** Format records as machine readable output
+
+  Nested values in CSV cells are written as JSON
+
+  {
+    fields: [<Field Name String>]
+    format: <Output Format String> 'csv' || 'json' || 'jsonl'
+    records: [<Record Object>]
+  }
+
+  @returns
+  {
+    output: <Formatted Output String>
+  }
+*/
+module.exports = ({fields, format, records}) => {
+  switch (format) {
+  case 'csv':
+    const cell = value => {
+      // Exit early when there is no value
+      if (value === undefined || value === null) {
+        return String();
+      }
+
+      const text = typeof value === 'object' ? stringify(value) : `${value}`;
+
+      return isQuoted(text) ? quote(text) : text;
+    };
+
+    const rows = records.map(record => fields.map(n => cell(record[n])));
+
+    const lines = [fields].concat(rows).map(n => n.join(csvSeparator));
+
+    return {output: lines.join(newLine)};
+
+  case 'json':
+    return {output: stringify(records, null, spacer)};
+
+  case 'jsonl':
+    return {output: records.map(n => stringify(n)).join(newLine)};
+
+  default:
+    throw new Error('UnexpectedFormatForOutputRecords');
+  }
+};
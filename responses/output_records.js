@@ -0,0 +1,101 @@
+const schemas = require('./output_schemas');
+
+const ansiEscapes = /\u001b\[[0-9;]*m/g;
+const {isArray} = Array;
+const {keys} = Object;
+const newLine = '\n';
+const plain = n => typeof n === 'string' ? n.replace(ansiEscapes, '') : n;
+const snakeCase = n => n.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+const uniq = arr => Array.from(new Set(arr));
+
+/** Derive the records and fields of a command result for formatted output
+
+  Records are taken from chart data, a number or a table when the result is
+  shown that way, then from the command schema records attribute, otherwise
+  the result itself is the record.
+
+  Fields start with the documented command schema fields, followed by any
+  other attributes that have a value.
+
+  {
+    [command]: <Command Name String>
+    [data]: <Chart Data Attribute String>
+    [number]: <Number Attribute String>
+    res: <Command Result Object>
+    [table]: <Table Rows Attribute String>
+  }
+
+  @returns
+  {
+    fields: [<Field Name String>]
+    records: [<Record Object>]
+  }
+*/
+module.exports = ({command, data, number, res, table}) => {
+  const schema = schemas[command] || {fields: []};
+
+  const recordsOf = () => {
+    // Exit early when the result is a chart of data points
+    if (!!data) {
+      return res[data].map((value, segment) => ({segment, value}));
+    }
+
+    // Exit early when the result is a single number
+    if (!!number) {
+      return [{[number]: res[number]}];
+    }
+
+    // Exit early when the result is a table with a header row
+    if (!!table) {
+      const [header, ...rows] = res[table];
+
+      const names = header.map(n => snakeCase(plain(n)));
+
+      return rows.map(row => {
+        return names.reduce((sum, name, i) => {
+          sum[name] = plain(row[i]);
+
+          return sum;
+        },
+        {});
+      });
+    }
+
+    // Exit early when the command has no result
+    if (res === undefined) {
+      return [];
+    }
+
+    // Exit early when the result is lines of text
+    if (typeof res === 'string') {
+      return res.split(newLine).map(line => ({line}));
+    }
+
+    // Exit early when the result is not an object
+    if (!res || typeof res !== 'object') {
+      return [{value: res}];
+    }
+
+    // Exit early when the result is already a list of records
+    if (isArray(res)) {
+      return res;
+    }
+
+    // Exit early when the records are nested in the result
+    if (!!schema.records && isArray(res[schema.records])) {
+      return res[schema.records];
+    }
+
+    return [res];
+  };
+
+  const records = recordsOf();
+
+  // Attributes without a value are not fields
+  const names = records.reduce((sum, n) => {
+    return sum.concat(keys(Object(n)).filter(key => n[key] !== undefined));
+  },
+  []);
+
+  return {records, fields: uniq([].concat(schema.fields).concat(names))};
+};
@@ -1,5 +1,7 @@
 const {plot} = require('asciichart');
 
+const returnFormatted = require('./return_formatted');
+
 const height = 15;
 const newLine = '\n';
 const padLen = (lineLen, desc) => (Math.max(0, lineLen - desc.length) + 3) / 2;
@@ -11,6 +13,10 @@ const padLen = (lineLen, desc) => (Math.max(0, lineLen - desc.length) + 3) / 2;
     logger: {
       info: <Info Function>
     }
+    [output]: {
+      [command]: <Command Name String>
+      format: <Machine Readable Output Format String>
+    }
     reject: <Reject Function>
     resolve: <Resolve Function>
   }
@@ -18,7 +24,7 @@ const padLen = (lineLen, desc) => (Math.max(0, lineLen - desc.length) + 3) / 2;
   @returns
   <Standard Callback Function> (err, res) => {}
 */
-module.exports = ({data, logger, reject, resolve}) => {
+module.exports = ({data, logger, output, reject, resolve}) => {
   return (err, res) => {
     if (!!err) {
       logger.error({err});
@@ -26,6 +32,13 @@ module.exports = ({data, logger, reject, resolve}) => {
       return reject();
     }
 
+    // Exit early when a machine readable output format is requested
+    if (!!output) {
+      const respond = returnFormatted({data, logger, output, reject, resolve});
+
+      return respond(err, res);
+    }
+
     const chart = plot(res[data], {height});
 
     const [line] = chart.split(newLine);
@@ -0,0 +1,56 @@
+const formatRecords = require('./format_records');
+const outputRecords = require('./output_records');
+
+/** Return a result to a logger as machine readable output in a promise
+
+  {
+    [data]: <Chart Data Attribute String>
+    [exit]: <Final Exit Function>
+    logger: {
+      error: <Log Error Function>
+      info: <Log Info Function>
+    }
+    [number]: <Number Attribute String>
+    output: {
+      [command]: <Command Name String>
+      format: <Output Format String> 'csv' || 'json' || 'jsonl'
+    }
+    reject: <Reject Function>
+    resolve: <Resolve Function>
+    [table]: <Table Rows Attribute String>
+  }
+
+  @returns
+  <Standard Callback Function> (err, res) => {}
+*/
+module.exports = args => {
+  return (err, res) => {
+    if (!!err) {
+      args.logger.error({err});
+
+      return args.reject();
+    }
+
+    const {fields, records} = outputRecords({
+      res,
+      command: args.output.command,
+      data: args.data,
+      number: args.number,
+      table: args.table,
+    });
+
+    const {output} = formatRecords({
+      fields,
+      records,
+      format: args.output.format,
+    });
+
+    args.logger.info(output);
+
+    if (!!args.exit) {
+      args.exit();
+    }
+
+    return args.resolve();
+  };
+};
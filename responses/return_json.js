@@ -1,3 +1,5 @@
+const returnFormatted = require('./return_formatted');
+
 const {stringify} = JSON;
 const spacer = '  ';
 
@@ -8,6 +10,10 @@ const spacer = '  ';
       error: <Log Error Function>
       info: <Log Info Function>
     }
+    [output]: {
+      [command]: <Command Name String>
+      format: <Machine Readable Output Format String>
+    }
     reject: <Reject Function>
     resolve: <Resolve Function>
   }
@@ -15,7 +21,7 @@ const spacer = '  ';
   @returns
   <Standard Callback Function> (err, res) => {}
 */
-module.exports = ({logger, reject, resolve}) => {
+module.exports = ({logger, output, reject, resolve}) => {
   return (err, res) => {
     if (!!err) {
       logger.error(err);
@@ -23,6 +29,13 @@ module.exports = ({logger, reject, resolve}) => {
       return reject();
     }
 
+    // Exit early when a machine readable output format is requested
+    if (!!output) {
+      const respond = returnFormatted({logger, output, reject, resolve});
+
+      return respond(err, res);
+    }
+
     logger.info(stringify(res, null, spacer));
 
     return resolve();
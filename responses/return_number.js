@@ -1,9 +1,15 @@
+const returnFormatted = require('./return_formatted');
+
 /** Return a count result to a logger in a promise
 
   {
     logger: {
       info: <Info Function>
     }
+    [output]: {
+      [command]: <Command Name String>
+      format: <Machine Readable Output Format String>
+    }
     number: <Number Attribute String>
     reject: <Reject Function>
     resolve: <Resolve Function>
@@ -12,7 +18,7 @@
   @returns
   <Standard Callback Function> (err, res) => {}
 */
-module.exports = ({logger, number, reject, resolve}) => {
+module.exports = ({logger, number, output, reject, resolve}) => {
   return (err, res) => {
     if (!!err) {
       logger.error(err);
@@ -20,6 +26,19 @@ module.exports = ({logger, number, reject, resolve}) => {
       return reject();
     }
 
+    // Exit early when a machine readable output format is requested
+    if (!!output) {
+      const respond = returnFormatted({
+        logger,
+        number,
+        output,
+        reject,
+        resolve,
+      });
+
+      return respond(err, res);
+    }
+
     logger.info(`${res[number]}`);
 
     return resolve();
@@ -2,6 +2,7 @@ const {getBorderCharacters} = require('table');
 const renderTable = require('table').table;
 
 const pkg = require('./../package.json');
+const returnFormatted = require('./return_formatted');
 const writeJsonFile = require('./write_json_file');
 
 const border = getBorderCharacters('norc');
@@ -19,6 +20,10 @@ const summary = n => `${n}_summary`;
     logger: {
       info: <Info Function>
     }
+    [output]: {
+      [command]: <Command Name String>
+      format: <Machine Readable Output Format String>
+    }
     reject: <Reject Function>
     resolve: <Resolve Function>
     [table]: <Show as Table From Result Attribute String>
@@ -28,7 +33,9 @@ const summary = n => `${n}_summary`;
   @returns
   <Standard Callback Function> (err, res) => {}
 */
-module.exports = ({exit, file, logger, reject, resolve, table, write}) => {
+module.exports = args => {
+  const {exit, file, logger, reject, resolve, table, write} = args;
+
   return (err, res) => {
     if (!!err) {
       logger.error({err});
@@ -46,6 +53,11 @@ module.exports = ({exit, file, logger, reject, resolve, table, write}) => {
       });
     }
 
+    // Exit early when a machine readable output format is requested
+    if (!!args.output) {
+      return returnFormatted(args)(err, res);
+    }
+
     // Exit early when the table is empty
     if (!!table && res[table].length === [table].length) {
       const [header] = res[table];
@@ -1,9 +1,15 @@
+const returnFormatted = require('./return_formatted');
+
 /** Return an output result to a logger in a promise
 
   {
     logger: {
       info: <Info Function>
     }
+    [output]: {
+      [command]: <Command Name String>
+      format: <Machine Readable Output Format String>
+    }
     reject: <Reject Function>
     resolve: <Resolve Function>
   }
@@ -11,7 +17,7 @@
   @returns
   <Standard Callback Function> (err, res) => {}
 */
-module.exports = ({logger, reject, resolve}) => {
+module.exports = ({logger, output, reject, resolve}) => {
   return (err, res) => {
     if (!!err) {
       logger.error(err);
@@ -19,6 +25,13 @@ module.exports = ({logger, reject, resolve}) => {
       return reject();
     }
 
+    // Exit early when a machine readable output format is requested
+    if (!!output) {
+      const respond = returnFormatted({logger, output, reject, resolve});
+
+      return respond(err, res);
+    }
+
     logger.info(res);
 
     return resolve();
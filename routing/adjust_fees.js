@@ -6,6 +6,7 @@ const {findKey} = require('ln-sync');
 const {getChannel} = require('ln-service');
 const {getChannels} = require('ln-service');
 const {getFeeRates} = require('ln-service');
+const {getHeight} = require('ln-service');
 const {getIdentity} = require('ln-service');
 const {getNode} = require('ln-service');
 const {getNodeAlias} = require('ln-sync');
@@ -19,21 +20,35 @@ const {updateChannelFee} = require('ln-sync');
 const {chartAliasForPeer} = require('./../display');
 const {formatFeeRate} = require('./../display');
 const {getIcons} = require('./../display');
+const getPastForwards = require('./get_past_forwards');
+const {getTags} = require('./../tags');
 const parseFeeRateFormula = require('./parse_fee_rate_formula');
+const peerFormulaVariables = require('./peer_formula_variables');
+const selectFeeUpdates = require('./select_fee_updates');
+const snapshotFeePolicies = require('./snapshot_fee_policies');
+const stepFeeRate = require('./step_fee_rate');
 
 const asRate = rate => formatFeeRate({rate}).display;
+const {assign} = Object;
 const asTxOut = n => `${n.transaction_id}:${n.transaction_vout}`;
 const {ceil} = Math;
+const daysSinceForwardMatch = /\bDAYS_SINCE_LAST_FORWARD\b/i;
 const flatten = arr => [].concat(...arr);
+const forwardsMatch = /\b(DAYS_SINCE_LAST_FORWARD|FEES_EARNED|FORWARDED_)/i;
+const heightMatch = /\bCHANNEL_AGE_BLOCKS\b/i;
 const interval = 1000 * 60 * 2;
 const isAllUndefined = arr => arr.findIndex(n => n !== undefined) === -1;
 const {isArray} = Array;
 const isNumber = n => !!n && !isNaN(n);
+const isUsing = (formula, match) => !!formula && match.test(formula);
+const lastForwardLookbackDays = 90;
 const {max} = Math;
 const {min} = Math;
 const minCltvDelta = 18;
 const nodeMatch = /\bFEE_RATE_OF_[0-9A-F]{66}\b/gim;
 const noFee = gray('Unknown Rate');
+const peerRatesMatch = /\bPEER_INBOUND_FEE_RATE_MEDIAN\b/i;
+const pastForwardsDays = 30;
 const present = (arg, existing) => arg !== undefined ? arg : existing;
 const pubKeyForNodeMatch = n => n.substring(12).toLowerCase();
 const shortKey = key => key.substring(0, 20);
@@ -43,20 +58,33 @@ const uniq = arr => Array.from(new Set(arr));
 
 /** View and adjust routing fees
 
+  Current fee policies are recorded in the fee policy snapshots
+
   {
     [cltv_delta]: <Set CLTV Delta Number>
     [fee_rate]: <Fee Rate String>
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
     }
     [inbound_rate_discount]: <Discount Fee Rate Number>
     lnd: <Authenticated LND API Object>
     logger: <Winstone Logger Object>
+    [max_fee_rate_step]: <Maximum Fee Rate Change Per Adjustment Number>
+    [max_updates]: <Maximum Peer Policy Updates Number>
+    [min_fee_rate_change]: <Minimum Fee Rate Change to Update Policy Number>
     to: [<Adjust Routing Fee To Peer Alias or Public Key or Tag String>]
   }
 
   @returns via cbk or Promise
   {
+    changes: [{
+      [fee_rate]: <Updated Fee Rate Number>
+      inputs: <Fee Rate Formula Inputs Object>
+      [previous_fee_rate]: <Previous Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+    }]
     rows: [[<Table Cell String>]]
   }
 */
@@ -114,11 +142,46 @@ module.exports = (args, cbk) => {
       // Get node icons
       getIcons: ['validate', ({}, cbk) => getIcons({fs: args.fs}, cbk)],
 
+      // Get the tags to match peers against, resolving formula tags
+      getTags: ['validate', ({}, cbk) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
+      }],
+
       // Get the pending channels
       getPending: ['validate', ({}, cbk) => {
         return getPendingChannels({lnd: args.lnd}, cbk);
       }],
 
+      // Get the current block height to derive channel ages
+      getHeight: ['validate', ({}, cbk) => {
+        // Exit early when the formula does not reference channel age
+        if (!isUsing(args.fee_rate, heightMatch)) {
+          return cbk();
+        }
+
+        return getHeight({lnd: args.lnd}, cbk);
+      }],
+
+      // Get past forwards to derive forwarding history
+      getForwards: ['validate', ({}, cbk) => {
+        // Exit early when the formula does not reference forwarding history
+        if (!isUsing(args.fee_rate, forwardsMatch)) {
+          return cbk();
+        }
+
+        const isLastForward = isUsing(args.fee_rate, daysSinceForwardMatch);
+
+        const days = isLastForward ? lastForwardLookbackDays : pastForwardsDays;
+
+        return getPastForwards({days, lnd: args.lnd}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {days, forwards: res.forwards});
+        });
+      }],
+
       // Get the wallet public key
       getPublicKey: ['validate', ({}, cbk) => {
         return getIdentity({lnd: args.lnd}, cbk);
@@ -140,15 +203,17 @@ module.exports = (args, cbk) => {
       }],
 
       // Get the peers to assign fee rates towards
-      getPeers: ['getChannels', 'getIcons', ({getChannels, getIcons}, cbk) => {
+      getPeers: ['getChannels', 'getTags', ({getChannels, getTags}, cbk) => {
         const {channels} = getChannels;
 
         return asyncMap(args.to, (query, cbk) => {
-          const nodes = getIcons.nodes.filter(n => n.aliases.includes(query));
+          const tagged = getTags.tags.filter(n => n.alias === query);
+
+          const nodes = uniq(flatten(tagged.map(n => n.nodes || [])));
 
           // Exit early when there is a tag match
           if (!!nodes.length) {
-            return cbk(null, nodes.map(n => ({public_key: n.public_key})));
+            return cbk(null, nodes.map(key => ({public_key: key})));
           }
 
           return findKey({channels, query, lnd: args.lnd}, cbk);
@@ -216,6 +281,44 @@ module.exports = (args, cbk) => {
         });
       }],
 
+      // Get the fee rates other nodes charge towards the peers
+      getPeerRates: [
+        'getPeers',
+        'getPublicKey',
+        ({getPeers, getPublicKey}, cbk) =>
+      {
+        // Exit early when the formula does not reference peer inbound rates
+        if (!isUsing(args.fee_rate, peerRatesMatch)) {
+          return cbk(null, []);
+        }
+
+        const ownKey = getPublicKey.public_key;
+
+        return asyncMap(getPeers, (peer, cbk) => {
+          const key = peer.public_key;
+
+          return getNode({lnd: args.lnd, public_key: key}, (err, res) => {
+            // Exit early when the peer is not in the graph
+            if (isArray(err) && err.slice().shift() === 404) {
+              return cbk(null, {key, rates: []});
+            }
+
+            if (!!err) {
+              return cbk(err);
+            }
+
+            // Our own rate is excluded to avoid a feedback loop
+            const rates = flatten(res.channels.map(n => n.policies))
+              .filter(n => n.public_key !== key && n.public_key !== ownKey)
+              .filter(n => n.fee_rate !== undefined)
+              .map(n => n.fee_rate);
+
+            return cbk(null, {key, rates});
+          });
+        },
+        cbk);
+      }],
+
       // Get the policies of all channels
       getPolicies: ['getChannels', ({getChannels}, cbk) => {
         return asyncMap(getChannels.channels, (channel, cbk) => {
@@ -243,7 +346,10 @@ module.exports = (args, cbk) => {
       feeUpdates: [
         'getChannels',
         'getFeeRates',
+        'getForwards',
+        'getHeight',
         'getNodeRates',
+        'getPeerRates',
         'getPeers',
         'getPending',
         'getPolicies',
@@ -251,7 +357,10 @@ module.exports = (args, cbk) => {
         ({
           getChannels,
           getFeeRates,
+          getForwards,
+          getHeight,
           getNodeRates,
+          getPeerRates,
           getPeers,
           getPending,
           getPolicies,
@@ -301,19 +410,61 @@ module.exports = (args, cbk) => {
             .map(n => BigInt(n.base_fee_mtokens))
             .reduce((sum, fee) => fee > sum ? fee : sum, BigInt(Number()));
 
-          const {failure, rate} = parseFeeRateFormula({
-            fee_rate: args.fee_rate,
+          const peerRates = getPeerRates.find(n => n.key === key);
+
+          const variables = peerFormulaVariables({
+            channels,
+            days: !!getForwards ? getForwards.days : undefined,
+            forwards: !!getForwards ? getForwards.forwards : undefined,
+            height: !!getHeight ? getHeight.current_block_height : undefined,
+            now: () => Date.now(),
+            peer_rates: !!peerRates ? peerRates.rates : undefined,
+          });
+
+          const inputs = assign(variables, {
             inbound_fee_rate: inboundFeeRate,
             inbound_liquidity: sumOf(channels.map(n => n.remote_balance)),
             outbound_liquidity: sumOf(channels.map(n => n.local_balance)),
+          });
+
+          const parsed = parseFeeRateFormula(assign({}, inputs, {
+            fee_rate: args.fee_rate,
             node_rates: getNodeRates,
+          }));
+
+          // Exit early when the peer is missing a variable the formula uses
+          if (!!parsed.unavailable) {
+            args.logger.warn({
+              skipping_fee_update_for_peer: key,
+              unavailable_formula_variable: parsed.unavailable.toUpperCase(),
+            });
+
+            return cbk(null, {updates: []});
+          }
+
+          if (!!parsed.failure) {
+            return cbk([400, parsed.failure]);
+          }
+
+          const current = !currentPolicies.length ?
+            undefined : max(...currentPolicies.map(n => n.fee_rate));
+
+          const {rate, is_minor_change} = stepFeeRate({
+            current,
+            max_fee_rate_step: args.max_fee_rate_step,
+            min_fee_rate_change: args.min_fee_rate_change,
+            rate: parsed.rate,
           });
 
-          if (!!failure) {
-            return cbk([400, failure]);
+          // Exit early when the fee rate change is too small to update
+          if (!!is_minor_change && isAllUndefined([
+            args.cltv_delta,
+            args.inbound_rate_discount,
+          ])) {
+            return cbk(null, {updates: []});
           }
 
-          return cbk(null, channels.map(channel => {
+          const updates = channels.map(channel => {
             // Exit early when there is no known policy
             if (!currentPolicies.length) {
               return {
@@ -345,22 +496,43 @@ module.exports = (args, cbk) => {
               transaction_id: channel.transaction_id,
               transaction_vout: channel.transaction_vout,
             };
-          }));
+          });
+
+          return cbk(null, {
+            inputs,
+            updates,
+            fee_rate: rate,
+            previous_fee_rate: current,
+            public_key: key,
+          });
         },
         cbk);
       }],
 
+      // Select the peer updates to make within the limit of policy updates
+      plannedUpdates: ['feeUpdates', ({feeUpdates}, cbk) => {
+        // Exit early when there are no fee updates
+        if (!feeUpdates) {
+          return cbk(null, []);
+        }
+
+        const {selected} = selectFeeUpdates({
+          changes: feeUpdates,
+          max_updates: args.max_updates,
+        });
+
+        return cbk(null, selected);
+      }],
+
       // Execute fee updates
       updateFees: [
-        'feeUpdates',
         'getPublicKey',
-        ({feeUpdates, getPublicKey}, cbk) =>
+        'plannedUpdates',
+        ({getPublicKey, plannedUpdates}, cbk) =>
       {
-        if (!feeUpdates) {
-          return cbk();
-        }
+        const updates = flatten(plannedUpdates.map(n => n.updates));
 
-        return asyncEach(flatten(feeUpdates), (update, cbk) => {
+        return asyncEach(updates, (update, cbk) => {
           return asyncRetry({interval, times}, cbk => {
             return updateChannelFee({
               base_fee_mtokens: update.base_fee_mtokens,
@@ -396,6 +568,18 @@ module.exports = (args, cbk) => {
         return getFeeRates({lnd: args.lnd}, cbk);
       }],
 
+      // Record a snapshot of the fee policies
+      snapshot: ['getRates', ({}, cbk) => {
+        return snapshotFeePolicies({fs: args.fs, lnd: args.lnd}, err => {
+          // A failure to record a snapshot should not fail the adjustment
+          if (!!err) {
+            args.logger.error({err});
+          }
+
+          return cbk();
+        });
+      }],
+
       // Get fee rundown
       fees: [
         'getAliases',
@@ -404,6 +588,7 @@ module.exports = (args, cbk) => {
         'getPeers',
         'getPolicies',
         'getRates',
+        'plannedUpdates',
         ({
           getAliases,
           getChannels,
@@ -411,6 +596,7 @@ module.exports = (args, cbk) => {
           getPeers,
           getPolicies,
           getRates,
+          plannedUpdates,
         },
         cbk) =>
       {
@@ -473,7 +659,14 @@ module.exports = (args, cbk) => {
             })
           );
 
-        return cbk(null, {rows});
+        const changes = plannedUpdates.map(change => ({
+          fee_rate: change.fee_rate,
+          inputs: change.inputs,
+          previous_fee_rate: change.previous_fee_rate,
+          public_key: change.public_key,
+        }));
+
+        return cbk(null, {changes, rows});
       }],
     },
     returnResult({reject, resolve, of: 'fees'}, cbk));
@@ -0,0 +1,82 @@
+const sumOf = arr => arr.reduce((sum, n) => sum + n, 0);
+
+/** Derive a per-peer timeline of fee policies with forwards under each policy
+
+  Each timeline entry covers the time until the next policy of the peer
+
+  {
+    channels: [{
+      id: <Standard Format Channel Id String>
+      partner_public_key: <Partner Public Key Hex String>
+    }]
+    forwards: [{
+      created_at: <Forward Record Created At ISO 8601 Date String>
+      fee: <Fee Tokens Charged Number>
+      incoming_channel: <Incoming Standard Format Channel Id String>
+      outgoing_channel: <Outgoing Standard Format Channel Id String>
+      tokens: <Forwarded Tokens Number>
+    }]
+    now: <Current Time Function>
+    snapshots: [{
+      at: <Snapshot Taken At ISO 8601 Date String>
+      [fee_rate]: <Local Fee Rate Number>
+      [peer_fee_rate]: <Peer Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+    }]
+    start: <Timeline Start ISO 8601 Date String>
+  }
+
+  @returns
+  {
+    timeline: [{
+      at: <Policy Observed At ISO 8601 Date String>
+      earned: <Fees Earned Routing Out to Peer Under Policy Tokens Number>
+      [fee_rate]: <Local Fee Rate Number>
+      forwarded_in: <Forwarded In From Peer Under Policy Tokens Number>
+      forwarded_out: <Forwarded Out to Peer Under Policy Tokens Number>
+      [peer_fee_rate]: <Peer Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+      until: <Policy Replaced At or Now ISO 8601 Date String>
+    }]
+  }
+*/
+module.exports = ({channels, forwards, now, snapshots, start}) => {
+  const end = new Date(now()).toISOString();
+
+  const timeline = snapshots.map((snapshot, i) => {
+    const [next] = snapshots
+      .slice(i + 1)
+      .filter(n => n.public_key === snapshot.public_key);
+
+    const ids = channels
+      .filter(n => n.partner_public_key === snapshot.public_key)
+      .map(n => n.id);
+
+    const until = !!next ? next.at : end;
+
+    // Exit early when the policy was replaced before the start
+    if (until <= start) {
+      return;
+    }
+
+    const during = forwards.filter(forward => {
+      return forward.created_at >= snapshot.at && forward.created_at < until;
+    });
+
+    const inbound = during.filter(n => ids.includes(n.incoming_channel));
+    const outbound = during.filter(n => ids.includes(n.outgoing_channel));
+
+    return {
+      until,
+      at: snapshot.at,
+      earned: sumOf(outbound.map(n => n.fee)),
+      fee_rate: snapshot.fee_rate,
+      forwarded_in: sumOf(inbound.map(n => n.tokens)),
+      forwarded_out: sumOf(outbound.map(n => n.tokens)),
+      peer_fee_rate: snapshot.peer_fee_rate,
+      public_key: snapshot.public_key,
+    };
+  });
+
+  return {timeline: timeline.filter(n => !!n)};
+};
@@ -0,0 +1,85 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {isArray} = Array;
+const isString = n => typeof n === 'string' && !!n;
+const {parse} = JSON;
+
+/** Get fee rate formulas for peers and tags from a formulas file
+
+  The formulas file is a JSON array of formulas like:
+
+  [{"fee_rate": "IF(INBOUND>OUTBOUND,500,100)", "to": ["tag"]}]
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    path: <Formulas File Path String>
+  }
+
+  @returns via cbk or Promise
+  {
+    formulas: [{
+      fee_rate: <Fee Rate Formula String>
+      to: [<Peer Alias or Public Key or Tag String>]
+    }]
+  }
+*/
+module.exports = ({fs, path}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetFeeFormulas']);
+        }
+
+        if (!path) {
+          return cbk([400, 'ExpectedPathToGetFeeFormulas']);
+        }
+
+        return cbk();
+      },
+
+      // Read the formulas file
+      getFormulas: ['validate', ({}, cbk) => {
+        return fs.getFile(path, (err, res) => {
+          if (!!err || !res) {
+            return cbk([400, 'FailedToReadFeeFormulasFile', {err}]);
+          }
+
+          try {
+            parse(res.toString());
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonFeeFormulasFile', {err}]);
+          }
+
+          const formulas = parse(res.toString());
+
+          if (!isArray(formulas) || !formulas.length) {
+            return cbk([400, 'ExpectedArrayOfFormulasInFeeFormulasFile']);
+          }
+
+          if (!!formulas.find(n => !n || !isString(n.fee_rate))) {
+            return cbk([400, 'ExpectedFeeRateForEachFeeFormula']);
+          }
+
+          const to = formulas.map(n => [].concat(n.to));
+
+          if (!!to.find(n => !n.length || !!n.find(to => !isString(to)))) {
+            return cbk([400, 'ExpectedPeersToSetFeeRateFormulaFor']);
+          }
+
+          return cbk(null, {
+            formulas: formulas.map((formula, i) => ({
+              fee_rate: formula.fee_rate,
+              to: to[i],
+            })),
+          });
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'getFormulas'}, cbk));
+  });
+};
@@ -0,0 +1,210 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getClosedChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const feeHistoryTimeline = require('./fee_history_timeline');
+const getFeeSnapshots = require('./get_fee_snapshots');
+const getPastForwards = require('./get_past_forwards');
+const snapshotFeePolicies = require('./snapshot_fee_policies');
+
+const defaultDays = 30;
+const display = n => n === undefined ? ' ' : String(n);
+const header = ['Date', 'Peer', 'Out Fee', 'Peer Fee', 'Out', 'In', 'Earned'];
+const minChartDays = 2;
+const tokens = n => formatTokens({tokens: n}).display;
+const uniq = arr => Array.from(new Set(arr));
+
+/** Get the history of fee policies with forwards under each policy
+
+  A snapshot of current policies is taken before getting the history
+
+  {
+    [days]: <Past Days of History Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [is_chart]: <Return Chart of Daily Fee Rate Bool>
+    [is_table]: <Return Table Rows Bool>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [peer]: <Peer Public Key Hex String>
+  }
+
+  @returns via cbk or Promise
+  {
+    [data]: [<Fee Rate Number>]
+    [description]: <Chart Description String>
+    [rows]: [[<Table Cell String>]]
+    [timeline]: [{
+      at: <Policy Observed At ISO 8601 Date String>
+      earned: <Fees Earned Routing Out to Peer Under Policy Tokens Number>
+      [fee_rate]: <Local Fee Rate Number>
+      forwarded_in: <Forwarded In From Peer Under Policy Tokens Number>
+      forwarded_out: <Forwarded Out to Peer Under Policy Tokens Number>
+      [peer_fee_rate]: <Peer Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+      until: <Policy Replaced At or Now ISO 8601 Date String>
+    }]
+    [title]: <Chart Title String>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetFeeHistory']);
+        }
+
+        if (!!args.is_chart && !args.peer) {
+          return cbk([400, 'ExpectedPeerToChartFeeHistory']);
+        }
+
+        if (!!args.is_chart && args.days < minChartDays) {
+          return cbk([400, 'ExpectedMoreDaysToChartFeeHistory']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetFeeHistory']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToGetFeeHistory']);
+        }
+
+        return cbk();
+      },
+
+      // Record the current policies
+      snapshot: ['validate', ({}, cbk) => {
+        return snapshotFeePolicies({fs: args.fs, lnd: args.lnd}, err => {
+          // A failure to record a snapshot should not fail reading the history
+          if (!!err) {
+            args.logger.error({err});
+          }
+
+          return cbk();
+        });
+      }],
+
+      // Get the channels to map forwards to peers
+      getChannels: ['validate', ({}, cbk) => {
+        return getChannels({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the closed channels to map past forwards to peers
+      getClosed: ['validate', ({}, cbk) => {
+        return getClosedChannels({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the forwards over the history period
+      getForwards: ['validate', ({}, cbk) => {
+        return getPastForwards({
+          days: args.days || defaultDays,
+          lnd: args.lnd,
+        },
+        cbk);
+      }],
+
+      // Get the recorded snapshots
+      getSnapshots: ['snapshot', ({}, cbk) => {
+        return getFeeSnapshots({fs: args.fs}, cbk);
+      }],
+
+      // Put together the timeline
+      timeline: [
+        'getChannels',
+        'getClosed',
+        'getForwards',
+        'getSnapshots',
+        ({getChannels, getClosed, getForwards, getSnapshots}, cbk) =>
+      {
+        const start = moment().subtract(args.days || defaultDays, 'days');
+
+        const snapshots = getSnapshots.snapshots.filter(snapshot => {
+          return !args.peer || snapshot.public_key === args.peer;
+        });
+
+        const {timeline} = feeHistoryTimeline({
+          snapshots,
+          channels: []
+            .concat(getChannels.channels)
+            .concat(getClosed.channels.filter(n => !!n.id)),
+          forwards: getForwards.forwards,
+          now: () => Date.now(),
+          start: start.toISOString(),
+        });
+
+        return cbk(null, timeline);
+      }],
+
+      // Get the aliases of the peers in the timeline
+      getAliases: ['timeline', ({timeline}, cbk) => {
+        const ids = uniq(timeline.map(n => n.public_key));
+
+        return asyncMap(ids, (id, cbk) => {
+          return getNodeAlias({id, lnd: args.lnd}, cbk);
+        },
+        cbk);
+      }],
+
+      // Final history
+      history: ['getAliases', 'timeline', ({getAliases, timeline}, cbk) => {
+        const aliasOf = key => getAliases.find(n => n.id === key).alias || key;
+
+        // Exit early when showing a chart of the fee rate
+        if (!!args.is_chart) {
+          const days = args.days || defaultDays;
+
+          // The fee rate at the end of each day
+          const data = [...Array(days)].map((_, i) => {
+            const end = moment().subtract(days - i - 1, 'days').toISOString();
+
+            const [policy] = timeline
+              .filter(n => n.at <= end)
+              .sort((a, b) => b.at.localeCompare(a.at));
+
+            return !!policy && !!policy.fee_rate ? policy.fee_rate : Number();
+          });
+
+          const forwarded = timeline.reduce((sum, n) => {
+            return sum + n.forwarded_out;
+          },
+          Number());
+
+          return cbk(null, {
+            data,
+            description: `Forwarded out ${tokens(forwarded)} over ${days} days`,
+            title: `Fee rate to ${aliasOf(args.peer)}`,
+          });
+        }
+
+        // Exit early when table rows are not requested
+        if (!args.is_table) {
+          return cbk(null, {timeline});
+        }
+
+        const rows = timeline.map(n => [
+          moment(n.at).format('YYYY-MM-DD HH:mm'),
+          aliasOf(n.public_key),
+          display(n.fee_rate),
+          display(n.peer_fee_rate),
+          tokens(n.forwarded_out),
+          tokens(n.forwarded_in),
+          tokens(n.earned),
+        ]);
+
+        return cbk(null, {rows: [header].concat(rows), timeline});
+      }],
+    },
+    returnResult({reject, resolve, of: 'history'}, cbk));
+  });
+};
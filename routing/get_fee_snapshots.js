@@ -0,0 +1,66 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('../storage');
+
+const {isArray} = Array;
+const {parse} = JSON;
+const snapshotsFile = 'fee_policies.json';
+
+/** Get recorded fee policy snapshots
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    snapshots: [{
+      at: <Snapshot Taken At ISO 8601 Date String>
+      [base_fee_mtokens]: <Local Base Fee Millitokens String>
+      [fee_rate]: <Local Fee Rate Number>
+      [peer_base_fee_mtokens]: <Peer Base Fee Millitokens String>
+      [peer_fee_rate]: <Peer Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+    }]
+  }
+*/
+module.exports = ({fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetFeeSnapshots']);
+        }
+
+        return cbk();
+      },
+
+      // Read the snapshots file
+      getSnapshots: ['validate', ({}, cbk) => {
+        return fs.getFile(homePath({file: snapshotsFile}).path, (err, res) => {
+          // Exit early when there are no snapshots yet
+          if (!!err || !res) {
+            return cbk(null, {snapshots: []});
+          }
+
+          try {
+            const {snapshots} = parse(res.toString());
+
+            if (!isArray(snapshots)) {
+              return cbk([400, 'ExpectedArrayOfSnapshotsInFeeSnapshotsFile']);
+            }
+
+            return cbk(null, {snapshots});
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonFeeSnapshotsFile', {err}]);
+          }
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'getSnapshots'}, cbk));
+  });
+};
@@ -144,7 +144,9 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
-        return getTags({fs: args.fs}, cbk);
+        const [lnd] = args.lnds;
+
+        return getTags({lnd, fs: args.fs}, cbk);
       }],
 
       // Segment measure
@@ -2,22 +2,26 @@ const adjustFees = require('./adjust_fees');
 const channelForGift = require('./channel_for_gift');
 const channelsFromHints = require('./channels_from_hints');
 const getChainFeesChart = require('./get_chain_fees_chart');
+const getFeeHistory = require('./get_fee_history');
 const getFeesChart = require('./get_fees_chart');
 const getFeesPaid = require('./get_fees_paid');
 const getIgnores = require('./get_ignores');
 const getPastForwards = require('./get_past_forwards');
 const giftRoute = require('./gift_route');
 const ignoreFromAvoid = require('./ignore_from_avoid');
+const runFeesDaemon = require('./run_fees_daemon');
 
 module.exports = {
   adjustFees,
   channelForGift,
   channelsFromHints,
   getChainFeesChart,
+  getFeeHistory,
   getFeesChart,
   getFeesPaid,
   getIgnores,
   getPastForwards,
   giftRoute,
   ignoreFromAvoid,
+  runFeesDaemon,
 };
@@ -2,12 +2,31 @@ const {Parser} = require('hot-formula-parser');
 
 const bipsAsPpm = bips => bips * 1e2;
 const {ceil} = Math;
+const peerVariables = [
+  'capacity',
+  'channel_age_blocks',
+  'days_since_last_forward',
+  'fees_earned_30d',
+  'forwarded_in_7d',
+  'forwarded_out_7d',
+  'peer_inbound_fee_rate_median',
+];
 const percentAsPpm = percent => percent * 1e4;
+const unavailableFailure = 'PeerVariableInFeeRateFormulaIsUnavailable';
+const usesVariable = (formula, name) => {
+  return new RegExp(`\\b${name}\\b`, 'i').test(formula);
+};
 
 /** Parse a fee rate formula
 
   {
+    [capacity]: <Total Capacity With Peer Tokens Number>
+    [channel_age_blocks]: <Oldest Channel Age In Blocks Number>
+    [days_since_last_forward]: <Whole Days Since Last Peer Forward Number>
     [fee_rate]: <PPM Fee Rate String>
+    [fees_earned_30d]: <Fees Earned Routing Out to Peer Tokens Number>
+    [forwarded_in_7d]: <Tokens Forwarded In From Peer Number>
+    [forwarded_out_7d]: <Tokens Forwarded Out to Peer Number>
     inbound_fee_rate: <Inbound PPM Fee Rate Number>
     inbound_liquidity: <Inbound Tokens Number>
     outbound_liquidity: <Outbound Tokens Number>
@@ -15,12 +34,18 @@ const percentAsPpm = percent => percent * 1e4;
       key: <Node Key String>
       rate: <Node PPM Rate Number>
     }]
+    [peer_inbound_fee_rate_median]: <Median Rate Charged To Peer Number>
   }
 
+  A peer variable that is referenced in the formula but could not be derived
+  for the peer, like a median inbound rate for a peer that is not in the graph,
+  is returned as the unavailable variable with a failure.
+
   @returns
   {
     [failure]: <Failure to Parse String>
     [rate]: <PPM Fee Rate Number>
+    [unavailable]: <Peer Variable Name Unavailable for Formula String>
   }
 */
 module.exports = args => {
@@ -28,6 +53,15 @@ module.exports = args => {
     return {};
   }
 
+  const unavailable = peerVariables
+    .filter(name => args[name] === undefined)
+    .find(name => usesVariable(args.fee_rate, name));
+
+  // Exit early when the formula needs a variable that is missing for the peer
+  if (!!unavailable) {
+    return {unavailable, failure: unavailableFailure};
+  }
+
   const parser = new Parser();
 
   parser.setFunction('BIPS', params => bipsAsPpm(params.slice().pop()));
@@ -38,6 +72,11 @@ module.exports = args => {
 
   args.node_rates.forEach(({key, rate}) => parser.setVariable(key, rate));
 
+  // Peer variables are only defined when they were derived for the formula
+  peerVariables
+    .filter(name => args[name] !== undefined)
+    .forEach(name => parser.setVariable(name.toUpperCase(), args[name]));
+
   const parsedRate = parser.parse(args.fee_rate.toUpperCase());
 
   switch (parsedRate.error) {
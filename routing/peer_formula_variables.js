@@ -0,0 +1,102 @@
+const {decodeChanId} = require('bolt07');
+
+const daysAsMs = days => days * 1000 * 60 * 60 * 24;
+const earnedDays = 30;
+const {floor} = Math;
+const forwardedDays = 7;
+const {max} = Math;
+const {min} = Math;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, 0);
+
+/** Derive fee rate formula variables for a peer
+
+  Fees are earned on the outgoing side of a forward
+
+  {
+    channels: [{
+      capacity: <Channel Capacity Tokens Number>
+      [id]: <Standard Format Channel Id String>
+    }]
+    [days]: <Forwards Lookback Days Number>
+    [forwards]: [{
+      created_at: <Forward Record Created At ISO 8601 Date String>
+      fee: <Fee Tokens Charged Number>
+      incoming_channel: <Incoming Standard Format Channel Id String>
+      outgoing_channel: <Outgoing Standard Format Channel Id String>
+      tokens: <Forwarded Tokens Number>
+    }]
+    [height]: <Current Block Height Number>
+    now: <Current Time Function>
+    [peer_rates]: [<Fee Rate Charged Towards Peer By Other Nodes Number>]
+  }
+
+  @returns
+  {
+    capacity: <Total Capacity With Peer Tokens Number>
+    [channel_age_blocks]: <Oldest Channel Age In Blocks Number>
+    [days_since_last_forward]: <Whole Days Since Last Peer Forward Number>
+    [fees_earned_30d]: <Fees Earned Routing Out to Peer Tokens Number>
+    [forwarded_in_7d]: <Tokens Forwarded In From Peer Number>
+    [forwarded_out_7d]: <Tokens Forwarded Out to Peer Number>
+    [peer_inbound_fee_rate_median]: <Median Rate Charged To Peer Number>
+  }
+*/
+module.exports = args => {
+  const ids = args.channels.map(n => n.id).filter(n => !!n);
+  const now = args.now();
+
+  const ages = ids.map(channel => decodeChanId({channel}).block_height);
+
+  const hasAge = args.height !== undefined && !!ages.length;
+
+  const variables = {
+    capacity: sumOf(args.channels.map(n => n.capacity)),
+    channel_age_blocks: hasAge ? args.height - min(...ages) : undefined,
+  };
+
+  if (!!args.peer_rates && !!args.peer_rates.length) {
+    const rates = args.peer_rates.slice().sort((a, b) => a - b);
+
+    const mid = floor(rates.length / 2);
+
+    const isEven = !(rates.length % 2);
+
+    variables.peer_inbound_fee_rate_median = isEven ?
+      (rates[mid - 1] + rates[mid]) / 2 : rates[mid];
+  }
+
+  // Exit early when there are no forwards to derive variables from
+  if (!args.forwards) {
+    return variables;
+  }
+
+  const since = days => now - daysAsMs(days);
+
+  const forwards = args.forwards
+    .map(forward => ({
+      date: Date.parse(forward.created_at),
+      fee: forward.fee,
+      is_in: ids.includes(forward.incoming_channel),
+      is_out: ids.includes(forward.outgoing_channel),
+      tokens: forward.tokens,
+    }))
+    .filter(n => n.is_in || n.is_out);
+
+  const earned = forwards.filter(n => n.is_out && n.date > since(earnedDays));
+  const recent = forwards.filter(n => n.date > since(forwardedDays));
+
+  const [last] = forwards.map(n => n.date).sort((a, b) => b - a);
+
+  const inbound = recent.filter(n => n.is_in);
+  const outbound = recent.filter(n => n.is_out);
+
+  // Without a forward in the lookback, the lookback is the days since forward
+  const lastDays = !last ? args.days : floor((now - last) / daysAsMs(1));
+
+  variables.days_since_last_forward = max(0, lastDays);
+  variables.fees_earned_30d = sumOf(earned.map(n => n.fee));
+  variables.forwarded_in_7d = sumOf(inbound.map(n => n.tokens));
+  variables.forwarded_out_7d = sumOf(outbound.map(n => n.tokens));
+
+  return variables;
+};
@@ -0,0 +1,115 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('../storage');
+
+const changesFile = 'fee_changes.json';
+const {isArray} = Array;
+const maxChanges = 10000;
+const {parse} = JSON;
+const {stringify} = JSON;
+
+/** Record fee rate changes in the fee changes history file
+
+  Only the most recent changes are kept
+
+  {
+    changes: [{
+      [fee_rate]: <Updated Fee Rate Number>
+      formula: <Fee Rate Formula String>
+      inputs: <Fee Rate Formula Inputs Object>
+      [previous_fee_rate]: <Previous Fee Rate Number>
+      public_key: <Peer Public Key Hex String>
+    }]
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({changes, fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(changes)) {
+          return cbk([400, 'ExpectedArrayOfFeeChangesToRecord']);
+        }
+
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordFeeChanges']);
+        }
+
+        return cbk();
+      },
+
+      // Read the existing history
+      getHistory: ['validate', ({}, cbk) => {
+        // Exit early when there is nothing to record
+        if (!changes.length) {
+          return cbk();
+        }
+
+        return fs.getFile(homePath({file: changesFile}).path, (err, res) => {
+          // Exit early when there is no history yet
+          if (!!err || !res) {
+            return cbk(null, []);
+          }
+
+          try {
+            const history = parse(res.toString());
+
+            return cbk(null, isArray(history.changes) ? history.changes : []);
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonFeeChangesFile', {err}]);
+          }
+        });
+      }],
+
+      // Make sure the home directory is there
+      makeDir: ['getHistory', ({getHistory}, cbk) => {
+        // Exit early when there is nothing to record
+        if (!getHistory) {
+          return cbk();
+        }
+
+        return fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Write the updated history
+      record: ['getHistory', 'makeDir', ({getHistory}, cbk) => {
+        // Exit early when there is nothing to record
+        if (!getHistory) {
+          return cbk();
+        }
+
+        const at = new Date().toISOString();
+
+        const recorded = changes.map(change => ({
+          at,
+          fee_rate: change.fee_rate,
+          formula: change.formula,
+          inputs: change.inputs,
+          previous_fee_rate: change.previous_fee_rate,
+          public_key: change.public_key,
+        }));
+
+        const history = getHistory.concat(recorded).slice(-maxChanges);
+
+        const file = stringify({changes: history}, null, 2);
+
+        return fs.writeFile(homePath({file: changesFile}).path, file, err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingFeeChangesFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
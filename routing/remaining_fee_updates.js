@@ -0,0 +1,32 @@
+const hourMs = 1000 * 60 * 60;
+const {max} = Math;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, 0);
+
+/** Determine how many fee updates remain within the hourly limit
+
+  {
+    at: <Current Time Epoch Milliseconds Number>
+    max_updates: <Maximum Peer Policy Updates Per Hour Number>
+    updates: [{
+      at: <Updated At Epoch Milliseconds Number>
+      count: <Updated Peers Count Number>
+    }]
+  }
+
+  @returns
+  {
+    remaining: <Remaining Peer Policy Updates Number>
+    updates: [{
+      at: <Updated At Epoch Milliseconds Number>
+      count: <Updated Peers Count Number>
+    }]
+  }
+*/
+module.exports = ({at, max_updates, updates}) => {
+  // Forget about updates that are outside of the hourly limit
+  const recent = updates.filter(n => n.at >= at - hourMs);
+
+  const used = sumOf(recent.map(n => n.count));
+
+  return {remaining: max(0, max_updates - used), updates: recent};
+};
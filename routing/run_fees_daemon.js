@@ -0,0 +1,256 @@
+const asyncAuto = require('async/auto');
+const asyncEachSeries = require('async/eachSeries');
+const {returnResult} = require('asyncjs-util');
+const {subscribeToChannels} = require('ln-service');
+const {subscribeToForwards} = require('ln-service');
+
+const adjustFees = require('./adjust_fees');
+const getFeeFormulas = require('./get_fee_formulas');
+const recordFeeChanges = require('./record_fee_changes');
+const remainingFeeUpdates = require('./remaining_fee_updates');
+
+const defaultIntervalMinutes = 5;
+const defaultMaxUpdatesPerHour = 20;
+const defaultMinFeeRateChange = 1;
+const eventDelayMs = 1000 * 60;
+const minutesAsMs = minutes => minutes * 1000 * 60;
+
+/** Run a fee adjustment daemon that re-evaluates fee rate formulas
+
+  Formulas are evaluated on an interval and after channel and forward events
+
+  {
+    [fee_rate]: <Fee Rate Formula String>
+    [formulas_path]: <Fee Rate Formulas JSON File Path String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [interval_minutes]: <Minutes Between Evaluations Number>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [max_fee_rate_step]: <Maximum Fee Rate Change Per Adjustment Number>
+    [max_updates_per_hour]: <Maximum Peer Policy Updates Per Hour Number>
+    [min_fee_rate_change]: <Minimum Fee Rate Change to Update Policy Number>
+    to: [<Adjust Routing Fee To Peer Alias or Public Key or Tag String>]
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fee_rate && !args.formulas_path) {
+          return cbk([400, 'ExpectedFeeRateFormulaOrFormulasFileForDaemon']);
+        }
+
+        if (!!args.fee_rate && !!args.formulas_path) {
+          return cbk([400, 'ExpectedEitherFeeRateFormulaOrFormulasFile']);
+        }
+
+        if (!!args.fee_rate && !args.to.length) {
+          return cbk([400, 'ExpectedPeersToSetFeeRateFormulaForInDaemon']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRunFeesDaemon']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToRunFeesDaemon']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedWinstonLoggerToRunFeesDaemon']);
+        }
+
+        return cbk();
+      },
+
+      // Get the formulas to evaluate
+      getFormulas: ['validate', ({}, cbk) => {
+        // Exit early when the formula is specified directly
+        if (!args.formulas_path) {
+          return cbk(null, [{fee_rate: args.fee_rate, to: args.to}]);
+        }
+
+        return getFeeFormulas({
+          fs: args.fs,
+          path: args.formulas_path,
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, res.formulas);
+        });
+      }],
+
+      // Adjust fees on an interval and after events
+      adjust: ['getFormulas', ({getFormulas}, cbk) => {
+        const interval = args.interval_minutes || defaultIntervalMinutes;
+        let isAdjusting = false;
+        let nextEvaluation;
+        let updates = [];
+
+        const maxUpdates = args.max_updates_per_hour !== undefined ?
+          args.max_updates_per_hour : defaultMaxUpdatesPerHour;
+
+        const minChange = args.min_fee_rate_change !== undefined ?
+          args.min_fee_rate_change : defaultMinFeeRateChange;
+
+        const evaluate = () => {
+          // Exit early when an evaluation is already running
+          if (!!isAdjusting) {
+            return;
+          }
+
+          isAdjusting = true;
+
+          return asyncEachSeries(getFormulas, (formula, cbk) => {
+            const allowance = remainingFeeUpdates({
+              updates,
+              at: Date.now(),
+              max_updates: maxUpdates,
+            });
+
+            updates = allowance.updates;
+
+            // Exit early when no more updates are allowed this hour
+            if (!allowance.remaining) {
+              args.logger.info({fee_updates_limited_until_next_hour: true});
+
+              return cbk();
+            }
+
+            return adjustFees({
+              fee_rate: formula.fee_rate,
+              fs: args.fs,
+              lnd: args.lnd,
+              logger: args.logger,
+              max_fee_rate_step: args.max_fee_rate_step,
+              max_updates: allowance.remaining,
+              min_fee_rate_change: minChange,
+              to: formula.to,
+            },
+            (err, res) => {
+              // A failing formula should not stop other formulas
+              if (!!err) {
+                args.logger.error({err, formula: formula.fee_rate});
+
+                return cbk();
+              }
+
+              // Exit early when there were no changes
+              if (!res.changes.length) {
+                return cbk();
+              }
+
+              updates.push({at: Date.now(), count: res.changes.length});
+
+              res.changes.forEach(change => {
+                return args.logger.info({
+                  fee_rate_changed: {
+                    from: change.previous_fee_rate,
+                    peer: change.public_key,
+                    to: change.fee_rate,
+                  },
+                });
+              });
+
+              return recordFeeChanges({
+                changes: res.changes.map(change => ({
+                  fee_rate: change.fee_rate,
+                  formula: formula.fee_rate,
+                  inputs: change.inputs,
+                  previous_fee_rate: change.previous_fee_rate,
+                  public_key: change.public_key,
+                })),
+                fs: args.fs,
+              },
+              err => {
+                if (!!err) {
+                  args.logger.error({err});
+                }
+
+                return cbk();
+              });
+            });
+          },
+          () => {
+            isAdjusting = false;
+
+            return;
+          });
+        };
+
+        // Events are batched up to avoid re-evaluating on every event
+        const evaluateSoon = () => {
+          // Exit early when an evaluation is already scheduled
+          if (!!nextEvaluation) {
+            return;
+          }
+
+          nextEvaluation = setTimeout(() => {
+            nextEvaluation = null;
+
+            return evaluate();
+          },
+          eventDelayMs);
+
+          return;
+        };
+
+        const channelsSub = subscribeToChannels({lnd: args.lnd});
+        const forwardsSub = subscribeToForwards({lnd: args.lnd});
+        const timer = setInterval(evaluate, minutesAsMs(interval));
+
+        const stop = err => {
+          [channelsSub, forwardsSub].forEach(sub => {
+            sub.removeAllListeners();
+
+            // Ignore errors after stopping
+            return sub.on('error', () => {});
+          });
+
+          clearInterval(timer);
+          clearTimeout(nextEvaluation);
+
+          return cbk(err);
+        };
+
+        channelsSub.on('channel_closed', () => evaluateSoon());
+        channelsSub.on('channel_opened', () => evaluateSoon());
+
+        forwardsSub.on('forward', forward => {
+          // Exit early when the forward is not settled
+          if (!forward.is_confirmed) {
+            return;
+          }
+
+          return evaluateSoon();
+        });
+
+        channelsSub.on('error', err => {
+          return stop([503, 'UnexpectedErrorInFeesDaemonChannelsSub', {err}]);
+        });
+
+        forwardsSub.on('error', err => {
+          return stop([503, 'UnexpectedErrorInFeesDaemonForwardsSub', {err}]);
+        });
+
+        args.logger.info({
+          adjusting_fees_every_minutes: interval,
+          formulas: getFormulas.length,
+        });
+
+        return evaluate();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
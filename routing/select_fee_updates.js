@@ -0,0 +1,34 @@
+const {abs} = Math;
+
+const delta = n => abs((n.fee_rate || 0) - (n.previous_fee_rate || 0));
+
+/** Select the peer fee updates to make within a limit of updates
+
+  The largest fee rate changes are prioritized
+
+  {
+    changes: [{
+      [fee_rate]: <Fee Rate Number>
+      [previous_fee_rate]: <Previous Fee Rate Number>
+      updates: [<Policy Update Object>]
+    }]
+    [max_updates]: <Maximum Peer Policy Updates Number>
+  }
+
+  @returns
+  {
+    selected: [<Peer Fee Change Object>]
+  }
+*/
+module.exports = ({changes, max_updates}) => {
+  const updating = changes.filter(n => !!n.updates.length);
+
+  // Exit early when there is no limit on the number of updates
+  if (max_updates === undefined) {
+    return {selected: updating};
+  }
+
+  const sorted = updating.slice().sort((a, b) => delta(b) - delta(a));
+
+  return {selected: sorted.slice(0, max_updates)};
+};
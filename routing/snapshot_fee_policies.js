@@ -0,0 +1,183 @@
+const asyncAuto = require('async/auto');
+const {getChannels} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {getNode} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const getFeeSnapshots = require('./get_fee_snapshots');
+const {homePath} = require('../storage');
+
+const flatten = arr => [].concat(...arr);
+const maxSnapshots = 50000;
+const snapshotsFile = 'fee_policies.json';
+const {stringify} = JSON;
+const uniq = arr => Array.from(new Set(arr));
+
+/** Snapshot local and peer fee policies into the fee snapshots file
+
+  Only peers with policies that changed since their last snapshot are recorded
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    recorded: <Recorded Peer Policy Changes Count Number>
+  }
+*/
+module.exports = ({fs, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToSnapshotFeePolicies']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToSnapshotFeePolicies']);
+        }
+
+        return cbk();
+      },
+
+      // Get the channels to find the set of peers
+      getChannels: ['validate', ({}, cbk) => getChannels({lnd}, cbk)],
+
+      // Get the node public key
+      getIdentity: ['validate', ({}, cbk) => getIdentity({lnd}, cbk)],
+
+      // Get the existing snapshots
+      getSnapshots: ['validate', ({}, cbk) => getFeeSnapshots({fs}, cbk)],
+
+      // Get the graph policies of the node channels
+      getNode: ['getIdentity', ({getIdentity}, cbk) => {
+        return getNode({lnd, public_key: getIdentity.public_key}, cbk);
+      }],
+
+      // Derive the current policies of each peer
+      policies: [
+        'getChannels',
+        'getIdentity',
+        'getNode',
+        ({getChannels, getIdentity, getNode}, cbk) =>
+      {
+        const ownKey = getIdentity.public_key;
+
+        const peers = uniq(getChannels.channels.map(n => n.partner_public_key));
+
+        const policies = peers.map(key => {
+          const edges = flatten(getNode.channels
+            .filter(n => !!n.policies.find(p => p.public_key === key))
+            .map(n => n.policies))
+            .filter(n => n.fee_rate !== undefined);
+
+          const local = edges.filter(n => n.public_key === ownKey);
+          const remote = edges.filter(n => n.public_key === key);
+
+          // Exit early when there are no known policies
+          if (!local.length && !remote.length) {
+            return;
+          }
+
+          const highest = policies => {
+            // Exit early when there are no policies
+            if (!policies.length) {
+              return {};
+            }
+
+            // Only the highest fee rate across all peer channels applies
+            return policies.reduce((a, b) => a.fee_rate >= b.fee_rate ? a : b);
+          };
+
+          return {
+            base_fee_mtokens: highest(local).base_fee_mtokens,
+            fee_rate: highest(local).fee_rate,
+            peer_base_fee_mtokens: highest(remote).base_fee_mtokens,
+            peer_fee_rate: highest(remote).fee_rate,
+            public_key: key,
+          };
+        });
+
+        return cbk(null, policies.filter(n => !!n));
+      }],
+
+      // Select the policies that changed since the last snapshot
+      changed: ['getSnapshots', 'policies', ({getSnapshots, policies}, cbk) => {
+        const changed = policies.filter(policy => {
+          const [last] = getSnapshots.snapshots
+            .filter(n => n.public_key === policy.public_key)
+            .reverse();
+
+          // Exit early when there is no prior snapshot
+          if (!last) {
+            return true;
+          }
+
+          return [
+            'base_fee_mtokens',
+            'fee_rate',
+            'peer_base_fee_mtokens',
+            'peer_fee_rate',
+          ]
+          .some(key => last[key] !== policy[key]);
+        });
+
+        return cbk(null, changed);
+      }],
+
+      // Make sure the home directory is there
+      makeDir: ['changed', ({changed}, cbk) => {
+        // Exit early when nothing changed
+        if (!changed.length) {
+          return cbk();
+        }
+
+        return fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Write the updated snapshots
+      record: [
+        'changed',
+        'getSnapshots',
+        'makeDir',
+        ({changed, getSnapshots}, cbk) =>
+      {
+        // Exit early when nothing changed
+        if (!changed.length) {
+          return cbk(null, {recorded: changed.length});
+        }
+
+        const at = new Date().toISOString();
+
+        const snapshots = getSnapshots.snapshots
+          .concat(changed.map(policy => ({
+            at,
+            base_fee_mtokens: policy.base_fee_mtokens,
+            fee_rate: policy.fee_rate,
+            peer_base_fee_mtokens: policy.peer_base_fee_mtokens,
+            peer_fee_rate: policy.peer_fee_rate,
+            public_key: policy.public_key,
+          })))
+          .slice(-maxSnapshots);
+
+        const file = stringify({snapshots}, null, 2);
+
+        return fs.writeFile(homePath({file: snapshotsFile}).path, file, err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingFeeSnapshotsFile', {err}]);
+          }
+
+          return cbk(null, {recorded: changed.length});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'record'}, cbk));
+  });
+};
@@ -0,0 +1,39 @@
+const {abs} = Math;
+const {max} = Math;
+const {min} = Math;
+
+/** Determine the fee rate to step to towards a formula fee rate
+
+  Large fee rate changes are spread out over multiple adjustments and small
+  changes are marked as minor so that they can be skipped
+
+  {
+    [current]: <Current Fee Rate Number>
+    [max_fee_rate_step]: <Maximum Fee Rate Change Per Adjustment Number>
+    [min_fee_rate_change]: <Minimum Fee Rate Change to Update Policy Number>
+    [rate]: <Formula Fee Rate Number>
+  }
+
+  @returns
+  {
+    is_minor_change: <Fee Rate Change Is Below Minimum Change Bool>
+    [rate]: <Fee Rate to Set Number>
+  }
+*/
+module.exports = args => {
+  const isKnown = args.current !== undefined && args.rate !== undefined;
+  const step = args.max_fee_rate_step;
+
+  // Exit early when there is nothing to compare the rate against
+  if (!isKnown) {
+    return {is_minor_change: false, rate: args.rate};
+  }
+
+  const rate = step === undefined ? args.rate :
+    args.current + max(-step, min(step, args.rate - args.current));
+
+  const isMinorChange = !!args.min_fee_rate_change &&
+    abs(rate - args.current) < args.min_fee_rate_change;
+
+  return {rate, is_minor_change: isMinorChange};
+};
@@ -0,0 +1,223 @@
+const {randomBytes} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const {formatTokens} = require('ln-sync');
+const moment = require('moment');
+const {parseAmount} = require('ln-accounting');
+const {returnResult} = require('asyncjs-util');
+
+const getScheduleExecutions = require('./get_schedule_executions');
+const getSchedules = require('./get_schedules');
+const intervalForSchedule = require('./interval_for_schedule');
+const monthlySpend = require('./monthly_spend');
+const parseUrl = require('./../lnurl/parse_url');
+const putSchedules = require('./put_schedules');
+
+const header = ['Id', 'To', 'Amount', 'Every', 'Next Payment', 'Max Fee'];
+const idByteLength = 4;
+const {isArray} = Array;
+const isDate = n => moment(n, moment.ISO_8601, true).isValid();
+const {isInteger} = Number;
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const makeId = () => randomBytes(idByteLength).toString('hex');
+const summaryHeader = ['Monthly Budget', 'Spent This Month'];
+const testVariables = {eur: 1, usd: 1};
+const tokens = n => n === undefined ? '' : formatTokens({tokens: n}).display;
+
+/** View or adjust scheduled recurring payments
+
+  {
+    [amount]: <Amount to Pay Tokens or Fiat Formula String>
+    [budget]: <Set Monthly Budget Tokens Number>
+    [destination]: <Add Schedule To Public Key or Lightning Address String>
+    [every]: <Repeat Interval String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [max_fee]: <Maximum Fee Tokens Number>
+    [message]: <Message to Include With Payment String>
+    remove: [<Remove Schedule With Id String>]
+    [start_at]: <First Payment At ISO 8601 Date String>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Table Cell String>]]
+    rows_summary: [[<Table Cell String>]]
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        const isAdding = !!args.amount || !!args.every || !!args.start_at;
+
+        if (args.budget !== undefined && !isInteger(args.budget)) {
+          return cbk([400, 'ExpectedWholeNumberMonthlyBudgetForSchedules']);
+        }
+
+        if (args.budget < 0) {
+          return cbk([400, 'ExpectedNonNegativeMonthlyBudgetForSchedules']);
+        }
+
+        if (isAdding && !args.destination) {
+          return cbk([400, 'ExpectedDestinationToAddScheduledPayment']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToAdjustSchedules']);
+        }
+
+        if (!isArray(args.remove)) {
+          return cbk([400, 'ExpectedArrayOfSchedulesToRemove']);
+        }
+
+        // Exit early when not adding a new schedule
+        if (!args.destination) {
+          return cbk();
+        }
+
+        if (!args.amount) {
+          return cbk([400, 'ExpectedAmountForScheduledPayment']);
+        }
+
+        try {
+          parseAmount({amount: args.amount, variables: testVariables});
+        } catch (err) {
+          return cbk([400, 'ExpectedValidAmountForScheduledPayment', {err}]);
+        }
+
+        try {
+          intervalForSchedule({every: args.every});
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+
+        if (args.max_fee !== undefined && !isInteger(args.max_fee)) {
+          return cbk([400, 'ExpectedWholeNumberMaxFeeForScheduledPayment']);
+        }
+
+        if (!!args.start_at && !isDate(args.start_at)) {
+          return cbk([400, 'ExpectedIsoDateForScheduledPaymentStart']);
+        }
+
+        // Exit early when the destination is a public key
+        if (isPublicKey(args.destination)) {
+          return cbk();
+        }
+
+        try {
+          parseUrl({url: args.destination});
+        } catch (err) {
+          return cbk([400, 'ExpectedPublicKeyOrLightningAddressToSchedule']);
+        }
+
+        return cbk();
+      },
+
+      // Get the current schedules
+      getSchedules: ['validate', ({}, cbk) => getSchedules({fs: args.fs}, cbk)],
+
+      // Get the executions to show spending
+      getExecutions: ['validate', ({}, cbk) => {
+        return getScheduleExecutions({fs: args.fs}, cbk);
+      }],
+
+      // Updated schedules
+      updated: ['getSchedules', ({getSchedules}, cbk) => {
+        const {schedules} = getSchedules;
+
+        const unknown = args.remove.find(id => {
+          return !schedules.find(n => n.id === id);
+        });
+
+        if (!!unknown) {
+          return cbk([404, 'ExpectedKnownScheduleToRemove', {id: unknown}]);
+        }
+
+        const kept = schedules.filter(n => !args.remove.includes(n.id));
+
+        // Exit early when not adding a schedule
+        if (!args.destination) {
+          return cbk(null, kept);
+        }
+
+        const createdAt = new Date().toISOString();
+
+        return cbk(null, kept.concat({
+          amount: args.amount,
+          created_at: createdAt,
+          destination: args.destination,
+          every: args.every,
+          id: makeId(),
+          max_fee: args.max_fee,
+          message: args.message,
+          next_at: moment(args.start_at || createdAt).toISOString(),
+        }));
+      }],
+
+      // Save changes to schedules
+      save: [
+        'getSchedules',
+        'updated',
+        ({getSchedules, updated}, cbk) =>
+      {
+        const isBudgetSet = args.budget !== undefined;
+        const isEdited = !!args.destination || !!args.remove.length;
+
+        // Exit early when there are no changes
+        if (!isBudgetSet && !isEdited) {
+          return cbk(null, {budget: getSchedules.budget});
+        }
+
+        const budget = isBudgetSet ? args.budget : getSchedules.budget;
+
+        return putSchedules({
+          budget,
+          fs: args.fs,
+          schedules: updated,
+        },
+        err => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {budget});
+        });
+      }],
+
+      // Final table of schedules
+      schedules: [
+        'getExecutions',
+        'save',
+        'updated',
+        ({getExecutions, save, updated}, cbk) =>
+      {
+        const {spent} = monthlySpend({
+          at: new Date().toISOString(),
+          executions: getExecutions.executions,
+        });
+
+        const rows = updated.map(schedule => {
+          return [
+            schedule.id,
+            schedule.destination,
+            schedule.amount,
+            schedule.every,
+            moment(schedule.retry_at || schedule.next_at).fromNow(),
+            tokens(schedule.max_fee),
+          ];
+        });
+
+        return cbk(null, {
+          rows: [header].concat(rows),
+          rows_summary: [summaryHeader, [tokens(save.budget), tokens(spent)]],
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'schedules'}, cbk));
+  });
+};
@@ -0,0 +1,553 @@
+const {createHash} = require('crypto');
+const {randomBytes} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const asyncEachSeries = require('async/eachSeries');
+const asyncMapSeries = require('async/mapSeries');
+const {getChannels} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {getPayment} = require('ln-service');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const getScheduleExecutions = require('./get_schedule_executions');
+const getSchedules = require('./get_schedules');
+const getScheduleTokens = require('./get_schedule_tokens');
+const {getIgnores} = require('./../routing');
+const {getTags} = require('./../tags');
+const nextScheduleState = require('./next_schedule_state');
+const probeDestination = require('./../network/probe_destination');
+const putSchedules = require('./put_schedules');
+const recordScheduleExecution = require('./record_schedule_execution');
+const resolvePayout = require('./../network/resolve_payout');
+
+const defaultMaxFee = 1337;
+const errorOf = err => Array.isArray(err) ? err[1] : String(err);
+const failedAttemptError = 'ScheduledPaymentAttemptFailed';
+const failedStatus = 'failed';
+const hasFiat = n => /(eur|usd)/gim.test(n);
+const inFlightStatus = 'in_flight';
+const notFoundCode = 404;
+const paidStatus = 'paid';
+const preimageByteLength = 32;
+const sha256 = n => createHash('sha256').update(n).digest().toString('hex');
+
+/** Execute a scheduled payment that is due
+
+  The execution is recorded as in flight before paying, then the outcome is
+  recorded and the schedule is moved on to the next payment or to a retry
+
+  Payments left in flight by an earlier run are looked up before paying again
+  and the schedule is left alone while a payment is still in flight
+
+  {
+    budget: <Monthly Budget Tokens Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [rate_provider]: <Fiat Rate Provider String>
+    request: <Request Function>
+    schedule: {
+      amount: <Amount to Pay Tokens or Fiat Formula String>
+      [attempts]: <Failed Attempts Count Number>
+      destination: <Public Key Hex or Lightning Address String>
+      every: <Repeat Interval String>
+      id: <Schedule Id Hex String>
+      [max_fee]: <Maximum Fee Tokens Number>
+      [message]: <Message to Include With Payment String>
+      next_at: <Next Payment At ISO 8601 Date String>
+    }
+    spent: <Spent This Month Tokens Number>
+  }
+
+  @returns via cbk or Promise
+  {
+    spent: <Spent Amount Including Fees Tokens Number>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (args.budget === undefined) {
+          return cbk([400, 'ExpectedMonthlyBudgetToExecuteSchedule']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToExecuteSchedule']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToExecuteSchedule']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToExecuteSchedule']);
+        }
+
+        if (!args.request) {
+          return cbk([400, 'ExpectedRequestFunctionToExecuteSchedule']);
+        }
+
+        if (!args.schedule) {
+          return cbk([400, 'ExpectedScheduleToExecuteScheduledPayment']);
+        }
+
+        if (args.spent === undefined) {
+          return cbk([400, 'ExpectedMonthlySpendToExecuteSchedule']);
+        }
+
+        return cbk();
+      },
+
+      // Get the channels to figure out avoids
+      getChannels: ['validate', ({}, cbk) => {
+        return getChannels({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the past executions to find payments left in flight
+      getExecutions: ['validate', ({}, cbk) => {
+        return getScheduleExecutions({fs: args.fs}, cbk);
+      }],
+
+      // Get the node identity public key
+      getIdentity: ['validate', ({}, cbk) => {
+        return getIdentity({lnd: args.lnd}, cbk);
+      }],
+
+      // Get tags for figuring out avoid flags
+      getTags: ['validate', ({}, cbk) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
+      }],
+
+      // Maximum fee to pay
+      maxFee: ['validate', ({}, cbk) => {
+        const maxFee = args.schedule.max_fee;
+
+        return cbk(null, maxFee !== undefined ? maxFee : defaultMaxFee);
+      }],
+
+      // Look up the payments of the schedule that were left in flight
+      getInFlight: ['getExecutions', ({getExecutions}, cbk) => {
+        const inFlight = getExecutions.executions
+          .filter(n => n.schedule === args.schedule.id)
+          .filter(n => n.status === inFlightStatus && !!n.id);
+
+        return asyncMapSeries(inFlight, (execution, cbk) => {
+          return getPayment({id: execution.id, lnd: args.lnd}, (err, res) => {
+            // An unknown payment means the payment never went out
+            if (!!err && err.slice().shift() === notFoundCode) {
+              return cbk(null, {execution, is_failed: true});
+            }
+
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {
+              execution,
+              fee: !!res.payment ? res.payment.fee : undefined,
+              is_confirmed: res.is_confirmed,
+              is_failed: res.is_failed,
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Get ignores
+      getIgnores: [
+        'getChannels',
+        'getIdentity',
+        'getTags',
+        ({getChannels, getIdentity, getTags}, cbk) =>
+      {
+        return getIgnores({
+          avoid: [],
+          channels: getChannels.channels,
+          lnd: args.lnd,
+          logger: args.logger,
+          public_key: getIdentity.public_key,
+          tags: getTags.tags,
+        },
+        cbk);
+      }],
+
+      // Record the outcomes of payments that are no longer in flight
+      resolveInFlight: ['getInFlight', ({getInFlight}, cbk) => {
+        const done = getInFlight.filter(n => n.is_confirmed || n.is_failed);
+
+        return asyncEachSeries(done, ({execution, fee, is_confirmed}, cbk) => {
+          return recordScheduleExecution({
+            fee,
+            amount: execution.amount,
+            destination: execution.destination,
+            error: !is_confirmed ? failedAttemptError : undefined,
+            fiat: execution.fiat,
+            fs: args.fs,
+            id: execution.id,
+            schedule: execution.schedule,
+            status: !!is_confirmed ? paidStatus : failedStatus,
+          },
+          cbk);
+        },
+        cbk);
+      }],
+
+      // Outcome of payments left in flight by an earlier run
+      previous: ['getInFlight', 'resolveInFlight', ({getInFlight}, cbk) => {
+        const paid = getInFlight.find(n => !!n.is_confirmed);
+
+        // Exit early when an earlier payment went through
+        if (!!paid) {
+          return cbk(null, {
+            fee: paid.fee,
+            id: paid.execution.id,
+            is_previous: true,
+            status: paidStatus,
+          });
+        }
+
+        const pending = getInFlight.find(n => !n.is_failed);
+
+        // Exit early when an earlier payment is still in flight
+        if (!!pending) {
+          args.logger.info({
+            payment: pending.execution.id,
+            waiting_for_scheduled_payment: args.schedule.id,
+          });
+
+          return cbk(null, {is_previous: true, status: inFlightStatus});
+        }
+
+        // Exit early when an earlier payment failed
+        if (!!getInFlight.length) {
+          return cbk(null, {
+            error: failedAttemptError,
+            is_previous: true,
+            status: failedStatus,
+          });
+        }
+
+        return cbk(null, {});
+      }],
+
+      // Convert the amount into tokens
+      getTokens: ['previous', ({previous}, cbk) => {
+        // Exit early when an earlier payment decided the outcome
+        if (!!previous.status) {
+          return cbk(null, {});
+        }
+
+        return getScheduleTokens({
+          amount: args.schedule.amount,
+          lnd: args.lnd,
+          rate_provider: args.rate_provider,
+          request: args.request,
+        },
+        (err, res) => {
+          // A failure to get the amount is a failed attempt
+          if (!!err) {
+            return cbk(null, {error: errorOf(err)});
+          }
+
+          return cbk(null, {tokens: res.tokens});
+        });
+      }],
+
+      // Resolve the destination into payment details
+      send: [
+        'getTokens',
+        'maxFee',
+        'previous',
+        ({getTokens, maxFee, previous}, cbk) =>
+      {
+        // Exit early when an earlier payment decided the outcome
+        if (!!previous.status) {
+          return cbk(null, previous);
+        }
+
+        // Exit early when there is no amount to pay
+        if (!getTokens.tokens) {
+          return cbk(null, {error: getTokens.error, status: failedStatus});
+        }
+
+        const cost = getTokens.tokens + maxFee;
+
+        // Exit early when paying could go over the monthly budget
+        if (args.spent + cost > args.budget) {
+          args.logger.info({
+            skipping_scheduled_payment_over_budget: args.schedule.id,
+          });
+
+          return cbk(null, {status: 'over_budget'});
+        }
+
+        return resolvePayout({
+          lnd: args.lnd,
+          payout: {
+            amount: getTokens.tokens,
+            destination: args.schedule.destination,
+          },
+          request: args.request,
+        },
+        (err, res) => {
+          // A failure to get payment details is a failed attempt
+          if (!!err) {
+            return cbk(null, {error: errorOf(err), status: failedStatus});
+          }
+
+          return cbk(null, {send: res});
+        });
+      }],
+
+      // Determine the payment hash before paying
+      attempt: ['send', ({send}, cbk) => {
+        // Exit early when there is nothing to pay
+        if (!send.send) {
+          return cbk(null, {});
+        }
+
+        // Exit early when paying a payment request
+        if (!send.send.is_push) {
+          const {id} = parsePaymentRequest({request: send.send.request});
+
+          return cbk(null, {id});
+        }
+
+        const preimage = randomBytes(preimageByteLength);
+
+        return cbk(null, {
+          id: sha256(preimage),
+          preimage: preimage.toString('hex'),
+        });
+      }],
+
+      // Record the payment as in flight so a rerun looks up the payment
+      recordAttempt: ['attempt', 'send', ({attempt, send}, cbk) => {
+        // Exit early when there is nothing to pay
+        if (!attempt.id) {
+          return cbk();
+        }
+
+        const {amount} = args.schedule;
+
+        return recordScheduleExecution({
+          amount: send.send.tokens,
+          destination: args.schedule.destination,
+          fiat: hasFiat(amount) ? amount : undefined,
+          fs: args.fs,
+          id: attempt.id,
+          schedule: args.schedule.id,
+          status: inFlightStatus,
+        },
+        cbk);
+      }],
+
+      // Pay the scheduled payment
+      pay: [
+        'attempt',
+        'getIgnores',
+        'maxFee',
+        'recordAttempt',
+        'send',
+        ({attempt, getIgnores, maxFee, send}, cbk) =>
+      {
+        // Exit early when there is nothing to pay
+        if (!attempt.id) {
+          return cbk(null, send);
+        }
+
+        args.logger.info({
+          paying_scheduled_payment: args.schedule.id,
+          to: args.schedule.destination,
+          tokens: send.send.tokens,
+        });
+
+        return probeDestination({
+          destination: send.send.destination,
+          fs: args.fs,
+          ignore: getIgnores.ignore,
+          is_push: send.send.is_push,
+          is_real_payment: true,
+          is_strict_max_fee: true,
+          lnd: args.lnd,
+          logger: args.logger,
+          max_fee: maxFee,
+          message: args.schedule.message,
+          preimage: attempt.preimage,
+          request: send.send.request,
+          tokens: send.send.tokens,
+        },
+        (err, res) => {
+          // Exit early when there was no route so nothing was sent
+          if (!err && !!res.is_failed) {
+            return cbk(null, {
+              error: 'FailedToFindRouteForScheduledPayment',
+              id: attempt.id,
+              status: failedStatus,
+            });
+          }
+
+          // Exit early when the payment went through
+          if (!err && !!res.preimage) {
+            return cbk(null, {
+              fee: res.fee,
+              id: attempt.id,
+              status: paidStatus,
+            });
+          }
+
+          // The payment could still be in flight so it needs a look up
+          return cbk(null, {
+            error: !!err ? errorOf(err) : failedAttemptError,
+            id: attempt.id,
+            is_unknown: true,
+          });
+        });
+      }],
+
+      // Outcome of the payment
+      outcome: ['pay', ({pay}, cbk) => {
+        // Exit early when the outcome of the payment is known
+        if (!pay.is_unknown) {
+          return cbk(null, pay);
+        }
+
+        return getPayment({id: pay.id, lnd: args.lnd}, (err, res) => {
+          // An unknown payment means the payment never went out
+          if (!!err && err.slice().shift() === notFoundCode) {
+            return cbk(null, {
+              error: pay.error,
+              id: pay.id,
+              status: failedStatus,
+            });
+          }
+
+          // Exit early when the payment cannot be known to be done
+          if (!!err || !!res.is_pending) {
+            return cbk(null, {id: pay.id, status: inFlightStatus});
+          }
+
+          // Exit early when the payment went through after all
+          if (!!res.is_confirmed) {
+            return cbk(null, {
+              fee: res.payment.fee,
+              id: pay.id,
+              status: paidStatus,
+            });
+          }
+
+          return cbk(null, {
+            error: pay.error,
+            id: pay.id,
+            status: failedStatus,
+          });
+        });
+      }],
+
+      // Record the execution
+      record: ['getTokens', 'outcome', ({getTokens, outcome}, cbk) => {
+        // Exit early when an earlier payment was recorded already
+        if (!!outcome.is_previous) {
+          return cbk();
+        }
+
+        // Exit early when the payment is still recorded as in flight
+        if (outcome.status === inFlightStatus) {
+          return cbk();
+        }
+
+        const {amount} = args.schedule;
+
+        return recordScheduleExecution({
+          amount: getTokens.tokens,
+          destination: args.schedule.destination,
+          error: outcome.error,
+          fee: outcome.fee,
+          fiat: hasFiat(amount) ? amount : undefined,
+          fs: args.fs,
+          id: outcome.id,
+          schedule: args.schedule.id,
+          status: outcome.status,
+        },
+        cbk);
+      }],
+
+      // Get the current schedules to update the schedule
+      getSchedules: ['record', ({}, cbk) => getSchedules({fs: args.fs}, cbk)],
+
+      // Move the schedule on to the next payment or retry
+      update: ['getSchedules', 'outcome', ({getSchedules, outcome}, cbk) => {
+        // Exit early when the payment is still in flight
+        if (outcome.status === inFlightStatus) {
+          return cbk();
+        }
+
+        const state = nextScheduleState({
+          at: new Date().toISOString(),
+          is_paid: outcome.status === paidStatus,
+          is_skipped: outcome.status === 'over_budget',
+          schedule: args.schedule,
+        });
+
+        if (!!state.is_given_up) {
+          args.logger.error({
+            err: [503, 'FailedToPayScheduledPayment', {error: outcome.error}],
+            schedule: args.schedule.id,
+          });
+        }
+
+        // The schedule may have been changed while it was being paid
+        const schedules = getSchedules.schedules.map(schedule => {
+          if (schedule.id !== args.schedule.id) {
+            return schedule;
+          }
+
+          return {
+            amount: schedule.amount,
+            attempts: state.attempts,
+            created_at: schedule.created_at,
+            destination: schedule.destination,
+            every: schedule.every,
+            id: schedule.id,
+            max_fee: schedule.max_fee,
+            message: schedule.message,
+            next_at: state.next_at,
+            retry_at: state.retry_at,
+          };
+        });
+
+        return putSchedules({
+          schedules,
+          budget: getSchedules.budget,
+          fs: args.fs,
+        },
+        cbk);
+      }],
+
+      // Amount spent on the payment
+      spent: ['getTokens', 'outcome', 'update', ({getTokens, outcome}, cbk) => {
+        const fee = outcome.fee || 0;
+
+        // Exit early when an earlier payment was counted as spent already
+        if (!!outcome.is_previous) {
+          return cbk(null, {spent: fee});
+        }
+
+        // Exit early when nothing was paid
+        if (![inFlightStatus, paidStatus].includes(outcome.status)) {
+          return cbk(null, {spent: 0});
+        }
+
+        return cbk(null, {spent: getTokens.tokens + fee});
+      }],
+    },
+    returnResult({reject, resolve, of: 'spent'}, cbk));
+  });
+};
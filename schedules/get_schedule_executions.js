@@ -0,0 +1,71 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {executionsFile} = require('./constants');
+const {homePath} = require('./../storage');
+
+const {isArray} = Array;
+const {parse} = JSON;
+
+/** Get the recorded executions of scheduled payments
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    executions: [{
+      amount: <Amount Tokens Number>
+      at: <Executed At ISO 8601 Date String>
+      destination: <Public Key Hex or Lightning Address String>
+      [error]: <Payment Error Message String>
+      [fee]: <Paid Fee Tokens Number>
+      [fiat]: <Fiat Amount Formula String>
+      [id]: <Payment Hash Hex String>
+      schedule: <Schedule Id Hex String>
+      status: <Execution Status String>
+    }]
+  }
+*/
+module.exports = ({fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetScheduleExecutions']);
+        }
+
+        return cbk();
+      },
+
+      // Read the executions file
+      getExecutions: ['validate', ({}, cbk) => {
+        const path = homePath({file: executionsFile}).path;
+
+        return fs.getFile(path, (err, res) => {
+          // Exit early when there are no executions yet
+          if (!!err || !res) {
+            return cbk(null, {executions: []});
+          }
+
+          try {
+            const {executions} = parse(res.toString());
+
+            if (!isArray(executions)) {
+              return cbk([400, 'ExpectedExecutionsInScheduleExecutionsFile']);
+            }
+
+            return cbk(null, {executions});
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonScheduleExecutionsFile', {err}]);
+          }
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'getExecutions'}, cbk));
+  });
+};
@@ -0,0 +1,111 @@
+const asyncAuto = require('async/auto');
+const {getNetwork} = require('ln-sync');
+const {getPrices} = require('@alexbosworth/fiat');
+const {parseAmount} = require('ln-accounting');
+const {returnResult} = require('asyncjs-util');
+
+const coins = ['BTC', 'LTC'];
+const defaultFiatRateProvider = 'coingecko';
+const fiats = ['EUR', 'USD'];
+const hasFiat = n => /(eur|usd)/gim.test(n);
+const networks = {btc: 'BTC', btctestnet: 'BTC', ltc: 'LTC'};
+const rateAsTokens = rate => 1e8 / rate;
+
+/** Get the tokens to pay for a scheduled payment amount
+
+  Amounts can reference fiat like 10*USD or 5*EUR
+
+  {
+    amount: <Amount Tokens or Fiat Formula String>
+    lnd: <Authenticated LND API Object>
+    [rate_provider]: <Fiat Rate Provider String>
+    request: <Request Function>
+  }
+
+  @returns via cbk or Promise
+  {
+    tokens: <Tokens Number>
+  }
+*/
+module.exports = ({amount, lnd, rate_provider, request}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!amount) {
+          return cbk([400, 'ExpectedAmountToGetScheduleTokens']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetScheduleTokens']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedRequestFunctionToGetScheduleTokens']);
+        }
+
+        return cbk();
+      },
+
+      // Get network name
+      getNetwork: ['validate', ({}, cbk) => {
+        // Exit early when no fiat is referenced
+        if (!hasFiat(amount)) {
+          return cbk();
+        }
+
+        return getNetwork({lnd}, cbk);
+      }],
+
+      // Get the current fiat prices
+      getFiatPrice: ['validate', ({}, cbk) => {
+        // Exit early when no fiat is referenced
+        if (!hasFiat(amount)) {
+          return cbk();
+        }
+
+        return getPrices({
+          request,
+          from: rate_provider || defaultFiatRateProvider,
+          symbols: [].concat(coins).concat(fiats),
+        },
+        cbk);
+      }],
+
+      // Convert the amount into tokens
+      tokens: [
+        'getFiatPrice',
+        'getNetwork',
+        ({getFiatPrice, getNetwork}, cbk) =>
+      {
+        const variables = {};
+
+        // Fiat variables are the value of one fiat unit in tokens
+        if (!!getFiatPrice) {
+          const coin = getFiatPrice.tickers.find(({ticker}) => {
+            return ticker === networks[getNetwork.network];
+          });
+
+          if (!coin) {
+            return cbk([400, 'ExpectedKnownNetworkToConvertFiatAmount']);
+          }
+
+          fiats.forEach(fiat => {
+            const {rate} = getFiatPrice.tickers.find(n => n.ticker === fiat);
+
+            const unit = rateAsTokens(rate) * coin.rate;
+
+            return variables[fiat.toLowerCase()] = unit;
+          });
+        }
+
+        try {
+          return cbk(null, {tokens: parseAmount({amount, variables}).tokens});
+        } catch (err) {
+          return cbk([400, 'FailedToParseScheduledPaymentAmount', {err}]);
+        }
+      }],
+    },
+    returnResult({reject, resolve, of: 'tokens'}, cbk));
+  });
+};
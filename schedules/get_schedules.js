@@ -0,0 +1,83 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+const {schedulesFile} = require('./constants');
+
+const {isArray} = Array;
+const isNumber = n => n === undefined || Number.isInteger(n);
+const {parse} = JSON;
+const schedulesFilePath = () => homePath({file: schedulesFile}).path;
+
+/** Get scheduled payments from the schedules file
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    [budget]: <Monthly Budget Tokens Number>
+    schedules: [{
+      amount: <Amount to Pay Tokens or Fiat Formula String>
+      [attempts]: <Failed Attempts Count Number>
+      created_at: <Created At ISO 8601 Date String>
+      destination: <Public Key Hex or Lightning Address String>
+      every: <Repeat Interval String>
+      id: <Schedule Id Hex String>
+      [max_fee]: <Maximum Fee Tokens Number>
+      [message]: <Message to Include With Payment String>
+      next_at: <Next Payment At ISO 8601 Date String>
+      [retry_at]: <Retry Payment At ISO 8601 Date String>
+    }]
+  }
+*/
+module.exports = ({fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetSchedules']);
+        }
+
+        return cbk();
+      },
+
+      // Get the schedules file
+      getFile: ['validate', ({}, cbk) => {
+        return fs.getFile(schedulesFilePath(), (err, res) => {
+          // Potentially there's no schedules file yet
+          if (!!err || !res) {
+            return cbk(null, {schedules: []});
+          }
+
+          try {
+            parse(res.toString());
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonSchedulesFile', {err}]);
+          }
+
+          const file = parse(res.toString());
+
+          if (!isArray(file.schedules)) {
+            return cbk([400, 'ExpectedSchedulesArrayInSchedulesFile']);
+          }
+
+          if (!isNumber(file.budget)) {
+            return cbk([400, 'ExpectedWholeNumberBudgetInSchedulesFile']);
+          }
+
+          if (!!file.schedules.find(n => !n || !n.id || !n.next_at)) {
+            return cbk([400, 'ExpectedIdAndNextDateForEachSchedule']);
+          }
+
+          return cbk(null, {budget: file.budget, schedules: file.schedules});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'getFile'}, cbk));
+  });
+};
@@ -0,0 +1,11 @@
+const adjustSchedules = require('./adjust_schedules');
+const getScheduleExecutions = require('./get_schedule_executions');
+const runSchedules = require('./run_schedules');
+const scheduleExecutions = require('./schedule_executions');
+
+module.exports = {
+  adjustSchedules,
+  getScheduleExecutions,
+  runSchedules,
+  scheduleExecutions,
+};
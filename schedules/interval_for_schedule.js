@@ -0,0 +1,48 @@
+const aliases = {
+  daily: '1 day',
+  hourly: '1 hour',
+  monthly: '1 month',
+  weekly: '1 week',
+};
+const intervalPattern = /^(\d+)?\s*(hour|day|week|month)s?$/;
+
+/** Get the interval between scheduled payments
+
+  Intervals look like "daily", "weekly", "2 weeks" or "3 months"
+
+  {
+    every: <Repeat Interval String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    count: <Count of Units Number>
+    unit: <Moment Duration Unit String>
+  }
+*/
+module.exports = ({every}) => {
+  if (!every) {
+    throw new Error('ExpectedIntervalForSchedule');
+  }
+
+  const normalized = every.trim().toLowerCase();
+
+  const match = (aliases[normalized] || normalized).match(intervalPattern);
+
+  if (!match) {
+    throw new Error('ExpectedKnownIntervalForSchedule');
+  }
+
+  const [, count, unit] = match;
+
+  const number = count === undefined ? 1 : Number(count);
+
+  if (!number) {
+    throw new Error('ExpectedNonZeroIntervalForSchedule');
+  }
+
+  return {count: number, unit: `${unit}s`};
+};
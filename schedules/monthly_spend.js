@@ -0,0 +1,35 @@
+const moment = require('moment');
+
+const spentStatuses = ['in_flight', 'paid'];
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+
+/** Determine the amount spent on scheduled payments in the current month
+
+  Months are calendar months in UTC
+
+  Payments that are in flight count as spent so they stay within the budget
+
+  {
+    at: <Current Date ISO 8601 Date String>
+    executions: [{
+      amount: <Amount Tokens Number>
+      at: <Executed At ISO 8601 Date String>
+      [fee]: <Paid Fee Tokens Number>
+      status: <Execution Status String>
+    }]
+  }
+
+  @returns
+  {
+    spent: <Spent Amount Including Fees Tokens Number>
+  }
+*/
+module.exports = ({at, executions}) => {
+  const start = moment.utc(at).startOf('month');
+
+  const spent = executions
+    .filter(n => spentStatuses.includes(n.status))
+    .filter(n => moment.utc(n.at).isSame(start, 'month'));
+
+  return {spent: sumOf(spent.map(n => n.amount + (n.fee || Number())))};
+};
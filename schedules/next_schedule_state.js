@@ -0,0 +1,68 @@
+const moment = require('moment');
+
+const intervalForSchedule = require('./interval_for_schedule');
+const {maxAttempts} = require('./constants');
+const {maxRetryMinutes} = require('./constants');
+const {retryMinutes} = require('./constants');
+
+const {min} = Math;
+
+/** Determine the state of a schedule after a payment attempt
+
+  Failed attempts are retried with back-off until attempts run out, then the
+  payment is given up on until the next interval
+
+  {
+    at: <Attempted At ISO 8601 Date String>
+    [is_paid]: <Payment Was Made Bool>
+    [is_skipped]: <Payment Was Skipped For This Interval Bool>
+    schedule: {
+      [attempts]: <Failed Attempts Count Number>
+      every: <Repeat Interval String>
+      next_at: <Next Payment At ISO 8601 Date String>
+    }
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    attempts: <Failed Attempts Count Number>
+    [is_given_up]: <Gave Up On Payment For This Interval Bool>
+    next_at: <Next Payment At ISO 8601 Date String>
+    [retry_at]: <Retry Payment At ISO 8601 Date String>
+  }
+*/
+module.exports = ({at, is_paid, is_skipped, schedule}) => {
+  const {count, unit} = intervalForSchedule({every: schedule.every});
+
+  const next = moment(schedule.next_at);
+
+  // Missed intervals are not paid for, the next payment is in the future
+  while (!next.isAfter(at)) {
+    next.add(count, unit);
+  }
+
+  const nextAt = next.toISOString();
+
+  // Exit early when the payment for this interval is done with
+  if (!!is_paid || !!is_skipped) {
+    return {attempts: 0, next_at: nextAt};
+  }
+
+  const attempts = (schedule.attempts || 0) + 1;
+
+  // Exit early when there are no more attempts left for this interval
+  if (attempts >= maxAttempts) {
+    return {attempts: 0, is_given_up: true, next_at: nextAt};
+  }
+
+  const delay = min(retryMinutes * Math.pow(2, attempts - 1), maxRetryMinutes);
+
+  return {
+    attempts,
+    next_at: schedule.next_at,
+    retry_at: moment(at).add(delay, 'minutes').toISOString(),
+  };
+};
@@ -0,0 +1,88 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+const {schedulesFile} = require('./constants');
+
+const {isArray} = Array;
+const schedulesFilePath = () => homePath({file: schedulesFile}).path;
+const stringify = obj => JSON.stringify(obj, null, 2);
+
+/** Write scheduled payments to the schedules file
+
+  {
+    [budget]: <Monthly Budget Tokens Number>
+    fs: {
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    schedules: [{
+      amount: <Amount to Pay Tokens or Fiat Formula String>
+      [attempts]: <Failed Attempts Count Number>
+      created_at: <Created At ISO 8601 Date String>
+      destination: <Public Key Hex or Lightning Address String>
+      every: <Repeat Interval String>
+      id: <Schedule Id Hex String>
+      [max_fee]: <Maximum Fee Tokens Number>
+      [message]: <Message to Include With Payment String>
+      next_at: <Next Payment At ISO 8601 Date String>
+      [retry_at]: <Retry Payment At ISO 8601 Date String>
+    }]
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({budget, fs, schedules}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToPutSchedules']);
+        }
+
+        if (!isArray(schedules)) {
+          return cbk([400, 'ExpectedArrayOfSchedulesToPutSchedules']);
+        }
+
+        return cbk();
+      },
+
+      // Register the home directory
+      registerHomeDir: ['validate', ({}, cbk) => {
+        return fs.makeDirectory(homePath({}).path, err => {
+          // Ignore errors, the directory may already be there
+          return cbk();
+        });
+      }],
+
+      // Write the schedules file
+      writeFile: ['registerHomeDir', ({}, cbk) => {
+        const file = {
+          budget,
+          schedules: schedules.map(schedule => ({
+            amount: schedule.amount,
+            attempts: schedule.attempts || undefined,
+            created_at: schedule.created_at,
+            destination: schedule.destination,
+            every: schedule.every,
+            id: schedule.id,
+            max_fee: schedule.max_fee,
+            message: schedule.message,
+            next_at: schedule.next_at,
+            retry_at: schedule.retry_at,
+          })),
+        };
+
+        return fs.writeFile(schedulesFilePath(), stringify(file), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingSchedulesFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,104 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {executionsFile} = require('./constants');
+const getScheduleExecutions = require('./get_schedule_executions');
+const {homePath} = require('./../storage');
+
+const stringify = obj => JSON.stringify(obj, null, 2);
+
+/** Record the execution of a scheduled payment in the executions file
+
+  Every execution is kept so that payments can be accounted for later
+
+  An execution with the payment hash of an execution of the same schedule
+  replaces that execution, so in flight payments are updated with an outcome
+
+  {
+    amount: <Amount Tokens Number>
+    destination: <Public Key Hex or Lightning Address String>
+    [error]: <Payment Error Message String>
+    [fee]: <Paid Fee Tokens Number>
+    [fiat]: <Fiat Amount Formula String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [id]: <Payment Hash Hex String>
+    schedule: <Schedule Id Hex String>
+    status: <Execution Status String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.destination) {
+          return cbk([400, 'ExpectedDestinationToRecordScheduleExecution']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordExecution']);
+        }
+
+        if (!args.schedule) {
+          return cbk([400, 'ExpectedScheduleIdToRecordScheduleExecution']);
+        }
+
+        if (!args.status) {
+          return cbk([400, 'ExpectedStatusToRecordScheduleExecution']);
+        }
+
+        return cbk();
+      },
+
+      // Get the existing executions
+      getExecutions: ['validate', ({}, cbk) => {
+        return getScheduleExecutions({fs: args.fs}, cbk);
+      }],
+
+      // Make sure the home directory is there
+      makeDir: ['getExecutions', ({}, cbk) => {
+        return args.fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Write the updated executions
+      record: ['getExecutions', 'makeDir', ({getExecutions}, cbk) => {
+        const execution = {
+          amount: args.amount,
+          at: new Date().toISOString(),
+          destination: args.destination,
+          error: args.error,
+          fee: args.fee,
+          fiat: args.fiat,
+          id: args.id,
+          schedule: args.schedule,
+          status: args.status,
+        };
+
+        const isSame = n => n.id === args.id && n.schedule === args.schedule;
+
+        const previous = getExecutions.executions.filter(n => {
+          return !args.id || !isSame(n);
+        });
+
+        const executions = previous.concat(execution);
+
+        const path = homePath({file: executionsFile}).path;
+
+        return args.fs.writeFile(path, stringify({executions}), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingScheduleExecutions', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
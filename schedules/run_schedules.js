@@ -0,0 +1,151 @@
+const asyncAuto = require('async/auto');
+const asyncEachSeries = require('async/eachSeries');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const executeScheduledPayment = require('./execute_scheduled_payment');
+const getScheduleExecutions = require('./get_schedule_executions');
+const getSchedules = require('./get_schedules');
+const monthlySpend = require('./monthly_spend');
+
+const checkIntervalMs = 1000 * 60;
+const isDue = (n, at) => !moment(n.retry_at || n.next_at).isAfter(at);
+
+/** Run a daemon that pays scheduled recurring payments when they are due
+
+  Schedules are re-read from the schedules file on every check so that
+  changes take effect while the daemon is running
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [rate_provider]: <Fiat Rate Provider String>
+    request: <Request Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, lnd, logger, rate_provider, request}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRunSchedules']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToRunSchedules']);
+        }
+
+        if (!logger) {
+          return cbk([400, 'ExpectedWinstonLoggerToRunSchedules']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedRequestFunctionToRunSchedules']);
+        }
+
+        return cbk();
+      },
+
+      // Get the schedules to make sure there is a budget
+      getStart: ['validate', ({}, cbk) => getSchedules({fs}, cbk)],
+
+      // Pay scheduled payments as they come due
+      run: ['getStart', ({getStart}, cbk) => {
+        // Exit early when there is no budget to pay scheduled payments with
+        if (getStart.budget === undefined) {
+          return cbk([400, 'ExpectedMonthlyBudgetToRunScheduledPayments']);
+        }
+
+        let isPaying = false;
+
+        const evaluate = () => {
+          // Exit early when payments are already being made
+          if (!!isPaying) {
+            return;
+          }
+
+          isPaying = true;
+
+          return asyncAuto({
+            // Get the current schedules
+            getSchedules: cbk => getSchedules({fs}, cbk),
+
+            // Get the past executions to determine spending
+            getExecutions: cbk => getScheduleExecutions({fs}, cbk),
+
+            // Pay the due scheduled payments
+            pay: [
+              'getExecutions',
+              'getSchedules',
+              ({getExecutions, getSchedules}, cbk) =>
+            {
+              const at = new Date().toISOString();
+
+              const due = getSchedules.schedules.filter(n => isDue(n, at));
+
+              // Exit early when there is nothing to pay
+              if (!due.length) {
+                return cbk();
+              }
+
+              const {executions} = getExecutions;
+
+              let {spent} = monthlySpend({at, executions});
+
+              return asyncEachSeries(due, (schedule, cbk) => {
+                return executeScheduledPayment({
+                  fs,
+                  lnd,
+                  logger,
+                  rate_provider,
+                  request,
+                  schedule,
+                  spent,
+                  budget: getSchedules.budget,
+                },
+                (err, res) => {
+                  if (!!err) {
+                    return cbk(err);
+                  }
+
+                  spent += res.spent;
+
+                  return cbk();
+                });
+              },
+              cbk);
+            }],
+          },
+          err => {
+            isPaying = false;
+
+            // Errors are logged and payments are tried again on next check
+            if (!!err) {
+              logger.error({err});
+            }
+
+            return;
+          });
+        };
+
+        setInterval(evaluate, checkIntervalMs);
+
+        logger.info({
+          running_scheduled_payments: getStart.schedules.length,
+          monthly_budget: getStart.budget,
+        });
+
+        return evaluate();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
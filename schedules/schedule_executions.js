@@ -0,0 +1,62 @@
+const asyncAuto = require('async/auto');
+const {formatTokens} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const getScheduleExecutions = require('./get_schedule_executions');
+
+const header = ['At', 'Schedule', 'To', 'Amount', 'Fee', 'Status', 'Payment'];
+const tokens = n => n === undefined ? '' : formatTokens({tokens: n}).display;
+
+/** List the recorded executions of scheduled payments
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [schedule]: <Only Show Executions of Schedule With Id String>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Table Cell String>]]
+  }
+*/
+module.exports = ({fs, schedule}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToListExecutions']);
+        }
+
+        return cbk();
+      },
+
+      // Get the recorded executions
+      getExecutions: ['validate', ({}, cbk) => {
+        return getScheduleExecutions({fs}, cbk);
+      }],
+
+      // Final table of executions
+      executions: ['getExecutions', ({getExecutions}, cbk) => {
+        const rows = getExecutions.executions
+          .filter(n => !schedule || n.schedule === schedule)
+          .map(execution => {
+            return [
+              execution.at,
+              execution.schedule,
+              execution.destination,
+              tokens(execution.amount),
+              tokens(execution.fee),
+              [execution.status, execution.error].join(' ').trim(),
+              execution.id || '',
+            ];
+          });
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'executions'}, cbk));
+  });
+};
@@ -115,7 +115,7 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
-        return getTags({fs: args.fs}, (err, res) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, (err, res) => {
           if (!!err) {
             return cbk(err);
           }
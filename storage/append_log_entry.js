@@ -0,0 +1,109 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const homePath = require('./home_path');
+
+const fsMethods = [
+  'appendFile',
+  'getFileStatus',
+  'makeDirectory',
+  'renameFile',
+];
+const rotatedSuffix = '.1';
+const {stringify} = JSON;
+
+/** Append an entry as a line of JSON to a log file in the home directory
+
+  When the log grows past the maximum size it is rotated to a ".1" file
+
+  Entries should be appended one at a time so that concurrent writes do not
+  rotate the log twice
+
+  {
+    entry: <Log Entry Object>
+    file: <Log File Name String>
+    fs: {
+      appendFile: <Append To File Function> (path, contents, cbk) => {}
+      getFileStatus: <Get File Status Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      renameFile: <Rename File Function> (from, to, cbk) => {}
+    }
+    max_bytes: <Rotate Log Past Size Bytes Number>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({entry, file, fs, max_bytes}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!entry) {
+          return cbk([400, 'ExpectedEntryToAppendToLog']);
+        }
+
+        if (!file) {
+          return cbk([400, 'ExpectedLogFileNameToAppendToLog']);
+        }
+
+        if (!fs || !!fsMethods.find(method => !fs[method])) {
+          return cbk([400, 'ExpectedFileSystemMethodsToAppendToLog']);
+        }
+
+        if (!max_bytes) {
+          return cbk([400, 'ExpectedMaximumLogSizeToAppendToLog']);
+        }
+
+        return cbk();
+      },
+
+      // Path to the log file
+      path: ['validate', ({}, cbk) => cbk(null, homePath({file}).path)],
+
+      // Make sure the home directory is there
+      makeDir: ['validate', ({}, cbk) => {
+        return fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Get the current size of the log
+      getStatus: ['makeDir', 'path', ({path}, cbk) => {
+        return fs.getFileStatus(path, (err, res) => {
+          // Ignore errors, the log may not exist yet
+          if (!!err || !res) {
+            return cbk(null, {size: Number()});
+          }
+
+          return cbk(null, {size: res.size});
+        });
+      }],
+
+      // Rotate the log when it is too large
+      rotate: ['getStatus', 'path', ({getStatus, path}, cbk) => {
+        // Exit early when the log is below the maximum size
+        if (getStatus.size < max_bytes) {
+          return cbk();
+        }
+
+        return fs.renameFile(path, `${path}${rotatedSuffix}`, err => {
+          if (!!err) {
+            return cbk([503, 'FailedToRotateLogFile', {err, file}]);
+          }
+
+          return cbk();
+        });
+      }],
+
+      // Append the entry to the log
+      append: ['path', 'rotate', ({path}, cbk) => {
+        return fs.appendFile(path, `${stringify(entry)}\n`, err => {
+          if (!!err) {
+            return cbk([503, 'FailedToAppendToLogFile', {err, file}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
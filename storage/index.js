@@ -1,3 +1,4 @@
+const appendLogEntry = require('./append_log_entry');
 const homePath = require('./home_path');
 
-module.exports = {homePath};
+module.exports = {appendLogEntry, homePath};
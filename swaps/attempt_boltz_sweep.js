@@ -0,0 +1,150 @@
+const asyncAuto = require('async/auto');
+const {broadcastTransaction} = require('goldengate');
+const {confirmationFee} = require('goldengate');
+const {getChainFeeRate} = require('goldengate');
+const {returnResult} = require('asyncjs-util');
+const tinysecp = require('tiny-secp256k1');
+
+const boltzClaimTransaction = require('./boltz_claim_transaction');
+
+const defaultMinFeeRate = 1;
+const longRangeConfTarget = 1008;
+
+/** Attempt a sweep of a Boltz reverse swap output
+
+  The fee rate rises as the current height approaches the deadline height
+
+  {
+    claim_control_block: <Claim Leaf Control Block Hex String>
+    claim_script: <Claim Leaf Script Hex String>
+    current_height: <Current Chain Height Number>
+    deadline_height: <Ultimate Target Chain Height Number>
+    [lnd]: <Authenticated LND API Object>
+    max_fee_multiplier: <Maximum Fee Multiplier Number>
+    [min_fee_rate]: <Minimum Relay Fee Tokens Per VByte Number>
+    network: <Network Name String>
+    output_script: <Swap Output Script Hex String>
+    private_key: <Claim Private Key Hex String>
+    [request]: <Request Function>
+    secret: <Swap Preimage Hex String>
+    [sends]: [{
+      address: <Send to Address String>
+      tokens: <Send Tokens Number>
+    }]
+    start_height: <Starting Height of Attempts Number>
+    sweep_address: <Sweep Funds to Address String>
+    tokens: <Swap Output Tokens Number>
+    transaction_id: <Swap Transaction Id Hex String>
+    transaction_vout: <Swap Transaction Output Index Number>
+  }
+
+  @returns via cbk or Promise
+  {
+    fee_rate: <Fee Rate Number>
+    transaction: <Raw Transaction Hex String>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Import ECPair library
+      ecp: async () => (await import('ecpair')).ECPairFactory(tinysecp),
+
+      // Check arguments
+      validate: cbk => {
+        if (!args.current_height) {
+          return cbk([400, 'ExpectedCurrentHeightToAttemptBoltzSweep']);
+        }
+
+        if (!args.deadline_height) {
+          return cbk([400, 'ExpectedDeadlineHeightToAttemptBoltzSweep']);
+        }
+
+        if (!args.lnd && !args.request) {
+          return cbk([400, 'ExpectedEitherLndOrRequestToAttemptBoltzSweep']);
+        }
+
+        if (!args.max_fee_multiplier) {
+          return cbk([400, 'ExpectedMaxFeeMultiplierToAttemptBoltzSweep']);
+        }
+
+        if (!args.network) {
+          return cbk([400, 'ExpectedNetworkNameToAttemptBoltzSweep']);
+        }
+
+        if (!args.start_height) {
+          return cbk([400, 'ExpectedStartHeightToAttemptBoltzSweep']);
+        }
+
+        return cbk();
+      },
+
+      // Get minimal chain fee estimate
+      getChainFee: ['validate', ({}, cbk) => {
+        if (!!args.min_fee_rate) {
+          return cbk(null, args.min_fee_rate);
+        }
+
+        return getChainFeeRate({
+          confirmation_target: longRangeConfTarget,
+          lnd: args.lnd,
+          network: args.network,
+          request: args.request,
+        },
+        (err, res) => {
+          // Exit early with default fee rate if there is any issue
+          if (!!err || !res || !res.tokens_per_vbyte) {
+            return cbk(null, defaultMinFeeRate);
+          }
+
+          return cbk(null, res.tokens_per_vbyte);
+        });
+      }],
+
+      // Make the claim transaction at a fee rate for the block progression
+      claim: ['ecp', 'getChainFee', ({ecp, getChainFee}, cbk) => {
+        try {
+          const {rate} = confirmationFee({
+            before: args.deadline_height - args.start_height,
+            cursor: args.current_height - args.start_height,
+            fee: getChainFee,
+            multiplier: args.max_fee_multiplier,
+          });
+
+          const {transaction} = boltzClaimTransaction({
+            ecp,
+            block_height: args.current_height,
+            claim_control_block: args.claim_control_block,
+            claim_script: args.claim_script,
+            fee_tokens_per_vbyte: rate,
+            network: args.network,
+            output_script: args.output_script,
+            private_key: args.private_key,
+            secret: args.secret,
+            sends: args.sends,
+            sweep_address: args.sweep_address,
+            tokens: args.tokens,
+            transaction_id: args.transaction_id,
+            transaction_vout: args.transaction_vout,
+          });
+
+          return cbk(null, {transaction, fee_rate: rate});
+        } catch (err) {
+          return cbk([500, 'FailedToGenerateBoltzSweepTransaction', {err}]);
+        }
+      }],
+
+      // Send the transaction to peers to be mined
+      broadcast: ['claim', ({claim}, cbk) => {
+        return broadcastTransaction({
+          lnd: args.lnd,
+          network: args.network,
+          request: args.request,
+          transaction: claim.transaction,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve, of: 'claim'}, cbk));
+  });
+};
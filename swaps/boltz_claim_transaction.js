@@ -0,0 +1,163 @@
+const {crypto} = require('bitcoinjs-lib');
+const {signSchnorr} = require('tiny-secp256k1');
+const {Transaction} = require('bitcoinjs-lib');
+
+const {outputScriptForAddress} = require('./../chain');
+
+const {ceil} = Math;
+const defaultSighash = Transaction.SIGHASH_DEFAULT;
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const leafVersion = 0xc0;
+const rbfSequence = 0xfffffffd;
+const schnorrSignatureSize = 64;
+const {taggedHash} = crypto;
+const txVersion = 2;
+
+/** Make a claim transaction for a Boltz reverse swap
+
+  The claim spends the claim leaf of the Taproot swap tree with the preimage
+
+  {
+    block_height: <Current Block Height Number>
+    claim_control_block: <Claim Leaf Control Block Hex String>
+    claim_script: <Claim Leaf Script Hex String>
+    ecp: <ECPair Object>
+    fee_tokens_per_vbyte: <Fee Tokens Per Virtual Byte Number>
+    network: <Network Name String>
+    output_script: <Swap Output Script Hex String>
+    private_key: <Claim Private Key Hex String>
+    secret: <Swap Preimage Hex String>
+    [sends]: [{
+      address: <Send to Address String>
+      tokens: <Send Tokens Number>
+    }]
+    sweep_address: <Sweep Funds to Address String>
+    tokens: <Swap Output Tokens Number>
+    transaction_id: <Swap Transaction Id Hex String>
+    transaction_vout: <Swap Transaction Output Index Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    transaction: <Signed Claim Transaction Hex String>
+  }
+*/
+module.exports = args => {
+  if (!args.block_height) {
+    throw new Error('ExpectedBlockHeightToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.claim_control_block || !args.claim_script) {
+    throw new Error('ExpectedClaimLeafToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.ecp) {
+    throw new Error('ExpectedEcpairObjectToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.fee_tokens_per_vbyte) {
+    throw new Error('ExpectedFeeRateToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.output_script) {
+    throw new Error('ExpectedOutputScriptToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.private_key) {
+    throw new Error('ExpectedClaimPrivateKeyToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.secret) {
+    throw new Error('ExpectedPreimageToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.sweep_address) {
+    throw new Error('ExpectedSweepAddressToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.tokens) {
+    throw new Error('ExpectedSwapTokensToMakeBoltzClaimTransaction');
+  }
+
+  if (!args.transaction_id) {
+    throw new Error('ExpectedSwapTxIdToMakeBoltzClaimTransaction');
+  }
+
+  if (args.transaction_vout === undefined) {
+    throw new Error('ExpectedSwapTxVoutToMakeBoltzClaimTransaction');
+  }
+
+  const claimScript = hexAsBuffer(args.claim_script);
+  const controlBlock = hexAsBuffer(args.claim_control_block);
+  const key = args.ecp.fromPrivateKey(hexAsBuffer(args.private_key));
+  const secret = hexAsBuffer(args.secret);
+  const sends = args.sends || [];
+  const tx = new Transaction();
+
+  const sweepOutput = outputScriptForAddress({
+    address: args.sweep_address,
+    network: args.network,
+  });
+
+  // Discourage fee sniping and allow the claim to be replaced with a higher fee
+  tx.locktime = args.block_height;
+  tx.version = txVersion;
+
+  tx.addInput(
+    hexAsBuffer(args.transaction_id).reverse(),
+    args.transaction_vout,
+    rbfSequence
+  );
+
+  sends.forEach(send => {
+    const output = outputScriptForAddress({
+      address: send.address,
+      network: args.network,
+    });
+
+    return tx.addOutput(hexAsBuffer(output.script), send.tokens);
+  });
+
+  const sent = sends.reduce((sum, n) => sum + n.tokens, Number());
+
+  tx.addOutput(hexAsBuffer(sweepOutput.script), args.tokens - sent);
+
+  // Set a placeholder witness to estimate the size of the signed transaction
+  tx.setWitness(0, [
+    Buffer.alloc(schnorrSignatureSize),
+    secret,
+    claimScript,
+    controlBlock,
+  ]);
+
+  const [out] = tx.outs.slice(-1);
+
+  out.value -= ceil(tx.virtualSize() * args.fee_tokens_per_vbyte);
+
+  if (out.value <= 0) {
+    throw new Error('ExpectedMoreSwapTokensToPayForClaimChainFee');
+  }
+
+  const leafHash = taggedHash('TapLeaf', Buffer.concat([
+    Buffer.from([leafVersion, claimScript.length]),
+    claimScript,
+  ]));
+
+  const hash = tx.hashForWitnessV1(
+    0,
+    [hexAsBuffer(args.output_script)],
+    [args.tokens],
+    defaultSighash,
+    leafHash
+  );
+
+  const signature = Buffer.from(signSchnorr(hash, key.privateKey));
+
+  // The claim leaf checks the preimage before checking the signature
+  tx.setWitness(0, [signature, secret, claimScript, controlBlock]);
+
+  return {transaction: tx.toHex()};
+};
@@ -0,0 +1,78 @@
+const {taprootRefundTransaction} = require('goldengate');
+
+const boltzSwapTree = require('./boltz_swap_tree');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const swapType = 'submarine';
+
+/** Make a refund transaction for a Boltz submarine swap after it times out
+
+  The refund spends the refund leaf of the Taproot swap tree
+
+  {
+    claim_public_key: <Service Claim Public Key Hex String>
+    ecp: <ECPair Object>
+    fee_tokens_per_vbyte: <Fee Tokens Per Virtual Byte Number>
+    id: <Swap Preimage Hash Hex String>
+    network: <Network Name String>
+    private_key: <Refund Private Key Hex String>
+    sweep_address: <Sweep Refund Funds to Address String>
+    timeout: <Swap Timeout Height Number>
+    tokens: <Swap Deposit Tokens Number>
+    transaction_id: <Swap Deposit Transaction Id Hex String>
+    transaction_vout: <Swap Deposit Transaction Output Index Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    transaction: <Signed Refund Transaction Hex String>
+  }
+*/
+module.exports = args => {
+  if (!args.claim_public_key) {
+    throw new Error('ExpectedClaimPublicKeyToMakeBoltzRefundTransaction');
+  }
+
+  if (!args.ecp) {
+    throw new Error('ExpectedEcpairObjectToMakeBoltzRefundTransaction');
+  }
+
+  if (!args.private_key) {
+    throw new Error('ExpectedRefundPrivateKeyToMakeBoltzRefundTransaction');
+  }
+
+  const key = args.ecp.fromPrivateKey(hexAsBuffer(args.private_key));
+
+  const tree = boltzSwapTree({
+    claim_public_key: args.claim_public_key,
+    id: args.id,
+    network: args.network,
+    refund_public_key: bufferAsHex(key.publicKey),
+    timeout: args.timeout,
+    type: swapType,
+  });
+
+  // The refund leaf is locked until the timeout height
+  return taprootRefundTransaction({
+    block_height: args.timeout,
+    ecp: args.ecp,
+    external_key: tree.external_key,
+    fee_tokens_per_vbyte: args.fee_tokens_per_vbyte,
+    internal_key: tree.internal_key,
+    network: args.network,
+    output_script: tree.output_script,
+    private_key: args.private_key,
+    refund_script: tree.refund_script,
+    script_branches: [tree.claim_script, tree.refund_script].map(script => {
+      return {script};
+    }),
+    sweep_address: args.sweep_address,
+    tokens: args.tokens,
+    transaction_id: args.transaction_id,
+    transaction_vout: args.transaction_vout,
+  });
+};
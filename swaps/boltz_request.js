@@ -0,0 +1,79 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const contentType = 'application/json';
+const isOk = status => status >= 200 && status < 300;
+const {stringify} = JSON;
+
+/** Make a request to a Boltz REST API
+
+  {
+    fetch: <Fetch Function>
+    [params]: <POST JSON Body Object>
+    path: <API Path String>
+    socket: <Boltz API Base URL String>
+  }
+
+  @returns via cbk or Promise
+  {
+    response: <Response Object>
+  }
+*/
+module.exports = ({fetch, params, path, socket}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToMakeBoltzRequest']);
+        }
+
+        if (!path) {
+          return cbk([400, 'ExpectedApiPathToMakeBoltzRequest']);
+        }
+
+        if (!socket) {
+          return cbk([400, 'ExpectedBoltzApiSocketToMakeBoltzRequest']);
+        }
+
+        return cbk();
+      },
+
+      // Make the request
+      request: ['validate', ({}, cbk) => {
+        const url = `${socket.replace(/\/+$/, '')}/${path}`;
+
+        const request = fetch(url, {
+          body: !!params ? stringify(params) : undefined,
+          headers: !!params ? {'content-type': contentType} : undefined,
+          method: !!params ? 'POST' : 'GET',
+        });
+
+        return request
+          .then(res => res.json().then(body => ({body, status: res.status})))
+          .then(
+            res => cbk(null, res),
+            err => cbk([503, 'FailedToConnectToBoltzService', {err}])
+          );
+      }],
+
+      // Check the response
+      response: ['request', ({request}, cbk) => {
+        if (!request.body) {
+          return cbk([503, 'ExpectedResponseFromBoltzService']);
+        }
+
+        if (!isOk(request.status)) {
+          return cbk([
+            503,
+            'UnexpectedErrorResponseFromBoltzService',
+            {error: request.body.error, status: request.status},
+          ]);
+        }
+
+        return cbk(null, {response: request.body});
+      }],
+    },
+    returnResult({reject, resolve, of: 'response'}, cbk));
+  });
+};
@@ -0,0 +1,63 @@
+const {ceil} = Math;
+const {floor} = Math;
+const percentOf = (tokens, percent) => ceil(tokens * percent / 100);
+
+/** Derive the fees for a Boltz swap
+
+  Inbound liquidity is a reverse swap: tokens are the on-chain amount and the
+  service fee and lockup miner fee are taken from the off-chain payment.
+
+  Outbound liquidity is a submarine swap: tokens are the on-chain amount and
+  the service fee and claim miner fee are taken from the off-chain invoice
+  amount.
+
+  {
+    pair: {
+      fee_percent: <Service Fee Percent Number>
+      miner_fee: <Service Lockup or Claim Miner Fee Tokens Number>
+    }
+    tokens: <Swap On-Chain Tokens Number>
+    type: <Liquidity Type String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    fee: <Total Service Fee Tokens Number>
+  }
+*/
+module.exports = ({pair, tokens, type}) => {
+  const miner = pair.miner_fee;
+  const percent = pair.fee_percent;
+
+  switch (type) {
+  case 'inbound':
+    let paying = ceil((tokens + miner) * 100 / (100 - percent));
+
+    // Make sure the payment covers the on-chain amount after fees
+    while (paying - percentOf(paying, percent) - miner < tokens) {
+      paying++;
+    }
+
+    return {fee: paying - tokens};
+
+  case 'outbound':
+    let receiving = floor((tokens - miner) * 100 / (100 + percent));
+
+    // Make sure the on-chain amount covers the invoice after fees
+    while (receiving + percentOf(receiving, percent) + miner > tokens) {
+      receiving--;
+    }
+
+    if (receiving <= 0) {
+      throw new Error('SwapTokensTooLowToCoverBoltzSwapFees');
+    }
+
+    return {fee: tokens - receiving};
+
+  default:
+    throw new Error('UnexpectedLiquidityTypeForBoltzSwapFees');
+  }
+};
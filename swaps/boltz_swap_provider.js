@@ -0,0 +1,145 @@
+const {createHash} = require('crypto');
+
+const boltzSwapFees = require('./boltz_swap_fees');
+const {boltzSwapCltvDelta} = require('./constants');
+const createBoltzSwapIn = require('./create_boltz_swap_in');
+const createBoltzSwapOut = require('./create_boltz_swap_out');
+const getBoltzPair = require('./get_boltz_pair');
+const subscribeToBoltzSwapStatus = require('./subscribe_to_boltz_swap_status');
+
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const sha256 = hex => createHash('sha256').update(hexAsBuffer(hex)).digest();
+const swapTypes = {inbound: 'reverse', outbound: 'submarine'};
+const type = 'boltz';
+
+/** Swap provider backed by a Boltz REST API swap service
+
+  Boltz has no cooperative cancel or secret release, the swap out funding
+  payment is a hold invoice that the service cancels back when it expires
+
+  {
+    fetch: <Fetch Function>
+    network: <Network Name String>
+    socket: <Boltz API Base URL String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    cancelSwapOut: <Cancel Swap Out Function> ({id, payment}, cbk) => {}
+    createSwapIn: <Create Swap In Function>
+      ({fee, [in_through], [probe_request], request}, cbk) => {}
+    createSwapOut: <Create Swap Out Function>
+      ({fund_at, network, timeout, tokens}, cbk) => {}
+    getSwapInQuote: <Get Swap In Quote Function> ({tokens}, cbk) => {}
+    getSwapInTerms: <Get Swap In Terms Function> ({}, cbk) => {}
+    getSwapOutQuote: <Get Swap Out Quote Function>
+      ({[delay], timeout, tokens}, cbk) => {}
+    getSwapOutTerms: <Get Swap Out Terms Function> ({}, cbk) => {}
+    is_probing: <Service Probes Before Swap In Bool>
+    releaseSwapOutSecret: <Release Swap Out Secret Function>
+      ({secret}, cbk) => {}
+    subscribeToSwapOutStatus: <Subscribe To Swap Out Status Function>
+      ({id}) => <EventEmitter Object>
+    type: <Swap Provider Type String>
+  }
+*/
+module.exports = ({fetch, network, socket}) => {
+  if (!fetch) {
+    throw new Error('ExpectedFetchFunctionForBoltzSwapProvider');
+  }
+
+  if (!network) {
+    throw new Error('ExpectedNetworkNameForBoltzSwapProvider');
+  }
+
+  if (!socket) {
+    throw new Error('ExpectedBoltzApiSocketForBoltzSwapProvider');
+  }
+
+  // Boltz swaps are tracked by service id instead of by swap hash
+  const serviceIds = {};
+
+  const getQuote = ({liquidity, tokens}, cbk) => {
+    const type = swapTypes[liquidity];
+
+    return getBoltzPair({fetch, socket, type}, (err, pair) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      try {
+        return cbk(null, boltzSwapFees({pair, tokens, type: liquidity}));
+      } catch (err) {
+        return cbk([400, err.message]);
+      }
+    });
+  };
+
+  const getTerms = ({liquidity}, cbk) => {
+    const type = swapTypes[liquidity];
+
+    return getBoltzPair({fetch, socket, type}, (err, pair) => {
+      if (!!err) {
+        return cbk(err);
+      }
+
+      return cbk(null, {
+        max_cltv_delta: boltzSwapCltvDelta,
+        max_tokens: pair.max_tokens,
+        min_tokens: pair.min_tokens,
+      });
+    });
+  };
+
+  return {
+    type,
+    cancelSwapOut: ({}, cbk) => cbk(),
+    createSwapIn: (args, cbk) => {
+      if (!!args.in_through) {
+        return cbk([400, 'BoltzSwapInDoesNotSupportSpecifyingInboundPeer']);
+      }
+
+      return createBoltzSwapIn({
+        fetch,
+        network,
+        socket,
+        fee: args.fee,
+        request: args.request,
+      },
+      cbk);
+    },
+    createSwapOut: ({tokens}, cbk) => {
+      return createBoltzSwapOut({
+        fetch,
+        network,
+        socket,
+        tokens,
+      },
+      (err, res) => {
+        if (!!err) {
+          return cbk(err);
+        }
+
+        serviceIds[sha256(res.secret).toString('hex')] = res.service_id;
+
+        return cbk(null, res);
+      });
+    },
+    getSwapInQuote: ({tokens}, cbk) => {
+      return getQuote({tokens, liquidity: 'outbound'}, cbk);
+    },
+    getSwapInTerms: ({}, cbk) => getTerms({liquidity: 'outbound'}, cbk),
+    getSwapOutQuote: ({tokens}, cbk) => {
+      return getQuote({tokens, liquidity: 'inbound'}, cbk);
+    },
+    getSwapOutTerms: ({}, cbk) => getTerms({liquidity: 'inbound'}, cbk),
+    is_probing: false,
+    releaseSwapOutSecret: ({}, cbk) => cbk(),
+    subscribeToSwapOutStatus: ({id}) => {
+      return subscribeToBoltzSwapStatus({fetch, socket, id: serviceIds[id]});
+    },
+  };
+};
@@ -0,0 +1,191 @@
+const {address} = require('bitcoinjs-lib');
+const {crypto} = require('bitcoinjs-lib');
+const {networks} = require('bitcoinjs-lib');
+const {opcodes} = require('bitcoinjs-lib');
+const {script} = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const curveOrder = BigInt(
+  '0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141'
+);
+const encodeNumber = n => script.number.encode(n);
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const leafVersion = 0xc0;
+const maxSingleByteLength = 0xfc;
+const names = {btc: 'bitcoin', btcregtest: 'regtest', btctestnet: 'testnet'};
+const parityPrefixes = ['02', '03'];
+const preimageByteLength = 32;
+const publicKeyLength = 33;
+const {ripemd160} = crypto;
+const {taggedHash} = crypto;
+const taprootPrefix = '5120';
+const taprootVersion = 1;
+const types = ['reverse', 'submarine'];
+const xOnly = key => key.slice(1);
+
+// BIP 327 MuSig2 key aggregation, Boltz does not sort the keys
+const aggregateKeys = keys => {
+  const list = taggedHash('KeyAgg list', Buffer.concat(keys));
+  const second = keys.find(key => !key.equals(keys[0]));
+
+  const points = keys.map(key => {
+    // The second distinct key has a coefficient of one
+    if (!!second && key.equals(second)) {
+      return key;
+    }
+
+    const hash = taggedHash('KeyAgg coefficient', Buffer.concat([list, key]));
+
+    const coefficient = BigInt(`0x${bufferAsHex(hash)}`) % curveOrder;
+
+    const tweak = hexAsBuffer(coefficient.toString(16).padStart(64, '0'));
+
+    return Buffer.from(tinysecp.pointMultiply(key, tweak));
+  });
+
+  const [first, ...rest] = points;
+
+  return rest.reduce((sum, n) => Buffer.from(tinysecp.pointAdd(sum, n)), first);
+};
+
+// Hash a Tapscript leaf, swap leaf scripts are always short
+const leafHash = leaf => {
+  if (leaf.length > maxSingleByteLength) {
+    throw new Error('UnexpectedLengthOfBoltzSwapLeafScript');
+  }
+
+  const prefix = Buffer.from([leafVersion, leaf.length]);
+
+  return taggedHash('TapLeaf', Buffer.concat([prefix, leaf]));
+};
+
+/** Derive the Taproot swap tree of a Boltz swap
+
+  Boltz swap outputs are a MuSig2 aggregate of the service key and the client
+  key, committing to a preimage claim leaf and a timeout refund leaf
+
+  Reverse swaps are claimed by the client, submarine swaps are claimed by the
+  service and refunded to the client after the timeout
+
+  {
+    claim_public_key: <Claim Public Key Hex String>
+    id: <Swap Preimage Hash Hex String>
+    network: <Network Name String>
+    refund_public_key: <Refund Public Key Hex String>
+    timeout: <Swap Timeout Height Number>
+    type: <Swap Type String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    address: <Swap Output Address String>
+    claim_control_block: <Claim Leaf Control Block Hex String>
+    claim_script: <Claim Leaf Script Hex String>
+    external_key: <Swap Output Public Key Hex String>
+    internal_key: <Aggregate Internal X-Only Public Key Hex String>
+    output_script: <Swap Output Script Hex String>
+    refund_script: <Refund Leaf Script Hex String>
+  }
+*/
+module.exports = args => {
+  if (!args.claim_public_key) {
+    throw new Error('ExpectedClaimPublicKeyToDeriveBoltzSwapTree');
+  }
+
+  if (!args.id) {
+    throw new Error('ExpectedSwapHashToDeriveBoltzSwapTree');
+  }
+
+  if (!names[args.network]) {
+    throw new Error('ExpectedKnownNetworkToDeriveBoltzSwapTree');
+  }
+
+  if (!args.refund_public_key) {
+    throw new Error('ExpectedRefundPublicKeyToDeriveBoltzSwapTree');
+  }
+
+  if (!args.timeout) {
+    throw new Error('ExpectedSwapTimeoutToDeriveBoltzSwapTree');
+  }
+
+  if (!types.includes(args.type)) {
+    throw new Error('ExpectedKnownSwapTypeToDeriveBoltzSwapTree');
+  }
+
+  const claimKey = hexAsBuffer(args.claim_public_key);
+  const refundKey = hexAsBuffer(args.refund_public_key);
+
+  if (claimKey.length !== publicKeyLength) {
+    throw new Error('ExpectedCompressedClaimPublicKeyForBoltzSwapTree');
+  }
+
+  if (refundKey.length !== publicKeyLength) {
+    throw new Error('ExpectedCompressedRefundPublicKeyForBoltzSwapTree');
+  }
+
+  const hash = ripemd160(hexAsBuffer(args.id));
+
+  // Reverse swap claims also check the preimage size
+  const sizeCheck = args.type === 'reverse' ? [
+    opcodes.OP_SIZE, encodeNumber(preimageByteLength), opcodes.OP_EQUALVERIFY,
+  ] : [];
+
+  const claim = script.compile([].concat(sizeCheck, [
+    opcodes.OP_HASH160, hash, opcodes.OP_EQUALVERIFY,
+    xOnly(claimKey), opcodes.OP_CHECKSIG,
+  ]));
+
+  const refund = script.compile([
+    xOnly(refundKey), opcodes.OP_CHECKSIGVERIFY,
+    encodeNumber(args.timeout), opcodes.OP_CHECKLOCKTIMEVERIFY,
+  ]);
+
+  // The service key comes first in the aggregate key
+  const keys = args.type === 'reverse' ?
+    [refundKey, claimKey] : [claimKey, refundKey];
+
+  const internalKey = xOnly(aggregateKeys(keys));
+
+  const claimHash = leafHash(claim);
+  const refundHash = leafHash(refund);
+
+  // Branch hashes commit to their children in lexicographic order
+  const branch = [claimHash, refundHash].sort(Buffer.compare);
+
+  const root = taggedHash('TapBranch', Buffer.concat(branch));
+
+  const tweak = taggedHash('TapTweak', Buffer.concat([internalKey, root]));
+
+  const output = tinysecp.xOnlyPointAddTweak(internalKey, tweak);
+
+  if (!output) {
+    throw new Error('FailedToTweakBoltzSwapTreeInternalKey');
+  }
+
+  const outputKey = Buffer.from(output.xOnlyPubkey);
+
+  // The claim leaf is proven with the refund leaf hash as its sibling
+  const controlBlock = Buffer.concat([
+    Buffer.from([leafVersion | output.parity]),
+    internalKey,
+    refundHash,
+  ]);
+
+  return {
+    address: address.toBech32(
+      outputKey,
+      taprootVersion,
+      networks[names[args.network]].bech32
+    ),
+    claim_control_block: bufferAsHex(controlBlock),
+    claim_script: bufferAsHex(claim),
+    external_key: `${parityPrefixes[output.parity]}${bufferAsHex(outputKey)}`,
+    internal_key: bufferAsHex(internalKey),
+    output_script: `${taprootPrefix}${bufferAsHex(outputKey)}`,
+    refund_script: bufferAsHex(refund),
+  };
+};
@@ -0,0 +1,177 @@
+const asyncAuto = require('async/auto');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+const tinysecp = require('tiny-secp256k1');
+
+const boltzRequest = require('./boltz_request');
+const {boltzPairId} = require('./constants');
+const boltzSwapTree = require('./boltz_swap_tree');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const [pairFrom, pairTo] = boltzPairId.split('/');
+const swapType = 'submarine';
+
+/** Create a submarine swap with a Boltz service to swap on-chain to off-chain
+
+  The swap output is a Taproot output that commits to a refund leaf spendable
+  after the swap timeout
+
+  {
+    fee: <Quoted Service Fee Tokens Number>
+    fetch: <Fetch Function>
+    network: <Network Name String>
+    request: <Payment Request String>
+    socket: <Boltz API Base URL String>
+  }
+
+  @returns via cbk or Promise
+  {
+    address: <Swap Chain Address String>
+    id: <Swap Preimage Hash Hex String>
+    private_key: <Refund Private Key Hex String>
+    service_id: <Boltz Swap Id String>
+    service_public_key: <Service Public Key Hex String>
+    timeout: <Swap Timeout Chain Height Number>
+    tokens: <Tokens To Pay to Address Number>
+  }
+*/
+module.exports = ({fee, fetch, network, request, socket}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Import ECPair library
+      ecp: async () => (await import('ecpair')).ECPairFactory(tinysecp),
+
+      // Check arguments
+      validate: cbk => {
+        if (fee === undefined) {
+          return cbk([400, 'ExpectedQuotedFeeToCreateBoltzSwapIn']);
+        }
+
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToCreateBoltzSwapIn']);
+        }
+
+        if (!network) {
+          return cbk([400, 'ExpectedNetworkNameToCreateBoltzSwapIn']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedPaymentRequestToCreateBoltzSwapIn']);
+        }
+
+        if (!socket) {
+          return cbk([400, 'ExpectedBoltzApiSocketToCreateBoltzSwapIn']);
+        }
+
+        return cbk();
+      },
+
+      // Generate the refund key
+      keys: ['ecp', 'validate', ({ecp}, cbk) => {
+        const key = ecp.makeRandom();
+
+        return cbk(null, {
+          private_key: bufferAsHex(key.privateKey),
+          public_key: bufferAsHex(key.publicKey),
+        });
+      }],
+
+      // Decode the payment request to get the swap hash
+      parsedRequest: ['validate', ({}, cbk) => {
+        try {
+          return cbk(null, parsePaymentRequest({request}));
+        } catch (err) {
+          return cbk([400, 'ExpectedValidPayReqToCreateBoltzSwapIn', {err}]);
+        }
+      }],
+
+      // Create the swap
+      create: ['keys', 'parsedRequest', ({keys}, cbk) => {
+        return boltzRequest({
+          fetch,
+          socket,
+          params: {
+            from: pairFrom,
+            invoice: request,
+            refundPublicKey: keys.public_key,
+            to: pairTo,
+          },
+          path: `v2/swap/${swapType}`,
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, res.response);
+        });
+      }],
+
+      // Check the created swap
+      swap: [
+        'create',
+        'keys',
+        'parsedRequest',
+        ({create, keys, parsedRequest}, cbk) =>
+      {
+        if (!create.id) {
+          return cbk([503, 'ExpectedSwapIdInBoltzSwapInResponse']);
+        }
+
+        if (!create.expectedAmount) {
+          return cbk([503, 'ExpectedOnChainAmountInBoltzSwapInResponse']);
+        }
+
+        // Make sure the service is not charging more than the quoted fee
+        if (create.expectedAmount > parsedRequest.tokens + fee) {
+          return cbk([503, 'UnexpectedServiceCostForBoltzSwapIn']);
+        }
+
+        if (!create.swapTree || !create.swapTree.claimLeaf) {
+          return cbk([503, 'ExpectedSwapTreeInBoltzSwapInResponse']);
+        }
+
+        if (!create.swapTree.refundLeaf) {
+          return cbk([503, 'ExpectedRefundLeafInBoltzSwapInResponse']);
+        }
+
+        try {
+          const tree = boltzSwapTree({
+            network,
+            claim_public_key: create.claimPublicKey,
+            id: parsedRequest.id,
+            refund_public_key: keys.public_key,
+            timeout: create.timeoutBlockHeight,
+            type: swapType,
+          });
+
+          // The service swap tree must match the tree derived from the keys
+          if (tree.claim_script !== create.swapTree.claimLeaf.output) {
+            return cbk([503, 'UnexpectedClaimLeafInBoltzSwapInTree']);
+          }
+
+          if (tree.refund_script !== create.swapTree.refundLeaf.output) {
+            return cbk([503, 'UnexpectedRefundLeafInBoltzSwapInTree']);
+          }
+
+          if (tree.address !== create.address) {
+            return cbk([503, 'UnexpectedSwapAddressForBoltzSwapIn']);
+          }
+
+          return cbk(null, {
+            address: tree.address,
+            id: parsedRequest.id,
+            private_key: keys.private_key,
+            service_id: create.id,
+            service_public_key: create.claimPublicKey,
+            timeout: create.timeoutBlockHeight,
+            tokens: create.expectedAmount,
+          });
+        } catch (err) {
+          return cbk([503, 'ExpectedValidBoltzSwapInTree', {err}]);
+        }
+      }],
+    },
+    returnResult({reject, resolve, of: 'swap'}, cbk));
+  });
+};
@@ -0,0 +1,179 @@
+const {createHash} = require('crypto');
+const {randomBytes} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const {parsePaymentRequest} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+const tinysecp = require('tiny-secp256k1');
+
+const boltzRequest = require('./boltz_request');
+const {boltzPairId} = require('./constants');
+const boltzSwapTree = require('./boltz_swap_tree');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const [pairFrom, pairTo] = boltzPairId.split('/');
+const sha256 = buffer => createHash('sha256').update(buffer).digest('hex');
+const swapType = 'reverse';
+
+/** Create a reverse swap with a Boltz service to swap off-chain to on-chain
+
+  The swap output is a Taproot output that commits to a claim leaf spendable
+  with the swap preimage
+
+  {
+    fetch: <Fetch Function>
+    network: <Network Name String>
+    socket: <Boltz API Base URL String>
+    tokens: <On-Chain Swap Tokens Number>
+  }
+
+  @returns via cbk or Promise
+  {
+    address: <Swap Chain Address String>
+    claim_control_block: <Claim Leaf Control Block Hex String>
+    claim_script: <Claim Leaf Script Hex String>
+    output_script: <Swap Output Script Hex String>
+    private_key: <Claim Private Key Hex String>
+    secret: <Swap Preimage Hex String>
+    service_id: <Boltz Swap Id String>
+    service_public_key: <Service Public Key Hex String>
+    swap_fund_request: <Swap Funding Payment Request String>
+    timeout: <Swap Timeout Chain Height Number>
+  }
+*/
+module.exports = ({fetch, network, socket, tokens}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Import ECPair library
+      ecp: async () => (await import('ecpair')).ECPairFactory(tinysecp),
+
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToCreateBoltzSwapOut']);
+        }
+
+        if (!network) {
+          return cbk([400, 'ExpectedNetworkNameToCreateBoltzSwapOut']);
+        }
+
+        if (!socket) {
+          return cbk([400, 'ExpectedBoltzApiSocketToCreateBoltzSwapOut']);
+        }
+
+        if (!tokens) {
+          return cbk([400, 'ExpectedTokensToCreateBoltzSwapOut']);
+        }
+
+        return cbk();
+      },
+
+      // Generate the claim key and the swap preimage
+      keys: ['ecp', 'validate', ({ecp}, cbk) => {
+        const key = ecp.makeRandom();
+        const secret = randomBytes(32);
+
+        return cbk(null, {
+          id: sha256(secret),
+          private_key: bufferAsHex(key.privateKey),
+          public_key: bufferAsHex(key.publicKey),
+          secret: bufferAsHex(secret),
+        });
+      }],
+
+      // Create the swap
+      create: ['keys', ({keys}, cbk) => {
+        return boltzRequest({
+          fetch,
+          socket,
+          params: {
+            claimPublicKey: keys.public_key,
+            from: pairFrom,
+            onchainAmount: tokens,
+            preimageHash: keys.id,
+            to: pairTo,
+          },
+          path: `v2/swap/${swapType}`,
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, res.response);
+        });
+      }],
+
+      // Check the created swap
+      swap: ['create', 'keys', ({create, keys}, cbk) => {
+        if (!create.id) {
+          return cbk([503, 'ExpectedSwapIdInBoltzSwapOutResponse']);
+        }
+
+        if (!create.invoice) {
+          return cbk([503, 'ExpectedPaymentRequestInBoltzSwapOutResponse']);
+        }
+
+        if (create.onchainAmount !== tokens) {
+          return cbk([503, 'UnexpectedOnChainAmountInBoltzSwapOutResponse']);
+        }
+
+        if (!create.swapTree || !create.swapTree.claimLeaf) {
+          return cbk([503, 'ExpectedSwapTreeInBoltzSwapOutResponse']);
+        }
+
+        if (!create.swapTree.refundLeaf) {
+          return cbk([503, 'ExpectedRefundLeafInBoltzSwapOutResponse']);
+        }
+
+        try {
+          if (parsePaymentRequest({request: create.invoice}).id !== keys.id) {
+            return cbk([503, 'UnexpectedPaymentHashForBoltzSwapOutFunding']);
+          }
+        } catch (err) {
+          return cbk([503, 'ExpectedValidBoltzSwapOutFundingRequest', {err}]);
+        }
+
+        try {
+          const tree = boltzSwapTree({
+            network,
+            claim_public_key: keys.public_key,
+            id: keys.id,
+            refund_public_key: create.refundPublicKey,
+            timeout: create.timeoutBlockHeight,
+            type: swapType,
+          });
+
+          // The service swap tree must match the tree derived from the keys
+          if (tree.claim_script !== create.swapTree.claimLeaf.output) {
+            return cbk([503, 'UnexpectedClaimLeafInBoltzSwapOutTree']);
+          }
+
+          if (tree.refund_script !== create.swapTree.refundLeaf.output) {
+            return cbk([503, 'UnexpectedRefundLeafInBoltzSwapOutTree']);
+          }
+
+          if (tree.address !== create.lockupAddress) {
+            return cbk([503, 'UnexpectedLockupAddressForBoltzSwapOut']);
+          }
+
+          return cbk(null, {
+            address: tree.address,
+            claim_control_block: tree.claim_control_block,
+            claim_script: tree.claim_script,
+            output_script: tree.output_script,
+            private_key: keys.private_key,
+            secret: keys.secret,
+            service_id: create.id,
+            service_public_key: create.refundPublicKey,
+            swap_fund_request: create.invoice,
+            timeout: create.timeoutBlockHeight,
+          });
+        } catch (err) {
+          return cbk([503, 'ExpectedValidBoltzSwapOutTree', {err}]);
+        }
+      }],
+    },
+    returnResult({reject, resolve, of: 'swap'}, cbk));
+  });
+};
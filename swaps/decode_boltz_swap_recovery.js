@@ -0,0 +1,67 @@
+const {decodeFirstSync} = require('cbor');
+const {pointFromScalar} = require('tiny-secp256k1');
+
+const encodeBoltzSwapRecovery = require('./encode_boltz_swap_recovery');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const provider = 'boltz';
+const publicKeyFor = key => bufferAsHex(pointFromScalar(hexAsBuffer(key)));
+
+/** Decode a Boltz swap recovery blob
+
+  Public keys are derived from the private keys when they are not encoded
+
+  {
+    recovery: <Recovery CBOR Blob Hex String>
+  }
+
+  @returns
+  {
+    [swap]: {
+      [claim_private_key]: <Claim Private Key Hex String>
+      claim_public_key: <Claim Public Key Hex String>
+      id: <Swap Preimage Hash Hex String>
+      [refund_private_key]: <Refund Private Key Hex String>
+      refund_public_key: <Refund Public Key Hex String>
+      [secret]: <Swap Preimage Hex String>
+      start_height: <Start Height Number>
+      [sweep_address]: <Sweep Address String>
+      timeout: <Swap Timeout Height Number>
+      tokens: <Swap Tokens Number>
+    }
+  }
+*/
+module.exports = ({recovery}) => {
+  try {
+    const decoded = decodeFirstSync(hexAsBuffer(recovery));
+
+    // Exit early when this is not a Boltz recovery
+    if (!decoded || decoded.provider !== provider) {
+      return {};
+    }
+
+    // Make sure the recovery has the details needed to resume the swap
+    encodeBoltzSwapRecovery(decoded);
+
+    const claimKey = decoded.claim_private_key;
+    const refundKey = decoded.refund_private_key;
+
+    return {
+      swap: {
+        claim_private_key: claimKey || undefined,
+        claim_public_key: decoded.claim_public_key || publicKeyFor(claimKey),
+        id: decoded.id,
+        refund_private_key: refundKey || undefined,
+        refund_public_key: decoded.refund_public_key || publicKeyFor(refundKey),
+        secret: decoded.secret || undefined,
+        start_height: decoded.start_height,
+        sweep_address: decoded.sweep_address || undefined,
+        timeout: decoded.timeout,
+        tokens: decoded.tokens,
+      },
+    };
+  } catch (err) {
+    return {};
+  }
+};
@@ -0,0 +1,78 @@
+const {encode} = require('cbor');
+
+const provider = 'boltz';
+
+/** Encode a recovery blob for a Boltz swap
+
+  Boltz swap trees are derived from the swap keys, the swap hash and the swap
+  timeout, so those are included in the recovery
+
+  Swap ins are refunded with a refund key, swap outs are claimed with a claim
+  key and the swap secret
+
+  {
+    [claim_private_key]: <Claim Private Key Hex String>
+    [claim_public_key]: <Claim Public Key Hex String>
+    id: <Swap Preimage Hash Hex String>
+    [refund_private_key]: <Refund Private Key Hex String>
+    [refund_public_key]: <Refund Public Key Hex String>
+    [secret]: <Swap Preimage Hex String>
+    start_height: <Start Height Number>
+    [sweep_address]: <Sweep Address String>
+    timeout: <Swap Timeout Height Number>
+    tokens: <Swap Tokens Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    recovery: <Recovery CBOR Blob Hex String>
+  }
+*/
+module.exports = args => {
+  if (!args.claim_private_key && !args.claim_public_key) {
+    throw new Error('ExpectedClaimKeyToEncodeBoltzSwapRecovery');
+  }
+
+  if (!!args.claim_private_key && !args.secret) {
+    throw new Error('ExpectedSwapSecretToEncodeBoltzSwapRecovery');
+  }
+
+  if (!args.id) {
+    throw new Error('ExpectedSwapHashToEncodeBoltzSwapRecovery');
+  }
+
+  if (!args.refund_private_key && !args.refund_public_key) {
+    throw new Error('ExpectedRefundKeyToEncodeBoltzSwapRecovery');
+  }
+
+  if (!args.start_height) {
+    throw new Error('ExpectedStartHeightToEncodeBoltzSwapRecovery');
+  }
+
+  if (!args.timeout) {
+    throw new Error('ExpectedSwapTimeoutToEncodeBoltzSwapRecovery');
+  }
+
+  if (!args.tokens) {
+    throw new Error('ExpectedSwapTokensToEncodeBoltzSwapRecovery');
+  }
+
+  const recovery = encode({
+    provider,
+    claim_private_key: args.claim_private_key || undefined,
+    claim_public_key: args.claim_public_key || undefined,
+    id: args.id,
+    refund_private_key: args.refund_private_key || undefined,
+    refund_public_key: args.refund_public_key || undefined,
+    secret: args.secret || undefined,
+    start_height: args.start_height,
+    sweep_address: args.sweep_address || undefined,
+    timeout: args.timeout,
+    tokens: args.tokens,
+  });
+
+  return {recovery: recovery.toString('hex')};
+};
@@ -0,0 +1,91 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const boltzRequest = require('./boltz_request');
+const {boltzPairId} = require('./constants');
+
+const isNumber = n => typeof n === 'number' && !isNaN(n);
+const [pairFrom, pairTo] = boltzPairId.split('/');
+const types = ['reverse', 'submarine'];
+
+/** Get the terms and fees of the Boltz BTC/BTC swap pair
+
+  Reverse swaps send off-chain funds to receive on-chain, submarine swaps send
+  on-chain funds to receive off-chain
+
+  {
+    fetch: <Fetch Function>
+    socket: <Boltz API Base URL String>
+    type: <Swap Type String>
+  }
+
+  @returns via cbk or Promise
+  {
+    fee_percent: <Service Fee Percent Number>
+    max_tokens: <Maximum Swap Tokens Number>
+    min_tokens: <Minimum Swap Tokens Number>
+    miner_fee: <Service Lockup or Claim Miner Fee Tokens Number>
+  }
+*/
+module.exports = ({fetch, socket, type}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToGetBoltzPair']);
+        }
+
+        if (!socket) {
+          return cbk([400, 'ExpectedBoltzApiSocketToGetBoltzPair']);
+        }
+
+        if (!types.includes(type)) {
+          return cbk([400, 'ExpectedKnownSwapTypeToGetBoltzPair']);
+        }
+
+        return cbk();
+      },
+
+      // Get the pairs offered by the service for the swap type
+      getPairs: ['validate', ({}, cbk) => {
+        return boltzRequest({fetch, socket, path: `v2/swap/${type}`}, cbk);
+      }],
+
+      // Map the pair details
+      pair: ['getPairs', ({getPairs}, cbk) => {
+        const pair = (getPairs.response[pairFrom] || {})[pairTo];
+
+        if (!pair || !pair.fees || !pair.limits) {
+          return cbk([503, 'ExpectedBtcPairInBoltzPairsResponse']);
+        }
+
+        const {fees, limits} = pair;
+
+        // Reverse swaps pay a lockup fee, submarine swaps pay a claim fee
+        const minerFee = type === 'reverse' ?
+          (fees.minerFees || {}).lockup : fees.minerFees;
+
+        if (!isNumber(minerFee)) {
+          return cbk([503, 'ExpectedMinerFeesInBoltzPairsResponse']);
+        }
+
+        if (!isNumber(fees.percentage)) {
+          return cbk([503, 'ExpectedFeePercentageInBoltzPairsResponse']);
+        }
+
+        if (!isNumber(limits.maximal) || !isNumber(limits.minimal)) {
+          return cbk([503, 'ExpectedSwapLimitsInBoltzPairsResponse']);
+        }
+
+        return cbk(null, {
+          fee_percent: fees.percentage,
+          max_tokens: limits.maximal,
+          min_tokens: limits.minimal,
+          miner_fee: minerFee,
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'pair'}, cbk));
+  });
+};
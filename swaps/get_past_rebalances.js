@@ -0,0 +1,90 @@
+const asyncAuto = require('async/auto');
+const {getRebalancePayments} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const {isArray} = Array;
+
+/** Get past successful rebalances with the peers they moved liquidity with
+
+  {
+    channels: [{
+      id: <Standard Format Channel Id String>
+      partner_public_key: <Peer Public Key Hex String>
+    }]
+    days: <Lookback Days Number>
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    rebalances: [{
+      fee: <Fee Paid Tokens Number>
+      in_peer: <Inbound Peer Public Key Hex String>
+      out_peer: <Outbound Peer Public Key Hex String>
+      tokens: <Rebalanced Tokens Number>
+    }]
+  }
+*/
+module.exports = ({channels, days, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(channels)) {
+          return cbk([400, 'ExpectedArrayOfChannelsToGetPastRebalances']);
+        }
+
+        if (!days) {
+          return cbk([400, 'ExpectedLookbackDaysToGetPastRebalances']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetPastRebalances']);
+        }
+
+        return cbk();
+      },
+
+      // Get the rebalance payments
+      getPayments: ['validate', ({}, cbk) => {
+        const after = moment().subtract(days, 'days').toISOString();
+
+        return getRebalancePayments({after, lnds: [lnd]}, cbk);
+      }],
+
+      // Map the payments to the peers they went out and came in through
+      rebalances: ['getPayments', ({getPayments}, cbk) => {
+        const peerFor = id => {
+          const channel = channels.find(n => n.id === id);
+
+          return !!channel ? channel.partner_public_key : undefined;
+        };
+
+        const rebalances = getPayments.payments
+          .map(payment => {
+            const attempt = (payment.attempts || []).find(n => n.is_confirmed);
+
+            // Exit early when there is no route to find peers from
+            if (!attempt || !attempt.route.hops.length) {
+              return;
+            }
+
+            const [firstHop] = attempt.route.hops;
+            const [lastHop] = attempt.route.hops.slice().reverse();
+
+            return {
+              fee: payment.fee,
+              in_peer: peerFor(lastHop.channel),
+              out_peer: peerFor(firstHop.channel),
+              tokens: payment.tokens,
+            };
+          })
+          .filter(n => !!n && !!n.in_peer && !!n.out_peer);
+
+        return cbk(null, {rebalances});
+      }],
+    },
+    returnResult({reject, resolve, of: 'rebalances'}, cbk));
+  });
+};
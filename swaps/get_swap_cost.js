@@ -1,9 +1,5 @@
 const asyncAuto = require('async/auto');
 const {getHeight} = require('ln-service');
-const {getSwapInQuote} = require('goldengate');
-const {getSwapInTerms} = require('goldengate');
-const {getSwapOutQuote} = require('goldengate');
-const {getSwapOutTerms} = require('goldengate');
 const moment = require('moment');
 const {returnResult} = require('asyncjs-util');
 
@@ -19,7 +15,7 @@ const {slowDelayMinutes} = require('./constants');
     [is_fast]: <Swap Out Is Immediate Bool>
     lnd: <Authenticated LND API Object>
     logger: <Winston Logger Object>
-    metadata: <Authentication Metadata Object>
+    provider: <Swap Provider Object>
     tokens: <Liquidity Tokens Number>
     type: <Liquidity Type String>
   }
@@ -42,12 +38,8 @@ module.exports = (args, cbk) => {
           return cbk([400, 'ExpectedLoggerToGetSwapCost']);
         }
 
-        if (!args.metadata) {
-          return cbk([400, 'ExpectedServiceMetadataToGetSwapCost']);
-        }
-
-        if (!args.service) {
-          return cbk([400, 'ExpectedSwapServiceToGetSwapCost']);
+        if (!args.provider) {
+          return cbk([400, 'ExpectedSwapProviderToGetSwapCost']);
         }
 
         if (!args.tokens) {
@@ -65,18 +57,10 @@ module.exports = (args, cbk) => {
       getTerms: ['validate', ({}, cbk) => {
         switch (args.type) {
         case 'inbound':
-          return getSwapOutTerms({
-            metadata: args.metadata,
-            service: args.service,
-          },
-          cbk);
+          return args.provider.getSwapOutTerms({}, cbk);
 
         case 'outbound':
-          return getSwapInTerms({
-            metadata: args.metadata,
-            service: args.service,
-          },
-          cbk);
+          return args.provider.getSwapInTerms({}, cbk);
 
         default:
           return cbk([400, 'GotUnexpectedSwapTypeWhenGettingSwapCost']);
@@ -93,22 +77,15 @@ module.exports = (args, cbk) => {
 
         switch (args.type) {
         case 'inbound':
-          return getSwapOutQuote({
+          return args.provider.getSwapOutQuote({
             delay: moment().add(swapDelay, 'minutes').toISOString(),
-            metadata: args.metadata,
-            service: args.service,
             timeout: cltv - cltvDeltaBuffer,
             tokens: args.tokens,
           },
           cbk);
 
         case 'outbound':
-          return getSwapInQuote({
-            metadata: args.metadata,
-            service: args.service,
-            tokens: args.tokens,
-          },
-          cbk);
+          return args.provider.getSwapInQuote({tokens: args.tokens}, cbk);
 
         default:
           return cbk([400, 'GotUnexpectedSwapTypeWhenGettingSwapCost']);
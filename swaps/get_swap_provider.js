@@ -0,0 +1,94 @@
+const asyncAuto = require('async/auto');
+const {getNetwork} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const {boltzSockets} = require('./constants');
+const boltzSwapProvider = require('./boltz_swap_provider');
+const getPaidService = require('./get_paid_service');
+const loopSwapProvider = require('./loop_swap_provider');
+const {swapProviders} = require('./constants');
+
+const defaultProvider = 'loop';
+
+/** Get a swap provider to quote and execute swaps with
+
+  {
+    fetch: <Fetch Function>
+    lnd: <Authenticated LND API Object>
+    [provider]: <Swap Provider Type String>
+    [socket]: <Custom Backing Service Socket String>
+    [token]: <Prepaid Service Token CBOR Encoded String>
+  }
+
+  @returns via cbk or Promise
+  {
+    provider: <Swap Provider Object>
+  }
+*/
+module.exports = ({fetch, lnd, provider, socket, token}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToGetSwapProvider']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedLndToGetSwapProvider']);
+        }
+
+        if (!!provider && !swapProviders.includes(provider)) {
+          return cbk([400, 'ExpectedKnownSwapProvider', {swapProviders}]);
+        }
+
+        return cbk();
+      },
+
+      // Get the network to select the service for
+      getNetwork: ['validate', ({}, cbk) => getNetwork({lnd}, cbk)],
+
+      // Make the swap provider
+      swapProvider: ['getNetwork', ({getNetwork}, cbk) => {
+        const {network} = getNetwork;
+
+        switch (provider || defaultProvider) {
+        case 'boltz':
+          if (!socket && !boltzSockets[network]) {
+            return cbk([400, 'ExpectedBoltzServiceSocketForNetwork']);
+          }
+
+          if (!!token) {
+            return cbk([400, 'BoltzSwapProviderDoesNotUseApiKeys']);
+          }
+
+          return cbk(null, {
+            provider: boltzSwapProvider({
+              fetch,
+              network,
+              socket: socket || boltzSockets[network],
+            }),
+          });
+
+        default:
+          return getPaidService({fetch, lnd, socket, token}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {
+              provider: loopSwapProvider({
+                id: res.id,
+                metadata: res.metadata,
+                paid: res.paid,
+                service: res.service,
+                token: res.token,
+              }),
+            });
+          });
+        }
+      }],
+    },
+    returnResult({reject, resolve, of: 'swapProvider'}, cbk));
+  });
+};
@@ -0,0 +1,106 @@
+const {join} = require('path');
+
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+const {swapJournalDirectory} = require('./constants');
+
+const isSwapFile = n => /^[0-9a-f]{64}\.json$/.test(n);
+const {parse} = JSON;
+
+/** Get the swaps recorded in the swap journal
+
+  {
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    records: [{
+      [address]: <Swap Deposit Address String>
+      created_at: <Swap Created At ISO 8601 Date String>
+      [fees]: {
+        [chain]: <Chain Fee Tokens Number>
+        [routing]: <Routing Fee Tokens Number>
+        [service]: <Service Fee Tokens Number>
+        total: <Total Fee Tokens Number>
+      }
+      id: <Swap Hash Hex String>
+      [network]: <Network Name String>
+      [node]: <Saved Node Name String>
+      [provider]: <Swap Provider Type String>
+      [recovery]: <Swap Recovery Hex String>
+      [start_height]: <Swap Start Height Number>
+      state: <Swap State String>
+      [timeout]: <Swap Timeout Height Number>
+      [tokens]: <Swap Deposit Tokens Number>
+      [transaction_id]: <Sweep or Refund Transaction Id Hex String>
+      [type]: <Swap Type String>
+      transitions: [{
+        at: <State Changed At ISO 8601 Date String>
+        state: <Swap State String>
+      }]
+    }]
+  }
+*/
+module.exports = ({fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs || !fs.getDirectoryFiles || !fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetSwapRecords']);
+        }
+
+        return cbk();
+      },
+
+      // Get the swap files
+      getFiles: ['validate', ({}, cbk) => {
+        const dir = homePath({file: swapJournalDirectory}).path;
+
+        return fs.getDirectoryFiles(dir, (err, files) => {
+          // Exit early when there are no swaps yet
+          if (!!err || !files) {
+            return cbk(null, []);
+          }
+
+          return cbk(null, files.filter(isSwapFile).map(n => join(dir, n)));
+        });
+      }],
+
+      // Read the swaps
+      getRecords: ['getFiles', ({getFiles}, cbk) => {
+        return asyncMap(getFiles, (path, cbk) => {
+          return fs.getFile(path, (err, res) => {
+            if (!!err) {
+              return cbk([503, 'UnexpectedErrorReadingSwapJournalFile', {err}]);
+            }
+
+            try {
+              return cbk(null, parse(res.toString()));
+            } catch (err) {
+              return cbk([400, 'ExpectedValidJsonSwapJournalFile', {path}]);
+            }
+          });
+        },
+        cbk);
+      }],
+
+      // Sort the swaps by creation date
+      records: ['getRecords', ({getRecords}, cbk) => {
+        const records = getRecords.sort((a, b) => {
+          return a.created_at.localeCompare(b.created_at);
+        });
+
+        return cbk(null, {records});
+      }],
+    },
+    returnResult({reject, resolve, of: 'records'}, cbk));
+  });
+};
@@ -1,23 +1,31 @@
 const asyncAuto = require('async/auto');
 const {getNetwork} = require('ln-sync');
+const {lightningLabsSwapAuth} = require('goldengate');
 const {lightningLabsSwapService} = require('goldengate');
 const {returnResult} = require('asyncjs-util');
 
 const {authenticatedLnd} = require('./../lnd');
+const {boltzSockets} = require('./constants');
+const boltzSwapProvider = require('./boltz_swap_provider');
+const loopSwapProvider = require('./loop_swap_provider');
 
 /** Get swap service
 
+  The Loop service is returned unauthenticated
+
   {
+    [fetch]: <Fetch Function>
     [logger]: <Winston Logger Object>
     [node]: <Node Name String>
+    [provider]: <Swap Provider Type String>
   }
 
   @returns via cbk or Promise
   {
-    service: <Swap Service Object>
+    service: <Swap Provider Object>
   }
 */
-module.exports = ({logger, node}, cbk) => {
+module.exports = ({fetch, logger, node, provider}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Get LND
@@ -34,12 +42,30 @@ module.exports = ({logger, node}, cbk) => {
         const {network} = getNetwork;
 
         try {
-          return cbk(null, lightningLabsSwapService({network}));
+          // Exit early when using a Boltz service
+          if (provider === 'boltz') {
+            return cbk(null, {
+              service: boltzSwapProvider({
+                fetch,
+                network,
+                socket: boltzSockets[network],
+              }),
+            });
+          }
+
+          const {service} = lightningLabsSwapService({network});
+
+          return cbk(null, {
+            service: loopSwapProvider({
+              service,
+              metadata: lightningLabsSwapAuth({}).metadata,
+            }),
+          });
         } catch (err) {
           return cbk([400, 'FailedToFindSupportedSwapService', {err}]);
         }
       }],
     },
-    returnResult({reject, resolve, of: 'service'}));
+    returnResult({reject, resolve, of: 'service'}, cbk));
   });
 };
@@ -1,21 +1,31 @@
 const getPaidService = require('./get_paid_service');
 const getSwapCost = require('./get_swap_cost');
+const getSwapProvider = require('./get_swap_provider');
 const getSwapService = require('./get_swap_service');
 const manageRebalance = require('./manage_rebalance');
 const rebalance = require('./rebalance');
+const rebalanceHistory = require('./rebalance_history');
+const rebalanceToTargets = require('./rebalance_to_targets');
+const resumeSwaps = require('./resume_swaps');
 const swapApiKey = require('./swap_api_key');
 const swapIn = require('./swap_in');
+const swapJournal = require('./swap_journal');
 const swapOut = require('./swap_out');
 const {swapTypes} = require('./constants');
 
 module.exports = {
   getPaidService,
   getSwapCost,
+  getSwapProvider,
   getSwapService,
   manageRebalance,
   rebalance,
+  rebalanceHistory,
+  rebalanceToTargets,
+  resumeSwaps,
   swapApiKey,
   swapIn,
+  swapJournal,
   swapOut,
   swapTypes,
 };
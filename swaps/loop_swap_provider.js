@@ -0,0 +1,117 @@
+const {cancelSwapOut} = require('goldengate');
+const {createSwapIn} = require('goldengate');
+const {createSwapOut} = require('goldengate');
+const {getSwapInQuote} = require('goldengate');
+const {getSwapInTerms} = require('goldengate');
+const {getSwapOutQuote} = require('goldengate');
+const {getSwapOutTerms} = require('goldengate');
+const {releaseSwapOutSecret} = require('goldengate');
+const {subscribeToSwapOutStatus} = require('goldengate');
+
+const type = 'loop';
+
+/** Swap provider backed by a Lightning Labs Loop swap service
+
+  {
+    [id]: <Authenticated User Id String>
+    metadata: <Authenticated Service Metadata Object>
+    [paid]: <Paid Tokens Number>
+    service: <Swap Service Object>
+    [token]: <Authentication Token Hex String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    cancelSwapOut: <Cancel Swap Out Function> ({id, payment}, cbk) => {}
+    createSwapIn: <Create Swap In Function>
+      ({fee, [in_through], [probe_request], request}, cbk) => {}
+    createSwapOut: <Create Swap Out Function>
+      ({fund_at, network, timeout, tokens}, cbk) => {}
+    getSwapInQuote: <Get Swap In Quote Function> ({tokens}, cbk) => {}
+    getSwapInTerms: <Get Swap In Terms Function> ({}, cbk) => {}
+    getSwapOutQuote: <Get Swap Out Quote Function>
+      ({[delay], timeout, tokens}, cbk) => {}
+    getSwapOutTerms: <Get Swap Out Terms Function> ({}, cbk) => {}
+    [id]: <Authenticated User Id String>
+    is_probing: <Service Probes Before Swap In Bool>
+    [paid]: <Paid Tokens Number>
+    releaseSwapOutSecret: <Release Swap Out Secret Function>
+      ({secret}, cbk) => {}
+    subscribeToSwapOutStatus: <Subscribe To Swap Out Status Function>
+      ({id}) => <EventEmitter Object>
+    [token]: <Authentication Token Hex String>
+    type: <Swap Provider Type String>
+  }
+*/
+module.exports = ({id, metadata, paid, service, token}) => {
+  if (!metadata) {
+    throw new Error('ExpectedServiceMetadataForLoopSwapProvider');
+  }
+
+  if (!service) {
+    throw new Error('ExpectedSwapServiceForLoopSwapProvider');
+  }
+
+  return {
+    id,
+    paid,
+    token,
+    type,
+    cancelSwapOut: (args, cbk) => {
+      return cancelSwapOut({
+        metadata,
+        service,
+        id: args.id,
+        payment: args.payment,
+      },
+      cbk);
+    },
+    createSwapIn: (args, cbk) => {
+      return createSwapIn({
+        metadata,
+        service,
+        fee: args.fee,
+        in_through: args.in_through,
+        probe_request: args.probe_request,
+        request: args.request,
+      },
+      cbk);
+    },
+    createSwapOut: (args, cbk) => {
+      return createSwapOut({
+        metadata,
+        service,
+        fund_at: args.fund_at,
+        network: args.network,
+        timeout: args.timeout,
+        tokens: args.tokens,
+      },
+      cbk);
+    },
+    getSwapInQuote: ({tokens}, cbk) => {
+      return getSwapInQuote({metadata, service, tokens}, cbk);
+    },
+    getSwapInTerms: ({}, cbk) => getSwapInTerms({metadata, service}, cbk),
+    getSwapOutQuote: (args, cbk) => {
+      return getSwapOutQuote({
+        metadata,
+        service,
+        delay: args.delay,
+        timeout: args.timeout,
+        tokens: args.tokens,
+      },
+      cbk);
+    },
+    getSwapOutTerms: ({}, cbk) => getSwapOutTerms({metadata, service}, cbk),
+    is_probing: true,
+    releaseSwapOutSecret: ({secret}, cbk) => {
+      return releaseSwapOutSecret({metadata, secret, service}, cbk);
+    },
+    subscribeToSwapOutStatus: args => {
+      return subscribeToSwapOutStatus({id: args.id, metadata, service});
+    },
+  };
+};
@@ -0,0 +1,256 @@
+const {decodeChanId} = require('bolt07');
+
+const {isMatchingFilters} = require('./../display');
+
+const {ceil} = Math;
+const {isArray} = Array;
+const {max} = Math;
+const maxStepTokens = 4294967;
+const {min} = Math;
+const minStepTokens = 5e4;
+const rateDivisor = 1e6;
+const {round} = Math;
+const separator = ':';
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const tok = n => Number(BigInt(n) / BigInt(1e3));
+const uniq = arr => Array.from(new Set(arr));
+
+/** Plan rebalances that move peer liquidity towards target outbound ratios
+
+  Peers with more outbound than their target pay out, peers with less outbound
+  than their target receive in.
+
+  Inbound peers are filled cheapest first, the expected fee rate is the rate
+  paid in past rebalances into the peer, or the inbound fee rate of the peer
+  when there are no past rebalances. Outbound peers that worked together with
+  the inbound peer before are preferred.
+
+  Targets are an outbound ratio like 0.5 for all peers, or tag:0.5 for peers
+  in a tag. Tag targets take precedence over targets for all peers.
+
+  {
+    channels: [{
+      capacity: <Channel Capacity Tokens Number>
+      id: <Standard Format Channel Id String>
+      is_active: <Channel Is Active Bool>
+      local_balance: <Channel Local Balance Tokens Number>
+      partner_public_key: <Peer Public Key Hex String>
+      pending_payments: [<Pending Payment Object>]
+      remote_balance: <Channel Remote Balance Tokens Number>
+    }]
+    [in_filters]: [<Inbound Filter Formula String>]
+    [max_fee_total]: <Total Fee Budget Tokens Number>
+    [out_filters]: [<Outbound Filter Formula String>]
+    past: [{
+      fee: <Fee Paid Tokens Number>
+      in_peer: <Inbound Peer Public Key Hex String>
+      out_peer: <Outbound Peer Public Key Hex String>
+      tokens: <Rebalanced Tokens Number>
+    }]
+    policies: [{
+      base_fee_mtokens: <Peer Base Fee Millitokens String>
+      fee_rate: <Peer Fee Rate Millitokens Per Million Number>
+      [is_disabled]: <Peer Forwarding Is Disabled Bool>
+      public_key: <Peer Public Key Hex String>
+    }]
+    tags: [{
+      [alias]: <Tag Alias String>
+      id: <Tag Id Hex String>
+      [nodes]: [<Public Key Hex String>]
+    }]
+    targets: [<Target Outbound Ratio String>]
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    [failure]: {
+      error: <Error String>
+      formula: <Errored Formula String>
+    }
+    [steps]: [{
+      expected_fee: <Expected Fee Tokens Number>
+      expected_fee_rate: <Expected Fee Rate Parts Per Million Number>
+      in_peer: <Receive Through Peer Public Key Hex String>
+      out_peer: <Pay Out Through Peer Public Key Hex String>
+      tokens: <Tokens to Rebalance Number>
+    }]
+  }
+*/
+module.exports = args => {
+  if (!isArray(args.channels)) {
+    throw new Error('ExpectedArrayOfChannelsToPlanRebalances');
+  }
+
+  if (!isArray(args.past)) {
+    throw new Error('ExpectedArrayOfPastRebalancesToPlanRebalances');
+  }
+
+  if (!isArray(args.policies)) {
+    throw new Error('ExpectedArrayOfPeerPoliciesToPlanRebalances');
+  }
+
+  if (!isArray(args.tags)) {
+    throw new Error('ExpectedArrayOfTagsToPlanRebalances');
+  }
+
+  if (!isArray(args.targets) || !args.targets.length) {
+    throw new Error('ExpectedTargetOutboundRatiosToPlanRebalances');
+  }
+
+  const targets = args.targets.map(target => {
+    const parts = target.split(separator);
+
+    const ratio = Number(parts.pop());
+    const query = parts.join(separator);
+
+    if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+      throw new Error('ExpectedTargetOutboundRatioBetweenZeroAndOne');
+    }
+
+    // Exit early when the target is for all peers
+    if (!query) {
+      return {ratio};
+    }
+
+    const tag = args.tags.find(tag => {
+      const alias = (tag.alias || String()).toLowerCase();
+
+      return alias === query.toLowerCase() || tag.id.startsWith(query);
+    });
+
+    if (!tag) {
+      throw new Error('ExpectedKnownTagForRebalanceTarget');
+    }
+
+    return {ratio, nodes: tag.nodes || []};
+  });
+
+  const disabled = args.policies
+    .filter(n => !!n.is_disabled)
+    .map(n => n.public_key);
+
+  const active = args.channels.filter(n => !!n.is_active);
+
+  const keys = uniq(active.map(n => n.partner_public_key))
+    .filter(key => !disabled.includes(key));
+
+  const peers = keys.map(key => {
+    const feeRates = args.policies
+      .filter(n => n.public_key === key)
+      .filter(n => n.fee_rate !== undefined);
+
+    const past = args.past.filter(n => n.in_peer === key);
+    const tagged = targets.find(n => !!n.nodes && n.nodes.includes(key));
+    const withPeer = active.filter(n => n.partner_public_key === key);
+
+    const inboundFeeRate = max(...feeRates.map(n => n.fee_rate), Number());
+    const outbound = sumOf(withPeer.map(n => n.local_balance));
+    const pastTokens = sumOf(past.map(n => n.tokens));
+
+    const total = outbound + sumOf(withPeer.map(n => n.remote_balance));
+    const target = tagged || targets.find(n => !n.nodes);
+
+    const pastRate = !pastTokens ? undefined : ceil(
+      sumOf(past.map(n => n.fee)) / pastTokens * rateDivisor
+    );
+
+    return {
+      key,
+      delta: !target ? Number() : round(target.ratio * total) - outbound,
+      rate: pastRate === undefined ? inboundFeeRate : pastRate,
+      variables: {
+        capacity: sumOf(withPeer.map(n => n.capacity)),
+        heights: withPeer.map(n => {
+          return decodeChanId({channel: n.id}).block_height;
+        }),
+        inbound_base_fee: max(
+          ...feeRates.map(n => tok(n.base_fee_mtokens)),
+          Number()
+        ),
+        inbound_fee_rate: inboundFeeRate,
+        inbound_liquidity: total - outbound,
+        outbound_liquidity: outbound,
+        pending_payments: sumOf(withPeer.map(n => n.pending_payments.length)),
+      },
+    };
+  });
+
+  const matching = (peers, filters) => peers.map(peer => {
+    const {failure, is_matching} = isMatchingFilters({
+      filters: filters || [],
+      variables: peer.variables,
+    });
+
+    return {failure, peer: !!is_matching ? peer : undefined};
+  });
+
+  const inbound = matching(
+    peers.filter(n => n.delta >= minStepTokens),
+    args.in_filters
+  );
+
+  const outbound = matching(
+    peers.filter(n => -n.delta >= minStepTokens),
+    args.out_filters
+  );
+
+  const [failed] = [].concat(inbound).concat(outbound).filter(n => n.failure);
+
+  // Exit early when a filter could not be evaluated
+  if (!!failed) {
+    return {failure: failed.failure};
+  }
+
+  const outs = outbound
+    .filter(n => !!n.peer)
+    .map(({peer}) => ({key: peer.key, remaining: -peer.delta}));
+
+  const ins = inbound
+    .filter(n => !!n.peer)
+    .map(n => n.peer)
+    .sort((a, b) => a.rate - b.rate || b.delta - a.delta);
+
+  const steps = [];
+  let spent = Number();
+
+  ins.forEach(peer => {
+    let needed = peer.delta;
+
+    const worked = key => args.past
+      .filter(n => n.in_peer === peer.key && n.out_peer === key).length;
+
+    const sorted = outs.slice().sort((a, b) => {
+      return worked(b.key) - worked(a.key) || b.remaining - a.remaining;
+    });
+
+    sorted.forEach(out => {
+      while (min(needed, out.remaining) >= minStepTokens) {
+        const tokens = min(needed, out.remaining, maxStepTokens);
+
+        const fee = ceil(tokens * peer.rate / rateDivisor);
+
+        // Stop planning when the fee budget would be exceeded
+        if (!!args.max_fee_total && spent + fee > args.max_fee_total) {
+          return;
+        }
+
+        needed -= tokens;
+        out.remaining -= tokens;
+        spent += fee;
+
+        steps.push({
+          tokens,
+          expected_fee: fee,
+          expected_fee_rate: peer.rate,
+          in_peer: peer.key,
+          out_peer: out.key,
+        });
+      }
+    });
+  });
+
+  return {steps};
+};
@@ -20,8 +20,9 @@ const {routeFromChannels} = require('ln-service');
 const {findTagMatch} = require('./../peers');
 const {formatFeeRate} = require('./../display');
 const {getIgnores} = require('./../routing');
-const {homePath} = require('../storage');
+const {getTags} = require('./../tags');
 const {probeDestination} = require('./../network');
+const recordRebalance = require('./record_rebalance');
 const {sortBy} = require('./../arrays');
 
 const asRate = (fee, tokens) => ({rate: Math.ceil(fee / tokens * 1e6)});
@@ -50,7 +51,6 @@ const minTokens = 0;
 const minimalRebalanceAmount = 2e5;
 const mtokensPerToken = BigInt(1e3);
 const notFoundIndex = -1;
-const {parse} = JSON;
 const probeSizeMinimal = 1e2;
 const probeSizeRegular = 2e5
 const pubKeyHexLength = 66;
@@ -58,7 +58,6 @@ const rateDivisor = 1e6;
 const {round} = Math;
 const sample = a => !!a.length ? a[Math.floor(Math.random()*a.length)] : null;
 const sumOf = arr => arr.reduce((sum, n) => sum + n);
-const tagFilePath = () => homePath({file: 'tags.json'}).path;
 const times = 6;
 const tokAsBigTok = tokens => !tokens ? undefined : (tokens / 1e8).toFixed(8);
 const tokensAsMillitokens = tok => (BigInt(tok) * BigInt(1e3)).toString();
@@ -67,10 +66,16 @@ const uniq = arr => Array.from(new Set(arr));
 
 /** Rebalance funds between peers
 
+  Attempts are added to the rebalance history when fs can append to files
+
   {
     [avoid]: [<Avoid Forwarding Through Node With Public Key Hex String>]
     fs: {
+      [appendFile]: <Append To File Function> (path, contents, cbk) => {}
       getFile: <Read File Contents Function> (path, cbk) => {}
+      [getFileStatus]: <Get File Status Function> (path, cbk) => {}
+      [makeDirectory]: <Make Directory Function> (path, cbk) => {}
+      [renameFile]: <Rename File Function> (from, to, cbk) => {}
     }
     [in_filters]: [<Inbound Filter Formula String>]
     [in_outbound]: <Inbound Target Outbound Liquidity Tokens Number>
@@ -92,6 +97,8 @@ const uniq = arr => Array.from(new Set(arr));
   @returns via cbk or Promise
 */
 module.exports = (args, cbk) => {
+  const attemptStart = Date.now();
+
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -161,21 +168,7 @@ module.exports = (args, cbk) => {
 
       // Get the set of tags
       getTags: ['validate', ({}, cbk) => {
-        const defaultTags = {tags: []};
-
-        return args.fs.getFile(tagFilePath(), (err, res) => {
-          if (!!err || !res) {
-            return cbk(null, defaultTags);
-          }
-
-          try {
-            const {tags} = parse(res.toString());
-
-            return cbk(null, {tags});
-          } catch (err) {
-            return cbk(null, defaultTags);
-          }
-        });
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
       }],
 
       // Get initial liquidity
@@ -929,6 +922,38 @@ module.exports = (args, cbk) => {
         });
       }],
     },
-    returnResult({reject, resolve, of: 'rebalance'}, cbk));
+    (err, res) => {
+      const done = returnResult({reject, resolve, of: 'rebalance'}, cbk);
+      const {findRoute, getInbound, getOutbound, max, pay} = res;
+      const isRecording = !!args.fs && !!args.fs.appendFile;
+
+      // Exit early when there is no attempt to add to the rebalance history
+      if (!isRecording || !max || !getInbound || !getOutbound) {
+        return done(err, res);
+      }
+
+      const [, failure] = isArray(err) ? err : [];
+
+      const route = !!findRoute && !!findRoute.success ? findRoute.success : [];
+
+      return recordRebalance({
+        route,
+        duration_ms: Date.now() - attemptStart,
+        failure: !!err ? failure || 'UnexpectedRebalanceFailure' : undefined,
+        fee: !!pay ? pay.fee : undefined,
+        fs: args.fs,
+        in_peer: getInbound.public_key,
+        out_peer: getOutbound.public_key,
+        target: max,
+        tokens: !!pay ? pay.tokens : undefined,
+      },
+      recordErr => {
+        if (!!recordErr) {
+          args.logger.error({err: recordErr});
+        }
+
+        return done(err, res);
+      });
+    });
   });
 };
@@ -0,0 +1,154 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getClosedChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const {formatFeeRate} = require('./../display');
+const {getPastForwards} = require('./../routing');
+const {homePath} = require('./../storage');
+const {rebalanceHistoryFile} = require('./constants');
+const {rotatedHistorySuffix} = require('./constants');
+const summarizeRebalances = require('./summarize_rebalances');
+
+const defaultDays = 30;
+const header = [
+  'Peer',
+  'Attempts',
+  'Success',
+  'Rebalanced',
+  'Paid',
+  'Paid Rate',
+  'Earned',
+  'Return',
+];
+const flatten = arr => [].concat(...arr);
+const newLine = '\n';
+const {parse} = JSON;
+const percent = (n, total) => `${Math.round(n / total * 100)}%`;
+const tokens = n => formatTokens({tokens: n}).display;
+
+/** Summarize the rebalance history by the peer receiving inbound liquidity
+
+  Return is the routing fees earned through the peer after it was refilled,
+  relative to the fees paid to refill it
+
+  {
+    [days]: <Past Days of Rebalances Number>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    rows: [[<Table Cell String>]]
+  }
+*/
+module.exports = ({days, fs, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetRebalanceHistory']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToGetRebalanceHistory']);
+        }
+
+        return cbk();
+      },
+
+      // Get the rebalance history, including the rotated history
+      getHistory: ['validate', ({}, cbk) => {
+        const after = moment().subtract(days || defaultDays, 'days');
+        const {path} = homePath({file: rebalanceHistoryFile});
+
+        const paths = [`${path}${rotatedHistorySuffix}`, path];
+
+        return asyncMap(paths, (path, cbk) => {
+          return fs.getFile(path, (err, res) => {
+            // Exit early when there is no rebalance history
+            if (!!err || !res) {
+              return cbk(null, []);
+            }
+
+            const lines = res.toString().split(newLine).filter(n => !!n);
+
+            try {
+              return cbk(null, lines.map(line => parse(line)));
+            } catch (err) {
+              return cbk([400, 'ExpectedValidJsonRebalanceHistoryLine', {err}]);
+            }
+          });
+        },
+        (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, flatten(res).filter(n => after.isBefore(n.at)));
+        });
+      }],
+
+      // Get the channels to map forwards to peers
+      getChannels: ['validate', ({}, cbk) => getChannels({lnd}, cbk)],
+
+      // Get the closed channels to map forwards to peers
+      getClosed: ['validate', ({}, cbk) => getClosedChannels({lnd}, cbk)],
+
+      // Get the forwards to find the fees earned after rebalancing
+      getForwards: ['validate', ({}, cbk) => {
+        return getPastForwards({lnd, days: days || defaultDays}, cbk);
+      }],
+
+      // Summarize the history
+      summary: [
+        'getChannels',
+        'getClosed',
+        'getForwards',
+        'getHistory',
+        ({getChannels, getClosed, getForwards, getHistory}, cbk) =>
+      {
+        const {peers} = summarizeRebalances({
+          channels: [].concat(getChannels.channels).concat(getClosed.channels),
+          forwards: getForwards.forwards,
+          rebalances: getHistory,
+        });
+
+        return cbk(null, peers);
+      }],
+
+      // Get the aliases of the peers
+      getAliases: ['summary', ({summary}, cbk) => {
+        return asyncMap(summary, ({public_key}, cbk) => {
+          return getNodeAlias({lnd, id: public_key}, cbk);
+        },
+        cbk);
+      }],
+
+      // Final table rows
+      rows: ['getAliases', 'summary', ({getAliases, summary}, cbk) => {
+        const rows = summary.map((peer, i) => [
+          getAliases[i].alias || peer.public_key,
+          String(peer.attempts),
+          percent(peer.successes, peer.attempts),
+          tokens(peer.rebalanced),
+          tokens(peer.fees),
+          formatFeeRate({rate: peer.fee_rate}).display,
+          tokens(peer.earned),
+          !peer.fees ? '' : `${(peer.earned / peer.fees).toFixed(2)}x`,
+        ]);
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'rows'}, cbk));
+  });
+};
@@ -0,0 +1,297 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const asyncMapSeries = require('async/mapSeries');
+const {getChannels} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {getNode} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const getPastRebalances = require('./get_past_rebalances');
+const {getTags} = require('./../tags');
+const manageRebalance = require('./manage_rebalance');
+const planRebalances = require('./plan_rebalances');
+
+const flatten = arr => [].concat(...arr);
+const {isArray} = Array;
+const lookbackDays = 30;
+const {min} = Math;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const tokAsBigTok = tokens => (tokens / 1e8).toFixed(8);
+const uniq = arr => Array.from(new Set(arr));
+
+/** Rebalance peers towards target outbound ratios within a fee budget
+
+  Targets are an outbound ratio like 0.5 for all peers, or tag:0.5 for peers
+  in a tag.
+
+  {
+    [avoid]: [<Avoid Forwarding Through Node With Public Key Hex String>]
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [in_filters]: [<Inbound Filter Formula String>]
+    [is_dry_run]: <Only Plan Rebalances Bool>
+    [is_strict_max_fee_rate]: <Avoid Probing Too-High Fee Rate Routes Bool>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [max_fee]: <Maximum Fee Per Rebalance Tokens Number>
+    [max_fee_rate]: <Max Fee Rate Tokens Per Million Number>
+    [max_fee_total]: <Total Fee Budget Tokens Number>
+    [out_filters]: [<Outbound Filter Formula String>]
+    targets: [<Target Outbound Ratio String>]
+    [timeout_minutes]: <Deadline To Stop Each Rebalance Minutes Number>
+  }
+
+  @returns via cbk or Promise
+  {
+    [budget_remaining]: <Fee Budget Remaining Tokens String>
+    planned: <Planned Rebalance Tokens String>
+    planned_fees: <Expected Rebalance Fee Tokens String>
+    [rebalanced]: <Rebalanced Tokens String>
+    [rebalance_fees_spent]: <Fees Spent Tokens String>
+    rebalances: [{
+      [failure]: <Failure Error String>
+      [fee]: <Fee Paid Tokens String>
+      in: <Increase Outbound With Peer String>
+      out: <Decrease Outbound With Peer String>
+      planned: <Planned Tokens String>
+      [rebalanced]: <Rebalanced Tokens String>
+    }]
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFsToRebalanceToTargets']);
+        }
+
+        if (!args.lnd) {
+          return cbk([400, 'ExpectedLndToRebalanceToTargets']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedLoggerToRebalanceToTargets']);
+        }
+
+        if (!isArray(args.targets) || !args.targets.length) {
+          return cbk([400, 'ExpectedTargetOutboundRatiosToRebalanceTo']);
+        }
+
+        return cbk();
+      },
+
+      // Get the channels
+      getChannels: ['validate', ({}, cbk) => {
+        return getChannels({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the node public key
+      getIdentity: ['validate', ({}, cbk) => {
+        return getIdentity({lnd: args.lnd}, cbk);
+      }],
+
+      // Get the set of tags
+      getTags: ['validate', ({}, cbk) => {
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
+      }],
+
+      // Get the channel policies
+      getPolicies: ['getIdentity', ({getIdentity}, cbk) => {
+        return getNode({
+          lnd: args.lnd,
+          public_key: getIdentity.public_key,
+        },
+        cbk);
+      }],
+
+      // Get past rebalances to estimate fees and find working pairs
+      getPast: ['getChannels', ({getChannels}, cbk) => {
+        return getPastRebalances({
+          channels: getChannels.channels,
+          days: lookbackDays,
+          lnd: args.lnd,
+        },
+        cbk);
+      }],
+
+      // Plan the rebalances
+      plan: [
+        'getChannels',
+        'getIdentity',
+        'getPast',
+        'getPolicies',
+        'getTags',
+        ({getChannels, getIdentity, getPast, getPolicies, getTags}, cbk) =>
+      {
+        const id = getIdentity.public_key;
+
+        try {
+          const {failure, steps} = planRebalances({
+            channels: getChannels.channels,
+            in_filters: args.in_filters,
+            max_fee_total: args.max_fee_total,
+            out_filters: args.out_filters,
+            past: getPast.rebalances,
+            policies: getPolicies.channels.map(channel => {
+              const policy = channel.policies.find(n => n.public_key !== id);
+
+              return {
+                base_fee_mtokens: policy.base_fee_mtokens,
+                fee_rate: policy.fee_rate,
+                is_disabled: policy.is_disabled,
+                public_key: policy.public_key,
+              };
+            }),
+            tags: getTags.tags,
+            targets: args.targets,
+          });
+
+          // Exit early when there is a filter error
+          if (!!failure) {
+            return cbk([400, 'FailedToParseRebalanceFilter', failure]);
+          }
+
+          return cbk(null, steps);
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+      }],
+
+      // Get aliases for the planned peers
+      getAliases: ['plan', ({plan}, cbk) => {
+        const keys = uniq(flatten(plan.map(n => [n.in_peer, n.out_peer])));
+
+        return asyncMap(keys, (id, cbk) => {
+          return getNodeAlias({id, lnd: args.lnd}, cbk);
+        },
+        cbk);
+      }],
+
+      // Log the plan
+      logPlan: ['getAliases', 'plan', ({getAliases, plan}, cbk) => {
+        const named = key => getAliases.find(n => n.id === key).alias || key;
+
+        args.logger.info({
+          rebalance_plan: plan.map(step => ({
+            in: named(step.in_peer),
+            out: named(step.out_peer),
+            tokens: tokAsBigTok(step.tokens),
+            expected_fee: tokAsBigTok(step.expected_fee),
+          })),
+        });
+
+        return cbk();
+      }],
+
+      // Execute the planned rebalances one after another
+      execute: ['logPlan', 'plan', ({plan}, cbk) => {
+        // Exit early when only planning
+        if (!!args.is_dry_run) {
+          return cbk(null, []);
+        }
+
+        let spent = Number();
+
+        return asyncMapSeries(plan, (step, cbk) => {
+          const remaining = args.max_fee_total - spent;
+
+          // Exit early when the fee budget has been spent
+          if (!!args.max_fee_total && remaining <= Number()) {
+            return cbk(null, {failure: 'FeeBudgetExhausted'});
+          }
+
+          const maxFee = !args.max_fee_total ? args.max_fee : min(
+            Number(args.max_fee) || remaining,
+            remaining
+          );
+
+          return manageRebalance({
+            avoid: args.avoid,
+            fs: args.fs,
+            in_through: step.in_peer,
+            is_strict_max_fee_rate: args.is_strict_max_fee_rate,
+            lnd: args.lnd,
+            logger: args.logger,
+            max_fee: maxFee,
+            max_fee_rate: args.max_fee_rate,
+            max_rebalance: String(step.tokens),
+            out_through: step.out_peer,
+            timeout_minutes: args.timeout_minutes,
+          },
+          (err, res) => {
+            // Continue on to the next step when a rebalance fails
+            if (!!err) {
+              const [, failure] = isArray(err) ? err : [, err.message];
+
+              return cbk(null, {failure: failure || 'RebalanceFailed'});
+            }
+
+            const [,, {rebalanced, rebalance_fees_spent}] = res.rebalance;
+
+            const fee = Math.round(Number(rebalance_fees_spent) * 1e8);
+
+            spent += fee;
+
+            return cbk(null, {
+              fee,
+              tokens: Math.round(Number(rebalanced) * 1e8),
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Summarize the rebalances
+      summary: [
+        'execute',
+        'getAliases',
+        'plan',
+        ({execute, getAliases, plan}, cbk) =>
+      {
+        const named = key => getAliases.find(n => n.id === key).alias || key;
+        const plannedFees = sumOf(plan.map(n => n.expected_fee));
+        const plannedTokens = sumOf(plan.map(n => n.tokens));
+
+        const rebalances = plan.map((step, i) => {
+          const result = execute[i] || {};
+
+          return {
+            failure: result.failure,
+            fee: result.fee === undefined ? undefined : tokAsBigTok(result.fee),
+            in: named(step.in_peer),
+            out: named(step.out_peer),
+            planned: tokAsBigTok(step.tokens),
+            rebalanced: !result.tokens ? undefined : tokAsBigTok(result.tokens),
+          };
+        });
+
+        // Exit early when only planning
+        if (!!args.is_dry_run) {
+          return cbk(null, {
+            rebalances,
+            planned: tokAsBigTok(plannedTokens),
+            planned_fees: tokAsBigTok(plannedFees),
+          });
+        }
+
+        const spent = sumOf(execute.map(n => n.fee || Number()));
+
+        return cbk(null, {
+          rebalances,
+          budget_remaining: !args.max_fee_total ? undefined : tokAsBigTok(
+            args.max_fee_total - spent
+          ),
+          planned: tokAsBigTok(plannedTokens),
+          planned_fees: tokAsBigTok(plannedFees),
+          rebalanced: tokAsBigTok(sumOf(execute.map(n => n.tokens || 0))),
+          rebalance_fees_spent: tokAsBigTok(spent),
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'summary'}, cbk));
+  });
+};
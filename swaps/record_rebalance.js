@@ -0,0 +1,91 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {appendLogEntry} = require('./../storage');
+const {rebalanceHistoryFile} = require('./constants');
+
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const maxHistoryBytes = 1024 * 1024 * 10;
+
+/** Add a rebalance attempt to the rebalance history
+
+  Each attempt is appended as a line of JSON. When the history grows past the
+  maximum size it is rotated to a ".1" file
+
+  {
+    duration_ms: <Attempt Duration Milliseconds Number>
+    [failure]: <Failure Reason String>
+    [fee]: <Fee Paid Tokens Number>
+    fs: {
+      appendFile: <Append To File Function> (path, contents, cbk) => {}
+      getFileStatus: <Get File Status Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      renameFile: <Rename File Function> (from, to, cbk) => {}
+    }
+    in_peer: <Inbound Peer Public Key Hex String>
+    out_peer: <Outbound Peer Public Key Hex String>
+    [route]: [<Standard Format Channel Id String>]
+    [tokens]: <Rebalanced Tokens Number>
+    target: <Target Rebalance Tokens Number>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (args.duration_ms === undefined) {
+          return cbk([400, 'ExpectedAttemptDurationToRecordRebalance']);
+        }
+
+        const {fs} = args;
+
+        if (!fs || !fs.appendFile || !fs.getFileStatus || !fs.renameFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordRebalance']);
+        }
+
+        if (!fs.makeDirectory) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordRebalance']);
+        }
+
+        if (!isPublicKey(args.in_peer)) {
+          return cbk([400, 'ExpectedInboundPeerToRecordRebalance']);
+        }
+
+        if (!isPublicKey(args.out_peer)) {
+          return cbk([400, 'ExpectedOutboundPeerToRecordRebalance']);
+        }
+
+        if (!args.target) {
+          return cbk([400, 'ExpectedTargetTokensToRecordRebalance']);
+        }
+
+        return cbk();
+      },
+
+      // Append the attempt to the history
+      record: ['validate', ({}, cbk) => {
+        return appendLogEntry({
+          entry: {
+            at: new Date().toISOString(),
+            duration_ms: args.duration_ms,
+            failure: args.failure,
+            fee: args.fee,
+            in_peer: args.in_peer,
+            out_peer: args.out_peer,
+            route: args.route,
+            target: args.target,
+            tokens: args.tokens,
+          },
+          file: rebalanceHistoryFile,
+          fs: args.fs,
+          max_bytes: maxHistoryBytes,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,148 @@
+const {join} = require('path');
+
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('./../storage');
+const {swapJournalDirectory} = require('./constants');
+
+const details = [
+  'address',
+  'fees',
+  'network',
+  'node',
+  'provider',
+  'recovery',
+  'start_height',
+  'timeout',
+  'tokens',
+  'transaction_id',
+  'type',
+];
+const isHash = n => !!n && /^[0-9a-f]{64}$/.test(n);
+const {parse} = JSON;
+const {stringify} = JSON;
+const swapTypes = ['in', 'out'];
+
+/** Record the state of a swap in the swap journal
+
+  Each swap is kept in its own file, details that are not specified are kept
+  from the prior record of the swap
+
+  {
+    [address]: <Swap Deposit Address String>
+    [fees]: {
+      [chain]: <Chain Fee Tokens Number>
+      [routing]: <Routing Fee Tokens Number>
+      [service]: <Service Fee Tokens Number>
+      total: <Total Fee Tokens Number>
+    }
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    id: <Swap Hash Hex String>
+    [network]: <Network Name String>
+    [node]: <Saved Node Name String>
+    [provider]: <Swap Provider Type String>
+    [recovery]: <Swap Recovery Hex String>
+    [start_height]: <Swap Start Height Number>
+    state: <Swap State String>
+    [timeout]: <Swap Timeout Height Number>
+    [tokens]: <Swap Deposit Tokens Number>
+    [transaction_id]: <Sweep or Refund Transaction Id Hex String>
+    [type]: <Swap Type String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRecordSwap']);
+        }
+
+        if (!isHash(args.id)) {
+          return cbk([400, 'ExpectedSwapHashToRecordSwap']);
+        }
+
+        if (!args.state) {
+          return cbk([400, 'ExpectedSwapStateToRecordSwap']);
+        }
+
+        if (!!args.type && !swapTypes.includes(args.type)) {
+          return cbk([400, 'ExpectedKnownSwapTypeToRecordSwap']);
+        }
+
+        return cbk();
+      },
+
+      // Path to the swap file
+      path: ['validate', ({}, cbk) => {
+        const dir = homePath({file: swapJournalDirectory}).path;
+
+        return cbk(null, {dir, file: join(dir, `${args.id}.json`)});
+      }],
+
+      // Get the existing record of the swap
+      getRecord: ['path', ({path}, cbk) => {
+        return args.fs.getFile(path.file, (err, res) => {
+          // Exit early when the swap has not been recorded yet
+          if (!!err || !res) {
+            return cbk(null, {transitions: []});
+          }
+
+          try {
+            return cbk(null, parse(res.toString()));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonSwapJournalFile', {err}]);
+          }
+        });
+      }],
+
+      // Make sure the home directory is there
+      makeHomeDir: ['getRecord', ({}, cbk) => {
+        return args.fs.makeDirectory(homePath({}).path, () => cbk());
+      }],
+
+      // Make sure the journal directory is there
+      makeDir: ['makeHomeDir', 'path', ({path}, cbk) => {
+        return args.fs.makeDirectory(path.dir, () => cbk());
+      }],
+
+      // Write the updated record
+      record: ['getRecord', 'makeDir', 'path', ({getRecord, path}, cbk) => {
+        const at = new Date().toISOString();
+        const [last] = getRecord.transitions.slice().reverse();
+
+        const isChanged = !last || last.state !== args.state;
+
+        const record = {created_at: getRecord.created_at || at, id: args.id};
+
+        details.forEach(key => {
+          record[key] = args[key] !== undefined ? args[key] : getRecord[key];
+        });
+
+        record.state = args.state;
+
+        record.transitions = getRecord.transitions.concat(isChanged ? [{
+          at,
+          state: args.state,
+        }] : []);
+
+        return args.fs.writeFile(path.file, stringify(record, null, 2), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingSwapJournalFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,208 @@
+const asyncAuto = require('async/auto');
+const {findDeposit} = require('goldengate');
+const {getInvoice} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const {fuzzBlocks} = require('./constants');
+const getSwapRecords = require('./get_swap_records');
+const {minConfs} = require('./constants');
+const recordSwap = require('./record_swap');
+const resumeSwapAction = require('./resume_swap_action');
+const {resumeDepositTimeoutMs} = require('./constants');
+const {resumeSweepTimeoutMs} = require('./constants');
+const swapIn = require('./swap_in');
+const swapOut = require('./swap_out');
+
+const {assign} = Object;
+
+/** Resume an unfinished swap from the swap journal
+
+  Swap outs with a deposit are swept, swap ins with a deposit are refunded once
+  the refund timeout is reached. Swaps without a deposit past their timeout
+  are marked as expired. Other swaps are left to be resumed later.
+
+  {
+    fetch: <Fetch Function>
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    height: <Current Block Height Number>
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    record: {
+      address: <Swap Deposit Address String>
+      id: <Swap Hash Hex String>
+      network: <Network Name String>
+      [node]: <Saved Node Name String>
+      recovery: <Swap Recovery Hex String>
+      start_height: <Swap Start Height Number>
+      timeout: <Swap Timeout Height Number>
+      tokens: <Swap Deposit Tokens Number>
+      type: <Swap Type String>
+    }
+    request: <Request Function>
+  }
+
+  @returns via cbk or Promise
+  {
+    state: <Swap State String>
+  }
+*/
+module.exports = ({fetch, fs, height, lnd, logger, record, request}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToResumeSwap']);
+        }
+
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToResumeSwap']);
+        }
+
+        if (!height) {
+          return cbk([400, 'ExpectedCurrentBlockHeightToResumeSwap']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToResumeSwap']);
+        }
+
+        if (!logger) {
+          return cbk([400, 'ExpectedLoggerToResumeSwap']);
+        }
+
+        if (!record || !record.address || !record.recovery) {
+          return cbk([400, 'ExpectedRecordedSwapDetailsToResumeSwap']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedRequestFunctionToResumeSwap']);
+        }
+
+        return cbk();
+      },
+
+      // Get the invoice of a swap in to see if it was already paid
+      getInvoice: ['validate', ({}, cbk) => {
+        // Exit early when this is a swap out
+        if (record.type !== 'in') {
+          return cbk();
+        }
+
+        return getInvoice({lnd, id: record.id}, cbk);
+      }],
+
+      // Look for the swap deposit
+      findDeposit: ['getInvoice', ({getInvoice}, cbk) => {
+        // Exit early when the swap in was already paid
+        if (!!getInvoice && !!getInvoice.is_confirmed) {
+          return cbk();
+        }
+
+        logger.info({looking_for_swap_deposit_to: record.address});
+
+        return findDeposit({
+          lnd,
+          address: record.address,
+          after: record.start_height - fuzzBlocks,
+          confirmations: [].length,
+          network: record.network,
+          timeout: resumeDepositTimeoutMs,
+          tokens: record.tokens,
+        },
+        (err, res) => {
+          // Exit early when there is no deposit
+          if (!!err) {
+            return cbk();
+          }
+
+          return cbk(null, res);
+        });
+      }],
+
+      // Move the swap along
+      resume: [
+        'findDeposit',
+        'getInvoice',
+        ({findDeposit, getInvoice}, cbk) =>
+      {
+        const {action} = resumeSwapAction({
+          height,
+          record,
+          deposit: findDeposit,
+          invoice: getInvoice,
+        });
+
+        switch (action) {
+        case 'claim':
+          // Sweep the deposit of a swap out
+          return swapOut({
+            fetch,
+            fs,
+            lnd,
+            logger,
+            request,
+            avoid: [],
+            confs: minConfs,
+            node: record.node,
+            recovery: record.recovery,
+            timeout: resumeSweepTimeoutMs,
+          },
+          cbk);
+
+        case 'complete':
+          // The swap in was paid so the service fee is what was not received
+          return recordSwap(assign({}, record, {
+            fs,
+            fees: {
+              service: record.tokens - getInvoice.received,
+              total: record.tokens - getInvoice.received,
+            },
+            state: 'completed',
+          }),
+          cbk);
+
+        case 'expire':
+          return recordSwap(assign({}, record, {fs, state: 'expired'}), cbk);
+
+        case 'refund':
+          // Refund the deposit of a swap in
+          return swapIn({
+            fetch,
+            fs,
+            lnd,
+            logger,
+            request,
+            node: record.node,
+            recovery: record.recovery,
+          },
+          cbk);
+
+        default:
+          logger.info({
+            resume_swap_later: record.id,
+            swap_timeout_height: record.timeout,
+          });
+
+          return cbk();
+        }
+      }],
+
+      // Get the updated state of the swap
+      getRecords: ['resume', ({}, cbk) => getSwapRecords({fs}, cbk)],
+
+      // Final state of the swap
+      state: ['getRecords', ({getRecords}, cbk) => {
+        const swap = getRecords.records.find(n => n.id === record.id);
+
+        return cbk(null, {state: swap.state});
+      }],
+    },
+    returnResult({reject, resolve, of: 'state'}, cbk));
+  });
+};
@@ -0,0 +1,50 @@
+const swapInType = 'in';
+
+/** Determine how to move an unfinished swap along
+
+  A swap out deposit is claimed by sweeping it. A swap in deposit can only be
+  refunded once the chain reaches the refund timeout height.
+
+  {
+    [deposit]: <Swap Deposit Object>
+    height: <Current Block Height Number>
+    [invoice]: {
+      is_confirmed: <Swap In Invoice Is Paid Bool>
+    }
+    record: {
+      timeout: <Swap Timeout Height Number>
+      type: <Swap Type String>
+    }
+  }
+
+  @returns
+  {
+    action: <Resume Action String> 'claim'|'complete'|'expire'|'refund'|'wait'
+  }
+*/
+module.exports = ({deposit, height, invoice, record}) => {
+  const isTimedOut = height >= record.timeout;
+
+  // Exit early when the swap in was paid by the swap service
+  if (!!invoice && !!invoice.is_confirmed) {
+    return {action: 'complete'};
+  }
+
+  // Exit early when there is no deposit and there will not be one
+  if (!deposit && isTimedOut) {
+    return {action: 'expire'};
+  }
+
+  // Exit early when there is no deposit yet
+  if (!deposit) {
+    return {action: 'wait'};
+  }
+
+  // Exit early when this is a swap out deposit that can be swept
+  if (record.type !== swapInType) {
+    return {action: 'claim'};
+  }
+
+  // A swap in deposit can be refunded once the timeout height is reached
+  return {action: isTimedOut ? 'refund' : 'wait'};
+};
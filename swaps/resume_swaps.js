@@ -0,0 +1,145 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {getHeight} = require('ln-service');
+const {getNetwork} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const {finishedSwapStates} = require('./constants');
+const getSwapRecords = require('./get_swap_records');
+const resumeSwap = require('./resume_swap');
+
+/** Resume all the unfinished swaps of a node recorded in the swap journal
+
+  {
+    fetch: <Fetch Function>
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+    logger: <Winston Logger Object>
+    [node]: <Saved Node Name String>
+    request: <Request Function>
+  }
+
+  @returns via cbk or Promise
+  {
+    swaps: [{
+      id: <Swap Hash Hex String>
+      [error]: <Resume Swap Error Object>
+      state: <Swap State String>
+      type: <Swap Type String>
+    }]
+  }
+*/
+module.exports = ({fetch, fs, lnd, logger, node, request}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fetch) {
+          return cbk([400, 'ExpectedFetchFunctionToResumeSwaps']);
+        }
+
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToResumeSwaps']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToResumeSwaps']);
+        }
+
+        if (!logger) {
+          return cbk([400, 'ExpectedLoggerToResumeSwaps']);
+        }
+
+        if (!request) {
+          return cbk([400, 'ExpectedRequestFunctionToResumeSwaps']);
+        }
+
+        return cbk();
+      },
+
+      // Get the current block height
+      getHeight: ['validate', ({}, cbk) => getHeight({lnd}, cbk)],
+
+      // Get the network of the node
+      getNetwork: ['validate', ({}, cbk) => getNetwork({lnd}, cbk)],
+
+      // Get the recorded swaps
+      getRecords: ['validate', ({}, cbk) => getSwapRecords({fs}, cbk)],
+
+      // Unfinished swaps of the node
+      unfinished: [
+        'getNetwork',
+        'getRecords',
+        ({getNetwork, getRecords}, cbk) =>
+      {
+        const swaps = getRecords.records.filter(record => {
+          // Exit early when the swap is already finished
+          if (finishedSwapStates.includes(record.state)) {
+            return false;
+          }
+
+          // Exit early when the swap cannot be resumed from the record
+          if (!record.address || !record.recovery) {
+            return false;
+          }
+
+          return record.network === getNetwork.network && record.node === node;
+        });
+
+        logger.info({unfinished_swaps: swaps.length});
+
+        return cbk(null, swaps);
+      }],
+
+      // Resume the swaps side by side since each has its own timeout
+      resume: [
+        'getHeight',
+        'unfinished',
+        ({getHeight, unfinished}, cbk) =>
+      {
+        return asyncMap(unfinished, (record, cbk) => {
+          logger.info({resuming_swap: record.id, type: record.type});
+
+          return resumeSwap({
+            fetch,
+            fs,
+            lnd,
+            logger,
+            record,
+            request,
+            height: getHeight.current_block_height,
+          },
+          (err, res) => {
+            // A failure to resume one swap should not stop the others
+            if (!!err) {
+              logger.error({err, swap: record.id});
+
+              return cbk(null, {
+                error: err,
+                id: record.id,
+                state: record.state,
+                type: record.type,
+              });
+            }
+
+            return cbk(null, {
+              id: record.id,
+              state: res.state,
+              type: record.type,
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Final swaps
+      swaps: ['resume', ({resume}, cbk) => cbk(null, {swaps: resume})],
+    },
+    returnResult({reject, resolve, of: 'swaps'}, cbk));
+  });
+};
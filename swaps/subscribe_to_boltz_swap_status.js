@@ -0,0 +1,85 @@
+const EventEmitter = require('node:events');
+
+const boltzRequest = require('./boltz_request');
+
+const broadcastStatuses = ['transaction.mempool', 'transaction.confirmed'];
+const claimedStatuses = ['invoice.settled', 'transaction.claimed'];
+const pollIntervalMs = 1000 * 15;
+
+/** Subscribe to the status of a Boltz swap
+
+  Polling stops when there are no more status update listeners
+
+  {
+    fetch: <Fetch Function>
+    id: <Boltz Swap Id String>
+    socket: <Boltz API Base URL String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  <EventEmitter Object>
+
+  @event 'status_update'
+  {
+    is_broadcast: <Swap Transaction Is Broadcast Bool>
+    is_claimed: <Swap Is Claimed Bool>
+    status: <Boltz Swap Status String>
+  }
+*/
+module.exports = ({fetch, id, socket}) => {
+  if (!fetch) {
+    throw new Error('ExpectedFetchFunctionToSubscribeToBoltzSwapStatus');
+  }
+
+  if (!id) {
+    throw new Error('ExpectedSwapIdToSubscribeToBoltzSwapStatus');
+  }
+
+  if (!socket) {
+    throw new Error('ExpectedBoltzApiSocketToSubscribeToBoltzSwapStatus');
+  }
+
+  const emitter = new EventEmitter();
+  let lastStatus;
+
+  const poll = () => {
+    return boltzRequest({
+      fetch,
+      socket,
+      path: `v2/swap/${encodeURIComponent(id)}`,
+    },
+    (err, res) => {
+      // Exit early when nobody is listening for status updates anymore
+      if (!emitter.listenerCount('status_update')) {
+        return;
+      }
+
+      // Errors are retried on the next poll
+      if (!err && !!res.response.status) {
+        const {status} = res.response;
+
+        // Exit early when the status has not changed since the last poll
+        if (status === lastStatus) {
+          return setTimeout(poll, pollIntervalMs);
+        }
+
+        lastStatus = status;
+
+        emitter.emit('status_update', {
+          status,
+          is_broadcast: broadcastStatuses.includes(status),
+          is_claimed: claimedStatuses.includes(status),
+        });
+      }
+
+      return setTimeout(poll, pollIntervalMs);
+    });
+  };
+
+  process.nextTick(poll);
+
+  return emitter;
+};
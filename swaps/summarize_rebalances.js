@@ -0,0 +1,78 @@
+const {ceil} = Math;
+const rateDivisor = 1e6;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const uniq = arr => Array.from(new Set(arr));
+
+/** Summarize rebalance attempts by the peer that received inbound liquidity
+
+  Fees earned are the routing fees earned out through the peer after the first
+  successful rebalance into the peer
+
+  {
+    channels: [{
+      id: <Standard Format Channel Id String>
+      partner_public_key: <Peer Public Key Hex String>
+    }]
+    forwards: [{
+      created_at: <Forward Record Created At ISO 8601 Date String>
+      fee: <Fee Tokens Charged Number>
+      outgoing_channel: <Outgoing Standard Format Channel Id String>
+    }]
+    rebalances: [{
+      at: <Attempted At ISO 8601 Date String>
+      duration_ms: <Attempt Duration Milliseconds Number>
+      [failure]: <Failure Reason String>
+      [fee]: <Fee Paid Tokens Number>
+      in_peer: <Inbound Peer Public Key Hex String>
+      out_peer: <Outbound Peer Public Key Hex String>
+      [tokens]: <Rebalanced Tokens Number>
+    }]
+  }
+
+  @returns
+  {
+    peers: [{
+      attempts: <Rebalance Attempts Count Number>
+      earned: <Routing Fees Earned After Rebalancing Tokens Number>
+      [fee_rate]: <Paid Fee Rate Parts Per Million Number>
+      fees: <Rebalance Fees Paid Tokens Number>
+      public_key: <Inbound Peer Public Key Hex String>
+      rebalanced: <Rebalanced Tokens Number>
+      successes: <Successful Rebalances Count Number>
+    }]
+  }
+*/
+module.exports = ({channels, forwards, rebalances}) => {
+  const keys = uniq(rebalances.map(n => n.in_peer));
+
+  const peers = keys.map(key => {
+    const attempts = rebalances.filter(n => n.in_peer === key);
+
+    const ids = channels
+      .filter(n => n.partner_public_key === key)
+      .map(n => n.id);
+
+    const successes = attempts.filter(n => !n.failure && !!n.tokens);
+
+    const [first] = successes.map(n => n.at).sort();
+
+    const earned = forwards
+      .filter(n => !!first && n.created_at > first)
+      .filter(n => ids.includes(n.outgoing_channel));
+
+    const fees = sumOf(successes.map(n => n.fee || Number()));
+    const rebalanced = sumOf(successes.map(n => n.tokens));
+
+    return {
+      fees,
+      rebalanced,
+      attempts: attempts.length,
+      earned: sumOf(earned.map(n => n.fee)),
+      fee_rate: !rebalanced ? undefined : ceil(fees / rebalanced * rateDivisor),
+      public_key: key,
+      successes: successes.length,
+    };
+  });
+
+  return {peers: peers.sort((a, b) => b.fees - a.fees)};
+};
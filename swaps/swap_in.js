@@ -7,7 +7,6 @@ const {cancelHodlInvoice} = require('ln-service');
 const {createChainAddress} = require('ln-service');
 const {createHodlInvoice} = require('ln-service');
 const {createInvoice} = require('ln-service');
-const {createSwapIn} = require('goldengate');
 const {decodeSwapRecovery} = require('goldengate');
 const {encodeSwapRecovery} = require('goldengate');
 const {findDeposit} = require('goldengate');
@@ -16,8 +15,6 @@ const {getChainFeeRate} = require('goldengate');
 const {getHeight} = require('ln-service');
 const {getInvoice} = require('ln-service');
 const {getNetwork} = require('ln-sync');
-const {getSwapInQuote} = require('goldengate');
-const {getSwapInTerms} = require('goldengate');
 const moment = require('moment');
 const qrcode = require('qrcode-terminal');
 const {refundTransaction} = require('goldengate');
@@ -26,12 +23,22 @@ const {subscribeToBlocks} = require('goldengate');
 const {subscribeToInvoice} = require('ln-service');
 const {subscribeToSwapInStatus} = require('goldengate');
 const {swapInFee} = require('goldengate');
+const tinysecp = require('tiny-secp256k1');
 
 const {authenticatedLnd} = require('./../lnd');
+const boltzRefundTransaction = require('./boltz_refund_transaction');
+const boltzSwapTree = require('./boltz_swap_tree');
+const decodeBoltzSwapRecovery = require('./decode_boltz_swap_recovery');
+const encodeBoltzSwapRecovery = require('./encode_boltz_swap_recovery');
 const {getLiquidity} = require('./../balances');
-const getPaidService = require('./get_paid_service');
+const getSwapProvider = require('./get_swap_provider');
+const recordSwap = require('./record_swap');
 
+const {assign} = Object;
 const bigFormat = tokens => ((tokens || 0) / 1e8).toFixed(8);
+const boltzProvider = 'boltz';
+const boltzSwapType = 'submarine';
+const loopProvider = 'loop';
 const msPerBlock = 1000 * 60 * 10;
 const msPerYear = 1000 * 60 * 60 * 24 * 365;
 const {now} = Date;
@@ -43,11 +50,18 @@ const waitForDepositMs = 1000 * 60 * 60 * 24;
   {
     [api_key]: <API Key CBOR Hex String>
     fetch: <Fetch Function>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
     [in_through]: <Request Inbound Payment Public Key Hex String>
     [is_refund_test]: <Alter Swap Timeout To Have Short Refund Bool>
     lnd: <Authenticated LND gRPC API Object>
     logger: <Logger Object>
     [max_fee]: <Maximum Fee Tokens to Pay Number>
+    [node]: <Saved Node Name String>
+    [provider]: <Swap Provider Type String>
     [recovery]: <Recover In-Progress Swap String>
     [refund_address]: <Refund Address String>
     [request]: <Request Function>
@@ -89,6 +103,9 @@ module.exports = (args, cbk) => {
       return cbk();
     },
 
+    // Import ECPair library
+    ecp: async () => (await import('ecpair')).ECPairFactory(tinysecp),
+
     // Get the best block height at the start of the swap
     getInfo: ['validate', ({}, cbk) => getHeight({lnd: args.lnd}, cbk)],
 
@@ -111,17 +128,45 @@ module.exports = (args, cbk) => {
     // Get the network this swap takes place on
     getNetwork: ['validate', ({}, cbk) => getNetwork({lnd: args.lnd}, cbk)],
 
-    // Upgrade service object to a paid service if necessary
-    getService: ['getLiquidity', 'getNetwork', ({}, cbk) => {
+    // Decode the recovery of an existing swap
+    decodeRecovery: ['validate', ({}, cbk) => {
+      // Exit early when not recovering an existing swap
+      if (!args.recovery) {
+        return cbk();
+      }
+
+      const boltz = decodeBoltzSwapRecovery({recovery: args.recovery});
+
+      // Boltz swap outs are recovered with a claim key instead of a refund key
+      if (!!boltz.swap && !boltz.swap.refund_private_key) {
+        return cbk([400, 'ExpectedSwapInRecoveryToRecoverBoltzSwapIn']);
+      }
+
+      // Exit early when this is a Boltz swap recovery
+      if (!!boltz.swap) {
+        return cbk(null, {provider: boltzProvider, swap: boltz.swap});
+      }
+
+      return decodeSwapRecovery({recovery: args.recovery}, (err, swap) => {
+        if (!!err) {
+          return cbk([400, 'FailedToDecodeSwapRecovery', {err}]);
+        }
+
+        return cbk(null, {swap});
+      });
+    }],
+
+    // Get the swap provider, upgrading to a paid service if necessary
+    getProvider: ['getLiquidity', 'getNetwork', ({}, cbk) => {
       // Exit early when we're recovering an existing swap
       if (!!args.recovery && !args.api_key) {
         return cbk();
       }
 
-      return getPaidService({
+      return getSwapProvider({
         fetch: args.fetch,
         lnd: args.lnd,
-        logger: args.logger,
+        provider: args.provider,
         socket: args.socket,
         token: args.api_key,
       },
@@ -129,24 +174,20 @@ module.exports = (args, cbk) => {
     }],
 
     // Get the limits for a swap
-    getLimits: ['getService', ({getService}, cbk) => {
+    getLimits: ['getProvider', ({getProvider}, cbk) => {
       // Exit early when recovering an existing swap
       if (!!args.recovery) {
         return cbk();
       }
 
-      return getSwapInTerms({
-        metadata: getService.metadata,
-        service: getService.service,
-      },
-      cbk);
+      return getProvider.provider.getSwapInTerms({}, cbk);
     }],
 
     // Get quote for a swap
     getQuote: [
       'getLiquidity',
-      'getService',
-      ({getLiquidity, getService}, cbk) =>
+      'getProvider',
+      ({getLiquidity, getProvider}, cbk) =>
     {
       // Exit early when recovering an existing swap
       if (!!args.recovery) {
@@ -158,27 +199,19 @@ module.exports = (args, cbk) => {
         return cbk([400, 'InsufficientInboundLiquidityToReceiveSwapOffchain']);
       }
 
-      return getSwapInQuote({
-        metadata: getService.metadata,
-        service: getService.service,
-        tokens: args.tokens,
-      },
-      cbk);
+      return getProvider.provider.getSwapInQuote({tokens: args.tokens}, cbk);
     }],
 
     // Create an invoice
-    createInvoice: ['getLimits', 'getQuote', ({getLimits, getQuote}, cbk) => {
+    createInvoice: [
+      'decodeRecovery',
+      'getLimits',
+      'getQuote',
+      ({decodeRecovery, getLimits, getQuote}, cbk) =>
+    {
       // Exit early when we're recovering an existing swap
       if (!!args.recovery) {
-        return (async () => {
-          try {
-            const {id} = await decodeSwapRecovery({recovery: args.recovery});
-
-            return getInvoice({id, lnd: args.lnd}, cbk);
-          } catch (err) {
-            return cbk([400, 'FailedToDecodeSwapRecovery', {err}]);
-          }
-        })();
+        return getInvoice({id: decodeRecovery.swap.id, lnd: args.lnd}, cbk);
       }
 
       if (args.tokens > getLimits.max_tokens) {
@@ -206,12 +239,21 @@ module.exports = (args, cbk) => {
     }],
 
     // Create probe invoice
-    createProbeInvoice: ['createInvoice', ({createInvoice}, cbk) => {
+    createProbeInvoice: [
+      'createInvoice',
+      'getProvider',
+      ({createInvoice, getProvider}, cbk) =>
+    {
       // Exit early when we're recovering an existing swap
       if (!!args.recovery) {
         return cbk();
       }
 
+      // Exit early when the swap service does not probe before the swap
+      if (!getProvider.provider.is_probing) {
+        return cbk();
+      }
+
       // The probe invoice has a hash deterministically derived from the swap
       const hashedHash = sha256(Buffer.from(createInvoice.id, 'hex'));
 
@@ -267,29 +309,30 @@ module.exports = (args, cbk) => {
     createSwap: [
       'createInvoice',
       'createProbeInvoice',
+      'getProvider',
       'getQuote',
-      'getService',
-      ({createInvoice, createProbeInvoice, getQuote, getService}, cbk) =>
+      ({createInvoice, createProbeInvoice, getProvider, getQuote}, cbk) =>
     {
       // Exit early when we're recovering an existing swap
       if (!!args.recovery) {
         return cbk();
       }
 
-      if (!!getService.paid && !!getService.token) {
+      const probe = createProbeInvoice;
+      const {provider} = getProvider;
+
+      if (!!provider.paid && !!provider.token) {
         args.logger.info({
-          amount_paid_for_api_key: bigFormat(getService.paid),
-          service_api_key: getService.token,
+          amount_paid_for_api_key: bigFormat(provider.paid),
+          service_api_key: provider.token,
         });
       }
 
-      return createSwapIn({
+      return provider.createSwapIn({
         fee: getQuote.fee,
         in_through: args.in_through,
-        metadata: getService.metadata,
-        probe_request: createProbeInvoice.request,
+        probe_request: !!probe ? probe.request : undefined,
         request: createInvoice.request,
-        service: getService.service,
       },
       cbk);
     }],
@@ -297,9 +340,11 @@ module.exports = (args, cbk) => {
     // Swap details
     swap: [
       'createSwap',
+      'decodeRecovery',
       'getInfo',
       'getNetwork',
-      async ({createSwap, getInfo, getNetwork}) =>
+      'getProvider',
+      async ({createSwap, decodeRecovery, getInfo, getNetwork, getProvider}) =>
     {
       // Exit early when no swap is taking place
       if (!args.recovery && !createSwap) {
@@ -310,14 +355,25 @@ module.exports = (args, cbk) => {
 
       // Exit early when recovery details are specified
       if (!!args.recovery) {
-        const recovery = await decodeSwapRecovery({recovery: args.recovery});
-
-        const {address} = addressForScript({network, script: recovery.script});
+        const recovery = decodeRecovery.swap;
+
+        // Boltz swap addresses are derived from the swap tree
+        const {address} = decodeRecovery.provider !== boltzProvider ?
+          addressForScript({network, script: recovery.script}) :
+          boltzSwapTree({
+            network,
+            claim_public_key: recovery.claim_public_key,
+            id: recovery.id,
+            refund_public_key: recovery.refund_public_key,
+            timeout: recovery.timeout,
+            type: boltzSwapType,
+          });
 
         return {
           address,
           claim_public_key: recovery.claim_public_key,
           id: recovery.id,
+          provider: decodeRecovery.provider,
           refund_private_key: recovery.refund_private_key,
           script: recovery.script,
           start_height: recovery.start_height,
@@ -327,7 +383,10 @@ module.exports = (args, cbk) => {
         };
       }
 
-      const isTest = !!args.is_refund_test;
+      const {provider} = getProvider;
+
+      // Boltz swap trees commit to the service timeout so it cannot be altered
+      const isTest = !!args.is_refund_test && provider.type !== boltzProvider;
 
       const cltv = !isTest ? createSwap.timeout : getInfo.current_block_height;
 
@@ -335,6 +394,7 @@ module.exports = (args, cbk) => {
         address: createSwap.address,
         claim_public_key: createSwap.service_public_key,
         id: createSwap.id,
+        provider: provider.type,
         refund_private_key: createSwap.private_key,
         script: createSwap.script,
         start_height: getInfo.current_block_height,
@@ -361,6 +421,20 @@ module.exports = (args, cbk) => {
       }
 
       try {
+        // Exit early when the swap is with Boltz
+        if (swap.provider === boltzProvider) {
+          const {recovery} = encodeBoltzSwapRecovery({
+            claim_public_key: swap.claim_public_key,
+            id: swap.id,
+            refund_private_key: swap.refund_private_key,
+            start_height: getInfo.current_block_height,
+            timeout: swap.timeout,
+            tokens: swap.tokens,
+          });
+
+          return cbk(null, recovery);
+        }
+
         const {recovery} = encodeSwapRecovery({
           claim_public_key: swap.claim_public_key,
           id: swap.id,
@@ -377,6 +451,42 @@ module.exports = (args, cbk) => {
       }
     }],
 
+    // Details of the swap to record in the swap journal
+    journal: ['getNetwork', 'swap', ({getNetwork, swap}, cbk) => {
+      // Exit early when no swap is taking place
+      if (!swap) {
+        return cbk();
+      }
+
+      return cbk(null, {
+        address: swap.address,
+        id: swap.id,
+        network: getNetwork.network,
+        node: args.node,
+        provider: swap.provider || loopProvider,
+        recovery: args.recovery,
+        start_height: swap.start_height,
+        timeout: swap.timeout,
+        tokens: swap.tokens,
+        type: 'in',
+      });
+    }],
+
+    // Record the swap so that it can be resumed if it is interrupted
+    recordCreated: ['journal', 'recovery', ({journal, recovery}, cbk) => {
+      // Exit early when the swap was already created
+      if (!!args.recovery || !journal) {
+        return cbk();
+      }
+
+      return recordSwap(assign({}, journal, {
+        recovery,
+        fs: args.fs,
+        state: 'created',
+      }),
+      cbk);
+    }],
+
     // Find in deposit in mempool
     findDepositInMempool: [
       'createInvoice',
@@ -432,6 +542,25 @@ module.exports = (args, cbk) => {
       cbk);
     }],
 
+    // Record that the deposit was found
+    recordDeposit: [
+      'findDeposit',
+      'journal',
+      'recordCreated',
+      ({findDeposit, journal}, cbk) =>
+    {
+      // Exit early when there is no deposit or the swap already completed
+      if (!findDeposit || !!isSuccessfulSwap) {
+        return cbk();
+      }
+
+      return recordSwap(assign({}, journal, {
+        fs: args.fs,
+        state: 'deposit_found',
+      }),
+      cbk);
+    }],
+
     // Get chain fee rate
     getFeeRate: ['swap', ({swap}, cbk) => {
       return getChainFeeRate({
@@ -444,16 +573,45 @@ module.exports = (args, cbk) => {
     // Refund transaction
     refund: [
       'chainAddress',
+      'ecp',
       'findDeposit',
       'getFeeRate',
       'getNetwork',
       'swap',
-      ({chainAddress, findDeposit, getFeeRate, getNetwork, swap}, cbk) =>
+      ({chainAddress, ecp, findDeposit, getFeeRate, getNetwork, swap}, cbk) =>
     {
       if (!findDeposit || !!isSuccessfulSwap) {
         return cbk();
       }
 
+      // Exit early when refunding a Boltz swap
+      if (swap.provider === boltzProvider) {
+        try {
+          const {transaction} = boltzRefundTransaction({
+            ecp,
+            claim_public_key: swap.claim_public_key,
+            fee_tokens_per_vbyte: getFeeRate.tokens_per_vbyte,
+            id: swap.id,
+            network: getNetwork.network,
+            private_key: swap.refund_private_key,
+            sweep_address: args.refund_address || chainAddress.address,
+            timeout: swap.timeout,
+            tokens: swap.tokens,
+            transaction_id: findDeposit.transaction_id,
+            transaction_vout: findDeposit.transaction_vout,
+          });
+
+          args.logger.info({
+            refund_height: swap.timeout,
+            refund_transaction: transaction,
+          });
+
+          return cbk(null, transaction);
+        } catch (err) {
+          return cbk([500, 'FailedToMakeBoltzRefundTransaction', {err}]);
+        }
+      }
+
       const {transaction} = refundTransaction({
         block_height: swap.timeout,
         fee_tokens_per_vbyte: getFeeRate.tokens_per_vbyte,
@@ -509,9 +667,9 @@ module.exports = (args, cbk) => {
     // Refund broadcast
     refundBroadcast: [
       'broadcastRefund',
-      'getInfo',
-      'swap',
-      ({broadcastRefund, getInfo, swap}, cbk) =>
+      'journal',
+      'recordDeposit',
+      ({broadcastRefund, journal}, cbk) =>
     {
       if (!args.recovery || !broadcastRefund) {
         return cbk();
@@ -521,7 +679,12 @@ module.exports = (args, cbk) => {
         refund_transaction_id: broadcastRefund.transaction_id,
       });
 
-      return cbk();
+      return recordSwap(assign({}, journal, {
+        fs: args.fs,
+        state: 'refunded',
+        transaction_id: broadcastRefund.transaction_id,
+      }),
+      cbk);
     }],
 
     // Wait for payment
@@ -529,9 +692,11 @@ module.exports = (args, cbk) => {
       'createInvoice',
       'getInfo',
       'getNetwork',
+      'journal',
+      'recordCreated',
       'recovery',
       'swap',
-      ({createInvoice, getInfo, getNetwork, recovery, swap}, cbk) =>
+      ({createInvoice, getInfo, getNetwork, journal, recovery, swap}, cbk) =>
     {
       if (!createInvoice || !swap || !!args.recovery) {
         return cbk();
@@ -541,16 +706,16 @@ module.exports = (args, cbk) => {
       let foundTx = false;
       const startHeight = getInfo.current_block_height;
 
-      const url = `bitcoin:${swap.address}?amount=${bigFormat(args.tokens)}`;
+      const url = `bitcoin:${swap.address}?amount=${bigFormat(swap.tokens)}`;
 
       qrcode.generate(url, {small: true}, qr => {
         return args.logger.info({
           swap: {
             send_to_address: swap.address,
-            send_exact_amount: bigFormat(args.tokens),
+            send_exact_amount: bigFormat(swap.tokens),
             send_to_qr: qr,
           },
-          swap_service_fee: args.tokens - createInvoice.tokens,
+          swap_service_fee: swap.tokens - createInvoice.tokens,
           refund_recovery_secret: recovery,
           timing: {
             earliest_completion: moment(now() + msPerBlock).fromNow(),
@@ -576,15 +741,24 @@ module.exports = (args, cbk) => {
 
         isSuccessfulSwap = true;
 
+        const serviceFee = swap.tokens - invoice.received;
+
         args.logger.info({
           swap_successful: {
             completed: moment(invoice.confirmed_at).calendar(),
             received_offchain: bigFormat(invoice.received),
-            service_fee_paid: bigFormat(args.tokens - invoice.received),
+            service_fee_paid: bigFormat(serviceFee),
           },
         });
 
-        return finished();
+        sub.removeAllListeners();
+
+        return recordSwap(assign({}, journal, {
+          fees: {service: serviceFee, total: serviceFee},
+          fs: args.fs,
+          state: 'completed',
+        }),
+        cbk);
       });
 
       return;
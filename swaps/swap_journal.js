@@ -0,0 +1,106 @@
+const asyncAuto = require('async/auto');
+const {formatTokens} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const getSwapRecords = require('./get_swap_records');
+
+const header = [
+  'Swap',
+  'Type',
+  'Provider',
+  'Amount',
+  'Fees',
+  'State',
+  'Updated',
+];
+const tokens = n => n === undefined ? '' : formatTokens({tokens: n}).display;
+
+/** List the swaps recorded in the swap journal or show a recorded swap
+
+  {
+    fs: {
+      getDirectoryFiles: <Read Directory Contents Function> (path, cbk) => {}
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [id]: <Swap Hash Hex String>
+  }
+
+  @returns via cbk or Promise
+  {
+    [rows]: [[<Table Cell String>]]
+    [swap]: {
+      [address]: <Swap Deposit Address String>
+      created_at: <Swap Created At ISO 8601 Date String>
+      [fees]: {
+        [chain]: <Chain Fee Tokens Number>
+        [routing]: <Routing Fee Tokens Number>
+        [service]: <Service Fee Tokens Number>
+        total: <Total Fee Tokens Number>
+      }
+      id: <Swap Hash Hex String>
+      [network]: <Network Name String>
+      [node]: <Saved Node Name String>
+      [provider]: <Swap Provider Type String>
+      [recovery]: <Swap Recovery Hex String>
+      [start_height]: <Swap Start Height Number>
+      state: <Swap State String>
+      [timeout]: <Swap Timeout Height Number>
+      [tokens]: <Swap Deposit Tokens Number>
+      [transaction_id]: <Sweep or Refund Transaction Id Hex String>
+      [type]: <Swap Type String>
+      transitions: [{
+        at: <State Changed At ISO 8601 Date String>
+        state: <Swap State String>
+      }]
+    }
+  }
+*/
+module.exports = ({fs, id}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToListSwapJournal']);
+        }
+
+        return cbk();
+      },
+
+      // Get the recorded swaps
+      getRecords: ['validate', ({}, cbk) => getSwapRecords({fs}, cbk)],
+
+      // Final swaps
+      swaps: ['getRecords', ({getRecords}, cbk) => {
+        // Exit early when showing a specific swap
+        if (!!id) {
+          const swap = getRecords.records.find(n => n.id === id);
+
+          if (!swap) {
+            return cbk([404, 'FailedToFindRecordedSwap']);
+          }
+
+          return cbk(null, {swap});
+        }
+
+        const rows = getRecords.records.map(record => {
+          const [last] = record.transitions.slice().reverse();
+
+          return [
+            record.id,
+            record.type || '',
+            record.provider || '',
+            tokens(record.tokens),
+            tokens(!!record.fees ? record.fees.total : undefined),
+            record.state,
+            moment(last.at).fromNow(),
+          ];
+        });
+
+        return cbk(null, {rows: [header].concat(rows)});
+      }],
+    },
+    returnResult({reject, resolve, of: 'swaps'}, cbk));
+  });
+};
@@ -5,11 +5,9 @@ const asyncAuto = require('async/auto');
 const asyncMap = require('async/map');
 const asyncTimesSeries = require('async/timesSeries');
 const {attemptSweep} = require('goldengate');
-const {cancelSwapOut} = require('goldengate');
 const {checkSwapTiming} = require('goldengate');
 const {createChainAddress} = require('ln-service');
 const {createInvoice} = require('ln-service');
-const {createSwapOut} = require('goldengate');
 const {decodeSwapRecovery} = require('goldengate');
 const {encodeSwapRecovery} = require('goldengate');
 const {decodePaymentRequest} = require('ln-service');
@@ -24,29 +22,28 @@ const {getNetwork} = require('ln-sync');
 const {getNode} = require('ln-service');
 const {getNodeAlias} = require('ln-sync');
 const {getPayment} = require('ln-service');
-const {getSwapOutQuote} = require('goldengate');
-const {getSwapOutTerms} = require('goldengate');
 const {getSyntheticOutIgnores} = require('probing');
-const {lightningLabsSwapService} = require('goldengate');
 const moment = require('moment');
 const {payViaRoutes} = require('ln-service');
-const {releaseSwapOutSecret} = require('goldengate');
 const {returnResult} = require('asyncjs-util');
 const {subscribeToBlocks} = require('ln-service');
 const {subscribeToMultiPathPay} = require('probing');
 const {subscribeToMultiPathProbe} = require('probing');
 const {subscribeToPastPayment} = require('ln-service');
 const {subscribeToPayViaRequest} = require('ln-service');
-const {subscribeToSwapOutStatus} = require('goldengate');
 const {Transaction} = require('bitcoinjs-lib');
 
+const attemptBoltzSweep = require('./attempt_boltz_sweep');
 const {authenticatedLnd} = require('./../lnd');
+const boltzSwapTree = require('./boltz_swap_tree');
 const {chains} = require('./../network/networks');
 const channelForSend = require('./channel_for_send');
 const {cltvDeltaBuffer} = require('./constants');
 const {currencySymbols} = require('./../network/networks');
+const decodeBoltzSwapRecovery = require('./decode_boltz_swap_recovery');
 const {describeRoute} = require('./../display');
 const {describeRoutingFailure} = require('./../display');
+const encodeBoltzSwapRecovery = require('./encode_boltz_swap_recovery');
 const {estimatedSweepVbytes} = require('./constants');
 const {executeProbe} = require('./../network');
 const {fastDelayMinutes} = require('./constants');
@@ -55,8 +52,8 @@ const {fuzzBlocks} = require('./constants');
 const {getIcons} = require('./../display');
 const {getIgnores} = require('./../routing');
 const getRoutesForFunding = require('./get_routes_for_funding');
-const getPaidService = require('./get_paid_service');
 const getRawRecoveries = require('./get_raw_recoveries');
+const getSwapProvider = require('./get_swap_provider');
 const {getTags} = require('./../tags');
 const {maxCltvExpiration} = require('./constants');
 const {maxDepositTokens} = require('./constants');
@@ -70,12 +67,16 @@ const {minCltvDelta} = require('./constants');
 const {minConfs} = require('./constants');
 const {minSweepConfs} = require('./constants');
 const {minutesPerBlock} = require('./constants');
+const recordSwap = require('./record_swap');
 const {requiredBufferBlocks} = require('./constants');
 const {slowDelayMinutes} = require('./constants');
 const {swappable} = require('./../network/networks');
 const {sweepProgressLogDelayMs} = require('./constants');
 
 const addressMatch = /\b((bc|tb)(0([ac-hj-np-z02-9]{39}|[ac-hj-np-z02-9]{59})|1[ac-hj-np-z02-9]{8,87})|([13]|[mn2])[a-km-zA-HJ-NP-Z1-9]{25,39})\b/i;
+const {assign} = Object;
+const boltzProvider = 'boltz';
+const boltzSwapType = 'reverse';
 const {ceil} = Math;
 const cltvBuffer = 3;
 const farFutureDate = () => moment().add(1, 'years').toISOString();
@@ -103,6 +104,8 @@ const uniq = arr => Array.from(new Set(arr));
     fetch: <Fetch Function>
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
     }
     [is_fast]: <Execute Swap Immediately Bool>
     [is_dry_run]: <Avoid Actually Executing Operation Bool>
@@ -116,6 +119,7 @@ const uniq = arr => Array.from(new Set(arr));
     [node]: <Node Name String>
     [out_address]: <Out Address String>
     [peer]: <Peer Public Key Hex String>
+    [provider]: <Swap Provider Type String>
     [recovery]: <Recover In-Progress Swap Hex String>
     request: <Request Function>
     [socket]: <Custom Backing Service Host:Port String>
@@ -237,7 +241,7 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
-        return getTags({fs: args.fs}, cbk);
+        return getTags({fs: args.fs, lnd: args.lnd}, cbk);
       }],
 
       // Get peer details
@@ -255,6 +259,18 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        const boltz = decodeBoltzSwapRecovery({recovery: args.recovery});
+
+        // Boltz swap ins are recovered with a refund key instead of a claim key
+        if (!!boltz.swap && !boltz.swap.claim_private_key) {
+          return cbk([400, 'ExpectedSwapOutRecoveryToRecoverBoltzSwapOut']);
+        }
+
+        // Exit early when this is a Boltz swap recovery
+        if (!!boltz.swap) {
+          return cbk(null, assign({provider: boltzProvider}, boltz.swap));
+        }
+
         return decodeSwapRecovery({recovery: args.recovery}, cbk);
       }],
 
@@ -374,6 +390,24 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        // Exit early when the swap is a Boltz swap with a Taproot swap tree
+        if (recover.provider === boltzProvider) {
+          try {
+            const tree = boltzSwapTree({
+              network,
+              claim_public_key: recover.claim_public_key,
+              id: recover.id,
+              refund_public_key: recover.refund_public_key,
+              timeout: recover.timeout,
+              type: boltzSwapType,
+            });
+
+            return cbk(null, tree);
+          } catch (err) {
+            return cbk([400, 'FailedToDeriveSwapAddress', {err}]);
+          }
+        }
+
         try {
           addressForScript({network, script: recover.script})
         } catch (err) {
@@ -382,25 +416,20 @@ module.exports = (args, cbk) => {
 
         const {address} = addressForScript({network, script: recover.script});
 
-        return cbk(null, address);
+        return cbk(null, {address});
       }],
 
-      // Get a paid service object, or convert prepaid token to service object
-      getService: [
-        'network',
-        'recover',
-        'recoverAddress',
-        ({network}, cbk) =>
-      {
+      // Get the swap provider, paying for a service token when necessary
+      getProvider: ['network', 'recover', 'recoverAddress', ({}, cbk) => {
         // Exit early when the swap is already initiated
         if (!!args.recovery) {
           return cbk();
         }
 
-        return getPaidService({
-          network,
+        return getSwapProvider({
           fetch: args.fetch,
           lnd: args.lnd,
+          provider: args.provider,
           socket: args.socket,
           token: args.api_key,
         },
@@ -408,25 +437,21 @@ module.exports = (args, cbk) => {
       }],
 
       // Get swap out limits
-      getLimits: ['getService', ({getService}, cbk) => {
+      getLimits: ['getProvider', ({getProvider}, cbk) => {
         // Exit early when in recovery
         if (!!args.recovery) {
           return cbk();
         }
 
-        return getSwapOutTerms({
-          metadata: getService.metadata,
-          service: getService.service,
-        },
-        cbk);
+        return getProvider.provider.getSwapOutTerms({}, cbk);
       }],
 
       // Get the quote for swaps
       getQuote: [
         'getLimits',
-        'getService',
+        'getProvider',
         'startHeight',
-        ({getLimits, getService, startHeight}, cbk) =>
+        ({getLimits, getProvider, startHeight}, cbk) =>
       {
         // Exit early when this is a recovery of an existing swap
         if (!!args.recovery) {
@@ -443,10 +468,8 @@ module.exports = (args, cbk) => {
 
         const fundAt = moment().add(swapDelayMinutes(args.is_fast), 'minutes');
 
-        return getSwapOutQuote({
+        return getProvider.provider.getSwapOutQuote({
           delay: !args.is_fast ? fundAt.toISOString() : undefined,
-          metadata: getService.metadata,
-          service: getService.service,
           timeout: getLimits.max_cltv_delta + startHeight,
           tokens: args.tokens,
         },
@@ -514,17 +537,20 @@ module.exports = (args, cbk) => {
       // Request a new swap out
       initiateSwap: [
         'checkQuote',
-        'getService',
+        'getProvider',
         'getTimeout',
         'network',
         'recover',
         'recoverAddress',
-        ({getService, getTimeout, network, recover, recoverAddress}, cbk) =>
+        ({getProvider, getTimeout, network, recover, recoverAddress}, cbk) =>
       {
         // Exit early when the swap is already initiated
         if (!!args.recovery) {
           return cbk(null, {
-            address: recoverAddress,
+            address: recoverAddress.address,
+            claim_control_block: recoverAddress.claim_control_block,
+            claim_script: recoverAddress.claim_script,
+            output_script: recoverAddress.output_script,
             private_key: recover.claim_private_key,
             script: recover.script,
             secret: recover.secret,
@@ -534,21 +560,21 @@ module.exports = (args, cbk) => {
           });
         }
 
-        if (!!getService.paid && !!getService.token) {
+        const {provider} = getProvider;
+
+        if (!!provider.paid && !!provider.token) {
           args.logger.info({
-            amount_paid_for_api_key: tokensAsBigUnit(getService.paid),
-            service_api_key: getService.token,
-            service_user_id: getService.id,
+            amount_paid_for_api_key: tokensAsBigUnit(provider.paid),
+            service_api_key: provider.token,
+            service_user_id: provider.id,
           });
         }
 
         const fundAt = moment().add(swapDelayMinutes(args.is_fast), 'minutes');
 
-        return createSwapOut({
+        return provider.createSwapOut({
           network,
           fund_at: fundAt.toISOString(),
-          metadata: getService.metadata,
-          service: getService.service,
           timeout: getTimeout,
           tokens: args.tokens,
         },
@@ -561,6 +587,11 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        // Exit early when the service does not ask for an up-front payment
+        if (!initiateSwap.swap_execute_request) {
+          return cbk();
+        }
+
         return decodePaymentRequest({
           lnd: args.lnd,
           request: initiateSwap.swap_execute_request,
@@ -568,16 +599,41 @@ module.exports = (args, cbk) => {
         cbk);
       }],
 
+      // Details of the swap to record in the swap journal
+      journal: [
+        'getProvider',
+        'initiateSwap',
+        'network',
+        'recover',
+        'startHeight',
+        ({getProvider, initiateSwap, network, recover, startHeight}, cbk) =>
+      {
+        return cbk(null, {
+          network,
+          address: initiateSwap.address,
+          id: sha256(initiateSwap.secret).digest('hex'),
+          node: args.node,
+          provider: !!getProvider ? getProvider.provider.type : undefined,
+          recovery: args.recovery,
+          start_height: startHeight,
+          timeout: initiateSwap.timeout,
+          tokens: !recover ? args.tokens : recover.tokens,
+          type: 'out',
+        });
+      }],
+
       // Check swap
       checkSwap: [
         'createAddress',
         'decodeExecutionRequest',
         'initiateSwap',
+        'journal',
         'startHeight',
         ({
           createAddress,
           decodeExecutionRequest,
           initiateSwap,
+          journal,
           startHeight,
         },
         cbk) =>
@@ -587,11 +643,17 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        const encode = journal.provider === boltzProvider ?
+          encodeBoltzSwapRecovery : encodeSwapRecovery;
+
+        let recovery;
+
         // Output a recovery blob that can be used to restart the swap
         try {
-          const {recovery} = encodeSwapRecovery({
+          recovery = encode({
             claim_private_key: initiateSwap.private_key,
-            execution_id: decodeExecutionRequest.id,
+            execution_id: (decodeExecutionRequest || {}).id,
+            id: journal.id,
             refund_public_key: initiateSwap.service_public_key,
             secret: initiateSwap.secret,
             start_height: startHeight,
@@ -599,11 +661,9 @@ module.exports = (args, cbk) => {
             timeout: initiateSwap.timeout,
             tokens: args.tokens,
             version: initiateSwap.version,
-          });
+          }).recovery.toString('hex');
 
-          args.logger.info({
-            restart_recovery_secret: recovery.toString('hex'),
-          });
+          args.logger.info({restart_recovery_secret: recovery});
         } catch (err) {
           return cbk([500, 'UnexpectedErrorGeneratingRecoveryState', {err}]);
         }
@@ -620,7 +680,13 @@ module.exports = (args, cbk) => {
           return cbk([503, 'InsufficientTimeAvailableToCompleteSwap', {err}]);
         }
 
-        return cbk();
+        // Record the swap so that it can be resumed if it is interrupted
+        return recordSwap(assign({}, journal, {
+          recovery,
+          fs: args.fs,
+          state: 'created',
+        }),
+        cbk);
       }],
 
       // Decode funding request
@@ -639,17 +705,15 @@ module.exports = (args, cbk) => {
       // Track server swap status
       trackStatus: [
         'decodeFundingRequest',
-        'getService',
-        ({decodeFundingRequest, getService}, cbk) =>
+        'getProvider',
+        ({decodeFundingRequest, getProvider}, cbk) =>
       {
         if (!!args.recovery) {
           return cbk();
         }
 
-        const sub = subscribeToSwapOutStatus({
+        const sub = getProvider.provider.subscribeToSwapOutStatus({
           id: decodeFundingRequest.id,
-          metadata: getService.metadata,
-          service: getService.service,
         });
 
         const swap = {};
@@ -684,7 +748,7 @@ module.exports = (args, cbk) => {
         }
 
         // Check that the no-strings-attached prepay is as quoted
-        if (decodeExecutionRequest.tokens !== getQuote.deposit) {
+        if ((decodeExecutionRequest || {}).tokens !== getQuote.deposit) {
           return cbk([503, 'UnexpectedUnilateralDepositTokensAmount']);
         }
 
@@ -702,14 +766,14 @@ module.exports = (args, cbk) => {
         'decodeFundingRequest',
         'getIcons',
         'getIgnores',
-        'getService',
+        'getProvider',
         ({
           channel,
           decodeExecutionRequest,
           decodeFundingRequest,
           getIcons,
           getIgnores,
-          getService,
+          getProvider,
         },
         cbk) =>
       {
@@ -718,6 +782,11 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        // Exit early when there is no up-front payment to make
+        if (!decodeExecutionRequest) {
+          return cbk();
+        }
+
         const isFeatured = !!decodeExecutionRequest.features.length;
 
         return executeProbe({
@@ -737,11 +806,9 @@ module.exports = (args, cbk) => {
         },
         (err, res) => {
           if (!!err || !res.route) {
-            return cancelSwapOut({
+            return getProvider.provider.cancelSwapOut({
               id: decodeFundingRequest.id,
-              metadata: getService.metadata,
               payment: decodeFundingRequest.payment,
-              service: getService.service,
             },
             () => {
               if (!!err) {
@@ -791,8 +858,8 @@ module.exports = (args, cbk) => {
         'decodeFundingRequest',
         'getGateways',
         'getIgnores',
-        'getService',
-        ({decodeFundingRequest, getGateways, getIgnores, getService}, cbk) =>
+        'getProvider',
+        ({decodeFundingRequest, getGateways, getIgnores, getProvider}, cbk) =>
       {
         if (!!args.recovery) {
           return cbk();
@@ -862,11 +929,9 @@ module.exports = (args, cbk) => {
           const liquidity = paths.reduce((m, n) => m + n.liquidity, Number());
 
           if (decodeFundingRequest.tokens > liquidity) {
-            return cancelSwapOut({
+            return getProvider.provider.cancelSwapOut({
               id: decodeFundingRequest.id,
-              metadata: getService.metadata,
               payment: decodeFundingRequest.payment,
-              service: getService.service,
             },
             () => {
               return cbk([
@@ -888,14 +953,14 @@ module.exports = (args, cbk) => {
         'findPeer',
         'getFundingRoutes',
         'getIgnores',
-        'getService',
+        'getProvider',
         'initiateSwap',
         ({
           channel,
           decodeFundingRequest,
           findPeer,
           getIgnores,
-          getService,
+          getProvider,
           initiateSwap,
         },
         cbk) =>
@@ -931,11 +996,9 @@ module.exports = (args, cbk) => {
         },
         (err, res) => {
           if (!!err) {
-            return cancelSwapOut({
+            return getProvider.provider.cancelSwapOut({
               id: decodeFundingRequest.id,
-              metadata: getService.metadata,
               payment: decodeFundingRequest.payment,
-              service: getService.service,
             },
             () => cbk(err, res));
           }
@@ -1029,7 +1092,7 @@ module.exports = (args, cbk) => {
         'findRoutesForFunding',
         'getFundingRoutes',
         'getLimits',
-        'getService',
+        'getProvider',
         'getSwapPeers',
         'getQuote',
         ({
@@ -1040,7 +1103,7 @@ module.exports = (args, cbk) => {
           findRoutesForFunding,
           getFundingRoutes,
           getLimits,
-          getService,
+          getProvider,
           getSwapPeers,
         },
         cbk) =>
@@ -1054,8 +1117,10 @@ module.exports = (args, cbk) => {
           cbk);
         }
 
-        const executionRoutingFee = findRouteForExecution.fee || Number();
-        const executionSend = decodeExecutionRequest.tokens;
+        const execution = decodeExecutionRequest || {};
+        const executionRoute = findRouteForExecution || {};
+        const executionRoutingFee = executionRoute.fee || Number();
+        const executionSend = execution.tokens || Number();
         const fundingRoutingFee = (findRoutesForFunding || {}).fee || Number();
         const fundingSend = decodeFundingRequest.tokens;
         const increase = `${tokensAsBigUnit(args.tokens)} ${currency}`;
@@ -1094,11 +1159,9 @@ module.exports = (args, cbk) => {
           });
 
           if (!!args.is_dry_run) {
-            return cancelSwapOut({
+            return getProvider.provider.cancelSwapOut({
               id: decodeFundingRequest.id,
-              metadata: getService.metadata,
               payment: decodeFundingRequest.payment,
-              service: getService.service,
             },
             err => {
               return cbk([500, 'InboundLiquidityIncreaseDryRun']);
@@ -1237,6 +1300,11 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        // Exit early when there is no up-front payment to make
+        if (!decodeExecutionRequest) {
+          return cbk();
+        }
+
         const fundAt = moment().add(swapDelayMinutes(args.is_fast), 'minutes');
 
         args.logger.info({
@@ -1377,6 +1445,9 @@ module.exports = (args, cbk) => {
         ({findDeposit, initiateSwap}, cbk) =>
       {
         return cbk(null, {
+          claim_control_block: initiateSwap.claim_control_block,
+          claim_script: initiateSwap.claim_script,
+          output_script: initiateSwap.output_script,
           private_key: initiateSwap.private_key,
           script: initiateSwap.script,
           secret: initiateSwap.secret,
@@ -1386,6 +1457,15 @@ module.exports = (args, cbk) => {
         });
       }],
 
+      // Record that the deposit was found
+      recordDeposit: ['claim', 'journal', ({journal}, cbk) => {
+        return recordSwap(assign({}, journal, {
+          fs: args.fs,
+          state: 'deposit_found',
+        }),
+        cbk);
+      }],
+
       // Raw recovery
       rawRecovery: [
         'claim',
@@ -1413,6 +1493,13 @@ module.exports = (args, cbk) => {
           return cbk();
         }
 
+        // Exit early when the swap output is claimed through a Taproot leaf
+        if (!!claim.claim_script) {
+          args.logger.info({raw_recoveries: 'UnavailableForTaprootSwapOutput'});
+
+          return cbk();
+        }
+
         return getRawRecoveries({
           network,
           sends,
@@ -1447,10 +1534,11 @@ module.exports = (args, cbk) => {
         'createAddress',
         'depositHeight',
         'getMinSweepFee',
-        'getService',
+        'getProvider',
         'initiateSwap',
         'network',
         'rawRecovery',
+        'recordDeposit',
         'recover',
         'sends',
         'startHeight',
@@ -1459,7 +1547,7 @@ module.exports = (args, cbk) => {
           createAddress,
           depositHeight,
           getMinSweepFee,
-          getService,
+          getProvider,
           initiateSwap,
           network,
           recover,
@@ -1485,17 +1573,23 @@ module.exports = (args, cbk) => {
 
         const startingHeight = depositHeight || initiateSwap.start_height;
 
+        // Taproot swap outputs are claimed through the claim leaf
+        const attempt = !claim.claim_script ? attemptSweep : attemptBoltzSweep;
+
         // On every block, attempt a sweep
         blocksSubscription.on('block', ({height}) => {
-          return attemptSweep({
+          return attempt({
             network,
             sends,
             tokens,
+            claim_control_block: claim.claim_control_block,
+            claim_script: claim.claim_script,
             current_height: height,
             deadline_height: initiateSwap.timeout - args.confs,
             lnd: args.lnd,
             max_fee_multiplier: maxFeeMultiplier,
             min_fee_rate: getMinSweepFee.tokens_per_vbyte,
+            output_script: claim.output_script,
             private_key: claim.private_key,
             request: args.request,
             secret: claim.secret,
@@ -1535,14 +1629,12 @@ module.exports = (args, cbk) => {
               });
 
               // Exit early when the swap service is not available
-              if (!getService) {
+              if (!getProvider) {
                 return;
               }
 
-              return releaseSwapOutSecret({
-                metadata: getService.metadata,
+              return getProvider.provider.releaseSwapOutSecret({
                 secret: claim.secret,
-                service: getService.service,
               },
               err => {
                 // Suppress errors releasing secret
@@ -1570,7 +1662,10 @@ module.exports = (args, cbk) => {
             return cbk(err);
           }
 
-          return cbk(null, {output_tokens: res.output_tokens});
+          return cbk(null, {
+            output_tokens: res.output_tokens,
+            transaction_id: res.transaction_id,
+          });
         });
       }],
 
@@ -1625,7 +1720,12 @@ module.exports = (args, cbk) => {
       {
         const executionRequest = decodeExecutionRequest || {};
 
-        const id = executionRequest.id || recover.execution_id;
+        const id = executionRequest.id || (recover || {}).execution_id;
+
+        // Exit early when there was no up-front payment
+        if (!id) {
+          return cbk(null, {});
+        }
 
         return getPayment({id, lnd: args.lnd}, cbk);
       }],
@@ -1644,8 +1744,8 @@ module.exports = (args, cbk) => {
 
         const spentOffchain = spentOnPrepay + spentOnFunding;
 
-        const executionFee = BigInt(executionPayment.fee_mtokens);
-        const fundingFee = BigInt(fundingPayment.fee_mtokens);
+        const executionFee = BigInt(executionPayment.fee_mtokens || '0');
+        const fundingFee = BigInt(fundingPayment.fee_mtokens || '0');
 
         return cbk(null, {
           fee: (BigInt(executionFee) + BigInt(fundingFee)).toString(),
@@ -1657,10 +1757,11 @@ module.exports = (args, cbk) => {
       summary: [
         'currency',
         'getFundingPayment',
+        'journal',
         'sweep',
         'recover',
         'spentOffchain',
-        ({currency, sweep, recover, spentOffchain}, cbk) =>
+        ({currency, journal, sweep, recover, spentOffchain}, cbk) =>
       {
         const amountReceived = BigInt(sweep.output_tokens) * mtokPerTok;
         const offchainFee = (BigInt(spentOffchain.fee) / mtokPerTok);
@@ -1688,7 +1789,18 @@ module.exports = (args, cbk) => {
 
         args.logger.info(resolution);
 
-        return cbk();
+        return recordSwap(assign({}, journal, {
+          fees: {
+            chain: chainFee,
+            routing: routingFeeTokens,
+            service: serviceFee,
+            total: swapFee,
+          },
+          fs: args.fs,
+          state: 'completed',
+          transaction_id: sweep.transaction_id,
+        }),
+        cbk);
       }],
     },
     returnResult({reject, resolve, of: 'summary'}, cbk));
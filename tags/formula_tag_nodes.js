@@ -0,0 +1,145 @@
+const {isMatchingFilters} = require('./../display');
+const {peerFilterVariables} = require('./../display');
+
+const {isArray} = Array;
+const uniq = arr => Array.from(new Set(arr));
+
+/** Fill in the nodes of tags that are defined by a peer filter formula
+
+  Formula tags use the same variables as peer filters: age,
+  blocks_since_last_channel, capacity, disk_usage_mb, fee_earnings,
+  inbound_fee_rate, inbound_liquidity, outbound_liquidity
+
+  {
+    channels: [{
+      capacity: <Channel Capacity Tokens Number>
+      id: <Standard Format Channel Id String>
+      local_balance: <Local Balance Tokens Number>
+      partner_public_key: <Peer Public Key Hex String>
+      past_states: <Total Count of Past Channel States Number>
+      remote_balance: <Remote Balance Tokens Number>
+    }]
+    closed: [{
+      [id]: <Standard Format Channel Id String>
+      partner_public_key: <Peer Public Key Hex String>
+    }]
+    forwards: [{
+      fee_mtokens: <Forward Fee Millitokens Earned String>
+      incoming_channel: <Standard Format Incoming Channel Id String>
+      outgoing_channel: <Standard Format Outgoing Channel Id String>
+    }]
+    height: <Current Block Height Number>
+    pending: [{
+      is_opening: <Channel Is Opening Bool>
+      local_balance: <Local Balance Tokens Number>
+      partner_public_key: <Peer Public Key Hex String>
+      remote_balance: <Remote Balance Tokens Number>
+    }]
+    policies: [{
+      [fee_rate]: <Fee Rate Parts Per Million Number>
+      public_key: <Policy Public Key Hex String>
+    }]
+    tags: [{
+      [alias]: <Tag Alias String>
+      [formula]: <Peer Filter Formula String>
+      id: <Tag Id Hex String>
+      [nodes]: [<Public Key Hex String>]
+    }]
+  }
+
+  @returns
+  {
+    [failure]: {
+      error: <Error String>
+      formula: <Errored Formula String>
+      tag: <Tag Alias or Id String>
+    }
+    [tags]: [{
+      [alias]: <Tag Alias String>
+      [formula]: <Peer Filter Formula String>
+      id: <Tag Id Hex String>
+      [nodes]: [<Public Key Hex String>]
+    }]
+  }
+*/
+module.exports = args => {
+  const keys = uniq(args.channels.map(n => n.partner_public_key));
+
+  const peers = keys.map(key => {
+    const active = args.channels.filter(n => n.partner_public_key === key);
+
+    const closed = args.closed.filter(n => {
+      return !!n.id && n.partner_public_key === key;
+    });
+
+    const feeRates = args.policies
+      .filter(n => n.public_key === key)
+      .map(n => n.fee_rate)
+      .filter(n => n !== undefined);
+
+    const pending = args.pending.filter(n => {
+      return !!n.is_opening && n.partner_public_key === key;
+    });
+
+    const {variables} = peerFilterVariables({
+      pending,
+      channels: active,
+      fee_rates: feeRates,
+      forwards: args.forwards,
+      height: args.height,
+      ids: [].concat(closed).concat(active).map(n => n.id),
+    });
+
+    return {variables, public_key: key};
+  });
+
+  const evaluated = args.tags.map(tag => {
+    // Exit early when the tag is a static list of nodes
+    if (!tag.formula) {
+      return {tag};
+    }
+
+    const matching = peers.map(({variables}) => {
+      return isMatchingFilters({variables, filters: [tag.formula]});
+    });
+
+    const [failure] = matching.filter(n => !!n.failure).map(n => n.failure);
+
+    // Exit early when the formula cannot be evaluated
+    if (!!failure) {
+      return {
+        failure: {
+          error: failure.error,
+          formula: failure.formula,
+          tag: tag.alias || tag.id,
+        },
+      };
+    }
+
+    const matches = peers
+      .filter((peer, i) => !!matching[i].is_matching)
+      .map(n => n.public_key);
+
+    const nodes = isArray(tag.nodes) ? tag.nodes : [];
+
+    return {
+      tag: {
+        alias: tag.alias,
+        formula: tag.formula,
+        icon: tag.icon,
+        id: tag.id,
+        is_avoided: tag.is_avoided,
+        nodes: uniq([].concat(nodes).concat(matches)),
+      },
+    };
+  });
+
+  const [errored] = evaluated.filter(n => !!n.failure);
+
+  // Exit early when there was a tag formula that failed to evaluate
+  if (!!errored) {
+    return {failure: errored.failure};
+  }
+
+  return {tags: evaluated.map(n => n.tag)};
+};
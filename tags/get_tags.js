@@ -2,6 +2,7 @@ const asyncAuto = require('async/auto');
 const {returnResult} = require('asyncjs-util');
 
 const {homePath} = require('../storage');
+const resolveFormulaTags = require('./resolve_formula_tags');
 
 const defaultTags = {tags: []};
 const {isArray} = Array;
@@ -10,23 +11,27 @@ const tagFilePath = () => homePath({file: 'tags.json'}).path;
 
 /** Get tagged nodes
 
+  Nodes of tags defined by a peer filter formula are resolved when lnd is set
+
   {
     fs: {
       getFile: <Get File Function>
     }
+    [lnd]: <Authenticated LND API Object>
   }
 
   @returns via cbk or Promise
   {
     tags: [{
       alias: <Tag Alias String>
+      [formula]: <Peer Filter Formula String>
       id: <Tag Id String>
       [is_avoided]: <Avoid Node in Routing Bool>
       nodes: [<Node Public Key Hex String>]
     }]
   }
 */
-module.exports = ({fs}, cbk) => {
+module.exports = ({fs, lnd}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -60,7 +65,17 @@ module.exports = ({fs}, cbk) => {
           }
         });
       }],
+
+      // Resolve the nodes of formula tags
+      resolveTags: ['getTags', ({getTags}, cbk) => {
+        // Exit early when there is no node to resolve formulas against
+        if (!lnd) {
+          return cbk(null, getTags);
+        }
+
+        return resolveFormulaTags({lnd, tags: getTags.tags}, cbk);
+      }],
     },
-    returnResult({reject, resolve, of: 'getTags'}, cbk));
+    returnResult({reject, resolve, of: 'resolveTags'}, cbk));
   });
 };
@@ -1,3 +1,5 @@
+const formulaTagNodes = require('./formula_tag_nodes');
 const getTags = require('./get_tags');
+const resolveFormulaTags = require('./resolve_formula_tags');
 
-module.exports = {getTags};
+module.exports = {formulaTagNodes, getTags, resolveFormulaTags};
@@ -0,0 +1,178 @@
+const asyncAuto = require('async/auto');
+const asyncMap = require('async/map');
+const {getChannel} = require('ln-service');
+const {getChannels} = require('ln-service');
+const {getClosedChannels} = require('ln-service');
+const {getHeight} = require('ln-service');
+const {getPendingChannels} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const formulaTagNodes = require('./formula_tag_nodes');
+const getPastForwards = require('./../routing/get_past_forwards');
+
+const earningsDays = 30;
+const flatten = arr => [].concat(...arr);
+const hasEarnings = formula => /fee_earnings/gim.test(formula);
+const {isArray} = Array;
+
+/** Resolve the nodes of tags that are defined by a peer filter formula
+
+  Fee earnings in formulas are the fees earned over the past 30 days
+
+  {
+    lnd: <Authenticated LND API Object>
+    tags: [{
+      [alias]: <Tag Alias String>
+      [formula]: <Peer Filter Formula String>
+      id: <Tag Id Hex String>
+      [nodes]: [<Public Key Hex String>]
+    }]
+  }
+
+  @returns via cbk or Promise
+  {
+    tags: [{
+      [alias]: <Tag Alias String>
+      [formula]: <Peer Filter Formula String>
+      id: <Tag Id Hex String>
+      [nodes]: [<Public Key Hex String>]
+    }]
+  }
+*/
+module.exports = ({lnd, tags}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToResolveFormulaTags']);
+        }
+
+        if (!isArray(tags)) {
+          return cbk([400, 'ExpectedArrayOfTagsToResolveFormulaTags']);
+        }
+
+        return cbk();
+      },
+
+      // Formulas to evaluate
+      formulas: ['validate', ({}, cbk) => {
+        return cbk(null, tags.map(n => n.formula).filter(n => !!n));
+      }],
+
+      // Get the channels to evaluate the formulas against
+      getChannels: ['formulas', ({formulas}, cbk) => {
+        // Exit early when there are no formula tags
+        if (!formulas.length) {
+          return cbk(null, {channels: []});
+        }
+
+        return getChannels({lnd}, cbk);
+      }],
+
+      // Get the closed channels to determine channel ages
+      getClosed: ['formulas', ({formulas}, cbk) => {
+        // Exit early when there are no formula tags
+        if (!formulas.length) {
+          return cbk(null, {channels: []});
+        }
+
+        return getClosedChannels({lnd}, cbk);
+      }],
+
+      // Get the forwards to determine fee earnings
+      getForwards: ['formulas', ({formulas}, cbk) => {
+        // Exit early when no formula references fee earnings
+        if (!formulas.find(n => hasEarnings(n))) {
+          return cbk(null, {forwards: []});
+        }
+
+        return getPastForwards({lnd, days: earningsDays}, cbk);
+      }],
+
+      // Get the current block height to determine channel ages
+      getHeight: ['formulas', ({formulas}, cbk) => {
+        // Exit early when there are no formula tags
+        if (!formulas.length) {
+          return cbk(null, {current_block_height: Number()});
+        }
+
+        return getHeight({lnd}, cbk);
+      }],
+
+      // Get the pending channels to include opening channel liquidity
+      getPending: ['formulas', ({formulas}, cbk) => {
+        // Exit early when there are no formula tags
+        if (!formulas.length) {
+          return cbk(null, {pending_channels: []});
+        }
+
+        return getPendingChannels({lnd}, cbk);
+      }],
+
+      // Get the channel policies to determine inbound fee rates
+      getPolicies: ['getChannels', ({getChannels}, cbk) => {
+        return asyncMap(getChannels.channels, ({id}, cbk) => {
+          return getChannel({id, lnd}, (err, res) => {
+            const [errorCode] = err || [];
+
+            // Exit early when the policy is unknown
+            if (errorCode === 404) {
+              return cbk(null, []);
+            }
+
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, res.policies);
+          });
+        },
+        cbk);
+      }],
+
+      // Fill in the nodes of the formula tags
+      resolve: [
+        'formulas',
+        'getChannels',
+        'getClosed',
+        'getForwards',
+        'getHeight',
+        'getPending',
+        'getPolicies',
+        ({
+          formulas,
+          getChannels,
+          getClosed,
+          getForwards,
+          getHeight,
+          getPending,
+          getPolicies,
+        },
+        cbk) =>
+      {
+        // Exit early when there are no formula tags
+        if (!formulas.length) {
+          return cbk(null, {tags});
+        }
+
+        const res = formulaTagNodes({
+          tags,
+          channels: getChannels.channels,
+          closed: getClosed.channels,
+          forwards: getForwards.forwards,
+          height: getHeight.current_block_height,
+          pending: getPending.pending_channels,
+          policies: flatten(getPolicies),
+        });
+
+        if (!!res.failure) {
+          return cbk([400, 'FailedToEvaluateTagFormula', res.failure]);
+        }
+
+        return cbk(null, {tags: res.tags});
+      }],
+    },
+    returnResult({reject, resolve, of: 'resolve'}, cbk));
+  });
+};
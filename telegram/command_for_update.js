@@ -0,0 +1,57 @@
+const {actions_permission} = require('./constants');
+
+const commandPrefix = '/';
+const commandFromText = text => text.split(/\s/).shift().slice(1).split('@');
+
+/** Determine the command or action that a Telegram update is invoking
+
+  Button pushes and replies to bot messages are treated as the actions command
+
+  {
+    ctx: {
+      [callbackQuery]: <Callback Query Object>
+      [message]: {
+        [reply_to_message]: {
+          [from]: {
+            [is_bot]: <Message Is From a Bot Bool>
+          }
+        }
+        [text]: <Message Text String>
+      }
+    }
+  }
+
+  @returns
+  {
+    [command]: <Command Name String>
+  }
+*/
+module.exports = ({ctx}) => {
+  // Exit early when a button was pushed
+  if (!!ctx.callbackQuery) {
+    return {command: actions_permission};
+  }
+
+  // Exit early when there is no message
+  if (!ctx.message) {
+    return {};
+  }
+
+  const text = ctx.message.text || String();
+
+  // Exit early when the message is a command
+  if (text.startsWith(commandPrefix)) {
+    const [command] = commandFromText(text);
+
+    return {command: command.toLowerCase() || undefined};
+  }
+
+  const reply = ctx.message.reply_to_message;
+
+  // Exit early when the message is a reply to a bot message
+  if (!!reply && !!reply.from && !!reply.from.is_bot) {
+    return {command: actions_permission};
+  }
+
+  return {};
+};
@@ -5,6 +5,7 @@ const {getWalletInfo} = require('ln-service');
 const {postNodesOffline} = require('ln-telegram');
 const {returnResult} = require('asyncjs-util');
 
+const getAccessConfig = require('./get_access_config');
 const {getLnds} = require('./../lnd');
 const getTelegramBot = require('./get_telegram_bot');
 const runTelegramBot = require('./run_telegram_bot');
@@ -18,11 +19,15 @@ const smallUnitsType = 'full';
 /** Connect nodes to Telegram
 
   {
+    [access]: <Path to Access Configuration JSON File String>
     ask: <Ask Function>
     fs: {
+      appendFile: <Append To File Function>
       getFile: <Get File Contents Function>
       getFileStatus: <Get File Status Function>
+      getFileSystemStatus: <Get File System Status Function>
       makeDirectory: <Make Directory Function>
+      renameFile: <Rename File Function>
       writeFile: <Write File Function>
     }
     [id]: <Authorized User Id Number>
@@ -77,6 +82,11 @@ module.exports = (args, cbk) => {
         return cbk();
       },
 
+      // Get and validate the access configuration
+      getAccess: ['validate', ({}, cbk) => {
+        return getAccessConfig({fs: args.fs, path: args.access}, cbk);
+      }],
+
       // Get the nodes
       getNodes: ['validate', async () => {
         const {nodes} = args;
@@ -119,12 +129,29 @@ module.exports = (args, cbk) => {
       }],
 
       // Start bot
-      start: ['getBot', 'getNodes', 'setUnits', ({getBot, getNodes}, cbk) => {
+      start: [
+        'getAccess',
+        'getBot',
+        'getNodes',
+        'setUnits',
+        ({getAccess, getBot, getNodes}, cbk) =>
+      {
         let {limit} = args.payments;
         let online = getNodes.map(n => n.id);
 
+        // Note the authorized users and groups when there is a configuration
+        if (!!getAccess.access) {
+          args.logger.info({
+            telegram_access: {
+              groups: getAccess.access.groups,
+              users: getAccess.access.users,
+            },
+          });
+        }
+
         return asyncForever(cbk => {
           return runTelegramBot({
+            access: getAccess.access,
             ask: args.ask,
             bot: getBot.bot,
             fs: args.fs,
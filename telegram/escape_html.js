@@ -0,0 +1,19 @@
+/** Escape text for a Telegram message sent in HTML parse mode
+
+  {
+    text: <Text String>
+  }
+
+  @returns
+  {
+    escaped: <HTML Escaped Text String>
+  }
+*/
+module.exports = ({text}) => {
+  const escaped = String(text || String())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return {escaped};
+};
@@ -0,0 +1,193 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {access_config_file} = require('./constants');
+const {actions_permission} = require('./constants');
+const {all_commands} = require('./constants');
+const {commands} = require('./constants');
+const {homePath} = require('./../storage');
+
+const defaultPath = () => homePath({file: access_config_file}).path;
+const {isArray} = Array;
+const isId = n => Number.isSafeInteger(n) && n !== 0;
+const isObject = n => !!n && typeof n === 'object' && !isArray(n);
+const {keys} = Object;
+const legacyRole = 'admin';
+const missingFileCode = 'ENOENT';
+const {parse} = JSON;
+const permissions = [].concat(commands).concat(actions_permission);
+
+/** Get the Telegram bot access configuration
+
+  The configuration file lists the roles and the users and group chats that
+  are assigned to a role:
+
+  {
+    "roles": {"<role name>": ["<command name>" or "*" for all commands]},
+    "users": [{"id": <user id number>, "role": "<role name>"}],
+    "groups": [{"id": <group chat id number>, "role": "<role name>"}]
+  }
+
+  A legacy {"allowed_user": <user id>} configuration is also accepted.
+
+  When no path is specified and there is no file at the default path then no
+  access configuration is returned. A default file that cannot be read is an
+  error.
+
+  {
+    fs: {
+      getFile: <Get File Contents Function>
+    }
+    [path]: <Access Configuration JSON File Path String>
+  }
+
+  @returns via cbk or Promise
+  {
+    [access]: {
+      groups: [{
+        id: <Group Chat Id Number>
+        role: <Role Name String>
+      }]
+      roles: [{
+        commands: [<Allowed Command Name String>]
+        name: <Role Name String>
+      }]
+      users: [{
+        id: <User Id Number>
+        role: <Role Name String>
+      }]
+    }
+  }
+*/
+module.exports = ({fs, path}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs || !fs.getFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetAccessConfig']);
+        }
+
+        return cbk();
+      },
+
+      // Get the configuration file
+      getFile: ['validate', ({}, cbk) => {
+        return fs.getFile(path || defaultPath(), (err, res) => {
+          // Exit early when there is no default access configuration file
+          if (!!err && !path && err.code === missingFileCode) {
+            return cbk();
+          }
+
+          if (!!err) {
+            return cbk([400, 'FailedToFindTelegramAccessConfigFile', {err}]);
+          }
+
+          if (!res) {
+            return cbk([400, 'ExpectedTelegramAccessConfigFileData']);
+          }
+
+          return cbk(null, res.toString());
+        });
+      }],
+
+      // Parse and validate the configuration
+      access: ['getFile', ({getFile}, cbk) => {
+        // Exit early when there is no access configuration
+        if (getFile === undefined) {
+          return cbk(null, {});
+        }
+
+        let config;
+
+        try {
+          config = parse(getFile);
+        } catch (err) {
+          return cbk([400, 'ExpectedValidJsonTelegramAccessConfig', {err}]);
+        }
+
+        if (!isObject(config)) {
+          return cbk([400, 'ExpectedObjectForTelegramAccessConfig']);
+        }
+
+        // Exit early when the legacy single user configuration is used
+        if (config.allowed_user !== undefined) {
+          const id = Number(config.allowed_user);
+
+          if (!isId(id)) {
+            return cbk([400, 'ExpectedNumericAllowedUserInAccessConfig']);
+          }
+
+          return cbk(null, {
+            access: {
+              groups: [],
+              roles: [{commands: [all_commands], name: legacyRole}],
+              users: [{id, role: legacyRole}],
+            },
+          });
+        }
+
+        if (!isObject(config.roles) || !keys(config.roles).length) {
+          return cbk([400, 'ExpectedRolesInTelegramAccessConfig']);
+        }
+
+        const roles = keys(config.roles).map(name => {
+          return {name, commands: config.roles[name]};
+        });
+
+        const invalidRole = roles.find(({commands}) => {
+          return !isArray(commands) || !commands.length;
+        });
+
+        if (!!invalidRole) {
+          return cbk([400, 'ExpectedCommandsForAccessRole', invalidRole]);
+        }
+
+        const unknown = roles.find(({commands}) => {
+          return !!commands.find(command => {
+            return command !== all_commands && !permissions.includes(command);
+          });
+        });
+
+        // Roles can only allow commands that the bot knows about
+        if (!!unknown) {
+          return cbk([400, 'UnknownCommandInAccessRole', {unknown}]);
+        }
+
+        const users = config.users || [];
+        const groups = config.groups || [];
+
+        if (!isArray(users) || !isArray(groups)) {
+          return cbk([400, 'ExpectedArraysOfUsersAndGroupsInAccessConfig']);
+        }
+
+        if (!users.length && !groups.length) {
+          return cbk([400, 'ExpectedUsersOrGroupsInTelegramAccessConfig']);
+        }
+
+        const members = [].concat(users).concat(groups);
+
+        if (!!members.find(n => !isObject(n) || !isId(n.id))) {
+          return cbk([400, 'ExpectedNumericIdsForAccessConfigUsersAndGroups']);
+        }
+
+        const unassigned = members.find(member => {
+          return !roles.find(role => role.name === member.role);
+        });
+
+        if (!!unassigned) {
+          return cbk([400, 'ExpectedKnownRoleForAccessMember', unassigned]);
+        }
+
+        return cbk(null, {
+          access: {
+            roles,
+            groups: groups.map(n => ({id: n.id, role: n.role})),
+            users: users.map(n => ({id: n.id, role: n.role})),
+          },
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'access'}, cbk));
+  });
+};
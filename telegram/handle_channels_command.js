@@ -0,0 +1,111 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+const {getPeers} = require('./../network');
+
+const escape = text => escapeHtml({text}).escaped;
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+const sortBy = 'outbound_liquidity';
+
+/** Handle the channels command
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+      public_key: <Node Identity Public Key Hex String>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFsMethodsToHandleChannelsCommand']);
+        }
+
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleChannelsCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleChannelsCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleChannelsCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the peers of each node
+      getPeers: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return getPeers({
+            fs,
+            lnd: node.lnd,
+            omit: [],
+            sort_by: sortBy,
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, peers: res.peers.slice().reverse()});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the channels report
+      report: ['getPeers', ({getPeers}, cbk) => {
+        const sections = getPeers.map(({node, peers}) => {
+          const lines = peers.map(peer => {
+            const alias = escape(peer.alias || peer.public_key.slice(0, 8));
+            const offline = !!peer.is_offline ? '💤 ' : String();
+
+            const balances = [
+              format(peer.outbound_liquidity).trim() || '0',
+              format(peer.inbound_liquidity).trim() || '0',
+            ];
+
+            const rate = peer.inbound_fee_rate || String();
+
+            return `${offline}${alias}: ${balances.join(' | ')} ${rate}`;
+          });
+
+          const heading = `<b>${escape(node.from)}</b> (out | in)`;
+
+          return [heading].concat(lines).join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,115 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {getChannels} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+const {homePath} = require('./../storage');
+
+const bytesAsGb = bytes => (bytes / 1e9).toFixed(1);
+const escape = text => escapeHtml({text}).escaped;
+const estimateDiskFootprint = n => Math.round(n * 55 / 1e6 * 10) / 10;
+const {isArray} = Array;
+const percent = (n, total) => !total ? 0 : Math.round(n / total * 100);
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+
+/** Handle the disk command
+
+  The free space is for the filesystem holding the bos data directory
+
+  {
+    fs: {
+      getFileSystemStatus: <Get File System Status Function> (path, cbk) => {}
+    }
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs || !fs.getFileSystemStatus) {
+          return cbk([400, 'ExpectedFileSystemStatusMethodForDiskCommand']);
+        }
+
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleDiskCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleDiskCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleDiskCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the filesystem status
+      getStatus: ['validate', ({}, cbk) => {
+        working();
+
+        return fs.getFileSystemStatus(homePath({}).path, (err, res) => {
+          if (!!err) {
+            return cbk([503, 'FailedToGetFileSystemStatus', {err}]);
+          }
+
+          return cbk(null, {
+            available: res.bavail * res.bsize,
+            total: res.blocks * res.bsize,
+          });
+        });
+      }],
+
+      // Get the channels to estimate the channel state footprint
+      getChannels: ['validate', ({}, cbk) => {
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return getChannels({lnd: node.lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            const states = sumOf(res.channels.map(n => n.past_states));
+
+            return cbk(null, {node, mb: estimateDiskFootprint(states)});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the disk report
+      report: ['getChannels', 'getStatus', ({getChannels, getStatus}, cbk) => {
+        const {available, total} = getStatus;
+
+        const free = [
+          `Free: ${bytesAsGb(available)} GB of ${bytesAsGb(total)} GB`,
+          `(${percent(available, total)}%)`,
+        ];
+
+        const states = getChannels.map(({mb, node}) => {
+          return `${escape(node.from)}: ~${mb} MB channel state`;
+        });
+
+        return cbk(null, [free.join(' ')].concat(states).join('\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,110 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+const {getPastForwards} = require('./../routing');
+
+const dateFormat = 'ddd MMM D';
+const days = 7;
+const escape = text => escapeHtml({text}).escaped;
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+
+/** Handle the earn command
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleEarnCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleEarnCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleEarnCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the forwards over the past week
+      getForwards: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return getPastForwards({days, lnd: node.lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, forwards: res.forwards});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the earnings report
+      report: ['getForwards', ({getForwards}, cbk) => {
+        const sections = getForwards.map(({forwards, node}) => {
+          const lines = [...Array(days).keys()].map(n => {
+            const day = moment().subtract(n, 'days');
+
+            const dayForwards = forwards.filter(forward => {
+              return moment(forward.created_at).isSame(day, 'day');
+            });
+
+            const fees = sumOf(dayForwards.map(n => n.fee));
+            const tokens = sumOf(dayForwards.map(n => n.tokens));
+
+            return [
+              `${day.format(dateFormat)}:`,
+              `${format(fees).trim() || '0'} earned`,
+              `from ${dayForwards.length} forwards`,
+              `(${format(tokens).trim() || '0'})`,
+            ].join(' ');
+          });
+
+          const total = [
+            `Total: ${format(sumOf(forwards.map(n => n.fee))).trim() || '0'}`,
+            `earned from ${forwards.length} forwards`,
+          ];
+
+          return [`<b>${escape(node.from)}</b>`]
+            .concat(lines)
+            .concat(total.join(' '))
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
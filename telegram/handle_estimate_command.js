@@ -0,0 +1,79 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {getChainFees} = require('./../chain');
+
+const blocks = 144;
+const {ceil} = Math;
+const {isArray} = Array;
+const {keys} = Object;
+const rateAsVbyte = kvbyte => ceil(kvbyte / 1e3);
+
+/** Handle the estimate command
+
+  The chain fee estimate is taken from the first node
+
+  {
+    nodes: [{
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes) || !nodes.length) {
+          return cbk([400, 'ExpectedNodesToHandleEstimateCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleEstimateCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleEstimateCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the chain fees
+      getFees: ['validate', ({}, cbk) => {
+        const [{lnd}] = nodes;
+
+        working();
+
+        return getChainFees({blocks, lnd}, cbk);
+      }],
+
+      // Put together the estimate report
+      report: ['getFees', ({getFees}, cbk) => {
+        const fees = getFees.fee_by_block_target;
+
+        const lines = keys(fees).map(target => {
+          return `${target} blocks: ${rateAsVbyte(fees[target])} sat/vB`;
+        });
+
+        const minimum = rateAsVbyte(getFees.min_relay_feerate);
+
+        const report = lines.concat(`Min relay: ${minimum} sat/vB`);
+
+        return cbk(null, report.join('\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
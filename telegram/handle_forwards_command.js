@@ -0,0 +1,109 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+const {getForwards} = require('./../network');
+
+const days = 1;
+const escape = text => escapeHtml({text}).escaped;
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+const sort = 'earned_total';
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+
+/** Handle the forwards command
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFsMethodsToHandleForwardsCommand']);
+        }
+
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleForwardsCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleForwardsCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleForwardsCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the forwarding peers over the past day
+      getForwards: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return getForwards({
+            days,
+            fs,
+            sort,
+            lnd: node.lnd,
+            tags: [],
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, peers: res.peers.slice().reverse()});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the forwards report
+      report: ['getForwards', ({getForwards}, cbk) => {
+        const sections = getForwards.map(({node, peers}) => {
+          const lines = peers.map(peer => {
+            const earnedIn = format(peer.earned_inbound_fees).trim() || '0';
+            const earnedOut = format(peer.earned_outbound_fees).trim() || '0';
+
+            return `${escape(peer.alias)}: ${earnedIn} in | ${earnedOut} out`;
+          });
+
+          const total = sumOf(peers.map(n => n.earned_outbound_fees));
+
+          return [`<b>${escape(node.from)}</b> (earned in | out)`]
+            .concat(!lines.length ? 'No forwards' : lines)
+            .concat(`Total: ${format(total).trim() || '0'}`)
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
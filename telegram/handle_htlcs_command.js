@@ -0,0 +1,139 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getHeight} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+
+const escape = text => escapeHtml({text}).escaped;
+const flatten = arr => [].concat(...arr);
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+
+/** Handle the htlcs command
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleHtlcsCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleHtlcsCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleHtlcsCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the pending HTLCs of each node
+      getHtlcs: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return asyncAuto({
+            // Get the current chain height to show the blocks until timeout
+            getHeight: cbk => getHeight({lnd: node.lnd}, cbk),
+
+            // Get the channels with their pending payments
+            getChannels: cbk => getChannels({lnd: node.lnd}, cbk),
+
+            // Get the aliases of the peers with pending HTLCs
+            getAliases: ['getChannels', ({getChannels}, cbk) => {
+              const withHtlcs = getChannels.channels
+                .filter(n => !!n.pending_payments.length);
+
+              return asyncMapSeries(withHtlcs, (channel, cbk) => {
+                return getNodeAlias({
+                  id: channel.partner_public_key,
+                  lnd: node.lnd,
+                },
+                cbk);
+              },
+              cbk);
+            }],
+
+            // Collect the HTLCs
+            htlcs: [
+              'getAliases',
+              'getChannels',
+              'getHeight',
+              ({getAliases, getChannels, getHeight}, cbk) =>
+            {
+              const height = getHeight.current_block_height;
+
+              const htlcs = getChannels.channels.map(channel => {
+                const peer = getAliases
+                  .find(n => n.id === channel.partner_public_key);
+
+                return channel.pending_payments.map(payment => ({
+                  alias: !!peer ? peer.alias || peer.id : channel.id,
+                  blocks: payment.timeout - height,
+                  is_forward: !!payment.is_forward,
+                  is_outgoing: payment.is_outgoing,
+                  tokens: payment.tokens,
+                }));
+              });
+
+              return cbk(null, {node, htlcs: flatten(htlcs)});
+            }],
+          },
+          (err, res) => !!err ? cbk(err) : cbk(null, res.htlcs));
+        },
+        cbk);
+      }],
+
+      // Put together the HTLCs report
+      report: ['getHtlcs', ({getHtlcs}, cbk) => {
+        const sections = getHtlcs.map(({htlcs, node}) => {
+          const lines = htlcs
+            .sort((a, b) => a.blocks - b.blocks)
+            .map(htlc => {
+              const direction = htlc.is_outgoing ? 'to' : 'from';
+              const type = htlc.is_forward ? 'Forward' : 'Payment';
+
+              return [
+                `${type} ${direction} ${escape(htlc.alias)}:`,
+                format(htlc.tokens).trim(),
+                `expires in ${htlc.blocks} blocks`,
+              ].join(' ');
+            });
+
+          return [`<b>${escape(node.from)}</b>`]
+            .concat(!lines.length ? 'No pending HTLCs' : lines)
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,175 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getClosedChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {getRebalancePayments} = require('ln-sync');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+
+const days = 7;
+const escape = text => escapeHtml({text}).escaped;
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+const {round} = Math;
+const rate = (fee, tokens) => !tokens ? 0 : round(fee / tokens * 1e6);
+const sumOf = arr => arr.reduce((sum, n) => sum + n, Number());
+const uniq = arr => Array.from(new Set(arr));
+
+/** Handle the rebalances command
+
+  Rebalances over the past week are summarized by the peer receiving inbound
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleRebalancesCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleRebalancesCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleRebalancesCmd']);
+        }
+
+        return cbk();
+      },
+
+      // Get the rebalances of each node
+      getRebalances: ['validate', ({}, cbk) => {
+        const after = moment().subtract(days, 'days').toISOString();
+
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return asyncAuto({
+            // Get the open channels to map channels to peers
+            getChannels: cbk => getChannels({lnd: node.lnd}, cbk),
+
+            // Get the closed channels to map channels to peers
+            getClosed: cbk => getClosedChannels({lnd: node.lnd}, cbk),
+
+            // Get the rebalance payments
+            getPayments: cbk => {
+              return getRebalancePayments({after, lnds: [node.lnd]}, cbk);
+            },
+
+            // Summarize rebalances by inbound peer
+            summary: [
+              'getChannels',
+              'getClosed',
+              'getPayments',
+              ({getChannels, getClosed, getPayments}, cbk) =>
+            {
+              const channels = [].concat(getChannels.channels)
+                .concat(getClosed.channels);
+
+              const rebalances = getPayments.payments.map(payment => {
+                const [path] = payment.paths || [];
+
+                const [lastHop] = !!path ? path.hops.slice().reverse() : [];
+
+                const channel = !!lastHop ? channels.find(chan => {
+                  return chan.id === lastHop.channel;
+                }) : undefined;
+
+                return {
+                  fee: payment.fee,
+                  in_peer: !!channel ? channel.partner_public_key : null,
+                  tokens: payment.tokens,
+                };
+              });
+
+              const peers = uniq(rebalances.map(n => n.in_peer));
+
+              return asyncMapSeries(peers, async id => {
+                const inbound = rebalances.filter(n => n.in_peer === id);
+
+                const {alias} = !id ? {} : await getNodeAlias({
+                  id,
+                  lnd: node.lnd,
+                });
+
+                return {
+                  alias: alias || (id || String()).slice(0, 8),
+                  count: inbound.length,
+                  fee: sumOf(inbound.map(n => n.fee)),
+                  tokens: sumOf(inbound.map(n => n.tokens)),
+                };
+              },
+              cbk);
+            }],
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, summary: res.summary});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the rebalances report
+      report: ['getRebalances', ({getRebalances}, cbk) => {
+        const sections = getRebalances.map(({node, summary}) => {
+          const lines = summary
+            .sort((a, b) => b.tokens - a.tokens)
+            .map(peer => {
+              return [
+                `${escape(peer.alias)}: ${peer.count}x`,
+                format(peer.tokens).trim(),
+                `fee ${format(peer.fee).trim() || '0'}`,
+                `(${rate(peer.fee, peer.tokens)} ppm)`,
+              ].join(' ');
+            });
+
+          const fee = sumOf(summary.map(n => n.fee));
+          const tokens = sumOf(summary.map(n => n.tokens));
+
+          const total = [
+            `Total: ${sumOf(summary.map(n => n.count))}x`,
+            format(tokens).trim() || '0',
+            `fee ${format(fee).trim() || '0'}`,
+            `(${rate(fee, tokens)} ppm)`,
+          ];
+
+          return [`<b>${escape(node.from)}</b> (last ${days} days)`]
+            .concat(lines)
+            .concat(total.join(' '))
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
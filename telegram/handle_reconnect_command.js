@@ -0,0 +1,84 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+const {reconnect} = require('./../network');
+
+const escape = text => escapeHtml({text}).escaped;
+const {isArray} = Array;
+
+/** Handle the reconnect command
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleReconnectCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleReconnectCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleReconnectCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Reconnect to inactive peers on each node
+      reconnect: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return reconnect({lnd: node.lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, reconnected: res.reconnected});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the reconnection report
+      report: ['reconnect', ({reconnect}, cbk) => {
+        const sections = reconnect.map(({node, reconnected}) => {
+          const lines = reconnected.map(peer => {
+            return `Reconnected to ${escape(peer.alias || peer.public_key)}`;
+          });
+
+          return [`<b>${escape(node.from)}</b>`]
+            .concat(!lines.length ? 'No peers needed reconnecting' : lines)
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
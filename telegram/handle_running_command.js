@@ -0,0 +1,156 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {formatTokens} = require('ln-sync');
+const {getChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {getPendingPayments} = require('ln-service');
+const moment = require('moment');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+
+const escape = text => escapeHtml({text}).escaped;
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const {isArray} = Array;
+const unknownPeer = '?';
+
+/** Handle the running command
+
+  Running rebalances are in-flight payments with the node as destination
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+      public_key: <Node Identity Public Key Hex String>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleRunningCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleRunningCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleRunningCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the in-flight rebalances of each node
+      getRunning: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return asyncAuto({
+            // Get channels to map the route channels to peers
+            getChannels: cbk => getChannels({lnd: node.lnd}, cbk),
+
+            // Get the pending payments
+            getPending: cbk => getPendingPayments({lnd: node.lnd}, cbk),
+
+            // Describe the rebalances
+            rebalances: [
+              'getChannels',
+              'getPending',
+              ({getChannels, getPending}, cbk) =>
+            {
+              const rebalances = getPending.payments
+                .filter(n => n.destination === node.public_key);
+
+              const peerFor = channelId => {
+                const channel = getChannels.channels
+                  .find(n => n.id === channelId);
+
+                return !!channel ? channel.partner_public_key : undefined;
+              };
+
+              return asyncMapSeries(rebalances, async payment => {
+                const [attempt] = payment.attempts.filter(n => n.is_pending);
+
+                const hops = !!attempt ? attempt.route.hops : [];
+
+                const [firstHop] = hops;
+                const [lastHop] = hops.slice().reverse();
+
+                const peers = [
+                  !!firstHop ? peerFor(firstHop.channel) : undefined,
+                  !!lastHop ? peerFor(lastHop.channel) : undefined,
+                ];
+
+                const aliases = await asyncMapSeries(peers, async id => {
+                  // Exit early when the peer is not known
+                  if (!id) {
+                    return unknownPeer;
+                  }
+
+                  const {alias} = await getNodeAlias({id, lnd: node.lnd});
+
+                  return alias || id.slice(0, 8);
+                });
+
+                const [outPeer, inPeer] = aliases;
+
+                return {
+                  created_at: payment.created_at,
+                  in_peer: inPeer,
+                  out_peer: outPeer,
+                  tokens: payment.tokens,
+                };
+              },
+              cbk);
+            }],
+          },
+          (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            return cbk(null, {node, rebalances: res.rebalances});
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the running rebalances report
+      report: ['getRunning', ({getRunning}, cbk) => {
+        const sections = getRunning.map(({node, rebalances}) => {
+          const lines = rebalances.map(rebalance => {
+            return [
+              `${escape(rebalance.out_peer)} → ${escape(rebalance.in_peer)}:`,
+              format(rebalance.tokens).trim(),
+              `started ${moment(rebalance.created_at).fromNow()}`,
+            ].join(' ');
+          });
+
+          return [`<b>${escape(node.from)}</b>`]
+            .concat(!lines.length ? 'No running rebalances' : lines)
+            .join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
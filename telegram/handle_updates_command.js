@@ -0,0 +1,101 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {getChannels} = require('ln-service');
+const {getNodeAlias} = require('ln-sync');
+const {returnResult} = require('asyncjs-util');
+
+const escapeHtml = require('./escape_html');
+
+const escape = text => escapeHtml({text}).escaped;
+const {isArray} = Array;
+
+/** Handle the updates command
+
+  {
+    nodes: [{
+      from: <Node Name String>
+      lnd: <Authenticated LND API Object>
+    }]
+    reply: <Reply Function>
+    working: <Working Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({nodes, reply, working}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!isArray(nodes)) {
+          return cbk([400, 'ExpectedArrayOfNodesToHandleUpdatesCommand']);
+        }
+
+        if (!reply) {
+          return cbk([400, 'ExpectedReplyFunctionToHandleUpdatesCommand']);
+        }
+
+        if (!working) {
+          return cbk([400, 'ExpectedWorkingFunctionToHandleUpdatesCommand']);
+        }
+
+        return cbk();
+      },
+
+      // Get the channel state update counts of each node
+      getUpdates: ['validate', ({}, cbk) => {
+        working();
+
+        return asyncMapSeries(nodes, (node, cbk) => {
+          return getChannels({lnd: node.lnd}, (err, res) => {
+            if (!!err) {
+              return cbk(err);
+            }
+
+            const channels = res.channels
+              .slice()
+              .sort((a, b) => b.past_states - a.past_states);
+
+            return asyncMapSeries(channels, async channel => {
+              const {alias} = await getNodeAlias({
+                id: channel.partner_public_key,
+                lnd: node.lnd,
+              });
+
+              return {alias, id: channel.id, updates: channel.past_states};
+            },
+            (err, channels) => {
+              if (!!err) {
+                return cbk(err);
+              }
+
+              return cbk(null, {channels, node});
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the updates report
+      report: ['getUpdates', ({getUpdates}, cbk) => {
+        const sections = getUpdates.map(({channels, node}) => {
+          const lines = channels.map(channel => {
+            return `${channel.updates} ${escape(channel.alias || channel.id)}`;
+          });
+
+          return [`<b>${escape(node.from)}</b>`].concat(lines).join('\n');
+        });
+
+        return cbk(null, sections.join('\n\n'));
+      }],
+
+      // Send the report
+      reply: ['report', ({report}, cbk) => {
+        reply(report);
+
+        return cbk();
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,53 @@
+const commandForUpdate = require('./command_for_update');
+const isAuthorized = require('./is_authorized');
+
+/** Get the user id to pass to an ln-telegram handler for an update
+
+  ln-telegram handlers only respond when the sender is the user they are
+  passed, so a sender who is authorized to the command by an access role is
+  passed as that user. Other senders get the connected user id.
+
+  {
+    [access]: {
+      groups: [{
+        id: <Group Chat Id Number>
+        role: <Role Name String>
+      }]
+      roles: [{
+        commands: [<Allowed Command Name String>]
+        name: <Role Name String>
+      }]
+      users: [{
+        id: <User Id Number>
+        role: <Role Name String>
+      }]
+    }
+    ctx: <Telegram Context Object>
+    [id]: <Connected User Id Number>
+  }
+
+  @returns
+  {
+    [id]: <User Id Number>
+  }
+*/
+module.exports = ({access, ctx, id}) => {
+  const {command} = commandForUpdate({ctx});
+
+  // Exit early when there is no command or sender to authorize
+  if (!command || !ctx.from) {
+    return {id};
+  }
+
+  const {from} = ctx;
+
+  const authorization = isAuthorized({
+    access,
+    command,
+    id,
+    chat: !!ctx.chat ? ctx.chat.id : undefined,
+    from: from.id,
+  });
+
+  return {id: !!authorization.is_authorized ? from.id : id};
+};
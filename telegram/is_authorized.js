@@ -0,0 +1,77 @@
+const {all_commands} = require('./constants');
+const {public_commands} = require('./constants');
+
+/** Determine if a Telegram user is authorized to use a command
+
+  Without an access configuration only the connected user is authorized.
+
+  The connected user is always authorized, other users are authorized by their
+  own role or by the role of the group chat the command is sent in.
+
+  {
+    [access]: {
+      groups: [{
+        id: <Group Chat Id Number>
+        role: <Role Name String>
+      }]
+      roles: [{
+        commands: [<Allowed Command Name String>]
+        name: <Role Name String>
+      }]
+      users: [{
+        id: <User Id Number>
+        role: <Role Name String>
+      }]
+    }
+    [chat]: <Chat Id Number>
+    command: <Command Name String>
+    from: <From User Id Number>
+    [id]: <Connected User Id Number>
+  }
+
+  @returns
+  {
+    is_authorized: <Is Authorized Bool>
+  }
+*/
+module.exports = ({access, chat, command, from, id}) => {
+  // Exit early when the command is available to anyone
+  if (public_commands.includes(command)) {
+    return {is_authorized: true};
+  }
+
+  // Exit early when the command is from the connected user
+  if (!!id && from === id) {
+    return {is_authorized: true};
+  }
+
+  // Exit early when there is no access configuration
+  if (!access) {
+    return {is_authorized: false};
+  }
+
+  const isAllowed = member => {
+    if (!member) {
+      return false;
+    }
+
+    const role = access.roles.find(n => n.name === member.role);
+
+    if (!role) {
+      return false;
+    }
+
+    return !!role.commands.find(n => n === all_commands || n === command);
+  };
+
+  const user = access.users.find(n => n.id === from);
+
+  // Exit early when the user is allowed the command
+  if (isAllowed(user)) {
+    return {is_authorized: true};
+  }
+
+  const group = access.groups.find(n => n.id === chat);
+
+  return {is_authorized: isAllowed(group)};
+};
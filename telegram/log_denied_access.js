@@ -0,0 +1,77 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {access_denied_log_file} = require('./constants');
+const {appendLogEntry} = require('./../storage');
+const {max_access_denied_log_bytes} = require('./constants');
+
+/** Record a denied Telegram command attempt in the access denied log
+
+  When the log grows past the maximum size it is rotated to a ".1" file
+
+  {
+    [chat]: <Chat Id Number>
+    command: <Command Name String>
+    [date]: <Attempted At ISO 8601 Date String>
+    from: {
+      [first_name]: <First Name String>
+      id: <User Id Number>
+      [last_name]: <Last Name String>
+      [username]: <Username String>
+    }
+    fs: {
+      appendFile: <Append To File Function> (path, contents, cbk) => {}
+      getFileStatus: <Get File Status Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      renameFile: <Rename File Function> (from, to, cbk) => {}
+    }
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({chat, command, date, from, fs}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!command) {
+          return cbk([400, 'ExpectedCommandToLogDeniedAccess']);
+        }
+
+        if (!from || !from.id) {
+          return cbk([400, 'ExpectedFromUserToLogDeniedAccess']);
+        }
+
+        if (!fs || !fs.appendFile || !fs.getFileStatus || !fs.renameFile) {
+          return cbk([400, 'ExpectedFileSystemMethodsToLogDeniedAccess']);
+        }
+
+        if (!fs.makeDirectory) {
+          return cbk([400, 'ExpectedFileSystemMethodsToLogDeniedAccess']);
+        }
+
+        return cbk();
+      },
+
+      // Append the denied attempt to the log
+      append: ['validate', ({}, cbk) => {
+        return appendLogEntry({
+          fs,
+          entry: {
+            chat,
+            command,
+            date: date || new Date().toISOString(),
+            first_name: from.first_name,
+            id: from.id,
+            last_name: from.last_name,
+            username: from.username,
+          },
+          file: access_denied_log_file,
+          max_bytes: max_access_denied_log_bytes,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -13,12 +13,30 @@ const {isArray} = Array;
 /** Run the telegram bot for a node or multiple nodes
 
   {
+    [access]: {
+      groups: [{
+        id: <Group Chat Id Number>
+        role: <Role Name String>
+      }]
+      roles: [{
+        commands: [<Allowed Command Name String>]
+        name: <Role Name String>
+      }]
+      users: [{
+        id: <User Id Number>
+        role: <Role Name String>
+      }]
+    }
     ask: <Ask Function>
     bot: <Telegram Bot Object>
     fs: {
+      appendFile: <Append To File Function>
       getFile: <Get File Contents Function>
+      getFileStatus: <Get File Status Function>
+      getFileSystemStatus: <Get File System Status Function>
       [is_reset_state]: <Reset File Status Bool>
       makeDirectory: <Make Directory Function>
+      renameFile: <Rename File Function>
       writeFile: <Write File Function>
     }
     [id]: <Authorized User Id Number>
@@ -91,6 +109,7 @@ module.exports = (args, cbk) => {
         args.logger.info({connecting_to_telegram: args.nodes});
 
         return startTelegramBot({
+          access: args.access,
           ask: args.ask,
           bot: args.bot,
           fs: args.fs,
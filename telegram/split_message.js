@@ -0,0 +1,51 @@
+const maxChars = 1024;
+const moreIndicator = '... more';
+const newLine = '\n';
+const spacing = 8;
+
+/** Split a long message into multiple Telegram sized messages
+
+  Lines are kept intact, a message is split on line boundaries
+
+  {
+    [count]: <Maximum Messages Count Number>
+    [max]: <Maximum Characters Per Message Number>
+    text: <Message Text String>
+  }
+
+  @returns
+  {
+    messages: [<Message Text String>]
+  }
+*/
+module.exports = ({count, max, text}) => {
+  const limit = max || maxChars;
+  const messages = [];
+
+  // Exit early when the text fits in a single message
+  if (text.length <= limit) {
+    return {messages: [text]};
+  }
+
+  const cursor = text.split(newLine).reduce((message, line) => {
+    if (line.length + message.length + spacing < limit) {
+      return message + line + newLine;
+    }
+
+    messages.push(message);
+
+    return line + newLine;
+  },
+  String());
+
+  messages.push(cursor);
+
+  const nonEmpty = messages.filter(n => !!n);
+
+  // Exit early when there is no limit to the number of messages
+  if (!count || nonEmpty.length <= count) {
+    return {messages: nonEmpty};
+  }
+
+  return {messages: nonEmpty.slice(0, count).map(n => n + moreIndicator)};
+};
@@ -1,6 +1,7 @@
 const {actOnMessageReply} = require('ln-telegram');
 const asyncAuto = require('async/auto');
 const asyncEach = require('async/each');
+const asyncEachSeries = require('async/eachSeries');
 const asyncForever = require('async/forever');
 const asyncMap = require('async/map');
 const asyncRetry = require('async/retry');
@@ -51,9 +52,27 @@ const {subscribeToPastPayments} = require('ln-service');
 const {subscribeToPendingChannels} = require('ln-sync');
 const {subscribeToTransactions} = require('ln-service');
 
+const commandForUpdate = require('./command_for_update');
 const getNodeDetails = require('./get_node_details');
+const handleChannelsCommand = require('./handle_channels_command');
+const handleDiskCommand = require('./handle_disk_command');
+const handleEarnCommand = require('./handle_earn_command');
+const handleEstimateCommand = require('./handle_estimate_command');
+const handleForwardsCommand = require('./handle_forwards_command');
+const handleHtlcsCommand = require('./handle_htlcs_command');
+const handleRebalancesCommand = require('./handle_rebalances_command');
+const handleReconnectCommand = require('./handle_reconnect_command');
+const handleRunningCommand = require('./handle_running_command');
+const handleUpdatesCommand = require('./handle_updates_command');
 const interaction = require('./interaction');
+const idForAuthorizedSender = require('./id_for_authorized_sender');
+const isAuthorized = require('./is_authorized');
+const logDeniedAccess = require('./log_denied_access');
 const named = require('./../package').name;
+const splitMessage = require('./split_message');
+const {migrateInvoiceTriggers} = require('./../triggers');
+const {subscribeToTriggers} = require('./../triggers');
+const triggerEventMessage = require('./trigger_event_message');
 const {version} = require('./../package');
 
 const fileAsDoc = file => new InputFile(file.source, file.filename);
@@ -69,23 +88,63 @@ const markdown = {parse_mode: 'Markdown'};
 const maxCommandDelayMs = 1000 * 10;
 const restartSubscriptionTimeMs = 1000 * 30;
 const sanitize = n => (n || '').replace(/_/g, '\\_').replace(/[*~`]/g, ''); 
+const triggerEvents = [
+  'channel_balance',
+  'channel_opened',
+  'channel_request',
+  'fee_policy_updated',
+  'forward_failures',
+  'peer_connected',
+  'peer_disconnected',
+];
+const typing = (ctx, logger) => () => {
+  return ctx.replyWithChatAction('typing').catch(err => logger.error({err}));
+};
 
 // Added by MB
-const { execSync } = require('child_process');
-const { readFileSync, unlinkSync } = require('fs');
-
-const { allowed_user } = require('./config.json');
-const allowed_user_err = [401, 'Unauthorized Access'];
-var Promise = require('bluebird');
-const max_chars = 1024 // Max chars per Telegram message (Normal user: 1024 / Premium user: 2048)
-//const markup = {parse_mode: 'MarkdownV2'};
 const markup = {parse_mode: 'HTML'};
 
+const reportCommands = [
+  {count: 0, method: handleChannelsCommand, name: 'channels'},
+  {count: 0, method: handleDiskCommand, name: 'disk'},
+  {count: 1, method: handleEarnCommand, name: 'earn'},
+  {count: 0, method: handleEstimateCommand, name: 'estimate'},
+  {count: 1, method: handleForwardsCommand, name: 'forwards'},
+  {count: 1, method: handleHtlcsCommand, name: 'htlcs'},
+  {count: 1, method: handleRebalancesCommand, name: 'rebalances'},
+  {count: 0, method: handleReconnectCommand, name: 'reconnect'},
+  {count: 1, method: handleRunningCommand, name: 'running'},
+  {count: 0, method: handleUpdatesCommand, name: 'updates'},
+];
+
 /** Start a Telegram bot
 
   {
+    [access]: {
+      groups: [{
+        id: <Group Chat Id Number>
+        role: <Role Name String>
+      }]
+      roles: [{
+        commands: [<Allowed Command Name String>]
+        name: <Role Name String>
+      }]
+      users: [{
+        id: <User Id Number>
+        role: <Role Name String>
+      }]
+    }
     ask: <Ask Function>
     bot: <Telegram Bot Object>
+    fs: {
+      appendFile: <Append To File Function>
+      getFile: <Get File Contents Function>
+      getFileStatus: <Get File Status Function>
+      getFileSystemStatus: <Get File System Status Function>
+      makeDirectory: <Make Directory Function>
+      renameFile: <Rename File Function>
+      writeFile: <Write File Function>
+    }
     [id]: <Authorized User Id Number>
     key: <Telegram API Key String>
     [min_forward_tokens]: <Minimum Forward Tokens To Notify Number>
@@ -198,210 +257,100 @@ module.exports = (args, cbk) => {
           return next();
         });
         
-        /*---------------------------------------------------------------------------------*/
-        // functions to send multiple messages in sequence by MB
-        function sendMessages(ctx, messages) {
-          //console.log(messages.length)
-          return Promise.mapSeries(messages, function(message) {
-            return ctx.reply(message, markup);            
-          });
-        }
-        
-        function prepareMessages(ctx, output, count) {
-          let output_l = [];
-          if (output.length > max_chars) {
-            let out_arr = output.split("\n")
-            let temp_output = "";
-            out_arr.forEach(_output => {
-              if ((_output.length + temp_output.length + 8) < max_chars) {
-                temp_output += _output + "\n";
-              } else {
-                output_l.push(temp_output);
-                temp_output = _output + "\n";
-              }
-            });
-            output_l.push(temp_output);            
-          } else {
-            output_l.push(output);            
-          }
-          if (count != 0 && output_l.length > count) {
-            output_l.length = count;
-            for (let i = 0; i < output_l.length; i++) {
-                if (i < output_l.length) {
-                  output_l[i] += '... more';
-                }
-            }
-            
-          }
-          sendMessages(ctx, output_l, count);
-        }
-        
-        function log_error(ctx, user_command) {
-          user_from = ctx.message.from;
-          allowed_user_err.splice(allowed_user_err.indexOf("Unauthorized Access"), 1, "Unauthorized /" + user_command + " [FN: " + user_from.first_name + ", LN: " + user_from.last_name + ", UN: @" + user_from.username + ", ID: " + user_from.id + ")]");
-          args.logger.error({allowed_user_err});
-          prepareMessages(ctx, "You do not have rights to use this bot and your ID " + user_from.id + " was logged!", 0);
-        }
-        
-        // custom commands by MB
-        args.bot.command('channels', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/rebalance.py -c -g').toString();
-            try {
-              prepareMessages(ctx, output, 0);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "channels");
-          }
-        });
-        
-        args.bot.command('disk', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t disk').toString();
-            //output = execSync('df -h').toString().split('\n')[2];
+        // Send a report as a series of messages that fit in Telegram limits
+        const replyHtml = (ctx, count) => text => {
+          const {messages} = splitMessage({count, text});
 
-            try {
-              prepareMessages(ctx, output, 0);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "disk");
-          }
-        });
-        
-        args.bot.command('earn', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t earn').toString();
-            //output = execSync('df -h').toString().split('\n')[2];
+          return asyncEachSeries(messages, (message, cbk) => {
+            return ctx.reply(message, markup).then(() => cbk(), cbk);
+          },
+          err => !!err ? args.logger.error({err}) : null);
+        };
+
+        // Get the user id that an ln-telegram handler should respond to
+        const userId = ctx => {
+          return idForAuthorizedSender({
+            ctx,
+            access: args.access,
+            id: connectedId,
+          }).id;
+        };
 
-            try {
-              prepareMessages(ctx, output, 1);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "earn");
-          }
-        });
-        
-        args.bot.command('estimate', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t estimatefee').toString();
-            //output = execSync('df -h').toString().split('\n')[2];
+        // Check the sender is authorized before acting on commands
+        args.bot.use(async (ctx, next) => {
+          const {command} = commandForUpdate({ctx});
 
-            try {
-              prepareMessages(ctx, output, 0);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "estimate");
+          // Exit early when the update is not a command or an action
+          if (!command) {
+            return next();
           }
-        });
-        
-        args.bot.command('forwards', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/rebalance.py -c -w -g').toString();
-            //output = execSync('df -h').toString().split('\n')[2];
 
-            try {
-              prepareMessages(ctx, output, 1);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "forwards");
-          }
-        });
-        
-        args.bot.command('htlcs', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t htlcs -l').toString();
+          const {from} = ctx;
 
-            try {
-              prepareMessages(ctx, output, 1);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "htlcs");
-          }
-        });
-        
-        args.bot.command('running', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t bos -l').toString();
+          const access = isAuthorized({
+            command,
+            access: args.access,
+            chat: !!ctx.chat ? ctx.chat.id : undefined,
+            from: !!from ? from.id : undefined,
+            id: connectedId,
+          });
 
-            try {
-              prepareMessages(ctx, output, 1);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "running");
+          // Continue on to the command when the sender is authorized
+          if (!!access.is_authorized) {
+            return next();
           }
-        });
-        
-        args.bot.command('rebalances', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/data/rebalance-lnd/custom.py -t rebalances -s -d 7').toString();
 
-            try {
-              prepareMessages(ctx, output, 1);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "rebalances");          
+          args.logger.error({
+            telegram_access_denied: {command, from: !!from ? from.id : null},
+          });
+
+          // Exit early when there is no sender to record
+          if (!from) {
+            return;
           }
-        });
-        
-        args.bot.command('reconnect', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = await execSync('/data/rebalance-lnd/custom.py -t reconnect').toString();
 
-            try {
-              prepareMessages(ctx, output, 0);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "reconnect");
+          try {
+            await logDeniedAccess({
+              command,
+              from,
+              chat: !!ctx.chat ? ctx.chat.id : undefined,
+              fs: args.fs,
+            });
+
+            await ctx.reply(interaction.access_denied);
+          } catch (err) {
+            args.logger.error({err});
           }
         });
-        
-        args.bot.command('updates', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            var output = execSync('/usr/local/bin/lncli listchannels | jq -r \'.[][] | [.num_updates, .peer_alias] | @tsv\' | sort -rn').toString();
 
+        // Handle node report commands
+        reportCommands.forEach(({count, method, name}) => {
+          args.bot.command(name, async ctx => {
             try {
-              prepareMessages(ctx, output, 0);
+              await method({
+                fs: args.fs,
+                nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
+                reply: replyHtml(ctx, count),
+                working: typing(ctx, args.logger),
+              });
             } catch (err) {
               args.logger.error({err});
             }
-          } else {
-            log_error(ctx, "updates");
-          }
+          });
         });
-        
-        /*---------------------------------------------------------------------------------*/
-        
+
         // Handle command to get backups
         args.bot.command('backup', async ctx => {
           try {
             await handleBackupCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: ctx.reply,
               send: (n, opts) => ctx.replyWithDocument(fileAsDoc(n), opts),
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "backup");
+            args.logger.error({err});
           }
         });
 
@@ -410,14 +359,13 @@ module.exports = (args, cbk) => {
           try {
             await handleBalanceCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: (n, opt) => ctx.reply(n, opt),
-              working: () => ctx.replyWithChatAction('typing'),
+              working: typing(ctx, args.logger),
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "balance");
+            args.logger.error({err});
           }
         });
 
@@ -425,11 +373,11 @@ module.exports = (args, cbk) => {
         args.bot.command('blocknotify', ctx => {
           handleBlocknotifyCommand({
             from: ctx.message.from.id,
-            id: connectedId,
+            id: userId(ctx),
             reply: n => ctx.reply(n, markdown),
             request: args.request,
           },
-          err => !!err ? log_error(ctx, "blocknotify") : null);
+          err => !!err ? args.logger.error({err}) : null);
         });
         
         // Handle command to get the connect id
@@ -446,11 +394,11 @@ module.exports = (args, cbk) => {
           try {
             await handleCostsCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: n => ctx.reply(n, markdown),
               request: args.request,
-              working: () => ctx.replyWithChatAction('typing'),
+              working: typing(ctx, args.logger),
             });
           } catch (err) {
             args.logger.error({err});
@@ -462,10 +410,10 @@ module.exports = (args, cbk) => {
           try {
             await handleEarningsCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: n => ctx.reply(n, markdown),
-              working: () => ctx.replyWithChatAction('typing'),
+              working: typing(ctx, args.logger),
             });
           } catch (err) {
             args.logger.error({err});
@@ -477,12 +425,12 @@ module.exports = (args, cbk) => {
           try {
             await handleGraphCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               remove: () => ctx.deleteMessage(),
               reply: (message, options) => ctx.reply(message, options),
               text: ctx.message.text,
-              working: () => ctx.replyWithChatAction('typing'),
+              working: typing(ctx, args.logger),
             });
           } catch (err) {
             args.logger.error({err});
@@ -494,14 +442,13 @@ module.exports = (args, cbk) => {
           try {
             await handleInfoCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               remove: () => ctx.deleteMessage(),
               reply: (message, options) => ctx.reply(message, options),
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "info");
+            args.logger.error({err});
           }
         });
 
@@ -510,13 +457,12 @@ module.exports = (args, cbk) => {
           try {
             await handleInvoiceCommand({
               ctx,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               request: args.request,
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "invoice");
+            args.logger.error({err});
           }
         });
 
@@ -525,13 +471,12 @@ module.exports = (args, cbk) => {
           try {
             return await handleMempoolCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               reply: n => ctx.reply(n, markdown),
               request: args.request,
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "mempool");
+            args.logger.error({err});
           }
         });
 
@@ -549,16 +494,15 @@ module.exports = (args, cbk) => {
             }, async () => {
               await handleLiquidityCommand({
                 from: ctx.message.from.id,
-                id: connectedId,
+                id: userId(ctx),
                 nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
                 reply: (n, opt) => ctx.reply(n, opt),
                 text: ctx.message.text,
-                working: () => ctx.replyWithChatAction('typing'),
+                working: typing(ctx, args.logger),
               });
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "liquidity");
+            args.logger.error({err});
           }
         });
 
@@ -579,7 +523,7 @@ module.exports = (args, cbk) => {
             const {tokens} = await handlePayCommand({
               budget,
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: message => ctx.reply(message, markdown),
               request: args.request,
@@ -598,25 +542,16 @@ module.exports = (args, cbk) => {
           try {
             await handlePendingCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
               reply: (message, options) => ctx.reply(message, options),
-              working: () => ctx.replyWithChatAction('typing'),
+              working: typing(ctx, args.logger),
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "pending");
+            args.logger.error({err});
           }
         });
         
-        // Handle command to start the bot
-        args.bot.command('start', ctx => {
-          handleStartCommand({
-            id: connectedId,
-            reply: n => ctx.reply(n, markdown),
-          });
-        });
-        
         // Handle command to start the bot
         args.bot.command('start', ctx => {
           handleStartCommand({
@@ -630,7 +565,7 @@ module.exports = (args, cbk) => {
           try {
             await handleStopCommand({
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               reply: (msg, mode) => ctx.reply(msg, mode),
             });
           } catch (err) {
@@ -645,54 +580,59 @@ module.exports = (args, cbk) => {
               named,
               version,
               from: ctx.message.from.id,
-              id: connectedId,
+              id: userId(ctx),
               request: args.request,
               reply: n => ctx.reply(n, markdown),
             });
           } catch (err) {
-            //args.logger.error({err});
-            log_error(ctx, "version");
+            args.logger.error({err});
           }          
         });
 
         // Handle command to get help with the bot
         args.bot.command('help', async ctx => {
-          if (ctx.message.from.id == allowed_user) {
-            const commands = [
-              '/backup - Get node backup file',
-              '/blocknotify - Notification on next block',
-              '/channels - Show list of channels',
-              '/connect - Connect bot',
-              //'/costs - View costs over the past week',
-              '/disk - Show free disk space',
-              '/earn - Show earnings over the past week',
-              '/estimate - Show BTC fee estimate',
-              //'/earnings - View earnings over the past week',
-              '/forwards - Show forwards for the past 24 hours',
-              //'/graph <pubkey or peer alias> - Show info about a node',
-              '/htlcs - Show pending HTLCs',
-              '/info - Show wallet info',
-              '/invoice [amount] [memo] - Make an invoice',
-              '/liquidity [with] - View node liquidity',
-              '/mempool - BTC mempool report',
-              //'/pay - Pay an invoice',
-              '/pending - Show pending channels, probes, and forwards',
-              '/reconnect - Run bos reconnect',
-              '/rebalances - Show summary of rebalances for last 7 days',
-              '/running - Show running bos rebalances',
-              //'/stop - Stop bot',
-              '/updates - Show channels with the most updates',
-              '/version - View the current bot version',
-            ];
+          const commands = [
+            '/backup - Get node backup file',
+            '/blocknotify - Notification on next block',
+            '/channels - Show list of channels',
+            '/connect - Connect bot',
+            //'/costs - View costs over the past week',
+            '/disk - Show free disk space',
+            '/earn - Show earnings over the past week',
+            '/estimate - Show BTC fee estimate',
+            //'/earnings - View earnings over the past week',
+            '/forwards - Show forwards for the past 24 hours',
+            //'/graph <pubkey or peer alias> - Show info about a node',
+            '/htlcs - Show pending HTLCs',
+            '/info - Show wallet info',
+            '/invoice [amount] [memo] - Make an invoice',
+            '/liquidity [with] - View node liquidity',
+            '/mempool - BTC mempool report',
+            //'/pay - Pay an invoice',
+            '/pending - Show pending channels, probes, and forwards',
+            '/reconnect - Run bos reconnect',
+            '/rebalances - Show summary of rebalances for last 7 days',
+            '/running - Show running bos rebalances',
+            //'/stop - Stop bot',
+            '/updates - Show channels with the most updates',
+            '/version - View the current bot version',
+          ];
+
+          // Only list the commands that the sender is allowed to use
+          const allowed = commands.filter(line => {
+            return isAuthorized({
+              access: args.access,
+              chat: ctx.chat.id,
+              command: commandForUpdate({ctx: {message: {text: line}}}).command,
+              from: ctx.from.id,
+              id: connectedId,
+            }).is_authorized;
+          });
 
-            try {
-              await ctx.reply(`🤖\n${commands.join('\n')}`);
-            } catch (err) {
-              args.logger.error({err});
-            }
-          } else {
-            log_error(ctx, "help");
-            //await ctx.reply("Missing rights");
+          try {
+            await ctx.reply(`🤖\n${allowed.join('\n')}`);
+          } catch (err) {
+            args.logger.error({err});
           }
         });
 
@@ -702,7 +642,7 @@ module.exports = (args, cbk) => {
             await handleButtonPush({
               ctx,
               bot: args.bot,
-              id: connectedId,
+              id: userId(ctx),
               nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
             });
           } catch (err) {
@@ -718,7 +658,7 @@ module.exports = (args, cbk) => {
               return await actOnMessageReply({
                 ctx,
                 api: args.bot.api,
-                id: connectedId,
+                id: userId(ctx),
                 nodes: (await getLnds(args.logger, names, args.nodes)).nodes,
                 request: args.request,
               });
@@ -1274,6 +1214,65 @@ module.exports = (args, cbk) => {
         },
         cbk);
       }],
+
+      // Move triggers encoded into invoices over to the triggers file
+      migrateTriggers: ['getNodes', ({getNodes}, cbk) => {
+        return asyncEachSeries(getNodes, ({from, lnd}, cbk) => {
+          return migrateInvoiceTriggers({lnd, fs: args.fs}, (err, res) => {
+            // Triggers can still be subscribed to when migration fails
+            if (!!err) {
+              args.logger.error({from, migrate_invoice_triggers_error: err});
+
+              return cbk();
+            }
+
+            // Exit early when there were no invoice triggers to migrate
+            if (!res.migrated) {
+              return cbk();
+            }
+
+            args.logger.info({from, migrated_invoice_triggers: res.migrated});
+
+            return cbk();
+          });
+        },
+        cbk);
+      }],
+
+      // Subscribe to trigger events
+      triggers: [
+        'getNodes',
+        'migrateTriggers',
+        'userId',
+        ({getNodes}, cbk) =>
+      {
+        return asyncEach(getNodes, ({from, lnd}, cbk) => {
+          const sub = subscribeToTriggers({fs: args.fs, lnds: [lnd]});
+
+          subscriptions.push(sub);
+
+          triggerEvents.forEach(event => {
+            return sub.on(event, async details => {
+              const {text} = triggerEventMessage({details, event, from});
+
+              try {
+                await args.bot.api.sendMessage(connectedId, text, markup);
+              } catch (err) {
+                args.logger.error({from, post_trigger_event_error: err});
+              }
+            });
+          });
+
+          sub.once('error', err => {
+            sub.removeAllListeners();
+
+            return cbk([503, 'UnexpectedErrorInTriggersSubscription', {err}]);
+          });
+
+          return;
+        },
+        cbk);
+      }],
     },
     (err, res) => {
       // Signal to fetch based polling that it should stop
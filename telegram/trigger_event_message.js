@@ -0,0 +1,28 @@
+const {describeTriggerEvent} = require('./../triggers');
+const escapeHtml = require('./escape_html');
+
+const escape = text => escapeHtml({text}).escaped;
+
+/** Message text for a trigger event
+
+  {
+    details: <Trigger Event Details Object>
+    event: <Trigger Event Name String>
+    from: <Node Name String>
+  }
+
+  @returns
+  {
+    [text]: <HTML Message Text String>
+  }
+*/
+module.exports = ({details, event, from}) => {
+  const {description} = describeTriggerEvent({details, event});
+
+  // Exit early when the event is not known
+  if (!description) {
+    return {};
+  }
+
+  return {text: `<b>${escape(from)}</b>\n${escape(description)}`};
+};
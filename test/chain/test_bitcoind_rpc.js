@@ -0,0 +1,179 @@
+const {deepEqual} = require('node:assert').strict;
+const http = require('node:http');
+const net = require('node:net');
+const test = require('node:test');
+
+const method = require('./../../chain/bitcoind_rpc');
+
+const auth = Buffer.from('username:password').toString('base64');
+const {parse} = JSON;
+const {stringify} = JSON;
+
+// Reply to a request with a result describing the request
+const echo = (req, body, res) => {
+  const {id, jsonrpc, method, params} = parse(body);
+
+  return res.end(stringify({
+    id,
+    error: null,
+    result: {
+      authorization: req.headers.authorization,
+      jsonrpc,
+      method,
+      params,
+      path: req.url,
+    },
+  }));
+};
+
+// Start a local server that passes each request body to a respond function
+const startServer = ({respond}, cbk) => {
+  const server = http.createServer((req, res) => {
+    const data = [];
+
+    req.on('data', chunk => data.push(chunk));
+
+    req.on('end', () => respond(req, Buffer.concat(data).toString(), res));
+  });
+
+  return server.listen(0, 'localhost', () => {
+    const stop = () => {
+      server.closeAllConnections();
+
+      return server.close();
+    };
+
+    return cbk({stop, port: server.address().port});
+  });
+};
+
+// Get the port of a server that is no longer listening
+const closedPort = cbk => {
+  const server = net.createServer();
+
+  return server.listen(0, 'localhost', () => {
+    const {port} = server.address();
+
+    return server.close(() => cbk(port));
+  });
+};
+
+const makeArgs = overrides => {
+  const args = {
+    backend: {password: 'password', username: 'username'},
+    method: 'getrawtransaction',
+    params: ['00', true],
+    timeout: 100,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({backend: undefined}),
+    description: 'A backend is required',
+    error: [400, 'ExpectedBitcoindRpcUrlToMakeRpcCall'],
+  },
+  {
+    args: makeArgs({method: undefined}),
+    description: 'A method is required',
+    error: [400, 'ExpectedMethodToMakeBitcoindRpcCall'],
+    server: {respond: echo},
+  },
+  {
+    args: makeArgs({}),
+    description: 'The result of the call is returned',
+    expected: {
+      authorization: `Basic ${auth}`,
+      jsonrpc: '1.0',
+      method: 'getrawtransaction',
+      params: ['00', true],
+      path: '/wallet',
+    },
+    server: {respond: echo},
+  },
+  {
+    args: makeArgs({}),
+    description: 'An error response is returned as an error',
+    error: [503, 'BitcoindRpcError', {err: {code: -5, message: 'error'}}],
+    server: {
+      respond: (req, body, res) => {
+        const {id} = parse(body);
+
+        res.statusCode = 500;
+
+        return res.end(stringify({id, error: {code: -5, message: 'error'}}));
+      },
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'A response that is not JSON is an error',
+    error: [503, 'ExpectedJsonResponseFromBitcoindRpc'],
+    server: {
+      respond: (req, body, res) => {
+        res.statusCode = 401;
+
+        return res.end();
+      },
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'A server that is not listening is an error',
+    error: [503, 'FailedToConnectToBitcoindRpc'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A server that does not respond times out',
+    error: [503, 'FailedToConnectToBitcoindRpc'],
+    message: 'BitcoindRpcTimedOut',
+    server: {respond: () => {}},
+  },
+];
+
+tests.forEach(({args, description, error, expected, message, server}) => {
+  return test(description, async () => {
+    const {port, stop} = await new Promise(resolve => {
+      // Exit early when there is no server to connect to
+      if (!server) {
+        return closedPort(port => resolve({port, stop: () => {}}));
+      }
+
+      return startServer(server, resolve);
+    });
+
+    // Connect to the local server
+    if (!!args.backend) {
+      args.backend.url = `http://localhost:${port}/wallet`;
+    }
+
+    const [err, res] = await new Promise(resolve => {
+      return method(args, (err, res) => resolve([err, res]));
+    });
+
+    stop();
+
+    if (!!error) {
+      const [code, type, details] = err;
+
+      deepEqual([code, type], error.slice(0, 2), 'Got expected error');
+
+      if (!!error[2]) {
+        deepEqual(details, error[2], 'Got expected error details');
+      }
+
+      if (!!message) {
+        deepEqual(details.err.message, message, 'Got expected error message');
+      }
+    } else {
+      deepEqual(err, null, 'No error');
+      deepEqual(res, expected, 'Got expected result');
+    }
+
+    return;
+  });
+});
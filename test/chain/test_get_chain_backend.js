@@ -0,0 +1,108 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getChainBackend} = require('./../../chain');
+
+const makeFs = config => ({
+  getFile: (path, cbk) => cbk(null, !config ? null : JSON.stringify(config)),
+});
+
+const tests = [
+  {
+    args: {},
+    description: 'File system methods are expected',
+    error: [400, 'ExpectedFileSystemMethodsToGetChainBackend'],
+  },
+  {
+    args: {fs: {getFile: (path, cbk) => cbk(null, 'invalid')}},
+    description: 'A valid config file is expected',
+    error: [400, 'ConfigurationFileIsInvalidFormat'],
+  },
+  {
+    args: {fs: {getFile: (path, cbk) => cbk(null, 'null')}},
+    description: 'A config file with a JSON object is expected',
+    error: [400, 'ConfigurationFileIsInvalidFormat'],
+  },
+  {
+    args: {fs: {getFile: (path, cbk) => cbk({code: 'EACCES'})}},
+    description: 'A config file that cannot be read is an error',
+    error: [
+      503,
+      'FailedToReadConfigFileForChainBackend',
+      {err: {code: 'EACCES'}},
+    ],
+  },
+  {
+    args: {fs: {getFile: (path, cbk) => cbk({code: 'ENOENT'})}},
+    description: 'Without a config file the public Esplora API is used',
+    expected: {backend: {type: 'esplora'}},
+  },
+  {
+    args: {fs: makeFs({chain_backend: {type: 'unknown'}})},
+    description: 'A known backend type is expected',
+    error: [
+      400,
+      'ExpectedKnownChainBackendType',
+      {types: ['bitcoind', 'electrum', 'esplora', 'none']},
+    ],
+  },
+  {
+    args: {fs: makeFs({chain_backend: {type: 'bitcoind'}})},
+    description: 'A bitcoind backend needs an RPC URL',
+    error: [400, 'ExpectedBitcoindRpcUrlForChainBackend'],
+  },
+  {
+    args: {fs: makeFs({chain_backend: {host: 'host', type: 'electrum'}})},
+    description: 'An Electrum backend needs a host and port',
+    error: [400, 'ExpectedElectrumHostAndPortForChainBackend'],
+  },
+  {
+    args: {fs: makeFs({chain_backend: {type: 'esplora', url: 'ftp://h'}})},
+    description: 'An Esplora backend needs an HTTP URL',
+    error: [400, 'ExpectedHttpEsploraApiUrlForChainBackend'],
+  },
+  {
+    args: {fs: makeFs({chain_backend: {type: 'esplora', url: 'http://h'}})},
+    description: 'An Esplora backend can be a local HTTP URL',
+    expected: {backend: {type: 'esplora', url: 'http://h'}},
+  },
+  {
+    args: {fs: makeFs()},
+    description: 'The public Esplora API is the default',
+    expected: {backend: {type: 'esplora'}},
+  },
+  {
+    args: {
+      fs: makeFs({
+        chain_backend: {type: 'none'},
+        chain_backends: {node: {type: 'esplora', url: 'https://h/api'}},
+      }),
+    },
+    description: 'The general backend is used without a node specific one',
+    expected: {backend: {type: 'none'}},
+  },
+  {
+    args: {
+      fs: makeFs({
+        chain_backend: {type: 'none'},
+        chain_backends: {node: {type: 'esplora', url: 'https://h/api'}},
+      }),
+      node: 'node',
+    },
+    description: 'A node specific backend is used for the node',
+    expected: {backend: {type: 'esplora', url: 'https://h/api'}},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(getChainBackend(args), error, 'Got expected error');
+    } else {
+      deepEqual(await getChainBackend(args), expected, 'Got expected result');
+    }
+
+    return;
+  });
+});
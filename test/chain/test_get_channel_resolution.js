@@ -0,0 +1,173 @@
+const {createServer} = require('http');
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+const {Transaction} = require('bitcoinjs-lib');
+
+const method = require('./../../chain/get_channel_resolution');
+
+const makeCommit = () => {
+  const tx = new Transaction();
+
+  tx.addInput(Buffer.alloc(32, 1), 0);
+  tx.addOutput(Buffer.alloc(34), 1000);
+
+  return tx;
+};
+
+const makeSpend = commit => {
+  const tx = new Transaction();
+
+  tx.addInput(Buffer.from(commit.getId(), 'hex').reverse(), 0);
+  tx.addOutput(Buffer.alloc(34), 900);
+  tx.setWitness(0, [Buffer.alloc(71), Buffer.alloc(33, 2)]);
+
+  return tx;
+};
+
+const commit = makeCommit();
+const spend = makeSpend(commit);
+
+const makeArgs = overrides => {
+  const args = {
+    close_transaction_id: commit.getId(),
+    network: 'btc',
+    request: ({}, cbk) => cbk([503, 'UnexpectedRequest']),
+    transactions: [],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({close_transaction_id: undefined}),
+    description: 'A close transaction id is required',
+    error: [400, 'ExpectedCloseTransactionIdToGetChanResolution'],
+  },
+  {
+    args: makeArgs({network: undefined}),
+    description: 'A network name is required',
+    error: [400, 'ExpectedNodeNetworkNameToGetChannelResolution'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToGetChannelResolution'],
+  },
+  {
+    args: makeArgs({is_cooperative_close: true}),
+    description: 'A cooperative close has no resolutions',
+    expected: undefined,
+  },
+  {
+    args: makeArgs({backend: {type: 'none'}}),
+    description: 'Nothing is looked up when chain lookups are disabled',
+    expected: undefined,
+  },
+  {
+    args: makeArgs({
+      backend: {type: 'bitcoind', url: 'http://localhost:1'},
+      transactions: [
+        {
+          id: commit.getId(),
+          output_addresses: ['address'],
+          transaction: commit.toHex(),
+        },
+        {
+          id: spend.getId(),
+          output_addresses: ['address'],
+          transaction: spend.toHex(),
+        },
+      ],
+    }),
+    description: 'Local transactions resolve without lookups',
+    expected: [{
+      transaction_id: spend.getId(),
+      type: 'p2wpkh',
+      value: 1000,
+    }],
+  },
+  {
+    args: makeArgs({
+      request: ({json, url}, cbk) => {
+        if (url.endsWith(`${commit.getId()}/hex`)) {
+          return cbk(null, {statusCode: 200}, commit.toHex());
+        }
+
+        if (url.endsWith(`${commit.getId()}/outspends`)) {
+          return cbk(null, {statusCode: 200}, [{
+            spent: true,
+            txid: spend.getId(),
+            vin: 0,
+          }]);
+        }
+
+        if (url.endsWith(`${spend.getId()}/hex`)) {
+          return cbk(null, {statusCode: 200}, spend.toHex());
+        }
+
+        return cbk(null, {statusCode: 404});
+      },
+    }),
+    description: 'Esplora looks up transactions and output spends',
+    expected: [{
+      transaction_id: spend.getId(),
+      type: 'p2wpkh',
+      value: 1000,
+    }],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const {resolutions} = await method(args);
+
+    deepEqual(resolutions, expected, 'Got expected resolutions');
+
+    return;
+  });
+});
+
+test('Transactions are looked up with a bitcoind backend', async () => {
+  const calls = [];
+
+  const server = createServer((req, res) => {
+    const body = [];
+
+    req.on('data', data => body.push(data));
+
+    req.on('end', () => {
+      const {id, method} = JSON.parse(Buffer.concat(body).toString());
+
+      calls.push(method);
+
+      res.writeHead(200, {'content-type': 'application/json'});
+
+      return res.end(JSON.stringify({id, error: null, result: commit.toHex()}));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+
+  const {port} = server.address();
+
+  const {resolutions} = await method(makeArgs({
+    backend: {type: 'bitcoind', url: `http://localhost:${port}`},
+  }));
+
+  server.close();
+
+  deepEqual(calls, ['getrawtransaction'], 'Commitment is looked up');
+  deepEqual(resolutions, undefined, 'Spends need an Esplora backend');
+
+  return;
+});
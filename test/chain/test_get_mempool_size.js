@@ -43,6 +43,32 @@ const tests = [
     description: 'VBytes are returned',
     expected: {vbytes: 1},
   },
+  {
+    args: {
+      backend: {type: 'none'},
+      network: 'btc',
+      request: ({}, cbk) => cbk('err'),
+      retries: 1,
+    },
+    description: 'No vbytes are returned when lookups are disabled',
+    expected: {},
+  },
+  {
+    args: {
+      backend: {type: 'esplora', url: 'https://esplora/api'},
+      network: 'btc',
+      request: ({url}, cbk) => {
+        if (url !== 'https://esplora/api/mempool') {
+          return cbk('err');
+        }
+
+        return cbk(null, null, {vsize: 1});
+      },
+      retries: 1,
+    },
+    description: 'A configured Esplora API is used',
+    expected: {vbytes: 1},
+  },
   {
     args: {
       network: 'network',
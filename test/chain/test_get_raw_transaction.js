@@ -63,6 +63,19 @@ const tests = [
     description: 'A valid transaction is expected',
     error: [503, 'ExpectedValidTransactionInResponse'],
   },
+  {
+    args: makeArgs({backend: {type: 'none'}}),
+    description: 'Lookups can be disabled',
+    error: [503, 'ExternalChainLookupsAreDisabled'],
+  },
+  {
+    args: makeArgs({
+      backend: {type: 'esplora', url: 'https://esplora/api'},
+      network: 'network',
+    }),
+    description: 'A configured Esplora API supports any network',
+    expected: {transaction: '01000000000000000000'},
+  },
   {
     args: makeArgs({}),
     description: 'Got raw transaction',
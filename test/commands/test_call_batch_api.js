@@ -0,0 +1,161 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const method = require('./../../commands/call_batch_api');
+
+const key = getInfoResponse.identity_pubkey;
+
+const makeArgs = ({batch, overrides}) => {
+  const args = {
+    file: 'batch.json',
+    fs: {getFile: (path, cbk) => cbk(null, JSON.stringify(batch))},
+    lnds: [{
+      default: {
+        getInfo: ({}, cbk) => cbk(null, getInfoResponse),
+        getNodeInfo: ({}, cbk) => cbk({details: 'failure'}),
+      },
+    }],
+    nodes: ['node'],
+  };
+
+  Object.keys(overrides || {}).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({overrides: {file: undefined}}),
+    description: 'A batch file is expected',
+    error: [400, 'ExpectedBatchFilePathToCallApi'],
+  },
+  {
+    args: makeArgs({overrides: {lnds: []}}),
+    description: 'LNDs are expected',
+    error: [400, 'ExpectedAuthenticatedLndsToCallBatchApi'],
+  },
+  {
+    args: makeArgs({
+      overrides: {fs: {getFile: (path, cbk) => cbk(null, 'invalid')}},
+    }),
+    description: 'A valid JSON batch file is expected',
+    error: [400, 'ExpectedValidJsonBatchCallsFile'],
+  },
+  {
+    args: makeArgs({
+      overrides: {
+        file: 'batch.yaml',
+        fs: {getFile: (path, cbk) => cbk(null, '- method: [')},
+      },
+    }),
+    description: 'A valid YAML batch file is expected',
+    error: [400, 'ExpectedValidYamlBatchCallsFile'],
+  },
+  {
+    args: makeArgs({batch: [{method: 'unknownMethod'}]}),
+    description: 'Known methods are expected',
+    error: [400, 'ExpectedKnownMethodForEachBatchCall'],
+  },
+  {
+    args: makeArgs({batch: [{method: 'getHeight'}, {method: 'getHeight'}]}),
+    description: 'Unique call names are expected',
+    error: [400, 'ExpectedUniqueNameForEachBatchCall'],
+  },
+  {
+    args: makeArgs({batch: [{method: 'subscribeToBlocks'}]}),
+    description: 'Subscriptions are not supported',
+    error: [400, 'SubscriptionMethodsAreNotSupportedInBatchCalls'],
+  },
+  {
+    args: makeArgs({batch: [{method: 'getHeight', params: {unknown: 1}}]}),
+    description: 'Known parameters are expected',
+    error: [400, 'UnknownParameterProvided', {call: 'getHeight'}],
+  },
+  {
+    args: makeArgs({batch: [{method: 'getNode'}]}),
+    description: 'Required parameters are expected',
+    error: [400, 'MissingRequiredParameter', {call: 'getNode'}],
+  },
+  {
+    args: makeArgs({
+      batch: [
+        {method: 'getwalletinfo', name: 'info'},
+        {method: 'getNode', params: {public_key: '$.info.public_key'}},
+        {method: 'getHeight'},
+      ],
+    }),
+    description: 'Calls run in order until a call fails',
+    expected: {
+      nodes: [{
+        calls: [
+          {method: 'getWalletInfo', name: 'info', public_key: key},
+          {
+            error: [503, 'FailedToRetrieveNodeDetails'],
+            method: 'getNode',
+            name: 'getNode',
+          },
+        ],
+        node: 'node',
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      overrides: {
+        file: 'batch.yml',
+        fs: {
+          getFile: (path, cbk) => {
+            return cbk(null, '- method: getWalletInfo\n  name: info\n');
+          },
+        },
+      },
+    }),
+    description: 'Calls are read from a YAML batch file',
+    expected: {
+      nodes: [{
+        calls: [{method: 'getWalletInfo', name: 'info', public_key: key}],
+        node: 'node',
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      batch: [{method: 'getWalletInfo', name: 'info'}],
+      overrides: {file: '-'},
+    }),
+    description: 'Calls are read from stdin as JSON or YAML',
+    expected: {
+      nodes: [{
+        calls: [{method: 'getWalletInfo', name: 'info', public_key: key}],
+        node: 'node',
+      }],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const res = await method(args);
+
+    // Only check the public key of results
+    res.nodes.forEach(node => {
+      node.calls.filter(n => !!n.result).forEach(call => {
+        call.public_key = call.result.public_key;
+
+        delete call.result;
+      });
+    });
+
+    deepEqual(res, expected, 'Got expected result');
+
+    return;
+  });
+});
@@ -0,0 +1,49 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../commands/output_option');
+
+const tests = [
+  {
+    args: {argv: ['node', 'bos', 'peers', '--active']},
+    description: 'No output option is specified',
+    expected: {argv: ['node', 'bos', 'peers', '--active']},
+  },
+  {
+    args: {argv: ['node', 'bos', 'peers', '--output', 'csv', '--active']},
+    description: 'Output option is taken out of the arguments',
+    expected: {
+      argv: ['node', 'bos', 'peers', '--active'],
+      output: {command: 'peers', format: 'csv'},
+    },
+  },
+  {
+    args: {argv: ['node', 'bos', '--output=jsonl', 'utxos']},
+    description: 'Output option with an equals sign is taken out',
+    expected: {
+      argv: ['node', 'bos', 'utxos'],
+      output: {command: 'utxos', format: 'jsonl'},
+    },
+  },
+  {
+    args: {argv: ['node', 'bos', 'fanout', '--output-size', '1']},
+    description: 'Other options starting with output are left alone',
+    expected: {argv: ['node', 'bos', 'fanout', '--output-size', '1']},
+  },
+  {
+    args: {argv: ['node', 'bos', 'balance', '--output']},
+    description: 'A missing output format is empty',
+    expected: {
+      argv: ['node', 'bos', 'balance'],
+      output: {command: 'balance', format: ''},
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected output option');
+
+    return end();
+  });
+});
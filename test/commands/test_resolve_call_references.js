@@ -0,0 +1,70 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const method = require('./../../commands/resolve_call_references');
+
+const results = {getChannels: {channels: [{id: '1x1x1', is_active: true}]}};
+
+const tests = [
+  {
+    args: {params: {id: '1x1x1'}, results: {}},
+    description: 'Parameters without references are unchanged',
+    expected: {params: {id: '1x1x1'}},
+  },
+  {
+    args: {params: {id: '$.getChannels.channels[0].id'}, results},
+    description: 'A reference is resolved to an earlier result',
+    expected: {params: {id: '1x1x1'}},
+  },
+  {
+    args: {
+      params: {
+        channels: ['$.getChannels.channels[0]'],
+        is_active: '$.getChannels.channels.0.is_active',
+      },
+      results,
+    },
+    description: 'References are resolved inside arrays and to any type',
+    expected: {
+      params: {
+        channels: [{id: '1x1x1', is_active: true}],
+        is_active: true,
+      },
+    },
+  },
+  {
+    args: {params: {id: '$.getPeers.peers[0].id'}, results},
+    description: 'A reference must be to an earlier call',
+    error: 'ExpectedEarlierCallNameForBatchCallReference',
+  },
+  {
+    args: {params: {id: '$.getChannels.channels[1].id'}, results},
+    description: 'A reference must resolve to a value',
+    error: 'FailedToResolveBatchCallReference',
+  },
+  {
+    args: {params: {id: '$.toString'}, results},
+    description: 'A reference must not be to an inherited property',
+    error: 'ExpectedEarlierCallNameForBatchCallReference',
+  },
+  {
+    args: {params: {id: '$.getChannels.constructor'}, results},
+    description: 'A reference must not walk into inherited properties',
+    error: 'FailedToResolveBatchCallReference',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      const res = method(args);
+
+      deepEqual(res, expected, 'Got expected result');
+    }
+
+    return end();
+  });
+});
@@ -0,0 +1,86 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const {peerFilterVariables} = require('./../../display');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [{
+      capacity: 1e6,
+      local_balance: 9e5,
+      past_states: 1e5,
+      remote_balance: 1e5,
+    }],
+    fee_rates: [10, 5000],
+    forwards: [
+      {
+        fee_mtokens: '2000000',
+        incoming_channel: '600000x1x0',
+        outgoing_channel: '600200x1x0',
+      },
+      {
+        fee_mtokens: '1000000',
+        incoming_channel: '600200x1x0',
+        outgoing_channel: '600100x1x0',
+      },
+      {
+        fee_mtokens: '5000000',
+        incoming_channel: '600200x1x0',
+        outgoing_channel: '600300x1x0',
+      },
+    ],
+    height: 600144,
+    ids: ['600000x1x0', '600100x1x0'],
+    pending: [],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Peer filter variables are derived',
+    expected: {
+      variables: {
+        age: 144,
+        blocks_since_last_channel: 44,
+        capacity: 1e6,
+        disk_usage_mb: 5.5,
+        fee_earnings: 3000,
+        inbound_fee_rate: 5000,
+        inbound_liquidity: 1e5,
+        outbound_liquidity: 9e5,
+      },
+    },
+  },
+  {
+    args: makeArgs({
+      fee_rates: [],
+      pending: [{local_balance: 5e5, remote_balance: 1e4}],
+    }),
+    description: 'Pending opening channels count towards liquidity',
+    expected: {
+      variables: {
+        age: 144,
+        blocks_since_last_channel: 44,
+        capacity: 1e6,
+        disk_usage_mb: 5.5,
+        fee_earnings: 3000,
+        inbound_fee_rate: undefined,
+        inbound_liquidity: 11e4,
+        outbound_liquidity: 14e5,
+      },
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(peerFilterVariables(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
@@ -0,0 +1,56 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {decryptWithPassphrase} = require('./../../encryption');
+const {encryptWithPassphrase} = require('./../../encryption');
+
+const tests = [
+  {
+    args: {passphrase: 'passphrase'},
+    description: 'A cipher text to decrypt is required',
+    error: [400, 'ExpectedCiphertextToDecryptWithPassphrase'],
+  },
+  {
+    args: {cipher: '00'},
+    description: 'A passphrase to decrypt with is required',
+    error: [400, 'ExpectedPassphraseToDecryptWithPassphrase'],
+  },
+  {
+    args: {cipher: '00', passphrase: 'passphrase'},
+    description: 'Encryption settings are required',
+    error: [400, 'ExpectedEncryptionSettingsToDecryptPassphrase'],
+  },
+  {
+    args: {passphrase: 'wrong'},
+    description: 'The encryption passphrase is required to decrypt',
+    error: [401, 'FailedToDecryptWithPassphrase'],
+    plain: 'macaroon',
+  },
+  {
+    args: {passphrase: 'passphrase'},
+    description: 'Encrypted text is decrypted with the passphrase',
+    expected: {clear: 'macaroon'},
+    plain: 'macaroon',
+  },
+];
+
+tests.forEach(({args, description, error, expected, plain}) => {
+  return test(description, async () => {
+    if (!!plain) {
+      const passphrase = 'passphrase';
+
+      args.cipher = (await encryptWithPassphrase({passphrase, plain})).cipher;
+    }
+
+    if (!!error) {
+      await rejects(decryptWithPassphrase(args), error, 'Got expected error');
+    } else {
+      const res = await decryptWithPassphrase(args);
+
+      deepEqual(res, expected, 'Got expected clear text');
+    }
+
+    return;
+  });
+});
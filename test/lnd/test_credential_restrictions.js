@@ -59,6 +59,38 @@ const tests = [
     description: 'Readonly results in read permissions',
     expected: {allow: {methods: ['getWalletInfo'], permissions: []}},
   },
+  {
+    args: {profile: 'fee-manager'},
+    description: 'A profile results in the profile permissions',
+    expected: {
+      allow: {methods: [], permissions: ['info:read', 'offchain:write']},
+    },
+  },
+  {
+    args: {permissions: ['info:read', 'peers:write'], profile: 'fee-manager'},
+    description: 'Specific permissions are added to profile permissions',
+    expected: {
+      allow: {
+        methods: [],
+        permissions: ['info:read', 'offchain:write', 'peers:write'],
+      },
+    },
+  },
+  {
+    args: {permissions: ['unknown:read']},
+    description: 'A known permission entity is expected',
+    error: 'ExpectedKnownPermissionEntityForCredentials',
+  },
+  {
+    args: {permissions: ['info:unknown']},
+    description: 'A known permission action is expected',
+    error: 'ExpectedKnownPermissionActionForCredentials',
+  },
+  {
+    args: {profile: 'unknown'},
+    description: 'A known permission profile is expected',
+    error: 'ExpectedKnownPermissionProfileForCredentials',
+  },
 ];
 
 tests.forEach(({args, description, error, expected}) => {
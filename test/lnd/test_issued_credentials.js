@@ -0,0 +1,107 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lnd/issued_credentials');
+
+const issued = JSON.stringify({
+  credentials: [
+    {id: '1', node: 'node', permissions: ['info:read']},
+    {id: '2', node: 'other', permissions: ['info:read']},
+  ],
+});
+
+const makeLnd = ({revoked}) => {
+  return {
+    default: {
+      deleteMacaroonId: ({root_key_id}, cbk) => {
+        revoked.push(root_key_id);
+
+        return cbk(null, {deleted: true});
+      },
+      listMacaroonIDs: ({}, cbk) => {
+        const ids = ['1'].filter(n => !revoked.includes(n));
+
+        return cbk(null, {root_key_ids: ids});
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {getFile: (path, cbk) => cbk(null, Buffer.from(issued))},
+    lnd: makeLnd({revoked: []}),
+    node: 'node',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Expected fs methods',
+    error: [400, 'ExpectedFileSystemMethodsToListIssuedCredentials'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'Expected lnd',
+    error: [400, 'ExpectedAuthenticatedLndToListIssuedCredentials'],
+  },
+  {
+    args: makeArgs({revoke: 'id'}),
+    description: 'Expected a numeric access id to revoke',
+    error: [400, 'ExpectedNumericAccessIdToRevokeCredentials'],
+  },
+  {
+    args: makeArgs({revoke: '0'}),
+    description: 'The default access id cannot be revoked',
+    error: [400, 'ExpectedNumericAccessIdToRevokeCredentials'],
+  },
+  {
+    args: makeArgs({revoke: '3'}),
+    description: 'An access id that was not issued cannot be revoked',
+    error: [400, 'ExpectedIssuedAccessIdToRevokeCredentials'],
+  },
+  {
+    args: makeArgs({revoke: '2'}),
+    description: 'An access id issued to another node cannot be revoked',
+    error: [400, 'ExpectedIssuedAccessIdToRevokeCredentials'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Issued credentials are listed',
+    expected: {revoked: [], status: 'active'},
+  },
+  {
+    args: makeArgs({revoke: '1'}),
+    description: 'An issued access id is revoked',
+    expected: {revoked: ['1'], status: 'revoked'},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const revoked = [];
+
+    args.lnd = makeLnd({revoked});
+
+    const {rows} = await method(args);
+
+    const [, row] = rows;
+
+    deepEqual(revoked, expected.revoked, 'Got expected revocations');
+    deepEqual(row.slice(-1), [expected.status], 'Got expected status');
+
+    return;
+  });
+});
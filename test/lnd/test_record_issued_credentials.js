@@ -0,0 +1,105 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lnd/record_issued_credentials');
+
+const {keys} = Object;
+
+const makeArgs = overrides => {
+  const args = {
+    expires_at: new Date(1).toISOString(),
+    fs: {
+      getFile: (path, cbk) => cbk(),
+      makeDirectory: (path, cbk) => cbk(),
+      writeFile: (path, file, cbk) => cbk(),
+    },
+    id: '1',
+    ip: '127.0.0.1',
+    methods: [],
+    permissions: ['info:read', 'offchain:write'],
+    profile: 'fee-manager',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Expected fs methods',
+    error: [400, 'ExpectedFileSystemMethodsToRecordCredentials'],
+  },
+  {
+    args: makeArgs({id: undefined}),
+    description: 'Expected access id',
+    error: [400, 'ExpectedAccessIdToRecordIssuedCredentials'],
+  },
+  {
+    args: makeArgs({permissions: undefined}),
+    description: 'Expected permissions',
+    error: [400, 'ExpectedPermissionsToRecordIssuedCredentials'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'An invalid record is not overwritten',
+    error: [400, 'ExpectedArrayOfIssuedCredentialsInFile'],
+    existing: JSON.stringify({}),
+  },
+  {
+    args: makeArgs({}),
+    description: 'Issued credentials are recorded',
+    existing: JSON.stringify({credentials: [{id: '2'}]}),
+    expected: [
+      {id: '2'},
+      {
+        expires_at: new Date(1).toISOString(),
+        id: '1',
+        ip: '127.0.0.1',
+        methods: [],
+        permissions: ['info:read', 'offchain:write'],
+        profile: 'fee-manager',
+      },
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, existing, expected}) => {
+  return test(description, async () => {
+    let written;
+
+    if (!!args.fs) {
+      args.fs.getFile = (path, cbk) => cbk(null, existing);
+
+      args.fs.writeFile = (path, file, cbk) => {
+        written = JSON.parse(file);
+
+        return cbk();
+      };
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    await method(args);
+
+    const credentials = written.credentials.map(credential => {
+      const details = {};
+
+      keys(credential).filter(n => n !== 'issued_at').forEach(key => {
+        details[key] = credential[key];
+      });
+
+      return details;
+    });
+
+    deepEqual(credentials, expected, 'Got expected issued credentials');
+
+    return;
+  });
+});
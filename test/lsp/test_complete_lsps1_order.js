@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/complete_lsps1_order');
+
+const makeOrder = () => ({
+  result: {
+    order_id: 'id',
+    order_state: 'CREATED',
+    payment: {
+      bolt11: {expires_at: new Date(Date.now() + 1000).toISOString()},
+      state: 'EXPECT_PAYMENT',
+    },
+  },
+});
+
+const makeInvoice = overrides => {
+  const invoice = {
+    creation_date: '1',
+    description_hash: Buffer.alloc(0),
+    expiry: '1',
+    features: {},
+    htlcs: [],
+    memo: 'memo',
+    payment_addr: Buffer.alloc(32),
+    payment_request: 'lnbc1',
+    r_hash: Buffer.alloc(32),
+    r_preimage: Buffer.alloc(32),
+    settled: false,
+    state: 'OPEN',
+    value: 1,
+  };
+
+  Object.keys(overrides).forEach(k => invoice[k] = overrides[k]);
+
+  return invoice;
+};
+
+const makeFs = ({files}) => {
+  return {
+    getFile: (path, cbk) => cbk(null, files[path]),
+    makeDirectory: ({}, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[path] = Buffer.from(contents);
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({files: {}}),
+    invoice_id: Buffer.alloc(32).toString('hex'),
+    lnd: {
+      default: {
+        lookupInvoice: ({}, cbk) => cbk(null, makeInvoice({})),
+      },
+    },
+    logger: {error: () => {}, info: () => {}},
+    order_id: 'id',
+    orders: new Map([['id', JSON.stringify(makeOrder())]]),
+    secret: Buffer.alloc(32, 1).toString('hex'),
+    to_peer: Buffer.alloc(33, 2).toString('hex'),
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({invoice_id: undefined}),
+    description: 'An invoice id is required',
+    error: [400, 'ExpectedInvoiceIdToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({order_id: undefined}),
+    description: 'An order id is required',
+    error: [400, 'ExpectedOrderIdToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({orders: new Map()}),
+    description: 'A known order is required',
+    error: [400, 'ExpectedKnownOrderToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({secret: undefined}),
+    description: 'An invoice secret is required',
+    error: [400, 'ExpectedInvoiceSecretToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({to_peer: undefined}),
+    description: 'A client public key is required',
+    error: [400, 'ExpectedClientPublicKeyToCompleteLsps1Order'],
+  },
+  {
+    args: makeArgs({
+      lnd: {
+        default: {
+          lookupInvoice: ({}, cbk) => {
+            return cbk(null, makeInvoice({state: 'CANCELED'}));
+          },
+        },
+      },
+    }),
+    description: 'An order with a canceled invoice fails',
+    error: [408, 'TimedOutWaitingForOpenChannelLightningPayment'],
+    expected: {order_state: 'FAILED', states: ['FAILED']},
+  },
+  {
+    args: makeArgs({
+      lnd: {
+        default: {
+          lookupInvoice: ({}, cbk) => cbk(null, makeInvoice({})),
+        },
+        invoices: {
+          subscribeSingleInvoice: ({}) => {
+            const sub = new EventEmitter();
+
+            sub.cancel = () => {};
+
+            return sub;
+          },
+        },
+      },
+    }),
+    description: 'An order that is not paid before it expires fails',
+    error: [408, 'TimedOutWaitingForOpenChannelLightningPayment'],
+    expected: {order_state: 'FAILED', states: ['FAILED']},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const files = {};
+
+    if (!!args.fs) {
+      args.fs = makeFs({files});
+    }
+
+    await rejects(method(args), error, 'Got expected error');
+
+    // Exit early when nothing is expected to be recorded
+    if (!expected) {
+      return;
+    }
+
+    const [record] = Object.values(files).map(n => JSON.parse(n));
+
+    const {transitions} = record;
+
+    deepEqual(transitions.map(n => n.state), expected.states, 'Got states');
+
+    const order = JSON.parse(args.orders.get(args.order_id));
+
+    deepEqual(order.result.order_state, expected.order_state, 'Order state');
+
+    return;
+  });
+});
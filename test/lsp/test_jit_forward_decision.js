@@ -0,0 +1,113 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/jit_forward_decision');
+
+const makeArgs = overrides => {
+  const args = {
+    buy: {
+      opening_fee_params: {
+        max_payment_size_msat: '10000000000',
+        min_fee_msat: '5000000',
+        min_payment_size_msat: '10000000',
+        proportional: 10000,
+        valid_until: new Date(1000).toISOString(),
+      },
+    },
+    fee_mtokens: '0',
+    max_capacity: 50000000,
+    min_capacity: 1000000,
+    mtokens: '100000000',
+    now: 1,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const makeBuy = overrides => {
+  const {buy} = makeArgs({});
+
+  Object.keys(overrides).forEach(k => buy[k] = overrides[k]);
+
+  return buy;
+};
+
+const tests = [
+  {
+    args: makeArgs({now: 2000}),
+    description: 'A forward after the fee params expired is rejected',
+    expected: {reject_reason: 'ExpiredOpeningFeeParams'},
+  },
+  {
+    args: makeArgs({mtokens: '9999999'}),
+    description: 'A forward below the minimum payment size is rejected',
+    expected: {reject_reason: 'PaymentSizeBelowMinimum'},
+  },
+  {
+    args: makeArgs({mtokens: '10000000001'}),
+    description: 'A forward above the maximum payment size is rejected',
+    expected: {reject_reason: 'PaymentSizeAboveMaximum'},
+  },
+  {
+    args: makeArgs({buy: makeBuy({payment_size_msat: '200000000'})}),
+    description: 'A forward not matching the bought size is rejected',
+    expected: {reject_reason: 'PaymentSizeDoesNotMatchBoughtSize'},
+  },
+  {
+    args: makeArgs({
+      buy: makeBuy({
+        opening_fee_params: Object.assign({}, makeBuy({}).opening_fee_params, {
+          min_fee_msat: '10000000',
+        }),
+      }),
+      mtokens: '10000000',
+    }),
+    description: 'A forward that cannot pay the opening fee is rejected',
+    expected: {reject_reason: 'PaymentSizeBelowOpeningFee'},
+  },
+  {
+    args: makeArgs({max_capacity: 100000}),
+    description: 'A forward above the maximum capacity is rejected',
+    expected: {reject_reason: 'PaymentSizeAboveMaximumCapacity'},
+  },
+  {
+    args: makeArgs({}),
+    description: 'A forward that pays the opening fee is accepted',
+    expected: {
+      capacity: 1000000,
+      fee_mtokens: '5000000',
+      is_fee_paid: false,
+    },
+  },
+  {
+    args: makeArgs({
+      buy: makeBuy({payment_size_msat: '100000000'}),
+      fee_mtokens: '5000000',
+    }),
+    description: 'A forward paying the fee as a routing fee is accepted',
+    expected: {
+      capacity: 1000000,
+      fee_mtokens: '5000000',
+      is_fee_paid: true,
+    },
+  },
+  {
+    args: makeArgs({max_capacity: 15000000, mtokens: '10000000000'}),
+    description: 'The channel capacity is capped at the maximum capacity',
+    expected: {
+      capacity: 15000000,
+      fee_mtokens: '100000000',
+      is_fee_paid: false,
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected decision');
+
+    return end();
+  });
+});
@@ -0,0 +1,62 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const method = require('./../../lsp/jit_opening_fee');
+
+const makeArgs = overrides => {
+  const args = {
+    min_fee_msat: '5000000',
+    payment_size_msat: '100000000',
+    proportional: 10000,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({min_fee_msat: undefined}),
+    description: 'A minimum fee is required',
+    error: 'ExpectedMinimumFeeToCalculateJitOpeningFee',
+  },
+  {
+    args: makeArgs({payment_size_msat: undefined}),
+    description: 'A payment size is required',
+    error: 'ExpectedPaymentSizeToCalculateJitOpeningFee',
+  },
+  {
+    args: makeArgs({proportional: undefined}),
+    description: 'A proportional fee is required',
+    error: 'ExpectedProportionalFeeToCalculateJitOpeningFee',
+  },
+  {
+    args: makeArgs({}),
+    description: 'The minimum fee is used when it is above proportional',
+    expected: {fee_mtokens: '5000000'},
+  },
+  {
+    args: makeArgs({payment_size_msat: '1000000000'}),
+    description: 'The proportional fee is used when it is above minimum',
+    expected: {fee_mtokens: '10000000'},
+  },
+  {
+    args: makeArgs({min_fee_msat: '0', payment_size_msat: '1000000001'}),
+    description: 'The proportional fee is rounded up',
+    expected: {fee_mtokens: '10000001'},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      deepEqual(method(args), expected, 'Got expected result');
+    }
+
+    return end();
+  });
+});
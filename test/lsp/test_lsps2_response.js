@@ -0,0 +1,171 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/lsps2_response');
+const promiseForParams = require('./../../lsp/opening_fee_params_promise');
+
+const now = Date.parse('2024-01-01T00:00:00.000Z');
+const scid = '16000000x1x0';
+const secret = Buffer.alloc(32).toString('hex');
+
+const settings = {
+  base_fee: 5000,
+  cltv_delta: 144,
+  fee_rate: 10000,
+  lifetime: 13000,
+  max_client_to_self_delay: 2016,
+  max_payment: 1e7,
+  min_payment: 1e4,
+};
+
+const params = {
+  min_fee_msat: '5000000',
+  proportional: 10000,
+  valid_until: '2024-01-01T01:00:00.000Z',
+  min_lifetime: 13000,
+  max_client_to_self_delay: 2016,
+  min_payment_size_msat: '10000000',
+  max_payment_size_msat: '10000000000',
+};
+
+const {promise} = promiseForParams({params, secret});
+
+const offered = Object.assign({promise}, params);
+
+const buyMessage = overrides => {
+  const message = {
+    id: 'id',
+    method: 'lsps2.buy',
+    params: {opening_fee_params: offered},
+  };
+
+  Object.keys(overrides).forEach(k => message.params[k] = overrides[k]);
+
+  return message;
+};
+
+const makeError = (code, data, message) => {
+  return {response: {error: {code, data, message}, id: 'id', jsonrpc: '2.0'}};
+};
+
+const tests = [
+  {
+    args: {message: {id: 'id', method: 'unknown'}},
+    description: 'An unknown method has no response',
+    expected: {},
+  },
+  {
+    args: {message: {id: 'id', method: 'lsps2.get_info'}},
+    description: 'Info responds with the offered opening fee params',
+    expected: {
+      response: {
+        id: 'id',
+        jsonrpc: '2.0',
+        result: {opening_fee_params_menu: [offered]},
+      },
+    },
+  },
+  {
+    args: {message: {id: 'id', method: 'lsps2.buy'}},
+    description: 'A buy requires opening fee params',
+    expected: makeError(
+      -32602,
+      {message: 'MissingOrInvalidParameter', property: 'opening_fee_params'},
+      'Invalid params'
+    ),
+  },
+  {
+    args: {
+      message: buyMessage({
+        opening_fee_params: Object.assign({}, offered, {min_fee_msat: '1'}),
+      }),
+    },
+    description: 'A buy requires unmodified opening fee params',
+    expected: makeError(
+      201,
+      {message: 'UnrecognizedOpeningFeeParams'},
+      'Invalid opening fee params'
+    ),
+  },
+  {
+    args: {message: buyMessage({}), now: now + 1000 * 60 * 60 * 2},
+    description: 'A buy requires unexpired opening fee params',
+    expected: makeError(
+      201,
+      {message: 'ExpiredOpeningFeeParams'},
+      'Invalid opening fee params'
+    ),
+  },
+  {
+    args: {message: buyMessage({payment_size_msat: 'size'})},
+    description: 'A buy requires a numeric payment size',
+    expected: makeError(
+      -32602,
+      {message: 'MissingOrInvalidParameter', property: 'payment_size_msat'},
+      'Invalid params'
+    ),
+  },
+  {
+    args: {message: buyMessage({payment_size_msat: '5000000'})},
+    description: 'A buy requires a payment size above the opening fee',
+    expected: makeError(
+      202,
+      {message: 'PaymentSizeBelowOpeningFee'},
+      'Payment size too small'
+    ),
+  },
+  {
+    args: {message: buyMessage({payment_size_msat: '9000000'})},
+    description: 'A buy requires a payment size above the minimum',
+    expected: makeError(
+      202,
+      {message: 'PaymentSizeBelowMinimum'},
+      'Payment size too small'
+    ),
+  },
+  {
+    args: {message: buyMessage({payment_size_msat: '10000000001'})},
+    description: 'A buy requires a payment size below the maximum',
+    expected: makeError(
+      203,
+      {message: 'PaymentSizeAboveMaximum'},
+      'Payment size too large'
+    ),
+  },
+  {
+    args: {message: buyMessage({payment_size_msat: '100000000'})},
+    description: 'A buy sells a just-in-time channel',
+    expected: {
+      buy: {
+        scid,
+        opening_fee_params: offered,
+        payment_size_msat: '100000000',
+      },
+      response: {
+        id: 'id',
+        jsonrpc: '2.0',
+        result: {
+          client_trusts_lsp: false,
+          jit_channel_scid: scid,
+          lsp_cltv_expiry_delta: 144,
+        },
+      },
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    const res = method({
+      scid,
+      secret,
+      settings,
+      message: args.message,
+      now: args.now || now,
+    });
+
+    deepEqual(res, expected, 'Got expected response');
+
+    return end();
+  });
+});
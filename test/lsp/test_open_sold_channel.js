@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/open_sold_channel');
+
+const makeOrder = () => ({
+  result: {
+    announce_channel: true,
+    lsp_balance_sat: '1000000',
+    order_id: 'id',
+    order_state: 'CREATED',
+    payment: {state: 'EXPECT_PAYMENT'},
+  },
+});
+
+const makeFs = ({files}) => {
+  return {
+    getFile: (path, cbk) => cbk(null, files[path]),
+    makeDirectory: ({}, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[path] = Buffer.from(contents);
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    chain_fee: 1,
+    fs: makeFs({files: {}}),
+    invoice_id: Buffer.alloc(32).toString('hex'),
+    lnd: {
+      default: {
+        fundingStateStep: ({}, cbk) => cbk(),
+        openChannel: ({}) => {
+          const sub = new EventEmitter();
+
+          sub.cancel = () => {};
+
+          process.nextTick(() => sub.emit('error', {details: 'rejected'}));
+
+          return sub;
+        },
+      },
+      invoices: {cancelInvoice: ({}, cbk) => cbk()},
+    },
+    logger: {error: () => {}, info: () => {}},
+    open_to: Buffer.alloc(33, 2).toString('hex'),
+    order_id: 'id',
+    orders: new Map([['id', JSON.stringify(makeOrder())]]),
+    secret: Buffer.alloc(32, 1).toString('hex'),
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({chain_fee: undefined}),
+    description: 'A chain fee is required',
+    error: [400, 'ExpectedChainFeesToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({invoice_id: undefined}),
+    description: 'An invoice id is required',
+    error: [400, 'ExpectedInvoiceIdToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({open_to: undefined}),
+    description: 'A peer to open to is required',
+    error: [400, 'ExpectedIdentityPublicKeyToOpenSoldChannelTo'],
+  },
+  {
+    args: makeArgs({order_id: undefined}),
+    description: 'An order id is required',
+    error: [400, 'ExpectedOrderIdToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({orders: undefined}),
+    description: 'Orders are required',
+    error: [400, 'ExpectedOrdersMapToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({secret: undefined}),
+    description: 'A secret is required',
+    error: [400, 'ExpectedSecretToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({orders: new Map()}),
+    description: 'A known order is required',
+    error: [400, 'ExpectedExistingOrderToOpenSoldChannel'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A rejected channel open refunds the order',
+    expected: {
+      canceled: [Buffer.alloc(32).toString('hex')],
+      order_state: 'FAILED',
+      payment_state: 'REFUNDED',
+      states: ['REFUNDED'],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const canceled = [];
+    const files = {};
+
+    args.fs = makeFs({files});
+
+    args.lnd.invoices.cancelInvoice = ({payment_hash}, cbk) => {
+      canceled.push(payment_hash.toString('hex'));
+
+      return cbk();
+    };
+
+    await method(args);
+
+    const [record] = Object.values(files).map(n => JSON.parse(n));
+
+    const {result} = JSON.parse(args.orders.get(args.order_id));
+
+    deepEqual(canceled, expected.canceled, 'Held payment is canceled');
+    deepEqual(result.order_state, expected.order_state, 'Order failed');
+    deepEqual(result.payment.state, expected.payment_state, 'Refunded');
+
+    const states = record.transitions.map(n => n.state);
+
+    deepEqual(states, expected.states, 'Got recorded states');
+
+    return;
+  });
+});
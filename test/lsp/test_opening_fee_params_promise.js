@@ -0,0 +1,77 @@
+const {deepEqual} = require('node:assert').strict;
+const {notEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/opening_fee_params_promise');
+
+const makeParams = overrides => {
+  const params = {
+    max_client_to_self_delay: 2016,
+    max_payment_size_msat: '10000000000',
+    min_fee_msat: '5000000',
+    min_lifetime: 13000,
+    min_payment_size_msat: '10000000',
+    proportional: 10000,
+    valid_until: '2024-01-01T00:00:00.000Z',
+  };
+
+  Object.keys(overrides).forEach(k => params[k] = overrides[k]);
+
+  return params;
+};
+
+const secret = Buffer.alloc(32).toString('hex');
+
+test('The same params make the same promise', (t, end) => {
+  const {promise} = method({secret, params: makeParams({})});
+
+  deepEqual(method({secret, params: makeParams({})}).promise, promise, 'Same');
+  deepEqual(promise.length, 64, 'Promise is a sha256 hmac');
+
+  return end();
+});
+
+test('Extra fields are not committed to', (t, end) => {
+  const {promise} = method({secret, params: makeParams({})});
+
+  const extra = method({secret, params: makeParams({promise})});
+
+  deepEqual(extra.promise, promise, 'The promise field is not committed');
+
+  return end();
+});
+
+test('Changed params make a different promise', (t, end) => {
+  const {promise} = method({secret, params: makeParams({})});
+
+  const changes = [
+    {max_client_to_self_delay: 4032},
+    {max_payment_size_msat: '20000000000'},
+    {min_fee_msat: '1'},
+    {min_lifetime: 1},
+    {min_payment_size_msat: '1'},
+    {proportional: 1},
+    {valid_until: '2025-01-01T00:00:00.000Z'},
+  ];
+
+  changes.forEach(change => {
+    const changed = method({secret, params: makeParams(change)});
+
+    return notEqual(changed.promise, promise, 'Changed params are detected');
+  });
+
+  return end();
+});
+
+test('A different secret makes a different promise', (t, end) => {
+  const {promise} = method({secret, params: makeParams({})});
+
+  const other = method({
+    params: makeParams({}),
+    secret: Buffer.alloc(32, 1).toString('hex'),
+  });
+
+  notEqual(other.promise, promise, 'A different secret is detected');
+
+  return end();
+});
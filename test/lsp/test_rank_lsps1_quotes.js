@@ -0,0 +1,124 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/rank_lsps1_quotes');
+
+const a = Buffer.alloc(33, 2).toString('hex');
+const b = Buffer.alloc(33, 3).toString('hex');
+const c = '02' + Buffer.alloc(32, 1).toString('hex');
+const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+const channel = (...keys) => {
+  return {policies: keys.map(public_key => ({public_key}))};
+};
+
+const makeArgs = overrides => {
+  const args = {
+    now,
+    channels: [channel(a, b), channel(a, c), channel(a, b)],
+    quotes: [
+      {fee: 2000, max_wait_hours: 2, public_key: b},
+      {fee: 1000, max_wait_hours: 2, public_key: a},
+    ],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Quotes are ranked by fee',
+    expected: [
+      {centrality: 1, fee: 1000, max_wait_hours: 2, public_key: a},
+      {centrality: 2 / 3, fee: 2000, max_wait_hours: 2, public_key: b},
+    ],
+  },
+  {
+    args: makeArgs({
+      quotes: [
+        {fee: 1000, max_wait_hours: 4, public_key: a},
+        {fee: 1000, max_wait_hours: 2, public_key: b},
+      ],
+    }),
+    description: 'Fee ties are ranked by wait time',
+    expected: [
+      {centrality: 2 / 3, fee: 1000, max_wait_hours: 2, public_key: b},
+      {centrality: 1, fee: 1000, max_wait_hours: 4, public_key: a},
+    ],
+  },
+  {
+    args: makeArgs({
+      quotes: [
+        {fee: 1000, max_wait_hours: 2, public_key: c},
+        {fee: 1000, max_wait_hours: 2, public_key: b},
+      ],
+    }),
+    description: 'Fee and wait time ties are ranked by centrality',
+    expected: [
+      {centrality: 2 / 3, fee: 1000, max_wait_hours: 2, public_key: b},
+      {centrality: 1 / 3, fee: 1000, max_wait_hours: 2, public_key: c},
+    ],
+  },
+  {
+    args: makeArgs({
+      channels: [],
+      quotes: [
+        {fee: 1000, max_wait_hours: 2, public_key: b},
+        {fee: 1000, max_wait_hours: 2, public_key: a},
+      ],
+    }),
+    description: 'Complete ties keep the order of the quotes',
+    expected: [
+      {centrality: 0, fee: 1000, max_wait_hours: 2, public_key: b},
+      {centrality: 0, fee: 1000, max_wait_hours: 2, public_key: a},
+    ],
+  },
+  {
+    args: makeArgs({
+      quotes: [
+        {max_wait_hours: 1, public_key: a},
+        {fee: 3000, max_wait_hours: 2, public_key: b},
+      ],
+    }),
+    description: 'Quotes without a fee are ranked last',
+    expected: [
+      {centrality: 2 / 3, fee: 3000, max_wait_hours: 2, public_key: b},
+      {centrality: 1, fee: undefined, max_wait_hours: 1, public_key: a},
+    ],
+  },
+  {
+    args: makeArgs({
+      quotes: [
+        {
+          expires_at: new Date(now - 1).toISOString(),
+          fee: 1000,
+          max_wait_hours: 2,
+          public_key: a,
+        },
+        {
+          expires_at: new Date(now + 1).toISOString(),
+          fee: 2000,
+          max_wait_hours: 2,
+          public_key: b,
+        },
+      ],
+    }),
+    description: 'Expired quotes are not ranked',
+    expected: [
+      {centrality: 2 / 3, fee: 2000, max_wait_hours: 2, public_key: b},
+    ],
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    const {ranked} = method(args);
+
+    deepEqual(ranked, expected, 'Got expected ranking');
+
+    return end();
+  });
+});
@@ -0,0 +1,143 @@
+const {deepEqual} = require('node:assert').strict;
+const {equal} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../lsp/record_lsps1_order');
+
+const order = {result: {order_id: 'id', order_state: 'CREATED'}};
+
+const makeFs = ({files}) => {
+  return {
+    getFile: (path, cbk) => {
+      if (!files[path]) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(files[path]));
+    },
+    makeDirectory: ({}, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[path] = contents;
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({files: {}}),
+    id: 'id',
+    invoice_id: Buffer.alloc(32).toString('hex'),
+    orders: new Map([['id', JSON.stringify(order)]]),
+    secret: Buffer.alloc(32, 1).toString('hex'),
+    state: 'CREATED',
+    to_peer: Buffer.alloc(33, 2).toString('hex'),
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToRecordLsps1Order'],
+  },
+  {
+    args: makeArgs({id: undefined}),
+    description: 'An order id is required',
+    error: [400, 'ExpectedOrderIdToRecordLsps1Order'],
+  },
+  {
+    args: makeArgs({orders: new Map()}),
+    description: 'A known order is required',
+    error: [400, 'ExpectedKnownOrderToRecordLsps1Order'],
+  },
+  {
+    args: makeArgs({state: undefined}),
+    description: 'An order state is required',
+    error: [400, 'ExpectedOrderStateToRecordLsps1Order'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: ({}, cbk) => cbk(),
+        makeDirectory: ({}, cbk) => cbk(),
+        writeFile: ({}, contents, cbk) => cbk('err'),
+      },
+    }),
+    description: 'Errors writing the order file are returned',
+    error: [503, 'UnexpectedErrorSavingLsps1OrderFile', {err: 'err'}],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: ({}, cbk) => cbk(null, Buffer.from('invalid json')),
+        makeDirectory: ({}, cbk) => cbk(),
+        writeFile: ({}, contents, cbk) => cbk(),
+      },
+    }),
+    description: 'An existing order file is expected to be JSON',
+    error: [400, 'ExpectedValidJsonLsps1OrderFile'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A new order is recorded',
+    expected: {states: ['CREATED'], to_peer: '02'.repeat(33)},
+  },
+  {
+    args: makeArgs({}),
+    description: 'A repeated state does not add a transition',
+    expected: {states: ['CREATED', 'HOLD'], to_peer: '02'.repeat(33)},
+    updates: [{state: 'HOLD'}, {state: 'HOLD'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Order details are kept when updating the state',
+    expected: {states: ['CREATED', 'PAID'], to_peer: '02'.repeat(33)},
+    updates: [{secret: undefined, state: 'PAID', to_peer: undefined}],
+  },
+];
+
+tests.forEach(({args, description, error, expected, updates}) => {
+  return test(description, async () => {
+    if (!!error) {
+      const [code, message] = error;
+
+      await rejects(method(args), err => {
+        deepEqual(err.slice(0, 2), [code, message], 'Got expected error');
+
+        return true;
+      });
+
+      return;
+    }
+
+    const files = {};
+
+    args.fs = makeFs({files});
+
+    await method(args);
+
+    for (const update of updates || []) {
+      const updated = Object.assign({}, args, update);
+
+      await method(updated);
+    }
+
+    const [path] = Object.keys(files);
+
+    const record = JSON.parse(files[path]);
+
+    deepEqual(record.transitions.map(n => n.state), expected.states, 'States');
+    deepEqual(record.order, order, 'Got order');
+    equal(record.secret, args.secret, 'Got secret');
+    equal(record.to_peer, expected.to_peer, 'Got peer');
+
+    return;
+  });
+});
@@ -0,0 +1,50 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../network/payouts_summary');
+
+const tests = [
+  {
+    args: {payouts: []},
+    description: 'No payouts are summarized',
+    expected: {
+      already_paid: 0,
+      estimated_fees: 0,
+      invalid: 0,
+      payable: 0,
+      total_amount: 0,
+      total_cost: 0,
+      unpayable: 0,
+    },
+  },
+  {
+    args: {
+      payouts: [
+        {amount: 100, fee: 1, status: 'probed'},
+        {amount: 200, fee: 0, status: 'probed'},
+        {amount: 300, status: 'already_paid'},
+        {amount: 400, fee: 50, status: 'fee_too_high'},
+        {amount: 500, status: 'unroutable'},
+        {status: 'invalid'},
+      ],
+    },
+    description: 'Payouts are summarized',
+    expected: {
+      already_paid: 1,
+      estimated_fees: 1,
+      invalid: 1,
+      payable: 2,
+      total_amount: 300,
+      total_cost: 301,
+      unpayable: 2,
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected summary');
+
+    return end();
+  });
+});
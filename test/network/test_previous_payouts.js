@@ -0,0 +1,47 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../network/previous_payouts');
+
+const hash1 = Buffer.alloc(32, 1).toString('hex');
+const hash2 = Buffer.alloc(32, 2).toString('hex');
+
+const tests = [
+  {
+    args: {rows: []},
+    description: 'No previous results means no previous payouts',
+    expected: {attempts: [], paid: []},
+  },
+  {
+    args: {
+      rows: [
+        {id: '1', payment_id: hash1, status: 'attempting'},
+        {id: '1', payment_id: hash1, status: 'paid'},
+        {id: '2', payment_id: hash2, status: 'attempting'},
+        {id: '3', status: 'unroutable'},
+      ],
+    },
+    description: 'Paid and attempted payouts are derived',
+    expected: {attempts: [{id: '2', payments: [hash2]}], paid: ['1']},
+  },
+  {
+    args: {
+      rows: [
+        {id: '1', payment_id: hash1, status: 'attempting'},
+        {id: '1', payment_id: hash1, status: 'failed'},
+        {id: '1', payment_id: hash2, status: 'attempting'},
+        {id: '1', status: 'attempting'},
+      ],
+    },
+    description: 'Every attempted payment of a payout is looked up',
+    expected: {attempts: [{id: '1', payments: [hash1, hash2]}], paid: []},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected previous payouts');
+
+    return end();
+  });
+});
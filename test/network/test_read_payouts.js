@@ -0,0 +1,166 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const readPayouts = require('./../../network/read_payouts');
+
+const key = Buffer.alloc(33, 3).toString('hex');
+const repeatId = 'bdaa2b9802242d53';
+
+const makeArgs = overrides => {
+  const args = {
+    file: 'payouts.csv',
+    fs: {
+      getFile: (path, cbk) => {
+        return cbk(null, [
+          'destination,amount,max_fee',
+          `${key},100,10`,
+          'alice@example.com,200,',
+        ].join('\n'));
+      },
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({file: undefined}),
+    description: 'A payouts file is required',
+    error: [400, 'ExpectedPathToPayoutsFileToReadPayouts'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToReadPayouts'],
+  },
+  {
+    args: makeArgs({fs: {getFile: (path, cbk) => cbk('err')}}),
+    description: 'A payouts file must be readable',
+    error: [400, 'FailedToReadPayoutsFile', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Payouts are read from a CSV file',
+    expected: {
+      payouts: [
+        {
+          amount: 100,
+          destination: key,
+          id: '52516e133d30afda',
+          max_fee: 10,
+        },
+        {
+          amount: 200,
+          destination: 'alice@example.com',
+          id: 'f78ccb5be70ca20f',
+          max_fee: undefined,
+        },
+      ],
+    },
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => {
+          return cbk(null, JSON.stringify({
+            payouts: [
+              {amount: 1, destination: key, id: 'a'},
+              {destination: 'lnbc1', id: 'b'},
+            ],
+          }));
+        },
+      },
+    }),
+    description: 'Payouts are read from a JSON file',
+    expected: {
+      payouts: [
+        {amount: 1, destination: key, id: 'a', max_fee: undefined},
+        {destination: 'lnbc1', id: 'b', amount: undefined, max_fee: undefined},
+      ],
+    },
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => {
+          return cbk(null, JSON.stringify([
+            {amount: 1, destination: key},
+            {amount: 1, destination: key},
+          ]));
+        },
+      },
+    }),
+    description: 'Repeated payouts get distinct ids',
+    expected: {
+      payouts: [
+        {amount: 1, destination: key, id: repeatId, max_fee: undefined},
+        {amount: 1, destination: key, id: `${repeatId}-2`, max_fee: undefined},
+      ],
+    },
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => {
+          return cbk(null, JSON.stringify([
+            {amount: 1, destination: key, id: 'a'},
+            {amount: 2, destination: key, id: 'a'},
+          ]));
+        },
+      },
+    }),
+    description: 'Payout ids must be unique',
+    error: [400, 'ExpectedUniquePayoutIds', {id: 'a'}],
+  },
+  {
+    args: makeArgs({fs: {getFile: (path, cbk) => cbk(null, '[]')}}),
+    description: 'Payouts are required',
+    error: [400, 'ExpectedPayoutsInPayoutsFile'],
+  },
+  {
+    args: makeArgs({fs: {getFile: (path, cbk) => cbk(null, '{"a": 1}')}}),
+    description: 'A JSON file must have a list of payouts',
+    error: [400, 'ExpectedArrayOfPayoutsInPayoutsFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: (path, cbk) => cbk(null, 'destination,amount\n,1')},
+    }),
+    description: 'A payout destination is required',
+    error: [400, 'ExpectedDestinationForPayout', {row: 1}],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: (path, cbk) => cbk(null, `destination,amount\n1,1.5`)},
+    }),
+    description: 'A payout amount must be whole tokens',
+    error: [400, 'ExpectedWholeTokensAmountForPayout', {row: 1}],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => {
+          return cbk(null, `destination,amount,max_fee\n${key},1,-1`);
+        },
+      },
+    }),
+    description: 'A payout max fee must be whole tokens',
+    error: [400, 'ExpectedWholeTokensMaxFeeForPayout', {row: 1}],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(readPayouts(args), error, 'Got expected error');
+    } else {
+      deepEqual(await readPayouts(args), expected, 'Got expected payouts');
+    }
+
+    return;
+  });
+});
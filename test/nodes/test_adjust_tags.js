@@ -36,6 +36,20 @@ const tests = [
     description: 'Expected fs methods',
     error: [400, 'ExpectedFileSystemMethodsToAdjustTags'],
   },
+  {
+    args: makeArgs({formula: 'unknown > 1'}),
+    description: 'Formulas are expected to be valid',
+    error: [
+      400,
+      'ExpectedValidFormulaForTag',
+      {
+        failure: {
+          error: 'UnrecognizedVariableOrFunctionInFormula',
+          formula: 'unknown > 1',
+        },
+      },
+    ],
+  },
   {
     args: makeArgs({id: 'id'}),
     description: 'Ids are expected to be hashes',
@@ -220,6 +234,50 @@ const tests = [
     description: 'Nodes cannot be removed from non-existing tags',
     error: [400, 'FailedToFindTheTagToRemoveFrom'],
   },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => cbk(null, JSON.stringify({tags: []})),
+        makeDirectory: (path, cbk) => cbk(),
+        writeFile: (path, file, cbk) => cbk(),
+      },
+      formula: 'inbound_fee_rate > 5000',
+      id: Buffer.alloc(32).toString('hex'),
+      tag: 'alias',
+    }),
+    description: 'A formula tag is created',
+    expected: {
+      tag: {
+        alias: 'alias',
+        formula: 'inbound_fee_rate > 5000',
+        id: '0000000000000000000000000000000000000000000000000000000000000000',
+        nodes: [],
+      },
+    },
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: (path, cbk) => cbk(null, JSON.stringify({
+          tags: [{
+            alias: 'alias',
+            formula: 'capacity > 1',
+            id: Buffer.alloc(32).toString('hex'),
+          }],
+        })),
+        makeDirectory: (path, cbk) => cbk(),
+        writeFile: (path, file, cbk) => cbk(),
+      },
+    }),
+    description: 'Formula tags without static nodes are listed',
+    expected: {
+      tags: [{
+        alias: 'alias',
+        formula: 'capacity > 1',
+        id: '0000000000000000000000000000000000000000000000000000000000000000',
+      }],
+    },
+  },
   {
     args: makeArgs({
       fs: {
@@ -0,0 +1,125 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../nodes/encrypt_saved_macaroons');
+
+const {parse} = JSON;
+const {stringify} = JSON;
+
+const makeAsk = answers => ({name}, cbk) => cbk({[name]: answers[name]});
+
+const makeFs = ({credentials, writes}) => {
+  return {
+    getFile: (path, cbk) => cbk(null, Buffer.from(stringify(credentials))),
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      writes.push(parse(contents));
+
+      return cbk();
+    },
+  };
+};
+
+const gpgCredentials = {
+  cert: 'cert',
+  encrypted_macaroon: 'encrypted',
+  encrypted_to: ['key'],
+  socket: 'socket',
+};
+
+const plainCredentials = {cert: 'cert', macaroon: 'macaroon', socket: 'socket'};
+
+const makeArgs = overrides => {
+  const args = {
+    ask: makeAsk({confirm: 'passphrase', passphrase: 'passphrase'}),
+    fs: makeFs({credentials: plainCredentials, writes: []}),
+    is_passphrase: true,
+    logger: {info: () => {}},
+    nodes: ['node'],
+    spawn: () => {
+      throw new Error('UnexpectedSpawnToDecryptMacaroon');
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFilesystemMethodsToSaveEncrypted'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToEncryptSavedMacaroons'],
+  },
+  {
+    args: makeArgs({nodes: []}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedNodesToEncryptSavedMacaroonsFor'],
+  },
+  {
+    args: makeArgs({spawn: undefined}),
+    description: 'A spawn function is required',
+    error: [400, 'ExpectedSpawnFunctionToEncryptSavedMacaroons'],
+  },
+  {
+    args: makeArgs({is_passphrase: undefined}),
+    description: 'GPG key ids are required without a passphrase',
+    error: [400, 'ExpectedGpgKeyIdsToEncryptSavedMacaroonsTo'],
+  },
+  {
+    args: makeArgs({
+      ask: makeAsk({confirm: 'other', passphrase: 'passphrase'}),
+    }),
+    credentials: gpgCredentials,
+    description: 'Nothing is decrypted or written without a confirmation',
+    error: [400, 'ExpectedMatchingPassphraseConfirmation'],
+    expected: [],
+  },
+  {
+    args: makeArgs({}),
+    credentials: plainCredentials,
+    description: 'Credentials are written once encrypted with a passphrase',
+    expected: [{
+      cert: 'cert',
+      encrypted_with: 'passphrase',
+      is_encrypted: true,
+      socket: 'socket',
+    }],
+  },
+];
+
+tests.forEach(({args, credentials, description, error, expected}) => {
+  return test(description, async () => {
+    const writes = [];
+
+    if (!!credentials) {
+      args.fs = makeFs({credentials, writes});
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    if (!!expected) {
+      deepEqual(writes.map(n => ({
+        cert: n.cert,
+        encrypted_with: n.encrypted_with,
+        is_encrypted: !!n.encrypted_macaroon && !n.macaroon,
+        socket: n.socket,
+      })),
+      expected,
+      'Got expected writes');
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,99 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const path = require.resolve('./../../nodes/get_passphrase');
+
+const makeAsk = answers => ({name}, cbk) => cbk({[name]: answers[name]});
+
+// The passphrase is cached in the module so load it fresh for each test
+const loadGetPassphrase = () => {
+  delete require.cache[path];
+
+  return require(path);
+};
+
+const tests = [
+  {
+    args: {},
+    description: 'A way to get the passphrase is required',
+    error: [400, 'ExpectedBosPassphraseEnvironmentVariableSet'],
+  },
+  {
+    args: {ask: makeAsk({})},
+    description: 'A passphrase is required',
+    error: [400, 'ExpectedPassphraseForSavedNodeCredentials'],
+  },
+  {
+    args: {
+      ask: makeAsk({confirm: 'other', passphrase: 'passphrase'}),
+      is_confirming: true,
+    },
+    description: 'A confirmed passphrase must match',
+    error: [400, 'ExpectedMatchingPassphraseConfirmation'],
+  },
+  {
+    args: {
+      ask: makeAsk({confirm: 'passphrase', passphrase: 'passphrase'}),
+      is_confirming: true,
+    },
+    description: 'A confirmed passphrase is returned',
+    expected: {passphrase: 'passphrase'},
+  },
+  {
+    args: {ask: makeAsk({passphrase: 'passphrase'})},
+    description: 'A passphrase is returned',
+    expected: {passphrase: 'passphrase'},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const getPassphrase = loadGetPassphrase();
+
+    if (!!error) {
+      await rejects(getPassphrase(args), error, 'Got expected error');
+    } else {
+      deepEqual(await getPassphrase(args), expected, 'Got passphrase');
+    }
+
+    return;
+  });
+});
+
+test('The passphrase is asked for once for more than one node', async () => {
+  const asked = [];
+  const getPassphrase = loadGetPassphrase();
+
+  const ask = ({name}, cbk) => {
+    asked.push(name);
+
+    return setTimeout(() => cbk({[name]: 'passphrase'}), 10);
+  };
+
+  const nodes = await Promise.all([getPassphrase({ask}), getPassphrase({ask})]);
+
+  deepEqual(nodes.map(n => n.passphrase), ['passphrase', 'passphrase']);
+
+  await getPassphrase({ask});
+
+  deepEqual(asked, ['passphrase'], 'Passphrase was only asked for once');
+
+  return;
+});
+
+test('A failed passphrase request is asked for again', async () => {
+  const getPassphrase = loadGetPassphrase();
+
+  await rejects(
+    getPassphrase({ask: makeAsk({})}),
+    [400, 'ExpectedPassphraseForSavedNodeCredentials'],
+    'Got expected error'
+  );
+
+  const ask = makeAsk({passphrase: 'passphrase'});
+
+  deepEqual(await getPassphrase({ask}), {passphrase: 'passphrase'}, 'Got it');
+
+  return;
+});
@@ -71,12 +71,36 @@ const tests = [
         cert: 'cert',
         encrypted_macaroon: undefined,
         encrypted_to: undefined,
+        encrypted_with: undefined,
         macaroon: 'macaroon',
         socket: 'socket',
       },
       node: 'node',
     },
   },
+  {
+    args: {
+      fs: {getFile: ({}, cbk) => cbk(null, JSON.stringify({
+        cert: 'cert',
+        encrypted_macaroon: 'macaroon',
+        encrypted_with: 'passphrase',
+        socket: 'socket',
+      }))},
+      node: 'node',
+    },
+    description: 'Saved credentials encrypted with a passphrase are returned',
+    expected: {
+      credentials: {
+        cert: 'cert',
+        encrypted_macaroon: 'macaroon',
+        encrypted_to: undefined,
+        encrypted_with: 'passphrase',
+        macaroon: undefined,
+        socket: 'socket',
+      },
+      node: 'node',
+    },
+  },
 ];
 
 tests.forEach(({args, description, error, expected}) => {
@@ -9,6 +9,11 @@ const tests = [
     description: 'Passing an encrypted macaroon requires encrypted to array',
     error: [400, 'ExpectedRecipientIdsForEncryptedMacaroon'],
   },
+  {
+    args: {encrypted_macaroon: 'macaroon', encrypted_with: 'unknown'},
+    description: 'Passing an encrypted macaroon requires a known encryption',
+    error: [400, 'ExpectedKnownEncryptionTypeForSavedCredentials'],
+  },
   {
     args: {encrypted_macaroon: 'macaroon', encrypted_to: [], macaroon: 'm'},
     description: 'Cannot pass both a macaroon and encrypted macaroon',
@@ -65,6 +70,19 @@ const tests = [
     },
     description: 'Errors writing file are passed back',
   },
+  {
+    args: {
+      fs: {
+        makeDirectory: (path, cbk) => cbk(),
+        writeFile: (path, file, cbk) => cbk(),
+      },
+      encrypted_macaroon: 'encrypted_macaroon',
+      encrypted_with: 'passphrase',
+      node: 'node',
+      socket: 'socket',
+    },
+    description: 'A passphrase encrypted macaroon is saved',
+  },
 ];
 
 tests.forEach(({args, description, error, expected}) => {
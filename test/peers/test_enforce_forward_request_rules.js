@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../peers/enforce_forward_request_rules');
+
+const makeForward = htlcId => {
+  return {
+    custom_records: {},
+    incoming_amount_msat: '101000',
+    incoming_circuit_key: {chan_id: '1', htlc_id: htlcId},
+    incoming_expiry: 200,
+    onion_blob: Buffer.alloc(0),
+    outgoing_amount_msat: '100000',
+    outgoing_expiry: 160,
+    outgoing_requested_chan_id: '1',
+    payment_hash: Buffer.alloc(32),
+  };
+};
+
+const makeSub = () => {
+  const sub = new EventEmitter();
+
+  sub.cancel = () => {};
+
+  return sub;
+};
+
+const makeLnd = ({blockAt, writes}) => {
+  const interceptor = makeSub();
+
+  interceptor.write = resolution => writes.push(resolution);
+
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const sub = makeSub();
+
+        process.nextTick(() => {
+          return sub.emit('data', {hash: Buffer.alloc(32), height: 200});
+        });
+
+        return sub;
+      },
+    },
+    default: {
+      getInfo: ({}, cbk) => {
+        return cbk(null, {
+          ...getInfoResponse,
+          best_header_timestamp: Math.round((blockAt || Date.now()) / 1e3),
+          block_height: 200,
+        });
+      },
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      subscribeChannelEvents: ({}) => makeSub(),
+    },
+    interceptor,
+    router: {
+      htlcInterceptor: ({}) => interceptor,
+      subscribeHtlcEvents: ({}) => makeSub(),
+    },
+  };
+};
+
+const tests = [
+  {
+    args: {},
+    description: 'A forward without rules is accepted',
+    expected: {
+      accepted: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        tokens: 100,
+      }],
+      rejected: [],
+      writes: [{action: 'RESUME'}],
+    },
+  },
+  {
+    args: {stop_channels: ['0x0x1']},
+    description: 'A forward rejected by a stop list is rejected',
+    expected: {
+      accepted: [],
+      rejected: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        reject_reason: 'InboundChannelDeniedDueToStopList',
+        rule: undefined,
+        tokens: 100,
+      }],
+      writes: [{action: 'FAIL'}],
+    },
+  },
+  {
+    args: {rules: ['FEE > 5']},
+    description: 'A forward violating a formula rule is rejected',
+    expected: {
+      accepted: [],
+      rejected: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        reject_reason: 'ForwardingRuleViolation',
+        rule: 'FEE > 5',
+        tokens: 100,
+      }],
+      writes: [{action: 'FAIL'}],
+    },
+  },
+  {
+    args: {rules: ['FEE >= 1', 'IN_CHANNEL_AGE > 100']},
+    description: 'A forward passing formula rules is accepted',
+    expected: {
+      accepted: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        tokens: 100,
+      }],
+      rejected: [],
+      writes: [{action: 'RESUME'}],
+    },
+  },
+  {
+    args: {max_seconds_since_last_block: 18000, rules: ['FEE >= 1']},
+    description: 'A forward passing formula rules and limits is accepted',
+    expected: {
+      accepted: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        tokens: 100,
+      }],
+      rejected: [],
+      writes: [{action: 'RESUME'}],
+    },
+  },
+  {
+    args: {
+      block_at: 1e3,
+      max_seconds_since_last_block: 18000,
+      rules: ['FEE >= 1'],
+    },
+    description: 'A forward passing formula rules but not limits is rejected',
+    expected: {
+      accepted: [],
+      rejected: [{
+        fee: 1,
+        in_channel: '0x0x1',
+        out_channel: '0x0x1',
+        reject_reason: 'LastBlockReceivedTooLongAgo',
+        rule: undefined,
+        tokens: 100,
+      }],
+      writes: [{action: 'FAIL'}],
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, async () => {
+    const accepted = [];
+    const rejected = [];
+    const writes = [];
+
+    const lnd = makeLnd({writes, blockAt: args.block_at});
+
+    const sub = method({
+      lnd,
+      max_seconds_since_last_block: args.max_seconds_since_last_block,
+      rules: args.rules,
+      stop_channels: args.stop_channels,
+    });
+
+    sub.on('accepted', n => accepted.push(n));
+    sub.on('rejected', n => rejected.push(n));
+
+    lnd.interceptor.emit('data', makeForward('0'));
+
+    // Wait for the forward to be resolved
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    sub.removeAllListeners();
+
+    deepEqual(accepted, expected.accepted, 'Got expected accepted');
+    deepEqual(rejected, expected.rejected, 'Got expected rejected');
+
+    const actions = writes.map(n => ({action: n.action}));
+
+    deepEqual(actions, expected.writes, 'Got expected resolutions');
+
+    return;
+  });
+});
+
+test('Channels are cached between forwards', async () => {
+  const writes = [];
+
+  const lnd = makeLnd({writes});
+
+  let listChannelsCalls = 0;
+
+  lnd.default.listChannels = ({}, cbk) => {
+    listChannelsCalls++;
+
+    return cbk(null, listChannelsResponse);
+  };
+
+  const sub = method({lnd, rules: ['FEE >= 1']});
+
+  sub.on('accepted', () => {});
+
+  lnd.interceptor.emit('data', makeForward('0'));
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  lnd.interceptor.emit('data', makeForward('1'));
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  sub.removeAllListeners();
+
+  deepEqual(writes.map(n => n.action), ['RESUME', 'RESUME'], 'Accepted');
+  deepEqual(listChannelsCalls, 1, 'Channels were fetched once');
+
+  return;
+});
@@ -0,0 +1,87 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../peers/forward_decision_stats');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      {id: '1x1x1', partner_public_key: Buffer.alloc(33, 2).toString('hex')},
+      {id: '2x2x2', partner_public_key: Buffer.alloc(33, 3).toString('hex')},
+    ],
+    decisions: [
+      {
+        in_channel: '1x1x1',
+        is_accepted: true,
+        out_channel: '2x2x2',
+        tokens: 100,
+      },
+      {
+        in_channel: '1x1x1',
+        is_accepted: false,
+        out_channel: '2x2x2',
+        reason: 'ForwardingRuleViolation',
+        rule: 'FEE_RATE > 100',
+        tokens: 200,
+      },
+      {
+        in_channel: '1x1x1',
+        is_accepted: false,
+        out_channel: '2x2x2',
+        reason: 'ForwardingRuleViolation',
+        rule: 'FEE_RATE > 100',
+        tokens: 300,
+      },
+      {
+        in_channel: '3x3x3',
+        is_accepted: false,
+        out_channel: '1x1x1',
+        reason: 'ChannelStopped',
+        tokens: 400,
+      },
+    ],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({decisions: []}),
+    description: 'No decisions are summarized',
+    expected: {accepted: 0, pairs: [], rules: []},
+  },
+  {
+    args: makeArgs({}),
+    description: 'Decisions are summarized by rule and by peer pair',
+    expected: {
+      accepted: 1,
+      pairs: [
+        {
+          in_peer: Buffer.alloc(33, 2).toString('hex'),
+          out_peer: Buffer.alloc(33, 3).toString('hex'),
+          rejected: 2,
+        },
+        {
+          in_peer: '3x3x3',
+          out_peer: Buffer.alloc(33, 2).toString('hex'),
+          rejected: 1,
+        },
+      ],
+      rules: [
+        {rejected: 2, rule: 'FEE_RATE > 100', tokens: 500},
+        {rejected: 1, rule: 'ChannelStopped', tokens: 400},
+      ],
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected stats');
+
+    return end();
+  });
+});
@@ -0,0 +1,84 @@
+const {equal} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const method = require('./../../peers/forward_request_violation');
+
+const makeArgs = overrides => {
+  const args = {
+    amount: 100000,
+    cltv_delta: 40,
+    fee: 10,
+    in_channel_age: 144,
+    in_peer_liquidity: 500000,
+    out_capacity: 1000000,
+    out_local_balance: 150000,
+    out_pending_htlcs: 2,
+    rules: ['OUT_LOCAL_BALANCE - AMOUNT > 100*K'],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({amount: undefined}),
+    description: 'An amount is required',
+    error: 'ExpectedAmountToCheckForForwardRequestViolation',
+  },
+  {
+    args: makeArgs({rules: undefined}),
+    description: 'Rules are required',
+    error: 'ExpectedArrayOfRulesToCheckForForwardRequestViolation',
+  },
+  {
+    args: makeArgs({rules: ['UNKNOWN > 1']}),
+    description: 'Rules must use known variables',
+    error: 'UnrecognizedVariableOrFunctionInForwardRequestRule',
+  },
+  {
+    args: makeArgs({rules: ['AMOUNT / 0']}),
+    description: 'Rules cannot divide by zero',
+    error: 'CannotDivideByZeroInForwardRequestRule',
+  },
+  {
+    args: makeArgs({}),
+    description: 'A rule is violated when draining below a reserve',
+    expected: {rule: 'OUT_LOCAL_BALANCE - AMOUNT > 100*K'},
+  },
+  {
+    args: makeArgs({
+      rules: [
+        'fee_rate >= 100',
+        'CLTV_DELTA >= 40',
+        'IN_CHANNEL_AGE > 100',
+        'IN_PEER_LIQUIDITY > 0',
+        'OUT_PENDING_HTLCS < 10',
+        'OUT_CAPACITY >= M',
+      ],
+    }),
+    description: 'Multiple rules are passed',
+    expected: {rule: undefined},
+  },
+  {
+    args: makeArgs({rules: ['FEE_RATE > 100']}),
+    description: 'A minimum fee rate is violated',
+    expected: {rule: 'FEE_RATE > 100'},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got error');
+    } else {
+      const {rule} = method(args);
+
+      equal(rule, expected.rule, 'Got expected rule violation');
+    }
+
+    return end();
+  });
+});
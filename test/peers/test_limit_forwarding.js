@@ -0,0 +1,113 @@
+const EventEmitter = require('events');
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../peers/limit_forwarding');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const makeSub = () => {
+  const sub = new EventEmitter();
+
+  sub.cancel = () => {};
+
+  return sub;
+};
+
+const makeLnd = ({writes}) => {
+  const interceptor = makeSub();
+
+  interceptor.write = resolution => writes.push(resolution);
+
+  return {
+    chain: {registerBlockEpochNtfn: ({}) => makeSub()},
+    default: {
+      getInfo: ({}, cbk) => {
+        return cbk(null, {
+          ...getInfoResponse,
+          best_header_timestamp: Math.round(Date.now() / 1e3),
+          block_height: 200,
+        });
+      },
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      subscribeChannelEvents: ({}) => makeSub(),
+    },
+    interceptor,
+    router: {
+      htlcInterceptor: ({}) => interceptor,
+      subscribeHtlcEvents: ({}) => makeSub(),
+    },
+  };
+};
+
+const makeForward = () => {
+  return {
+    custom_records: {},
+    incoming_amount_msat: '101000',
+    incoming_circuit_key: {chan_id: '1', htlc_id: '0'},
+    incoming_expiry: 200,
+    onion_blob: Buffer.alloc(0),
+    outgoing_amount_msat: '100000',
+    outgoing_expiry: 160,
+    outgoing_requested_chan_id: '1',
+    payment_hash: Buffer.alloc(32),
+  };
+};
+
+const tests = [
+  {
+    args: {rules: []},
+    description: 'An accepted forward is logged when there are no rules',
+  },
+  {
+    args: {rules: ['AMOUNT > 1']},
+    description: 'Formula rules are enforced alongside the default limits',
+  },
+];
+
+tests.forEach(({args, description}) => {
+  return test(description, async t => {
+    // Forward subscriptions poll to restart until they are stopped
+    t.mock.timers.enable({apis: ['setTimeout']});
+
+    const entries = [];
+    const writes = [];
+
+    const lnd = makeLnd({writes});
+
+    const limiting = method({
+      lnd,
+      fs: {
+        appendFile: (path, contents, cbk) => {
+          entries.push(JSON.parse(contents));
+
+          return cbk();
+        },
+        getFileStatus: (path, cbk) => cbk(null, {size: 1}),
+        makeDirectory: (path, cbk) => cbk(),
+        renameFile: (from, to, cbk) => cbk(),
+      },
+      logger: {error: () => {}, info: () => {}},
+      max_hours_since_last_block: 5,
+      only_allow: [],
+      only_disallow: [],
+      rules: args.rules,
+      stop_channels: [],
+    });
+
+    const failed = limiting.then(() => null, err => err);
+
+    lnd.interceptor.emit('data', makeForward());
+
+    // Wait for the forward to be resolved and the decision to be logged
+    const err = await Promise.race([failed, flush().then(flush).then(flush)]);
+
+    deepEqual(err, undefined, 'Limiting forwards did not fail');
+    deepEqual(writes.map(n => n.action), ['RESUME'], 'Forward was accepted');
+    deepEqual(entries.map(n => n.is_accepted), [true], 'Accept was logged');
+
+    return;
+  });
+});
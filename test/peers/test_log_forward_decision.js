@@ -0,0 +1,108 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../peers/log_forward_decision');
+
+const maxLogBytes = 1024 * 1024 * 10;
+
+const makeFs = ({calls, size}) => {
+  return {
+    appendFile: (path, contents, cbk) => {
+      calls.push(['append', contents]);
+
+      return cbk();
+    },
+    getFileStatus: (path, cbk) => cbk(null, {size}),
+    makeDirectory: (path, cbk) => {
+      calls.push(['mkdir']);
+
+      return cbk();
+    },
+    renameFile: (from, to, cbk) => {
+      calls.push(['rename', to.slice(-2)]);
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    at: new Date(1).toISOString(),
+    fee: 1,
+    fs: makeFs({calls: [], size: 1}),
+    in_channel: '0x0x1',
+    is_accepted: true,
+    out_channel: '0x0x2',
+    tokens: 100,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const line = JSON.stringify({
+  at: '1970-01-01T00:00:00.001Z',
+  fee: 1,
+  in_channel: '0x0x1',
+  is_accepted: true,
+  out_channel: '0x0x2',
+  tokens: 100,
+}) + '\n';
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToLogForwardDecision'],
+  },
+  {
+    args: makeArgs({in_channel: undefined}),
+    description: 'An inbound channel is required',
+    error: [400, 'ExpectedInboundChannelToLogForwardDecision'],
+  },
+  {
+    args: makeArgs({is_accepted: undefined}),
+    description: 'An accepted status is required',
+    error: [400, 'ExpectedAcceptedStatusToLogForwardDecision'],
+  },
+  {
+    args: makeArgs({out_channel: undefined}),
+    description: 'An outbound channel is required',
+    error: [400, 'ExpectedOutboundChannelToLogForwardDecision'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A decision is appended to the log',
+    expected: [['mkdir'], ['append', line]],
+    size: 1,
+  },
+  {
+    args: makeArgs({}),
+    description: 'A full log is rotated before appending',
+    expected: [['mkdir'], ['rename', '.1'], ['append', line]],
+    size: maxLogBytes,
+  },
+];
+
+tests.forEach(({args, description, error, expected, size}) => {
+  return test(description, async () => {
+    const calls = [];
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    args.fs = makeFs({calls, size});
+
+    await method(args);
+
+    deepEqual(calls, expected, 'Got expected file calls');
+
+    return;
+  });
+});
@@ -0,0 +1,68 @@
+const {deepEqual} = require('node:assert').strict;
+const {throws} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../responses/format_records');
+
+const makeArgs = overrides => {
+  const args = {
+    fields: ['alias', 'icons', 'is_private', 'public_key'],
+    format: 'csv',
+    records: [
+      {alias: 'a, "b"', icons: ['x'], public_key: 'key'},
+      {alias: 'c', is_private: true, public_key: 'key2'},
+    ],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Records are formatted as CSV',
+    expected: {
+      output: [
+        'alias,icons,is_private,public_key',
+        '"a, ""b""","[""x""]",,key',
+        'c,,true,key2',
+      ].join('\n'),
+    },
+  },
+  {
+    args: makeArgs({format: 'json'}),
+    description: 'Records are formatted as JSON',
+    expected: {
+      output: JSON.stringify(makeArgs({}).records, null, '  '),
+    },
+  },
+  {
+    args: makeArgs({format: 'jsonl'}),
+    description: 'Records are formatted as JSON lines',
+    expected: {
+      output: [
+        '{"alias":"a, \\"b\\"","icons":["x"],"public_key":"key"}',
+        '{"alias":"c","is_private":true,"public_key":"key2"}',
+      ].join('\n'),
+    },
+  },
+  {
+    args: makeArgs({format: 'xml'}),
+    description: 'An unknown format is an error',
+    error: 'UnexpectedFormatForOutputRecords',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      deepEqual(method(args), expected, 'Got expected output');
+    }
+
+    return end();
+  });
+});
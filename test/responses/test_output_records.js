@@ -0,0 +1,85 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../responses/output_records');
+const schemas = require('./../../responses/output_schemas');
+
+const tests = [
+  {
+    args: {command: 'chart-fees-earned', data: 'data', res: {data: [1, 2]}},
+    description: 'Chart data points are records',
+    expected: {
+      fields: ['segment', 'value'],
+      records: [{segment: 0, value: 1}, {segment: 1, value: 2}],
+    },
+  },
+  {
+    args: {command: 'balance', number: 'balance', res: {balance: 1}},
+    description: 'A number is a record',
+    expected: {fields: schemas.balance.fields, records: [{balance: 1}]},
+  },
+  {
+    args: {
+      command: 'fees',
+      res: {
+        rows: [
+          ['Peer', 'Out Fee', 'Inbound Discount', 'Public Key'],
+          ['\u001b[90malias\u001b[39m', '0.01% (100)', '0', 'key'],
+        ],
+      },
+      table: 'rows',
+    },
+    description: 'Table rows are records keyed by the header',
+    expected: {
+      fields: ['peer', 'out_fee', 'inbound_discount', 'public_key'],
+      records: [{
+        inbound_discount: '0',
+        out_fee: '0.01% (100)',
+        peer: 'alias',
+        public_key: 'key',
+      }],
+    },
+  },
+  {
+    args: {
+      command: 'peers',
+      res: {peers: [{alias: 'alias', public_key: 'key'}]},
+    },
+    description: 'Records are taken from the schema records attribute',
+    expected: {
+      fields: schemas.peers.fields,
+      records: [{alias: 'alias', public_key: 'key'}],
+    },
+  },
+  {
+    args: {command: 'utxos', res: 3},
+    description: 'A count is a value record',
+    expected: {
+      fields: schemas.utxos.fields.concat('value'),
+      records: [{value: 3}],
+    },
+  },
+  {
+    args: {command: 'unknown', res: 'a\nb'},
+    description: 'Lines of text are line records',
+    expected: {fields: ['line'], records: [{line: 'a'}, {line: 'b'}]},
+  },
+  {
+    args: {command: 'connect', res: undefined},
+    description: 'No result is no records',
+    expected: {fields: [], records: []},
+  },
+  {
+    args: {command: 'unknown', res: {a: 1, b: [2], c: undefined}},
+    description: 'An object without a schema is a record of set attributes',
+    expected: {fields: ['a', 'b'], records: [{a: 1, b: [2], c: undefined}]},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected records');
+
+    return end();
+  });
+});
@@ -0,0 +1,688 @@
+const {deepEqual} = require('node:assert').strict;
+const {readFileSync} = require('fs');
+const test = require('node:test');
+
+const formatRecords = require('./../../responses/format_records');
+const outputRecords = require('./../../responses/output_records');
+const schemas = require('./../../responses/output_schemas');
+
+const bos = readFileSync(`${__dirname}/../../bos`).toString();
+const commandNames = /\n  \.command\('([^']+)'/g;
+const hash = Buffer.alloc(32).toString('hex');
+const key = Buffer.alloc(33, 3).toString('hex');
+const newLine = '\n';
+const table = header => ({rows: [header, header.map(() => '1')]});
+
+const probe = [
+  'fee',
+  'id',
+  'latency_ms',
+  'paid',
+  'preimage',
+  'relays',
+  'route_maximum',
+  'success',
+];
+
+const probed = {
+  fee: 1,
+  id: hash,
+  latency_ms: 100,
+  paid: 101,
+  preimage: hash,
+  relays: [key],
+  route_maximum: 1e6,
+  success: ['0x0x1'],
+};
+
+const tests = [
+  {
+    args: {
+      command: 'accounting',
+      res: table([
+        'Amount',
+        'Asset',
+        'Date & Time',
+        'Fiat Amount',
+        'From ID',
+        'Network ID',
+        'Notes',
+        'To ID',
+        'Transaction ID',
+        'Type',
+      ]),
+      table: 'rows',
+    },
+    expected: [
+      'amount',
+      'asset',
+      'date_time',
+      'fiat_amount',
+      'from_id',
+      'network_id',
+      'notes',
+      'to_id',
+      'transaction_id',
+      'type',
+    ],
+  },
+  {
+    args: {command: 'autopilot', res: {candidate_nodes: 1, is_enabled: true}},
+    expected: ['candidate_nodes', 'is_enabled'],
+  },
+  {
+    args: {
+      command: 'balance',
+      res: {
+        closing_balance: '0.1',
+        conflicted_pending: '0.1',
+        invalid_pending: '0.1',
+        offchain_balance: '0.1',
+        offchain_pending: '0.1',
+        onchain_confirmed: '0.1',
+        onchain_pending: '0.1',
+        onchain_vbytes: 1,
+        utxos_count: 1,
+      },
+    },
+    expected: [
+      'balance',
+      'closing_balance',
+      'conflicted_pending',
+      'invalid_pending',
+      'offchain_balance',
+      'offchain_pending',
+      'onchain_confirmed',
+      'onchain_pending',
+      'onchain_vbytes',
+      'utxos_count',
+    ],
+  },
+  {
+    args: {command: 'broadcast', res: {transaction_confirmed_in_block: 1}},
+    expected: ['transaction_confirmed_in_block'],
+  },
+  {
+    args: {
+      command: 'call',
+      res: {nodes: [{calls: [{method: 'getHeight', name: 'h'}], node: 'a'}]},
+    },
+    expected: ['calls', 'node'],
+  },
+  {
+    args: {command: 'cert-validity-days', number: 'days', res: {days: 1}},
+    expected: ['days'],
+  },
+  {
+    args: {
+      command: 'chain-deposit',
+      res: {deposit_address: 'address', deposit_qr: 'qr'},
+    },
+    expected: ['deposit_address', 'deposit_qr'],
+  },
+  {
+    args: {
+      command: 'chainfees',
+      res: {
+        current_block_hash: hash,
+        fee_by_block_target: {2: 1000},
+        min_relay_feerate: 1000,
+      },
+    },
+    expected: [
+      'current_block_hash',
+      'fee_by_block_target',
+      'min_relay_feerate',
+    ],
+  },
+  {
+    args: {command: 'change-channel-capacity', res: undefined},
+    expected: [],
+  },
+  {
+    args: {
+      command: 'channel-open-orders',
+      res: table(['Order', 'Peer', 'Capacity', 'Fee', 'State', 'Updated']),
+      table: 'rows',
+    },
+    expected: ['order', 'peer', 'capacity', 'fee', 'state', 'updated'],
+  },
+  {
+    args: {command: 'chart-chain-fees', data: 'data', res: {data: [1]}},
+    expected: ['segment', 'value'],
+  },
+  {
+    args: {command: 'chart-fees-earned', data: 'data', res: {data: [1]}},
+    expected: ['segment', 'value'],
+  },
+  {
+    args: {command: 'chart-fees-paid', data: 'data', res: {data: [1]}},
+    expected: ['segment', 'value'],
+  },
+  {
+    args: {command: 'chart-payments-received', data: 'data', res: {data: [1]}},
+    expected: ['segment', 'value'],
+  },
+  {
+    args: {command: 'clean-command', res: {cleaned: 'bos peers'}},
+    expected: ['cleaned'],
+  },
+  {
+    args: {
+      command: 'clean-failed-payments',
+      res: {total_failed_payments_found: 1},
+    },
+    expected: ['total_failed_payments_deleted', 'total_failed_payments_found'],
+  },
+  {
+    args: {
+      command: 'closed',
+      res: {
+        closes: [{
+          blocks_since_close: 1,
+          capacity: 1e6,
+          channel_close: hash,
+          channel_open: `${hash}:0`,
+          peer_public_key: key,
+        }],
+      },
+    },
+    expected: [
+      'peer_public_key',
+      'peer_alias',
+      'is_local_force_close',
+      'is_cooperative_close',
+      'is_remote_force_close',
+      'peer_closed_channel',
+      'blocks_since_close',
+      'capacity',
+      'channel_id',
+      'channel_open',
+      'channel_close',
+      'channel_balance_spend',
+      'channel_resolutions',
+      'is_breach_close',
+      'closing_fee_paid',
+    ],
+  },
+  {
+    args: {command: 'connect', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'create-channel-group', res: {transaction_id: hash}},
+    expected: ['transaction_id'],
+  },
+  {
+    args: {command: 'create-fanout-group', res: {transaction_id: hash}},
+    expected: ['transaction_id'],
+  },
+  {
+    args: {command: 'credentials', res: {credentials: 'credentials'}},
+    expected: ['cleartext', 'credentials'],
+  },
+  {
+    args: {
+      command: 'decrypt',
+      res: {message: 'message', with_alias: 'alias', with_public_key: key},
+    },
+    expected: ['message', 'with_alias', 'with_public_key'],
+  },
+  {
+    args: {command: 'delete-payments-history', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'encrypt', res: {encrypted: 'encrypted', to: key}},
+    expected: ['encrypted', 'to'],
+  },
+  {
+    args: {
+      command: 'fanout',
+      res: {needed_outputs: 1, sent_to: ['address'], transaction_id: hash},
+    },
+    expected: ['needed_outputs', 'sent_to', 'transaction_id'],
+  },
+  {
+    args: {
+      command: 'fee-history',
+      res: table([
+        'Date',
+        'Peer',
+        'Out Fee',
+        'Peer Fee',
+        'Out',
+        'In',
+        'Earned',
+      ]),
+      table: 'rows',
+    },
+    expected: ['date', 'peer', 'out_fee', 'peer_fee', 'out', 'in', 'earned'],
+  },
+  {
+    args: {
+      command: 'fees',
+      res: table(['Peer', 'Out Fee', 'Inbound Discount', 'Public Key']),
+      table: 'rows',
+    },
+    expected: ['peer', 'out_fee', 'inbound_discount', 'public_key'],
+  },
+  {
+    args: {command: 'find', res: {nodes: [{public_key: key}]}},
+    expected: [
+      'chain_transaction',
+      'channels',
+      'nodes',
+      'payment',
+      'payment_failed',
+      'payment_pending',
+    ],
+  },
+  {
+    args: {
+      command: 'forwards',
+      res: {
+        peers: [{
+          alias: 'alias',
+          earned_inbound_fees: 1,
+          earned_outbound_fees: 1,
+          last_inbound_at: new Date(1).toISOString(),
+          last_outbound_at: new Date(1).toISOString(),
+          liquidity_inbound: 1,
+          liquidity_outbound: 1,
+          public_key: key,
+        }],
+      },
+    },
+    expected: [
+      'alias',
+      'earned_inbound_fees',
+      'earned_outbound_fees',
+      'icons',
+      'is_disconnected',
+      'is_forwarding',
+      'is_inactive',
+      'is_pending',
+      'is_private',
+      'last_inbound_at',
+      'last_outbound_at',
+      'liquidity_inbound',
+      'liquidity_outbound',
+      'public_key',
+    ],
+  },
+  {
+    args: {command: 'fund', res: {signed_transaction: '00'}},
+    expected: ['signed_transaction'],
+  },
+  {
+    args: {command: 'get-inbound-channel', res: undefined},
+    expected: [],
+  },
+  {
+    args: {
+      command: 'get-jit-invoice',
+      res: {jit_channel: '0x0x1', opening_fee: 1, request: 'request'},
+    },
+    expected: ['jit_channel', 'opening_fee', 'request'],
+  },
+  {
+    args: {command: 'gift', number: 'gave_tokens', res: {gave_tokens: 1}},
+    expected: ['gave_tokens'],
+  },
+  {
+    args: {
+      command: 'graph',
+      res: table([
+        'Alias',
+        'Age',
+        'In Fee',
+        'Capacity',
+        'Out Fee',
+        'Public Key',
+      ]),
+      table: 'rows',
+    },
+    expected: ['alias', 'age', 'in_fee', 'capacity', 'out_fee', 'public_key'],
+  },
+  {
+    args: {command: 'inbound-liquidity', number: 'balance', res: {balance: 1}},
+    expected: ['balance'],
+  },
+  {
+    args: {command: 'increase-inbound-liquidity', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'increase-outbound-liquidity', res: undefined},
+    expected: [],
+  },
+  {
+    args: {
+      command: 'invoice',
+      res: {is_settled: false, qr: 'qr', request: 'request', tokens: 1},
+    },
+    expected: ['is_settled', 'qr', 'request', 'tokens'],
+  },
+  {
+    args: {command: 'join-channel-group', res: {transaction_id: hash}},
+    expected: ['transaction_id'],
+  },
+  {
+    args: {command: 'join-fanout-group', res: {transaction_id: hash}},
+    expected: ['transaction_id'],
+  },
+  {
+    args: {
+      command: 'limit-forwarding',
+      res: table(['Rule', 'Rejected', 'Amount']),
+      table: 'rows',
+    },
+    expected: ['rule', 'rejected', 'amount'],
+  },
+  {
+    args: {command: 'liquidity-cost', number: 'cost', res: {cost: 1}},
+    expected: ['cost'],
+  },
+  {
+    args: {command: 'lnurl', res: undefined},
+    expected: [],
+  },
+  {
+    args: {
+      command: 'nodes',
+      res: {
+        nodes: [{
+          is_online: true,
+          lnd: undefined,
+          node_name: 'node',
+          public_key: key,
+        }],
+      },
+    },
+    expected: ['node_name', 'public_key', 'is_online'],
+  },
+  {
+    args: {command: 'offer-channel-open', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'offer-jit-channels', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'open', res: {transaction_id: hash}},
+    expected: ['transaction_id'],
+  },
+  {
+    args: {command: 'open-balanced-channel', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'open-group-channel', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'outbound-liquidity', number: 'balance', res: {balance: 1}},
+    expected: ['balance'],
+  },
+  {
+    args: {command: 'pay', res: probed},
+    expected: probe,
+  },
+  {
+    args: {
+      command: 'pay-batch',
+      res: table(['Id', 'Destination', 'Amount', 'Fee', 'Status']),
+      table: 'rows',
+    },
+    expected: ['id', 'destination', 'amount', 'fee', 'status'],
+  },
+  {
+    args: {
+      command: 'peers',
+      res: {
+        peers: [{
+          alias: 'alias',
+          first_connected: 1,
+          inbound_fee_rate: 1,
+          inbound_liquidity: 1,
+          outbound_liquidity: 1,
+          public_key: key,
+        }],
+      },
+    },
+    expected: [
+      'alias',
+      'est_disk_usage_mb',
+      'fee_earnings',
+      'downtime_percentage',
+      'first_connected',
+      'last_activity',
+      'inbound_fee_rate',
+      'inbound_liquidity',
+      'is_forwarding',
+      'is_inbound_disabled',
+      'is_offline',
+      'is_pending',
+      'is_private',
+      'is_small_max_htlc',
+      'is_thawing',
+      'outbound_liquidity',
+      'public_key',
+    ],
+  },
+  {
+    args: {
+      command: 'price',
+      res: {
+        tickers: [{date: new Date(1).toISOString(), rate: 1, ticker: 'USD'}],
+      },
+    },
+    expected: ['ticker', 'rate', 'date'],
+  },
+  {
+    args: {
+      command: 'probe',
+      res: {fee: 1, latency_ms: 1, relays: [[key]], routes_maximum: 1},
+    },
+    expected: ['fee', 'latency_ms', 'relays', 'routes_maximum'],
+  },
+  {
+    args: {
+      command: 'rebalance',
+      res: {
+        got_inbound_fee_discount: undefined,
+        rebalance: [{rebalanced: '0.1'}],
+        total_execution_time: '1s',
+      },
+    },
+    expected: ['got_inbound_fee_discount', 'rebalance', 'total_execution_time'],
+  },
+  {
+    args: {
+      command: 'rebalances',
+      res: table([
+        'Peer',
+        'Attempts',
+        'Success',
+        'Rebalanced',
+        'Paid',
+        'Paid Rate',
+        'Earned',
+        'Return',
+      ]),
+      table: 'rows',
+    },
+    expected: [
+      'peer',
+      'attempts',
+      'success',
+      'rebalanced',
+      'paid',
+      'paid_rate',
+      'earned',
+      'return',
+    ],
+  },
+  {
+    args: {
+      command: 'reconnect',
+      res: {reconnected: [{alias: 'alias', public_key: key}]},
+    },
+    expected: ['alias', 'public_key'],
+  },
+  {
+    args: {
+      command: 'recover-p2pk',
+      res: {recovering: 1, recovering_to: 'address', transaction_id: hash},
+    },
+    expected: ['recovering', 'recovering_to', 'transaction_id'],
+  },
+  {
+    args: {command: 'remove-peer', res: undefined},
+    expected: [],
+  },
+  {
+    args: {
+      command: 'report',
+      res: {lines: [{details: 'details', title: 'title'}]},
+    },
+    expected: ['title', 'subtitle', 'details', 'action'],
+  },
+  {
+    args: {
+      command: 'schedule',
+      res: table(['Id', 'To', 'Amount', 'Every', 'Next Payment', 'Max Fee']),
+      table: 'rows',
+    },
+    expected: ['id', 'to', 'amount', 'every', 'next_payment', 'max_fee'],
+  },
+  {
+    args: {command: 'send', res: probed},
+    expected: probe,
+  },
+  {
+    args: {command: 'swap', res: {swaps: [{id: hash, state: 's', type: 't'}]}},
+    expected: ['id', 'state', 'type', 'error'],
+  },
+  {
+    args: {
+      command: 'swap-api-key',
+      res: {api_key: 'key', swap_user_id: 'id'},
+    },
+    expected: ['api_key', 'swap_user_id'],
+  },
+  {
+    args: {command: 'swap-in', res: {address: 'address'}},
+    expected: ['address'],
+  },
+  {
+    args: {
+      command: 'swaps',
+      res: table([
+        'Swap',
+        'Type',
+        'Provider',
+        'Amount',
+        'Fees',
+        'State',
+        'Updated',
+      ]),
+      table: 'rows',
+    },
+    expected: [
+      'swap',
+      'type',
+      'provider',
+      'amount',
+      'fees',
+      'state',
+      'updated',
+    ],
+  },
+  {
+    args: {
+      command: 'tags',
+      res: {tags: [{alias: 'alias', icon: 'icon', id: hash, nodes: [key]}]},
+    },
+    expected: ['alias', 'formula', 'icon', 'id', 'is_avoided', 'nodes'],
+  },
+  {
+    args: {command: 'trade-secret', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'transfer', res: probed},
+    expected: probe,
+  },
+  {
+    args: {command: 'triggers', res: undefined},
+    expected: [],
+  },
+  {
+    args: {command: 'unlock', res: {is_already_unlocked: true}},
+    expected: ['is_already_unlocked'],
+  },
+  {
+    args: {
+      command: 'utxos',
+      res: {
+        utxos: [{
+          address: 'address',
+          amount: '0.1',
+          confirmations: 1,
+          outpoint: `${hash}:0`,
+        }],
+      },
+    },
+    expected: [
+      'outpoint',
+      'amount',
+      'confirmations',
+      'is_unconfirmed',
+      'address',
+      'related_description',
+      'related_channels',
+      'locked',
+      'lock_expires_at',
+    ],
+  },
+];
+
+test('Every command returning through responses has a schema', (t, end) => {
+  const blocks = bos.split(commandNames);
+
+  const responding = blocks
+    .map((block, i) => !!(i % 2) && /responses\./.test(blocks[i + 1]) && block)
+    .filter(n => !!n);
+
+  deepEqual(
+    responding.filter(n => !schemas[n]),
+    [],
+    'Every responding command has an output schema'
+  );
+
+  deepEqual(
+    tests.map(n => n.args.command).sort(),
+    responding.slice().sort(),
+    'Every responding command has a formatted output test'
+  );
+
+  return end();
+});
+
+tests.forEach(({args, expected}) => {
+  return test(`The ${args.command} output fields are unchanged`, (t, end) => {
+    const {fields, records} = outputRecords(args);
+
+    const {output} = formatRecords({fields, records, format: 'csv'});
+
+    const [header] = output.split(newLine);
+
+    deepEqual(fields, expected, 'Got expected fields');
+    deepEqual(header, expected.join(','), 'Got expected CSV header');
+
+    return end();
+  });
+});
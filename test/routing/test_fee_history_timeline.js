@@ -0,0 +1,146 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/fee_history_timeline');
+
+const key = Buffer.alloc(33, 2).toString('hex');
+const otherKey = Buffer.alloc(33, 3).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      {id: '1x1x1', partner_public_key: key},
+      {id: '2x2x2', partner_public_key: otherKey},
+    ],
+    forwards: [
+      {
+        created_at: '2024-01-02T00:00:00.000Z',
+        fee: 1,
+        incoming_channel: '2x2x2',
+        outgoing_channel: '1x1x1',
+        tokens: 100,
+      },
+      {
+        created_at: '2024-01-04T00:00:00.000Z',
+        fee: 2,
+        incoming_channel: '2x2x2',
+        outgoing_channel: '1x1x1',
+        tokens: 200,
+      },
+    ],
+    now: () => Date.parse('2024-01-05T00:00:00.000Z'),
+    snapshots: [
+      {at: '2023-12-01T00:00:00.000Z', fee_rate: 1, public_key: key},
+      {at: '2024-01-01T00:00:00.000Z', fee_rate: 10, public_key: key},
+      {at: '2024-01-01T00:00:00.000Z', peer_fee_rate: 5, public_key: otherKey},
+      {at: '2024-01-03T00:00:00.000Z', fee_rate: 20, public_key: key},
+    ],
+    start: '2023-12-31T00:00:00.000Z',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'A fee history timeline is derived',
+    expected: {
+      timeline: [
+        {
+          at: '2023-12-01T00:00:00.000Z',
+          earned: 0,
+          fee_rate: 1,
+          forwarded_in: 0,
+          forwarded_out: 0,
+          peer_fee_rate: undefined,
+          public_key: key,
+          until: '2024-01-01T00:00:00.000Z',
+        },
+        {
+          at: '2024-01-01T00:00:00.000Z',
+          earned: 1,
+          fee_rate: 10,
+          forwarded_in: 0,
+          forwarded_out: 100,
+          peer_fee_rate: undefined,
+          public_key: key,
+          until: '2024-01-03T00:00:00.000Z',
+        },
+        {
+          at: '2024-01-01T00:00:00.000Z',
+          earned: 0,
+          fee_rate: undefined,
+          forwarded_in: 300,
+          forwarded_out: 0,
+          peer_fee_rate: 5,
+          public_key: otherKey,
+          until: '2024-01-05T00:00:00.000Z',
+        },
+        {
+          at: '2024-01-03T00:00:00.000Z',
+          earned: 2,
+          fee_rate: 20,
+          forwarded_in: 0,
+          forwarded_out: 200,
+          peer_fee_rate: undefined,
+          public_key: key,
+          until: '2024-01-05T00:00:00.000Z',
+        },
+      ],
+    },
+  },
+  {
+    args: makeArgs({start: '2024-01-02T00:00:00.000Z'}),
+    description: 'Policies replaced before the start are excluded',
+    expected: {
+      timeline: [
+        {
+          at: '2024-01-01T00:00:00.000Z',
+          earned: 1,
+          fee_rate: 10,
+          forwarded_in: 0,
+          forwarded_out: 100,
+          peer_fee_rate: undefined,
+          public_key: key,
+          until: '2024-01-03T00:00:00.000Z',
+        },
+        {
+          at: '2024-01-01T00:00:00.000Z',
+          earned: 0,
+          fee_rate: undefined,
+          forwarded_in: 300,
+          forwarded_out: 0,
+          peer_fee_rate: 5,
+          public_key: otherKey,
+          until: '2024-01-05T00:00:00.000Z',
+        },
+        {
+          at: '2024-01-03T00:00:00.000Z',
+          earned: 2,
+          fee_rate: 20,
+          forwarded_in: 0,
+          forwarded_out: 200,
+          peer_fee_rate: undefined,
+          public_key: key,
+          until: '2024-01-05T00:00:00.000Z',
+        },
+      ],
+    },
+  },
+  {
+    args: makeArgs({snapshots: []}),
+    description: 'No snapshots means no timeline',
+    expected: {timeline: []},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected timeline');
+
+    return end();
+  });
+});
@@ -0,0 +1,72 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/get_fee_formulas');
+
+const makeArgs = ({file, overrides}) => {
+  const args = {
+    fs: {getFile: ({}, cbk) => cbk(null, Buffer.from(JSON.stringify(file)))},
+    path: 'path',
+  };
+
+  Object.keys(overrides || {}).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({overrides: {fs: undefined}}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToGetFeeFormulas'],
+  },
+  {
+    args: makeArgs({overrides: {path: undefined}}),
+    description: 'A path is required',
+    error: [400, 'ExpectedPathToGetFeeFormulas'],
+  },
+  {
+    args: makeArgs({
+      overrides: {fs: {getFile: ({}, cbk) => cbk(null, Buffer.from('{'))}},
+    }),
+    description: 'Valid JSON is expected',
+    error: [400, 'ExpectedValidJsonFeeFormulasFile'],
+  },
+  {
+    args: makeArgs({file: {}}),
+    description: 'An array of formulas is expected',
+    error: [400, 'ExpectedArrayOfFormulasInFeeFormulasFile'],
+  },
+  {
+    args: makeArgs({file: [{to: 'tag'}]}),
+    description: 'A fee rate is expected',
+    error: [400, 'ExpectedFeeRateForEachFeeFormula'],
+  },
+  {
+    args: makeArgs({file: [{fee_rate: '1', to: []}]}),
+    description: 'Peers are expected',
+    error: [400, 'ExpectedPeersToSetFeeRateFormulaFor'],
+  },
+  {
+    args: makeArgs({
+      file: [{fee_rate: '1', to: 'tag'}, {fee_rate: '2', to: ['a', 'b']}],
+    }),
+    description: 'Fee formulas are returned',
+    expected: {
+      formulas: [{fee_rate: '1', to: ['tag']}, {fee_rate: '2', to: ['a', 'b']}],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+    } else {
+      deepEqual(await method(args), expected, 'Got expected formulas');
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,151 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../routing/get_fee_history');
+const {versionInfoResponse} = require('./../fixtures');
+
+const clone = n => JSON.parse(JSON.stringify(n));
+const ownKey = getInfoResponse.identity_pubkey;
+const peer = Buffer.alloc(33, 3).toString('hex');
+const {stringify} = JSON;
+
+const snapshot = {
+  at: new Date().toISOString(),
+  base_fee_mtokens: '1000',
+  fee_rate: 1,
+  peer_base_fee_mtokens: '1000',
+  peer_fee_rate: 1,
+  public_key: peer,
+};
+
+const makeFs = ({writes}) => {
+  return {
+    getFile: (path, cbk) => {
+      return cbk(null, Buffer.from(stringify({snapshots: [snapshot]})));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      // Exit early when writing the file fails
+      if (!writes) {
+        return cbk('err');
+      }
+
+      writes.push(contents);
+
+      return cbk();
+    },
+  };
+};
+
+// The peer policy in the graph differs from the recorded snapshot
+const makeLnd = () => {
+  return {
+    default: {
+      closedChannels: ({}, cbk) => cbk(null, {channels: []}),
+      forwardingHistory: ({}, cbk) => {
+        return cbk(null, {forwarding_events: [], last_offset_index: '1'});
+      },
+      getInfo: ({}, cbk) => cbk(null, clone(getInfoResponse)),
+      getNodeInfo: ({}, cbk) => {
+        const res = clone(getNodeInfoResponse);
+
+        res.channels[0].node1_policy.fee_rate_milli_msat = '10';
+        res.channels[0].node1_pub = ownKey;
+        res.channels[0].node2_pub = peer;
+
+        return cbk(null, res);
+      },
+      listChannels: ({}, cbk) => {
+        const [channel] = clone(listChannelsResponse.channels);
+
+        channel.remote_pubkey = peer;
+
+        return cbk(null, {channels: [channel]});
+      },
+    },
+    version: {getVersion: ({}, cbk) => cbk(null, versionInfoResponse)},
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({writes: []}),
+    lnd: makeLnd(),
+    logger: {error: () => {}},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToGetFeeHistory'],
+  },
+  {
+    args: makeArgs({is_chart: true}),
+    description: 'A peer is required to chart fee history',
+    error: [400, 'ExpectedPeerToChartFeeHistory'],
+  },
+  {
+    args: makeArgs({days: 1, is_chart: true, peer}),
+    description: 'More than a day is required to chart fee history',
+    error: [400, 'ExpectedMoreDaysToChartFeeHistory'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToGetFeeHistory'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToGetFeeHistory'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Fee history is returned',
+    expected: {errors: [], policies: [1]},
+  },
+  {
+    args: makeArgs({fs: makeFs({})}),
+    description: 'A failure to record a snapshot is logged',
+    expected: {
+      errors: ['UnexpectedErrorSavingFeeSnapshotsFile'],
+      policies: [1],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const errors = [];
+
+    if (!!args.logger) {
+      args.logger = {error: ({err}) => errors.push(err[1])};
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const {timeline} = await method(args);
+
+    deepEqual(
+      {errors, policies: timeline.map(n => n.fee_rate)},
+      expected,
+      'Got expected fee history'
+    );
+
+    return;
+  });
+});
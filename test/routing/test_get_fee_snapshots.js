@@ -0,0 +1,69 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/get_fee_snapshots');
+
+const {stringify} = JSON;
+
+const makeFs = ({file}) => {
+  return {
+    getFile: (path, cbk) => {
+      // Exit early when there is no snapshots file
+      if (file === undefined) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(file));
+    },
+  };
+};
+
+const snapshot = {
+  at: new Date(0).toISOString(),
+  base_fee_mtokens: '1000',
+  fee_rate: 1,
+  peer_base_fee_mtokens: '1000',
+  peer_fee_rate: 1,
+  public_key: Buffer.alloc(33, 3).toString('hex'),
+};
+
+const tests = [
+  {
+    args: {},
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToGetFeeSnapshots'],
+  },
+  {
+    args: {fs: makeFs({})},
+    description: 'There are no snapshots without a snapshots file',
+    expected: {snapshots: []},
+  },
+  {
+    args: {fs: makeFs({file: '{"snapshots": ['})},
+    description: 'A corrupt snapshots file is an error',
+    error: [400, 'ExpectedValidJsonFeeSnapshotsFile'],
+  },
+  {
+    args: {fs: makeFs({file: stringify({snapshots: {}})})},
+    description: 'Snapshots file snapshots are expected to be an array',
+    error: [400, 'ExpectedArrayOfSnapshotsInFeeSnapshotsFile'],
+  },
+  {
+    args: {fs: makeFs({file: stringify({snapshots: [snapshot]})})},
+    description: 'Snapshots are read from the snapshots file',
+    expected: {snapshots: [snapshot]},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      deepEqual(await method(args), expected, 'Got expected snapshots');
+    }
+
+    return;
+  });
+});
@@ -39,6 +39,41 @@ const tests = [
     description: 'PERCENT function is parsed',
     expected: {rate: 2500},
   },
+  {
+    args: makeArgs({
+      fee_rate: 'IF(FORWARDED_OUT_7D>FORWARDED_IN_7D, CAPACITY/1000, 1)',
+      capacity: 1e6,
+      forwarded_in_7d: 1,
+      forwarded_out_7d: 2,
+    }),
+    description: 'Peer variables are parsed',
+    expected: {rate: 1000},
+  },
+  {
+    args: makeArgs({fee_rate: 'DAYS_SINCE_LAST_FORWARD'}),
+    description: 'Peer variables must be derived to be used',
+    expected: {
+      failure: 'PeerVariableInFeeRateFormulaIsUnavailable',
+      unavailable: 'days_since_last_forward',
+    },
+  },
+  {
+    args: makeArgs({
+      fee_rate: 'MAX(100, PEER_INBOUND_FEE_RATE_MEDIAN)',
+      capacity: 1e6,
+      peer_inbound_fee_rate_median: undefined,
+    }),
+    description: 'A peer missing from the graph has no median inbound rate',
+    expected: {
+      failure: 'PeerVariableInFeeRateFormulaIsUnavailable',
+      unavailable: 'peer_inbound_fee_rate_median',
+    },
+  },
+  {
+    args: makeArgs({fee_rate: 'UNKNOWN_VARIABLE'}),
+    description: 'Unknown variables are not recognized',
+    expected: {failure: 'UnrecognizedVariableOrFunctionInFeeRateFormula'},
+  },
   {
     args: makeArgs({fee_rate: '1/0'}),
     description: 'Cannot divide by zero',
@@ -0,0 +1,104 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/peer_formula_variables');
+
+const day = 1000 * 60 * 60 * 24;
+const now = Date.parse('2024-01-31T00:00:00.000Z');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      {capacity: 1e6, id: '800000x1x0'},
+      {capacity: 2e6, id: '800100x1x0'},
+    ],
+    days: 90,
+    forwards: [
+      {
+        created_at: new Date(now - day * 2).toISOString(),
+        fee: 10,
+        incoming_channel: '700000x1x0',
+        outgoing_channel: '800000x1x0',
+        tokens: 100000,
+      },
+      {
+        created_at: new Date(now - day * 20).toISOString(),
+        fee: 5,
+        incoming_channel: '700000x1x0',
+        outgoing_channel: '800100x1x0',
+        tokens: 50000,
+      },
+      {
+        created_at: new Date(now - day * 3).toISOString(),
+        fee: 1,
+        incoming_channel: '800100x1x0',
+        outgoing_channel: '700000x1x0',
+        tokens: 25000,
+      },
+      {
+        created_at: new Date(now - day).toISOString(),
+        fee: 1,
+        incoming_channel: '700000x1x0',
+        outgoing_channel: '700001x1x0',
+        tokens: 1000,
+      },
+    ],
+    height: 800144,
+    now: () => now,
+    peer_rates: [100, 1, 50, 500],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Peer formula variables are derived',
+    expected: {
+      capacity: 3e6,
+      channel_age_blocks: 144,
+      days_since_last_forward: 2,
+      fees_earned_30d: 15,
+      forwarded_in_7d: 25000,
+      forwarded_out_7d: 100000,
+      peer_inbound_fee_rate_median: 75,
+    },
+  },
+  {
+    args: makeArgs({
+      channels: [{capacity: 1e6}],
+      forwards: undefined,
+      height: undefined,
+      peer_rates: [1, 50, 500],
+    }),
+    description: 'Only capacity and rates are derived without other data',
+    expected: {
+      capacity: 1e6,
+      channel_age_blocks: undefined,
+      peer_inbound_fee_rate_median: 50,
+    },
+  },
+  {
+    args: makeArgs({forwards: [], peer_rates: []}),
+    description: 'No forwards means days since forward is the lookback',
+    expected: {
+      capacity: 3e6,
+      channel_age_blocks: 144,
+      days_since_last_forward: 90,
+      fees_earned_30d: 0,
+      forwarded_in_7d: 0,
+      forwarded_out_7d: 0,
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected variables');
+
+    return end();
+  });
+});
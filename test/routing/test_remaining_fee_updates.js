@@ -0,0 +1,54 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/remaining_fee_updates');
+
+const hourMs = 1000 * 60 * 60;
+const now = hourMs * 10;
+
+const tests = [
+  {
+    args: {at: now, max_updates: 20, updates: []},
+    description: 'All updates remain when nothing was updated',
+    expected: {remaining: 20, updates: []},
+  },
+  {
+    args: {
+      at: now,
+      max_updates: 20,
+      updates: [{at: now - 1000, count: 5}, {at: now - 500, count: 3}],
+    },
+    description: 'Recent updates are counted against the limit',
+    expected: {
+      remaining: 12,
+      updates: [{at: now - 1000, count: 5}, {at: now - 500, count: 3}],
+    },
+  },
+  {
+    args: {
+      at: now,
+      max_updates: 20,
+      updates: [{at: now - hourMs - 1, count: 15}, {at: now, count: 5}],
+    },
+    description: 'Updates older than an hour are forgotten',
+    expected: {remaining: 15, updates: [{at: now, count: 5}]},
+  },
+  {
+    args: {at: now, max_updates: 4, updates: [{at: now, count: 5}]},
+    description: 'No updates remain when the limit is used up',
+    expected: {remaining: 0, updates: [{at: now, count: 5}]},
+  },
+  {
+    args: {at: now, max_updates: 0, updates: []},
+    description: 'No updates remain when the limit is zero',
+    expected: {remaining: 0, updates: []},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got remaining fee updates');
+
+    return end();
+  });
+});
@@ -0,0 +1,59 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/select_fee_updates');
+
+const change = (id, fee_rate, previous_fee_rate, updates) => {
+  return {
+    fee_rate,
+    previous_fee_rate,
+    public_key: id,
+    updates: updates || [{}],
+  };
+};
+
+const tests = [
+  {
+    args: {changes: [change('a', 1, 2), change('b', 1, 1, [])]},
+    description: 'Peers without updates are not selected',
+    expected: ['a'],
+  },
+  {
+    args: {changes: [change('a', 1, 2), change('b', 1, 100)]},
+    description: 'Without a limit all changes are selected in order',
+    expected: ['a', 'b'],
+  },
+  {
+    args: {
+      changes: [change('a', 1, 2), change('b', 1, 100), change('c', 60, 10)],
+      max_updates: 2,
+    },
+    description: 'The largest changes are selected up to the limit',
+    expected: ['b', 'c'],
+  },
+  {
+    args: {changes: [change('a', 50), change('b', 10, 30)], max_updates: 1},
+    description: 'A change without a previous rate is compared to zero',
+    expected: ['a'],
+  },
+  {
+    args: {changes: [change('a', 1, 2), change('b', 1, 100)], max_updates: 0},
+    description: 'A zero limit selects no changes',
+    expected: [],
+  },
+  {
+    args: {changes: [change('a', 1, 2)], max_updates: 5},
+    description: 'A limit above the number of changes selects all changes',
+    expected: ['a'],
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    const {selected} = method(args);
+
+    deepEqual(selected.map(n => n.public_key), expected, 'Got selection');
+
+    return end();
+  });
+});
@@ -0,0 +1,270 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const {versionInfoResponse} = require('./../fixtures');
+const method = require('./../../routing/snapshot_fee_policies');
+
+const {assign} = Object;
+const clone = n => JSON.parse(JSON.stringify(n));
+const maxSnapshots = 50000;
+const ownKey = getInfoResponse.identity_pubkey;
+const {parse} = JSON;
+const peerA = Buffer.alloc(33, 3).toString('hex');
+const peerB = Buffer.alloc(33, 4).toString('hex');
+const {stringify} = JSON;
+
+const makeFs = ({file, writes}) => {
+  return {
+    getFile: (path, cbk) => {
+      // Exit early when there is no snapshots file
+      if (!file) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(file));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      // Exit early when writing the file fails
+      if (!writes) {
+        return cbk('err');
+      }
+
+      writes.push(parse(contents));
+
+      return cbk();
+    },
+  };
+};
+
+const makePolicy = ({fee_rate}) => {
+  const policy = clone(getNodeInfoResponse.channels[0].node1_policy);
+
+  policy.fee_base_msat = '1000';
+  policy.fee_rate_milli_msat = String(fee_rate);
+
+  return policy;
+};
+
+// Peers have a channel each and their policies are in the graph when known
+const makeLnd = ({peers}) => {
+  return {
+    default: {
+      getInfo: ({}, cbk) => cbk(null, clone(getInfoResponse)),
+      getNodeInfo: ({}, cbk) => {
+        const res = clone(getNodeInfoResponse);
+
+        res.channels = peers.filter(n => !!n.fee_rate).map((peer, i) => {
+          const [channel] = clone(getNodeInfoResponse.channels);
+
+          channel.channel_id = String(i + 1);
+          channel.node1_policy = makePolicy({fee_rate: peer.fee_rate});
+          channel.node1_pub = ownKey;
+          channel.node2_policy = makePolicy({fee_rate: peer.peer_fee_rate});
+          channel.node2_pub = peer.public_key;
+
+          return channel;
+        });
+
+        res.node.pub_key = ownKey;
+
+        return cbk(null, res);
+      },
+      listChannels: ({}, cbk) => {
+        const channels = peers.map((peer, i) => {
+          const [channel] = clone(listChannelsResponse.channels);
+
+          channel.chan_id = String(i + 1);
+          channel.remote_pubkey = peer.public_key;
+
+          return channel;
+        });
+
+        return cbk(null, {channels});
+      },
+    },
+    version: {getVersion: ({}, cbk) => cbk(null, versionInfoResponse)},
+  };
+};
+
+const makeSnapshot = ({fee_rate, peer_fee_rate, public_key}) => {
+  return {
+    at: new Date(0).toISOString(),
+    base_fee_mtokens: '1000',
+    fee_rate,
+    peer_base_fee_mtokens: '1000',
+    peer_fee_rate,
+    public_key,
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({writes: []}),
+    lnd: makeLnd({
+      peers: [
+        {fee_rate: 10, peer_fee_rate: 20, public_key: peerA},
+        {fee_rate: 30, peer_fee_rate: 40, public_key: peerB},
+      ],
+    }),
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToSnapshotFeePolicies'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToSnapshotFeePolicies'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'The first snapshot records all peer policies',
+    expected: {
+      recorded: 2,
+      snapshots: [
+        makeSnapshot({fee_rate: 10, peer_fee_rate: 20, public_key: peerA}),
+        makeSnapshot({fee_rate: 30, peer_fee_rate: 40, public_key: peerB}),
+      ],
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'Unchanged policies are not written',
+    expected: {recorded: 0},
+    file: {
+      snapshots: [
+        makeSnapshot({fee_rate: 10, peer_fee_rate: 20, public_key: peerA}),
+        makeSnapshot({fee_rate: 30, peer_fee_rate: 40, public_key: peerB}),
+      ],
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'Only changed policies are added to the snapshots',
+    expected: {
+      recorded: 1,
+      snapshots: [
+        makeSnapshot({fee_rate: 10, peer_fee_rate: 20, public_key: peerA}),
+        makeSnapshot({fee_rate: 1, peer_fee_rate: 40, public_key: peerB}),
+        makeSnapshot({fee_rate: 30, peer_fee_rate: 40, public_key: peerB}),
+      ],
+    },
+    file: {
+      snapshots: [
+        makeSnapshot({fee_rate: 10, peer_fee_rate: 20, public_key: peerA}),
+        makeSnapshot({fee_rate: 1, peer_fee_rate: 40, public_key: peerB}),
+      ],
+    },
+  },
+  {
+    args: makeArgs({
+      lnd: makeLnd({
+        peers: [
+          {fee_rate: 10, peer_fee_rate: 20, public_key: peerA},
+          {public_key: peerB},
+        ],
+      }),
+    }),
+    description: 'Peers without known policies are not recorded',
+    expected: {
+      recorded: 1,
+      snapshots: [
+        makeSnapshot({fee_rate: 10, peer_fee_rate: 20, public_key: peerA}),
+      ],
+    },
+  },
+  {
+    args: makeArgs({fs: makeFs({})}),
+    description: 'A failure to write the snapshots is an error',
+    error: [503, 'UnexpectedErrorSavingFeeSnapshotsFile'],
+  },
+];
+
+tests.forEach(({args, description, error, expected, file}) => {
+  return test(description, async () => {
+    const writes = [];
+
+    if (!!args.fs && !!args.fs.writeFile && !error) {
+      args.fs = makeFs({writes, file: !!file ? stringify(file) : undefined});
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const {recorded} = await method(args);
+
+    deepEqual(recorded, expected.recorded, 'Got expected recorded count');
+
+    // Exit early when nothing should be written
+    if (!expected.snapshots) {
+      deepEqual(writes, [], 'Nothing was written');
+
+      return;
+    }
+
+    const [{snapshots}] = writes;
+
+    // Snapshots are taken now so the snapshot dates are not compared
+    deepEqual(
+      snapshots.map(n => assign({}, n, {at: undefined})),
+      expected.snapshots.map(n => assign({}, n, {at: undefined})),
+      'Got expected snapshots'
+    );
+
+    return;
+  });
+});
+
+test('Snapshots are trimmed to the maximum number of snapshots', async () => {
+  const writes = [];
+
+  const changed = makeSnapshot({
+    fee_rate: 1,
+    peer_fee_rate: 40,
+    public_key: peerB,
+  });
+
+  const unchanged = makeSnapshot({
+    fee_rate: 10,
+    peer_fee_rate: 20,
+    public_key: peerA,
+  });
+
+  // The oldest snapshot is for a peer that has since changed policy
+  const file = {
+    snapshots: [changed].concat(Array(maxSnapshots - 1).fill(unchanged)),
+  };
+
+  const {recorded} = await method(makeArgs({
+    fs: makeFs({writes, file: stringify(file)}),
+  }));
+
+  const [{snapshots}] = writes;
+
+  const [first] = snapshots;
+  const [last] = snapshots.slice().reverse();
+
+  deepEqual(recorded, 1, 'Got expected recorded count');
+  deepEqual(snapshots.length, maxSnapshots, 'Snapshots are trimmed');
+  deepEqual(first.public_key, peerA, 'Oldest snapshot is removed');
+  deepEqual(last.fee_rate, 30, 'Newest snapshot is kept');
+  deepEqual(last.public_key, peerB, 'Newest snapshot is for changed peer');
+
+  return;
+});
@@ -0,0 +1,85 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../routing/step_fee_rate');
+
+const tests = [
+  {
+    args: {rate: 100},
+    description: 'A rate without a current rate is used as is',
+    expected: {is_minor_change: false, rate: 100},
+  },
+  {
+    args: {current: 100},
+    description: 'No formula rate means no rate',
+    expected: {is_minor_change: false, rate: undefined},
+  },
+  {
+    args: {current: 100, rate: 500},
+    description: 'Without a step limit the formula rate is used',
+    expected: {is_minor_change: false, rate: 500},
+  },
+  {
+    args: {current: 100, max_fee_rate_step: 50, rate: 500},
+    description: 'An increase is clamped to the step limit',
+    expected: {is_minor_change: false, rate: 150},
+  },
+  {
+    args: {current: 500, max_fee_rate_step: 50, rate: 100},
+    description: 'A decrease is clamped to the step limit',
+    expected: {is_minor_change: false, rate: 450},
+  },
+  {
+    args: {current: 100, max_fee_rate_step: 50, rate: 120},
+    description: 'A change within the step limit is not clamped',
+    expected: {is_minor_change: false, rate: 120},
+  },
+  {
+    args: {current: 100, max_fee_rate_step: 0, rate: 500},
+    description: 'A zero step limit keeps the current rate',
+    expected: {is_minor_change: false, rate: 100},
+  },
+  {
+    args: {current: 100, min_fee_rate_change: 10, rate: 105},
+    description: 'A change below the minimum change is minor',
+    expected: {is_minor_change: true, rate: 105},
+  },
+  {
+    args: {current: 100, min_fee_rate_change: 10, rate: 90},
+    description: 'A change of exactly the minimum change is not minor',
+    expected: {is_minor_change: false, rate: 90},
+  },
+  {
+    args: {current: 100, min_fee_rate_change: 10, rate: 100},
+    description: 'No change with a minimum change is minor',
+    expected: {is_minor_change: true, rate: 100},
+  },
+  {
+    args: {current: 100, min_fee_rate_change: 0, rate: 100},
+    description: 'No minimum change means no change is minor',
+    expected: {is_minor_change: false, rate: 100},
+  },
+  {
+    args: {
+      current: 100,
+      max_fee_rate_step: 5,
+      min_fee_rate_change: 10,
+      rate: 500,
+    },
+    description: 'The minimum change applies to the clamped rate',
+    expected: {is_minor_change: true, rate: 105},
+  },
+  {
+    args: {min_fee_rate_change: 10, rate: 1},
+    description: 'A change without a current rate is never minor',
+    expected: {is_minor_change: false, rate: 1},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected fee rate step');
+
+    return end();
+  });
+});
@@ -0,0 +1,129 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const adjustSchedules = require('./../../schedules/adjust_schedules');
+
+const dayMs = 1000 * 60 * 60 * 24;
+const key = `02${'a'.repeat(64)}`;
+const nextAt = new Date(Date.now() + 10 * dayMs).toISOString();
+
+const makeFs = ({file}) => {
+  return {
+    getFile: (path, cbk) => {
+      // Only the schedules file is present
+      if (!path.endsWith('schedules.json') || !file) {
+        return cbk();
+      }
+
+      return cbk(null, JSON.stringify(file));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, file, cbk) => cbk(),
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({
+      file: {
+        budget: 1000,
+        schedules: [{
+          amount: '100',
+          created_at: nextAt,
+          destination: key,
+          every: 'weekly',
+          id: '00000000',
+          next_at: nextAt,
+        }],
+      },
+    }),
+    remove: [],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({budget: 1.5}),
+    description: 'A budget is expected to be a whole number',
+    error: [400, 'ExpectedWholeNumberMonthlyBudgetForSchedules'],
+  },
+  {
+    args: makeArgs({amount: '100'}),
+    description: 'A destination is expected when adding a schedule',
+    error: [400, 'ExpectedDestinationToAddScheduledPayment'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are expected',
+    error: [400, 'ExpectedFileSystemMethodsToAdjustSchedules'],
+  },
+  {
+    args: makeArgs({remove: undefined}),
+    description: 'A list of schedules to remove is expected',
+    error: [400, 'ExpectedArrayOfSchedulesToRemove'],
+  },
+  {
+    args: makeArgs({destination: key, every: 'weekly'}),
+    description: 'An amount is expected when adding a schedule',
+    error: [400, 'ExpectedAmountForScheduledPayment'],
+  },
+  {
+    args: makeArgs({amount: '1', destination: key, every: 'sometimes'}),
+    description: 'A known interval is expected when adding a schedule',
+    error: [400, 'ExpectedKnownIntervalForSchedule'],
+  },
+  {
+    args: makeArgs({amount: '1', destination: 'destination', every: 'daily'}),
+    description: 'A known destination is expected when adding a schedule',
+    error: [400, 'ExpectedPublicKeyOrLightningAddressToSchedule'],
+  },
+  {
+    args: makeArgs({remove: ['11111111']}),
+    description: 'A schedule to remove is expected to exist',
+    error: [404, 'ExpectedKnownScheduleToRemove', {id: '11111111'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Schedules are listed',
+    expected: {
+      rows: [
+        ['Id', 'To', 'Amount', 'Every', 'Next Payment', 'Max Fee'],
+        ['00000000', key, '100', 'weekly', 'in 10 days', ''],
+      ],
+      rows_summary: [
+        ['Monthly Budget', 'Spent This Month'],
+        ['0.00001000', ' '],
+      ],
+    },
+  },
+  {
+    args: makeArgs({budget: 2000, remove: ['00000000']}),
+    description: 'Schedules are removed and the budget is set',
+    expected: {
+      rows: [['Id', 'To', 'Amount', 'Every', 'Next Payment', 'Max Fee']],
+      rows_summary: [
+        ['Monthly Budget', 'Spent This Month'],
+        ['0.00002000', ' '],
+      ],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(adjustSchedules(args), error, 'Got expected error');
+    } else {
+      const res = await adjustSchedules(args);
+
+      deepEqual(res, expected, 'Got expected result');
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,304 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const method = require('./../../schedules/execute_scheduled_payment');
+
+const executionsFile = 'scheduled_payments.json';
+const id = Buffer.alloc(32).toString('hex');
+const nextAt = '2026-01-01T00:00:00.000Z';
+const {parse} = JSON;
+const pending = 'IN_FLIGHT';
+const schedulesFile = 'schedules.json';
+const settled = 'SUCCEEDED';
+const {stringify} = JSON;
+
+const makeFs = ({files, written}) => {
+  const fileName = path => path.split('/').pop();
+
+  return {
+    getFile: (path, cbk) => {
+      if (!files[fileName(path)]) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(files[fileName(path)]));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[fileName(path)] = contents;
+
+      if (fileName(path) === executionsFile) {
+        const [last] = parse(contents).executions.slice().reverse();
+
+        written.push(last.status);
+      }
+
+      return cbk();
+    },
+  };
+};
+
+const makePayment = ({status}) => {
+  return {
+    creation_date: '1',
+    creation_time_ns: '1',
+    failure_reason: 'FAILURE_REASON_NONE',
+    fee: '1',
+    fee_msat: '1000',
+    fee_sat: '1',
+    htlcs: [{
+      attempt_time_ns: '1',
+      status,
+      resolve_time_ns: '1',
+      route: {
+        hops: [{
+          amt_to_forward: '1',
+          amt_to_forward_msat: '1000',
+          chan_capacity: '1',
+          chan_id: '1',
+          custom_records: {},
+          expiry: 1,
+          fee: '1',
+          fee_msat: '1000',
+          pub_key: Buffer.alloc(33, 2).toString('hex'),
+          tlv_payload: true,
+        }],
+        total_amt: '2',
+        total_amt_msat: '2000',
+        total_time_lock: 1,
+        total_fees: '1',
+        total_fees_msat: '1000',
+      },
+    }],
+    path: [Buffer.alloc(33, 2).toString('hex')],
+    payment_hash: id,
+    payment_index: '1',
+    payment_preimage: Buffer.alloc(32).toString('hex'),
+    payment_request: '',
+    status,
+    value: '1',
+    value_msat: '1000',
+    value_sat: '1',
+  };
+};
+
+const makeLnd = ({payment}) => {
+  return {
+    default: {
+      getInfo: ({}, cbk) => cbk(null, getInfoResponse),
+      listChannels: ({}, cbk) => cbk(null, {channels: []}),
+    },
+    router: {
+      trackPaymentV2: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        if (!payment) {
+          const details = `payment isn't initiated`;
+
+          process.nextTick(() => emitter.emit('error', {details}));
+        } else {
+          process.nextTick(() => emitter.emit('data', payment));
+        }
+
+        return emitter;
+      },
+    },
+  };
+};
+
+const makeSchedule = overrides => {
+  const schedule = {
+    amount: '5000',
+    destination: Buffer.alloc(33, 3).toString('hex'),
+    every: 'weekly',
+    id: Buffer.alloc(32, 1).toString('hex'),
+    next_at: nextAt,
+  };
+
+  Object.keys(overrides).forEach(k => schedule[k] = overrides[k]);
+
+  return schedule;
+};
+
+const makeFiles = ({executions, schedule}) => {
+  return {
+    [executionsFile]: stringify({executions}),
+    [schedulesFile]: stringify({budget: 1e6, schedules: [schedule]}),
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    budget: 1e6,
+    fs: makeFs({files: {}, written: []}),
+    lnd: makeLnd({}),
+    logger: {error: () => {}, info: () => {}},
+    request: ({}, cbk) => cbk(),
+    schedule: makeSchedule({}),
+    spent: 0,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const inFlight = {
+  amount: 5000,
+  at: nextAt,
+  destination: makeSchedule({}).destination,
+  id,
+  schedule: makeSchedule({}).id,
+  status: 'in_flight',
+};
+
+const tests = [
+  {
+    args: makeArgs({budget: undefined}),
+    description: 'A monthly budget is required',
+    error: [400, 'ExpectedMonthlyBudgetToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({schedule: undefined}),
+    description: 'A schedule is required',
+    error: [400, 'ExpectedScheduleToExecuteScheduledPayment'],
+  },
+  {
+    args: makeArgs({spent: undefined}),
+    description: 'The monthly spend is required',
+    error: [400, 'ExpectedMonthlySpendToExecuteSchedule'],
+  },
+  {
+    args: makeArgs({budget: 6000, spent: 1000}),
+    description: 'A payment over the budget is skipped',
+    executions: [],
+    expected: {
+      executions: [{
+        fee: undefined,
+        is_identified: false,
+        status: 'over_budget',
+      }],
+      schedule: {attempts: undefined, is_advanced: true, is_retrying: false},
+      spent: 0,
+      written: ['over_budget'],
+    },
+  },
+  {
+    args: makeArgs({schedule: makeSchedule({amount: 'amount'})}),
+    description: 'A failed payment is retried',
+    executions: [],
+    expected: {
+      executions: [{fee: undefined, is_identified: false, status: 'failed'}],
+      schedule: {attempts: 1, is_advanced: false, is_retrying: true},
+      spent: 0,
+      written: ['failed'],
+    },
+  },
+  {
+    args: makeArgs({lnd: makeLnd({payment: makePayment({status: pending})})}),
+    description: 'A payment in flight is waited on without paying again',
+    executions: [inFlight],
+    expected: {
+      executions: [{fee: undefined, is_identified: true, status: 'in_flight'}],
+      schedule: {attempts: undefined, is_advanced: false, is_retrying: false},
+      spent: 0,
+      written: [],
+    },
+  },
+  {
+    args: makeArgs({lnd: makeLnd({payment: makePayment({status: settled})})}),
+    description: 'A payment in flight that went through is recorded as paid',
+    executions: [inFlight],
+    expected: {
+      executions: [{fee: 1, is_identified: true, status: 'paid'}],
+      schedule: {attempts: undefined, is_advanced: true, is_retrying: false},
+      spent: 1,
+      written: ['paid'],
+    },
+  },
+  {
+    args: makeArgs({lnd: makeLnd({})}),
+    description: 'A payment in flight that never went out is retried',
+    executions: [inFlight],
+    expected: {
+      executions: [{fee: undefined, is_identified: true, status: 'failed'}],
+      schedule: {attempts: 1, is_advanced: false, is_retrying: true},
+      spent: 0,
+      written: ['failed'],
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'A payment is recorded in flight before it is sent',
+    executions: [],
+    expected: {
+      executions: [{fee: undefined, is_identified: true, status: 'failed'}],
+      schedule: {attempts: 1, is_advanced: false, is_retrying: true},
+      spent: 0,
+      written: ['in_flight', 'failed'],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, executions, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const files = makeFiles({executions, schedule: args.schedule});
+    const written = [];
+
+    args.fs = makeFs({files, written});
+
+    const {spent} = await method(args);
+
+    const [schedule] = parse(files[schedulesFile]).schedules;
+
+    deepEqual({
+      spent,
+      written,
+      executions: parse(files[executionsFile]).executions.map(n => ({
+        fee: n.fee,
+        is_identified: !!n.id,
+        status: n.status,
+      })),
+      schedule: {
+        attempts: schedule.attempts,
+        is_advanced: schedule.next_at !== nextAt,
+        is_retrying: !!schedule.retry_at,
+      },
+    },
+    expected,
+    'Got expected execution');
+
+    return;
+  });
+});
@@ -0,0 +1,50 @@
+const {deepEqual} = require('node:assert').strict;
+const {throws} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../schedules/interval_for_schedule');
+
+const tests = [
+  {
+    args: {},
+    description: 'An interval is required',
+    error: 'ExpectedIntervalForSchedule',
+  },
+  {
+    args: {every: 'fortnight'},
+    description: 'An interval must be known',
+    error: 'ExpectedKnownIntervalForSchedule',
+  },
+  {
+    args: {every: '0 days'},
+    description: 'An interval must not be zero',
+    error: 'ExpectedNonZeroIntervalForSchedule',
+  },
+  {
+    args: {every: 'Weekly'},
+    description: 'A named interval is mapped to a unit',
+    expected: {count: 1, unit: 'weeks'},
+  },
+  {
+    args: {every: '3 months'},
+    description: 'A counted interval is mapped to a unit',
+    expected: {count: 3, unit: 'months'},
+  },
+  {
+    args: {every: 'day'},
+    description: 'An interval without a count is one unit',
+    expected: {count: 1, unit: 'days'},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      deepEqual(method(args), expected, 'Got expected interval');
+    }
+
+    return end();
+  });
+});
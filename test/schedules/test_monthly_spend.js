@@ -0,0 +1,45 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../schedules/monthly_spend');
+
+const tests = [
+  {
+    args: {at: '2026-02-15T00:00:00.000Z', executions: []},
+    description: 'Nothing is spent without executions',
+    expected: {spent: 0},
+  },
+  {
+    args: {
+      at: '2026-02-15T00:00:00.000Z',
+      executions: [
+        {amount: 100, at: '2026-01-31T23:59:59.000Z', status: 'paid'},
+        {amount: 200, at: '2026-02-01T00:00:00.000Z', fee: 2, status: 'paid'},
+        {amount: 300, at: '2026-02-10T00:00:00.000Z', status: 'paid'},
+        {amount: 400, at: '2026-02-11T00:00:00.000Z', status: 'failed'},
+        {amount: 500, at: '2026-03-01T00:00:00.000Z', status: 'paid'},
+      ],
+    },
+    description: 'Paid executions in the current month are spent',
+    expected: {spent: 502},
+  },
+  {
+    args: {
+      at: '2026-02-15T00:00:00.000Z',
+      executions: [
+        {amount: 100, at: '2026-02-01T00:00:00.000Z', status: 'in_flight'},
+        {amount: 200, at: '2026-02-02T00:00:00.000Z', status: 'paid'},
+      ],
+    },
+    description: 'In flight executions in the current month are spent',
+    expected: {spent: 300},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected spend');
+
+    return end();
+  });
+});
@@ -0,0 +1,80 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../schedules/next_schedule_state');
+
+const makeArgs = overrides => {
+  const args = {
+    at: '2026-01-01T00:10:00.000Z',
+    schedule: {every: 'daily', next_at: '2026-01-01T00:00:00.000Z'},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({is_paid: true}),
+    description: 'A paid schedule moves on to the next interval',
+    expected: {attempts: 0, next_at: '2026-01-02T00:00:00.000Z'},
+  },
+  {
+    args: makeArgs({at: '2026-01-05T12:00:00.000Z', is_paid: true}),
+    description: 'Missed intervals are skipped over',
+    expected: {attempts: 0, next_at: '2026-01-06T00:00:00.000Z'},
+  },
+  {
+    args: makeArgs({is_skipped: true}),
+    description: 'A skipped schedule moves on to the next interval',
+    expected: {attempts: 0, next_at: '2026-01-02T00:00:00.000Z'},
+  },
+  {
+    args: makeArgs({}),
+    description: 'A failed payment is retried',
+    expected: {
+      attempts: 1,
+      next_at: '2026-01-01T00:00:00.000Z',
+      retry_at: '2026-01-01T00:15:00.000Z',
+    },
+  },
+  {
+    args: makeArgs({
+      schedule: {
+        attempts: 3,
+        every: 'daily',
+        next_at: '2026-01-01T00:00:00.000Z',
+      },
+    }),
+    description: 'Retries back off',
+    expected: {
+      attempts: 4,
+      next_at: '2026-01-01T00:00:00.000Z',
+      retry_at: '2026-01-01T00:50:00.000Z',
+    },
+  },
+  {
+    args: makeArgs({
+      schedule: {
+        attempts: 4,
+        every: 'daily',
+        next_at: '2026-01-01T00:00:00.000Z',
+      },
+    }),
+    description: 'A payment is given up on after too many attempts',
+    expected: {
+      attempts: 0,
+      is_given_up: true,
+      next_at: '2026-01-02T00:00:00.000Z',
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected schedule state');
+
+    return end();
+  });
+});
@@ -0,0 +1,166 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const method = require('./../../schedules/run_schedules');
+
+const executionsFile = 'scheduled_payments.json';
+const {parse} = JSON;
+const schedulesFile = 'schedules.json';
+const {stringify} = JSON;
+
+const makeFs = ({files, onWrite}) => {
+  const fileName = path => path.split('/').pop();
+
+  return {
+    getFile: (path, cbk) => {
+      if (!files[fileName(path)]) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(files[fileName(path)]));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[fileName(path)] = contents;
+
+      cbk();
+
+      return onWrite(fileName(path));
+    },
+  };
+};
+
+const makeLnd = ({}) => {
+  return {
+    default: {
+      getInfo: ({}, cbk) => cbk(null, getInfoResponse),
+      listChannels: ({}, cbk) => cbk(null, {channels: []}),
+    },
+  };
+};
+
+const makeSchedule = overrides => {
+  const schedule = {
+    amount: '5000',
+    destination: Buffer.alloc(33, 3).toString('hex'),
+    every: 'weekly',
+    id: Buffer.alloc(32, 1).toString('hex'),
+    next_at: new Date(Date.now() - 1000).toISOString(),
+  };
+
+  Object.keys(overrides).forEach(k => schedule[k] = overrides[k]);
+
+  return schedule;
+};
+
+const makeFiles = ({budget, executions, schedule}) => {
+  return {
+    [executionsFile]: stringify({executions}),
+    [schedulesFile]: stringify({budget, schedules: [schedule]}),
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({files: {}, onWrite: () => {}}),
+    lnd: makeLnd({}),
+    logger: {error: () => {}, info: () => {}},
+    request: ({}, cbk) => cbk(),
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const inFlight = {
+  amount: 5000,
+  at: new Date().toISOString(),
+  destination: Buffer.alloc(33, 3).toString('hex'),
+  id: Buffer.alloc(32).toString('hex'),
+  schedule: Buffer.alloc(32, 2).toString('hex'),
+  status: 'in_flight',
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToRunSchedules'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToRunSchedules'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedWinstonLoggerToRunSchedules'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToRunSchedules'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A monthly budget is required',
+    error: [400, 'ExpectedMonthlyBudgetToRunScheduledPayments'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Payments in flight count toward the monthly budget',
+    expected: {is_retrying: false, statuses: ['in_flight', 'over_budget']},
+    files: makeFiles({
+      budget: 1e4,
+      executions: [inFlight],
+      schedule: makeSchedule({}),
+    }),
+  },
+  {
+    args: makeArgs({}),
+    description: 'A due payment that cannot be paid is retried',
+    expected: {is_retrying: true, statuses: ['failed']},
+    files: makeFiles({
+      budget: 1e4,
+      executions: [],
+      schedule: makeSchedule({amount: 'amount'}),
+    }),
+  },
+];
+
+tests.forEach(({args, description, error, expected, files}) => {
+  return test(description, async t => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    t.mock.timers.enable({apis: ['setInterval']});
+
+    // The schedule is written after the due payment is executed
+    await new Promise(resolve => {
+      args.fs = makeFs({
+        files,
+        onWrite: file => file === schedulesFile ? resolve() : null,
+      });
+
+      return method(args);
+    });
+
+    const [written] = parse(files[schedulesFile]).schedules;
+
+    deepEqual({
+      is_retrying: !!written.retry_at,
+      statuses: parse(files[executionsFile]).executions.map(n => n.status),
+    },
+    expected,
+    'Got expected executions');
+
+    return;
+  });
+});
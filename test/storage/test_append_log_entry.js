@@ -0,0 +1,111 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {appendLogEntry} = require('./../../storage');
+
+const makeFs = ({calls, size}) => {
+  return {
+    appendFile: (path, contents, cbk) => {
+      calls.push(['append', path.split('/').pop(), contents]);
+
+      return cbk();
+    },
+    getFileStatus: (path, cbk) => {
+      // A missing file has no status
+      if (!size) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, {size});
+    },
+    makeDirectory: (path, cbk) => {
+      calls.push(['mkdir']);
+
+      return cbk();
+    },
+    renameFile: (from, to, cbk) => {
+      calls.push(['rename', to.split('/').pop()]);
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    entry: {a: 1},
+    file: 'log.jsonl',
+    fs: makeFs({calls: [], size: 1}),
+    max_bytes: 10,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({entry: undefined}),
+    description: 'An entry is required',
+    error: [400, 'ExpectedEntryToAppendToLog'],
+  },
+  {
+    args: makeArgs({file: undefined}),
+    description: 'A log file name is required',
+    error: [400, 'ExpectedLogFileNameToAppendToLog'],
+  },
+  {
+    args: makeArgs({fs: {appendFile: () => {}}}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToAppendToLog'],
+  },
+  {
+    args: makeArgs({max_bytes: undefined}),
+    description: 'A maximum log size is required',
+    error: [400, 'ExpectedMaximumLogSizeToAppendToLog'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A log is started in a new home directory',
+    expected: [['mkdir'], ['append', 'log.jsonl', '{"a":1}\n']],
+    size: undefined,
+  },
+  {
+    args: makeArgs({}),
+    description: 'An entry is appended to the log',
+    expected: [['mkdir'], ['append', 'log.jsonl', '{"a":1}\n']],
+    size: 1,
+  },
+  {
+    args: makeArgs({}),
+    description: 'A full log is rotated before appending',
+    expected: [
+      ['mkdir'],
+      ['rename', 'log.jsonl.1'],
+      ['append', 'log.jsonl', '{"a":1}\n'],
+    ],
+    size: 10,
+  },
+];
+
+tests.forEach(({args, description, error, expected, size}) => {
+  return test(description, async () => {
+    const calls = [];
+
+    if (!!error) {
+      await rejects(appendLogEntry(args), error, 'Got expected error');
+
+      return;
+    }
+
+    args.fs = makeFs({calls, size});
+
+    await appendLogEntry(args);
+
+    deepEqual(calls, expected, 'Got expected file calls');
+
+    return;
+  });
+});
@@ -0,0 +1,129 @@
+const {createHash} = require('crypto');
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const {crypto} = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const {Transaction} = require('bitcoinjs-lib');
+
+const boltzClaimTransaction = require('./../../swaps/boltz_claim_transaction');
+const boltzSwapTree = require('./../../swaps/boltz_swap_tree');
+
+const bufferAsHex = buffer => Buffer.from(buffer).toString('hex');
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const privateKey = Buffer.alloc(32, 1).toString('hex');
+const secret = Buffer.alloc(32, 2).toString('hex');
+const sha256 = hex => createHash('sha256').update(hexAsBuffer(hex)).digest();
+
+const publicKey = tinysecp.pointFromScalar(hexAsBuffer(privateKey));
+
+const tree = boltzSwapTree({
+  claim_public_key: bufferAsHex(publicKey),
+  id: bufferAsHex(sha256(secret)),
+  network: 'btcregtest',
+  refund_public_key: '03c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5',
+  timeout: 800,
+  type: 'reverse',
+});
+
+const makeArgs = ({ecp, override}) => {
+  const args = {
+    ecp,
+    block_height: 700,
+    claim_control_block: tree.claim_control_block,
+    claim_script: tree.claim_script,
+    fee_tokens_per_vbyte: 2,
+    network: 'btcregtest',
+    output_script: tree.output_script,
+    private_key: privateKey,
+    secret,
+    sends: [{
+      address: 'bcrt1qqvpsxqcrqvpsxqcrqvpsxqcrqvpsxqcruj60yu',
+      tokens: 1e4,
+    }],
+    sweep_address: 'bcrt1qqszqgpqyqszqgpqyqszqgpqyqszqgpqyuza2rq',
+    tokens: 1e5,
+    transaction_id: Buffer.alloc(32).toString('hex'),
+    transaction_vout: 0,
+  };
+
+  Object.keys(override || {}).forEach(key => args[key] = override[key]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: {},
+    description: 'A claim transaction spends the claim leaf',
+    expected: {
+      locktime: 700,
+      sends: [1e4, 89658],
+      witness: [secret, tree.claim_script, tree.claim_control_block],
+    },
+  },
+  {
+    args: {fee_tokens_per_vbyte: 1e4},
+    description: 'Swap tokens must cover the chain fee',
+    error: 'ExpectedMoreSwapTokensToPayForClaimChainFee',
+  },
+  {
+    args: {secret: undefined},
+    description: 'A swap preimage is expected',
+    error: 'ExpectedPreimageToMakeBoltzClaimTransaction',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const ecp = (await import('ecpair')).ECPairFactory(tinysecp);
+
+    const override = args;
+
+    if (!!error) {
+      throws(
+        () => boltzClaimTransaction(makeArgs({ecp, override})),
+        new Error(error),
+        'Got error'
+      );
+
+      return;
+    }
+
+    const {transaction} = boltzClaimTransaction(makeArgs({ecp, override}));
+
+    const tx = Transaction.fromHex(transaction);
+
+    const [input] = tx.ins;
+
+    const [signature, ...witness] = input.witness;
+
+    const leafHash = crypto.taggedHash('TapLeaf', Buffer.concat([
+      Buffer.from([0xc0, hexAsBuffer(tree.claim_script).length]),
+      hexAsBuffer(tree.claim_script),
+    ]));
+
+    const hash = tx.hashForWitnessV1(
+      0,
+      [hexAsBuffer(tree.output_script)],
+      [1e5],
+      Transaction.SIGHASH_DEFAULT,
+      leafHash
+    );
+
+    const key = publicKey.slice(1);
+
+    deepEqual(tinysecp.verifySchnorr(hash, key, signature), true, 'Signed');
+
+    deepEqual({
+      locktime: tx.locktime,
+      sends: tx.outs.map(n => n.value),
+      witness: witness.map(bufferAsHex),
+    },
+    expected,
+    'Got expected claim transaction');
+
+    return;
+  });
+});
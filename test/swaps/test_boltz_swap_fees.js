@@ -0,0 +1,45 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const boltzSwapFees = require('./../../swaps/boltz_swap_fees');
+
+const reverse = {fee_percent: 0.5, miner_fee: 500};
+const submarine = {fee_percent: 0.1, miner_fee: 1000};
+
+const tests = [
+  {
+    args: {pair: reverse, tokens: 1e6, type: 'inbound'},
+    description: 'Reverse swap fees are derived',
+    expected: {fee: 5528},
+  },
+  {
+    args: {pair: submarine, tokens: 1e6, type: 'outbound'},
+    description: 'Submarine swap fees are derived',
+    expected: {fee: 1999},
+  },
+  {
+    args: {pair: submarine, tokens: 1000, type: 'outbound'},
+    description: 'Swap tokens must cover the fees',
+    error: 'SwapTokensTooLowToCoverBoltzSwapFees',
+  },
+  {
+    args: {pair: reverse, tokens: 1e6, type: 'type'},
+    description: 'A known liquidity type is required',
+    error: 'UnexpectedLiquidityTypeForBoltzSwapFees',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => boltzSwapFees(args), new Error(error), 'Got error');
+    } else {
+      const res = boltzSwapFees(args);
+
+      deepEqual(res, expected, 'Got expected result');
+    }
+
+    return end();
+  });
+});
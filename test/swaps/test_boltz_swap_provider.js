@@ -0,0 +1,328 @@
+const {createServer} = require('node:http');
+const {deepEqual} = require('node:assert').strict;
+const fetch = require('node-fetch');
+const {promisify} = require('util');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {createSignedRequest} = require('invoices');
+const {createUnsignedRequest} = require('invoices');
+const {parsePaymentRequest} = require('invoices');
+const secp256k1 = require('tiny-secp256k1');
+
+const boltzSwapProvider = require('./../../swaps/boltz_swap_provider');
+const boltzSwapTree = require('./../../swaps/boltz_swap_tree');
+
+const hexAsBuffer = hex => Buffer.from(hex, 'hex');
+const nodeKey = 'e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734';
+const serviceKey = '02c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5';
+const sign = (h, k) => Buffer.from(secp256k1.sign(h, k)).toString('hex');
+const timeout = 800;
+
+const reversePairs = {
+  BTC: {
+    BTC: {
+      fees: {minerFees: {claim: 300, lockup: 500}, percentage: 0.5},
+      limits: {maximal: 1e7, minimal: 1e5},
+    },
+  },
+};
+
+const submarinePairs = {
+  BTC: {
+    BTC: {
+      fees: {minerFees: 1000, percentage: 0.1},
+      limits: {maximal: 2e7, minimal: 5e4},
+    },
+  },
+};
+
+// Make a signed payment request paying to a payment hash
+const createRequest = ({id, tokens}) => {
+  const {hash, hrp, tags} = createUnsignedRequest({
+    id,
+    tokens,
+    created_at: '2017-06-01T10:57:38.000Z',
+    description: 'swap',
+    network: 'bitcoin',
+  });
+
+  return createSignedRequest({
+    hrp,
+    tags,
+    destination: '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad',
+    signature: sign(hexAsBuffer(hash), hexAsBuffer(nodeKey)),
+  }).request;
+};
+
+const swapHash = Buffer.alloc(32).toString('hex');
+
+const swapRequest = createRequest({id: swapHash, tokens: 1e6});
+
+// Respond to a reverse swap creation with a swap tree for the claim key
+const createReverse = ({claimPublicKey, onchainAmount, preimageHash}) => {
+  const tree = boltzSwapTree({
+    timeout,
+    claim_public_key: claimPublicKey,
+    id: preimageHash,
+    network: 'btc',
+    refund_public_key: serviceKey,
+    type: 'reverse',
+  });
+
+  return {
+    onchainAmount,
+    id: 'id',
+    invoice: createRequest({id: preimageHash, tokens: onchainAmount + 5528}),
+    lockupAddress: tree.address,
+    refundPublicKey: serviceKey,
+    swapTree: {
+      claimLeaf: {output: tree.claim_script, version: 192},
+      refundLeaf: {output: tree.refund_script, version: 192},
+    },
+    timeoutBlockHeight: timeout,
+  };
+};
+
+// Respond to a submarine swap creation with a swap tree for the refund key
+const createSubmarine = ({refundPublicKey}) => {
+  const tree = boltzSwapTree({
+    timeout,
+    claim_public_key: serviceKey,
+    id: swapHash,
+    network: 'btc',
+    refund_public_key: refundPublicKey,
+    type: 'submarine',
+  });
+
+  return {
+    address: tree.address,
+    claimPublicKey: serviceKey,
+    expectedAmount: 1001999,
+    id: 'id',
+    swapTree: {
+      claimLeaf: {output: tree.claim_script, version: 192},
+      refundLeaf: {output: tree.refund_script, version: 192},
+    },
+    timeoutBlockHeight: timeout,
+  };
+};
+
+// Start a mock Boltz API that answers with responses to swap routes
+const startServer = async ({routes, status}) => {
+  const server = createServer((req, res) => {
+    const route = routes[`${req.method} ${req.url}`];
+
+    const body = [];
+
+    req.on('data', chunk => body.push(chunk));
+
+    return req.on('end', () => {
+      if (!route) {
+        res.writeHead(404);
+
+        return res.end(JSON.stringify({error: 'not found'}));
+      }
+
+      const params = !body.length ? {} : JSON.parse(Buffer.concat(body));
+
+      res.writeHead(status);
+
+      return res.end(JSON.stringify(route(params)));
+    });
+  });
+
+  await promisify(server.listen.bind(server))(0, '127.0.0.1');
+
+  const socket = `http://127.0.0.1:${server.address().port}/`;
+
+  return {server, socket};
+};
+
+const tests = [
+  {
+    args: {liquidity: 'inbound', tokens: 1e6},
+    description: 'A Boltz reverse swap quote is returned',
+    expected: {fee: 5528},
+    response: {routes: {'GET /v2/swap/reverse': () => reversePairs}},
+  },
+  {
+    args: {liquidity: 'outbound', tokens: 1e6},
+    description: 'A Boltz submarine swap quote is returned',
+    expected: {fee: 1999},
+    response: {routes: {'GET /v2/swap/submarine': () => submarinePairs}},
+  },
+  {
+    args: {liquidity: 'terms'},
+    description: 'Boltz reverse swap terms are returned',
+    expected: {max_cltv_delta: 144, max_tokens: 1e7, min_tokens: 1e5},
+    response: {routes: {'GET /v2/swap/reverse': () => reversePairs}},
+  },
+  {
+    args: {liquidity: 'in_terms'},
+    description: 'Boltz submarine swap terms are returned',
+    expected: {max_cltv_delta: 144, max_tokens: 2e7, min_tokens: 5e4},
+    response: {routes: {'GET /v2/swap/submarine': () => submarinePairs}},
+  },
+  {
+    args: {liquidity: 'outbound', tokens: 1000},
+    description: 'Swap tokens must cover Boltz fees',
+    error: [400, 'SwapTokensTooLowToCoverBoltzSwapFees'],
+    response: {routes: {'GET /v2/swap/submarine': () => submarinePairs}},
+  },
+  {
+    args: {liquidity: 'terms'},
+    description: 'A BTC pair is expected',
+    error: [503, 'ExpectedBtcPairInBoltzPairsResponse'],
+    response: {routes: {'GET /v2/swap/reverse': () => ({})}},
+  },
+  {
+    args: {liquidity: 'terms'},
+    description: 'Errors from the Boltz service are passed back',
+    error: [
+      503,
+      'UnexpectedErrorResponseFromBoltzService',
+      {error: 'error', status: 500},
+    ],
+    response: {
+      routes: {'GET /v2/swap/reverse': () => ({error: 'error'})},
+      status: 500,
+    },
+  },
+  {
+    args: {liquidity: 'swap_out', tokens: 1e6},
+    description: 'A Boltz reverse swap is created',
+    expected: {
+      service_id: 'id',
+      service_public_key: serviceKey,
+      timeout: 800,
+      tokens: 1005528,
+    },
+    response: {routes: {'POST /v2/swap/reverse': createReverse}},
+  },
+  {
+    args: {liquidity: 'swap_out', tokens: 1e6},
+    description: 'A Boltz reverse swap lockup address must match its tree',
+    error: [503, 'UnexpectedLockupAddressForBoltzSwapOut'],
+    response: {
+      routes: {
+        'POST /v2/swap/reverse': params => ({
+          ...createReverse(params),
+          lockupAddress: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq',
+        }),
+      },
+    },
+  },
+  {
+    args: {liquidity: 'swap_out', tokens: 1e6},
+    description: 'A Boltz reverse swap tree must commit to the claim key',
+    error: [503, 'UnexpectedClaimLeafInBoltzSwapOutTree'],
+    response: {
+      routes: {
+        'POST /v2/swap/reverse': params => createReverse({
+          ...params,
+          claimPublicKey: serviceKey,
+        }),
+      },
+    },
+  },
+  {
+    args: {fee: 1999, liquidity: 'swap_in', request: swapRequest},
+    description: 'A Boltz submarine swap is created',
+    expected: {
+      id: swapHash,
+      service_id: 'id',
+      service_public_key: serviceKey,
+      timeout: 800,
+      tokens: 1001999,
+    },
+    response: {routes: {'POST /v2/swap/submarine': createSubmarine}},
+  },
+  {
+    args: {fee: 1999, liquidity: 'swap_in', request: swapRequest},
+    description: 'A Boltz submarine swap tree must commit to the refund key',
+    error: [503, 'UnexpectedRefundLeafInBoltzSwapInTree'],
+    response: {
+      routes: {
+        'POST /v2/swap/submarine': () => createSubmarine({
+          refundPublicKey: serviceKey,
+        }),
+      },
+    },
+  },
+  {
+    args: {fee: 1000, liquidity: 'swap_in', request: swapRequest},
+    description: 'A Boltz submarine swap must not cost more than quoted',
+    error: [503, 'UnexpectedServiceCostForBoltzSwapIn'],
+    response: {
+      routes: {'POST /v2/swap/submarine': createSubmarine},
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected, response}) => {
+  return test(description, async () => {
+    const {server, socket} = await startServer({
+      routes: response.routes,
+      status: response.status || 200,
+    });
+
+    const provider = boltzSwapProvider({fetch, socket, network: 'btc'});
+
+    const method = (() => {
+      switch (args.liquidity) {
+      case 'in_terms':
+        return promisify(provider.getSwapInTerms);
+
+      case 'inbound':
+        return promisify(provider.getSwapOutQuote);
+
+      case 'outbound':
+        return promisify(provider.getSwapInQuote);
+
+      // Swap keys are random so only the details from the service are checked
+      case 'swap_in':
+        return async ({fee, request}) => {
+          const swap = await promisify(provider.createSwapIn)({fee, request});
+
+          return {
+            id: swap.id,
+            service_id: swap.service_id,
+            service_public_key: swap.service_public_key,
+            timeout: swap.timeout,
+            tokens: swap.tokens,
+          };
+        };
+
+      case 'swap_out':
+        return async ({tokens}) => {
+          const swap = await promisify(provider.createSwapOut)({tokens});
+
+          const request = swap.swap_fund_request;
+
+          return {
+            service_id: swap.service_id,
+            service_public_key: swap.service_public_key,
+            timeout: swap.timeout,
+            tokens: parsePaymentRequest({request}).tokens,
+          };
+        };
+
+      default:
+        return promisify(provider.getSwapOutTerms);
+      }
+    })();
+
+    try {
+      if (!!error) {
+        await rejects(method(args), error, 'Got error');
+      } else {
+        deepEqual(await method(args), expected, 'Got res');
+      }
+    } finally {
+      server.close();
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,81 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const boltzSwapTree = require('./../../swaps/boltz_swap_tree');
+
+const makeArgs = override => {
+  const args = {
+    claim_public_key: '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+    id: Buffer.alloc(32).toString('hex'),
+    network: 'btcregtest',
+    refund_public_key: '03c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5',
+    timeout: 800,
+    type: 'reverse',
+  };
+
+  Object.keys(override || {}).forEach(key => args[key] = override[key]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'A reverse swap tree is derived',
+    expected: {
+      address: 'bcrt1pp4lauwfnp7xkvncf363z3pfs2vjmqlufhmhvf3zclle6ffqj3uvq5vwgfk',
+      claim_control_block: 'c1d0e748bac04a3377b7df62e9cc449e4379d4ca2f31b7d6762af23330f1c7cdc635578d6f9a946ea86616d4239db5367afc12f93f1a5dd87aae3c4b28a73eb301',
+      claim_script: '82012088a914d1a70126ff7a149ca6f9b638db084480440ff842882079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798ac',
+      external_key: '030d7fde39330f8d664f098ea22885305325b07f89beeec4c458fff3a4a4128f18',
+      internal_key: 'd0e748bac04a3377b7df62e9cc449e4379d4ca2f31b7d6762af23330f1c7cdc6',
+      output_script: '51200d7fde39330f8d664f098ea22885305325b07f89beeec4c458fff3a4a4128f18',
+      refund_script: '20c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5ad022003b1',
+    },
+  },
+  {
+    args: makeArgs({type: 'submarine'}),
+    description: 'A submarine swap tree is derived',
+    expected: {
+      address: 'bcrt1pxggl0afgcl72rtwjaza55msdguzqhlugc794kuduf3pyzn2wkexq7rvegt',
+      claim_control_block: 'c0b4dbe554f1c2f1b744a996669aed33637bdb683553443012d95097525f1a312e35578d6f9a946ea86616d4239db5367afc12f93f1a5dd87aae3c4b28a73eb301',
+      claim_script: 'a914d1a70126ff7a149ca6f9b638db084480440ff842882079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798ac',
+      external_key: '023211f7f528c7fca1add2e8bb4a6e0d47040bff88c78b5b71bc4c42414d4eb64c',
+      internal_key: 'b4dbe554f1c2f1b744a996669aed33637bdb683553443012d95097525f1a312e',
+      output_script: '51203211f7f528c7fca1add2e8bb4a6e0d47040bff88c78b5b71bc4c42414d4eb64c',
+      refund_script: '20c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5ad022003b1',
+    },
+  },
+  {
+    args: makeArgs({network: 'ltc'}),
+    description: 'A known network is expected',
+    error: 'ExpectedKnownNetworkToDeriveBoltzSwapTree',
+  },
+  {
+    args: makeArgs({claim_public_key: '00'}),
+    description: 'A compressed claim public key is expected',
+    error: 'ExpectedCompressedClaimPublicKeyForBoltzSwapTree',
+  },
+  {
+    args: makeArgs({timeout: undefined}),
+    description: 'A swap timeout is expected',
+    error: 'ExpectedSwapTimeoutToDeriveBoltzSwapTree',
+  },
+  {
+    args: makeArgs({type: 'type'}),
+    description: 'A known swap type is expected',
+    error: 'ExpectedKnownSwapTypeToDeriveBoltzSwapTree',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => boltzSwapTree(args), new Error(error), 'Got error');
+    } else {
+      deepEqual(boltzSwapTree(args), expected, 'Got expected result');
+    }
+
+    return end();
+  });
+});
@@ -5,6 +5,7 @@ const test = require('node:test');
 
 const {getInfoResponse} = require('./../fixtures');
 const {getSwapCost} = require('./../../swaps');
+const loopSwapProvider = require('./../../swaps/loop_swap_provider');
 
 const metadata = {get: () => ['00']};
 
@@ -34,6 +35,8 @@ const makeQuote = ({}) => ({
   swap_payment_dest: Buffer.alloc(33).toString('hex'),
 });
 
+const makeProvider = service => loopSwapProvider({metadata, service});
+
 const makeService = ({}) => {
   return {
     loopOutQuote: ({}, {}, cbk) => cbk(null, makeQuote({})),
@@ -50,26 +53,25 @@ const makeTerms = ({max, min}) => ({
 
 const tests = [
   {
-    args: {metadata, lnd: {}, logger: {}},
-    description: 'Swap service is required',
-    error: [400, 'ExpectedSwapServiceToGetSwapCost'],
+    args: {lnd: {}, logger: {}},
+    description: 'Swap provider is required',
+    error: [400, 'ExpectedSwapProviderToGetSwapCost'],
   },
   {
-    args: {metadata, lnd: {}, logger: {}, service: {}},
+    args: {lnd: {}, logger: {}, provider: makeProvider({})},
     description: 'Tokens are required',
     error: [400, 'ExpectedTokensCountToGetSwapCost'],
   },
   {
-    args: {metadata, lnd: {}, logger: {}, service: {}, tokens: 1},
+    args: {lnd: {}, logger: {}, provider: makeProvider({}), tokens: 1},
     description: 'Swap type is required',
     error: [400, 'ExpectedLiquidityTypeToGetSwapCost'],
   },
   {
     args: {
-      metadata,
       lnd: {},
       logger: {},
-      service: makeService({}),
+      provider: makeProvider(makeService({})),
       tokens: 1,
       type: 'type',
     },
@@ -78,13 +80,12 @@ const tests = [
   },
   {
     args: {
-      metadata,
       lnd: makeLnd({}),
       logger: {},
-      service: {
+      provider: makeProvider({
         loopOutQuote: ({}, {}, cbk) => cbk(null, makeQuote({})),
         loopOutTerms: ({}, {}, cbk) => cbk(null, makeTerms({})),
-      },
+      }),
       tokens: 1e6,
       type: 'inbound',
     },
@@ -93,15 +94,14 @@ const tests = [
   },
   {
     args: {
-      metadata,
       lnd: makeLnd({}),
       logger: {},
-      service: {
+      provider: makeProvider({
         loopInQuote: ({}, {}, cbk) => cbk(null, makeQuote({})),
         loopInTerms: ({}, {}, cbk) => {
           return cbk(null, makeTerms({max: 1e7, min: 1e6}));
         },
-      },
+      }),
       tokens: 1e5,
       type: 'outbound',
     },
@@ -110,10 +110,9 @@ const tests = [
   },
   {
     args: {
-      metadata,
       lnd: makeLnd({}),
       logger: {},
-      service: makeService({}),
+      provider: makeProvider(makeService({})),
       tokens: 1e6,
       type: 'inbound',
     },
@@ -0,0 +1,172 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const planRebalances = require('./../../swaps/plan_rebalances');
+
+const key = n => Buffer.alloc(33, n).toString('hex');
+
+const makeChannel = ({id, local, n}) => ({
+  id,
+  capacity: 1e6,
+  is_active: true,
+  local_balance: local,
+  partner_public_key: key(n),
+  pending_payments: [],
+  remote_balance: 1e6 - local,
+});
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      makeChannel({id: '1x1x1', local: 9e5, n: 2}),
+      makeChannel({id: '2x2x2', local: 1e5, n: 3}),
+    ],
+    past: [],
+    policies: [
+      {base_fee_mtokens: '1000', fee_rate: 1, public_key: key(2)},
+      {base_fee_mtokens: '1000', fee_rate: 100, public_key: key(3)},
+    ],
+    tags: [{alias: 'tag', id: Buffer.alloc(32).toString('hex'), nodes: []}],
+    targets: ['0.5'],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({targets: ['2']}),
+    description: 'A valid target ratio is expected',
+    error: 'ExpectedTargetOutboundRatioBetweenZeroAndOne',
+  },
+  {
+    args: makeArgs({targets: ['unknown:0.5']}),
+    description: 'A known target tag is expected',
+    error: 'ExpectedKnownTagForRebalanceTarget',
+  },
+  {
+    args: makeArgs({}),
+    description: 'Rebalances are planned towards the target ratio',
+    expected: {
+      steps: [{
+        expected_fee: 40,
+        expected_fee_rate: 100,
+        in_peer: key(3),
+        out_peer: key(2),
+        tokens: 4e5,
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      past: [{fee: 5, in_peer: key(3), out_peer: key(2), tokens: 1e5}],
+    }),
+    description: 'Past rebalances are used to estimate fees',
+    expected: {
+      steps: [{
+        expected_fee: 20,
+        expected_fee_rate: 50,
+        in_peer: key(3),
+        out_peer: key(2),
+        tokens: 4e5,
+      }],
+    },
+  },
+  {
+    args: makeArgs({max_fee_total: 10}),
+    description: 'Rebalances are not planned over the fee budget',
+    expected: {steps: []},
+  },
+  {
+    args: makeArgs({in_filters: ['invalid formula']}),
+    description: 'A failed filter formula is returned',
+    expected: {
+      failure: {error: 'FailedToParseFormula', formula: 'invalid formula'},
+    },
+  },
+  {
+    args: makeArgs({in_filters: ['inbound_fee_rate < 100']}),
+    description: 'Inbound peers are filtered',
+    expected: {steps: []},
+  },
+  {
+    args: makeArgs({
+      in_filters: ['inbound_base_fee >= 0'],
+      policies: [{base_fee_mtokens: '1000', fee_rate: 1, public_key: key(2)}],
+    }),
+    description: 'Peers without policies have a zero inbound base fee',
+    expected: {
+      steps: [{
+        expected_fee: 0,
+        expected_fee_rate: 0,
+        in_peer: key(3),
+        out_peer: key(2),
+        tokens: 4e5,
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      tags: [{
+        alias: 'tag',
+        id: Buffer.alloc(32).toString('hex'),
+        nodes: [key(3)],
+      }],
+      targets: ['0.5', 'tag:0.2'],
+    }),
+    description: 'Tag targets take precedence',
+    expected: {
+      steps: [{
+        expected_fee: 10,
+        expected_fee_rate: 100,
+        in_peer: key(3),
+        out_peer: key(2),
+        tokens: 1e5,
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      channels: [
+        makeChannel({id: '1x1x1', local: 8e5, n: 2}),
+        makeChannel({id: '2x2x2', local: 1e5, n: 3}),
+        makeChannel({id: '3x3x3', local: 1e6, n: 4}),
+      ],
+      past: [{fee: 1, in_peer: key(3), out_peer: key(2), tokens: 1e4}],
+    }),
+    description: 'Outbound peers that worked before are preferred',
+    expected: {
+      steps: [
+        {
+          expected_fee: 30,
+          expected_fee_rate: 100,
+          in_peer: key(3),
+          out_peer: key(2),
+          tokens: 3e5,
+        },
+        {
+          expected_fee: 10,
+          expected_fee_rate: 100,
+          in_peer: key(3),
+          out_peer: key(4),
+          tokens: 1e5,
+        },
+      ],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => planRebalances(args), new Error(error), 'Got error');
+    } else {
+      deepEqual(planRebalances(args), expected, 'Got expected plan');
+    }
+
+    return end();
+  });
+});
@@ -0,0 +1,155 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const recordRebalance = require('./../../swaps/record_rebalance');
+
+const inPeer = Buffer.alloc(33, 3).toString('hex');
+const maxHistoryBytes = 1024 * 1024 * 10;
+const outPeer = Buffer.alloc(33, 2).toString('hex');
+
+const makeFs = ({calls, size}) => {
+  return {
+    appendFile: (path, contents, cbk) => {
+      calls.push(['append', contents]);
+
+      return cbk();
+    },
+    getFileStatus: (path, cbk) => cbk(null, {size}),
+    makeDirectory: (path, cbk) => cbk(),
+    renameFile: (from, to, cbk) => {
+      calls.push(['rename', to.slice(-8)]);
+
+      return cbk();
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    duration_ms: 1000,
+    fee: 1,
+    fs: makeFs({calls: [], size: 1}),
+    in_peer: inPeer,
+    out_peer: outPeer,
+    route: ['1x1x1', '2x2x2'],
+    target: 1e6,
+    tokens: 1e6,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({duration_ms: undefined}),
+    description: 'Expected attempt duration',
+    error: [400, 'ExpectedAttemptDurationToRecordRebalance'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Expected fs methods',
+    error: [400, 'ExpectedFileSystemMethodsToRecordRebalance'],
+  },
+  {
+    args: makeArgs({in_peer: undefined}),
+    description: 'Expected inbound peer',
+    error: [400, 'ExpectedInboundPeerToRecordRebalance'],
+  },
+  {
+    args: makeArgs({out_peer: undefined}),
+    description: 'Expected outbound peer',
+    error: [400, 'ExpectedOutboundPeerToRecordRebalance'],
+  },
+  {
+    args: makeArgs({target: undefined}),
+    description: 'Expected target tokens',
+    error: [400, 'ExpectedTargetTokensToRecordRebalance'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A successful rebalance is recorded',
+    expected: [{
+      duration_ms: 1000,
+      fee: 1,
+      in_peer: inPeer,
+      out_peer: outPeer,
+      route: ['1x1x1', '2x2x2'],
+      target: 1e6,
+      tokens: 1e6,
+    }],
+    size: 1,
+  },
+  {
+    args: makeArgs({
+      failure: 'FailedToFindPathBetweenPeers',
+      fee: undefined,
+      route: [],
+      tokens: undefined,
+    }),
+    description: 'A failed rebalance is added to the history',
+    expected: [{
+      duration_ms: 1000,
+      failure: 'FailedToFindPathBetweenPeers',
+      in_peer: inPeer,
+      out_peer: outPeer,
+      route: [],
+      target: 1e6,
+    }],
+    size: 1,
+  },
+  {
+    args: makeArgs({}),
+    description: 'A full history is rotated before appending',
+    expected: [{
+      duration_ms: 1000,
+      fee: 1,
+      in_peer: inPeer,
+      out_peer: outPeer,
+      route: ['1x1x1', '2x2x2'],
+      target: 1e6,
+      tokens: 1e6,
+    }],
+    rotated: ['rename', '.jsonl.1'],
+    size: maxHistoryBytes,
+  },
+];
+
+tests.forEach(({args, description, error, expected, rotated, size}) => {
+  return test(description, async () => {
+    const calls = [];
+
+    if (!!error) {
+      await rejects(recordRebalance(args), error, 'Got expected error');
+
+      return;
+    }
+
+    args.fs = makeFs({calls, size});
+
+    await recordRebalance(args);
+
+    const renames = calls.filter(([type]) => type === 'rename');
+
+    deepEqual(renames, !rotated ? [] : [rotated], 'Got expected rotation');
+
+    const rebalances = calls
+      .filter(([type]) => type === 'append')
+      .map(([, line]) => JSON.parse(line))
+      .map(rebalance => {
+        const details = {};
+
+        Object.keys(rebalance).filter(n => n !== 'at').forEach(key => {
+          details[key] = rebalance[key];
+        });
+
+        return details;
+      });
+
+    deepEqual(rebalances, expected, 'Got expected rebalance history');
+
+    return;
+  });
+});
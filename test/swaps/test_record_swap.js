@@ -0,0 +1,136 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const recordSwap = require('./../../swaps/record_swap');
+
+const id = Buffer.alloc(32).toString('hex');
+
+const existing = JSON.stringify({
+  address: 'address',
+  created_at: new Date(0).toISOString(),
+  id,
+  recovery: 'recovery',
+  state: 'created',
+  tokens: 1e6,
+  transitions: [{at: new Date(0).toISOString(), state: 'created'}],
+  type: 'out',
+});
+
+const makeArgs = overrides => {
+  const args = {
+    id,
+    fs: {
+      getFile: (path, cbk) => cbk(),
+      makeDirectory: (path, cbk) => cbk(),
+      writeFile: (path, file, cbk) => cbk(),
+    },
+    state: 'created',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Expected fs methods',
+    error: [400, 'ExpectedFileSystemMethodsToRecordSwap'],
+  },
+  {
+    args: makeArgs({id: 'id'}),
+    description: 'Expected swap hash',
+    error: [400, 'ExpectedSwapHashToRecordSwap'],
+  },
+  {
+    args: makeArgs({state: undefined}),
+    description: 'Expected swap state',
+    error: [400, 'ExpectedSwapStateToRecordSwap'],
+  },
+  {
+    args: makeArgs({type: 'type'}),
+    description: 'Expected known swap type',
+    error: [400, 'ExpectedKnownSwapTypeToRecordSwap'],
+  },
+  {
+    args: makeArgs({tokens: 1e6, type: 'in'}),
+    description: 'A new swap is recorded',
+    expected: {
+      details: {id, state: 'created', tokens: 1e6, type: 'in'},
+      states: ['created'],
+    },
+  },
+  {
+    args: makeArgs({fees: {total: 1}, state: 'completed', transaction_id: id}),
+    description: 'A swap record is updated',
+    existing,
+    expected: {
+      details: {
+        id,
+        address: 'address',
+        fees: {total: 1},
+        recovery: 'recovery',
+        state: 'completed',
+        tokens: 1e6,
+        transaction_id: id,
+        type: 'out',
+      },
+      states: ['created', 'completed'],
+    },
+  },
+  {
+    args: makeArgs({state: 'created'}),
+    description: 'A repeated state is not added to transitions',
+    existing,
+    expected: {
+      details: {
+        id,
+        address: 'address',
+        recovery: 'recovery',
+        state: 'created',
+        tokens: 1e6,
+        type: 'out',
+      },
+      states: ['created'],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, existing, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(recordSwap(args), error, 'Got expected error');
+
+      return;
+    }
+
+    let written;
+
+    args.fs.getFile = (path, cbk) => cbk(null, existing);
+
+    args.fs.writeFile = (path, file, cbk) => {
+      written = JSON.parse(file);
+
+      return cbk();
+    };
+
+    await recordSwap(args);
+
+    const details = {};
+
+    Object.keys(written).forEach(key => {
+      if (key === 'created_at' || key === 'transitions') {
+        return;
+      }
+
+      details[key] = written[key];
+    });
+
+    deepEqual(details, expected.details, 'Got expected swap details');
+    deepEqual(written.transitions.map(n => n.state), expected.states, 'Got');
+
+    return;
+  });
+});
@@ -0,0 +1,262 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {networks} = require('bitcoinjs-lib');
+const {payments} = require('bitcoinjs-lib');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+const {Transaction} = require('bitcoinjs-lib');
+
+const {getInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../swaps/resume_swap');
+
+const fileName = path => path.split('/').pop();
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+const id = Buffer.alloc(32).toString('hex');
+const {parse} = JSON;
+const {stringify} = JSON;
+
+const {address, output} = payments.p2wsh({
+  network: networks.regtest,
+  redeem: {output: Buffer.from('51', 'hex')},
+});
+
+const makeDeposit = ({tokens}) => {
+  const tx = new Transaction();
+
+  tx.addInput(Buffer.alloc(32), 0);
+  tx.addOutput(output, tokens);
+
+  return tx.toBuffer();
+};
+
+const makeFs = ({files}) => {
+  return {
+    getDirectoryFiles: (path, cbk) => cbk(null, Object.keys(files)),
+    getFile: (path, cbk) => {
+      if (!files[fileName(path)]) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(files[fileName(path)]));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[fileName(path)] = contents;
+
+      return cbk();
+    },
+  };
+};
+
+const makeInvoice = ({settled}) => {
+  return {
+    add_index: '1',
+    amt_paid_msat: !!settled ? '990000000' : '0',
+    amt_paid_sat: !!settled ? '990000' : '0',
+    cltv_expiry: '1',
+    creation_date: '1',
+    description_hash: Buffer.alloc(0),
+    expiry: '1',
+    fallback_addr: '',
+    features: {},
+    htlcs: [],
+    is_keysend: true,
+    memo: '',
+    payment_addr: Buffer.alloc(0),
+    payment_request: '',
+    private: false,
+    r_hash: Buffer.from(id, 'hex'),
+    r_preimage: Buffer.alloc(32),
+    route_hints: [],
+    settle_date: !!settled ? '1' : '0',
+    settle_index: !!settled ? '1' : '0',
+    settled: !!settled,
+    state: !!settled ? 'SETTLED' : 'OPEN',
+    value: '990000',
+    value_msat: '990000000',
+  };
+};
+
+const makeLnd = ({deposit, settled}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+      registerConfirmationsNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        // Chain data either has the deposit or the deposit is not found
+        if (!deposit) {
+          process.nextTick(() => emitter.emit('error', 'err'));
+        } else {
+          process.nextTick(() => emitter.emit('data', {
+            conf: {
+              block_hash: Buffer.alloc(32),
+              block_height: 100,
+              raw_tx: deposit,
+            },
+          }));
+        }
+
+        return emitter;
+      },
+    },
+    default: {
+      getInfo: ({}, cbk) => cbk(null, getInfoRes()),
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      lookupInvoice: ({}, cbk) => cbk(null, makeInvoice({settled})),
+    },
+  };
+};
+
+const makeRecord = overrides => {
+  const record = {
+    address,
+    id,
+    network: 'btcregtest',
+    recovery: 'recovery',
+    start_height: 100,
+    state: 'created',
+    timeout: 200,
+    tokens: 1e6,
+    transitions: [{at: new Date(0).toISOString(), state: 'created'}],
+    type: 'out',
+  };
+
+  Object.keys(overrides).forEach(k => record[k] = overrides[k]);
+
+  return record;
+};
+
+// The swap service must not be used when waiting on a swap
+const unexpectedRequest = () => {
+  throw new Error('UnexpectedRequestToSwapService');
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fetch: unexpectedRequest,
+    fs: makeFs({files: {}}),
+    height: 150,
+    lnd: makeLnd({}),
+    logger: {error: () => {}, info: () => {}},
+    record: makeRecord({}),
+    request: unexpectedRequest,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fetch: undefined}),
+    description: 'A fetch function is required',
+    error: [400, 'ExpectedFetchFunctionToResumeSwap'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToResumeSwap'],
+  },
+  {
+    args: makeArgs({height: undefined}),
+    description: 'The current height is required',
+    error: [400, 'ExpectedCurrentBlockHeightToResumeSwap'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToResumeSwap'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToResumeSwap'],
+  },
+  {
+    args: makeArgs({record: makeRecord({recovery: undefined})}),
+    description: 'A swap recovery is required',
+    error: [400, 'ExpectedRecordedSwapDetailsToResumeSwap'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToResumeSwap'],
+  },
+  {
+    args: makeArgs({
+      lnd: makeLnd({settled: true}),
+      record: makeRecord({type: 'in'}),
+    }),
+    description: 'A paid swap in is completed',
+    expected: {fees: {service: 1e4, total: 1e4}, state: 'completed'},
+  },
+  {
+    args: makeArgs({height: 200}),
+    description: 'A swap without a deposit after the timeout expires',
+    expected: {fees: undefined, state: 'expired'},
+  },
+  {
+    args: makeArgs({}),
+    description: 'A swap without a deposit before the timeout is skipped',
+    expected: {fees: undefined, state: 'created'},
+  },
+  {
+    args: makeArgs({
+      lnd: makeLnd({deposit: makeDeposit({tokens: 1e6})}),
+      record: makeRecord({type: 'in'}),
+    }),
+    description: 'A swap in deposit is not refunded before the timeout',
+    expected: {fees: undefined, state: 'created'},
+  },
+  {
+    args: makeArgs({
+      height: 200,
+      lnd: makeLnd({deposit: makeDeposit({tokens: 1e6})}),
+      record: makeRecord({type: 'in'}),
+    }),
+    description: 'A swap in deposit is refunded using the recovery',
+    error: [400, 'FailedToDecodeSwapRecovery'],
+  },
+  {
+    args: makeArgs({lnd: makeLnd({deposit: makeDeposit({tokens: 1e6})})}),
+    description: 'A swap out deposit is claimed using the recovery',
+    error: [400, 'ExpectedValidSwapRecoveryToDecode'],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const files = {[`${id}.json`]: stringify(args.record)};
+
+    if (!!args.fs) {
+      args.fs = makeFs({files});
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const {state} = await method(args);
+
+    const {fees} = parse(files[`${id}.json`]);
+
+    deepEqual({fees, state}, expected, 'Got expected swap state');
+
+    return;
+  });
+});
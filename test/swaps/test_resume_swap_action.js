@@ -0,0 +1,78 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const resumeSwapAction = require('./../../swaps/resume_swap_action');
+
+const deposit = {output_tokens: 1e6, transaction_id: '00', transaction_vout: 0};
+
+const makeArgs = overrides => {
+  const args = {
+    height: 100,
+    record: {timeout: 200, type: 'out'},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({deposit}),
+    description: 'A swap out deposit is claimed',
+    expected: {action: 'claim'},
+  },
+  {
+    args: makeArgs({deposit, height: 200}),
+    description: 'A swap out deposit is claimed after the timeout',
+    expected: {action: 'claim'},
+  },
+  {
+    args: makeArgs({deposit, record: {timeout: 200, type: 'in'}}),
+    description: 'A swap in deposit waits for the refund timeout',
+    expected: {action: 'wait'},
+  },
+  {
+    args: makeArgs({deposit, height: 200, record: {timeout: 200, type: 'in'}}),
+    description: 'A swap in deposit is refunded after the refund timeout',
+    expected: {action: 'refund'},
+  },
+  {
+    args: makeArgs({
+      deposit,
+      height: 200,
+      invoice: {is_confirmed: true},
+      record: {timeout: 200, type: 'in'},
+    }),
+    description: 'A paid swap in is completed',
+    expected: {action: 'complete'},
+  },
+  {
+    args: makeArgs({
+      invoice: {is_confirmed: false},
+      record: {timeout: 200, type: 'in'},
+    }),
+    description: 'A swap in without a deposit waits for a deposit',
+    expected: {action: 'wait'},
+  },
+  {
+    args: makeArgs({}),
+    description: 'A swap out without a deposit waits for a deposit',
+    expected: {action: 'wait'},
+  },
+  {
+    args: makeArgs({height: 200}),
+    description: 'A swap without a deposit expires after the timeout',
+    expected: {action: 'expire'},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    const res = resumeSwapAction(args);
+
+    deepEqual(res, expected, 'Got expected action');
+
+    return end();
+  });
+});
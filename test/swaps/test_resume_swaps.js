@@ -0,0 +1,278 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {networks} = require('bitcoinjs-lib');
+const {payments} = require('bitcoinjs-lib');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+const {Transaction} = require('bitcoinjs-lib');
+
+const {getInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../swaps/resume_swaps');
+
+const fileName = path => path.split('/').pop();
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+const makeId = n => Buffer.alloc(32, n).toString('hex');
+const {stringify} = JSON;
+
+const {address, output} = payments.p2wsh({
+  network: networks.bitcoin,
+  redeem: {output: Buffer.from('51', 'hex')},
+});
+
+const makeDeposit = ({tokens}) => {
+  const tx = new Transaction();
+
+  tx.addInput(Buffer.alloc(32), 0);
+  tx.addOutput(output, tokens);
+
+  return tx.toBuffer();
+};
+
+const makeFs = ({records}) => {
+  const files = {};
+
+  records.forEach(record => files[`${record.id}.json`] = stringify(record));
+
+  return {
+    getDirectoryFiles: (path, cbk) => cbk(null, Object.keys(files)),
+    getFile: (path, cbk) => {
+      if (!files[fileName(path)]) {
+        return cbk({code: 'ENOENT'});
+      }
+
+      return cbk(null, Buffer.from(files[fileName(path)]));
+    },
+    makeDirectory: (path, cbk) => cbk(),
+    writeFile: (path, contents, cbk) => {
+      files[fileName(path)] = contents;
+
+      return cbk();
+    },
+  };
+};
+
+const makeInvoice = ({id}) => {
+  return {
+    add_index: '1',
+    amt_paid_msat: '0',
+    amt_paid_sat: '0',
+    cltv_expiry: '1',
+    creation_date: '1',
+    description_hash: Buffer.alloc(0),
+    expiry: '1',
+    fallback_addr: '',
+    features: {},
+    htlcs: [],
+    is_keysend: true,
+    memo: '',
+    payment_addr: Buffer.alloc(0),
+    payment_request: '',
+    private: false,
+    r_hash: id,
+    r_preimage: Buffer.alloc(32),
+    route_hints: [],
+    settle_date: '0',
+    settle_index: '0',
+    settled: false,
+    state: 'OPEN',
+    value: '990000',
+    value_msat: '990000000',
+  };
+};
+
+const makeLnd = ({deposit}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+      registerConfirmationsNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        // Chain data either has the deposit or the deposit is not found
+        if (!deposit) {
+          process.nextTick(() => emitter.emit('error', 'err'));
+        } else {
+          process.nextTick(() => emitter.emit('data', {
+            conf: {
+              block_hash: Buffer.alloc(32),
+              block_height: 1,
+              raw_tx: deposit,
+            },
+          }));
+        }
+
+        return emitter;
+      },
+    },
+    default: {
+      getInfo: ({}, cbk) => cbk(null, getInfoRes()),
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      lookupInvoice: ({r_hash}, cbk) => cbk(null, makeInvoice({id: r_hash})),
+    },
+  };
+};
+
+const makeRecord = overrides => {
+  const record = {
+    address,
+    created_at: new Date(0).toISOString(),
+    id: makeId(0),
+    network: 'btc',
+    recovery: 'recovery',
+    start_height: 1,
+    state: 'created',
+    timeout: 200,
+    tokens: 1e6,
+    transitions: [{at: new Date(0).toISOString(), state: 'created'}],
+    type: 'out',
+  };
+
+  Object.keys(overrides).forEach(k => record[k] = overrides[k]);
+
+  return record;
+};
+
+// The swap service must not be used when resuming from recorded swaps
+const unexpectedRequest = () => {
+  throw new Error('UnexpectedRequestToSwapService');
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fetch: unexpectedRequest,
+    fs: makeFs({records: []}),
+    lnd: makeLnd({}),
+    logger: {error: () => {}, info: () => {}},
+    request: unexpectedRequest,
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fetch: undefined}),
+    description: 'A fetch function is required',
+    error: [400, 'ExpectedFetchFunctionToResumeSwaps'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFileSystemMethodsToResumeSwaps'],
+  },
+  {
+    args: makeArgs({lnd: undefined}),
+    description: 'LND is required',
+    error: [400, 'ExpectedAuthenticatedLndToResumeSwaps'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedLoggerToResumeSwaps'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToResumeSwaps'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Nothing is resumed without recorded swaps',
+    expected: [],
+  },
+  {
+    args: makeArgs({
+      fs: makeFs({
+        records: [
+          makeRecord({id: makeId(1), state: 'completed'}),
+          makeRecord({id: makeId(2), network: 'btctestnet'}),
+          makeRecord({id: makeId(3), node: 'other'}),
+          makeRecord({id: makeId(4), recovery: undefined}),
+          makeRecord({id: makeId(5)}),
+        ],
+      }),
+    }),
+    description: 'Only unfinished swaps of the node are resumed',
+    expected: [{id: makeId(5), state: 'created', type: 'out'}],
+  },
+  {
+    args: makeArgs({
+      fs: makeFs({
+        records: [
+          makeRecord({id: makeId(1), timeout: 1}),
+          makeRecord({id: makeId(2), type: 'in'}),
+        ],
+      }),
+    }),
+    description: 'Swaps without a deposit are expired or left for later',
+    expected: [
+      {id: makeId(1), state: 'expired', type: 'out'},
+      {id: makeId(2), state: 'created', type: 'in'},
+    ],
+  },
+  {
+    args: makeArgs({
+      fs: makeFs({
+        records: [
+          makeRecord({id: makeId(1)}),
+          makeRecord({id: makeId(2), type: 'in'}),
+        ],
+      }),
+      lnd: makeLnd({deposit: makeDeposit({tokens: 1e6})}),
+    }),
+    description: 'A failure to claim a swap does not stop other swaps',
+    expected: [
+      {
+        error: 'ExpectedValidSwapRecoveryToDecode',
+        id: makeId(1),
+        state: 'created',
+        type: 'out',
+      },
+      {id: makeId(2), state: 'created', type: 'in'},
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+
+      return;
+    }
+
+    const {swaps} = await method(args);
+
+    const got = swaps.map(swap => ({
+      error: !!swap.error ? swap.error[1] : undefined,
+      id: swap.id,
+      state: swap.state,
+      type: swap.type,
+    }));
+
+    deepEqual(
+      got,
+      expected.map(n => ({
+        error: n.error,
+        id: n.id,
+        state: n.state,
+        type: n.type,
+      })),
+      'Got expected swaps'
+    );
+
+    return;
+  });
+});
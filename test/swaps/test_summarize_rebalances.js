@@ -0,0 +1,100 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const summarizeRebalances = require('./../../swaps/summarize_rebalances');
+
+const inPeer = Buffer.alloc(33, 3).toString('hex');
+const outPeer = Buffer.alloc(33, 2).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      {id: '1x1x1', partner_public_key: outPeer},
+      {id: '2x2x2', partner_public_key: inPeer},
+    ],
+    forwards: [
+      {
+        created_at: new Date(0).toISOString(),
+        fee: 100,
+        outgoing_channel: '2x2x2',
+      },
+      {
+        created_at: new Date(2000).toISOString(),
+        fee: 10,
+        outgoing_channel: '2x2x2',
+      },
+      {
+        created_at: new Date(2000).toISOString(),
+        fee: 5,
+        outgoing_channel: '1x1x1',
+      },
+    ],
+    rebalances: [
+      {
+        at: new Date(500).toISOString(),
+        failure: 'FailedToFindPathBetweenPeers',
+        in_peer: inPeer,
+        out_peer: outPeer,
+      },
+      {
+        at: new Date(1000).toISOString(),
+        fee: 5,
+        in_peer: inPeer,
+        out_peer: outPeer,
+        tokens: 1e6,
+      },
+    ],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({rebalances: []}),
+    description: 'No rebalances are summarized',
+    expected: {peers: []},
+  },
+  {
+    args: makeArgs({}),
+    description: 'Rebalances are summarized with fees earned after them',
+    expected: {
+      peers: [{
+        attempts: 2,
+        earned: 10,
+        fee_rate: 5,
+        fees: 5,
+        public_key: inPeer,
+        rebalanced: 1e6,
+        successes: 1,
+      }],
+    },
+  },
+  {
+    args: makeArgs({rebalances: makeArgs({}).rebalances.slice(0, 1)}),
+    description: 'No fees are earned without a successful rebalance',
+    expected: {
+      peers: [{
+        attempts: 1,
+        earned: 0,
+        fee_rate: undefined,
+        fees: 0,
+        public_key: inPeer,
+        rebalanced: 0,
+        successes: 0,
+      }],
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    const res = summarizeRebalances(args);
+
+    deepEqual(res, expected, 'Got expected summary');
+
+    return end();
+  });
+});
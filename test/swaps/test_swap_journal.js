@@ -0,0 +1,108 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const swapJournal = require('./../../swaps/swap_journal');
+
+const id = Buffer.alloc(32).toString('hex');
+const header = [
+  'Swap',
+  'Type',
+  'Provider',
+  'Amount',
+  'Fees',
+  'State',
+  'Updated',
+];
+
+const makeRecord = ({at, fees}) => ({
+  fees,
+  id,
+  created_at: at,
+  provider: 'loop',
+  state: 'completed',
+  tokens: 1e6,
+  transitions: [{at, state: 'completed'}],
+  type: 'out',
+});
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {
+      getDirectoryFiles: (path, cbk) => cbk(null, [`${id}.json`, 'other']),
+      getFile: (path, cbk) => {
+        const at = new Date().toISOString();
+
+        return cbk(null, JSON.stringify(makeRecord({at, fees: {total: 1}})));
+      },
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Expected fs methods',
+    error: [400, 'ExpectedFileSystemMethodsToListSwapJournal'],
+  },
+  {
+    args: makeArgs({id: Buffer.alloc(32, 1).toString('hex')}),
+    description: 'A specified swap must be recorded',
+    error: [404, 'FailedToFindRecordedSwap'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getDirectoryFiles: (path, cbk) => cbk('err'),
+        getFile: (path, cbk) => cbk('err'),
+      },
+    }),
+    description: 'No recorded swaps are listed',
+    expected: {rows: [header]},
+  },
+  {
+    args: makeArgs({}),
+    description: 'Recorded swaps are listed',
+    expected: {
+      rows: [
+        header,
+        [
+          id,
+          'out',
+          'loop',
+          '0.01000000',
+          '0.00000001',
+          'completed',
+          'a few seconds ago',
+        ],
+      ],
+    },
+  },
+  {
+    args: makeArgs({id}),
+    description: 'A recorded swap is returned',
+    expected: {swap: {fees: {total: 1}, id, state: 'completed'}},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(swapJournal(args), error, 'Got expected error');
+    } else if (!!expected.swap) {
+      const {swap} = await swapJournal(args);
+
+      deepEqual(swap.fees, expected.swap.fees, 'Got expected swap fees');
+      deepEqual(swap.id, expected.swap.id, 'Got expected swap id');
+      deepEqual(swap.state, expected.swap.state, 'Got expected swap state');
+    } else {
+      deepEqual(await swapJournal(args), expected, 'Got expected rows');
+    }
+
+    return;
+  });
+});
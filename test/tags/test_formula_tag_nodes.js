@@ -0,0 +1,147 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../tags/formula_tag_nodes');
+
+const id = Buffer.alloc(32).toString('hex');
+const key1 = Buffer.alloc(33, 2).toString('hex');
+const key2 = Buffer.alloc(33, 3).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    channels: [
+      {
+        capacity: 1e6,
+        id: '600000x1x0',
+        local_balance: 9e5,
+        partner_public_key: key1,
+        past_states: 1e3,
+        remote_balance: 1e5,
+      },
+      {
+        capacity: 1e6,
+        id: '600100x1x0',
+        local_balance: 1e5,
+        partner_public_key: key2,
+        past_states: 1e3,
+        remote_balance: 9e5,
+      },
+    ],
+    closed: [],
+    forwards: [{
+      fee_mtokens: '2000000',
+      incoming_channel: '600100x1x0',
+      outgoing_channel: '600200x1x0',
+    }],
+    height: 600144,
+    pending: [],
+    policies: [
+      {fee_rate: 10, public_key: key1},
+      {fee_rate: 5000, public_key: key2},
+    ],
+    tags: [
+      {alias: 'formula', formula: 'outbound_liquidity > inbound_liquidity', id},
+      {alias: 'static', id, nodes: [key2]},
+    ],
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Formula tag nodes are filled in',
+    expected: {
+      tags: [
+        {
+          alias: 'formula',
+          formula: 'outbound_liquidity > inbound_liquidity',
+          icon: undefined,
+          id,
+          is_avoided: undefined,
+          nodes: [key1],
+        },
+        {alias: 'static', id, nodes: [key2]},
+      ],
+    },
+  },
+  {
+    args: makeArgs({
+      tags: [{
+        alias: 'formula',
+        formula: 'AND(age < 100, fee_earnings >= 2, inbound_fee_rate > 100)',
+        id,
+        is_avoided: true,
+        nodes: [key1],
+      }],
+    }),
+    description: 'Formula tag nodes are added to static nodes',
+    expected: {
+      tags: [{
+        alias: 'formula',
+        formula: 'AND(age < 100, fee_earnings >= 2, inbound_fee_rate > 100)',
+        icon: undefined,
+        id,
+        is_avoided: true,
+        nodes: [key1, key2],
+      }],
+    },
+  },
+  {
+    args: makeArgs({
+      closed: [{id: '500000x1x0', partner_public_key: key1}, {id: undefined}],
+      pending: [
+        {
+          is_opening: true,
+          local_balance: Number(),
+          partner_public_key: key2,
+          remote_balance: 1e6,
+        },
+        {
+          is_opening: false,
+          local_balance: Number(),
+          partner_public_key: key1,
+          remote_balance: 1e6,
+        },
+      ],
+      tags: [{
+        alias: 'formula',
+        formula: 'OR(age > 100000, inbound_liquidity > 1000000)',
+        id,
+      }],
+    }),
+    description: 'Closed channel ages and pending channel liquidity count',
+    expected: {
+      tags: [{
+        alias: 'formula',
+        formula: 'OR(age > 100000, inbound_liquidity > 1000000)',
+        icon: undefined,
+        id,
+        is_avoided: undefined,
+        nodes: [key1, key2],
+      }],
+    },
+  },
+  {
+    args: makeArgs({tags: [{alias: 'formula', formula: 'unknown > 1', id}]}),
+    description: 'A formula that cannot be evaluated returns a failure',
+    expected: {
+      failure: {
+        error: 'UnrecognizedVariableOrFunctionInFormula',
+        formula: 'unknown > 1',
+        tag: 'formula',
+      },
+    },
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
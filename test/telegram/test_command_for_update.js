@@ -0,0 +1,40 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const commandForUpdate = require('./../../telegram/command_for_update');
+
+const tests = [
+  {
+    args: {ctx: {callbackQuery: {}}},
+    description: 'A button push is an action',
+    expected: {command: 'actions'},
+  },
+  {
+    args: {ctx: {}},
+    description: 'An update without a message has no command',
+    expected: {},
+  },
+  {
+    args: {ctx: {message: {text: '/Invoice@bot 100 memo'}}},
+    description: 'A command is mapped to its name',
+    expected: {command: 'invoice'},
+  },
+  {
+    args: {ctx: {message: {reply_to_message: {from: {is_bot: true}}}}},
+    description: 'A reply to a bot message is an action',
+    expected: {command: 'actions'},
+  },
+  {
+    args: {ctx: {message: {reply_to_message: {from: {}}, text: 'hi'}}},
+    description: 'A reply to a person has no command',
+    expected: {},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(commandForUpdate(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
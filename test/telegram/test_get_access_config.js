@@ -0,0 +1,138 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../telegram/get_access_config');
+
+const fileWith = json => (path, cbk) => cbk(null, Buffer.from(json));
+
+const makeArgs = overrides => {
+  const config = {
+    groups: [{id: -100, role: 'viewer'}],
+    roles: {operator: ['*'], viewer: ['balance', 'pending']},
+    users: [{id: 1, role: 'operator'}],
+  };
+
+  const args = {
+    fs: {getFile: fileWith(JSON.stringify(config))},
+    path: 'path',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Filesystem methods are expected',
+    error: [400, 'ExpectedFileSystemMethodsToGetAccessConfig'],
+  },
+  {
+    args: makeArgs({fs: {getFile: (path, cbk) => cbk('err')}}),
+    description: 'A specified config file is expected to exist',
+    error: [400, 'FailedToFindTelegramAccessConfigFile', {err: 'err'}],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: (path, cbk) => cbk({code: 'ENOENT'})},
+      path: null,
+    }),
+    description: 'No default config file means no access config',
+    expected: {},
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: (path, cbk) => cbk({code: 'EACCES'})},
+      path: null,
+    }),
+    description: 'A default config file that cannot be read is an error',
+    error: [
+      400,
+      'FailedToFindTelegramAccessConfigFile',
+      {err: {code: 'EACCES'}},
+    ],
+  },
+  {
+    args: makeArgs({fs: {getFile: fileWith('{')}}),
+    description: 'Valid JSON is expected',
+    error: [400, 'ExpectedValidJsonTelegramAccessConfig'],
+  },
+  {
+    args: makeArgs({fs: {getFile: fileWith('{"roles": {}}')}}),
+    description: 'Roles are expected',
+    error: [400, 'ExpectedRolesInTelegramAccessConfig'],
+  },
+  {
+    args: makeArgs({fs: {getFile: fileWith('{"roles": {"a": ["nope"]}}')}}),
+    description: 'Known commands are expected',
+    error: [400, 'UnknownCommandInAccessRole'],
+  },
+  {
+    args: makeArgs({fs: {getFile: fileWith('{"roles": {"a": ["help"]}}')}}),
+    description: 'Users or groups are expected',
+    error: [400, 'ExpectedUsersOrGroupsInTelegramAccessConfig'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: fileWith(JSON.stringify({
+          roles: {a: ['help']},
+          users: [{id: 'id', role: 'a'}],
+        })),
+      },
+    }),
+    description: 'Numeric ids are expected',
+    error: [400, 'ExpectedNumericIdsForAccessConfigUsersAndGroups'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: fileWith(JSON.stringify({
+          roles: {a: ['help']},
+          users: [{id: 1, role: 'b'}],
+        })),
+      },
+    }),
+    description: 'Known roles are expected',
+    error: [400, 'ExpectedKnownRoleForAccessMember'],
+  },
+  {
+    args: makeArgs({fs: {getFile: fileWith('{"allowed_user": "1"}')}}),
+    description: 'Legacy allowed user config is mapped',
+    expected: {
+      access: {
+        groups: [],
+        roles: [{commands: ['*'], name: 'admin'}],
+        users: [{id: 1, role: 'admin'}],
+      },
+    },
+  },
+  {
+    args: makeArgs({}),
+    description: 'Access config is returned',
+    expected: {
+      access: {
+        groups: [{id: -100, role: 'viewer'}],
+        roles: [
+          {commands: ['*'], name: 'operator'},
+          {commands: ['balance', 'pending'], name: 'viewer'},
+        ],
+        users: [{id: 1, role: 'operator'}],
+      },
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+    } else {
+      deepEqual(await method(args), expected, 'Got expected access config');
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,125 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {chanInfoResponse} = require('./../fixtures');
+const {getInfoResponse} = require('./../fixtures');
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_channels_command');
+const {pendingChannelsResponse} = require('./../fixtures');
+const {versionInfoResponse} = require('./../fixtures');
+
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+
+const getNodeInfoRes = () => {
+  const res = JSON.parse(JSON.stringify(getNodeInfoResponse));
+
+  res.channels = [];
+
+  return res;
+};
+
+const makeLnd = ({channels, err}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+    },
+    default: {
+      closedChannels: ({}, cbk) => cbk(null, {channels: []}),
+      getChanInfo: ({}, cbk) => cbk(null, chanInfoResponse),
+      getInfo: ({}, cbk) => cbk(null, getInfoRes()),
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoRes()),
+      listChannels: ({}, cbk) => cbk(err, channels || listChannelsResponse),
+      listPeers: ({}, cbk) => cbk(null, {peers: []}),
+      pendingChannels: ({}, cbk) => cbk(null, pendingChannelsResponse),
+    },
+    version: {
+      getVersion: ({}, cbk) => cbk(null, versionInfoResponse),
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {getFile: ({}, cbk) => cbk()},
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFsMethodsToHandleChannelsCommand'],
+  },
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleChannelsCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleChannelsCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleChannelsCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get channels is returned without a reply',
+    error: [503, 'UnexpectedGetChannelsError', {err: 'err'}],
+  },
+  {
+    args: makeArgs({
+      nodes: [{from: 'node', lnd: makeLnd({channels: {channels: []}})}],
+    }),
+    description: 'A node without channels is replied',
+    expected: ['<b>node</b> (out | in)'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Channel balances are replied by peer',
+    expected: [
+      '<b>node</b> (out | in)\n💤 alias: 0.00000002 | 0.00000002 0.00% (1)',
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,95 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_disk_command');
+
+const makeFs = ({err}) => {
+  return {
+    getFileSystemStatus: (path, cbk) => {
+      return cbk(err, {bavail: 250, blocks: 1000, bsize: 4e6});
+    },
+  };
+};
+
+const makeLnd = ({}) => {
+  return {
+    default: {
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: makeFs({}),
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: {}}),
+    description: 'A file system status method is required',
+    error: [400, 'ExpectedFileSystemStatusMethodForDiskCommand'],
+  },
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleDiskCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleDiskCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleDiskCommand'],
+  },
+  {
+    args: makeArgs({fs: makeFs({err: 'err'})}),
+    description: 'A failure to get the disk status is returned without a reply',
+    error: [503, 'FailedToGetFileSystemStatus', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Disk space and channel state sizes are replied',
+    expected: ['Free: 1.0 GB of 4.0 GB (25%)\nnode: ~0 MB channel state'],
+  },
+  {
+    args: makeArgs({nodes: [{from: '<node>', lnd: makeLnd({})}]}),
+    description: 'Node names are escaped',
+    expected: [
+      'Free: 1.0 GB of 4.0 GB (25%)\n&lt;node&gt;: ~0 MB channel state',
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
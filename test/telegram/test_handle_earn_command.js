@@ -0,0 +1,115 @@
+const {deepEqual} = require('node:assert').strict;
+const moment = require('moment');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../telegram/handle_earn_command');
+
+const now = () => Math.floor(Date.now() / 1e3);
+
+const dayLines = ({today}) => {
+  return [...Array(7).keys()].map(n => {
+    const day = moment().subtract(n, 'days').format('ddd MMM D');
+
+    return !n ? `${day}: ${today}` : `${day}: 0 earned from 0 forwards (0)`;
+  });
+};
+
+const makeLnd = ({err, forwards}) => {
+  return {
+    default: {
+      forwardingHistory: (args, cbk) => {
+        // Forwards are on the first page
+        return cbk(err, {
+          forwarding_events: !args.index_offset ? forwards || [] : [],
+          last_offset_index: '1',
+        });
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleEarnCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleEarnCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleEarnCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get forwards is returned without a reply',
+    error: [503, 'GetForwardingHistoryError'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{
+        from: 'node',
+        lnd: makeLnd({
+          forwards: [{
+            amt_in: '100001',
+            amt_in_msat: '100001000',
+            amt_out: '100000',
+            amt_out_msat: '100000000',
+            chan_id_in: '1',
+            chan_id_out: '2',
+            fee: '1',
+            fee_msat: '1000',
+            timestamp: String(now()),
+            timestamp_ns: String(now() * 1e9),
+          }],
+        }),
+      }],
+    }),
+    description: 'Daily earnings over the past week are replied',
+    expected: [
+      ['<b>node</b>']
+        .concat(dayLines({
+          today: '0.00000001 earned from 1 forwards (0.00100000)',
+        }))
+        .concat('Total: 0.00000001 earned from 1 forwards')
+        .join('\n'),
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
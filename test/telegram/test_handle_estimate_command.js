@@ -0,0 +1,98 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_estimate_command');
+
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+
+const makeLnd = ({err}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+    },
+    default: {getInfo: ({}, cbk) => cbk(null, getInfoRes())},
+    wallet: {
+      estimateFee: (args, cbk) => {
+        if (!!err) {
+          return cbk(err);
+        }
+
+        return cbk(null, {
+          min_relay_fee_sat_per_kw: '250',
+          sat_per_kw: args.conf_target < 6 ? '2500' : '250',
+        });
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: []}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedNodesToHandleEstimateCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleEstimateCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleEstimateCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get chain fees is returned without a reply',
+    error: [503, 'UnexpectedErrorGettingFeeFromLnd', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Chain fee estimates are replied',
+    expected: ['2 blocks: 10 sat/vB\n6 blocks: 1 sat/vB\nMin relay: 1 sat/vB'],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,146 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_forwards_command');
+const {pendingChannelsResponse} = require('./../fixtures');
+
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+const now = () => Math.floor(Date.now() / 1e3);
+
+const getNodeInfoRes = () => {
+  const res = JSON.parse(JSON.stringify(getNodeInfoResponse));
+
+  res.channels = [];
+
+  return res;
+};
+
+const makeLnd = ({err, forwards}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+    },
+    default: {
+      closedChannels: ({}, cbk) => cbk(null, {channels: []}),
+      forwardingHistory: (args, cbk) => {
+        // Forwards are on the first page
+        return cbk(err, {
+          forwarding_events: !args.index_offset ? forwards || [] : [],
+          last_offset_index: '1',
+        });
+      },
+      getInfo: ({}, cbk) => cbk(null, getInfoRes()),
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoRes()),
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      pendingChannels: ({}, cbk) => cbk(null, pendingChannelsResponse),
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {getFile: ({}, cbk) => cbk()},
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'File system methods are required',
+    error: [400, 'ExpectedFsMethodsToHandleForwardsCommand'],
+  },
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleForwardsCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleForwardsCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleForwardsCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get forwards is returned without a reply',
+    error: [503, 'GetForwardingHistoryError'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A node without forwards is replied',
+    expected: ['<b>node</b> (earned in | out)\nNo forwards\nTotal: 0'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{
+        from: 'node',
+        lnd: makeLnd({
+          forwards: [{
+            amt_in: '100001',
+            amt_in_msat: '100001000',
+            amt_out: '100000',
+            amt_out_msat: '100000000',
+            chan_id_in: '1',
+            chan_id_out: '1',
+            fee: '1',
+            fee_msat: '1000',
+            timestamp: String(now()),
+            timestamp_ns: String(now() * 1e9),
+          }],
+        }),
+      }],
+    }),
+    description: 'Fees earned by peer are replied',
+    expected: [
+      [
+        '<b>node</b> (earned in | out)',
+        'alias: 0.00000001 in | 0.00000001 out',
+        'Total: 0.00000001',
+      ].join('\n'),
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,147 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getInfoResponse} = require('./../fixtures');
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_htlcs_command');
+
+const getInfoRes = () => JSON.parse(JSON.stringify(getInfoResponse));
+
+const getNodeInfoRes = () => {
+  const res = JSON.parse(JSON.stringify(getNodeInfoResponse));
+
+  res.channels = [];
+
+  return res;
+};
+
+const listChannelsRes = ({htlcs}) => {
+  const res = JSON.parse(JSON.stringify(listChannelsResponse));
+
+  res.channels.forEach(channel => channel.pending_htlcs = htlcs);
+
+  return res;
+};
+
+const makeLnd = ({err, htlcs}) => {
+  return {
+    chain: {
+      registerBlockEpochNtfn: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('error', 'err'));
+
+        return emitter;
+      },
+    },
+    default: {
+      getInfo: ({}, cbk) => cbk(null, getInfoRes()),
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoRes()),
+      listChannels: ({}, cbk) => {
+        return cbk(err, listChannelsRes({htlcs: htlcs || []}));
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleHtlcsCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleHtlcsCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleHtlcsCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get channels is returned without a reply',
+    error: [503, 'UnexpectedGetChannelsError', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'No pending HTLCs are replied',
+    expected: ['<b>node</b>\nNo pending HTLCs'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{
+        from: 'node',
+        lnd: makeLnd({
+          htlcs: [
+            {
+              amount: '100000',
+              expiration_height: 145,
+              forwarding_channel: '1',
+              forwarding_htlc_index: '1',
+              hash_lock: Buffer.alloc(32),
+              htlc_index: '1',
+              incoming: false,
+            },
+            {
+              amount: '5000',
+              expiration_height: 41,
+              forwarding_channel: '0',
+              forwarding_htlc_index: '0',
+              hash_lock: Buffer.alloc(32, 1),
+              htlc_index: '2',
+              incoming: true,
+            },
+          ],
+        }),
+      }],
+    }),
+    description: 'Pending HTLCs are replied soonest expiring first',
+    expected: [
+      [
+        '<b>node</b>',
+        'Payment from alias: 0.00005000 expires in 40 blocks',
+        'Forward to alias: 0.00100000 expires in 144 blocks',
+      ].join('\n'),
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,193 @@
+const {deepEqual} = require('node:assert').strict;
+const EventEmitter = require('node:events');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_rebalances_command');
+
+const id = Buffer.alloc(32).toString('hex');
+const now = () => String(Math.floor(Date.now() / 1e3));
+
+const getNodeInfoRes = () => {
+  const res = JSON.parse(JSON.stringify(getNodeInfoResponse));
+
+  res.channels = [];
+
+  return res;
+};
+
+const makeInvoice = () => {
+  return {
+    add_index: '1',
+    amt_paid_msat: '1000',
+    amt_paid_sat: '1',
+    cltv_expiry: '1',
+    creation_date: now(),
+    description_hash: Buffer.alloc(0),
+    expiry: '1',
+    fallback_addr: '',
+    features: {},
+    htlcs: [],
+    is_keysend: true,
+    memo: '',
+    payment_addr: Buffer.alloc(0),
+    payment_request: '',
+    private: false,
+    r_hash: Buffer.from(id, 'hex'),
+    r_preimage: Buffer.alloc(32),
+    route_hints: [],
+    settle_date: now(),
+    settle_index: '1',
+    settled: true,
+    state: 'SETTLED',
+    value: '1',
+    value_msat: '1000',
+  };
+};
+
+const makePayment = () => {
+  return {
+    creation_date: now(),
+    creation_time_ns: '1',
+    failure_reason: 'FAILURE_REASON_NONE',
+    fee: '1',
+    fee_msat: '1000',
+    fee_sat: '1',
+    htlcs: [{
+      attempt_time_ns: '1',
+      status: 'SUCCEEDED',
+      resolve_time_ns: '1',
+      route: {
+        hops: [{
+          amt_to_forward: '1',
+          amt_to_forward_msat: '1000',
+          chan_capacity: '1',
+          chan_id: '1',
+          custom_records: {},
+          expiry: 1,
+          fee: '1',
+          fee_msat: '1000',
+          pub_key: Buffer.alloc(33, 2).toString('hex'),
+          tlv_payload: true,
+        }],
+        total_amt: '2',
+        total_amt_msat: '2000',
+        total_time_lock: 1,
+        total_fees: '1',
+        total_fees_msat: '1000',
+      },
+    }],
+    path: [Buffer.alloc(33, 2).toString('hex')],
+    payment_hash: id,
+    payment_index: '1',
+    payment_preimage: Buffer.alloc(32).toString('hex'),
+    payment_request: '',
+    status: 'SUCCEEDED',
+    value: '1',
+    value_msat: '1000',
+    value_sat: '1',
+  };
+};
+
+const makeLnd = ({err, invoices}) => {
+  return {
+    default: {
+      closedChannels: ({}, cbk) => cbk(null, {channels: []}),
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoRes()),
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      listInvoices: ({}, cbk) => {
+        return cbk(err, {
+          first_index_offset: '1',
+          invoices: invoices || [],
+          last_index_offset: '1',
+        });
+      },
+    },
+    router: {
+      trackPaymentV2: ({}) => {
+        const emitter = new EventEmitter();
+
+        emitter.cancel = () => {};
+
+        process.nextTick(() => emitter.emit('data', makePayment()));
+
+        return emitter;
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleRebalancesCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleRebalancesCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleRebalancesCmd'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to get rebalances is returned without a reply',
+    error: [503, 'UnexpectedGetInvoicesError', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A node without rebalances is replied',
+    expected: ['<b>node</b> (last 7 days)\nTotal: 0x 0 fee 0 (0 ppm)'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{from: 'node', lnd: makeLnd({invoices: [makeInvoice()]})}],
+    }),
+    description: 'Rebalances are replied by inbound peer',
+    expected: [
+      [
+        '<b>node</b> (last 7 days)',
+        'alias: 1x 0.00000002 fee 0.00000001 (500000 ppm)',
+        'Total: 1x 0.00000002 fee 0.00000001 (500000 ppm)',
+      ].join('\n'),
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,82 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const {listPeersResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_reconnect_command');
+const {pendingChannelsResponse} = require('./../fixtures');
+
+const makeLnd = ({err}) => {
+  return {
+    default: {
+      connectPeer: ({}, cbk) => cbk(),
+      disconnectPeer: ({}, cbk) => cbk(),
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoResponse),
+      listChannels: ({}, cbk) => cbk(err, listChannelsResponse),
+      listPeers: ({}, cbk) => cbk(null, listPeersResponse),
+      pendingChannels: ({}, cbk) => cbk(null, pendingChannelsResponse),
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{from: 'node', lnd: makeLnd({})}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleReconnectCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleReconnectCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleReconnectCommand'],
+  },
+  {
+    args: makeArgs({nodes: [{from: 'node', lnd: makeLnd({err: 'err'})}]}),
+    description: 'A failure to reconnect is returned without a reply',
+    error: [503, 'UnexpectedGetChannelsError', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Reconnections are replied for each node',
+    expected: ['<b>node</b>\nNo peers needed reconnecting'],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
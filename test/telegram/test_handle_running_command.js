@@ -0,0 +1,165 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const {getNodeInfoResponse} = require('./../fixtures');
+const {listChannelsResponse} = require('./../fixtures');
+const method = require('./../../telegram/handle_running_command');
+
+const id = Buffer.alloc(32).toString('hex');
+const now = () => Math.floor(Date.now() / 1e3);
+const peer = Buffer.alloc(33).toString('hex');
+const self = Buffer.alloc(33, 2).toString('hex');
+
+const getNodeInfoRes = () => {
+  const res = JSON.parse(JSON.stringify(getNodeInfoResponse));
+
+  res.channels = [];
+
+  return res;
+};
+
+const makeHop = ({key}) => {
+  return {
+    amt_to_forward: '100000',
+    amt_to_forward_msat: '100000000',
+    chan_capacity: '1',
+    chan_id: '1',
+    custom_records: {},
+    expiry: 1,
+    fee: '0',
+    fee_msat: '0',
+    pub_key: key,
+    tlv_payload: true,
+  };
+};
+
+const makePayment = ({destination}) => {
+  return {
+    creation_date: String(now()),
+    creation_time_ns: String(now() * 1e9),
+    failure_reason: 'FAILURE_REASON_NONE',
+    fee: '0',
+    fee_msat: '0',
+    fee_sat: '0',
+    htlcs: [{
+      attempt_time_ns: '1',
+      status: 'IN_FLIGHT',
+      resolve_time_ns: '0',
+      route: {
+        hops: [makeHop({key: peer}), makeHop({key: destination})],
+        total_amt: '100000',
+        total_amt_msat: '100000000',
+        total_time_lock: 1,
+        total_fees: '0',
+        total_fees_msat: '0',
+      },
+    }],
+    path: [peer, destination],
+    payment_hash: id,
+    payment_index: '1',
+    payment_preimage: Buffer.alloc(32).toString('hex'),
+    payment_request: '',
+    status: 'IN_FLIGHT',
+    value: '100000',
+    value_msat: '100000000',
+    value_sat: '100000',
+  };
+};
+
+const makeLnd = ({err, payments}) => {
+  return {
+    default: {
+      getNodeInfo: ({}, cbk) => cbk(null, getNodeInfoRes()),
+      listChannels: ({}, cbk) => cbk(null, listChannelsResponse),
+      listPayments: ({}, cbk) => {
+        return cbk(err, {
+          first_index_offset: '1',
+          last_index_offset: '1',
+          payments: payments || [],
+        });
+      },
+    },
+  };
+};
+
+const makeArgs = overrides => {
+  const args = {
+    nodes: [{from: 'node', lnd: makeLnd({}), public_key: self}],
+    reply: () => {},
+    working: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({nodes: undefined}),
+    description: 'Nodes are required',
+    error: [400, 'ExpectedArrayOfNodesToHandleRunningCommand'],
+  },
+  {
+    args: makeArgs({reply: undefined}),
+    description: 'A reply function is required',
+    error: [400, 'ExpectedReplyFunctionToHandleRunningCommand'],
+  },
+  {
+    args: makeArgs({working: undefined}),
+    description: 'A working function is required',
+    error: [400, 'ExpectedWorkingFunctionToHandleRunningCommand'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{from: 'node', lnd: makeLnd({err: 'err'}), public_key: self}],
+    }),
+    description: 'A failure to get payments is returned without a reply',
+    error: [503, 'UnexpectedGetPaymentsError', {err: 'err'}],
+  },
+  {
+    args: makeArgs({
+      nodes: [{
+        from: 'node',
+        lnd: makeLnd({payments: [makePayment({destination: peer})]}),
+        public_key: self,
+      }],
+    }),
+    description: 'Payments to other nodes are not running rebalances',
+    expected: ['<b>node</b>\nNo running rebalances'],
+  },
+  {
+    args: makeArgs({
+      nodes: [{
+        from: 'node',
+        lnd: makeLnd({payments: [makePayment({destination: self})]}),
+        public_key: self,
+      }],
+    }),
+    description: 'Running rebalances are replied',
+    expected: [
+      '<b>node</b>\nalias → alias: 0.00100000 started a few seconds ago',
+    ],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    const replies = [];
+
+    if (!!args.reply) {
+      args.reply = text => replies.push(text);
+    }
+
+    if (!!error) {
+      await rejects(method(args), error, 'Got expected error');
+    } else {
+      await method(args);
+    }
+
+    deepEqual(replies, expected || [], 'Got expected replies');
+
+    return;
+  });
+});
@@ -0,0 +1,93 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const {handleBalanceCommand} = require('ln-telegram');
+
+const method = require('./../../telegram/id_for_authorized_sender');
+const {pendingChannelsResponse} = require('./../fixtures');
+
+const access = {
+  groups: [{id: -100, role: 'viewer'}],
+  roles: [{commands: ['balance', 'pending'], name: 'viewer'}],
+  users: [{id: 3, role: 'viewer'}],
+};
+
+const publicKey = Buffer.alloc(33, 3).toString('hex');
+
+const makeCtx = ({chat, from, text}) => ({
+  chat: {id: chat},
+  from: {id: from},
+  message: {text, from: {id: from}},
+});
+
+const makeLnd = () => {
+  return {
+    default: {
+      getTransactions: ({}, cbk) => cbk(null, {transactions: []}),
+      listChannels: ({}, cbk) => cbk(null, {channels: []}),
+      listUnspent: ({}, cbk) => cbk(null, {utxos: []}),
+      pendingChannels: ({}, cbk) => cbk(null, pendingChannelsResponse),
+    },
+    wallet: {
+      listLeases: ({}, cbk) => cbk(null, {locked_utxos: []}),
+      listUnspent: ({}, cbk) => cbk(null, {utxos: []}),
+    },
+  };
+};
+
+const tests = [
+  {
+    args: {access, ctx: makeCtx({chat: 3, from: 3, text: '/balance'}), id: 1},
+    description: 'A user with a role for the command is answered',
+    expected: {id: 3},
+  },
+  {
+    args: {
+      access,
+      ctx: makeCtx({chat: -100, from: 4, text: '/pending'}),
+      id: 1,
+    },
+    description: 'A user in a group with a role for the command is answered',
+    expected: {id: 4},
+  },
+  {
+    args: {access, ctx: makeCtx({chat: 3, from: 3, text: '/info'}), id: 1},
+    description: 'A user without a role for the command is not answered',
+    expected: {id: 1},
+  },
+  {
+    args: {ctx: makeCtx({chat: 1, from: 1, text: '/balance'}), id: 1},
+    description: 'The connected user is answered',
+    expected: {id: 1},
+  },
+  {
+    args: {access, ctx: makeCtx({chat: 3, from: 3, text: 'text'}), id: 1},
+    description: 'A message that is not a command uses the connected user',
+    expected: {id: 1},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
+
+test('A viewer who is not connected gets a balance reply', async () => {
+  const ctx = makeCtx({chat: 3, from: 3, text: '/balance'});
+  const replies = [];
+
+  await handleBalanceCommand({
+    from: ctx.message.from.id,
+    id: method({access, ctx, id: 1}).id,
+    nodes: [{from: 'node', lnd: makeLnd(), public_key: publicKey}],
+    reply: message => replies.push(message),
+    working: () => {},
+  });
+
+  deepEqual(replies.length, 1, 'Got a balance reply');
+
+  return;
+});
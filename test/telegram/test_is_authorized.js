@@ -0,0 +1,69 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const isAuthorized = require('./../../telegram/is_authorized');
+
+const access = {
+  groups: [{id: -100, role: 'viewer'}],
+  roles: [
+    {commands: ['*'], name: 'operator'},
+    {commands: ['balance'], name: 'viewer'},
+  ],
+  users: [{id: 2, role: 'operator'}, {id: 3, role: 'viewer'}],
+};
+
+const tests = [
+  {
+    args: {command: 'start', from: 9},
+    description: 'Public commands are authorized',
+    expected: {is_authorized: true},
+  },
+  {
+    args: {command: 'invoice', from: 1, id: 1},
+    description: 'The connected user is authorized',
+    expected: {is_authorized: true},
+  },
+  {
+    args: {command: 'invoice', from: 2, id: 1},
+    description: 'Without access config other users are not authorized',
+    expected: {is_authorized: false},
+  },
+  {
+    args: {access, command: 'invoice', from: 2, id: 1},
+    description: 'A user with an all commands role is authorized',
+    expected: {is_authorized: true},
+  },
+  {
+    args: {access, command: 'balance', from: 3},
+    description: 'A user with a role allowing the command is authorized',
+    expected: {is_authorized: true},
+  },
+  {
+    args: {access, command: 'invoice', from: 3},
+    description: 'A user with a role not allowing the command is denied',
+    expected: {is_authorized: false},
+  },
+  {
+    args: {access, chat: -100, command: 'balance', from: 9},
+    description: 'A group member is authorized by the group role',
+    expected: {is_authorized: true},
+  },
+  {
+    args: {access, chat: -100, command: 'invoice', from: 9},
+    description: 'A group member is denied commands the group role lacks',
+    expected: {is_authorized: false},
+  },
+  {
+    args: {access, chat: 9, command: 'balance', from: 9},
+    description: 'An unknown user is denied',
+    expected: {is_authorized: false},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(isAuthorized(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
@@ -0,0 +1,77 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../telegram/log_denied_access');
+
+const makeArgs = ({size}) => {
+  return {
+    command: 'invoice',
+    date: '2020-01-01T00:00:00.000Z',
+    from: {id: 1, username: 'user'},
+    fs: {
+      appendFile: (path, data, cbk) => cbk(),
+      getFileStatus: (path, cbk) => cbk(null, {size}),
+      makeDirectory: (path, cbk) => cbk(),
+      renameFile: (from, to, cbk) => cbk(),
+    },
+  };
+};
+
+const entry = JSON.stringify({
+  command: 'invoice',
+  date: '2020-01-01T00:00:00.000Z',
+  id: 1,
+  username: 'user',
+});
+
+const tests = [
+  {
+    args: {...makeArgs({size: 1}), command: undefined},
+    description: 'A command is expected',
+    error: [400, 'ExpectedCommandToLogDeniedAccess'],
+  },
+  {
+    args: {...makeArgs({size: 1}), from: undefined},
+    description: 'A from user is expected',
+    error: [400, 'ExpectedFromUserToLogDeniedAccess'],
+  },
+  {
+    args: {...makeArgs({size: 1}), fs: {}},
+    description: 'Filesystem methods are expected',
+    error: [400, 'ExpectedFileSystemMethodsToLogDeniedAccess'],
+  },
+  {
+    args: makeArgs({size: 1}),
+    description: 'A denied attempt is appended to the log',
+    expected: [['append', `${entry}\n`]],
+  },
+  {
+    args: makeArgs({size: 1e7}),
+    description: 'A large log is rotated before appending',
+    expected: [['rename'], ['append', `${entry}\n`]],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+    } else {
+      const writes = [];
+
+      const fs = {
+        appendFile: (path, data, cbk) => writes.push(['append', data]) && cbk(),
+        getFileStatus: args.fs.getFileStatus,
+        makeDirectory: args.fs.makeDirectory,
+        renameFile: (from, to, cbk) => writes.push(['rename']) && cbk(),
+      };
+
+      await method({...args, fs});
+
+      deepEqual(writes, expected, 'Got expected log writes');
+    }
+
+    return;
+  });
+});
@@ -0,0 +1,30 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const splitMessage = require('./../../telegram/split_message');
+
+const tests = [
+  {
+    args: {text: 'short'},
+    description: 'A short message is not split',
+    expected: {messages: ['short']},
+  },
+  {
+    args: {max: 20, text: 'line one\nline two\nline three'},
+    description: 'A long message is split on lines',
+    expected: {messages: ['line one\n', 'line two\n', 'line three\n']},
+  },
+  {
+    args: {count: 1, max: 20, text: 'line one\nline two\nline three'},
+    description: 'A long message is truncated to the count of messages',
+    expected: {messages: ['line one\n... more']},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(splitMessage(args), expected, 'Got expected result');
+
+    return end();
+  });
+});
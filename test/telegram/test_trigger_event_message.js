@@ -0,0 +1,66 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../telegram/trigger_event_message');
+
+const publicKey = Buffer.alloc(33, 3).toString('hex');
+
+const tests = [
+  {
+    args: {
+      details: {
+        capacity: 1e6,
+        channel: '1x2x3',
+        is_above: false,
+        local_balance: 1e5,
+        partner_public_key: publicKey,
+        percent: 20,
+      },
+      event: 'channel_balance',
+      from: 'node',
+    },
+    description: 'A channel balance crossing is described',
+    expected: {
+      text: '<b>node</b>\nChannel 1x2x3 with 03030303 local balance 0.00100000 is now below 20%',
+    },
+  },
+  {
+    args: {
+      details: {
+        base_fee_mtokens: '1000',
+        channel: '1x2x3',
+        fee_rate: 500,
+        previous: {base_fee_mtokens: '0', fee_rate: 100},
+        public_key: publicKey,
+      },
+      event: 'fee_policy_updated',
+      from: '<node>',
+    },
+    description: 'A fee policy change is described',
+    expected: {
+      text: '<b>&lt;node&gt;</b>\n03030303 changed fees on 1x2x3: 100 → 500 ppm, base 0 → 1000 mtokens',
+    },
+  },
+  {
+    args: {
+      details: {channel: '1x2x3', count: 5, minutes: 10},
+      event: 'forward_failures',
+      from: 'node',
+    },
+    description: 'Forward failures are described',
+    expected: {text: '<b>node</b>\n5 forwards failed on 1x2x3 in 10 minutes'},
+  },
+  {
+    args: {details: {}, event: 'unknown', from: 'node'},
+    description: 'Unknown events have no message',
+    expected: {},
+  },
+];
+
+tests.forEach(({args, description, expected}) => {
+  return test(description, (t, end) => {
+    deepEqual(method(args), expected, 'Got expected message');
+
+    return end();
+  });
+});
@@ -0,0 +1,91 @@
+const {throws} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/check_trigger_action');
+
+const tests = [
+  {
+    args: {},
+    description: 'An action is required',
+    error: 'ExpectedTriggerActionToCheck',
+  },
+  {
+    args: {action: {}},
+    description: 'An action type is required',
+    error: 'ExpectedSingleCommandTelegramOrWebhookTriggerAction',
+  },
+  {
+    args: {
+      action: {
+        command: {args: [], name: 'reconnect'},
+        webhook: {url: 'http://localhost'},
+      },
+    },
+    description: 'A single action type is expected',
+    error: 'ExpectedSingleCommandTelegramOrWebhookTriggerAction',
+  },
+  {
+    args: {
+      action: {
+        command: {args: [], name: 'reconnect'},
+        interval_minutes: 1.5,
+      },
+    },
+    description: 'A whole number of minutes is expected',
+    error: 'ExpectedWholeNumberOfMinutesForTriggerActionInterval',
+  },
+  {
+    args: {action: {command: {args: [], name: 'rm -rf'}}},
+    description: 'A command name is expected',
+    error: 'ExpectedBosCommandNameForTriggerAction',
+  },
+  {
+    args: {action: {command: {name: 'reconnect'}}},
+    description: 'Command arguments are expected',
+    error: 'ExpectedArrayOfArgumentsForTriggerActionCommand',
+  },
+  {
+    args: {action: {command: {args: [1], name: 'reconnect'}}},
+    description: 'Command arguments are expected to be strings',
+    error: 'ExpectedStringArgumentsForTriggerActionCommand',
+  },
+  {
+    args: {action: {telegram: {id: 'id'}}},
+    description: 'A Telegram chat id is expected',
+    error: 'ExpectedTelegramChatIdForTriggerAction',
+  },
+  {
+    args: {action: {webhook: {url: 'ftp://localhost'}}},
+    description: 'A webhook URL is expected',
+    error: 'ExpectedHttpUrlForTriggerActionWebhook',
+  },
+  {
+    args: {
+      action: {
+        command: {args: ['--set-fee-rate', '100'], name: 'fees'},
+        interval_minutes: 0,
+      },
+    },
+    description: 'A command action is valid',
+  },
+  {
+    args: {action: {telegram: {id: -1}}},
+    description: 'A Telegram action is valid',
+  },
+  {
+    args: {action: {webhook: {url: 'http://127.0.0.1:8080/hook'}}},
+    description: 'A webhook action is valid',
+  },
+];
+
+tests.forEach(({args, description, error}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      method(args);
+    }
+
+    return end();
+  });
+});
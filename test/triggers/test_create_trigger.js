@@ -0,0 +1,90 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/create_trigger');
+
+const encoded = 'bos-trigger:AAEBAQEBAiMBIQMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAw==';
+const publicKey = Buffer.alloc(33, 3).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    connectivity: {id: publicKey},
+    fs: {
+      getFile: ({}, cbk) => cbk(),
+      makeDirectory: ({}, cbk) => cbk(),
+      writeFile: ({}, file, cbk) => cbk(),
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({connectivity: undefined}),
+    description: 'Trigger details are required',
+    error: [400, 'ExpectedTriggerDetailsToCreateTrigger'],
+  },
+  {
+    args: makeArgs({connectivity: {}}),
+    description: 'A connectivity node id is required',
+    error: [400, 'ExpectedNodeIdToCreateConnectivityTrigger'],
+  },
+  {
+    args: makeArgs({connectivity: undefined, follow: {id: 'id'}}),
+    description: 'A follow node id is required',
+    error: [400, 'ExpectedNodeIdToFollowToCreateFollowNodeTrigger'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToCreateTrigger'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: ({}, cbk) => cbk(),
+        makeDirectory: ({}, cbk) => cbk(),
+        writeFile: ({}, file, cbk) => cbk('err'),
+      },
+    }),
+    description: 'Errors writing the triggers file are passed back',
+    error: [503, 'UnexpectedErrorSavingTriggersFile', {err: 'err'}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Create a trigger',
+    expected: {encoded, migrated: []},
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+
+      return;
+    }
+
+    let written;
+
+    args.fs.writeFile = ({}, file, cbk) => {
+      written = JSON.parse(file);
+
+      return cbk();
+    };
+
+    const {id} = await method(args);
+
+    const [trigger] = written.triggers;
+
+    deepEqual(trigger.id, id, 'Trigger is written with the returned id');
+    deepEqual(written.migrated, expected.migrated, 'Got migrated nodes');
+    deepEqual(trigger.encoded, expected.encoded, 'Got encoded trigger');
+
+    return;
+  });
+});
@@ -0,0 +1,84 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/delete_trigger');
+
+const encoded = 'bos-trigger:AiMBIQIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA==';
+const id = Buffer.alloc(32).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    id,
+    fs: {
+      getFile: ({}, cbk) => {
+        const triggers = [
+          {encoded, id, created_at: new Date(1).toISOString()},
+          {encoded, created_at: new Date(2).toISOString(), id: 'a'.repeat(64)},
+        ];
+
+        return cbk(null, Buffer.from(JSON.stringify({triggers})));
+      },
+      makeDirectory: ({}, cbk) => cbk(),
+      writeFile: ({}, file, cbk) => cbk(),
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToDeleteTrigger'],
+  },
+  {
+    args: makeArgs({id: 'id'}),
+    description: 'A trigger id is required',
+    error: [400, 'ExpectedTriggerIdToDeleteTrigger'],
+  },
+  {
+    args: makeArgs({id: 'b'.repeat(64)}),
+    description: 'The trigger to delete is expected to exist',
+    error: [404, 'FailedToFindTriggerToDelete'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Delete a trigger',
+    expected: {
+      migrated: [],
+      triggers: [{
+        encoded,
+        created_at: '1970-01-01T00:00:00.002Z',
+        id: 'a'.repeat(64),
+      }],
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+
+      return;
+    }
+
+    let written;
+
+    args.fs.writeFile = ({}, file, cbk) => {
+      written = JSON.parse(file);
+
+      return cbk();
+    };
+
+    await method(args);
+
+    deepEqual(written, expected, 'Trigger is removed from the file');
+
+    return;
+  });
+});
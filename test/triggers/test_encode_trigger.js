@@ -0,0 +1,80 @@
+const {deepEqual} = require('node:assert').strict;
+const test = require('node:test');
+const {throws} = require('node:assert').strict;
+
+const decodeTrigger = require('./../../triggers/decode_trigger');
+const method = require('./../../triggers/encode_trigger');
+
+const publicKey = Buffer.alloc(33, 3).toString('hex');
+
+const tests = [
+  {
+    args: {},
+    description: 'Trigger details are expected',
+    error: 'ExpectedTriggerDetailsToEncodeTrigger',
+  },
+  {
+    args: {balance: {channel: '700000x1x0', percent: 20}},
+    description: 'Encode a channel balance trigger',
+    expected: {balance: {channel: '700000x1x0', percent: 20}},
+  },
+  {
+    args: {balance: {channel: '700000x1x0', percent: 100}},
+    description: 'A balance threshold is expected to be a percentage',
+    error: 'ExpectedPercentThresholdToEncodeBalanceParams',
+  },
+  {
+    args: {connectivity: {id: publicKey}},
+    description: 'Encode a connectivity trigger',
+    expected: {connectivity: {id: publicKey}},
+  },
+  {
+    args: {fee_policy: {id: publicKey}},
+    description: 'Encode a fee policy trigger',
+    expected: {fee_policy: {id: publicKey}},
+  },
+  {
+    args: {fee_policy: {id: 'id'}},
+    description: 'A fee policy trigger is expected to have a public key',
+    error: 'ExpectedPublicKeyToEncodeFeePolicyParams',
+  },
+  {
+    args: {follow: {id: publicKey}},
+    description: 'Encode a follow trigger',
+    expected: {follow: {id: publicKey}},
+  },
+  {
+    args: {forward_failures: {channel: '1x2x3', count: 5, minutes: 60}},
+    description: 'Encode a forward failures trigger',
+    expected: {forward_failures: {channel: '1x2x3', count: 5, minutes: 60}},
+  },
+  {
+    args: {forward_failures: {channel: '1x2x3', count: 0, minutes: 60}},
+    description: 'A forward failures trigger is expected to have a count',
+    error: 'ExpectedFailuresCountToEncodeForwardFailuresParams',
+  },
+  {
+    args: {inbound_channel: {min_capacity: 1e6}},
+    description: 'Encode an inbound channel trigger',
+    expected: {inbound_channel: {min_capacity: 1e6}},
+  },
+  {
+    args: {inbound_channel: {}},
+    description: 'An inbound channel trigger is expected to have a minimum',
+    error: 'ExpectedMinCapacityToEncodeInboundChannelParams',
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, (t, end) => {
+    if (!!error) {
+      throws(() => method(args), new Error(error), 'Got expected error');
+    } else {
+      const {encoded} = method(args);
+
+      deepEqual(decodeTrigger({encoded}), expected, 'Trigger round trips');
+    }
+
+    return end();
+  });
+});
@@ -0,0 +1,99 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/execute_trigger_actions');
+
+const encoded = 'bos-trigger:AiMBIQIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA==';
+const id = Buffer.alloc(32).toString('hex');
+
+const makeArgs = overrides => {
+  const args = {
+    details: {triggers: [id]},
+    event: 'peer_disconnected',
+    fs: {
+      getFile: ({}, cbk) => {
+        const triggers = [
+          {
+            encoded,
+            id,
+            action: {webhook: {url: 'http://localhost/hook'}},
+            created_at: new Date(1).toISOString(),
+          },
+          {encoded, created_at: new Date(2).toISOString(), id: 'a'.repeat(64)},
+        ];
+
+        return cbk(null, Buffer.from(JSON.stringify({triggers})));
+      },
+    },
+    is_dry_run: true,
+    logger: {error: () => {}, info: () => {}},
+    request: ({}, cbk) => cbk(),
+    runs: {},
+    spawn: () => {},
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({details: {}}),
+    description: 'Trigger ids are required',
+    error: [400, 'ExpectedTriggerIdsToExecuteTriggerActions'],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToExecuteTriggerActions'],
+  },
+  {
+    args: makeArgs({logger: undefined}),
+    description: 'A logger is required',
+    error: [400, 'ExpectedWinstonLoggerToExecuteTriggerActions'],
+  },
+  {
+    args: makeArgs({runs: undefined}),
+    description: 'Runs tracking is required',
+    error: [400, 'ExpectedRunsTrackingToExecuteTriggerActions'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'A dry run logs the action',
+    expected: [{
+      dry_run_trigger_action: {webhook: {url: 'http://localhost/hook'}},
+    }],
+  },
+  {
+    args: makeArgs({runs: {[id]: Date.now()}}),
+    description: 'An action that ran recently is rate limited',
+    expected: [{rate_limited_trigger_action: id}],
+  },
+  {
+    args: makeArgs({details: {triggers: ['a'.repeat(64)]}}),
+    description: 'A trigger without an action does nothing',
+    expected: [],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+
+      return;
+    }
+
+    const logged = [];
+
+    args.logger = {error: () => {}, info: line => logged.push(line)};
+
+    await method(args);
+
+    deepEqual(logged, expected, 'Got expected log lines');
+
+    return;
+  });
+});
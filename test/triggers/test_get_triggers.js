@@ -0,0 +1,121 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/get_triggers');
+
+const encoded = 'bos-trigger:AiMBIQIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA==';
+const id = Buffer.alloc(32).toString('hex');
+const publicKey = Buffer.alloc(33, 2).toString('hex');
+
+const makeFile = file => ({}, cbk) => cbk(null, Buffer.from(file));
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {
+      getFile: makeFile(JSON.stringify({
+        migrated: [publicKey],
+        triggers: [{encoded, id, created_at: new Date(1).toISOString()}],
+      })),
+    },
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({}),
+    description: 'Get triggers',
+    expected: {
+      migrated: [publicKey],
+      triggers: [{
+        encoded,
+        id,
+        action: undefined,
+        balance: undefined,
+        connectivity: undefined,
+        created_at: '1970-01-01T00:00:00.001Z',
+        fee_policy: undefined,
+        follow: {id: '02'.padEnd(66, '0')},
+        forward_failures: undefined,
+        inbound_channel: undefined,
+      }],
+    },
+  },
+  {
+    args: makeArgs({fs: {getFile: ({}, cbk) => cbk({code: 'ENOENT'})}}),
+    description: 'No triggers file means no triggers',
+    expected: {migrated: [], triggers: []},
+  },
+  {
+    args: makeArgs({fs: {getFile: ({}, cbk) => cbk({code: 'EACCES'})}}),
+    description: 'Errors reading the triggers file are returned',
+    error: [503, 'FailedToReadTriggersFile', {err: {code: 'EACCES'}}],
+  },
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToGetTriggers'],
+  },
+  {
+    args: makeArgs({fs: {getFile: makeFile('invalid_json')}}),
+    description: 'Triggers file is expected to be JSON',
+    error: [400, 'ExpectedValidJsonTriggersFile'],
+  },
+  {
+    args: makeArgs({fs: {getFile: makeFile('{"triggers":"triggers"}')}}),
+    description: 'Triggers file is expected to have a triggers array',
+    error: [400, 'ExpectedTriggersArrayInTriggersFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: makeFile('{"migrated":["migrated"],"triggers":[]}')},
+    }),
+    description: 'Migrated nodes are expected to be public keys',
+    error: [400, 'ExpectedPublicKeysForMigratedTriggerNodes'],
+  },
+  {
+    args: makeArgs({fs: {getFile: makeFile('{"triggers":[{"id":"id"}]}')}}),
+    description: 'Triggers are expected to have ids',
+    error: [400, 'ExpectedIdForEachTriggerInTriggersFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: makeFile(JSON.stringify({
+          triggers: [{id, encoded: 'encoded'}],
+        })),
+      },
+    }),
+    description: 'Triggers are expected to be valid encoded triggers',
+    error: [400, 'ExpectedValidEncodedTriggerInTriggersFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: makeFile(JSON.stringify({
+          triggers: [{encoded, id, action: {webhook: {url: 'url'}}}],
+        })),
+      },
+    }),
+    description: 'Trigger actions are expected to be valid',
+    error: [400, 'ExpectedValidActionInTriggersFile'],
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      await rejects(method(args), error, 'Got error');
+    } else {
+      const res = await method(args);
+
+      deepEqual(res, expected, 'Got expected res');
+    }
+
+    return;
+  });
+});
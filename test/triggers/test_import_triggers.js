@@ -0,0 +1,125 @@
+const {deepEqual} = require('node:assert').strict;
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = require('./../../triggers/import_triggers');
+
+const encoded = 'bos-trigger:AiMBIQIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA==';
+const existing = {encoded, created_at: new Date(1).toISOString(), id: '0'};
+const imported = {encoded, created_at: new Date(2).toISOString(), id: '1'};
+
+const makeFile = json => Buffer.from(JSON.stringify(json));
+
+const makeTrigger = ({created_at, encoded, id}) => {
+  return {created_at, encoded, id: id.repeat(64)};
+};
+
+const makeArgs = overrides => {
+  const args = {
+    fs: {
+      getFile: (path, cbk) => {
+        if (path === 'import.json') {
+          const triggers = [existing, imported].map(makeTrigger);
+
+          return cbk(null, makeFile({triggers}));
+        }
+
+        return cbk(null, makeFile({triggers: [makeTrigger(existing)]}));
+      },
+      makeDirectory: ({}, cbk) => cbk(),
+      writeFile: ({}, file, cbk) => cbk(),
+    },
+    path: 'import.json',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({fs: undefined}),
+    description: 'Fs is required',
+    error: [400, 'ExpectedFileSystemMethodsToImportTriggers'],
+  },
+  {
+    args: makeArgs({path: undefined}),
+    description: 'A path to import from is required',
+    error: [400, 'ExpectedPathToImportTriggersFrom'],
+  },
+  {
+    args: makeArgs({fs: {getFile: ({}, cbk) => cbk('err')}}),
+    description: 'The import file is expected to be readable',
+    error: [400, 'FailedToReadTriggersImportFile', {err: 'err'}],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: ({}, cbk) => cbk(null, makeFile({triggers: null}))},
+    }),
+    description: 'The import file is expected to have triggers',
+    error: [400, 'ExpectedArrayOfTriggersInTriggersImportFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {getFile: ({}, cbk) => cbk(null, makeFile({triggers: [{}]}))},
+    }),
+    description: 'Imported triggers are expected to have ids',
+    error: [400, 'ExpectedIdForEachTriggerInTriggersImportFile'],
+  },
+  {
+    args: makeArgs({
+      fs: {
+        getFile: ({}, cbk) => {
+          const trigger = {encoded: 'encoded', id: 'a'.repeat(64)};
+
+          return cbk(null, makeFile({triggers: [trigger]}));
+        },
+      },
+    }),
+    description: 'Imported triggers are expected to be valid',
+    error: [400, 'ExpectedValidEncodedTriggerToImport'],
+  },
+  {
+    args: makeArgs({}),
+    description: 'Import triggers',
+    expected: {
+      file: {
+        migrated: [],
+        triggers: [makeTrigger(existing), makeTrigger(imported)],
+      },
+      imported: 1,
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      const [code, message] = error;
+
+      await rejects(method(args), err => {
+        deepEqual(err.slice(0, 2), [code, message], 'Got expected error');
+
+        return true;
+      });
+
+      return;
+    }
+
+    let written;
+
+    args.fs.writeFile = ({}, file, cbk) => {
+      written = JSON.parse(file);
+
+      return cbk();
+    };
+
+    const {imported} = await method(args);
+
+    deepEqual(imported, expected.imported, 'Got imported count');
+    deepEqual(written, expected.file, 'New triggers are added to the file');
+
+    return;
+  });
+});
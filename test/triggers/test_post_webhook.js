@@ -0,0 +1,99 @@
+const {deepEqual} = require('node:assert').strict;
+const {promisify} = require('util');
+const {rejects} = require('node:assert').strict;
+const test = require('node:test');
+
+const method = promisify(require('./../../triggers/post_webhook'));
+
+const makeArgs = overrides => {
+  const args = {
+    payload: {event: 'peer_connected'},
+    request: ({}, cbk) => cbk(null, {statusCode: 200}),
+    url: 'http://localhost/hook',
+  };
+
+  Object.keys(overrides).forEach(k => args[k] = overrides[k]);
+
+  return args;
+};
+
+const tests = [
+  {
+    args: makeArgs({payload: undefined}),
+    description: 'A payload is required',
+    error: [400, 'ExpectedPayloadToPostToWebhook'],
+  },
+  {
+    args: makeArgs({request: undefined}),
+    description: 'A request function is required',
+    error: [400, 'ExpectedRequestFunctionToPostToWebhook'],
+  },
+  {
+    args: makeArgs({url: undefined}),
+    description: 'A url is required',
+    error: [400, 'ExpectedUrlToPostToWebhook'],
+  },
+  {
+    args: makeArgs({url: 'not a url'}),
+    description: 'A valid url is required',
+    error: [400, 'ExpectedValidUrlToPostToWebhook'],
+  },
+  {
+    args: makeArgs({url: 'ftp://localhost/hook'}),
+    description: 'An http url is required',
+    error: [400, 'ExpectedHttpOrHttpsUrlToPostToWebhook'],
+  },
+  {
+    args: makeArgs({request: ({}, cbk) => cbk('err')}),
+    description: 'Request errors are returned',
+    error: [503, 'FailedToPostToWebhook', {err: 'err'}],
+  },
+  {
+    args: makeArgs({request: ({}, cbk) => cbk(null, {statusCode: 500})}),
+    description: 'A success response code is expected',
+    error: [503, 'UnexpectedWebhookResponseCode', {code: 500}],
+  },
+  {
+    args: makeArgs({}),
+    description: 'The payload is posted as JSON',
+    expected: {
+      body: '{"event":"peer_connected"}',
+      headers: {'content-type': 'application/json'},
+      method: 'POST',
+      timeout: 10000,
+      url: 'http://localhost/hook',
+    },
+  },
+];
+
+tests.forEach(({args, description, error, expected}) => {
+  return test(description, async () => {
+    if (!!error) {
+      const [code, message] = error;
+
+      await rejects(method(args), err => {
+        deepEqual(err.slice(0, 2), [code, message], 'Got expected error');
+
+        return true;
+      });
+
+      return;
+    }
+
+    const requests = [];
+
+    const {request} = args;
+
+    args.request = (options, cbk) => {
+      requests.push(options);
+
+      return request(options, cbk);
+    };
+
+    await method(args);
+
+    deepEqual(requests, [expected], 'Got expected request');
+
+    return;
+  });
+});
@@ -0,0 +1,139 @@
+const asyncAuto = require('async/auto');
+const asyncMapSeries = require('async/mapSeries');
+const {returnResult} = require('asyncjs-util');
+
+const {kinds} = require('./constants');
+
+const isChannel = n => !!n && /^\d*x\d*x\d*$/.test(n);
+const isNumber = n => /^\d+$/.test(n);
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+
+/** Ask for the details of a trigger
+
+  {
+    ask: <Ask Function>
+    kind: <Trigger Kind String>
+    [trigger]: <Existing Trigger Details Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    [balance]: {
+      channel: <Standard Format Channel Id String>
+      percent: <Local Balance Percent of Capacity Threshold Number>
+    }
+    [connectivity]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [fee_policy]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [follow]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [forward_failures]: {
+      channel: <Standard Format Channel Id String>
+      count: <Failures Count Threshold Number>
+      minutes: <Failures Window Minutes Number>
+    }
+    [inbound_channel]: {
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+    }
+  }
+*/
+module.exports = ({ask, kind, trigger}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!ask) {
+          return cbk([400, 'ExpectedAskFunctionToAskForTrigger']);
+        }
+
+        if (!kinds.includes(kind)) {
+          return cbk([400, 'ExpectedKnownTriggerKindToAskForTrigger']);
+        }
+
+        return cbk();
+      },
+
+      // Questions to ask for the kind of trigger
+      questions: ['validate', ({}, cbk) => {
+        const channel = {
+          message: 'Channel id?',
+          name: 'channel',
+          validate: input => isChannel(input) || 'Enter a channel id',
+        };
+
+        const node = message => ({
+          message,
+          name: 'id',
+          validate: input => {
+            return isPublicKey(input) || 'Enter a node identity public key';
+          },
+        });
+
+        const number = (name, message) => ({
+          message,
+          name,
+          is_number: true,
+          validate: input => isNumber(input) || 'Enter a whole number',
+        });
+
+        const questions = {
+          balance: [
+            channel,
+            number('percent', 'Local balance percent of capacity threshold?'),
+          ],
+          connectivity: [node('Node public key to watch connectivity with?')],
+          fee_policy: [node('Peer public key to watch fee changes of?')],
+          follow: [node('Node public key to follow?')],
+          forward_failures: [
+            channel,
+            number('count', 'Number of failed forwards to trigger on?'),
+            number('minutes', 'Within how many minutes?'),
+          ],
+          inbound_channel: [
+            number('min_capacity', 'Minimum capacity of inbound channels?'),
+          ],
+        };
+
+        return cbk(null, questions[kind]);
+      }],
+
+      // Ask the questions
+      answers: ['questions', ({questions}, cbk) => {
+        const existing = (trigger || {})[kind] || {};
+
+        return asyncMapSeries(questions, (question, cbk) => {
+          return ask({
+            default: existing[question.name],
+            message: question.message,
+            name: question.name,
+            type: 'input',
+            validate: question.validate,
+          },
+          res => {
+            const answer = res[question.name];
+
+            return cbk(null, {
+              name: question.name,
+              value: !!question.is_number ? Number(answer) : answer,
+            });
+          });
+        },
+        cbk);
+      }],
+
+      // Put together the trigger details
+      details: ['answers', ({answers}, cbk) => {
+        const details = {};
+
+        answers.forEach(({name, value}) => details[name] = value);
+
+        return cbk(null, {[kind]: details});
+      }],
+    },
+    returnResult({reject, resolve, of: 'details'}, cbk));
+  });
+};
@@ -0,0 +1,164 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const checkTriggerAction = require('./check_trigger_action');
+
+const actionCommand = 'command';
+const actionNone = 'none';
+const actionTelegram = 'telegram';
+const actionWebhook = 'webhook';
+const defaultIntervalMinutes = 10;
+const isNumber = n => /^\d+$/.test(n);
+const splitArgs = n => n.split(/\s+/).filter(n => !!n);
+
+/** Ask for the action to take when a trigger fires
+
+  {
+    ask: <Ask Function>
+    [trigger]: {
+      [action]: <Existing Trigger Action Object>
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    [action]: {
+      [command]: {
+        args: [<Command Argument String>]
+        name: <Bos Command Name String>
+      }
+      [interval_minutes]: <Minimum Minutes Between Action Runs Number>
+      [telegram]: {
+        id: <Telegram Chat Id Number>
+      }
+      [webhook]: {
+        url: <HTTP URL to POST JSON Payload To String>
+      }
+    }
+  }
+*/
+module.exports = ({ask, trigger}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!ask) {
+          return cbk([400, 'ExpectedAskFunctionToAskForTriggerAction']);
+        }
+
+        return cbk();
+      },
+
+      // Select the type of action
+      selectType: ['validate', ({}, cbk) => {
+        return ask({
+          choices: [
+            {name: 'Run a bos command', value: actionCommand},
+            {name: 'POST JSON to a webhook URL', value: actionWebhook},
+            {name: 'Post a Telegram message', value: actionTelegram},
+            {name: 'No action', value: actionNone},
+          ],
+          message: 'Action when the trigger fires?',
+          name: 'type',
+          type: 'list',
+        },
+        ({type}) => cbk(null, type));
+      }],
+
+      // Ask for the details of the action
+      askForDetails: ['selectType', ({selectType}, cbk) => {
+        const existing = (trigger || {}).action || {};
+
+        switch (selectType) {
+        case actionCommand:
+          const command = existing.command || {args: []};
+
+          return ask({
+            default: [command.name].concat(command.args).join(' ').trim(),
+            message: 'Command and space separated arguments? (e.g. reconnect)',
+            name: 'command',
+            type: 'input',
+            validate: input => !!splitArgs(input).length,
+          },
+          res => {
+            const [name, ...args] = splitArgs(res.command);
+
+            return cbk(null, {command: {args, name}});
+          });
+
+        case actionTelegram:
+          return ask({
+            default: !!existing.telegram ? existing.telegram.id : undefined,
+            message: 'Telegram chat id to post to?',
+            name: 'id',
+            type: 'input',
+            validate: input => /^-?\d+$/.test(input) || 'Enter a chat id',
+          },
+          ({id}) => cbk(null, {telegram: {id: Number(id)}}));
+
+        case actionWebhook:
+          return ask({
+            default: !!existing.webhook ? existing.webhook.url : undefined,
+            message: 'URL to POST the JSON event payload to?',
+            name: 'url',
+            type: 'input',
+            validate: input => !!input,
+          },
+          ({url}) => cbk(null, {webhook: {url}}));
+
+        default:
+          return cbk();
+        }
+      }],
+
+      // Ask for the minimum time between action runs
+      askForInterval: ['askForDetails', ({askForDetails}, cbk) => {
+        // Exit early when there is no action
+        if (!askForDetails) {
+          return cbk();
+        }
+
+        const existing = (trigger || {}).action || {};
+
+        const isSet = existing.interval_minutes !== undefined;
+
+        return ask({
+          default: isSet ? existing.interval_minutes : defaultIntervalMinutes,
+          message: 'Minimum minutes between action runs?',
+          name: 'minutes',
+          type: 'input',
+          validate: input => isNumber(input) || 'Enter a whole number',
+        },
+        ({minutes}) => cbk(null, Number(minutes)));
+      }],
+
+      // Put together the action
+      action: [
+        'askForDetails',
+        'askForInterval',
+        ({askForDetails, askForInterval}, cbk) =>
+      {
+        // Exit early when there is no action
+        if (!askForDetails) {
+          return cbk(null, {});
+        }
+
+        const action = {
+          command: askForDetails.command,
+          interval_minutes: askForInterval,
+          telegram: askForDetails.telegram,
+          webhook: askForDetails.webhook,
+        };
+
+        try {
+          checkTriggerAction({action});
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+
+        return cbk(null, {action});
+      }],
+    },
+    returnResult({reject, resolve, of: 'action'}, cbk));
+  });
+};
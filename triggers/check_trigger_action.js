@@ -0,0 +1,65 @@
+const {isArray} = Array;
+const isChatId = n => Number.isInteger(n);
+const isCommandName = n => !!n && /^[a-z][a-z-]*$/.test(n);
+const isInterval = n => n === undefined || (Number.isInteger(n) && n >= 0);
+const isString = n => typeof n === 'string';
+const isUrl = n => !!n && /^https?:\/\/\S+$/.test(n);
+
+/** Check that a trigger action is well formed
+
+  {
+    action: {
+      [command]: {
+        args: [<Command Argument String>]
+        name: <Bos Command Name String>
+      }
+      [interval_minutes]: <Minimum Minutes Between Action Runs Number>
+      [telegram]: {
+        id: <Telegram Chat Id Number>
+      }
+      [webhook]: {
+        url: <HTTP URL to POST JSON Payload To String>
+      }
+    }
+  }
+
+  @throws
+  <Error>
+*/
+module.exports = ({action}) => {
+  if (!action) {
+    throw new Error('ExpectedTriggerActionToCheck');
+  }
+
+  const {command, telegram, webhook} = action;
+
+  if ([command, telegram, webhook].filter(n => !!n).length !== 1) {
+    throw new Error('ExpectedSingleCommandTelegramOrWebhookTriggerAction');
+  }
+
+  if (!isInterval(action.interval_minutes)) {
+    throw new Error('ExpectedWholeNumberOfMinutesForTriggerActionInterval');
+  }
+
+  if (!!command && !isCommandName(command.name)) {
+    throw new Error('ExpectedBosCommandNameForTriggerAction');
+  }
+
+  if (!!command && !isArray(command.args)) {
+    throw new Error('ExpectedArrayOfArgumentsForTriggerActionCommand');
+  }
+
+  if (!!command && !!command.args.filter(n => !isString(n)).length) {
+    throw new Error('ExpectedStringArgumentsForTriggerActionCommand');
+  }
+
+  if (!!telegram && !isChatId(telegram.id)) {
+    throw new Error('ExpectedTelegramChatIdForTriggerAction');
+  }
+
+  if (!!webhook && !isUrl(webhook.url)) {
+    throw new Error('ExpectedHttpUrlForTriggerActionWebhook');
+  }
+
+  return;
+};
@@ -0,0 +1,110 @@
+const {randomBytes} = require('crypto');
+
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {kinds} = require('./constants');
+const encodeTrigger = require('./encode_trigger');
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const makeId = () => randomBytes(32).toString('hex');
+
+/** Create a trigger in the triggers file
+
+  {
+    [balance]: {
+      channel: <Standard Format Channel Id String>
+      percent: <Local Balance Percent of Capacity Threshold Number>
+    }
+    [connectivity]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [fee_policy]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [follow]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [forward_failures]: {
+      channel: <Standard Format Channel Id String>
+      count: <Failures Count Threshold Number>
+      minutes: <Failures Window Minutes Number>
+    }
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [inbound_channel]: {
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+    }
+  }
+
+  @returns via cbk or Promise
+  {
+    id: <Trigger Id Hex String>
+  }
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!kinds.find(kind => !!args[kind])) {
+          return cbk([400, 'ExpectedTriggerDetailsToCreateTrigger']);
+        }
+
+        if (!!args.connectivity && !isPublicKey(args.connectivity.id)) {
+          return cbk([400, 'ExpectedNodeIdToCreateConnectivityTrigger']);
+        }
+
+        if (!!args.follow && !isPublicKey(args.follow.id)) {
+          return cbk([400, 'ExpectedNodeIdToFollowToCreateFollowNodeTrigger']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToCreateTrigger']);
+        }
+
+        return cbk();
+      },
+
+      // Encode the trigger
+      encoded: ['validate', ({}, cbk) => {
+        try {
+          const {encoded} = encodeTrigger(args);
+
+          return cbk(null, encoded);
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+      }],
+
+      // Get the existing triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs: args.fs}, cbk)],
+
+      // Add the trigger to the triggers file
+      create: ['encoded', 'getTriggers', ({encoded, getTriggers}, cbk) => {
+        const id = makeId();
+
+        const trigger = {encoded, id, created_at: new Date().toISOString()};
+
+        return putTriggers({
+          fs: args.fs,
+          migrated: getTriggers.migrated,
+          triggers: getTriggers.triggers.concat(trigger),
+        },
+        err => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {id});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'create'}, cbk));
+  });
+};
@@ -0,0 +1,57 @@
+const {chanFormat} = require('bolt07');
+const {decodeBigSize} = require('bolt01');
+const {decodeTlvStream} = require('bolt01');
+
+const findRecord = (records, type) => records.find(n => n.type === type);
+const isPercent = n => Number.isInteger(n) && n > 0 && n < 100;
+const typeChannelId = '1';
+const typePercent = '2';
+const typeVersion = '0';
+
+/** Decode channel balance threshold trigger parameters
+
+  {
+    parameters: <Encoded Parameters Hex String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    channel: <Standard Format Channel Id String>
+    percent: <Local Balance Percent of Capacity Threshold Number>
+  }
+*/
+module.exports = ({parameters}) => {
+  if (!parameters) {
+    throw new Error('ExpectedEncodedParametersToDecodeBalanceParameters');
+  }
+
+  const {records} = decodeTlvStream({encoded: parameters});
+
+  // Check the parameters version
+  if (!!findRecord(records, typeVersion)) {
+    throw new Error('UnexpectedVersionForEncodedBalanceTrigger');
+  }
+
+  const channelRecord = findRecord(records, typeChannelId);
+
+  if (!channelRecord) {
+    throw new Error('ExpectedChannelIdForEncodedBalanceTrigger');
+  }
+
+  const percentRecord = findRecord(records, typePercent);
+
+  if (!percentRecord) {
+    throw new Error('ExpectedPercentThresholdForEncodedBalanceTrigger');
+  }
+
+  const percent = Number(decodeBigSize({encoded: percentRecord.value}).decoded);
+
+  if (!isPercent(percent)) {
+    throw new Error('ExpectedValidPercentThresholdForEncodedBalanceTrigger');
+  }
+
+  return {percent, channel: chanFormat({id: channelRecord.value}).channel};
+};
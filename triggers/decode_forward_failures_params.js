@@ -0,0 +1,62 @@
+const {chanFormat} = require('bolt07');
+const {decodeBigSize} = require('bolt01');
+const {decodeTlvStream} = require('bolt01');
+
+const asNumber = encoded => Number(decodeBigSize({encoded}).decoded);
+const findRecord = (records, type) => records.find(n => n.type === type);
+const isPositive = n => Number.isInteger(n) && n > 0;
+const typeChannelId = '1';
+const typeCount = '2';
+const typeMinutes = '3';
+const typeVersion = '0';
+
+/** Decode forward failures trigger parameters
+
+  {
+    parameters: <Encoded Parameters Hex String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    channel: <Standard Format Channel Id String>
+    count: <Failures Count Threshold Number>
+    minutes: <Failures Window Minutes Number>
+  }
+*/
+module.exports = ({parameters}) => {
+  if (!parameters) {
+    throw new Error('ExpectedEncodedParametersToDecodeForwardFailuresParams');
+  }
+
+  const {records} = decodeTlvStream({encoded: parameters});
+
+  // Check the parameters version
+  if (!!findRecord(records, typeVersion)) {
+    throw new Error('UnexpectedVersionForEncodedForwardFailuresTrigger');
+  }
+
+  const channelRecord = findRecord(records, typeChannelId);
+  const countRecord = findRecord(records, typeCount);
+  const minutesRecord = findRecord(records, typeMinutes);
+
+  if (!channelRecord) {
+    throw new Error('ExpectedChannelIdForEncodedForwardFailuresTrigger');
+  }
+
+  if (!countRecord || !isPositive(asNumber(countRecord.value))) {
+    throw new Error('ExpectedCountForEncodedForwardFailuresTrigger');
+  }
+
+  if (!minutesRecord || !isPositive(asNumber(minutesRecord.value))) {
+    throw new Error('ExpectedMinutesForEncodedForwardFailuresTrigger');
+  }
+
+  return {
+    channel: chanFormat({id: channelRecord.value}).channel,
+    count: asNumber(countRecord.value),
+    minutes: asNumber(minutesRecord.value),
+  };
+};
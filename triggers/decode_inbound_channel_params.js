@@ -0,0 +1,43 @@
+const {decodeBigSize} = require('bolt01');
+const {decodeTlvStream} = require('bolt01');
+
+const findRecord = (records, type) => records.find(n => n.type === type);
+const typeMinCapacity = '1';
+const typeVersion = '0';
+
+/** Decode inbound channel request trigger parameters
+
+  {
+    parameters: <Encoded Parameters Hex String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    min_capacity: <Minimum Channel Capacity Tokens Number>
+  }
+*/
+module.exports = ({parameters}) => {
+  if (!parameters) {
+    throw new Error('ExpectedEncodedParametersToDecodeInboundChannelParams');
+  }
+
+  const {records} = decodeTlvStream({encoded: parameters});
+
+  // Check the parameters version
+  if (!!findRecord(records, typeVersion)) {
+    throw new Error('UnexpectedVersionForEncodedInboundChannelTrigger');
+  }
+
+  const minCapacityRecord = findRecord(records, typeMinCapacity);
+
+  if (!minCapacityRecord) {
+    throw new Error('ExpectedMinCapacityForEncodedInboundChannelTrigger');
+  }
+
+  const {decoded} = decodeBigSize({encoded: minCapacityRecord.value});
+
+  return {min_capacity: Number(decoded)};
+};
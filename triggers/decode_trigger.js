@@ -1,15 +1,23 @@
 const {decodeTlvStream} = require('bolt01');
 
+const decodeBalanceParams = require('./decode_balance_params');
 const decodeConnectivityParams = require('./decode_connectivity_params');
+const decodeFeePolicyParams = require('./decode_fee_policy_params');
 const decodeFollowParams = require('./decode_follow_params');
+const decodeForwardFailuresParams = require('./decode_forward_failures_params');
+const decodeInboundChannelParams = require('./decode_inbound_channel_params');
 
 const base64AsHex = base64 => Buffer.from(base64, 'base64').toString('hex');
 const defaultMethodRecord = {value: '00'};
 const defaultVersionRecord = {value: '00'};
 const findRecord = (records, type) => records.find(n => n.type === type);
 const knownVersions = ['00', '01'];
+const methodBalance = '02';
 const methodConnectivity = '01';
+const methodFeePolicy = '03';
 const methodFollow = '00';
+const methodForwardFailures = '04';
+const methodInboundChannel = '05';
 const triggerPrefix = 'bos-trigger:';
 const typeMethod = '1';
 const typeParams = '2';
@@ -25,12 +33,27 @@ const typeVersion = '0';
 
   @returns
   {
+    [balance]: {
+      channel: <Standard Format Channel Id String>
+      percent: <Local Balance Percent of Capacity Threshold Number>
+    }
     [connectivity]: {
       id: <Node Id Hex String>
     }
+    [fee_policy]: {
+      id: <Node Id Hex String>
+    }
     [follow]: {
       id: <Node Id Hex String>
     }
+    [forward_failures]: {
+      channel: <Standard Format Channel Id String>
+      count: <Failures Count Threshold Number>
+      minutes: <Failures Window Minutes Number>
+    }
+    [inbound_channel]: {
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+    }
   }
 */
 module.exports = ({encoded}) => {
@@ -65,6 +88,9 @@ module.exports = ({encoded}) => {
   const parameters = parametersRecord.value;
 
   switch (methodRecord.value) {
+  case methodBalance:
+    return {balance: decodeBalanceParams({parameters})};
+
   case methodConnectivity:
     const connectivity = decodeConnectivityParams({parameters});
 
@@ -75,6 +101,15 @@ module.exports = ({encoded}) => {
 
     return {follow};
 
+  case methodFeePolicy:
+    return {fee_policy: decodeFeePolicyParams({parameters})};
+
+  case methodForwardFailures:
+    return {forward_failures: decodeForwardFailuresParams({parameters})};
+
+  case methodInboundChannel:
+    return {inbound_channel: decodeInboundChannelParams({parameters})};
+
   default:
     throw new Error('UnrecognizedMethodTypeForTrigger');
   }
@@ -0,0 +1,58 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
+
+/** Delete a trigger from the triggers file
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    id: <Trigger Id Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, id}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToDeleteTrigger']);
+        }
+
+        if (!isHash(id)) {
+          return cbk([400, 'ExpectedTriggerIdToDeleteTrigger']);
+        }
+
+        return cbk();
+      },
+
+      // Get the existing triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs}, cbk)],
+
+      // Remove the trigger from the triggers file
+      remove: ['getTriggers', ({getTriggers}, cbk) => {
+        // Exit early when there is no trigger to delete
+        if (!getTriggers.triggers.find(n => n.id === id)) {
+          return cbk([404, 'FailedToFindTriggerToDelete']);
+        }
+
+        return putTriggers({
+          fs,
+          migrated: getTriggers.migrated,
+          triggers: getTriggers.triggers.filter(n => n.id !== id),
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
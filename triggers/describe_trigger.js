@@ -0,0 +1,64 @@
+/** Describe a trigger
+
+  {
+    trigger: {
+      [balance]: {
+        channel: <Standard Format Channel Id String>
+        percent: <Local Balance Percent of Capacity Threshold Number>
+      }
+      [connectivity]: {
+        id: <Node Id Public Key Hex String>
+      }
+      [fee_policy]: {
+        id: <Node Id Public Key Hex String>
+      }
+      [follow]: {
+        id: <Node Id Public Key Hex String>
+      }
+      [forward_failures]: {
+        channel: <Standard Format Channel Id String>
+        count: <Failures Count Threshold Number>
+        minutes: <Failures Window Minutes Number>
+      }
+      [inbound_channel]: {
+        min_capacity: <Minimum Channel Capacity Tokens Number>
+      }
+    }
+  }
+
+  @returns
+  {
+    description: <Trigger Description String>
+  }
+*/
+module.exports = ({trigger}) => {
+  if (!!trigger.balance) {
+    const {channel, percent} = trigger.balance;
+
+    return {description: `Balance of ${channel} crossing ${percent}%`};
+  }
+
+  if (!!trigger.connectivity) {
+    return {description: `Connectivity with ${trigger.connectivity.id}`};
+  }
+
+  if (!!trigger.fee_policy) {
+    return {description: `Fee policy changes of ${trigger.fee_policy.id}`};
+  }
+
+  if (!!trigger.forward_failures) {
+    const {channel, count, minutes} = trigger.forward_failures;
+
+    return {
+      description: `${count} forward failures in ${minutes}m on ${channel}`,
+    };
+  }
+
+  if (!!trigger.inbound_channel) {
+    const minCapacity = trigger.inbound_channel.min_capacity;
+
+    return {description: `Inbound channels of ${minCapacity}+`};
+  }
+
+  return {description: `Following ${trigger.follow.id}`};
+};
@@ -0,0 +1,65 @@
+const {formatTokens} = require('ln-sync');
+
+const format = tokens => formatTokens({tokens, is_monochrome: true}).display;
+const short = key => key.slice(0, 8);
+
+/** Describe a trigger event
+
+  {
+    details: <Trigger Event Details Object>
+    event: <Trigger Event Name String>
+  }
+
+  @returns
+  {
+    [description]: <Trigger Event Description String>
+  }
+*/
+module.exports = ({details, event}) => {
+  const describe = lines => ({description: lines.join(' ')});
+
+  switch (event) {
+  case 'channel_balance':
+    return describe([
+      `Channel ${details.channel} with ${short(details.partner_public_key)}`,
+      `local balance ${format(details.local_balance).trim()} is now`,
+      `${details.is_above ? 'above' : 'below'} ${details.percent}%`,
+    ]);
+
+  case 'channel_opened':
+    return describe([
+      `New channel ${details.id} between`,
+      details.public_keys.map(short).join(' and '),
+    ]);
+
+  case 'channel_request':
+    return describe([
+      `Inbound ${details.is_private ? 'private ' : ''}channel opening of`,
+      format(details.capacity).trim(),
+      `from ${short(details.partner_public_key)}`,
+    ]);
+
+  case 'fee_policy_updated':
+    return describe([
+      `${short(details.public_key)} changed fees on ${details.channel}:`,
+      `${details.previous.fee_rate} → ${details.fee_rate} ppm,`,
+      `base ${details.previous.base_fee_mtokens} →`,
+      `${details.base_fee_mtokens} mtokens`,
+    ]);
+
+  case 'forward_failures':
+    return describe([
+      `${details.count} forwards failed on ${details.channel}`,
+      `in ${details.minutes} minutes`,
+    ]);
+
+  case 'peer_connected':
+    return describe([`Peer ${short(details.public_key)} connected`]);
+
+  case 'peer_disconnected':
+    return describe([`Peer ${short(details.public_key)} disconnected`]);
+
+  default:
+    return {};
+  }
+};
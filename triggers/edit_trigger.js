@@ -0,0 +1,117 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {kinds} = require('./constants');
+const encodeTrigger = require('./encode_trigger');
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+
+/** Edit the details of a trigger in the triggers file
+
+  {
+    [balance]: {
+      channel: <Standard Format Channel Id String>
+      percent: <Local Balance Percent of Capacity Threshold Number>
+    }
+    [connectivity]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [fee_policy]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [follow]: {
+      id: <Node Id Public Key Hex String>
+    }
+    [forward_failures]: {
+      channel: <Standard Format Channel Id String>
+      count: <Failures Count Threshold Number>
+      minutes: <Failures Window Minutes Number>
+    }
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [inbound_channel]: {
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+    }
+    id: <Trigger Id Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!kinds.find(kind => !!args[kind])) {
+          return cbk([400, 'ExpectedTriggerDetailsToEditTrigger']);
+        }
+
+        if (!!args.connectivity && !isPublicKey(args.connectivity.id)) {
+          return cbk([400, 'ExpectedNodeIdToEditConnectivityTrigger']);
+        }
+
+        if (!!args.follow && !isPublicKey(args.follow.id)) {
+          return cbk([400, 'ExpectedNodeIdToFollowToEditFollowNodeTrigger']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToEditTrigger']);
+        }
+
+        if (!isHash(args.id)) {
+          return cbk([400, 'ExpectedTriggerIdToEditTrigger']);
+        }
+
+        return cbk();
+      },
+
+      // Encode the updated trigger
+      encoded: ['validate', ({}, cbk) => {
+        try {
+          const {encoded} = encodeTrigger(args);
+
+          return cbk(null, encoded);
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+      }],
+
+      // Get the existing triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs: args.fs}, cbk)],
+
+      // Replace the trigger details in the triggers file
+      edit: ['encoded', 'getTriggers', ({encoded, getTriggers}, cbk) => {
+        // Exit early when there is no trigger to edit
+        if (!getTriggers.triggers.find(n => n.id === args.id)) {
+          return cbk([404, 'FailedToFindTriggerToEdit']);
+        }
+
+        return putTriggers({
+          fs: args.fs,
+          migrated: getTriggers.migrated,
+          triggers: getTriggers.triggers.map(trigger => {
+            // Exit early when this is not the edited trigger
+            if (trigger.id !== args.id) {
+              return trigger;
+            }
+
+            return {
+              encoded,
+              action: trigger.action,
+              created_at: trigger.created_at,
+              id: trigger.id,
+            };
+          }),
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
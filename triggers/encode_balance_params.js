@@ -0,0 +1,50 @@
+const {encodeBigSize} = require('bolt01');
+const {encodeTlvStream} = require('bolt01');
+const {rawChanId} = require('bolt07');
+
+const isChannel = n => !!n && /^\d*x\d*x\d*$/.test(n);
+const isPercent = n => Number.isInteger(n) && n > 0 && n < 100;
+const typeChannelId = '1';
+const typePercent = '2';
+
+/** Encode the channel balance threshold params
+
+  [0]: <Version>
+  1: <Channel Id>
+  2: <Local Balance Percent Threshold>
+
+  {
+    channel: <Standard Format Channel Id String>
+    percent: <Local Balance Percent of Capacity Threshold Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    encoded: <Trigger Parameters Hex String>
+  }
+*/
+module.exports = ({channel, percent}) => {
+  if (!isChannel(channel)) {
+    throw new Error('ExpectedChannelIdToEncodeBalanceParams');
+  }
+
+  if (!isPercent(percent)) {
+    throw new Error('ExpectedPercentThresholdToEncodeBalanceParams');
+  }
+
+  return encodeTlvStream({
+    records: [
+      {
+        type: typeChannelId,
+        value: rawChanId({channel}).id,
+      },
+      {
+        type: typePercent,
+        value: encodeBigSize({number: percent.toString()}).encoded,
+      },
+    ],
+  });
+};
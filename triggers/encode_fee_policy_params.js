@@ -0,0 +1,29 @@
+const {encodeTlvStream} = require('bolt01');
+
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const typeNodeId = '1';
+
+/** Encode the peer fee policy params
+
+  [0]: <Version>
+  1: <Node Id>
+
+  {
+    id: <Node Identity Public Key Hex String>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    encoded: <Trigger Parameters Hex String>
+  }
+*/
+module.exports = ({id}) => {
+  if (!isPublicKey(id)) {
+    throw new Error('ExpectedPublicKeyToEncodeFeePolicyParams');
+  }
+
+  return encodeTlvStream({records: [{type: typeNodeId, value: id}]});
+};
@@ -0,0 +1,53 @@
+const {encodeBigSize} = require('bolt01');
+const {encodeTlvStream} = require('bolt01');
+const {rawChanId} = require('bolt07');
+
+const asBigSize = number => encodeBigSize({number: number.toString()}).encoded;
+const isChannel = n => !!n && /^\d*x\d*x\d*$/.test(n);
+const isPositive = n => Number.isInteger(n) && n > 0;
+const typeChannelId = '1';
+const typeCount = '2';
+const typeMinutes = '3';
+
+/** Encode the forward failures params
+
+  [0]: <Version>
+  1: <Channel Id>
+  2: <Failures Count>
+  3: <Window Minutes>
+
+  {
+    channel: <Standard Format Channel Id String>
+    count: <Failures Count Threshold Number>
+    minutes: <Failures Window Minutes Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    encoded: <Trigger Parameters Hex String>
+  }
+*/
+module.exports = ({channel, count, minutes}) => {
+  if (!isChannel(channel)) {
+    throw new Error('ExpectedChannelIdToEncodeForwardFailuresParams');
+  }
+
+  if (!isPositive(count)) {
+    throw new Error('ExpectedFailuresCountToEncodeForwardFailuresParams');
+  }
+
+  if (!isPositive(minutes)) {
+    throw new Error('ExpectedWindowMinutesToEncodeForwardFailuresParams');
+  }
+
+  return encodeTlvStream({
+    records: [
+      {type: typeChannelId, value: rawChanId({channel}).id},
+      {type: typeCount, value: asBigSize(count)},
+      {type: typeMinutes, value: asBigSize(minutes)},
+    ],
+  });
+};
@@ -0,0 +1,34 @@
+const {encodeBigSize} = require('bolt01');
+const {encodeTlvStream} = require('bolt01');
+
+const isTokens = n => Number.isInteger(n) && n >= 0;
+const typeMinCapacity = '1';
+
+/** Encode the inbound channel request params
+
+  [0]: <Version>
+  1: <Minimum Capacity>
+
+  {
+    min_capacity: <Minimum Channel Capacity Tokens Number>
+  }
+
+  @throws
+  <Error>
+
+  @returns
+  {
+    encoded: <Trigger Parameters Hex String>
+  }
+*/
+module.exports = args => {
+  if (!isTokens(args.min_capacity)) {
+    throw new Error('ExpectedMinCapacityToEncodeInboundChannelParams');
+  }
+
+  const number = args.min_capacity.toString();
+
+  return encodeTlvStream({
+    records: [{type: typeMinCapacity, value: encodeBigSize({number}).encoded}],
+  });
+};
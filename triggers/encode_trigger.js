@@ -1,10 +1,18 @@
 const {encodeTlvStream} = require('bolt01');
 
+const encodeBalanceParams = require('./encode_balance_params');
 const encodeConnectivityParams = require('./encode_connectivity_params');
+const encodeFeePolicyParams = require('./encode_fee_policy_params');
 const encodeFollowParams = require('./encode_follow_params');
+const encodeForwardFailuresParams = require('./encode_forward_failures_params');
+const encodeInboundChannelParams = require('./encode_inbound_channel_params');
 
 const hexAsBase64 = hex => Buffer.from(hex, 'hex').toString('base64');
+const methodBalance = '02';
 const methodConnectivity = '01';
+const methodFeePolicy = '03';
+const methodForwardFailures = '04';
+const methodInboundChannel = '05';
 const triggerPrefix = 'bos-trigger:';
 const typeTriggerMethod = '1';
 const typeTriggerParameters = '2';
@@ -18,12 +26,27 @@ const version = '01';
   [2]: <Parameters>
 
   {
+    [balance]: {
+      channel: <Standard Format Channel Id String>
+      percent: <Local Balance Percent of Capacity Threshold Number>
+    }
     [connectivity]: {
       id: <Node Id Hex String>
     }
+    [fee_policy]: {
+      id: <Node Id Hex String>
+    }
     [follow]: {
       id: <Node Id Hex String>
     }
+    [forward_failures]: {
+      channel: <Standard Format Channel Id String>
+      count: <Failures Count Threshold Number>
+      minutes: <Failures Window Minutes Number>
+    }
+    [inbound_channel]: {
+      min_capacity: <Minimum Channel Capacity Tokens Number>
+    }
   }
 
   @throws
@@ -34,22 +57,52 @@ const version = '01';
     encoded: <Encoded Trigger String>
   }
 */
-module.exports = ({connectivity, follow}) => {
-  if (!connectivity && !follow) {
-    throw new Error('ExpectedConnectivityOrFollowDetailsToEncodeTrigger');
+module.exports = args => {
+  const methods = [
+    {
+      details: args.balance,
+      encode: details => encodeBalanceParams(details),
+      method: methodBalance,
+    },
+    {
+      details: args.connectivity,
+      encode: details => encodeConnectivityParams(details),
+      method: methodConnectivity,
+    },
+    {
+      details: args.fee_policy,
+      encode: details => encodeFeePolicyParams(details),
+      method: methodFeePolicy,
+    },
+    {
+      details: args.forward_failures,
+      encode: details => encodeForwardFailuresParams(details),
+      method: methodForwardFailures,
+    },
+    {
+      details: args.inbound_channel,
+      encode: details => encodeInboundChannelParams(details),
+      method: methodInboundChannel,
+    },
+  ];
+
+  const trigger = methods.find(n => !!n.details);
+
+  if (!trigger && !args.follow) {
+    throw new Error('ExpectedTriggerDetailsToEncodeTrigger');
   }
 
-  if (!!connectivity) {
-    // Encode the trigger parameters for a connectivity trigger
+  if (!!trigger) {
+    // Encode the trigger parameters for a trigger with a method
     const {encoded} = encodeTlvStream({
       records: [
         {
           type: typeTriggerMethod,
-          value: methodConnectivity,
+          value: trigger.method,
         },
         {
           type: typeTriggerParameters,
-          value: encodeConnectivityParams({id: connectivity.id}).encoded,
+          value: trigger.encode(trigger.details).encoded,
         },
         {
           type: typeVersion,
@@ -65,7 +118,7 @@ module.exports = ({connectivity, follow}) => {
   const {encoded} = encodeTlvStream({
     records: [{
       type: typeTriggerParameters,
-      value: encodeFollowParams({id: follow.id}).encoded,
+      value: encodeFollowParams({id: args.follow.id}).encoded,
     }],
   });
 
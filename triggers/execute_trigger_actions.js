@@ -0,0 +1,106 @@
+const asyncAuto = require('async/auto');
+const asyncEachSeries = require('async/eachSeries');
+const {returnResult} = require('asyncjs-util');
+
+const getTriggers = require('./get_triggers');
+const runTriggerAction = require('./run_trigger_action');
+
+const defaultIntervalMinutes = 10;
+const {isArray} = Array;
+const minutesAsMs = minutes => minutes * 1000 * 60;
+
+/** Execute the actions of the triggers that fired for an event
+
+  Actions are rate limited to one run per trigger in its interval
+
+  {
+    details: {
+      triggers: [<Trigger Id Hex String>]
+    }
+    event: <Trigger Event Name String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [is_dry_run]: <Log Actions Instead of Running Them Bool>
+    logger: <Winston Logger Object>
+    request: <Request Function>
+    runs: <Last Action Run Epoch Ms Number By Trigger Id Object>
+    spawn: <Spawn Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.details || !isArray(args.details.triggers)) {
+          return cbk([400, 'ExpectedTriggerIdsToExecuteTriggerActions']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToExecuteTriggerActions']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedWinstonLoggerToExecuteTriggerActions']);
+        }
+
+        if (!args.runs) {
+          return cbk([400, 'ExpectedRunsTrackingToExecuteTriggerActions']);
+        }
+
+        return cbk();
+      },
+
+      // Get the triggers to find their actions
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs: args.fs}, cbk)],
+
+      // Run the actions of the triggers
+      run: ['getTriggers', ({getTriggers}, cbk) => {
+        const fired = getTriggers.triggers
+          .filter(n => args.details.triggers.includes(n.id))
+          .filter(n => !!n.action);
+
+        return asyncEachSeries(fired, ({action, id}, cbk) => {
+          const isDefaultInterval = action.interval_minutes === undefined;
+          const lastRun = args.runs[id];
+
+          const interval = minutesAsMs(isDefaultInterval ?
+            defaultIntervalMinutes : action.interval_minutes);
+
+          // Exit early when the action already ran within its interval
+          if (!!lastRun && Date.now() - lastRun < interval) {
+            args.logger.info({rate_limited_trigger_action: id});
+
+            return cbk();
+          }
+
+          args.runs[id] = Date.now();
+
+          return runTriggerAction({
+            action,
+            details: args.details,
+            event: args.event,
+            fs: args.fs,
+            is_dry_run: args.is_dry_run,
+            logger: args.logger,
+            request: args.request,
+            spawn: args.spawn,
+          },
+          err => {
+            // A failing action should not stop the actions of other triggers
+            if (!!err) {
+              args.logger.error({trigger: id, trigger_action_error: err});
+            }
+
+            return cbk();
+          });
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,62 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const getTriggers = require('./get_triggers');
+
+const stringify = obj => JSON.stringify(obj, null, 2);
+
+/** Export triggers to a file
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    path: <Export To File Path String>
+  }
+
+  @returns via cbk or Promise
+  {
+    exported: <Exported Triggers Count Number>
+  }
+*/
+module.exports = ({fs, path}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToExportTriggers']);
+        }
+
+        if (!path) {
+          return cbk([400, 'ExpectedPathToExportTriggersTo']);
+        }
+
+        return cbk();
+      },
+
+      // Get the triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs}, cbk)],
+
+      // Write the triggers to the export file
+      write: ['getTriggers', ({getTriggers}, cbk) => {
+        const triggers = getTriggers.triggers.map(trigger => ({
+          action: trigger.action,
+          created_at: trigger.created_at,
+          encoded: trigger.encoded,
+          id: trigger.id,
+        }));
+
+        return fs.writeFile(path, stringify({triggers}), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorWritingTriggersExport', {err}]);
+          }
+
+          return cbk(null, {exported: triggers.length});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'write'}, cbk));
+  });
+};
@@ -1,93 +1,163 @@
 const asyncAuto = require('async/auto');
-const asyncUntil = require('async/until');
-const {getInvoices} = require('ln-service');
 const {returnResult} = require('asyncjs-util');
 
+const checkTriggerAction = require('./check_trigger_action');
 const decodeTrigger = require('./decode_trigger');
+const {homePath} = require('../storage');
 
-const defaultInvoicesLimit = 100;
+const {isArray} = Array;
+const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
+const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const missingFileCode = 'ENOENT';
+const {parse} = JSON;
+const triggersFilePath = () => homePath({file: 'triggers.json'}).path;
 
-/** Get registered triggers
+/** Get triggers from the triggers file
 
   {
-    lnd: <Authenticated LND API Object>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
   }
 
   @returns via cbk or Promise
   {
+    migrated: [<Migrated Invoice Triggers Node Public Key Hex String>]
     triggers: [{
+      [action]: {
+        [command]: {
+          args: [<Command Argument String>]
+          name: <Bos Command Name String>
+        }
+        [interval_minutes]: <Minimum Minutes Between Action Runs Number>
+        [telegram]: {
+          id: <Telegram Chat Id Number>
+        }
+        [webhook]: {
+          url: <HTTP URL to POST JSON Payload To String>
+        }
+      }
+      [balance]: {
+        channel: <Standard Format Channel Id String>
+        percent: <Local Balance Percent of Capacity Threshold Number>
+      }
       [connectivity]: {
         id: <Node Identity Public Key Hex String>
       }
+      created_at: <Created At ISO 8601 Date String>
+      encoded: <Encoded Trigger String>
+      [fee_policy]: {
+        id: <Node Identity Public Key Hex String>
+      }
       [follow]: {
         id: <Node Identity Public Key Hex String>
       }
+      [forward_failures]: {
+        channel: <Standard Format Channel Id String>
+        count: <Failures Count Threshold Number>
+        minutes: <Failures Window Minutes Number>
+      }
       id: <Trigger Id Hex String>
+      [inbound_channel]: {
+        min_capacity: <Minimum Channel Capacity Tokens Number>
+      }
     }]
   }
 */
-module.exports = ({lnd}, cbk) => {
+module.exports = ({fs}, cbk) => {
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
       validate: cbk => {
-        if (!lnd) {
-          return cbk([400, 'ExpectedAuthenticatedLndToGetTriggers']);
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToGetTriggers']);
         }
 
         return cbk();
       },
 
-      // Get the past triggers
-      getTriggers: ['validate', ({}, cbk) => {
-        let token;
-        const triggers = [];
-
-        // Register past trigger invoices
-        return asyncUntil(
-          cbk => cbk(null, token === false),
-          cbk => {
-            return getInvoices({
-              lnd,
-              token,
-              is_unconfirmed: true,
-              limit: !token ? defaultInvoicesLimit : undefined,
-            },
-            (err, res) => {
-              if (!!err) {
-                return cbk(err);
-              }
-
-              token = res.next || false;
-
-              res.invoices.forEach(({description, id}) => {
-                try {
-                  const trigger = decodeTrigger({encoded: description});
-
-                  return triggers.push({
-                    id,
-                    connectivity: trigger.connectivity,
-                    follow: trigger.follow,
-                  });
-                } catch (err) {
-                  // Ignore invoices that are not triggers
-                  return;
-                }
-              });
-
-              return cbk();
-            });
-          },
-          err => {
-            if (!!err) {
-              return cbk(err);
-            }
-
-            return cbk(null, triggers);
-          },
-        );
+      // Get the triggers file
+      getFile: ['validate', ({}, cbk) => {
+        return fs.getFile(triggersFilePath(), (err, res) => {
+          // Exit early when there's no triggers file yet
+          if (!!err && err.code === missingFileCode) {
+            return cbk(null, {migrated: [], triggers: []});
+          }
+
+          if (!!err) {
+            return cbk([503, 'FailedToReadTriggersFile', {err}]);
+          }
+
+          // Exit early when the triggers file is empty
+          if (!res) {
+            return cbk(null, {migrated: [], triggers: []});
+          }
+
+          let file;
+
+          try {
+            file = parse(res.toString());
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonTriggersFile', {err}]);
+          }
+
+          if (!isArray(file.triggers)) {
+            return cbk([400, 'ExpectedTriggersArrayInTriggersFile']);
+          }
+
+          if (!!file.migrated && !isArray(file.migrated)) {
+            return cbk([400, 'ExpectedArrayOfMigratedNodesInTriggersFile']);
+          }
+
+          if (!!(file.migrated || []).filter(n => !isPublicKey(n)).length) {
+            return cbk([400, 'ExpectedPublicKeysForMigratedTriggerNodes']);
+          }
+
+          return cbk(null, {
+            migrated: file.migrated || [],
+            triggers: file.triggers,
+          });
+        });
+      }],
+
+      // Decode the stored triggers
+      triggers: ['getFile', ({getFile}, cbk) => {
+        if (!!getFile.triggers.find(n => !n || !isHash(n.id))) {
+          return cbk([400, 'ExpectedIdForEachTriggerInTriggersFile']);
+        }
+
+        try {
+          getFile.triggers
+            .filter(n => !!n.action)
+            .forEach(({action}) => checkTriggerAction({action}));
+        } catch (err) {
+          return cbk([400, 'ExpectedValidActionInTriggersFile', {err}]);
+        }
+
+        try {
+          const triggers = getFile.triggers.map(trigger => {
+            const decoded = decodeTrigger({encoded: trigger.encoded});
+
+            return {
+              action: trigger.action,
+              balance: decoded.balance,
+              connectivity: decoded.connectivity,
+              created_at: trigger.created_at,
+              encoded: trigger.encoded,
+              fee_policy: decoded.fee_policy,
+              follow: decoded.follow,
+              forward_failures: decoded.forward_failures,
+              id: trigger.id,
+              inbound_channel: decoded.inbound_channel,
+            };
+          });
+
+          return cbk(null, {triggers, migrated: getFile.migrated});
+        } catch (err) {
+          return cbk([400, 'ExpectedValidEncodedTriggerInTriggersFile', {err}]);
+        }
       }],
     },
-    returnResult({reject, resolve, of: 'getTriggers'}, cbk));
+    returnResult({reject, resolve, of: 'triggers'}, cbk));
   });
 };
@@ -0,0 +1,125 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const checkTriggerAction = require('./check_trigger_action');
+const decodeTrigger = require('./decode_trigger');
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+const {isArray} = Array;
+const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
+const {parse} = JSON;
+
+/** Import triggers from an exported triggers file
+
+  Triggers that are already present in the triggers file are skipped
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    path: <Import From File Path String>
+  }
+
+  @returns via cbk or Promise
+  {
+    imported: <Imported Triggers Count Number>
+  }
+*/
+module.exports = ({fs, path}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToImportTriggers']);
+        }
+
+        if (!path) {
+          return cbk([400, 'ExpectedPathToImportTriggersFrom']);
+        }
+
+        return cbk();
+      },
+
+      // Read the file to import
+      getImport: ['validate', ({}, cbk) => {
+        return fs.getFile(path, (err, res) => {
+          if (!!err || !res) {
+            return cbk([400, 'FailedToReadTriggersImportFile', {err}]);
+          }
+
+          try {
+            parse(res.toString());
+          } catch (err) {
+            return cbk([400, 'ExpectedValidJsonTriggersImportFile', {err}]);
+          }
+
+          const {triggers} = parse(res.toString());
+
+          if (!isArray(triggers)) {
+            return cbk([400, 'ExpectedArrayOfTriggersInTriggersImportFile']);
+          }
+
+          if (!!triggers.find(n => !n || !isHash(n.id))) {
+            return cbk([400, 'ExpectedIdForEachTriggerInTriggersImportFile']);
+          }
+
+          try {
+            triggers.forEach(({encoded}) => decodeTrigger({encoded}));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidEncodedTriggerToImport', {err}]);
+          }
+
+          try {
+            triggers
+              .filter(n => !!n.action)
+              .forEach(({action}) => checkTriggerAction({action}));
+          } catch (err) {
+            return cbk([400, 'ExpectedValidTriggerActionToImport', {err}]);
+          }
+
+          return cbk(null, triggers);
+        });
+      }],
+
+      // Get the existing triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs}, cbk)],
+
+      // Add the imported triggers to the triggers file
+      add: ['getImport', 'getTriggers', ({getImport, getTriggers}, cbk) => {
+        const ids = getTriggers.triggers.map(n => n.id);
+
+        const imported = getImport.filter(n => !ids.includes(n.id));
+
+        // Exit early when there is nothing new to import
+        if (!imported.length) {
+          return cbk(null, {imported: imported.length});
+        }
+
+        const triggers = imported.map(trigger => ({
+          action: trigger.action,
+          created_at: trigger.created_at || new Date().toISOString(),
+          encoded: trigger.encoded,
+          id: trigger.id,
+        }));
+
+        return putTriggers({
+          fs,
+          migrated: getTriggers.migrated,
+          triggers: getTriggers.triggers.concat(triggers),
+        },
+        err => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {imported: imported.length});
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'add'}, cbk));
+  });
+};
@@ -1,3 +1,11 @@
+const describeTriggerEvent = require('./describe_trigger_event');
 const manageTriggers = require('./manage_triggers');
+const migrateInvoiceTriggers = require('./migrate_invoice_triggers');
+const subscribeToTriggers = require('./subscribe_to_triggers');
 
-module.exports = {manageTriggers};
+module.exports = {
+  describeTriggerEvent,
+  manageTriggers,
+  migrateInvoiceTriggers,
+  subscribeToTriggers,
+};
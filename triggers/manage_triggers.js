@@ -1,30 +1,69 @@
 const asyncAuto = require('async/auto');
-const {cancelHodlInvoice} = require('ln-service');
 const {returnResult} = require('asyncjs-util');
 
-const createConnectivityTrigger = require('./create_connectivity_trigger');
-const createFollowNodeTrigger = require('./create_follow_node_trigger');
+const askForTrigger = require('./ask_for_trigger');
+const askForTriggerAction = require('./ask_for_trigger_action');
+const {kinds} = require('./constants');
+const createTrigger = require('./create_trigger');
+const deleteTrigger = require('./delete_trigger');
+const describeTrigger = require('./describe_trigger');
+const editTrigger = require('./edit_trigger');
+const executeTriggerActions = require('./execute_trigger_actions');
+const exportTriggers = require('./export_triggers');
 const getTriggers = require('./get_triggers');
+const importTriggers = require('./import_triggers');
+const migrateInvoiceTriggers = require('./migrate_invoice_triggers');
+const setTriggerAction = require('./set_trigger_action');
 const subscribeToTriggers = require('./subscribe_to_triggers');
 
-const actionAddConnectivityTrigger = 'action-add-connectivity-trigger';
-const actionAddFollowTrigger = 'action-add-follow-trigger';
+const actionAddTrigger = kind => `action-add-${kind}-trigger`;
 const actionDeleteTrigger = 'action-delete-trigger';
+const actionEditTrigger = 'action-edit-trigger';
+const actionExportTriggers = 'action-export-triggers';
+const actionImportTriggers = 'action-import-triggers';
 const actionListTriggers = 'action-list-triggers';
+const actionSetTriggerAction = 'action-set-trigger-action';
 const actionSubscribeToTriggers = 'action-subscribe-to-triggers';
-const isPublicKey = n => !!n && /^0[2-3][0-9A-F]{64}$/i.test(n);
+const addTriggers = [
+  {kind: 'connectivity', name: 'Add Node Connectivity Trigger'},
+  {kind: 'follow', name: 'Add Follow Node Trigger'},
+  {kind: 'balance', name: 'Add Channel Balance Trigger'},
+  {kind: 'fee_policy', name: 'Add Peer Fee Policy Trigger'},
+  {kind: 'forward_failures', name: 'Add Forward Failures Trigger'},
+  {kind: 'inbound_channel', name: 'Add Inbound Channel Trigger'},
+];
+const {assign} = Object;
+const events = [
+  'channel_balance',
+  'channel_opened',
+  'channel_request',
+  'fee_policy_updated',
+  'forward_failures',
+  'peer_connected',
+  'peer_disconnected',
+];
 
 /** Manage trigger actions
 
   {
     ask: <Ask Function>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    [is_dry_run]: <Log Trigger Actions Instead of Running Them Bool>
     lnd: <Authenticated LND API Object>
     logger: <Winston Logger Object>
+    request: <Request Function>
+    spawn: <Spawn Function>
   }
 
   @returns via cbk or Promise
 */
-module.exports = ({ask, lnd, logger}, cbk) => {
+module.exports = (args, cbk) => {
+  const {ask, fs, lnd, logger} = args;
+
   return new Promise((resolve, reject) => {
     return asyncAuto({
       // Check arguments
@@ -33,6 +72,10 @@ module.exports = ({ask, lnd, logger}, cbk) => {
           return cbk([400, 'ExpectedAskFunctionToManageTriggers']);
         }
 
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToManageTriggers']);
+        }
+
         if (!lnd) {
           return cbk([400, 'ExpectedAuthenticatedLndToManageTriggers']);
         }
@@ -41,21 +84,43 @@ module.exports = ({ask, lnd, logger}, cbk) => {
           return cbk([400, 'ExpectedWinstonLoggerToManageTriggers']);
         }
 
+        if (!args.request) {
+          return cbk([400, 'ExpectedRequestFunctionToManageTriggers']);
+        }
+
+        if (!args.spawn) {
+          return cbk([400, 'ExpectedSpawnFunctionToManageTriggers']);
+        }
+
         return cbk();
       },
 
+      // Move triggers that are encoded in invoices to the triggers file
+      migrate: ['validate', ({}, cbk) => {
+        return migrateInvoiceTriggers({fs, lnd}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          // Exit early when there were no invoice triggers to migrate
+          if (!res.migrated) {
+            return cbk();
+          }
+
+          logger.info({migrated_invoice_triggers: res.migrated});
+
+          return cbk();
+        });
+      }],
+
       // Select trigger action
-      selectAction: ['validate', ({}, cbk) => {
+      selectAction: ['migrate', ({}, cbk) => {
         return ask({
-          choices: [
-            {
-              name: 'Add Node Connectivity Trigger',
-              value: actionAddConnectivityTrigger,
-            },
-            {
-              name: 'Add Follow Node Trigger',
-              value: actionAddFollowTrigger,
-            },
+          choices: addTriggers.map(({kind, name}) => ({
+            name,
+            value: actionAddTrigger(kind),
+          }))
+          .concat([
             {
               name: 'View Triggers',
               value: actionListTriggers,
@@ -64,7 +129,15 @@ module.exports = ({ask, lnd, logger}, cbk) => {
               name: 'Subscribe to Triggers',
               value: actionSubscribeToTriggers,
             },
-          ],
+            {
+              name: 'Export Triggers',
+              value: actionExportTriggers,
+            },
+            {
+              name: 'Import Triggers',
+              value: actionImportTriggers,
+            },
+          ]),
           message: 'Trigger action?',
           name: 'action',
           type: 'list',
@@ -72,56 +145,36 @@ module.exports = ({ask, lnd, logger}, cbk) => {
         ({action}) => cbk(null, action));
       }],
 
-      // Ask for details about a new connectivity trigger
-      askForConnectivityTrigger: ['selectAction', ({selectAction}, cbk) => {
+      // Ask for details about a new trigger
+      askForNewTrigger: ['selectAction', ({selectAction}, cbk) => {
+        const add = addTriggers.find(({kind}) => {
+          return actionAddTrigger(kind) === selectAction;
+        });
+
         // Exit early when not adding a trigger
-        if (selectAction !== actionAddConnectivityTrigger) {
+        if (!add) {
           return cbk();
         }
 
-        return ask({
-          message: 'Node public key to watch connectivity with?',
-          name: 'id',
-          type: 'input',
-          validate: input => {
-            if (!input) {
-              return false;
-            }
-
-            if (!isPublicKey(input)) {
-              return 'Enter a node identity public key';
-            }
-
-            return true;
-          },
-        },
-        ({id}) => cbk(null, id));
+        return askForTrigger({ask, kind: add.kind}, cbk);
       }],
 
-      // Ask for details about a new follow trigger
-      askForFollowTrigger: ['selectAction', ({selectAction}, cbk) => {
-        // Exit early when not adding a trigger
-        if (selectAction !== actionAddFollowTrigger) {
+      // Ask for the path of a file to export to or import from
+      askForPath: ['selectAction', ({selectAction}, cbk) => {
+        const isExport = selectAction === actionExportTriggers;
+
+        // Exit early when not exporting or importing
+        if (!isExport && selectAction !== actionImportTriggers) {
           return cbk();
         }
 
         return ask({
-          message: 'Node public key to follow?',
-          name: 'id',
+          message: `Path of file to ${isExport ? 'export to' : 'import'}?`,
+          name: 'path',
           type: 'input',
-          validate: input => {
-            if (!input) {
-              return false;
-            }
-
-            if (!isPublicKey(input)) {
-              return 'Enter a node identity public key to follow';
-            }
-
-            return true;
-          },
+          validate: input => !!input,
         },
-        ({id}) => cbk(null, id));
+        ({path}) => cbk(null, path));
       }],
 
       // Get the list of triggers
@@ -131,54 +184,103 @@ module.exports = ({ask, lnd, logger}, cbk) => {
           return cbk();
         }
 
-        logger.info({finding_triggers: true});
+        return getTriggers({fs}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
 
-        return getTriggers({lnd}, cbk);
+          return cbk(null, res.triggers);
+        });
       }],
 
-      // Subscribe to triggers
-      subscribeToTriggers: ['selectAction', ({selectAction}, cbk) => {
-        // Exit early when not subscribing
-        if (selectAction !== actionSubscribeToTriggers) {
+      // Export triggers to a file
+      exportTriggers: [
+        'askForPath',
+        'selectAction',
+        ({askForPath, selectAction}, cbk) =>
+      {
+        // Exit early when not exporting triggers
+        if (selectAction !== actionExportTriggers) {
           return cbk();
         }
 
-        const sub = subscribeToTriggers({lnds: [lnd]});
+        return exportTriggers({fs, path: askForPath}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
 
-        sub.on('channel_opened', opened => logger.info({opened}));
-        sub.on('peer_connected', connected => logger.info({connected}));
-        sub.on('peer_disconnected', disconnect => logger.info({disconnect}));
-        sub.on('error', err => cbk(err));
+          logger.info(res);
 
-        return logger.info({listening_for_trigger_events: true});
+          return cbk();
+        });
       }],
 
-      // Create a new connectivity trigger
-      createConnectivityTrigger: [
-        'askForConnectivityTrigger',
-        ({askForConnectivityTrigger}, cbk) =>
+      // Import triggers from a file
+      importTriggers: [
+        'askForPath',
+        'selectAction',
+        ({askForPath, selectAction}, cbk) =>
       {
-        if (!askForConnectivityTrigger) {
+        // Exit early when not importing triggers
+        if (selectAction !== actionImportTriggers) {
           return cbk();
         }
 
-        return createConnectivityTrigger({
-          lnd,
-          id: askForConnectivityTrigger,
-        },
-        cbk);
+        return importTriggers({fs, path: askForPath}, (err, res) => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          logger.info(res);
+
+          return cbk();
+        });
       }],
 
-      // Create a new follow trigger
-      createFollowTrigger: [
-        'askForFollowTrigger',
-        ({askForFollowTrigger}, cbk) =>
-      {
-        if (!askForFollowTrigger) {
+      // Subscribe to triggers
+      subscribeToTriggers: ['selectAction', ({selectAction}, cbk) => {
+        // Exit early when not subscribing
+        if (selectAction !== actionSubscribeToTriggers) {
           return cbk();
         }
 
-        return createFollowNodeTrigger({lnd, id: askForFollowTrigger}, cbk);
+        const runs = {};
+        const sub = subscribeToTriggers({fs, lnds: [lnd]});
+
+        events.forEach(event => {
+          return sub.on(event, details => {
+            logger.info({[event]: details});
+
+            return executeTriggerActions({
+              details,
+              event,
+              fs,
+              logger,
+              runs,
+              is_dry_run: args.is_dry_run,
+              request: args.request,
+              spawn: args.spawn,
+            },
+            err => !!err ? logger.error({err}) : null);
+          });
+        });
+
+        sub.on('error', err => cbk(err));
+
+        return logger.info({
+          is_dry_run: !!args.is_dry_run,
+          listening_for_trigger_events: true,
+        });
+      }],
+
+      // Create a new trigger
+      createTrigger: ['askForNewTrigger', ({askForNewTrigger}, cbk) => {
+        // Exit early when not adding a trigger
+        if (!askForNewTrigger) {
+          return cbk();
+        }
+
+        return createTrigger(assign({fs}, askForNewTrigger), cbk);
       }],
 
       // Select a trigger from the list
@@ -192,19 +294,10 @@ module.exports = ({ask, lnd, logger}, cbk) => {
         }
 
         return ask({
-          choices: getTriggers.map(({connectivity, follow, id}) => {
-            if (!!connectivity) {
-              return {
-                name: `Connectivity with ${connectivity.id}`,
-                value: id,
-              };
-            } else {
-              return {
-                name: `Following ${follow.id}`,
-                value: id,
-              };
-            }
-          }),
+          choices: getTriggers.map(trigger => ({
+            name: describeTrigger({trigger}).description,
+            value: trigger.id,
+          })),
           message: 'Triggers:',
           name: 'view',
           type: 'list',
@@ -220,22 +313,93 @@ module.exports = ({ask, lnd, logger}, cbk) => {
         }
 
         return ask({
-          choices: [{name: 'Delete Trigger', value: actionDeleteTrigger}],
+          choices: [
+            {name: 'Edit Trigger', value: actionEditTrigger},
+            {name: 'Set Trigger Action', value: actionSetTriggerAction},
+            {name: 'Delete Trigger', value: actionDeleteTrigger},
+          ],
           message: 'Action?',
           name: 'modify',
           type: 'list',
         },
-        ({modify}) => cbk(null, selectTrigger));
+        ({modify}) => cbk(null, {action: modify, id: selectTrigger}));
+      }],
+
+      // Ask for the updated details of a trigger
+      askForEdit: [
+        'getTriggers',
+        'triggerAction',
+        ({getTriggers, triggerAction}, cbk) =>
+      {
+        // Exit early when not editing a trigger
+        if (!triggerAction || triggerAction.action !== actionEditTrigger) {
+          return cbk();
+        }
+
+        const trigger = getTriggers.find(n => n.id === triggerAction.id);
+
+        const kind = kinds.find(kind => !!trigger[kind]);
+
+        return askForTrigger({ask, kind, trigger}, cbk);
+      }],
+
+      // Edit a trigger
+      editTrigger: [
+        'askForEdit',
+        'triggerAction',
+        ({askForEdit, triggerAction}, cbk) =>
+      {
+        // Exit early when not editing a trigger
+        if (!askForEdit) {
+          return cbk();
+        }
+
+        return editTrigger(assign({fs, id: triggerAction.id}, askForEdit), cbk);
+      }],
+
+      // Ask for the action to take when a trigger fires
+      askForAction: [
+        'getTriggers',
+        'triggerAction',
+        ({getTriggers, triggerAction}, cbk) =>
+      {
+        // Exit early when not setting a trigger action
+        if (!triggerAction || triggerAction.action !== actionSetTriggerAction) {
+          return cbk();
+        }
+
+        const trigger = getTriggers.find(n => n.id === triggerAction.id);
+
+        return askForTriggerAction({ask, trigger}, cbk);
+      }],
+
+      // Set the action of a trigger
+      setAction: [
+        'askForAction',
+        'triggerAction',
+        ({askForAction, triggerAction}, cbk) =>
+      {
+        // Exit early when not setting a trigger action
+        if (!askForAction) {
+          return cbk();
+        }
+
+        return setTriggerAction({
+          fs,
+          action: askForAction.action,
+          id: triggerAction.id,
+        },
+        cbk);
       }],
 
       // Delete a trigger
       deleteTrigger: ['triggerAction', ({triggerAction}, cbk) => {
         // Exit early when not deleting a triger
-        if (!triggerAction) {
+        if (!triggerAction || triggerAction.action !== actionDeleteTrigger) {
           return cbk();
         }
 
-        return cancelHodlInvoice({lnd, id: triggerAction}, cbk);
+        return deleteTrigger({fs, id: triggerAction.id}, cbk);
       }],
     },
     returnResult({reject, resolve}, cbk));
@@ -0,0 +1,156 @@
+const asyncAuto = require('async/auto');
+const asyncEachSeries = require('async/eachSeries');
+const {cancelHodlInvoice} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {returnResult} = require('asyncjs-util');
+
+const encodeTrigger = require('./encode_trigger');
+const getInvoiceTriggers = require('./get_invoice_triggers');
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+/** Move triggers encoded into hold invoices over to the triggers file
+
+  The migration happens once per node: the trigger invoices are canceled once
+  their triggers are in the triggers file.
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    lnd: <Authenticated LND API Object>
+  }
+
+  @returns via cbk or Promise
+  {
+    migrated: <Migrated Triggers Count Number>
+  }
+*/
+module.exports = ({fs, lnd}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToMigrateTriggers']);
+        }
+
+        if (!lnd) {
+          return cbk([400, 'ExpectedAuthenticatedLndToMigrateTriggers']);
+        }
+
+        return cbk();
+      },
+
+      // Get the node identity to mark the migration as done for
+      getIdentity: ['validate', ({}, cbk) => getIdentity({lnd}, cbk)],
+
+      // Get the triggers in the triggers file
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs}, cbk)],
+
+      // Check if the migration is already done
+      isMigrated: [
+        'getIdentity',
+        'getTriggers',
+        ({getIdentity, getTriggers}, cbk) =>
+      {
+        return cbk(null, getTriggers.migrated.includes(getIdentity.public_key));
+      }],
+
+      // Get the triggers encoded in invoices
+      getInvoiceTriggers: ['isMigrated', ({isMigrated}, cbk) => {
+        // Exit early when the migration is already done
+        if (!!isMigrated) {
+          return cbk(null, []);
+        }
+
+        return getInvoiceTriggers({lnd}, cbk);
+      }],
+
+      // Add the invoice triggers to the triggers file
+      addTriggers: [
+        'getInvoiceTriggers',
+        'getTriggers',
+        ({getInvoiceTriggers, getTriggers}, cbk) =>
+      {
+        const ids = getTriggers.triggers.map(n => n.id);
+
+        const added = getInvoiceTriggers
+          .filter(n => !ids.includes(n.id))
+          .map(trigger => ({
+            created_at: trigger.created_at,
+            encoded: encodeTrigger({
+              connectivity: trigger.connectivity,
+              follow: trigger.follow,
+            }).encoded,
+            id: trigger.id,
+          }));
+
+        // Exit early when there are no new triggers to add
+        if (!added.length) {
+          return cbk(null, getTriggers.triggers);
+        }
+
+        const triggers = getTriggers.triggers.concat(added);
+
+        return putTriggers({
+          fs,
+          triggers,
+          migrated: getTriggers.migrated,
+        },
+        err => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, triggers);
+        });
+      }],
+
+      // Cancel the trigger invoices now that the triggers are in the file
+      cancelInvoices: [
+        'addTriggers',
+        'getInvoiceTriggers',
+        ({getInvoiceTriggers}, cbk) =>
+      {
+        return asyncEachSeries(getInvoiceTriggers, ({id}, cbk) => {
+          return cancelHodlInvoice({id, lnd}, cbk);
+        },
+        cbk);
+      }],
+
+      // Mark the migration as done for the node
+      markMigrated: [
+        'addTriggers',
+        'cancelInvoices',
+        'getIdentity',
+        'getTriggers',
+        'isMigrated',
+        ({addTriggers, getIdentity, getTriggers, isMigrated}, cbk) =>
+      {
+        // Exit early when the migration was already done
+        if (!!isMigrated) {
+          return cbk(null, {migrated: 0});
+        }
+
+        return putTriggers({
+          fs,
+          migrated: getTriggers.migrated.concat(getIdentity.public_key),
+          triggers: addTriggers,
+        },
+        err => {
+          if (!!err) {
+            return cbk(err);
+          }
+
+          return cbk(null, {
+            migrated: addTriggers.length - getTriggers.triggers.length,
+          });
+        });
+      }],
+    },
+    returnResult({reject, resolve, of: 'markMigrated'}, cbk));
+  });
+};
@@ -0,0 +1,58 @@
+const allowedProtocols = ['http:', 'https:'];
+const isSuccessCode = code => code >= 200 && code < 300;
+const jsonContentType = 'application/json';
+const requestTimeoutMs = 1000 * 10;
+const {stringify} = JSON;
+
+/** POST a JSON payload to a webhook URL
+
+  {
+    payload: <JSON Payload Object>
+    request: <Request Function>
+    url: <HTTP or HTTPS URL String>
+  }
+
+  @returns via cbk
+*/
+module.exports = ({payload, request, url}, cbk) => {
+  if (!payload) {
+    return cbk([400, 'ExpectedPayloadToPostToWebhook']);
+  }
+
+  if (!request) {
+    return cbk([400, 'ExpectedRequestFunctionToPostToWebhook']);
+  }
+
+  if (!url) {
+    return cbk([400, 'ExpectedUrlToPostToWebhook']);
+  }
+
+  try {
+    if (!allowedProtocols.includes(new URL(url).protocol)) {
+      return cbk([400, 'ExpectedHttpOrHttpsUrlToPostToWebhook']);
+    }
+  } catch (err) {
+    return cbk([400, 'ExpectedValidUrlToPostToWebhook', {err}]);
+  }
+
+  return request({
+    url,
+    body: stringify(payload),
+    headers: {'content-type': jsonContentType},
+    method: 'POST',
+    timeout: requestTimeoutMs,
+  },
+  (err, res) => {
+    if (!!err) {
+      return cbk([503, 'FailedToPostToWebhook', {err}]);
+    }
+
+    if (!res || !isSuccessCode(res.statusCode)) {
+      return cbk([503, 'UnexpectedWebhookResponseCode', {
+        code: !!res ? res.statusCode : undefined,
+      }]);
+    }
+
+    return cbk();
+  });
+};
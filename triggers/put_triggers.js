@@ -0,0 +1,91 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const {homePath} = require('../storage');
+
+const {isArray} = Array;
+const stringify = obj => JSON.stringify(obj, null, 2);
+const triggersFilePath = () => homePath({file: 'triggers.json'}).path;
+
+/** Write triggers to the triggers file
+
+  {
+    fs: {
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    migrated: [<Migrated Invoice Triggers Node Public Key Hex String>]
+    triggers: [{
+      [action]: {
+        [command]: {
+          args: [<Command Argument String>]
+          name: <Bos Command Name String>
+        }
+        [interval_minutes]: <Minimum Minutes Between Action Runs Number>
+        [telegram]: {
+          id: <Telegram Chat Id Number>
+        }
+        [webhook]: {
+          url: <HTTP URL to POST JSON Payload To String>
+        }
+      }
+      created_at: <Created At ISO 8601 Date String>
+      encoded: <Encoded Trigger String>
+      id: <Trigger Id Hex String>
+    }]
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({fs, migrated, triggers}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToPutTriggers']);
+        }
+
+        if (!isArray(migrated)) {
+          return cbk([400, 'ExpectedArrayOfMigratedNodesToPutTriggers']);
+        }
+
+        if (!isArray(triggers)) {
+          return cbk([400, 'ExpectedArrayOfTriggersToPutTriggers']);
+        }
+
+        return cbk();
+      },
+
+      // Register the home directory
+      registerHomeDir: ['validate', ({}, cbk) => {
+        return fs.makeDirectory(homePath({}).path, err => {
+          // Ignore errors, the directory may already be there
+          return cbk();
+        });
+      }],
+
+      // Write the triggers file
+      writeFile: ['registerHomeDir', ({}, cbk) => {
+        const file = {
+          migrated,
+          triggers: triggers.map(trigger => ({
+            action: trigger.action,
+            created_at: trigger.created_at,
+            encoded: trigger.encoded,
+            id: trigger.id,
+          })),
+        };
+
+        return fs.writeFile(triggersFilePath(), stringify(file), err => {
+          if (!!err) {
+            return cbk([503, 'UnexpectedErrorSavingTriggersFile', {err}]);
+          }
+
+          return cbk();
+        });
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
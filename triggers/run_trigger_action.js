@@ -0,0 +1,202 @@
+const {join} = require('path');
+
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const describeTriggerEvent = require('./describe_trigger_event');
+const {homePath} = require('../storage');
+const postWebhook = require('./post_webhook');
+
+const {assign} = Object;
+const bosPath = join(__dirname, '..', 'bos');
+const botKeyFile = 'telegram_bot_api_key';
+const sendMessageUrl = key => `https://api.telegram.org/bot${key}/sendMessage`;
+const {stringify} = JSON;
+
+/** Run the action of a trigger that fired
+
+  Commands run as a child bos process with the event in BOS_TRIGGER_EVENT
+
+  {
+    action: {
+      [command]: {
+        args: [<Command Argument String>]
+        name: <Bos Command Name String>
+      }
+      [telegram]: {
+        id: <Telegram Chat Id Number>
+      }
+      [webhook]: {
+        url: <HTTP URL to POST JSON Payload To String>
+      }
+    }
+    details: <Trigger Event Details Object>
+    event: <Trigger Event Name String>
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    [is_dry_run]: <Log Action Instead of Running It Bool>
+    logger: <Winston Logger Object>
+    request: <Request Function>
+    spawn: <Spawn Function>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = (args, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!args.action) {
+          return cbk([400, 'ExpectedActionToRunTriggerAction']);
+        }
+
+        if (!args.details) {
+          return cbk([400, 'ExpectedEventDetailsToRunTriggerAction']);
+        }
+
+        if (!args.event) {
+          return cbk([400, 'ExpectedEventNameToRunTriggerAction']);
+        }
+
+        if (!args.fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToRunTriggerAction']);
+        }
+
+        if (!args.logger) {
+          return cbk([400, 'ExpectedWinstonLoggerToRunTriggerAction']);
+        }
+
+        if (!args.request) {
+          return cbk([400, 'ExpectedRequestFunctionToRunTriggerAction']);
+        }
+
+        if (!args.spawn) {
+          return cbk([400, 'ExpectedSpawnFunctionToRunTriggerAction']);
+        }
+
+        return cbk();
+      },
+
+      // Log the action instead of running it on a dry run
+      dryRun: ['validate', ({}, cbk) => {
+        if (!args.is_dry_run) {
+          return cbk();
+        }
+
+        args.logger.info({dry_run_trigger_action: args.action});
+
+        return cbk();
+      }],
+
+      // Run a bos command
+      command: ['dryRun', ({}, cbk) => {
+        // Exit early when there is no command to run
+        if (!!args.is_dry_run || !args.action.command) {
+          return cbk();
+        }
+
+        const {name} = args.action.command;
+
+        const env = assign({}, process.env, {
+          BOS_TRIGGER_EVENT: stringify({
+            details: args.details,
+            event: args.event,
+          }),
+        });
+
+        const command = [bosPath, name].concat(args.action.command.args);
+
+        const child = args.spawn(process.execPath, command, {
+          env,
+          stdio: 'inherit',
+        });
+
+        let isFinished = false;
+
+        // A failure to start can be followed by a close event
+        const finished = err => {
+          if (!!isFinished) {
+            return;
+          }
+
+          isFinished = true;
+
+          return cbk(err);
+        };
+
+        child.on('error', err => {
+          return finished([503, 'FailedToStartTriggerActionCommand', {err}]);
+        });
+
+        child.on('close', code => {
+          if (!!code) {
+            return finished([503, 'TriggerActionCommandFailed', {code, name}]);
+          }
+
+          return finished();
+        });
+
+        return;
+      }],
+
+      // Post the event to a Telegram chat
+      telegram: ['dryRun', ({}, cbk) => {
+        // Exit early when there is no Telegram message to post
+        if (!!args.is_dry_run || !args.action.telegram) {
+          return cbk();
+        }
+
+        const path = homePath({file: botKeyFile}).path;
+
+        return args.fs.getFile(path, (err, res) => {
+          if (!!err || !res || !res.toString()) {
+            return cbk([400, 'ExpectedTelegramBotApiKeyToPostTriggerEvent']);
+          }
+
+          const {description} = describeTriggerEvent({
+            details: args.details,
+            event: args.event,
+          });
+
+          return args.request({
+            json: true,
+            qs: {
+              chat_id: args.action.telegram.id,
+              text: description || stringify(args.details),
+            },
+            url: sendMessageUrl(res.toString().trim()),
+          },
+          (err, r, body) => {
+            if (!!err) {
+              return cbk([503, 'FailedToPostTriggerEventToTelegram', {err}]);
+            }
+
+            if (!body || !body.ok) {
+              return cbk([503, 'UnexpectedTelegramResponseForTriggerEvent']);
+            }
+
+            return cbk();
+          });
+        });
+      }],
+
+      // Post the event to a webhook
+      webhook: ['dryRun', ({}, cbk) => {
+        // Exit early when there is no webhook to post to
+        if (!!args.is_dry_run || !args.action.webhook) {
+          return cbk();
+        }
+
+        return postWebhook({
+          payload: {details: args.details, event: args.event},
+          request: args.request,
+          url: args.action.webhook.url,
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -0,0 +1,95 @@
+const asyncAuto = require('async/auto');
+const {returnResult} = require('asyncjs-util');
+
+const checkTriggerAction = require('./check_trigger_action');
+const getTriggers = require('./get_triggers');
+const putTriggers = require('./put_triggers');
+
+const isHash = n => !!n && /^[0-9A-F]{64}$/i.test(n);
+
+/** Set or remove the action taken when a trigger fires
+
+  {
+    [action]: {
+      [command]: {
+        args: [<Command Argument String>]
+        name: <Bos Command Name String>
+      }
+      [interval_minutes]: <Minimum Minutes Between Action Runs Number>
+      [telegram]: {
+        id: <Telegram Chat Id Number>
+      }
+      [webhook]: {
+        url: <HTTP URL to POST JSON Payload To String>
+      }
+    }
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+      makeDirectory: <Make Directory Function> (path, cbk) => {}
+      writeFile: <Write File Contents Function> (path, contents, cbk) => {}
+    }
+    id: <Trigger Id Hex String>
+  }
+
+  @returns via cbk or Promise
+*/
+module.exports = ({action, fs, id}, cbk) => {
+  return new Promise((resolve, reject) => {
+    return asyncAuto({
+      // Check arguments
+      validate: cbk => {
+        if (!fs) {
+          return cbk([400, 'ExpectedFileSystemMethodsToSetTriggerAction']);
+        }
+
+        if (!isHash(id)) {
+          return cbk([400, 'ExpectedTriggerIdToSetTriggerAction']);
+        }
+
+        // Exit early when removing the action
+        if (!action) {
+          return cbk();
+        }
+
+        try {
+          checkTriggerAction({action});
+        } catch (err) {
+          return cbk([400, err.message]);
+        }
+
+        return cbk();
+      },
+
+      // Get the existing triggers
+      getTriggers: ['validate', ({}, cbk) => getTriggers({fs}, cbk)],
+
+      // Update the trigger action in the triggers file
+      setAction: ['getTriggers', ({getTriggers}, cbk) => {
+        // Exit early when there is no trigger to set the action of
+        if (!getTriggers.triggers.find(n => n.id === id)) {
+          return cbk([404, 'FailedToFindTriggerToSetActionFor']);
+        }
+
+        return putTriggers({
+          fs,
+          migrated: getTriggers.migrated,
+          triggers: getTriggers.triggers.map(trigger => {
+            // Exit early when this is not the trigger to set the action of
+            if (trigger.id !== id) {
+              return trigger;
+            }
+
+            return {
+              action,
+              created_at: trigger.created_at,
+              encoded: trigger.encoded,
+              id: trigger.id,
+            };
+          }),
+        },
+        cbk);
+      }],
+    },
+    returnResult({reject, resolve}, cbk));
+  });
+};
@@ -1,23 +1,60 @@
 const EventEmitter = require('events');
 
-const asyncUntil = require('async/until');
+const asyncEach = require('async/each');
 const {decodeChanId} = require('bolt07');
+const {getChannel} = require('ln-service');
+const {getChannels} = require('ln-service');
 const {getHeight} = require('ln-service');
-const {getInvoices} = require('ln-service');
+const {getIdentity} = require('ln-service');
+const {subscribeToChannels} = require('ln-service');
+const {subscribeToForwards} = require('ln-service');
 const {subscribeToGraph} = require('ln-service');
-const {subscribeToInvoice} = require('ln-service');
-const {subscribeToInvoices} = require('ln-service');
 const {subscribeToPeers} = require('ln-service');
-
-const decodeTrigger = require('./decode_trigger');
-
-const defaultInvoicesLimit = 100;
+const {subscribeToPendingChannels} = require('ln-sync');
+
+const getTriggers = require('./get_triggers');
+
+const events = [
+  'channel_balance',
+  'channel_opened',
+  'channel_request',
+  'fee_policy_updated',
+  'forward_failures',
+  'peer_connected',
+  'peer_disconnected',
+];
+const asOutpoint = n => `${n.transaction_id}:${n.transaction_vout}`;
 const {keys} = Object;
+const minutesAsMs = minutes => minutes * 1000 * 60;
+const refreshTriggersMs = 1000 * 60;
 
 /** Subscribe to trigger events
 
+  Triggers are read from the triggers file and re-read periodically to pick up
+  changes to the file
+
+  Channel balances are checked when triggers are re-read
+
+  Watching for inbound channels only starts when there is an inbound channel
+  trigger. Inbound channels are noticed when they are pending or when they
+  open without being seen as pending first
+
+  {
+    fs: {
+      getFile: <Read File Contents Function> (path, cbk) => {}
+    }
+    lnds: [<Authenticated LND API Object>]
+  }
+
+  @event 'channel_balance'
   {
-    lnds: <Authenticated LND API Object>
+    capacity: <Channel Capacity Tokens Number>
+    channel: <Standard Format Channel Id String>
+    is_above: <Local Balance Is Above Threshold Bool>
+    local_balance: <Local Balance Tokens Number>
+    partner_public_key: <Peer Public Key Hex String>
+    percent: <Local Balance Percent of Capacity Threshold Number>
+    triggers: [<Trigger Id Hex String>]
   }
 
   @event 'channel_opened'
@@ -25,39 +62,82 @@ const {keys} = Object;
     [capacity]: <Channel Token Capacity Number>
     id: <Standard Format Channel Id String>
     public_keys: [<Announcing Public Key>, <Target Public Key String>]
+    triggers: [<Trigger Id Hex String>]
+  }
+
+  @event 'channel_request'
+  {
+    capacity: <Channel Capacity Tokens Number>
+    is_private: <Channel Is Private Bool>
+    partner_public_key: <Peer Public Key Hex String>
+    transaction_id: <Channel Funding Transaction Id Hex String>
+    transaction_vout: <Channel Funding Transaction Output Index Number>
+    triggers: [<Trigger Id Hex String>]
+  }
+
+  @event 'fee_policy_updated'
+  {
+    base_fee_mtokens: <Base Fee Millitokens String>
+    channel: <Standard Format Channel Id String>
+    fee_rate: <Fee Rate Parts Per Million Number>
+    previous: {
+      base_fee_mtokens: <Previous Base Fee Millitokens String>
+      fee_rate: <Previous Fee Rate Parts Per Million Number>
+    }
+    public_key: <Peer Public Key Hex String>
+    triggers: [<Trigger Id Hex String>]
+  }
+
+  @event 'forward_failures'
+  {
+    channel: <Standard Format Channel Id String>
+    count: <Failed Forwards Count Number>
+    minutes: <Failures Window Minutes Number>
+    triggers: [<Trigger Id Hex String>]
   }
 
   @event 'peer_connected'
   {
     public_key: <Node Identity Public Key Hex String>
+    triggers: [<Trigger Id Hex String>]
   }
 
   @event 'peer_disconnected'
   {
     public_key: <Node Identity Public Key Hex String>
+    triggers: [<Trigger Id Hex String>]
   }
 
   @returns
   <Event Emitter Object>
 */
-module.exports = ({lnds}) => {
+module.exports = ({fs, lnds}) => {
   const channels = new Set();
   const emitter = new EventEmitter();
+  const polls = [];
   const subs = [];
-  const triggers = {};
+  let timer;
+  let triggers = {};
+
+  // Stop listening for events
+  const stop = () => {
+    clearInterval(timer);
+
+    return subs.forEach(n => n.removeAllListeners());
+  };
 
   // Stop subscription when listeners are removed
   emitter.on('removeListener', () => {
-    if (!!emitter.listenerCount('channel_opened')) {
+    if (!!events.find(event => !!emitter.listenerCount(event))) {
       return;
     }
 
-    return cbk([400, 'RemovedAllListeners']);
+    return stop();
   });
 
   // Clean up when there is an error
   const errored = err => {
-    subs.forEach(n => n.removeAllListeners());
+    stop();
 
     if (!emitter.listenerCount('error')) {
       return;
@@ -66,61 +146,59 @@ module.exports = ({lnds}) => {
     return emitter.emit('error', err);
   };
 
-  // Register trigger if present
-  const register = ({description, id}, lnd) => {
-    try {
-      decodeTrigger({encoded: description});
-    } catch (err) {
-      // Exit early when the invoice is not a trigger invoice
-      return;
-    }
-
-    triggers[id] = decodeTrigger({encoded: description});
-
-    // Listen for the trigger invoice to be canceled to stop it
-    const sub = subscribeToInvoice({id, lnd});
+  // Triggers of a kind
+  const triggersOf = kind => keys(triggers).filter(id => !!triggers[id][kind]);
 
-    subs.push(sub);
+  // Load the triggers from the triggers file and then check on node state
+  const load = () => {
+    return getTriggers({fs}, (err, res) => {
+      if (!!err) {
+        return errored(err);
+      }
 
-    // Listen for an error on the invoice
-    sub.on('error', err => errored(err));
+      triggers = {};
 
-    // Listen for the trigger to get canceled
-    sub.on('invoice_updated', invoice => {
-      if (!invoice.is_canceled) {
-        return;
-      }
+      res.triggers.forEach(trigger => triggers[trigger.id] = trigger);
 
-      delete triggers[invoice.id];
+      return polls.forEach(poll => poll());
     });
-
-    return;
   };
 
+  load();
+
+  timer = setInterval(load, refreshTriggersMs);
+
   lnds.forEach(lnd => {
+    const balances = {};
+    const failures = {};
+    const forwardsSub = subscribeToForwards({lnd});
     const graphSub = subscribeToGraph({lnd});
-    const invoicesSub = subscribeToInvoices({lnd});
+    const inbound = new Set();
     const peersSub = subscribeToPeers({lnd});
+    const policies = {};
+    let pendingSub;
+    let publicKey;
     let startHeight;
-    let token;
 
+    subs.push(forwardsSub);
     subs.push(graphSub);
-    subs.push(invoicesSub);
     subs.push(peersSub);
 
-    getHeight({lnd}, (err, res) => {
+    getIdentity({lnd}, (err, res) => {
       if (!!err) {
         return errored(err);
       }
 
-      return startHeight = res.current_block_height;
+      return publicKey = res.public_key;
     });
 
-    // Listen for errors on the invoices subscription
-    invoicesSub.on('error', err => errored(err));
+    getHeight({lnd}, (err, res) => {
+      if (!!err) {
+        return errored(err);
+      }
 
-    // Listen for new trigger invoices
-    invoicesSub.on('invoice_updated', updated => register(updated, lnd));
+      return startHeight = res.current_block_height;
+    });
 
     // Listen for errors on the graph subscription
     graphSub.on('error', err => errored(err));
@@ -162,6 +240,234 @@ module.exports = ({lnds}) => {
         capacity: update.capacity,
         id: update.id,
         public_keys: update.public_keys,
+        triggers: follows,
+      });
+    });
+
+    // Listen for peers changing their policy towards a channel with the node
+    graphSub.on('channel_updated', update => {
+      const [announcing, target] = update.public_keys;
+
+      // Exit early when the update is not a policy towards the node
+      if (!publicKey || target !== publicKey) {
+        return;
+      }
+
+      const matching = triggersOf('fee_policy').filter(id => {
+        return triggers[id].fee_policy.id === announcing;
+      });
+
+      // Exit early when the announcing peer doesn't match any fee trigger
+      if (!matching.length) {
+        return;
+      }
+
+      const previous = policies[update.id];
+
+      policies[update.id] = {
+        base_fee_mtokens: update.base_fee_mtokens,
+        fee_rate: update.fee_rate,
+      };
+
+      // Exit early when there is no known previous policy to compare against
+      if (!previous) {
+        return;
+      }
+
+      const baseFee = update.base_fee_mtokens;
+
+      const isSameBaseFee = previous.base_fee_mtokens === baseFee;
+      const isSameFeeRate = previous.fee_rate === update.fee_rate;
+
+      // Exit early when the fee policy did not change
+      if (isSameBaseFee && isSameFeeRate) {
+        return;
+      }
+
+      return emitter.emit('fee_policy_updated', {
+        previous,
+        base_fee_mtokens: update.base_fee_mtokens,
+        channel: update.id,
+        fee_rate: update.fee_rate,
+        public_key: announcing,
+        triggers: matching,
+      });
+    });
+
+    // Listen for errors on the forwards subscription
+    forwardsSub.on('error', err => errored(err));
+
+    // Listen for failed forwards that may match a trigger
+    forwardsSub.on('forward', forward => {
+      // Exit early when the forward did not fail
+      if (!forward.is_failed) {
+        return;
+      }
+
+      const channels = [forward.in_channel, forward.out_channel];
+
+      return triggersOf('forward_failures')
+        .filter(id => channels.includes(triggers[id].forward_failures.channel))
+        .forEach(id => {
+          const {channel, count, minutes} = triggers[id].forward_failures;
+
+          const after = Date.now() - minutesAsMs(minutes);
+
+          // Only failures within the window are counted
+          failures[id] = (failures[id] || []).filter(n => n > after);
+
+          failures[id].push(Date.now());
+
+          // Exit early when there are not enough failures in the window
+          if (failures[id].length < count) {
+            return;
+          }
+
+          // Reset the window after the trigger fires
+          failures[id] = [];
+
+          return emitter.emit('forward_failures', {
+            channel,
+            count,
+            minutes,
+            triggers: [id],
+          });
+        });
+    });
+
+    // Notify of a new inbound channel that matches inbound channel triggers
+    const inboundChannel = channel => {
+      // Exit early when the channel was not opened by the peer
+      if (!channel.is_partner_initiated) {
+        return;
+      }
+
+      // Exit early when the channel was already noticed
+      if (inbound.has(asOutpoint(channel))) {
+        return;
+      }
+
+      inbound.add(asOutpoint(channel));
+
+      const matching = triggersOf('inbound_channel').filter(id => {
+        const minCapacity = triggers[id].inbound_channel.min_capacity;
+
+        return channel.capacity >= minCapacity;
+      });
+
+      // Exit early when the channel doesn't match any inbound trigger
+      if (!matching.length) {
+        return;
+      }
+
+      return emitter.emit('channel_request', {
+        capacity: channel.capacity,
+        is_private: !!channel.is_private,
+        partner_public_key: channel.partner_public_key,
+        transaction_id: channel.transaction_id,
+        transaction_vout: channel.transaction_vout,
+        triggers: matching,
+      });
+    };
+
+    // Check channel balances and start watching for inbound channels
+    polls.push(() => {
+      // Start watching for inbound channels when there is a trigger for them
+      if (!!triggersOf('inbound_channel').length && !pendingSub) {
+        const channelsSub = subscribeToChannels({lnd});
+
+        pendingSub = subscribeToPendingChannels({lnd});
+
+        subs.push(channelsSub);
+        subs.push(pendingSub);
+
+        channelsSub.on('error', err => errored(err));
+        pendingSub.on('error', err => errored(err));
+
+        // Channels can open without being seen as pending, like zero conf
+        channelsSub.on('channel_opened', channel => inboundChannel(channel));
+
+        pendingSub.on('opening', ({channels}) => {
+          return channels.forEach(channel => inboundChannel(channel));
+        });
+      }
+
+      const balanceTriggers = triggersOf('balance');
+      const feeTriggers = triggersOf('fee_policy');
+
+      // Exit early when there are no channel triggers to check
+      if (!balanceTriggers.length && !feeTriggers.length) {
+        return;
+      }
+
+      return getChannels({lnd}, (err, res) => {
+        if (!!err) {
+          return errored(err);
+        }
+
+        balanceTriggers.forEach(id => {
+          const {channel, percent} = triggers[id].balance;
+
+          const chan = res.channels.find(n => n.id === channel);
+
+          // Exit early when the channel is not a channel of this node
+          if (!chan) {
+            return;
+          }
+
+          const isAbove = chan.local_balance * 100 / chan.capacity >= percent;
+          const wasAbove = balances[id];
+
+          balances[id] = isAbove;
+
+          // Exit early when the balance has not crossed the threshold
+          if (wasAbove === undefined || wasAbove === isAbove) {
+            return;
+          }
+
+          return emitter.emit('channel_balance', {
+            channel,
+            percent,
+            capacity: chan.capacity,
+            is_above: isAbove,
+            local_balance: chan.local_balance,
+            partner_public_key: chan.partner_public_key,
+            triggers: [id],
+          });
+        });
+
+        const peers = feeTriggers.map(id => triggers[id].fee_policy.id);
+
+        // Look up the current policies of peers so changes can be noticed
+        const unknown = res.channels
+          .filter(n => peers.includes(n.partner_public_key))
+          .filter(n => !policies[n.id]);
+
+        return asyncEach(unknown, (channel, cbk) => {
+          return getChannel({lnd, id: channel.id}, (err, res) => {
+            // Ignore errors, the channel may not be in the graph
+            if (!!err) {
+              return cbk();
+            }
+
+            const policy = res.policies.find(policy => {
+              return policy.public_key === channel.partner_public_key;
+            });
+
+            // Exit early when the peer has no policy yet
+            if (!policy || policy.fee_rate === undefined) {
+              return cbk();
+            }
+
+            policies[channel.id] = {
+              base_fee_mtokens: policy.base_fee_mtokens,
+              fee_rate: policy.fee_rate,
+            };
+
+            return cbk();
+          });
+        },
+        () => {});
       });
     });
 
@@ -182,7 +488,10 @@ module.exports = ({lnds}) => {
         return;
       }
 
-      return emitter.emit('peer_connected', update);
+      return emitter.emit('peer_connected', {
+        public_key: update.public_key,
+        triggers: follows,
+      });
     });
 
     // Listen for disconnected peers subscription
@@ -199,33 +508,11 @@ module.exports = ({lnds}) => {
         return;
       }
 
-      return emitter.emit('peer_disconnected', update);
+      return emitter.emit('peer_disconnected', {
+        public_key: update.public_key,
+        triggers: follows,
+      });
     });
-
-    // Register past trigger invoices
-    asyncUntil(
-      cbk => cbk(null, token === false),
-      cbk => {
-        return getInvoices({
-          lnd,
-          token,
-          is_unconfirmed: true,
-          limit: !token ? defaultInvoicesLimit : undefined,
-        },
-        (err, res) => {
-          if (!!err) {
-            return cbk(err);
-          }
-
-          token = res.next || false;
-
-          res.invoices.forEach(invoice => register(invoice, lnd));
-
-          return cbk();
-        });
-      },
-      err => !!err ? errored(err) : null,
-    );
   });
 
   return emitter;
@@ -44,15 +44,27 @@ const styled = 'styled';
     fs: {
       getFile: <Read File Contents Function> (path, cbk) => {}
     }
+    [is_structured]: <Return Report Lines Instead of Text Bool>
     [node]: <Node Name String>
     request: <Request Function>
     [style]: <Style Type String>
   }
 
   @returns via cbk
-  {}
+  <Report Text String>
+
+  // Structured response
+  @returns via cbk
+  {
+    lines: [{
+      [action]: <Action String>
+      [details]: <Details String>
+      [subtitle]: <Subtitle String>
+      [title]: <Title String>
+    }]
+  }
 */
-module.exports = ({fs, node, request, style}, cbk) => {
+module.exports = ({fs, is_structured, node, request, style}, cbk) => {
   return asyncAuto({
     // Get authenticated lnd connection
     getLnd: cbk => authenticatedLnd({node}, cbk),
@@ -488,6 +500,21 @@ module.exports = ({fs, node, request, style}, cbk) => {
           .join('\n');
       }
 
+      // Exit early when the report lines are returned as records
+      if (!!is_structured) {
+        const lines = report
+          .filter(n => !n.is_hidden)
+          .filter(n => !!n.action || !!n.details || !!n.subtitle || !!n.title)
+          .map(n => ({
+            action: n.action,
+            details: n.details,
+            subtitle: n.subtitle,
+            title: n.title,
+          }));
+
+        return cbk(null, {lines});
+      }
+
       return cbk(null, renderReport(report));
     }],
   },